@@ -21,6 +21,8 @@ const esmDependencies = [
 	'jose',
 	'p-retry',
 	'is-network-error',
+	'hyparquet-writer',
+	'hyparquet',
 	// Add other ESM dependencies that need to be transformed here
 ];
 
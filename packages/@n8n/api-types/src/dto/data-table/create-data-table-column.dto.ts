@@ -3,9 +3,11 @@ import { Z } from 'zod-class';
 import {
 	dataTableColumnNameSchema,
 	dataTableColumnTypeSchema,
+	dataTableEnumValuesSchema,
 } from '../../schemas/data-table.schema';
 
 export class CreateDataTableColumnDto extends Z.class({
 	name: dataTableColumnNameSchema,
 	type: dataTableColumnTypeSchema,
+	enumValues: dataTableEnumValuesSchema.optional(),
 }) {}
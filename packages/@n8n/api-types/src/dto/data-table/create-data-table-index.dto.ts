@@ -0,0 +1,9 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+import { dataTableIndexColumnNamesSchema } from '../../schemas/data-table.schema';
+
+export class CreateDataTableIndexDto extends Z.class({
+	columnNames: dataTableIndexColumnNamesSchema,
+	isUnique: z.boolean().optional().default(false),
+}) {}
@@ -0,0 +1,67 @@
+import { CreateExecutionRetentionRuleDto } from '../create-execution-retention-rule.dto';
+import { UpdateExecutionRetentionRuleDto } from '../update-execution-retention-rule.dto';
+
+describe('CreateExecutionRetentionRuleDto', () => {
+	describe('Valid requests', () => {
+		test.each([
+			{
+				name: 'rule for failed executions of a project',
+				request: {
+					name: 'Finance failures',
+					projectId: '2gQLpmP5V4wOY627',
+					status: 'error',
+					maxAge: 24 * 90,
+				},
+			},
+			{
+				name: 'rule for a workflow and tag, without status',
+				request: {
+					name: 'Chatty sync',
+					workflowId: 'wf-1',
+					tagId: 'tag-1',
+					status: null,
+					maxAge: 24,
+				},
+			},
+		])('should validate $name', ({ request }) => {
+			const result = CreateExecutionRetentionRuleDto.safeParse(request);
+			expect(result.success).toBe(true);
+		});
+	});
+
+	describe('Invalid requests', () => {
+		test.each([
+			{
+				name: 'missing name',
+				request: { maxAge: 24 },
+				expectedErrorPath: ['name'],
+			},
+			{
+				name: 'status that is never pruned',
+				request: { name: 'Running', status: 'running', maxAge: 24 },
+				expectedErrorPath: ['status'],
+			},
+			{
+				name: 'max age that is not a positive integer',
+				request: { name: 'Short', maxAge: 0.5 },
+				expectedErrorPath: ['maxAge'],
+			},
+		])('should fail validation for $name', ({ request, expectedErrorPath }) => {
+			const result = CreateExecutionRetentionRuleDto.safeParse(request);
+			expect(result.success).toBe(false);
+			expect(result.error?.issues[0].path).toEqual(expectedErrorPath);
+		});
+	});
+});
+
+describe('UpdateExecutionRetentionRuleDto', () => {
+	it('should allow partial updates', () => {
+		const result = UpdateExecutionRetentionRuleDto.safeParse({ maxAge: 48 });
+		expect(result.success).toBe(true);
+	});
+
+	it('should validate the fields that are set', () => {
+		const result = UpdateExecutionRetentionRuleDto.safeParse({ maxAge: -1 });
+		expect(result.success).toBe(false);
+	});
+});
@@ -0,0 +1,17 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+/** Only executions in an end state are ever pruned */
+export const executionRetentionStatusSchema = z.enum(['success', 'error', 'crashed', 'canceled']);
+
+export const executionRetentionRuleShape = {
+	name: z.string().trim().min(1).max(128),
+	workflowId: z.string().max(36).nullable().optional(),
+	projectId: z.string().max(36).nullable().optional(),
+	tagId: z.string().max(36).nullable().optional(),
+	status: executionRetentionStatusSchema.nullable().optional(),
+	/** Hours to keep matching executions for, after they stopped */
+	maxAge: z.number().int().positive(),
+};
+
+export class CreateExecutionRetentionRuleDto extends Z.class(executionRetentionRuleShape) {}
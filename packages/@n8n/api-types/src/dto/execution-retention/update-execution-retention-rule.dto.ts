@@ -0,0 +1,8 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+import { executionRetentionRuleShape } from './create-execution-retention-rule.dto';
+
+export class UpdateExecutionRetentionRuleDto extends Z.class(
+	z.object(executionRetentionRuleShape).partial().shape,
+) {}
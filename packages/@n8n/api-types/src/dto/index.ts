@@ -16,6 +16,9 @@ export { ResolveSignupTokenQueryDto } from './auth/resolve-signup-token-query.dt
 export { CreateCredentialResolverDto } from './credential-resolver/create-credential-resolver.dto';
 export { UpdateCredentialResolverDto } from './credential-resolver/update-credential-resolver.dto';
 
+export { CreateExecutionRetentionRuleDto } from './execution-retention/create-execution-retention-rule.dto';
+export { UpdateExecutionRetentionRuleDto } from './execution-retention/update-execution-retention-rule.dto';
+
 export { OptionsRequestDto } from './dynamic-node-parameters/options-request.dto';
 export { ResourceLocatorRequestDto } from './dynamic-node-parameters/resource-locator-request.dto';
 export { ResourceMapperFieldsRequestDto } from './dynamic-node-parameters/resource-mapper-fields-request.dto';
@@ -50,8 +53,19 @@ export { UserUpdateRequestDto } from './user/user-update-request.dto';
 export { CommunityRegisteredRequestDto } from './license/community-registered-request.dto';
 
 export { PullWorkFolderRequestDto } from './source-control/pull-work-folder-request.dto';
+export { PullPreviewRequestDto } from './source-control/pull-preview-request.dto';
+export {
+	type SourceControlledFileDiff,
+	type SourceControlledNodeDiff,
+} from './source-control/pull-preview-response.dto';
 export { PushWorkFolderRequestDto } from './source-control/push-work-folder-request.dto';
 export { type GitCommitInfo } from './source-control/push-work-folder-response.dto';
+export { PromoteWorkFolderRequestDto } from './source-control/promote-work-folder-request.dto';
+export {
+	type SourceControlPromotion,
+	type SourceControlPromotionStatus,
+} from './source-control/promote-work-folder-response.dto';
+export { PromotionStatusQueryDto } from './source-control/promotion-status-query.dto';
 
 export { CreateCredentialDto } from './credentials/create-credential.dto';
 export { VariableListRequestDto } from './variables/variables-list-request.dto';
@@ -80,7 +94,13 @@ export { ListFolderQueryDto } from './folders/list-folder-query.dto';
 export { TransferFolderBodyDto } from './folders/transfer-folder.dto';
 
 export { ListInsightsWorkflowQueryDto } from './insights/list-workflow-query.dto';
+export { ListInsightsNodeQueryDto } from './insights/list-node-query.dto';
 export { InsightsDateFilterDto } from './insights/date-filter.dto';
+export { InsightsCustomMetricsQueryDto } from './insights/custom-metrics-query.dto';
+export {
+	InsightsExportQueryDto,
+	type InsightsExportFormat,
+} from './insights/export-query.dto';
 
 export { PaginationDto } from './pagination/pagination.dto';
 export {
@@ -108,6 +128,7 @@ export { AddDataTableRowsDto } from './data-table/add-data-table-rows.dto';
 export { AddDataTableColumnDto } from './data-table/add-data-table-column.dto';
 export { MoveDataTableColumnDto } from './data-table/move-data-table-column.dto';
 export { RenameDataTableColumnDto } from './data-table/rename-data-table-column.dto';
+export { CreateDataTableIndexDto } from './data-table/create-data-table-index.dto';
 
 export {
 	OAuthClientResponseDto,
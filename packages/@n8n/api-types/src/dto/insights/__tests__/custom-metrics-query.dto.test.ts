@@ -0,0 +1,83 @@
+import { InsightsCustomMetricsQueryDto } from '../custom-metrics-query.dto';
+
+describe('InsightsCustomMetricsQueryDto', () => {
+	describe('Valid requests', () => {
+		test.each([
+			{
+				name: 'single metric',
+				request: {
+					metrics: 'orders_processed',
+				},
+				parsedResult: {
+					metrics: ['orders_processed'],
+				},
+			},
+			{
+				name: 'comma-separated metrics with whitespace',
+				request: {
+					metrics: 'orders_processed, tickets.closed ,',
+				},
+				parsedResult: {
+					metrics: ['orders_processed', 'tickets.closed'],
+				},
+			},
+			{
+				name: 'metrics with date filters and projectId',
+				request: {
+					metrics: 'tokens_spent',
+					startDate: '2025-01-01',
+					endDate: '2025-01-31',
+					projectId: '2gQLpmP5V4wOY627',
+				},
+				parsedResult: {
+					metrics: ['tokens_spent'],
+					startDate: new Date('2025-01-01'),
+					endDate: new Date('2025-01-31'),
+					projectId: '2gQLpmP5V4wOY627',
+				},
+			},
+		])('should validate $name', ({ request, parsedResult }) => {
+			const result = InsightsCustomMetricsQueryDto.safeParse(request);
+			expect(result.success).toBe(true);
+			expect(result.data).toMatchObject(parsedResult);
+		});
+	});
+
+	describe('Invalid requests', () => {
+		test.each([
+			{
+				name: 'missing metrics',
+				request: {},
+				expectedErrorPaths: ['metrics'],
+			},
+			{
+				name: 'empty metrics',
+				request: {
+					metrics: ' , ',
+				},
+				expectedErrorPaths: ['metrics'],
+			},
+			{
+				name: 'too many metrics',
+				request: {
+					metrics: Array.from({ length: 11 }, (_, i) => `metric_${i}`).join(','),
+				},
+				expectedErrorPaths: ['metrics'],
+			},
+			{
+				name: 'invalid startDate',
+				request: {
+					metrics: 'orders_processed',
+					startDate: 'not-a-date',
+				},
+				expectedErrorPaths: ['startDate'],
+			},
+		])('should fail validation for $name', ({ request, expectedErrorPaths }) => {
+			const result = InsightsCustomMetricsQueryDto.safeParse(request);
+			const issuesPaths = new Set(result.error?.issues.map((issue) => issue.path[0]));
+
+			expect(result.success).toBe(false);
+			expect(new Set(issuesPaths)).toEqual(new Set(expectedErrorPaths));
+		});
+	});
+});
@@ -0,0 +1,59 @@
+import { InsightsExportQueryDto } from '../export-query.dto';
+
+describe('InsightsExportQueryDto', () => {
+	describe('Valid requests', () => {
+		test.each([
+			{
+				name: 'empty request defaults to csv',
+				request: {},
+				parsedResult: {
+					format: 'csv',
+				},
+			},
+			{
+				name: 'parquet format with date filters and projectId',
+				request: {
+					format: 'parquet',
+					startDate: '2025-01-01',
+					endDate: '2025-01-31',
+					projectId: '2gQLpmP5V4wOY627',
+				},
+				parsedResult: {
+					format: 'parquet',
+					startDate: new Date('2025-01-01'),
+					endDate: new Date('2025-01-31'),
+					projectId: '2gQLpmP5V4wOY627',
+				},
+			},
+		])('should validate $name', ({ request, parsedResult }) => {
+			const result = InsightsExportQueryDto.safeParse(request);
+			expect(result.success).toBe(true);
+			expect(result.data).toMatchObject(parsedResult);
+		});
+	});
+
+	describe('Invalid requests', () => {
+		test.each([
+			{
+				name: 'unknown format',
+				request: {
+					format: 'xlsx',
+				},
+				expectedErrorPaths: ['format'],
+			},
+			{
+				name: 'invalid endDate',
+				request: {
+					endDate: 'not-a-date',
+				},
+				expectedErrorPaths: ['endDate'],
+			},
+		])('should fail validation for $name', ({ request, expectedErrorPaths }) => {
+			const result = InsightsExportQueryDto.safeParse(request);
+			const issuesPaths = new Set(result.error?.issues.map((issue) => issue.path[0]));
+
+			expect(result.success).toBe(false);
+			expect(new Set(issuesPaths)).toEqual(new Set(expectedErrorPaths));
+		});
+	});
+});
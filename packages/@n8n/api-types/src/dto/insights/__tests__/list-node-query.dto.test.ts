@@ -0,0 +1,80 @@
+import { ListInsightsNodeQueryDto } from '../list-node-query.dto';
+
+const DEFAULT_PAGINATION = { skip: 0, take: 10 };
+
+describe('ListInsightsNodeQueryDto', () => {
+	describe('Valid requests', () => {
+		test.each([
+			{
+				name: 'empty object (no filters)',
+				request: {},
+				parsedResult: DEFAULT_PAGINATION,
+			},
+			{
+				name: 'slowest nodes first',
+				request: {
+					sortBy: 'averageRunTime:desc',
+				},
+				parsedResult: {
+					...DEFAULT_PAGINATION,
+					sortBy: 'averageRunTime:desc',
+				},
+			},
+			{
+				name: 'most failure-prone nodes first, with date filters',
+				request: {
+					sortBy: 'failureRate:desc',
+					startDate: '2025-01-01',
+					endDate: '2025-01-31',
+				},
+				parsedResult: {
+					...DEFAULT_PAGINATION,
+					sortBy: 'failureRate:desc',
+					startDate: new Date('2025-01-01'),
+					endDate: new Date('2025-01-31'),
+				},
+			},
+			{
+				name: 'take is capped at the max nodes per page',
+				request: {
+					take: '500',
+				},
+				parsedResult: {
+					skip: 0,
+					take: 100,
+				},
+			},
+		])('should validate $name', ({ request, parsedResult }) => {
+			const result = ListInsightsNodeQueryDto.safeParse(request);
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual(parsedResult);
+		});
+	});
+
+	describe('Invalid requests', () => {
+		test.each([
+			{
+				name: 'invalid sortBy',
+				request: {
+					sortBy: 'workflowName:asc',
+				},
+				expectedErrorPath: ['sortBy'],
+			},
+			{
+				name: 'invalid startDate',
+				request: {
+					startDate: 'not-a-date',
+				},
+				expectedErrorPath: ['startDate'],
+			},
+		])('should fail validation for $name', ({ request, expectedErrorPath }) => {
+			const result = ListInsightsNodeQueryDto.safeParse(request);
+
+			expect(result.success).toBe(false);
+
+			if (expectedErrorPath) {
+				expect(result.error?.issues[0].path).toEqual(expectedErrorPath);
+			}
+		});
+	});
+});
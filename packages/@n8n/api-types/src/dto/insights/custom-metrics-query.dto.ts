@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+export const MAX_CUSTOM_METRICS_PER_QUERY = 10;
+
+// Comma-separated list of custom metric names, e.g. `orders_processed,tickets_closed`
+const metricNamesValidator = z
+	.string()
+	.transform((value) =>
+		value
+			.split(',')
+			.map((name) => name.trim())
+			.filter((name) => name.length > 0),
+	)
+	.pipe(
+		z
+			.array(z.string().max(128))
+			.min(1, { message: 'metrics must contain at least one metric name' })
+			.max(MAX_CUSTOM_METRICS_PER_QUERY, {
+				message: `metrics must contain at most ${MAX_CUSTOM_METRICS_PER_QUERY} metric names`,
+			}),
+	);
+
+export class InsightsCustomMetricsQueryDto extends Z.class({
+	startDate: z.coerce.date().optional(),
+	endDate: z.coerce.date().optional(),
+	projectId: z.string().optional(),
+	metrics: metricNamesValidator,
+}) {}
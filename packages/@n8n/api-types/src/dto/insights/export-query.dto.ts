@@ -0,0 +1,13 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+export const insightsExportFormats = ['csv', 'parquet'] as const;
+
+export type InsightsExportFormat = (typeof insightsExportFormats)[number];
+
+export class InsightsExportQueryDto extends Z.class({
+	startDate: z.coerce.date().optional(),
+	endDate: z.coerce.date().optional(),
+	projectId: z.string().optional(),
+	format: z.enum(insightsExportFormats).optional().default('csv'),
+}) {}
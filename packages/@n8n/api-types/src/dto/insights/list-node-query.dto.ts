@@ -0,0 +1,39 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+import { createTakeValidator, paginationSchema } from '../pagination/pagination.dto';
+
+export const MAX_NODES_PER_PAGE = 100;
+
+const VALID_SORT_OPTIONS = [
+	'total:asc',
+	'total:desc',
+	'failed:asc',
+	'failed:desc',
+	'failureRate:asc',
+	'failureRate:desc',
+	'runTime:asc',
+	'runTime:desc',
+	'averageRunTime:asc',
+	'averageRunTime:desc',
+	'itemsOutput:asc',
+	'itemsOutput:desc',
+	'nodeName:asc',
+	'nodeName:desc',
+] as const;
+
+// ---------------------
+// Parameter Validators
+// ---------------------
+
+const sortByValidator = z
+	.enum(VALID_SORT_OPTIONS, { message: `sortBy must be one of: ${VALID_SORT_OPTIONS.join(', ')}` })
+	.optional();
+
+export class ListInsightsNodeQueryDto extends Z.class({
+	...paginationSchema,
+	take: createTakeValidator(MAX_NODES_PER_PAGE),
+	startDate: z.coerce.date().optional(),
+	endDate: z.coerce.date().optional(),
+	sortBy: sortByValidator,
+}) {}
@@ -0,0 +1,62 @@
+import { PromoteWorkFolderRequestDto } from '../promote-work-folder-request.dto';
+
+describe('PromoteWorkFolderRequestDto', () => {
+	describe('Valid requests', () => {
+		test.each([
+			{
+				name: 'complete valid promote request with all fields',
+				request: {
+					environment: 'production',
+					title: 'Release invoicing workflows',
+					description: 'Approved by finance',
+				},
+			},
+			{
+				name: 'promote request with only required fields',
+				request: {
+					environment: 'staging',
+					title: 'Weekly promotion',
+				},
+			},
+		])('should validate $name', ({ request }) => {
+			const result = PromoteWorkFolderRequestDto.safeParse(request);
+			expect(result.success).toBe(true);
+		});
+	});
+
+	describe('Invalid requests', () => {
+		test.each([
+			{
+				name: 'missing environment',
+				request: {
+					title: 'Weekly promotion',
+				},
+				expectedErrorPath: ['environment'],
+			},
+			{
+				name: 'empty title',
+				request: {
+					environment: 'staging',
+					title: '',
+				},
+				expectedErrorPath: ['title'],
+			},
+			{
+				name: 'invalid description type',
+				request: {
+					environment: 'staging',
+					title: 'Weekly promotion',
+					description: 42, // Should be a string
+				},
+				expectedErrorPath: ['description'],
+			},
+		])('should fail validation for $name', ({ request, expectedErrorPath }) => {
+			const result = PromoteWorkFolderRequestDto.safeParse(request);
+			expect(result.success).toBe(false);
+
+			if (expectedErrorPath) {
+				expect(result.error?.issues[0].path).toEqual(expectedErrorPath);
+			}
+		});
+	});
+});
@@ -11,6 +11,23 @@ describe('PullWorkFolderRequestDto', () => {
 				name: 'without force',
 				request: {},
 			},
+			{
+				name: 'with selected files',
+				request: {
+					fileNames: [
+						{
+							file: 'workflows/1.json',
+							id: '1',
+							name: 'Workflow 1',
+							type: 'workflow',
+							status: 'modified',
+							location: 'remote',
+							conflict: false,
+							updatedAt: '2023-10-01T12:00:00Z',
+						},
+					],
+				},
+			},
 		])('should validate $name', ({ request }) => {
 			const result = PullWorkFolderRequestDto.safeParse(request);
 			expect(result.success).toBe(true);
@@ -26,6 +43,24 @@ describe('PullWorkFolderRequestDto', () => {
 				},
 				expectedErrorPath: ['force'],
 			},
+			{
+				name: 'invalid file type',
+				request: {
+					fileNames: [
+						{
+							file: 'data-tables/1.json',
+							id: '1',
+							name: 'Data table 1',
+							type: 'data-table',
+							status: 'modified',
+							location: 'remote',
+							conflict: false,
+							updatedAt: '2023-10-01T12:00:00Z',
+						},
+					],
+				},
+				expectedErrorPath: ['fileNames', 0, 'type'],
+			},
 		])('should fail validation for $name', ({ request, expectedErrorPath }) => {
 			const result = PullWorkFolderRequestDto.safeParse(request);
 			expect(result.success).toBe(false);
@@ -0,0 +1,9 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+export class PromoteWorkFolderRequestDto extends Z.class({
+	/** Name of the environment to promote the current branch to */
+	environment: z.string().min(1),
+	title: z.string().min(1),
+	description: z.string().optional(),
+}) {}
@@ -0,0 +1,16 @@
+export interface SourceControlPromotion {
+	environment: string;
+	/** Feature branch pushed to the remote of the environment */
+	branch: string;
+	/** Branch of the environment the feature branch is to be merged into */
+	targetBranch: string;
+	/** Path of the merge request description file committed to the feature branch */
+	descriptionFile: string;
+	/** Files changed by the promotion */
+	files: string[];
+}
+
+export interface SourceControlPromotionStatus {
+	/** Whether the promotion was merged into the branch of the environment */
+	merged: boolean;
+}
@@ -0,0 +1,8 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+export class PromotionStatusQueryDto extends Z.class({
+	environment: z.string().min(1),
+	/** Feature branch the promotion was pushed to */
+	branch: z.string().min(1),
+}) {}
@@ -0,0 +1,9 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+import { SourceControlledFileSchema } from '../../schemas/source-controlled-file.schema';
+
+export class PullPreviewRequestDto extends Z.class({
+	/** Files to preview, defaults to all files changed in the remote */
+	fileNames: z.array(SourceControlledFileSchema).optional(),
+}) {}
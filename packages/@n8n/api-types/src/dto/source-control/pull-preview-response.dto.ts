@@ -0,0 +1,15 @@
+import type { SourceControlledFile } from '../../schemas/source-controlled-file.schema';
+
+export interface SourceControlledNodeDiff {
+	id: string;
+	name: string;
+	type: string;
+	/** How pulling changes the node in the local version of the workflow */
+	status: 'added' | 'modified' | 'deleted';
+}
+
+export interface SourceControlledFileDiff {
+	file: SourceControlledFile;
+	/** Changed nodes, only for workflows */
+	nodes: SourceControlledNodeDiff[];
+}
@@ -1,6 +1,10 @@
 import { z } from 'zod';
 import { Z } from 'zod-class';
 
+import { SourceControlledFileSchema } from '../../schemas/source-controlled-file.schema';
+
 export class PullWorkFolderRequestDto extends Z.class({
 	force: z.boolean().optional(),
+	/** Files to pull, defaults to all files changed in the remote */
+	fileNames: z.array(SourceControlledFileSchema).optional(),
 }) {}
@@ -40,6 +40,10 @@ describe('UpdateWorkflowDto', () => {
 					meta: { version: '2.0' },
 				},
 			},
+			{
+				name: 'update execution priority',
+				request: { settings: { executionPriority: 'high' } },
+			},
 		])('should validate $name', ({ request }) => {
 			const result = UpdateWorkflowDto.safeParse(request);
 			expect(result.success).toBe(true);
@@ -90,6 +94,11 @@ describe('UpdateWorkflowDto', () => {
 				request: { settings: [] },
 				expectedErrorPath: ['settings'],
 			},
+			{
+				name: 'unknown execution priority',
+				request: { settings: { executionPriority: 'urgent' } },
+				expectedErrorPath: ['settings', 'executionPriority'],
+			},
 			{
 				name: 'staticData as array',
 				request: { staticData: [] },
@@ -24,12 +24,23 @@ export const workflowConnectionsSchema = z.custom<IConnections>(
 	},
 );
 
-export const workflowSettingsSchema = z.custom<IWorkflowSettings>(
-	(val) => val === null || (typeof val === 'object' && val !== null && !Array.isArray(val)),
-	{
-		message: 'Settings must be an object or null',
-	},
-);
+const executionPrioritySchema = z.enum(['high', 'normal', 'low']);
+
+export const workflowSettingsSchema = z
+	.custom<IWorkflowSettings>(
+		(val) => val === null || (typeof val === 'object' && val !== null && !Array.isArray(val)),
+		{
+			message: 'Settings must be an object or null',
+		},
+	)
+	.refine(
+		(settings: IWorkflowSettings | null) =>
+			executionPrioritySchema.optional().safeParse(settings?.executionPriority).success,
+		{
+			message: 'Execution priority must be one of "high", "normal" or "low"',
+			path: ['executionPriority'],
+		},
+	);
 
 export const workflowStaticDataSchema = z.preprocess(
 	(val) => {
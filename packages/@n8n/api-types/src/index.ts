@@ -96,9 +96,12 @@ export {
 	type InsightsSummaryUnit,
 	type InsightsSummary,
 	type InsightsByWorkflow,
+	type InsightsByNode,
 	type InsightsByTime,
 	type InsightsDateRange,
 	type RestrictedInsightsByTime,
+	type CustomInsightsByTime,
+	type InsightsCustomMetric,
 } from './schemas/insights.schema';
 
 export {
@@ -115,6 +118,7 @@ export {
 	DATA_TABLE_COLUMN_REGEX,
 	DATA_TABLE_COLUMN_MAX_LENGTH,
 	DATA_TABLE_COLUMN_ERROR_MESSAGE,
+	DATA_TABLE_STRING_VALUE_MAX_LENGTH,
 	type DataTable,
 	type DataTableColumn,
 	type DataTableCreateColumnSchema,
@@ -15,8 +15,17 @@ export const FilterConditionSchema = z.union([
 
 export type DataTableFilterConditionType = z.infer<typeof FilterConditionSchema>;
 
+/**
+ * Dot-separated path to a value in a `json` column, e.g. `customer.address.city` or `items.0.sku`
+ */
+export const dataTableJsonPathSchema = z
+	.string()
+	.trim()
+	.regex(/^[^."]+(\.[^."]+)*$/, 'Paths are made up of keys or array indexes separated by dots');
+
 export const dataTableFilterRecordSchema = z.object({
 	columnName: dataTableColumnNameSchema,
+	path: dataTableJsonPathSchema.optional(),
 	condition: FilterConditionSchema.default('eq'),
 	value: z.union([z.string(), z.number(), z.boolean(), z.date(), z.null()]),
 });
@@ -19,15 +19,50 @@ export const dataTableColumnNameSchema = z
 	.min(1)
 	.max(DATA_TABLE_COLUMN_MAX_LENGTH) // Postgres has a maximum of 63 characters
 	.regex(DATA_TABLE_COLUMN_REGEX, DATA_TABLE_COLUMN_ERROR_MESSAGE);
-export const dataTableColumnTypeSchema = z.enum(['string', 'number', 'boolean', 'date']);
+export const dataTableColumnTypeSchema = z.enum([
+	'string',
+	'number',
+	'boolean',
+	'date',
+	'json',
+	'text',
+	'enum',
+]);
+
+/** Values of `string` columns are limited, longer values go into `text` columns */
+export const DATA_TABLE_STRING_VALUE_MAX_LENGTH = 10_000;
+
+export const DATA_TABLE_ENUM_VALUES_MAX_COUNT = 100;
+export const DATA_TABLE_ENUM_VALUE_MAX_LENGTH = 255;
+
+/** Allowed values of `enum` columns */
+export const dataTableEnumValuesSchema = z
+	.array(z.string().trim().min(1).max(DATA_TABLE_ENUM_VALUE_MAX_LENGTH))
+	.min(1)
+	.max(DATA_TABLE_ENUM_VALUES_MAX_COUNT)
+	.refine((values) => new Set(values).size === values.length, {
+		message: 'Allowed values must be unique',
+	});
 
 export const dataTableCreateColumnSchema = z.object({
 	name: dataTableColumnNameSchema,
 	type: dataTableColumnTypeSchema,
+	enumValues: dataTableEnumValuesSchema.optional(),
 	index: z.number().optional(),
 });
 export type DataTableCreateColumnSchema = z.infer<typeof dataTableCreateColumnSchema>;
 
+export const DATA_TABLE_INDEX_MAX_COLUMNS = 8;
+
+/** Columns of an index, in the order in which they are indexed */
+export const dataTableIndexColumnNamesSchema = z
+	.array(dataTableColumnNameSchema)
+	.min(1)
+	.max(DATA_TABLE_INDEX_MAX_COLUMNS)
+	.refine((names) => new Set(names).size === names.length, {
+		message: 'Index columns must be unique',
+	});
+
 export const dataTableColumnSchema = dataTableCreateColumnSchema.extend({
 	dataTableId: dataTableIdSchema,
 });
@@ -64,4 +99,7 @@ export const dataTableColumnValueSchema = z.union([
 	z.boolean(),
 	z.null(),
 	z.date(),
+	// values of json columns
+	z.record(z.unknown()),
+	z.array(z.unknown()),
 ]);
@@ -69,6 +69,29 @@ export const insightsByWorkflowDataSchemas = {
 export const insightsByWorkflowSchema = z.object(insightsByWorkflowDataSchemas).strict();
 export type InsightsByWorkflow = z.infer<typeof insightsByWorkflowSchema>;
 
+export const insightsByNodeDataSchemas = {
+	count: z.number(),
+	data: z.array(
+		z
+			.object({
+				nodeId: z.string(),
+				nodeName: z.string(),
+				nodeType: z.string(),
+				total: z.number(),
+				succeeded: z.number(),
+				failed: z.number(),
+				failureRate: z.number(),
+				runTime: z.number(),
+				averageRunTime: z.number(),
+				itemsOutput: z.number(),
+			})
+			.strict(),
+	),
+} as const;
+
+export const insightsByNodeSchema = z.object(insightsByNodeDataSchemas).strict();
+export type InsightsByNode = z.infer<typeof insightsByNodeSchema>;
+
 export const insightsByTimeDataSchemas = {
 	date: z.string().refine((val) => !isNaN(Date.parse(val)) && new Date(val).toISOString() === val, {
 		message: 'Invalid date format, must be ISO 8601 format',
@@ -100,6 +123,24 @@ export const restrictedInsightsByTimeDataSchema = {
 export const restrictedInsightsByTimeSchema = z.object(restrictedInsightsByTimeDataSchema).strict();
 export type RestrictedInsightsByTime = z.infer<typeof restrictedInsightsByTimeSchema>;
 
+export const customInsightsByTimeDataSchema = {
+	date: z.string().refine((val) => !isNaN(Date.parse(val)) && new Date(val).toISOString() === val, {
+		message: 'Invalid date format, must be ISO 8601 format',
+	}),
+	// values keyed by custom metric name
+	values: z.record(z.string(), z.number()),
+} as const;
+export const customInsightsByTimeSchema = z.object(customInsightsByTimeDataSchema).strict();
+export type CustomInsightsByTime = z.infer<typeof customInsightsByTimeSchema>;
+
+export const insightsCustomMetricSchema = z
+	.object({
+		name: z.string(),
+		createdAt: z.string(),
+	})
+	.strict();
+export type InsightsCustomMetric = z.infer<typeof insightsCustomMetricSchema>;
+
 export const insightsDateRangeSchema = z
 	.object({
 		key: z.enum(['day', 'week', '2weeks', 'month', 'quarter', '6months', 'year']),
@@ -79,8 +79,13 @@ type EntityName =
 	| 'InsightsRaw'
 	| 'InsightsByPeriod'
 	| 'InsightsMetadata'
+	| 'InsightsMetricType'
+	| 'InsightsNodeMetadata'
+	| 'InsightsNodeRaw'
+	| 'InsightsNodeByPeriod'
 	| 'DataTable'
 	| 'DataTableColumn'
+	| 'DataTableIndex'
 	| 'ChatHubSession'
 	| 'ChatHubMessage'
 	| 'ChatHubAgent'
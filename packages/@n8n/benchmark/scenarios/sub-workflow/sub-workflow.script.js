@@ -0,0 +1,34 @@
+import http from 'k6/http';
+import { check } from 'k6';
+
+const apiBaseUrl = __ENV.API_BASE_URL;
+
+export default function () {
+	const res = http.post(`${apiBaseUrl}/webhook/benchmark-sub-workflow`);
+
+	if (res.status !== 200) {
+		console.error(
+			`Invalid response. Received status ${res.status}. Body: ${JSON.stringify(res.body)}`,
+		);
+	}
+
+	check(res, {
+		'is status 200': (r) => r.status === 200,
+		'all sub-workflows ran': (r) => {
+			if (r.status !== 200) return false;
+
+			try {
+				// Response body is an array of the items returned by the sub-workflow executions
+				const body = JSON.parse(r.body);
+				return (
+					Array.isArray(body) &&
+					body.length === 10 &&
+					body.every((item) => item.processedBySubWorkflow === true)
+				);
+			} catch (error) {
+				console.error('Error parsing response body: ', error);
+				return false;
+			}
+		},
+	});
+}
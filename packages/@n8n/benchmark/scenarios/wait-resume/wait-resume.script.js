@@ -0,0 +1,56 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+
+const apiBaseUrl = __ENV.API_BASE_URL;
+
+const maxResumeAttempts = Number(__ENV.MAX_RESUME_ATTEMPTS ?? 20);
+
+/**
+ * The resume URL is built from the instance's own webhook URL, which is
+ * not necessarily reachable from here, so we only keep its path and query.
+ */
+function toReachableUrl(resumeUrl) {
+	const pathStart = resumeUrl.indexOf('/webhook-waiting/');
+
+	return `${apiBaseUrl}${resumeUrl.slice(pathStart)}`;
+}
+
+export default function () {
+	const startRes = http.post(`${apiBaseUrl}/webhook/benchmark-wait-resume`);
+
+	if (startRes.status !== 200) {
+		console.error(
+			`Invalid response. Received status ${startRes.status}. Body: ${JSON.stringify(startRes.body)}`,
+		);
+	}
+
+	const isStarted = check(startRes, {
+		'is status 200': (r) => r.status === 200,
+		'has resume URL': (r) => r.status === 200 && typeof r.json('resumeUrl') === 'string',
+	});
+
+	if (!isStarted) return;
+
+	const resumeUrl = toReachableUrl(startRes.json('resumeUrl'));
+
+	// The response is sent before the execution reaches the Wait node, so the
+	// execution might not be waiting yet when we try to resume it
+	let resumeRes;
+	for (let attempt = 0; attempt < maxResumeAttempts; attempt++) {
+		resumeRes = http.post(resumeUrl);
+
+		if (resumeRes.status === 200) break;
+
+		sleep(0.1);
+	}
+
+	if (resumeRes.status !== 200) {
+		console.error(
+			`Failed to resume execution. Received status ${resumeRes.status}. Body: ${JSON.stringify(resumeRes.body)}`,
+		);
+	}
+
+	check(resumeRes, {
+		'is resumed': (r) => r.status === 200,
+	});
+}
@@ -0,0 +1,179 @@
+#!/usr/bin/env zx
+/**
+ * Script to run the benchmarks against n8n in queue mode, with a main and
+ * one or more workers started locally from the build in this repository.
+ * This script will:
+ * 	1. Start the n8n main and wait for it to become online.
+ * 	2. Start the n8n workers.
+ * 	3. Run the benchmarks with the n8n-benchmark cli.
+ * 	4. Stop the main and the workers.
+ *
+ * Redis and Postgres are not started by this script. Configure them using the
+ * usual n8n env vars, e.g. QUEUE_BULL_REDIS_HOST and DB_POSTGRESDB_HOST.
+ *
+ * NOTE: Must be run in the root of the package, after building n8n and the
+ * n8n-benchmark cli.
+ */
+// @ts-check
+import path from 'path';
+import { $, argv, fs, sleep } from 'zx';
+import { flagsObjectToCliArgs } from './utils/flags.mjs';
+
+const paths = {
+	n8nBin: path.resolve('..', '..', 'cli', 'bin', 'n8n'),
+	benchmarkBin: path.resolve('bin', 'n8n-benchmark'),
+};
+
+const N8N_ENCRYPTION_KEY = 'very-secret-encryption-key';
+const MAIN_PORT = 5678;
+const MAIN_RUNNERS_BROKER_PORT = 5679;
+const WORKER_HEALTH_CHECK_BASE_PORT = 5680;
+const WORKER_RUNNERS_BROKER_BASE_PORT = 5690;
+
+async function main() {
+	if (argv.help) {
+		printUsage();
+		process.exit(0);
+	}
+
+	const workerCount = Number(argv.workers ?? 2);
+	const baseRunDir = argv.runDir || process.env.RUN_DIR || '/n8n';
+	const isVerbose = argv.debug || false;
+
+	if (!Number.isInteger(workerCount) || workerCount < 1) {
+		console.error(`Invalid number of workers "${argv.workers}"`);
+		printUsage();
+		process.exit(1);
+	}
+
+	if (!fs.existsSync(baseRunDir)) {
+		console.error(
+			`The run directory "${baseRunDir}" does not exist. Please specify a valid directory using --runDir`,
+		);
+		process.exit(1);
+	}
+
+	const runDir = path.join(baseRunDir, 'scaling-local');
+	fs.emptyDirSync(runDir);
+
+	const commonEnv = {
+		...process.env,
+		N8N_DIAGNOSTICS_ENABLED: 'false',
+		N8N_ENCRYPTION_KEY,
+		EXECUTIONS_MODE: 'queue',
+		DB_TYPE: process.env.DB_TYPE || 'postgresdb',
+	};
+
+	/** @type {import('zx').ProcessPromise[]} */
+	const processes = [];
+
+	try {
+		console.log('Starting n8n main');
+		processes.push(
+			startN8n('start', {
+				...commonEnv,
+				N8N_USER_FOLDER: path.join(runDir, 'main'),
+				N8N_PORT: String(MAIN_PORT),
+				N8N_RUNNERS_BROKER_PORT: String(MAIN_RUNNERS_BROKER_PORT),
+				N8N_METRICS: 'true',
+			}),
+		);
+
+		// The main runs the DB migrations, so the workers are started only after it is online
+		await waitForHealthCheck(`http://localhost:${MAIN_PORT}`);
+
+		const workerUrls = [];
+		for (let i = 0; i < workerCount; i++) {
+			const healthCheckPort = WORKER_HEALTH_CHECK_BASE_PORT + i;
+
+			console.log(`Starting n8n worker ${i + 1}`);
+			processes.push(
+				startN8n('worker', {
+					...commonEnv,
+					N8N_USER_FOLDER: path.join(runDir, `worker${i + 1}`),
+					QUEUE_HEALTH_CHECK_ACTIVE: 'true',
+					QUEUE_HEALTH_CHECK_PORT: String(healthCheckPort),
+					N8N_RUNNERS_BROKER_PORT: String(WORKER_RUNNERS_BROKER_BASE_PORT + i),
+				}),
+			);
+			workerUrls.push(`http://localhost:${healthCheckPort}`);
+		}
+
+		const cliArgs = flagsObjectToCliArgs({
+			n8nBaseUrl: `http://localhost:${MAIN_PORT}`,
+			n8nWorkerUrls: workerUrls.join(','),
+			scenarioNamePrefix: 'scaling-local',
+			scenarioFilter: argv.scenarioFilter,
+			vus: argv.vus,
+			duration: argv.duration,
+			tags: `Env=local,N8nSetup=scaling-local,Workers=${workerCount}`,
+		});
+
+		await $({
+			env: { ...process.env, COLLECT_APP_METRICS: 'true' },
+			verbose: true,
+		})`${paths.benchmarkBin} run ${cliArgs}`;
+	} finally {
+		console.log('Stopping n8n processes');
+		for (const n8nProcess of processes) {
+			await n8nProcess.kill();
+		}
+	}
+
+	/**
+	 * @param {'start' | 'worker'} command
+	 * @param {NodeJS.ProcessEnv} env
+	 */
+	function startN8n(command, env) {
+		const userFolder = env.N8N_USER_FOLDER ?? runDir;
+		fs.ensureDirSync(userFolder);
+
+		const n8nProcess = $({ env, verbose: isVerbose, nothrow: true })`${paths.n8nBin} ${command}`;
+
+		n8nProcess.pipe(fs.createWriteStream(path.join(userFolder, 'n8n.log')));
+
+		return n8nProcess;
+	}
+}
+
+/**
+ * @param {string} baseUrl
+ */
+async function waitForHealthCheck(baseUrl) {
+	const TIMEOUT_MS = 120_000;
+	const startTime = Date.now();
+
+	while (Date.now() - startTime < TIMEOUT_MS) {
+		try {
+			const response = await fetch(`${baseUrl}/healthz`);
+			if (response.ok) return;
+		} catch {}
+
+		await sleep(1000);
+	}
+
+	throw new Error(`n8n at ${baseUrl} did not come online within ${TIMEOUT_MS / 1000} seconds`);
+}
+
+function printUsage() {
+	console.log('Usage: zx scripts/run-scaling-locally.mjs --runDir /path/for/n8n/data');
+	console.log('');
+	console.log('Flags:');
+	console.log(
+		'  --runDir <path>             Directory for storing the n8n data and logs. Default is /n8n',
+	);
+	console.log('  --workers <count>           How many workers to start. Default is 2');
+	console.log('  --scenarioFilter <name>     Filter scenarios by name (case-insensitive)');
+	console.log('  --vus <count>               How many concurrent requests to make');
+	console.log('  --duration <duration>       Test duration, e.g. 1m or 30s');
+	console.log('  --debug                     Enable verbose output');
+	console.log('');
+	console.log('Redis and Postgres are configured with the usual n8n env vars.');
+}
+
+main().catch((error) => {
+	console.error('An error occurred while running the benchmarks:');
+	console.error(error);
+
+	process.exit(1);
+});
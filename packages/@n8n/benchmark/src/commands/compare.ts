@@ -0,0 +1,79 @@
+import { Args, Command, Flags } from '@oclif/core';
+
+import {
+	compareTestReports,
+	formatScenarioComparison,
+	type ScenarioComparison,
+} from '@/test-execution/test-report-comparison';
+import { loadTestReports } from '@/test-execution/test-report-file';
+
+export default class CompareCommand extends Command {
+	static description =
+		'Compare the test reports of a run against a baseline run. Exits with a non-zero code if any metric regressed by more than the threshold';
+
+	static args = {
+		baseline: Args.string({
+			description: 'Path to the baseline test report, or a directory of test reports',
+			required: true,
+		}),
+		current: Args.string({
+			description: 'Path to the test report to compare, or a directory of test reports',
+			required: true,
+		}),
+	};
+
+	static flags = {
+		threshold: Flags.integer({
+			description:
+				'How much worse (in percent) latency, throughput or memory may get before it counts as a regression',
+			default: 10,
+			env: 'BENCHMARK_REGRESSION_THRESHOLD',
+		}),
+	};
+
+	async run() {
+		const { args, flags } = await this.parse(CompareCommand);
+
+		const baselineReports = loadTestReports(args.baseline);
+		const currentReports = loadTestReports(args.current);
+		const isSingleReportComparison = baselineReports.size === 1 && currentReports.size === 1;
+
+		const comparisons: ScenarioComparison[] = [];
+
+		for (const [scenarioRunName, currentReport] of currentReports) {
+			// When comparing two single reports, they don't need to share the run name
+			const baselineReport = isSingleReportComparison
+				? [...baselineReports.values()][0]
+				: baselineReports.get(scenarioRunName);
+
+			if (!baselineReport) {
+				console.warn(`No baseline report for ${scenarioRunName}, skipping`);
+				continue;
+			}
+
+			comparisons.push(
+				compareTestReports(baselineReport, currentReport, { thresholdPercent: flags.threshold }),
+			);
+		}
+
+		if (comparisons.length === 0) {
+			this.error('No test reports to compare', { exit: 2 });
+		}
+
+		for (const comparison of comparisons) {
+			console.log(formatScenarioComparison(comparison));
+			console.log('');
+		}
+
+		const regressedScenarios = comparisons.filter((comparison) => comparison.hasRegression);
+
+		if (regressedScenarios.length > 0) {
+			this.error(
+				`Regression over ${flags.threshold}% threshold in: ${regressedScenarios.map((c) => c.scenarioName).join(', ')}`,
+				{ exit: 1 },
+			);
+		}
+
+		console.log(`No regressions over ${flags.threshold}% threshold`);
+	}
+}
@@ -26,6 +26,11 @@ export default class RunCommand extends Command {
 			default: 'http://localhost:5678',
 			env: 'N8N_BASE_URL',
 		}),
+		n8nWorkerUrls: Flags.string({
+			description:
+				'Comma separated base URLs of the health check servers of the n8n workers, when running against n8n in queue mode. The run waits for every worker to become online',
+			env: 'N8N_WORKER_URLS',
+		}),
 		n8nUserEmail: Flags.string({
 			description: 'The email address of the n8n user',
 			default: 'benchmark-user@n8n.io',
@@ -56,6 +61,12 @@ export default class RunCommand extends Command {
 			default: undefined,
 			env: 'BENCHMARK_RESULT_WEBHOOK_AUTH_HEADER',
 		}),
+		reportDir: Flags.string({
+			description:
+				'Directory where to save the test report of each scenario, e.g. for the compare command',
+			default: undefined,
+			env: 'BENCHMARK_REPORT_DIR',
+		}),
 		n8nUserPassword: Flags.string({
 			description: 'The password of the n8n user',
 			default: 'VerySecret!123',
@@ -107,6 +118,7 @@ export default class RunCommand extends Command {
 							authHeader: flags.resultWebhookAuthHeader,
 						}
 					: undefined,
+				reportDir: flags.reportDir,
 				appMetricsPolling: flags.collectAppMetrics
 					? {
 							enabled: true,
@@ -119,6 +131,7 @@ export default class RunCommand extends Command {
 				password: flags.n8nUserPassword,
 			},
 			flags.scenarioNamePrefix,
+			this.parseWorkerUrls(flags.n8nWorkerUrls).map((url) => new N8nApiClient(url)),
 		);
 
 		const allScenarios = scenarioLoader.loadAll(flags.testScenariosPath, flags.scenarioFilter);
@@ -126,6 +139,17 @@ export default class RunCommand extends Command {
 		await scenarioRunner.runManyScenarios(allScenarios);
 	}
 
+	private parseWorkerUrls(workerUrls: string | undefined): string[] {
+		if (!workerUrls) {
+			return [];
+		}
+
+		return workerUrls
+			.split(',')
+			.map((url) => url.trim())
+			.filter((url) => url.length > 0);
+	}
+
 	private async parseTags(): Promise<K6Tag[]> {
 		const { flags } = await this.parse(RunCommand);
 		if (!flags.tags) {
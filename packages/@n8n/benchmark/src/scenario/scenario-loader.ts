@@ -2,6 +2,7 @@ import { createHash } from 'node:crypto';
 import * as fs from 'node:fs';
 import * as path from 'path';
 
+import { validateLoadProfile, validateScenarioVariables } from '@/test-execution/load-profile';
 import type { Scenario, ScenarioManifest } from '@/types/scenario';
 
 export class ScenarioLoader {
@@ -65,6 +66,12 @@ export class ScenarioLoader {
 		if (!scenario.description) {
 			validationErrors.push(`Scenario at ${scenarioManifestPath} is missing a description`);
 		}
+		if (scenario.loadProfile) {
+			validationErrors.push(...validateLoadProfile(scenario.loadProfile));
+		}
+		if (scenario.variables) {
+			validationErrors.push(...validateScenarioVariables(scenario.variables));
+		}
 
 		return validationErrors.length === 0 ? [scenario, null] : [null, validationErrors];
 	}
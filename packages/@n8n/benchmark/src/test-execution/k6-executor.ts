@@ -4,15 +4,20 @@ import path from 'path';
 import { $, which, tmpfile } from 'zx';
 
 import { AppMetricsPoller } from '@/test-execution/app-metrics-poller';
+import {
+	loadProfileToK6Options,
+	scenarioVariablesToK6EnvFlags,
+} from '@/test-execution/load-profile';
 import { buildTestReport, type K6Tag } from '@/test-execution/test-report';
+import { saveTestReport } from '@/test-execution/test-report-file';
 import type { Scenario } from '@/types/scenario';
 export type { K6Tag };
 
 export type K6ExecutorOpts = {
 	k6ExecutablePath: string;
-	/** How many concurrent requests to make */
+	/** How many concurrent requests to make, unless the scenario has a load profile */
 	vus: number;
-	/** Test duration, e.g. 1m or 30s */
+	/** Test duration, e.g. 1m or 30s, unless the scenario has a load profile */
 	duration: string;
 	k6Out?: string;
 	k6ApiToken?: string;
@@ -22,6 +27,8 @@ export type K6ExecutorOpts = {
 		url: string;
 		authHeader: string;
 	};
+	/** Directory where to save the test reports, e.g. for comparing them later */
+	reportDir?: string;
 	/** Configuration for polling app metrics during test runs */
 	appMetricsPolling?: {
 		enabled: boolean;
@@ -68,10 +75,16 @@ export function handleSummary(data) {
 
 		const flags: K6CliFlag[] = [
 			['--quiet'],
-			['--duration', this.opts.duration],
-			['--vus', this.opts.vus],
+			['--summary-trend-stats', 'avg,min,med,max,p(90),p(95),p(99)'],
+			...scenarioVariablesToK6EnvFlags(scenario.variables),
 		];
 
+		if (scenario.loadProfile) {
+			flags.push(['--config', this.writeK6Config(scenario, scenarioRunName)]);
+		} else {
+			flags.push(['--duration', this.opts.duration], ['--vus', this.opts.vus]);
+		}
+
 		if (this.opts.k6Out) {
 			flags.push(['--out', this.opts.k6Out]);
 		} else if (!this.opts.resultsWebhook && this.opts.k6ApiToken) {
@@ -112,22 +125,28 @@ export function handleSummary(data) {
 
 		console.log('\n');
 
-		if (this.opts.resultsWebhook) {
+		if (this.opts.resultsWebhook || this.opts.reportDir) {
 			const endOfTestSummary = this.loadEndOfTestSummary(runDirPath, scenarioRunName);
 			const appMetricsData = metricsPoller?.getMetricsData();
 
 			const testReport = buildTestReport(
 				scenario,
 				endOfTestSummary,
-				[
-					...(this.opts.tags ?? []),
-					{ name: 'Vus', value: this.opts.vus.toString() },
-					{ name: 'Duration', value: this.opts.duration.toString() },
-				],
+				[...(this.opts.tags ?? []), ...this.getLoadTags(scenario)],
 				appMetricsData,
 			);
 
-			await this.sendTestReport(testReport);
+			if (this.opts.reportDir) {
+				const reportPath = saveTestReport(this.opts.reportDir, scenarioRunName, {
+					...testReport,
+					...(appMetricsData && { appMetricsSamples: appMetricsData }),
+				});
+				console.log(`Saved test report to ${reportPath}`);
+			}
+
+			if (this.opts.resultsWebhook) {
+				await this.sendTestReport(testReport);
+			}
 		}
 	}
 
@@ -165,6 +184,30 @@ export function handleSummary(data) {
 		return tempFilePath;
 	}
 
+	/**
+	 * Writes the k6 options for the load profile of the scenario into a config file
+	 *
+	 * @returns Absolute path to the config file
+	 */
+	private writeK6Config(scenario: Scenario, scenarioRunName: string) {
+		assert(scenario.loadProfile);
+
+		const k6Options = loadProfileToK6Options(scenario.loadProfile);
+
+		return tmpfile(`${scenarioRunName}.config.json`, JSON.stringify(k6Options));
+	}
+
+	private getLoadTags(scenario: Scenario): K6Tag[] {
+		if (scenario.loadProfile) {
+			return [{ name: 'LoadProfile', value: scenario.loadProfile.type }];
+		}
+
+		return [
+			{ name: 'Vus', value: this.opts.vus.toString() },
+			{ name: 'Duration', value: this.opts.duration.toString() },
+		];
+	}
+
 	private loadEndOfTestSummary(dir: string, scenarioRunName: string): K6EndOfTestSummary {
 		const summaryReportPath = path.join(dir, `${scenarioRunName}.summary.json`);
 		const summaryReport = fs.readFileSync(summaryReportPath, 'utf8');
@@ -159,7 +159,7 @@ Example JSON:
 }
  */
 
-type TrendStat = 'avg' | 'min' | 'med' | 'max' | 'p(90)' | 'p(95)';
+type TrendStat = 'avg' | 'min' | 'med' | 'max' | 'p(90)' | 'p(95)' | 'p(99)';
 type MetricType = 'trend' | 'rate' | 'counter';
 type MetricContains = 'time' | 'default' | 'data';
 
@@ -170,6 +170,7 @@ interface TrendValues {
 	max: number;
 	'p(90)': number;
 	'p(95)': number;
+	'p(99)': number;
 }
 
 interface RateValues {
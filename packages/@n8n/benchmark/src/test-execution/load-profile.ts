@@ -0,0 +1,185 @@
+import type { LoadProfile, ScenarioVariables } from '@/types/scenario';
+
+/**
+ * Configuration of a k6 scenario, as in the `scenarios` option of k6
+ * @see https://grafana.com/docs/k6/latest/using-k6/scenarios/
+ */
+type K6ScenarioConfig =
+	| {
+			executor: 'ramping-vus';
+			startVUs: number;
+			stages: Array<{ duration: string; target: number }>;
+	  }
+	| {
+			executor: 'constant-arrival-rate';
+			rate: number;
+			timeUnit: string;
+			duration: string;
+			preAllocatedVUs: number;
+			maxVUs?: number;
+	  }
+	| {
+			executor: 'constant-vus';
+			vus: number;
+			duration: string;
+	  };
+
+export type K6Options = {
+	scenarios: Record<string, K6ScenarioConfig>;
+};
+
+/** Env variables set by the benchmark cli itself, which scenario variables may not override */
+const RESERVED_VARIABLE_NAMES = ['API_BASE_URL', 'DATA_TABLE_ID', 'K6_CLOUD_TOKEN'];
+
+const DURATION_REGEX = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+
+function toK6ScenarioConfig(loadProfile: LoadProfile): K6ScenarioConfig {
+	switch (loadProfile.type) {
+		case 'ramping':
+			return {
+				executor: 'ramping-vus',
+				startVUs: loadProfile.startVus ?? 0,
+				stages: loadProfile.stages,
+			};
+		case 'constant-arrival-rate':
+			return {
+				executor: 'constant-arrival-rate',
+				rate: loadProfile.rate,
+				timeUnit: loadProfile.timeUnit ?? '1s',
+				duration: loadProfile.duration,
+				preAllocatedVUs: loadProfile.preAllocatedVus,
+				...(loadProfile.maxVus !== undefined && { maxVUs: loadProfile.maxVus }),
+			};
+		case 'soak':
+			if (loadProfile.rampUp) {
+				return {
+					executor: 'ramping-vus',
+					startVUs: 0,
+					stages: [
+						{ duration: loadProfile.rampUp, target: loadProfile.vus },
+						{ duration: loadProfile.duration, target: loadProfile.vus },
+					],
+				};
+			}
+
+			return {
+				executor: 'constant-vus',
+				vus: loadProfile.vus,
+				duration: loadProfile.duration,
+			};
+	}
+}
+
+/**
+ * Converts a load profile into k6 options, that can be given to k6 as a config file
+ */
+export function loadProfileToK6Options(loadProfile: LoadProfile): K6Options {
+	return {
+		scenarios: {
+			default: toK6ScenarioConfig(loadProfile),
+		},
+	};
+}
+
+/**
+ * Converts scenario variables into `--env` flags for k6
+ */
+export function scenarioVariablesToK6EnvFlags(variables: ScenarioVariables = {}) {
+	return Object.entries(variables).map(
+		([name, value]) => ['--env', `${name}=${String(value)}`] as [string, string],
+	);
+}
+
+function isValidDuration(duration: unknown) {
+	return typeof duration === 'string' && DURATION_REGEX.test(duration);
+}
+
+function isPositiveInteger(value: unknown) {
+	return typeof value === 'number' && Number.isInteger(value) && value > 0;
+}
+
+function isNonNegativeInteger(value: unknown) {
+	return typeof value === 'number' && Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * @returns List of validation errors, empty if the load profile is valid
+ */
+export function validateLoadProfile(loadProfile: LoadProfile): string[] {
+	const errors: string[] = [];
+
+	switch (loadProfile.type) {
+		case 'ramping':
+			if (loadProfile.startVus !== undefined && !isNonNegativeInteger(loadProfile.startVus)) {
+				errors.push('loadProfile.startVus must be a non-negative integer');
+			}
+			if (!Array.isArray(loadProfile.stages) || loadProfile.stages.length === 0) {
+				errors.push('loadProfile.stages must have at least one stage');
+				break;
+			}
+			loadProfile.stages.forEach((stage, index) => {
+				if (!isValidDuration(stage.duration)) {
+					errors.push(`loadProfile.stages[${index}].duration must be a duration, e.g. 30s`);
+				}
+				if (!isNonNegativeInteger(stage.target)) {
+					errors.push(`loadProfile.stages[${index}].target must be a non-negative integer`);
+				}
+			});
+			break;
+		case 'constant-arrival-rate':
+			if (!isPositiveInteger(loadProfile.rate)) {
+				errors.push('loadProfile.rate must be a positive integer');
+			}
+			if (loadProfile.timeUnit !== undefined && !isValidDuration(loadProfile.timeUnit)) {
+				errors.push('loadProfile.timeUnit must be a duration, e.g. 1s');
+			}
+			if (!isValidDuration(loadProfile.duration)) {
+				errors.push('loadProfile.duration must be a duration, e.g. 1m');
+			}
+			if (!isPositiveInteger(loadProfile.preAllocatedVus)) {
+				errors.push('loadProfile.preAllocatedVus must be a positive integer');
+			}
+			if (
+				loadProfile.maxVus !== undefined &&
+				(!isPositiveInteger(loadProfile.maxVus) || loadProfile.maxVus < loadProfile.preAllocatedVus)
+			) {
+				errors.push('loadProfile.maxVus must be an integer of at least preAllocatedVus');
+			}
+			break;
+		case 'soak':
+			if (!isPositiveInteger(loadProfile.vus)) {
+				errors.push('loadProfile.vus must be a positive integer');
+			}
+			if (!isValidDuration(loadProfile.duration)) {
+				errors.push('loadProfile.duration must be a duration, e.g. 2h');
+			}
+			if (loadProfile.rampUp !== undefined && !isValidDuration(loadProfile.rampUp)) {
+				errors.push('loadProfile.rampUp must be a duration, e.g. 5m');
+			}
+			break;
+		default:
+			errors.push(
+				`loadProfile.type must be one of ramping, constant-arrival-rate or soak, got ${JSON.stringify((loadProfile as { type: unknown }).type)}`,
+			);
+	}
+
+	return errors;
+}
+
+/**
+ * @returns List of validation errors, empty if the variables are valid
+ */
+export function validateScenarioVariables(variables: ScenarioVariables): string[] {
+	const errors: string[] = [];
+
+	for (const [name, value] of Object.entries(variables)) {
+		if (RESERVED_VARIABLE_NAMES.includes(name)) {
+			errors.push(`variables.${name} is reserved and cannot be set by the scenario`);
+		}
+		if (!['string', 'number', 'boolean'].includes(typeof value)) {
+			errors.push(`variables.${name} must be a string, number or boolean`);
+		}
+	}
+
+	return errors;
+}
@@ -21,12 +21,19 @@ export class ScenarioRunner {
 			password: string;
 		},
 		private readonly scenarioPrefix: string,
+		/** Clients for the health check servers of the workers, when n8n runs in queue mode */
+		private readonly n8nWorkerClients: N8nApiClient[] = [],
 	) {}
 
 	async runManyScenarios(scenarios: Scenario[]) {
 		console.log(`Waiting for n8n ${this.n8nClient.apiBaseUrl} to become online`);
 		await this.n8nClient.waitForInstanceToBecomeOnline();
 
+		for (const workerClient of this.n8nWorkerClients) {
+			console.log(`Waiting for n8n worker ${workerClient.apiBaseUrl} to become online`);
+			await workerClient.waitForInstanceToBecomeOnline();
+		}
+
 		console.log('Setting up owner');
 		await this.n8nClient.setupOwnerIfNeeded(this.ownerConfig);
 
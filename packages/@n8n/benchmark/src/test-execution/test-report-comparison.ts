@@ -0,0 +1,182 @@
+import { buildAppMetricsReport, type AppMetricsReport } from '@/test-execution/test-report';
+import type { SavedTestReport } from '@/test-execution/test-report-file';
+
+export type MetricUnit = 'ms' | 'req/s' | 'bytes';
+
+export type MetricComparison = {
+	name: string;
+	unit: MetricUnit;
+	baseline: number;
+	current: number;
+	/** Relative change from baseline to current, in percent */
+	changePercent: number;
+	/** Whether the change is in the bad direction by more than the threshold */
+	isRegression: boolean;
+};
+
+export type ScenarioComparison = {
+	scenarioName: string;
+	metrics: MetricComparison[];
+	hasRegression: boolean;
+};
+
+export type CompareOpts = {
+	/** How much worse (in percent) a metric may get before it counts as a regression */
+	thresholdPercent: number;
+};
+
+/**
+ * Metric to compare. `isHigherBetter` tells in which direction a change is an improvement.
+ */
+type MetricDefinition = {
+	name: string;
+	unit: MetricUnit;
+	isHigherBetter: boolean;
+	getValue: (report: SavedTestReport, appMetrics: AppMetricsReport) => number | undefined;
+};
+
+const METRICS: MetricDefinition[] = [
+	{
+		name: 'Latency p50',
+		unit: 'ms',
+		isHigherBetter: false,
+		getValue: (report) => report.metrics.httpRequestDuration.med,
+	},
+	{
+		name: 'Latency p95',
+		unit: 'ms',
+		isHigherBetter: false,
+		getValue: (report) => report.metrics.httpRequestDuration['p(95)'],
+	},
+	{
+		name: 'Latency p99',
+		unit: 'ms',
+		isHigherBetter: false,
+		getValue: (report) => report.metrics.httpRequestDuration['p(99)'],
+	},
+	{
+		name: 'Throughput',
+		unit: 'req/s',
+		isHigherBetter: true,
+		getValue: (report) => report.metrics.httpRequests.rate,
+	},
+	{
+		name: 'Max heap used',
+		unit: 'bytes',
+		isHigherBetter: false,
+		getValue: (_, appMetrics) => appMetrics.heapSizeUsed?.max,
+	},
+	{
+		name: 'Max resident memory',
+		unit: 'bytes',
+		isHigherBetter: false,
+		getValue: (_, appMetrics) => appMetrics.residentMemory?.max,
+	},
+];
+
+/**
+ * Prefers the raw app metrics samples of a report over its precomputed stats,
+ * so that metrics added later can be compared on older reports too.
+ */
+function getAppMetrics(report: SavedTestReport): AppMetricsReport {
+	if (report.appMetricsSamples && report.appMetricsSamples.length > 0) {
+		return buildAppMetricsReport(report.appMetricsSamples);
+	}
+
+	return report.appMetrics ?? {};
+}
+
+function calculateChangePercent(baseline: number, current: number) {
+	if (baseline === current) return 0;
+	if (baseline === 0) return Infinity;
+
+	return ((current - baseline) / baseline) * 100;
+}
+
+/**
+ * Compares the test report of a run against the test report of a baseline run.
+ * Metrics missing from either report are left out of the comparison.
+ */
+export function compareTestReports(
+	baseline: SavedTestReport,
+	current: SavedTestReport,
+	{ thresholdPercent }: CompareOpts,
+): ScenarioComparison {
+	const baselineAppMetrics = getAppMetrics(baseline);
+	const currentAppMetrics = getAppMetrics(current);
+
+	const metrics: MetricComparison[] = [];
+
+	for (const metric of METRICS) {
+		const baselineValue = metric.getValue(baseline, baselineAppMetrics);
+		const currentValue = metric.getValue(current, currentAppMetrics);
+
+		if (baselineValue === undefined || currentValue === undefined) continue;
+
+		const changePercent = calculateChangePercent(baselineValue, currentValue);
+		const worseningPercent = metric.isHigherBetter ? -changePercent : changePercent;
+
+		metrics.push({
+			name: metric.name,
+			unit: metric.unit,
+			baseline: baselineValue,
+			current: currentValue,
+			changePercent,
+			isRegression: worseningPercent > thresholdPercent,
+		});
+	}
+
+	return {
+		scenarioName: current.scenarioName,
+		metrics,
+		hasRegression: metrics.some((metric) => metric.isRegression),
+	};
+}
+
+function formatValue(value: number, unit: MetricUnit) {
+	switch (unit) {
+		case 'ms':
+			return `${value.toFixed(2)} ms`;
+		case 'req/s':
+			return `${value.toFixed(2)} req/s`;
+		case 'bytes':
+			return `${(value / 1024 / 1024).toFixed(1)} MiB`;
+	}
+}
+
+function formatChange(changePercent: number) {
+	if (!Number.isFinite(changePercent)) return 'n/a';
+
+	const sign = changePercent > 0 ? '+' : '';
+
+	return `${sign}${changePercent.toFixed(2)}%`;
+}
+
+/**
+ * Formats the comparison of a scenario as a human readable table
+ */
+export function formatScenarioComparison(comparison: ScenarioComparison): string {
+	const rows = [
+		['Metric', 'Baseline', 'Current', 'Change', ''],
+		...comparison.metrics.map((metric) => [
+			metric.name,
+			formatValue(metric.baseline, metric.unit),
+			formatValue(metric.current, metric.unit),
+			formatChange(metric.changePercent),
+			metric.isRegression ? 'REGRESSION' : '',
+		]),
+	];
+
+	const columnWidths = rows[0].map((_, column) =>
+		Math.max(...rows.map((row) => row[column].length)),
+	);
+
+	const lines = rows.map((row) =>
+		row
+			.map((cell, column) => cell.padEnd(columnWidths[column]))
+			.join('  ')
+			.trimEnd(),
+	);
+
+	return [`Scenario: ${comparison.scenarioName}`, ...lines.map((line) => `  ${line}`)].join('\n');
+}
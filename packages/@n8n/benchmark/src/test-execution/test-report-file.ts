@@ -0,0 +1,73 @@
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+
+import type { TestReport } from '@/test-execution/test-report';
+
+/**
+ * Test report as saved to disk. Includes the raw app metrics samples
+ * collected by the `AppMetricsPoller`, so that they can be re-analysed later.
+ */
+export type SavedTestReport = TestReport & {
+	appMetricsSamples?: string[];
+};
+
+const REPORT_FILE_SUFFIX = '.report.json';
+
+/**
+ * Saves the test report of a scenario run into the given directory
+ *
+ * @returns Path to the saved report
+ */
+export function saveTestReport(
+	reportDir: string,
+	scenarioRunName: string,
+	report: SavedTestReport,
+): string {
+	fs.mkdirSync(reportDir, { recursive: true });
+
+	const reportPath = path.join(reportDir, `${scenarioRunName}${REPORT_FILE_SUFFIX}`);
+	fs.writeFileSync(reportPath, JSON.stringify(report, null, '\t'));
+
+	return reportPath;
+}
+
+/**
+ * Loads saved test reports from either a single report file or a directory
+ * of report files.
+ *
+ * @returns Reports keyed by scenario run name
+ */
+export function loadTestReports(reportPath: string): Map<string, SavedTestReport> {
+	const resolvedPath = path.resolve(reportPath);
+
+	if (!fs.existsSync(resolvedPath)) {
+		throw new Error(`No test report found at ${resolvedPath}`);
+	}
+
+	const reportFiles = fs.statSync(resolvedPath).isDirectory()
+		? fs
+				.readdirSync(resolvedPath)
+				.filter((fileName) => fileName.endsWith(REPORT_FILE_SUFFIX))
+				.map((fileName) => path.join(resolvedPath, fileName))
+		: [resolvedPath];
+
+	const reports = new Map<string, SavedTestReport>();
+
+	for (const reportFile of reportFiles) {
+		const scenarioRunName = path.basename(reportFile, REPORT_FILE_SUFFIX);
+		reports.set(scenarioRunName, loadTestReportFromFile(reportFile));
+	}
+
+	return reports;
+}
+
+function loadTestReportFromFile(reportFilePath: string): SavedTestReport {
+	const fileContent = fs.readFileSync(reportFilePath, 'utf8');
+
+	try {
+		return JSON.parse(fileContent) as SavedTestReport;
+	} catch (error) {
+		const e = error as Error;
+		throw new Error(`Failed to parse test report file ${reportFilePath}: ${e.message}`);
+	}
+}
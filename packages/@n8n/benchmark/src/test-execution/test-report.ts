@@ -28,6 +28,8 @@ export type TrendMetric = {
 	med: number;
 	max: number;
 	'p(90)': number;
+	/** Missing from reports created before p(99) was collected */
+	'p(99)'?: number;
 };
 
 export type AppMetricStats = {
@@ -42,6 +44,7 @@ export type AppMetricsReport = {
 	heapSizeUsed?: AppMetricStats;
 	externalMemory?: AppMetricStats;
 	eventLoopLag?: AppMetricStats;
+	residentMemory?: AppMetricStats;
 };
 
 export type TestReport = {
@@ -88,6 +91,7 @@ function k6TrendToTrend(trend: K6TrendMetric): TrendMetric {
 		med: trend.values.med,
 		max: trend.values.max,
 		'p(95)': trend.values['p(95)'],
+		'p(99)': trend.values['p(99)'],
 	};
 }
 
@@ -111,12 +115,17 @@ export function buildAppMetricsReport(metricsData: string[]): AppMetricsReport {
 		metricsData,
 		'n8n_nodejs_eventloop_lag_seconds',
 	);
+	const residentMemory = PrometheusMetricsParser.calculateMetricStats(
+		metricsData,
+		'n8n_process_resident_memory_bytes',
+	);
 
 	return {
 		...(heapSizeTotal && { heapSizeTotal }),
 		...(heapSizeUsed && { heapSizeUsed }),
 		...(externalMemory && { externalMemory }),
 		...(eventLoopLag && { eventLoopLag }),
+		...(residentMemory && { residentMemory }),
 	};
 }
 
@@ -7,6 +7,57 @@ export type ScenarioData = {
 	dataTableFile?: string;
 };
 
+/**
+ * A stage of a ramping load profile, e.g. `{ duration: '30s', target: 20 }`
+ * ramps the number of VUs linearly to 20 over 30 seconds.
+ */
+export type LoadProfileStage = {
+	/** Duration of the stage with a unit, e.g. 30s or 1m */
+	duration: string;
+	/** Number of VUs to reach by the end of the stage */
+	target: number;
+};
+
+/** Ramps the number of VUs up and down in stages */
+export type RampingLoadProfile = {
+	type: 'ramping';
+	/** Number of VUs to start with. Defaults to 0 */
+	startVus?: number;
+	stages: LoadProfileStage[];
+};
+
+/** Starts iterations at a fixed rate, regardless of how long each iteration takes */
+export type ConstantArrivalRateLoadProfile = {
+	type: 'constant-arrival-rate';
+	/** Number of iterations to start per `timeUnit` */
+	rate: number;
+	/** Period of time the `rate` applies to, e.g. 1s or 1m. Defaults to 1s */
+	timeUnit?: string;
+	/** Duration of the test with a unit, e.g. 1m */
+	duration: string;
+	/** Number of VUs to allocate before the test starts */
+	preAllocatedVus: number;
+	/** Maximum number of VUs to allocate if the pre-allocated VUs are not enough */
+	maxVus?: number;
+};
+
+/** Keeps a steady number of VUs for a long period of time */
+export type SoakLoadProfile = {
+	type: 'soak';
+	vus: number;
+	/** Duration of the test with a unit, e.g. 2h */
+	duration: string;
+	/** Duration to ramp up to `vus` before the soak starts, e.g. 5m */
+	rampUp?: string;
+};
+
+export type LoadProfile = RampingLoadProfile | ConstantArrivalRateLoadProfile | SoakLoadProfile;
+
+/**
+ * Variables passed to the k6 script, where they are available in `__ENV`
+ */
+export type ScenarioVariables = Record<string, string | number | boolean>;
+
 /**
  * Configuration that defines the benchmark scenario
  */
@@ -19,6 +70,10 @@ export type ScenarioManifest = {
 	scriptPath: string;
 	/** Data to import before running the scenario */
 	scenarioData: ScenarioData;
+	/** How to apply load. If not given, the VUs and duration of the run are used */
+	loadProfile?: LoadProfile;
+	/** Variables passed to the k6 script */
+	variables?: ScenarioVariables;
 };
 
 /**
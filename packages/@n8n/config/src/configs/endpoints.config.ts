@@ -73,6 +73,14 @@ class PrometheusMetricsConfig {
 	/** How often (in seconds) to update workflow statistics metrics. */
 	@Env('N8N_METRICS_WORKFLOW_STATISTICS_INTERVAL')
 	workflowStatisticsInterval: number = 300;
+
+	/** Whether to include metrics for executions waiting in concurrency control queues. Regular mode only. */
+	@Env('N8N_METRICS_INCLUDE_CONCURRENCY_METRICS')
+	includeConcurrencyMetrics: boolean = false;
+
+	/** Whether to include a histogram of production workflow execution durations, with workflow and project labels. */
+	@Env('N8N_METRICS_INCLUDE_WORKFLOW_RUNTIME_HISTOGRAM')
+	includeWorkflowRuntimeHistogram: boolean = false;
 }
 
 @Config
@@ -26,6 +26,21 @@ class ConcurrencyConfig {
 	/** Max evaluation executions allowed to run concurrently. `-1` means unlimited. */
 	@Env('N8N_CONCURRENCY_EVALUATION_LIMIT')
 	evaluationLimit: number = -1;
+
+	/**
+	 * Max production executions allowed to run concurrently per project. `-1` means unlimited.
+	 *
+	 * Applied on top of the production limit. Regular mode only.
+	 */
+	@Env('N8N_CONCURRENCY_PROJECT_LIMIT')
+	projectLimit: number = -1;
+
+	/**
+	 * Max production executions allowed to run concurrently across all workers
+	 * in scaling mode, enforced via Redis. `-1` means unlimited.
+	 */
+	@Env('N8N_CONCURRENCY_QUEUE_MODE_PRODUCTION_LIMIT')
+	queueModeProductionLimit: number = -1;
 }
 
 @Config
@@ -100,6 +115,14 @@ export class ExecutionsConfig {
 	@Env('EXECUTIONS_DATA_HARD_DELETE_BUFFER')
 	pruneDataHardDeleteBuffer: number = 1;
 
+	/**
+	 * Whether to archive executions to the binary data store before hard-deleting
+	 * them, so that they can be restored with `n8n execution:restore`. Requires
+	 * `filesystem` or `s3` binary data mode.
+	 */
+	@Env('EXECUTIONS_DATA_PRUNE_ARCHIVE')
+	pruneDataArchive: boolean = false;
+
 	@Nested
 	pruneDataIntervals: PruningIntervalsConfig;
 
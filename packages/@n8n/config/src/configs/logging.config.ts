@@ -31,6 +31,7 @@ export const LOG_SCOPES = [
 	'source-control',
 	'dynamic-credentials',
 	'workflow-history-compaction',
+	'binary-data',
 ] as const;
 
 export type LogScope = (typeof LOG_SCOPES)[number];
@@ -208,6 +208,8 @@ describe('GlobalConfig', () => {
 				activeWorkflowCountInterval: 60,
 				includeWorkflowStatistics: false,
 				workflowStatisticsInterval: 300,
+				includeConcurrencyMetrics: false,
+				includeWorkflowRuntimeHistogram: false,
 			},
 			additionalNonUIRoutes: '',
 			disableProductionWebhooksOnMainProcess: false,
@@ -339,6 +341,7 @@ describe('GlobalConfig', () => {
 			pruneDataMaxAge: 336,
 			pruneDataMaxCount: 10_000,
 			pruneDataHardDeleteBuffer: 1,
+			pruneDataArchive: false,
 			pruneDataIntervals: {
 				hardDelete: 15,
 				softDelete: 60,
@@ -346,6 +349,8 @@ describe('GlobalConfig', () => {
 			concurrency: {
 				productionLimit: -1,
 				evaluationLimit: -1,
+				projectLimit: -1,
+				queueModeProductionLimit: -1,
 			},
 			queueRecovery: {
 				interval: 180,
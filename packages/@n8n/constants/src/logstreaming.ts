@@ -10,3 +10,15 @@ export const LOGSTREAMING_CB_DEFAULT_MAX_FAILURES = 5;
 export const LOGSTREAMING_CB_DEFAULT_HALF_OPEN_REQUESTS = 2;
 export const LOGSTREAMING_CB_DEFAULT_FAILURE_WINDOW_MS = 1 * Time.minutes.toMilliseconds;
 export const LOGSTREAMING_CB_DEFAULT_CONCURRENT_HALF_OPEN_REQUESTS = 1;
+
+export const LOGSTREAMING_BATCH_DEFAULT_SIZE = 100;
+export const LOGSTREAMING_BATCH_DEFAULT_FLUSH_INTERVAL_MS = 5 * Time.seconds.toMilliseconds;
+export const LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS = 10_000;
+
+export const LOGSTREAMING_RETRY_DEFAULT_MAX_ATTEMPTS = 5;
+export const LOGSTREAMING_RETRY_DEFAULT_INITIAL_DELAY_MS = 1 * Time.seconds.toMilliseconds;
+export const LOGSTREAMING_RETRY_DEFAULT_MAX_DELAY_MS = 5 * Time.minutes.toMilliseconds;
+
+export const LOGSTREAMING_DEAD_LETTER_MAX_PER_DESTINATION = 10_000;
+export const LOGSTREAMING_DEAD_LETTER_OVERDUE_RETRY_MS = 1 * Time.days.toMilliseconds;
+export const LOGSTREAMING_DEAD_LETTER_PRUNE_INTERVAL_MS = 1 * Time.hours.toMilliseconds;
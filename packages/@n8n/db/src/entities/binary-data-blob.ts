@@ -0,0 +1,27 @@
+import { Column, Entity, PrimaryColumn } from '@n8n/typeorm';
+
+import { WithTimestamps } from './abstract-entity';
+
+/**
+ * Unique binary file content, stored once per binary data mode when
+ * deduplication is enabled, and shared by all references to it.
+ */
+@Entity('binary_data_blob')
+export class BinaryDataBlob extends WithTimestamps {
+	@PrimaryColumn('varchar', { length: 20 })
+	mode: string;
+
+	/** SHA-256 hash of the content, hex encoded */
+	@PrimaryColumn('varchar', { length: 64 })
+	hash: string;
+
+	/** File ID of the content in the manager of the binary data mode */
+	@Column('text')
+	fileId: string;
+
+	@Column('int')
+	fileSize: number; // bytes
+
+	@Column('int')
+	referenceCount: number;
+}
@@ -3,7 +3,11 @@ import { z } from 'zod';
 
 import { BinaryColumn, WithTimestamps } from './abstract-entity';
 
-export const SourceTypeSchema = z.enum(['execution', 'chat_message_attachment']);
+export const SourceTypeSchema = z.enum([
+	'execution',
+	'chat_message_attachment',
+	'binary_data_blob',
+]);
 
 export type SourceType = z.infer<typeof SourceTypeSchema>;
 
@@ -0,0 +1,35 @@
+import { Column, Entity, Index, PrimaryColumn } from '@n8n/typeorm';
+
+import { WithTimestamps } from './abstract-entity';
+
+/**
+ * Binary file of an execution or other source, pointing to the deduplicated
+ * content it shares with other references.
+ */
+@Entity('binary_data_reference')
+export class BinaryDataReference extends WithTimestamps {
+	@PrimaryColumn('uuid')
+	id: string;
+
+	@Column('varchar', { length: 20 })
+	mode: string;
+
+	@Column('varchar', { length: 64 })
+	hash: string;
+
+	/** Path of the location the file was stored at, e.g. `workflows/1/executions/2` */
+	@Index()
+	@Column('varchar', { length: 255 })
+	location: string;
+
+	@Column('varchar', { length: 255, nullable: true })
+	mimeType: string | null;
+
+	@Column('varchar', { length: 255, nullable: true })
+	fileName: string | null;
+
+	@Column('int')
+	fileSize: number; // bytes
+}
+
+Index(['mode', 'hash'])(BinaryDataReference);
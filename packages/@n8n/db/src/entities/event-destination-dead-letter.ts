@@ -0,0 +1,39 @@
+import { Column, Entity, Index, ManyToOne } from '@n8n/typeorm';
+
+import { DateTimeColumn, JsonColumn, WithTimestampsAndStringId } from './abstract-entity';
+import { EventDestinations } from './event-destinations';
+
+/**
+ * Event that an event destination failed to send. While `nextRetryAt` is set,
+ * the event is still being retried. Once all retries failed, it is a dead letter,
+ * kept so that it can be inspected and replayed.
+ */
+@Entity({ name: 'event_destination_dead_letter' })
+export class EventDestinationDeadLetter extends WithTimestampsAndStringId {
+	@ManyToOne(() => EventDestinations, { onDelete: 'CASCADE' })
+	destination: EventDestinations;
+
+	@Index()
+	@Column({ type: 'uuid' })
+	destinationId: string;
+
+	@Column({ type: 'varchar', length: 36 })
+	eventId: string;
+
+	@Column({ type: 'varchar', length: 128 })
+	eventName: string;
+
+	/** Serialized event message, as written to the event log */
+	@JsonColumn()
+	message: Record<string, unknown>;
+
+	@Column({ type: 'int' })
+	attempts: number;
+
+	@Column({ type: 'text', nullable: true })
+	lastError: string | null;
+
+	/** When the next retry is due, or null once all retries failed */
+	@DateTimeColumn({ nullable: true })
+	nextRetryAt: Date | null;
+}
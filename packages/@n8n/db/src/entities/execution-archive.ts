@@ -0,0 +1,21 @@
+import { Column, Entity, Index, PrimaryColumn } from '@n8n/typeorm';
+
+import { WithTimestamps } from './abstract-entity';
+
+/**
+ * Execution that was archived to the binary data store before being
+ * hard-deleted, pointing to the compressed bundle it can be restored from.
+ */
+@Entity({ name: 'execution_archive' })
+export class ExecutionArchive extends WithTimestamps {
+	@PrimaryColumn({ type: 'varchar', length: 36 })
+	executionId: string;
+
+	@Index()
+	@Column({ type: 'varchar', length: 36 })
+	workflowId: string;
+
+	/** Binary data ID of the archive bundle, e.g. `s3:execution-archives/...` */
+	@Column({ type: 'text' })
+	binaryDataId: string;
+}
@@ -0,0 +1,45 @@
+import { Column, Entity, ManyToOne } from '@n8n/typeorm';
+import type { ExecutionStatus } from 'n8n-workflow';
+
+import { WithTimestampsAndStringId } from './abstract-entity';
+import type { Project } from './project';
+import type { TagEntity } from './tag-entity';
+import type { WorkflowEntity } from './workflow-entity';
+
+/**
+ * Overrides how long finished executions are kept before they are pruned.
+ *
+ * A rule matches executions by workflow, project, tag and status. Filters that
+ * are not set match any execution. If several rules match an execution, the
+ * one with the longest `maxAge` applies.
+ */
+@Entity({ name: 'execution_retention_rule' })
+export class ExecutionRetentionRule extends WithTimestampsAndStringId {
+	@Column({ type: 'varchar', length: 128 })
+	name: string;
+
+	@ManyToOne('WorkflowEntity', { onDelete: 'CASCADE' })
+	workflow: WorkflowEntity | null;
+
+	@Column({ type: 'varchar', length: 36, nullable: true })
+	workflowId: string | null;
+
+	@ManyToOne('Project', { onDelete: 'CASCADE' })
+	project: Project | null;
+
+	@Column({ type: 'varchar', length: 36, nullable: true })
+	projectId: string | null;
+
+	@ManyToOne('TagEntity', { onDelete: 'CASCADE' })
+	tag: TagEntity | null;
+
+	@Column({ type: 'varchar', length: 36, nullable: true })
+	tagId: string | null;
+
+	@Column({ type: 'varchar', nullable: true })
+	status: ExecutionStatus | null;
+
+	/** Hours to keep matching executions for, after they stopped */
+	@Column({ type: 'int' })
+	maxAge: number;
+}
@@ -3,13 +3,18 @@ import { AnnotationTagMapping } from './annotation-tag-mapping.ee';
 import { ApiKey } from './api-key';
 import { AuthIdentity } from './auth-identity';
 import { AuthProviderSyncHistory } from './auth-provider-sync-history';
+import { BinaryDataBlob } from './binary-data-blob';
 import { BinaryDataFile, SourceTypeSchema, type SourceType } from './binary-data-file';
+import { BinaryDataReference } from './binary-data-reference';
 import { CredentialsEntity } from './credentials-entity';
+import { EventDestinationDeadLetter } from './event-destination-dead-letter';
 import { EventDestinations } from './event-destinations';
 import { ExecutionAnnotation } from './execution-annotation.ee';
+import { ExecutionArchive } from './execution-archive';
 import { ExecutionData } from './execution-data';
 import { ExecutionEntity } from './execution-entity';
 import { ExecutionMetadata } from './execution-metadata';
+import { ExecutionRetentionRule } from './execution-retention-rule';
 import { Folder } from './folder';
 import { FolderTagMapping } from './folder-tag-mapping';
 import { InvalidAuthToken } from './invalid-auth-token';
@@ -35,6 +40,7 @@ import { WorkflowStatistics } from './workflow-statistics';
 import { WorkflowTagMapping } from './workflow-tag-mapping';
 
 export {
+	EventDestinationDeadLetter,
 	EventDestinations,
 	InvalidAuthToken,
 	ProcessedData,
@@ -42,6 +48,8 @@ export {
 	Variables,
 	ApiKey,
 	BinaryDataFile,
+	BinaryDataBlob,
+	BinaryDataReference,
 	SourceTypeSchema,
 	type SourceType,
 	WebhookEntity,
@@ -66,6 +74,8 @@ export {
 	WorkflowPublishHistory,
 	ExecutionData,
 	ExecutionMetadata,
+	ExecutionRetentionRule,
+	ExecutionArchive,
 	AnnotationTagEntity,
 	ExecutionAnnotation,
 	AnnotationTagMapping,
@@ -75,6 +85,7 @@ export {
 };
 
 export const entities = {
+	EventDestinationDeadLetter,
 	EventDestinations,
 	InvalidAuthToken,
 	ProcessedData,
@@ -82,6 +93,8 @@ export const entities = {
 	Variables,
 	ApiKey,
 	BinaryDataFile,
+	BinaryDataBlob,
+	BinaryDataReference,
 	WebhookEntity,
 	AuthIdentity,
 	CredentialsEntity,
@@ -103,6 +116,8 @@ export const entities = {
 	WorkflowPublishHistory,
 	ExecutionData,
 	ExecutionMetadata,
+	ExecutionRetentionRule,
+	ExecutionArchive,
 	AnnotationTagEntity,
 	ExecutionAnnotation,
 	AnnotationTagMapping,
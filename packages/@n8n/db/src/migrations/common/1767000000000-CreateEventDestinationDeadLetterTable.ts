@@ -0,0 +1,29 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const tableName = 'event_destination_dead_letter';
+
+export class CreateEventDestinationDeadLetterTable1767000000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(tableName)
+			.withColumns(
+				column('id').varchar(36).primary.notNull,
+				column('destinationId').uuid.notNull,
+				column('eventId').varchar(36).notNull,
+				column('eventName').varchar(128).notNull,
+				column('message').json.notNull,
+				column('attempts').int.notNull,
+				column('lastError').text,
+				column('nextRetryAt').timestampTimezone(),
+			)
+			.withTimestamps.withForeignKey('destinationId', {
+				tableName: 'event_destinations',
+				columnName: 'id',
+				onDelete: 'CASCADE',
+			})
+			.withIndexOn(['destinationId']);
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(tableName);
+	}
+}
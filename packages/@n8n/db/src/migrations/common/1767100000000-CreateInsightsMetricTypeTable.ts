@@ -0,0 +1,20 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const tableName = 'insights_metric_type';
+
+/**
+ * User-defined metric types emitted from workflows. Rows of `insights_raw` and
+ * `insights_by_period` reference them by type number, which is the id plus an
+ * offset of 1000, so that they never collide with the built-in types 0-3.
+ */
+export class CreateInsightsMetricTypeTable1767100000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(tableName)
+			.withColumns(column('id').int.primary.autoGenerate2, column('name').varchar(128).notNull)
+			.withTimestamps.withIndexOn('name', true);
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(tableName);
+	}
+}
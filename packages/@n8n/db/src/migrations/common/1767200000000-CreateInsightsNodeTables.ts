@@ -0,0 +1,70 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const names = {
+	insightsMetadata: 'insights_metadata',
+	insightsNodeMetadata: 'insights_node_metadata',
+	insightsNodeRaw: 'insights_node_raw',
+	insightsNodeByPeriod: 'insights_node_by_period',
+};
+
+const typeComment = '1: runtime_milliseconds, 2: success, 3: failure, 4: items_output';
+
+/**
+ * Optional per-node insights. The raw and by-period tables have the same
+ * columns as `insights_raw` and `insights_by_period`, so that they can be
+ * compacted with the same queries.
+ */
+export class CreateInsightsNodeTables1767200000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(names.insightsNodeMetadata)
+			.withColumns(
+				column('metaId').int.primary.autoGenerate2,
+				column('workflowMetaId').int.notNull,
+				column('nodeId').varchar(36).notNull,
+				column('nodeName').varchar(128).notNull,
+				column('nodeType').varchar(255).notNull,
+			)
+			.withForeignKey('workflowMetaId', {
+				tableName: names.insightsMetadata,
+				columnName: 'metaId',
+				onDelete: 'CASCADE',
+			})
+			.withIndexOn(['workflowMetaId', 'nodeId'], true);
+
+		await createTable(names.insightsNodeRaw)
+			.withColumns(
+				column('id').int.primary.autoGenerate2,
+				column('metaId').int.notNull,
+				column('type').int.notNull.comment(typeComment),
+				column('value').bigint.notNull,
+				column('timestamp').timestampTimezone(0).default('CURRENT_TIMESTAMP').notNull,
+			)
+			.withForeignKey('metaId', {
+				tableName: names.insightsNodeMetadata,
+				columnName: 'metaId',
+				onDelete: 'CASCADE',
+			});
+
+		await createTable(names.insightsNodeByPeriod)
+			.withColumns(
+				column('id').int.primary.autoGenerate2,
+				column('metaId').int.notNull,
+				column('type').int.notNull.comment(typeComment),
+				column('value').bigint.notNull,
+				column('periodUnit').int.notNull.comment('0: hour, 1: day, 2: week'),
+				column('periodStart').default('CURRENT_TIMESTAMP').timestampTimezone(0),
+			)
+			.withForeignKey('metaId', {
+				tableName: names.insightsNodeMetadata,
+				columnName: 'metaId',
+				onDelete: 'CASCADE',
+			})
+			.withIndexOn(['periodStart', 'type', 'periodUnit', 'metaId'], true);
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(names.insightsNodeByPeriod);
+		await dropTable(names.insightsNodeRaw);
+		await dropTable(names.insightsNodeMetadata);
+	}
+}
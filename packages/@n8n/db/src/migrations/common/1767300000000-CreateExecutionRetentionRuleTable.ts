@@ -0,0 +1,37 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const tableName = 'execution_retention_rule';
+
+export class CreateExecutionRetentionRuleTable1767300000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(tableName)
+			.withColumns(
+				column('id').varchar(36).primary.notNull,
+				column('name').varchar(128).notNull,
+				column('workflowId').varchar(36),
+				column('projectId').varchar(36),
+				column('tagId').varchar(36),
+				column('status').varchar(),
+				column('maxAge').int.notNull,
+			)
+			.withTimestamps.withForeignKey('workflowId', {
+				tableName: 'workflow_entity',
+				columnName: 'id',
+				onDelete: 'CASCADE',
+			})
+			.withForeignKey('projectId', {
+				tableName: 'project',
+				columnName: 'id',
+				onDelete: 'CASCADE',
+			})
+			.withForeignKey('tagId', {
+				tableName: 'tag_entity',
+				columnName: 'id',
+				onDelete: 'CASCADE',
+			});
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(tableName);
+	}
+}
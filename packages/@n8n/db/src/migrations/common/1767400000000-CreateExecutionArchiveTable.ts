@@ -0,0 +1,19 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const tableName = 'execution_archive';
+
+export class CreateExecutionArchiveTable1767400000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(tableName)
+			.withColumns(
+				column('executionId').varchar(36).primary.notNull,
+				column('workflowId').varchar(36).notNull,
+				column('binaryDataId').text.notNull,
+			)
+			.withTimestamps.withIndexOn(['workflowId']);
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(tableName);
+	}
+}
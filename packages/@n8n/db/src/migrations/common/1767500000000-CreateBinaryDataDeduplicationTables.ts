@@ -0,0 +1,71 @@
+import { TableCheck } from '@n8n/typeorm';
+
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const sourceTypes = ['execution', 'chat_message_attachment'];
+
+export class CreateBinaryDataDeduplicationTables1767500000000 implements ReversibleMigration {
+	async up(context: MigrationContext) {
+		const {
+			schemaBuilder: { createTable, column },
+		} = context;
+
+		await createTable('binary_data_blob').withColumns(
+			column('mode').varchar(20).primary.notNull,
+			column('hash').varchar(64).primary.notNull.comment('SHA-256 hash of the content'),
+			column('fileId').text.notNull,
+			column('fileSize').int.notNull.comment('In bytes'),
+			column('referenceCount').int.notNull,
+		).withTimestamps;
+
+		await createTable('binary_data_reference')
+			.withColumns(
+				column('id').uuid.primary.notNull,
+				column('mode').varchar(20).notNull,
+				column('hash').varchar(64).notNull,
+				column('location').varchar(255).notNull,
+				column('mimeType').varchar(255),
+				column('fileName').varchar(255),
+				column('fileSize').int.notNull.comment('In bytes'),
+			)
+			.withIndexOn('location')
+			.withIndexOn(['mode', 'hash']).withTimestamps;
+
+		// `database` mode stores deduplicated content under its own source type
+		await replaceSourceTypeCheck(context, [...sourceTypes, 'binary_data_blob']);
+	}
+
+	async down(context: MigrationContext) {
+		const {
+			schemaBuilder: { dropTable },
+			escape,
+			runQuery,
+		} = context;
+
+		await runQuery(
+			`DELETE FROM ${escape.tableName('binary_data')} WHERE ${escape.columnName('sourceType')} = 'binary_data_blob'`,
+		);
+		await replaceSourceTypeCheck(context, sourceTypes);
+
+		await dropTable('binary_data_reference');
+		await dropTable('binary_data_blob');
+	}
+}
+
+async function replaceSourceTypeCheck(
+	{ queryRunner, tablePrefix, escape, isMysql }: MigrationContext,
+	values: string[],
+) {
+	// check constraints are not created on MySQL and MariaDB
+	if (isMysql) return;
+
+	const tableName = `${tablePrefix}binary_data`;
+	const checkName = `CHK_${tableName}_sourceType`;
+	const expression = `${escape.columnName('sourceType')} IN (${values.map((v) => `'${v}'`).join(', ')})`;
+
+	await queryRunner.dropCheckConstraint(tableName, checkName);
+	await queryRunner.createCheckConstraint(
+		tableName,
+		new TableCheck({ name: checkName, expression }),
+	);
+}
@@ -0,0 +1,27 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const tableName = 'mcp_prompt';
+
+export class CreateMcpPromptTable1767600000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(tableName)
+			.withColumns(
+				column('id').varchar(36).primary.notNull,
+				column('projectId').varchar(36).notNull,
+				column('name').varchar(128).notNull,
+				column('description').varchar(512),
+				column('template').text.notNull,
+				column('arguments').json.notNull,
+			)
+			.withTimestamps.withIndexOn(['projectId', 'name'], true)
+			.withForeignKey('projectId', {
+				tableName: 'project',
+				columnName: 'id',
+				onDelete: 'CASCADE',
+			});
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(tableName);
+	}
+}
@@ -0,0 +1,14 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const table = 'data_table_column';
+
+export class AddEnumValuesToDataTableColumn1767700000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { addColumns, column } }: MigrationContext) {
+		// Allowed values of enum columns, null for columns of other types
+		await addColumns(table, [column('enumValues').json]);
+	}
+
+	async down({ schemaBuilder: { dropColumns } }: MigrationContext) {
+		await dropColumns(table, ['enumValues']);
+	}
+}
@@ -0,0 +1,25 @@
+import type { MigrationContext, ReversibleMigration } from '../migration-types';
+
+const tableName = 'data_table_index';
+
+export class CreateDataTableIndexTable1767800000000 implements ReversibleMigration {
+	async up({ schemaBuilder: { createTable, column } }: MigrationContext) {
+		await createTable(tableName)
+			.withColumns(
+				column('id').varchar(36).primary.notNull,
+				column('dataTableId').varchar(36).notNull,
+				column('columnNames').json.notNull.comment('Indexed columns, in order'),
+				column('isUnique').bool.notNull.default(false),
+			)
+			.withTimestamps.withIndexOn(['dataTableId'])
+			.withForeignKey('dataTableId', {
+				tableName: 'data_table',
+				columnName: 'id',
+				onDelete: 'CASCADE',
+			});
+	}
+
+	async down({ schemaBuilder: { dropTable } }: MigrationContext) {
+		await dropTable(tableName);
+	}
+}
@@ -7,6 +7,7 @@ export class Column {
 		| 'varchar'
 		| 'text'
 		| 'json'
+		| 'jsonb'
 		| 'timestamptz'
 		| 'timestamp'
 		| 'uuid'
@@ -74,6 +75,15 @@ export class Column {
 		return this;
 	}
 
+	/**
+	 * Binary JSON on Postgres, which supports comparison and ordering of JSON values.
+	 * Same as `json` on other databases.
+	 */
+	get jsonb() {
+		this.type = 'jsonb';
+		return this;
+	}
+
 	/**
 	 * @deprecated use `timestampTimezone` instead
 	 **/
@@ -181,6 +191,14 @@ export class Column {
 			options.type = isPostgres ? 'timestamp' : 'datetime';
 		} else if (type === 'json' && isSqlite) {
 			options.type = 'text';
+		} else if (type === 'jsonb') {
+			if (isPostgres) {
+				options.type = 'jsonb';
+			} else if (isMysql) {
+				options.type = 'json';
+			} else if (isSqlite) {
+				options.type = 'text';
+			}
 		} else if (type === 'uuid') {
 			// mysql does not support uuid type
 			if (isMysql) options.type = 'varchar(36)';
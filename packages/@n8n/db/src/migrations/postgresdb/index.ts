@@ -132,6 +132,15 @@ import { AddAgentIdForeignKeys1765886667897 } from '../common/1765886667897-AddA
 import { AddWorkflowVersionIdToExecutionData1765892199653 } from '../common/1765892199653-AddVersionIdToExecutionData';
 import { AddWorkflowPublishScopeToProjectRoles1766064542000 } from '../common/1766064542000-AddWorkflowPublishScopeToProjectRoles';
 import { AddChatMessageIndices1766068346315 } from '../common/1766068346315-AddChatMessageIndices';
+import { CreateEventDestinationDeadLetterTable1767000000000 } from '../common/1767000000000-CreateEventDestinationDeadLetterTable';
+import { CreateInsightsMetricTypeTable1767100000000 } from '../common/1767100000000-CreateInsightsMetricTypeTable';
+import { CreateInsightsNodeTables1767200000000 } from '../common/1767200000000-CreateInsightsNodeTables';
+import { CreateExecutionRetentionRuleTable1767300000000 } from '../common/1767300000000-CreateExecutionRetentionRuleTable';
+import { CreateExecutionArchiveTable1767400000000 } from '../common/1767400000000-CreateExecutionArchiveTable';
+import { CreateBinaryDataDeduplicationTables1767500000000 } from '../common/1767500000000-CreateBinaryDataDeduplicationTables';
+import { CreateMcpPromptTable1767600000000 } from '../common/1767600000000-CreateMcpPromptTable';
+import { AddEnumValuesToDataTableColumn1767700000000 } from '../common/1767700000000-AddEnumValuesToDataTableColumn';
+import { CreateDataTableIndexTable1767800000000 } from '../common/1767800000000-CreateDataTableIndexTable';
 import type { Migration } from '../migration-types';
 
 export const postgresMigrations: Migration[] = [
@@ -269,4 +278,13 @@ export const postgresMigrations: Migration[] = [
 	AddWorkflowPublishScopeToProjectRoles1766064542000,
 	AddChatMessageIndices1766068346315,
 	ExpandInsightsWorkflowIdLength1766500000000,
+	CreateEventDestinationDeadLetterTable1767000000000,
+	CreateInsightsMetricTypeTable1767100000000,
+	CreateInsightsNodeTables1767200000000,
+	CreateExecutionRetentionRuleTable1767300000000,
+	CreateExecutionArchiveTable1767400000000,
+	CreateBinaryDataDeduplicationTables1767500000000,
+	CreateMcpPromptTable1767600000000,
+	AddEnumValuesToDataTableColumn1767700000000,
+	CreateDataTableIndexTable1767800000000,
 ];
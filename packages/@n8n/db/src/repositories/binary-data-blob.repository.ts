@@ -0,0 +1,11 @@
+import { Service } from '@n8n/di';
+import { DataSource, Repository } from '@n8n/typeorm';
+
+import { BinaryDataBlob } from '../entities';
+
+@Service()
+export class BinaryDataBlobRepository extends Repository<BinaryDataBlob> {
+	constructor(dataSource: DataSource) {
+		super(BinaryDataBlob, dataSource.manager);
+	}
+}
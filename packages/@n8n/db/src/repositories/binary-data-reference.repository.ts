@@ -0,0 +1,11 @@
+import { Service } from '@n8n/di';
+import { DataSource, Repository } from '@n8n/typeorm';
+
+import { BinaryDataReference } from '../entities';
+
+@Service()
+export class BinaryDataReferenceRepository extends Repository<BinaryDataReference> {
+	constructor(dataSource: DataSource) {
+		super(BinaryDataReference, dataSource.manager);
+	}
+}
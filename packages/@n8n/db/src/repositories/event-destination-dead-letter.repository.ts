@@ -0,0 +1,52 @@
+import { Service } from '@n8n/di';
+import { DataSource, In, LessThan, Repository } from '@n8n/typeorm';
+
+import { EventDestinationDeadLetter } from '../entities';
+
+/** Rows deleted per query, to stay below the parameter limits of the databases */
+const DELETE_BATCH_SIZE = 500;
+
+@Service()
+export class EventDestinationDeadLetterRepository extends Repository<EventDestinationDeadLetter> {
+	constructor(dataSource: DataSource) {
+		super(EventDestinationDeadLetter, dataSource.manager);
+	}
+
+	/**
+	 * Deletes retry states whose retry was due before `overdueBefore`, as nothing
+	 * retries their events anymore, and the oldest rows of each destination beyond
+	 * `maxPerDestination`, so that the table does not grow while a destination is down.
+	 *
+	 * @returns the number of deleted rows
+	 */
+	async prune(overdueBefore: Date, maxPerDestination: number) {
+		const { affected: overdue } = await this.delete({ nextRetryAt: LessThan(overdueBefore) });
+		let deleted = overdue ?? 0;
+
+		const destinations = await this.createQueryBuilder('deadLetter')
+			.select('deadLetter.destinationId', 'destinationId')
+			.addSelect('COUNT(*)', 'count')
+			.groupBy('deadLetter.destinationId')
+			.having('COUNT(*) > :maxPerDestination', { maxPerDestination })
+			.getRawMany<{ destinationId: string; count: number | string }>();
+
+		for (const { destinationId, count } of destinations) {
+			let excess = Number(count) - maxPerDestination;
+			while (excess > 0) {
+				const oldest = await this.find({
+					select: { id: true },
+					where: { destinationId },
+					order: { createdAt: 'ASC' },
+					take: Math.min(excess, DELETE_BATCH_SIZE),
+				});
+				if (oldest.length === 0) break;
+
+				await this.delete({ id: In(oldest.map(({ id }) => id)) });
+				deleted += oldest.length;
+				excess -= oldest.length;
+			}
+		}
+
+		return deleted;
+	}
+}
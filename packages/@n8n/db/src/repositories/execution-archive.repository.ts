@@ -0,0 +1,11 @@
+import { Service } from '@n8n/di';
+import { DataSource, Repository } from '@n8n/typeorm';
+
+import { ExecutionArchive } from '../entities';
+
+@Service()
+export class ExecutionArchiveRepository extends Repository<ExecutionArchive> {
+	constructor(dataSource: DataSource) {
+		super(ExecutionArchive, dataSource.manager);
+	}
+}
@@ -0,0 +1,11 @@
+import { Service } from '@n8n/di';
+import { DataSource, Repository } from '@n8n/typeorm';
+
+import { ExecutionRetentionRule } from '../entities';
+
+@Service()
+export class ExecutionRetentionRuleRepository extends Repository<ExecutionRetentionRule> {
+	constructor(dataSource: DataSource) {
+		super(ExecutionRetentionRule, dataSource.manager);
+	}
+}
@@ -15,8 +15,11 @@ import {
 	IsNull,
 	LessThan,
 	LessThanOrEqual,
+	MoreThan,
 	MoreThanOrEqual,
 	Not,
+	NotBrackets,
+	Raw,
 	Repository,
 	And,
 } from '@n8n/typeorm';
@@ -46,8 +49,10 @@ import {
 	ExecutionData,
 	ExecutionEntity,
 	ExecutionMetadata,
+	ExecutionRetentionRule,
 	SharedWorkflow,
 	WorkflowEntity,
+	WorkflowTagMapping,
 } from '../entities';
 import type {
 	CreateExecutionPayload,
@@ -578,17 +583,99 @@ export class ExecutionRepository extends Repository<ExecutionEntity> {
 		}).then((executions) => executions.map(({ id }) => id));
 	}
 
-	async softDeletePrunableExecutions() {
-		const { pruneDataMaxAge, pruneDataMaxCount } = this.globalConfig.executions;
+	/**
+	 * Soft-deletes executions that are past their retention. Executions matching
+	 * a retention rule are kept for the `maxAge` of the longest matching rule,
+	 * all others by the global max age and max count.
+	 */
+	async softDeletePrunableExecutions(rules: ExecutionRetentionRule[] = []) {
+		const conditions = [
+			await this.getGlobalPruneCondition(rules),
+			...rules.map((rule) => this.getRetentionRulePruneCondition(rule, rules)),
+		];
+
+		return await this.createQueryBuilder()
+			.update(ExecutionEntity)
+			.set({ deletedAt: new Date() })
+			.where(this.getPrunableExecutionsWhere())
+			.andWhere('id NOT IN ' + this.getAnnotatedExecutionsSubQuery().getQuery())
+			.andWhere(
+				new Brackets((qb) => {
+					for (const condition of conditions) qb.orWhere(condition);
+				}),
+			)
+			.execute();
+	}
+
+	/**
+	 * Counts the executions the next soft-delete pass would prune, both in total
+	 * and per retention rule.
+	 */
+	async countPrunableExecutions(rules: ExecutionRetentionRule[] = []) {
+		const countMatching = async (condition: Brackets) =>
+			await this.createQueryBuilder('execution')
+				.where(this.getPrunableExecutionsWhere())
+				.andWhere('execution.id NOT IN ' + this.getAnnotatedExecutionsSubQuery().getQuery())
+				.andWhere(condition)
+				.getCount();
+
+		const globalCondition = await this.getGlobalPruneCondition(rules);
+		const global = await countMatching(globalCondition);
+		const byRule: Array<{ ruleId: string; name: string; count: number }> = [];
+
+		for (const rule of rules) {
+			byRule.push({
+				ruleId: rule.id,
+				name: rule.name,
+				count: await countMatching(this.getRetentionRulePruneCondition(rule, rules)),
+			});
+		}
+
+		// An execution can match several rules, so count each execution once for the total
+		const total =
+			rules.length === 0
+				? global
+				: await countMatching(
+						new Brackets((qb) => {
+							qb.where(globalCondition);
+							for (const rule of rules) {
+								qb.orWhere(this.getRetentionRulePruneCondition(rule, rules));
+							}
+						}),
+					);
+
+		return { total, global, byRule };
+	}
 
-		// Sub-query to exclude executions having annotations
-		const annotatedExecutionsSubQuery = this.manager
+	private getPrunableExecutionsWhere(): FindOptionsWhere<ExecutionEntity> {
+		return {
+			deletedAt: IsNull(),
+			// Only mark executions as deleted if they are in an end state
+			status: Not(In(['new', 'running', 'waiting'])),
+		};
+	}
+
+	/** Sub-query to exclude executions having annotations */
+	private getAnnotatedExecutionsSubQuery() {
+		return this.manager
 			.createQueryBuilder()
 			.subQuery()
 			.select('annotation.executionId')
 			.from(ExecutionAnnotation, 'annotation');
+	}
+
+	/**
+	 * Executions not matching any retention rule, that were stopped longer than
+	 * `pruneDataMaxAge` ago or exceed `pruneDataMaxCount`.
+	 */
+	private async getGlobalPruneCondition(rules: ExecutionRetentionRule[]) {
+		const { pruneDataMaxAge, pruneDataMaxCount } = this.globalConfig.executions;
+
+		const excludeRetentionRules = new Brackets((qb) => {
+			qb.where('1=1');
+			for (const rule of rules) qb.andWhere(new NotBrackets(this.getRetentionRuleMatch(rule)));
+		});
 
-		// Find ids of all executions that were stopped longer that pruneDataMaxAge ago
 		const date = new Date();
 		date.setHours(date.getHours() - pruneDataMaxAge);
 
@@ -600,7 +687,8 @@ export class ExecutionRepository extends Repository<ExecutionEntity> {
 		if (pruneDataMaxCount > 0) {
 			const executions = await this.createQueryBuilder('execution')
 				.select('execution.id')
-				.where('execution.id NOT IN ' + annotatedExecutionsSubQuery.getQuery())
+				.where('execution.id NOT IN ' + this.getAnnotatedExecutionsSubQuery().getQuery())
+				.andWhere(excludeRetentionRules)
 				.skip(pruneDataMaxCount)
 				.take(1)
 				.orderBy('execution.id', 'DESC')
@@ -613,24 +701,84 @@ export class ExecutionRepository extends Repository<ExecutionEntity> {
 
 		const [timeBasedWhere, countBasedWhere] = toPrune;
 
-		return await this.createQueryBuilder()
-			.update(ExecutionEntity)
-			.set({ deletedAt: new Date() })
-			.where({
-				deletedAt: IsNull(),
-				// Only mark executions as deleted if they are in an end state
-				status: Not(In(['new', 'running', 'waiting'])),
-			})
-			// Only mark executions as deleted if they are not annotated
-			.andWhere('id NOT IN ' + annotatedExecutionsSubQuery.getQuery())
-			.andWhere(
+		return new Brackets((qb) => {
+			qb.where(excludeRetentionRules).andWhere(
 				new Brackets((qb) =>
 					countBasedWhere
 						? qb.where(timeBasedWhere).orWhere(countBasedWhere)
 						: qb.where(timeBasedWhere),
 				),
-			)
-			.execute();
+			);
+		});
+	}
+
+	/**
+	 * Executions matching the rule, that were stopped longer than the rule's
+	 * `maxAge` ago, and are not kept longer by another matching rule.
+	 */
+	private getRetentionRulePruneCondition(
+		rule: ExecutionRetentionRule,
+		rules: ExecutionRetentionRule[],
+	) {
+		const date = new Date();
+		date.setHours(date.getHours() - rule.maxAge);
+
+		return new Brackets((qb) => {
+			qb.where(this.getRetentionRuleMatch(rule)).andWhere({
+				stoppedAt: LessThanOrEqual(DateUtils.mixedDateToUtcDatetimeString(date)),
+			});
+
+			for (const other of rules) {
+				if (other.maxAge > rule.maxAge) {
+					qb.andWhere(new NotBrackets(this.getRetentionRuleMatch(other)));
+				}
+			}
+		});
+	}
+
+	private getRetentionRuleMatch(rule: ExecutionRetentionRule) {
+		// parameter names need to be unique per rule, as several rules end up in the same query
+		const paramPrefix = `retentionRule_${rule.id.replace(/\W/g, '')}`;
+
+		return new Brackets((qb) => {
+			qb.where('1=1');
+
+			if (rule.workflowId) qb.andWhere({ workflowId: rule.workflowId });
+			if (rule.status) qb.andWhere({ status: rule.status });
+
+			if (rule.projectId) {
+				const projectWorkflows = this.manager
+					.createQueryBuilder()
+					.subQuery()
+					.select('shared.workflowId')
+					.from(SharedWorkflow, 'shared')
+					.where(`shared.projectId = :${paramPrefix}_projectId`)
+					.andWhere("shared.role = 'workflow:owner'")
+					.getQuery();
+
+				qb.andWhere({
+					workflowId: Raw((column) => `${column} IN ${projectWorkflows}`, {
+						[`${paramPrefix}_projectId`]: rule.projectId,
+					}),
+				});
+			}
+
+			if (rule.tagId) {
+				const taggedWorkflows = this.manager
+					.createQueryBuilder()
+					.subQuery()
+					.select('tagMapping.workflowId')
+					.from(WorkflowTagMapping, 'tagMapping')
+					.where(`tagMapping.tagId = :${paramPrefix}_tagId`)
+					.getQuery();
+
+				qb.andWhere({
+					workflowId: Raw((column) => `${column} IN ${taggedWorkflows}`, {
+						[`${paramPrefix}_tagId`]: rule.tagId,
+					}),
+				});
+			}
+		});
 	}
 
 	async findSoftDeletedExecutions() {
@@ -664,6 +812,57 @@ export class ExecutionRepository extends Repository<ExecutionEntity> {
 		return await this.delete({ id: In(executionIds) });
 	}
 
+	/**
+	 * Find a batch of executions that are not soft-deleted with their data, in
+	 * ascending order of ID, starting after the given ID.
+	 */
+	async findBatchWithDataAfterId(afterId: string | undefined, batchSize: number) {
+		return await this.find({
+			select: { id: true, workflowId: true, executionData: { executionId: true, data: true } },
+			where: afterId ? { id: MoreThan(afterId) } : {},
+			relations: { executionData: true },
+			order: { id: 'ASC' },
+			take: batchSize,
+		});
+	}
+
+	/**
+	 * Find executions with their data and metadata, including soft-deleted ones,
+	 * e.g. to archive them before hard-deletion.
+	 */
+	async findWithDataForArchival(executionIds: string[]) {
+		return await this.find({
+			where: { id: In(executionIds) },
+			relations: { executionData: true, metadata: true },
+			withDeleted: true,
+		});
+	}
+
+	/**
+	 * Insert a previously archived execution with its original ID, execution data
+	 * and metadata, using a transaction.
+	 */
+	async insertArchived(
+		execution: Omit<
+			ExecutionEntity,
+			'executionData' | 'metadata' | 'annotation' | 'workflow' | 'deletedAt'
+		>,
+		executionData: Pick<ExecutionData, 'data' | 'workflowData' | 'workflowVersionId'>,
+		metadata: Array<Pick<ExecutionMetadata, 'key' | 'value'>>,
+	) {
+		await this.manager.transaction(async (tx) => {
+			await tx.insert(ExecutionEntity, execution);
+			await tx.insert(ExecutionData, { ...executionData, executionId: execution.id });
+
+			if (metadata.length > 0) {
+				await tx.insert(
+					ExecutionMetadata,
+					metadata.map(({ key, value }) => ({ executionId: execution.id, key, value })),
+				);
+			}
+		});
+	}
+
 	async getWaitingExecutions() {
 		// Find all the executions which should be triggered in the next 70 seconds
 		const waitTill = new Date(Date.now() + 70000);
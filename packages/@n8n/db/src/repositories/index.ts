@@ -4,11 +4,16 @@ export { ApiKeyRepository } from './api-key.repository';
 export { AuthIdentityRepository } from './auth-identity.repository';
 export { AuthProviderSyncHistoryRepository } from './auth-provider-sync-history.repository';
 export { BinaryDataRepository } from './binary-data.repository';
+export { BinaryDataBlobRepository } from './binary-data-blob.repository';
+export { BinaryDataReferenceRepository } from './binary-data-reference.repository';
 export { CredentialsRepository } from './credentials.repository';
 export { ExecutionAnnotationRepository } from './execution-annotation.repository';
+export { ExecutionArchiveRepository } from './execution-archive.repository';
 export { ExecutionDataRepository } from './execution-data.repository';
 export { ExecutionMetadataRepository } from './execution-metadata.repository';
+export { ExecutionRetentionRuleRepository } from './execution-retention-rule.repository';
 export { ExecutionRepository } from './execution.repository';
+export { EventDestinationDeadLetterRepository } from './event-destination-dead-letter.repository';
 export { EventDestinationsRepository } from './event-destinations.repository';
 export { FolderRepository } from './folder.repository';
 export { FolderTagMappingRepository } from './folder-tag-mapping.repository';
@@ -54,6 +54,7 @@ export const RESOURCES = {
 	breakingChanges: ['list'] as const,
 	apiKey: ['manage'] as const,
 	credentialResolver: [...DEFAULT_OPERATIONS] as const,
+	executionRetention: ['manage'] as const,
 } as const;
 
 export const API_KEY_RESOURCES = {
@@ -121,6 +121,7 @@ export const GLOBAL_OWNER_SCOPES: Scope[] = [
 	'credentialResolver:update',
 	'credentialResolver:delete',
 	'credentialResolver:list',
+	'executionRetention:manage',
 ];
 
 export const GLOBAL_ADMIN_SCOPES = GLOBAL_OWNER_SCOPES.concat();
@@ -44,6 +44,7 @@ describe('permissions', () => {
 			breakingChanges: {},
 			apiKey: {},
 			credentialResolver: {},
+			executionRetention: {},
 		});
 	});
 	it('getResourcePermissions', () => {
@@ -165,6 +166,7 @@ describe('permissions', () => {
 				manage: true,
 			},
 			credentialResolver: {},
+			executionRetention: {},
 		};
 
 		expect(getResourcePermissions(scopes)).toEqual(permissionRecord);
@@ -4,14 +4,16 @@ import * as net from 'net';
 import * as os from 'os';
 import * as tls from 'tls';
 
-import { Facility, Severity, Transport } from './constants';
+import { Facility, Framing, Severity, Transport } from './constants';
 import {
+	BufferFullError,
 	ConnectionError,
 	SyslogClientError,
 	TimeoutError,
 	TransportError,
 	ValidationError,
 } from './errors';
+import { ReconnectBuffer, type BufferedMessage } from './reconnect-buffer';
 import { clientOptionsSchema, logOptionsSchema } from './schemas';
 import type {
 	ClientOptions,
@@ -21,12 +23,17 @@ import type {
 	SyslogCallback,
 	TransportConnection,
 } from './types';
-import { buildFormattedMessage, defaultDateFormatter, isIPv6 } from './utils';
+import { buildFormattedMessage, defaultDateFormatter, frameMessage, isIPv6 } from './utils';
 
 /**
  * Syslog client supporting UDP, TCP, TLS, and Unix socket transports.
  * Supports both RFC 3164 and RFC 5424 formats.
  *
+ * Stream transports (TCP, TLS, Unix) can optionally buffer messages while
+ * disconnected and replay them in order once the connection is restored.
+ * Logging a buffered message completes once the message was replayed, or
+ * once it was written to the spill file.
+ *
  * @example
  * ```typescript
  * const client = new SyslogClient('192.168.1.1', {
@@ -60,6 +67,7 @@ export class SyslogClient extends EventEmitter {
 	readonly udpBindAddress?: string;
 	readonly transport: Transport;
 	readonly tlsCA?: string | string[] | Buffer | Buffer[];
+	readonly framing: Framing;
 
 	// Private state
 	private transport_?: TransportConnection;
@@ -67,6 +75,10 @@ export class SyslogClient extends EventEmitter {
 	private getTransportRequests: Array<
 		(error: Error | null, transport?: TransportConnection) => void
 	> = [];
+	private readonly reconnectBuffer?: ReconnectBuffer;
+	private readonly reconnectInterval: number = 1000;
+	private reconnectTimer?: NodeJS.Timeout;
+	private replaying = false;
 
 	/**
 	 * Create a new syslog client.
@@ -103,6 +115,24 @@ export class SyslogClient extends EventEmitter {
 		this.udpBindAddress = opts.udpBindAddress;
 		this.transport = opts.transport ?? Transport.Udp;
 		this.tlsCA = opts.tlsCA;
+		this.framing = opts.framing ?? Framing.NonTransparent;
+
+		if (opts.reconnectBuffer && this.transport !== Transport.Udp) {
+			this.reconnectInterval = opts.reconnectBuffer.reconnectInterval ?? 1000;
+			this.reconnectBuffer = new ReconnectBuffer({
+				maxMessages: opts.reconnectBuffer.maxMessages ?? 1000,
+				spillFilePath: opts.reconnectBuffer.spillFilePath,
+				maxSpillBytes: opts.reconnectBuffer.maxSpillBytes ?? 10 * 1024 * 1024,
+				reconnectInterval: this.reconnectInterval,
+			});
+		}
+	}
+
+	/**
+	 * Number of messages waiting in the reconnect buffer to be replayed.
+	 */
+	get bufferedCount(): number {
+		return this.reconnectBuffer?.size ?? 0;
 	}
 
 	/**
@@ -176,18 +206,122 @@ export class SyslogClient extends EventEmitter {
 			syslogHostname: options.syslogHostname ?? this.syslogHostname,
 			timestamp: options.timestamp,
 			msgid: options.msgid,
+			structuredData: options.structuredData,
 		};
 
 		// Build formatted message
 		const formattedMessage = buildFormattedMessage(message, resolvedOptions, this.dateFormatter);
 
+		// Keep the order of messages: while buffered messages are waiting to be
+		// replayed, new messages go to the end of the buffer.
+		if (this.reconnectBuffer && (this.reconnectBuffer.size > 0 || this.replaying)) {
+			this.bufferMessage(formattedMessage, errorCb);
+			this.replayBuffer();
+			return;
+		}
+
 		// Get transport and send
 		this.getTransport((error, transport) => {
 			if (error || !transport) {
+				if (this.reconnectBuffer) {
+					this.bufferMessage(formattedMessage, errorCb);
+					this.scheduleReplay();
+					return;
+				}
 				errorCb(error ?? new ConnectionError('Failed to get transport'));
 				return;
 			}
-			this.sendMessage(transport, formattedMessage, errorCb);
+			this.sendMessage(transport, formattedMessage, (sendError) => {
+				if (sendError && this.reconnectBuffer) {
+					this.bufferMessage(formattedMessage, errorCb);
+					this.scheduleReplay();
+					return;
+				}
+				errorCb(sendError);
+			});
+		});
+	}
+
+	/**
+	 * Add a message to the reconnect buffer, failing the message if the buffer is full.
+	 * The message is completed once it was replayed, or written to the spill file.
+	 */
+	private bufferMessage(message: Buffer, completionCb: SyslogCallback): void {
+		if (!this.reconnectBuffer?.push(message, completionCb)) {
+			completionCb(new BufferFullError());
+		}
+	}
+
+	/**
+	 * Schedule an attempt to reconnect and replay the reconnect buffer.
+	 */
+	private scheduleReplay(): void {
+		if (this.reconnectTimer) return;
+
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = undefined;
+			this.replayBuffer();
+		}, this.reconnectInterval);
+		this.reconnectTimer.unref();
+	}
+
+	/**
+	 * Send the buffered messages one by one, oldest first. If sending fails,
+	 * the remaining messages stay in the buffer and a new attempt is scheduled.
+	 */
+	private replayBuffer(): void {
+		const buffer = this.reconnectBuffer;
+		if (!buffer || this.replaying || this.reconnectTimer) return;
+
+		this.replaying = true;
+
+		let stopped = false;
+		const stopReplaying = (error?: Error) => {
+			if (stopped) return;
+			stopped = true;
+			this.replaying = false;
+			if (error) this.scheduleReplay();
+		};
+
+		this.getTransport((error, transport) => {
+			// A socket error after connecting calls this callback again
+			if (stopped) return;
+			if (error || !transport) {
+				stopReplaying(error ?? new ConnectionError('Failed to get transport'));
+				return;
+			}
+
+			const sendNext = async () => {
+				let buffered: BufferedMessage | undefined;
+				try {
+					buffered = await buffer.peek();
+				} catch (loadError) {
+					const error = this.normalizeError(loadError);
+					this.emit('error', error);
+					stopReplaying(error);
+					return;
+				}
+
+				if (stopped) return;
+				if (!buffered) {
+					stopReplaying();
+					return;
+				}
+
+				const { message, completionCb } = buffered;
+				this.sendMessage(transport, message, (sendError) => {
+					if (stopped) return;
+					if (sendError) {
+						stopReplaying(sendError);
+						return;
+					}
+					buffer.shift();
+					completionCb?.();
+					void sendNext();
+				});
+			};
+
+			void sendNext();
 		});
 	}
 
@@ -202,7 +336,7 @@ export class SyslogClient extends EventEmitter {
 		try {
 			if (this.isStreamSocket(transport)) {
 				// TCP/TLS/Unix: use write
-				transport.write(message, (error) => {
+				transport.write(frameMessage(message, this.framing), (error) => {
 					if (error) {
 						completionCb(new TransportError('Write failed', this.getTransportName(), error));
 					} else {
@@ -418,6 +552,13 @@ export class SyslogClient extends EventEmitter {
 	 * @returns this for chaining
 	 */
 	close(): this {
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = undefined;
+
+		this.reconnectBuffer?.dropMemory(
+			new SyslogClientError('Client was closed before the message was sent'),
+		);
+
 		if (this.transport_) {
 			if (this.isStreamSocket(this.transport_)) {
 				this.transport_.destroy();
@@ -54,3 +54,13 @@ export enum Severity {
 	Informational = 6,
 	Debug = 7,
 }
+
+/**
+ * Framing of messages sent over stream transports (TCP, TLS, Unix), as defined in RFC 6587.
+ */
+export enum Framing {
+	/** Each message is terminated by a newline. Messages must not contain newlines. */
+	NonTransparent = 1,
+	/** Each message is prefixed with its length in bytes, e.g. `42 <134>1 ...` */
+	OctetCounting = 2,
+}
@@ -82,3 +82,15 @@ export class TimeoutError extends SyslogClientError {
 		Object.setPrototypeOf(this, TimeoutError.prototype);
 	}
 }
+
+/**
+ * Error thrown when a message cannot be buffered while reconnecting,
+ * because the reconnect buffer is full.
+ */
+export class BufferFullError extends SyslogClientError {
+	constructor(message: string = 'Reconnect buffer is full') {
+		super(message, 'BUFFER_FULL_ERROR');
+		this.name = 'BufferFullError';
+		Object.setPrototypeOf(this, BufferFullError.prototype);
+	}
+}
@@ -10,9 +10,18 @@
 
 export { SyslogClient } from './client';
 export { createClient } from './factory';
-export { Facility, Severity, Transport } from './constants';
-export type { ClientOptions, DateFormatter, LogOptions, SyslogCallback } from './types';
+export { Facility, Framing, Severity, Transport } from './constants';
+export { isValidSdName } from './schemas';
+export type {
+	ClientOptions,
+	DateFormatter,
+	LogOptions,
+	ReconnectBufferOptions,
+	StructuredData,
+	SyslogCallback,
+} from './types';
 export {
+	BufferFullError,
 	ConnectionError,
 	SyslogClientError,
 	TimeoutError,
@@ -0,0 +1,242 @@
+import * as fs from 'fs';
+
+import type { ResolvedReconnectBufferOptions, SyslogCallback } from './types';
+
+/**
+ * Message waiting in the reconnect buffer. `completionCb` is called once the
+ * message was sent, or with an error if it was dropped before being sent.
+ * Messages restored from the spill file have no callback.
+ */
+export interface BufferedMessage {
+	message: Buffer;
+	completionCb?: SyslogCallback;
+}
+
+interface PendingSpill {
+	line: string;
+	bytes: number;
+	completionCb: SyslogCallback;
+}
+
+/**
+ * FIFO buffer for messages that could not be sent while a stream transport
+ * was disconnected.
+ *
+ * Messages are kept in memory up to `maxMessages`. If a spill file is
+ * configured, further messages are appended to it, up to `maxSpillBytes`.
+ * Once any message was spilled, all later messages are spilled too, so that
+ * messages are always replayed in the order they were buffered.
+ *
+ * Messages kept in memory are only completed once they were sent, as they are
+ * lost if the process stops. Spilled messages are completed once they were
+ * written to the spill file, as they survive a restart of the process and are
+ * replayed by the next client using the same spill file.
+ *
+ * Spilled messages are loaded back into memory in batches, and only removed
+ * from the spill file once the whole batch was sent. If the process stops in
+ * between, the batch is replayed again, so spilled messages are sent at least once.
+ *
+ * Spilled messages are stored one per line, base64-encoded. Operations on the
+ * spill file are batched and run one at a time, in order.
+ */
+export class ReconnectBuffer {
+	private readonly memory: BufferedMessage[] = [];
+
+	/**
+	 * Spilled messages not loaded into memory yet, including those still waiting
+	 * to be written.
+	 */
+	private spilledCount = 0;
+
+	/** Size of the spill file, including the messages still waiting to be written. */
+	private spilledBytes = 0;
+
+	/** Messages at the start of `memory` that are still in the spill file. */
+	private loadedSpillCount = 0;
+
+	/** Messages at the start of the spill file that were sent but not removed yet. */
+	private sentSpillCount = 0;
+
+	private readonly pendingSpill: PendingSpill[] = [];
+
+	private isSpillWriteScheduled = false;
+
+	private fileOperations: Promise<void> = Promise.resolve();
+
+	constructor(private readonly options: ResolvedReconnectBufferOptions) {
+		const { spillFilePath } = this.options;
+
+		// Read once on creation, so that messages left by a previous client are replayed first
+		if (spillFilePath && fs.existsSync(spillFilePath)) {
+			this.spilledCount = this.toLines(fs.readFileSync(spillFilePath, 'utf8')).length;
+			this.spilledBytes = fs.statSync(spillFilePath).size;
+		}
+	}
+
+	/**
+	 * Number of buffered messages, both in memory and spilled to disk.
+	 */
+	get size(): number {
+		return this.memory.length + this.spilledCount;
+	}
+
+	/**
+	 * Add a message to the end of the buffer.
+	 *
+	 * @returns false if the buffer is full and the message was not added
+	 */
+	push(message: Buffer, completionCb: SyslogCallback): boolean {
+		if (this.spilledCount === 0 && this.memory.length < this.options.maxMessages) {
+			this.memory.push({ message, completionCb });
+			return true;
+		}
+
+		return this.spill(message, completionCb);
+	}
+
+	/**
+	 * Get the oldest buffered message without removing it, loading spilled
+	 * messages from disk once the messages in memory were sent.
+	 */
+	async peek(): Promise<BufferedMessage | undefined> {
+		if (this.memory.length === 0 && (this.spilledCount > 0 || this.sentSpillCount > 0)) {
+			await this.runFileOperation(async () => await this.loadSpilled());
+		}
+
+		return this.memory[0];
+	}
+
+	/**
+	 * Remove the oldest buffered message.
+	 */
+	shift(): void {
+		if (!this.memory.shift() || this.loadedSpillCount === 0) return;
+
+		this.loadedSpillCount--;
+		this.sentSpillCount++;
+
+		if (this.loadedSpillCount === 0) {
+			void this.runFileOperation(async () => await this.removeSentSpill()).catch(() => {});
+		}
+	}
+
+	/**
+	 * Drop the messages kept in memory, failing them with the given error.
+	 * Spilled messages are kept for the next client using the spill file.
+	 */
+	dropMemory(error: Error): void {
+		for (const { completionCb } of this.memory.splice(0)) {
+			completionCb?.(error);
+		}
+
+		// Loaded messages that were not sent are still in the spill file
+		this.spilledCount += this.loadedSpillCount;
+		this.loadedSpillCount = 0;
+
+		if (this.sentSpillCount > 0) {
+			void this.runFileOperation(async () => await this.removeSentSpill()).catch(() => {});
+		}
+	}
+
+	private spill(message: Buffer, completionCb: SyslogCallback): boolean {
+		const { spillFilePath, maxSpillBytes } = this.options;
+
+		if (!spillFilePath) return false;
+
+		const line = `${message.toString('base64')}\n`;
+		const bytes = Buffer.byteLength(line);
+
+		if (this.spilledBytes + bytes > maxSpillBytes) return false;
+
+		this.spilledCount++;
+		this.spilledBytes += bytes;
+		this.pendingSpill.push({ line, bytes, completionCb });
+
+		if (!this.isSpillWriteScheduled) {
+			this.isSpillWriteScheduled = true;
+			void this.runFileOperation(async () => await this.writePendingSpill(spillFilePath));
+		}
+
+		return true;
+	}
+
+	/**
+	 * Append all messages spilled since the last write in a single write.
+	 */
+	private async writePendingSpill(spillFilePath: string): Promise<void> {
+		this.isSpillWriteScheduled = false;
+
+		const batch = this.pendingSpill.splice(0);
+
+		try {
+			await fs.promises.appendFile(spillFilePath, batch.map(({ line }) => line).join(''));
+		} catch (e) {
+			const error = e instanceof Error ? e : new Error(String(e));
+			this.spilledCount -= batch.length;
+			this.spilledBytes -= batch.reduce((total, { bytes }) => total + bytes, 0);
+			for (const { completionCb } of batch) completionCb(error);
+			return;
+		}
+
+		for (const { completionCb } of batch) completionCb();
+	}
+
+	/**
+	 * Load the oldest spilled messages into memory, up to `maxMessages`.
+	 * They are kept in the spill file until they were sent.
+	 */
+	private async loadSpilled(): Promise<void> {
+		const spillFilePath = this.options.spillFilePath;
+
+		if (!spillFilePath || this.memory.length > 0) return;
+
+		await this.removeSentSpill();
+
+		if (this.spilledCount === 0) return;
+
+		const lines = this.toLines(await fs.promises.readFile(spillFilePath, 'utf8'));
+		const loaded = lines.slice(0, this.options.maxMessages);
+
+		this.memory.push(...loaded.map((line) => ({ message: Buffer.from(line, 'base64') })));
+		this.loadedSpillCount = loaded.length;
+		this.spilledCount -= loaded.length;
+	}
+
+	/**
+	 * Remove the messages that were sent from the start of the spill file.
+	 */
+	private async removeSentSpill(): Promise<void> {
+		const spillFilePath = this.options.spillFilePath;
+		const sentCount = this.sentSpillCount;
+
+		if (!spillFilePath || sentCount === 0) return;
+
+		const lines = this.toLines(await fs.promises.readFile(spillFilePath, 'utf8'));
+		const sent = lines.slice(0, sentCount);
+		const remaining = lines.slice(sentCount);
+
+		if (remaining.length > 0) {
+			const tempFilePath = `${spillFilePath}.tmp`;
+			await fs.promises.writeFile(tempFilePath, `${remaining.join('\n')}\n`);
+			await fs.promises.rename(tempFilePath, spillFilePath);
+		} else {
+			await fs.promises.rm(spillFilePath, { force: true });
+		}
+
+		this.sentSpillCount -= sentCount;
+		this.spilledBytes -= sent.reduce((total, line) => total + Buffer.byteLength(line) + 1, 0);
+	}
+
+	/**
+	 * Run an operation on the spill file once all previous ones have finished.
+	 */
+	private async runFileOperation(operation: () => Promise<void>): Promise<void> {
+		const result = this.fileOperations.then(operation);
+		this.fileOperations = result.catch(() => {});
+		return await result;
+	}
+
+	private toLines(content: string): string[] {
+		return content.split('\n').filter((line) => line.length > 0);
+	}
+}
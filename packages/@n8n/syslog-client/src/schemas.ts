@@ -1,6 +1,6 @@
 import { z } from 'zod';
 
-import { Facility, Severity, Transport } from './constants';
+import { Facility, Framing, Severity, Transport } from './constants';
 
 /**
  * Helper to dynamically create Zod schema for enum values.
@@ -30,8 +30,34 @@ export const clientOptionsSchema = z.object({
 	tlsCA: z
 		.union([z.string(), z.array(z.string()), z.instanceof(Buffer), z.array(z.instanceof(Buffer))])
 		.optional(),
+	framing: createEnumSchema(Framing, 'framing').optional(),
+	reconnectBuffer: z
+		.object({
+			maxMessages: z.number().int().positive().optional(),
+			spillFilePath: z.string().min(1).optional(),
+			maxSpillBytes: z.number().int().positive().optional(),
+			reconnectInterval: z.number().int().positive().optional(),
+		})
+		.optional(),
 });
 
+/**
+ * SD-NAME as defined by RFC 5424: 1 to 32 printable US-ASCII characters,
+ * except '=', space, ']' and '"'.
+ */
+const sdNameSchema = z
+	.string()
+	.regex(/^[\x21-\x7e]{1,32}$/, 'Must be 1 to 32 printable US-ASCII characters')
+	.refine((name) => !/[= \]"]/.test(name), {
+		message: "Must not contain '=', space, ']' or '\"'",
+	});
+
+/**
+ * Whether the given name is a valid RFC 5424 SD-NAME, i.e. can be used as an
+ * SD-ID or an SD-PARAM name in structured data.
+ */
+export const isValidSdName = (name: string): boolean => sdNameSchema.safeParse(name).success;
+
 /**
  * Zod schema for validating LogOptions.
  */
@@ -43,6 +69,12 @@ export const logOptionsSchema = z.object({
 	syslogHostname: z.string().optional(),
 	timestamp: z.instanceof(Date).optional(),
 	msgid: z.string().optional(),
+	structuredData: z
+		.record(
+			sdNameSchema,
+			z.record(sdNameSchema, z.union([z.string(), z.number(), z.boolean()]).optional()),
+		)
+		.optional(),
 });
 
 /**
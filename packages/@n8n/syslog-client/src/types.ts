@@ -2,7 +2,7 @@ import type * as dgram from 'dgram';
 import type * as net from 'net';
 import type * as tls from 'tls';
 
-import type { Facility, Severity, Transport } from './constants';
+import type { Facility, Framing, Severity, Transport } from './constants';
 
 /**
  * Callback type for legacy API support.
@@ -15,6 +15,15 @@ export type SyslogCallback = (error?: Error) => void;
  */
 export type DateFormatter = (date: Date) => string;
 
+/**
+ * RFC 5424 STRUCTURED-DATA, keyed by SD-ID, with the SD-PARAMs of each SD-ELEMENT.
+ * Params with an `undefined` value are left out.
+ *
+ * @example
+ * { 'n8n@32473': { workflowId: 'abc', executionId: '123' } }
+ */
+export type StructuredData = Record<string, Record<string, string | number | boolean | undefined>>;
+
 /**
  * Options for creating a syslog client.
  */
@@ -83,6 +92,50 @@ export interface ClientOptions {
 	 * TLS CA certificate(s). Only used when transport is Transport.Tls.
 	 */
 	tlsCA?: string | string[] | Buffer | Buffer[];
+
+	/**
+	 * Framing of messages sent over TCP, TLS and Unix socket transports.
+	 * @default Framing.NonTransparent
+	 */
+	framing?: Framing;
+
+	/**
+	 * Buffer messages while a TCP, TLS or Unix socket transport is disconnected,
+	 * and replay them once the connection is restored.
+	 * If not set, messages that cannot be sent fail with an error.
+	 */
+	reconnectBuffer?: ReconnectBufferOptions;
+}
+
+/**
+ * Options for buffering messages while reconnecting.
+ */
+export interface ReconnectBufferOptions {
+	/**
+	 * Maximum number of messages to keep in memory. Messages in memory are lost
+	 * if the process stops, so logging them only completes once they were sent.
+	 * @default 1000
+	 */
+	maxMessages?: number;
+
+	/**
+	 * File to spill messages to once the in-memory buffer is full.
+	 * Messages left in this file are replayed by the next client using it.
+	 * If not set, messages are only buffered in memory.
+	 */
+	spillFilePath?: string;
+
+	/**
+	 * Maximum size of the spill file in bytes.
+	 * @default 10485760 (10 MiB)
+	 */
+	maxSpillBytes?: number;
+
+	/**
+	 * Delay in milliseconds between attempts to reconnect and replay buffered messages.
+	 * @default 1000
+	 */
+	reconnectInterval?: number;
 }
 
 /**
@@ -126,6 +179,12 @@ export interface LogOptions {
 	 * @default "-"
 	 */
 	msgid?: string;
+
+	/**
+	 * Structured data for RFC 5424 format. Ignored for RFC 3164.
+	 * @default "-"
+	 */
+	structuredData?: StructuredData;
 }
 
 /**
@@ -139,6 +198,17 @@ export interface ResolvedLogOptions {
 	syslogHostname: string;
 	timestamp?: Date;
 	msgid?: string;
+	structuredData?: StructuredData;
+}
+
+/**
+ * Internal type for reconnect buffer options with all defaults applied.
+ */
+export interface ResolvedReconnectBufferOptions {
+	maxMessages: number;
+	spillFilePath?: string;
+	maxSpillBytes: number;
+	reconnectInterval: number;
 }
 
 /**
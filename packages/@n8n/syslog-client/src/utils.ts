@@ -1,4 +1,5 @@
-import type { DateFormatter, ResolvedLogOptions } from './types';
+import { Framing } from './constants';
+import type { DateFormatter, ResolvedLogOptions, StructuredData } from './types';
 
 /**
  * Default date formatter for RFC 5424 format.
@@ -26,6 +27,32 @@ export const formatRfc3164Timestamp = (date: Date): string => {
 	return `${month} ${day} ${time}`;
 };
 
+/**
+ * Escape an SD-PARAM value according to RFC 5424, section 6.3.3.
+ * '"', '\' and ']' must be escaped with a backslash.
+ */
+export const escapeParamValue = (value: string): string => value.replace(/["\\\]]/g, '\\$&');
+
+/**
+ * Format RFC 5424 STRUCTURED-DATA.
+ * Example: '[n8n@32473 workflowId="abc" executionId="123"]'
+ *
+ * @returns The formatted SD-ELEMENTs, or NILVALUE ("-") if there are none
+ */
+export const formatStructuredData = (structuredData?: StructuredData): string => {
+	if (!structuredData) return '-';
+
+	const elements = Object.entries(structuredData).map(([sdId, params]) => {
+		const sdParams = Object.entries(params)
+			.filter(([, value]) => value !== undefined)
+			.map(([name, value]) => ` ${name}="${escapeParamValue(String(value))}"`);
+
+		return `[${sdId}${sdParams.join('')}]`;
+	});
+
+	return elements.length > 0 ? elements.join('') : '-';
+};
+
 /**
  * Build formatted syslog message according to RFC 3164 or RFC 5424.
  *
@@ -53,12 +80,31 @@ export const buildFormattedMessage = (
 		// RFC 5424 format: <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID SD MESSAGE
 		const timestamp = dateFormatter(date);
 		const msgid = options.msgid ?? '-';
-		formattedMessage = `<${pri}>1 ${timestamp} ${options.syslogHostname} ${options.appName} ${process.pid} ${msgid} - ${message}${newline}`;
+		const structuredData = formatStructuredData(options.structuredData);
+		formattedMessage = `<${pri}>1 ${timestamp} ${options.syslogHostname} ${options.appName} ${process.pid} ${msgid} ${structuredData} ${message}${newline}`;
 	}
 
 	return Buffer.from(formattedMessage);
 };
 
+/**
+ * Frame a formatted message for a stream transport according to RFC 6587.
+ * With octet-counting framing, the trailing newline is dropped and the
+ * message is prefixed with its length in bytes.
+ *
+ * @param message - Formatted syslog message, terminated by a newline
+ * @param framing - Framing to apply
+ * @returns Buffer containing the framed message
+ */
+export const frameMessage = (message: Buffer, framing: Framing): Buffer => {
+	if (framing !== Framing.OctetCounting) return message;
+
+	const hasNewline = message.length > 0 && message[message.length - 1] === 0x0a;
+	const payload = hasNewline ? message.subarray(0, message.length - 1) : message;
+
+	return Buffer.concat([Buffer.from(`${payload.length} `), payload]);
+};
+
 /**
  * Check if an address is IPv6.
  * Simple check based on presence of colons.
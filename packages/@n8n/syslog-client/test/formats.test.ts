@@ -1,4 +1,4 @@
-import { SyslogClient, Transport } from '../src';
+import { isValidSdName, SyslogClient, Transport, ValidationError } from '../src';
 import {
 	awaitUdpMsg,
 	constructRfc5424Regex,
@@ -180,6 +180,92 @@ describe('SyslogClient - Message Formats', () => {
 		});
 	});
 
+	describe('RFC 5424 structured data', () => {
+		it('should send structured data elements', async () => {
+			const hostname = 'testhostname';
+			const client = new SyslogClient('127.0.0.1', {
+				port: SYSLOG_UDP_PORT,
+				syslogHostname: hostname,
+				transport: Transport.Udp,
+				rfc3164: false,
+			});
+
+			await client.log('Structured data', {
+				msgid: 'ID1',
+				structuredData: {
+					'n8n@32473': { workflowId: 'abc', executionId: 123, userId: undefined },
+					'meta@32473': { retried: true },
+				},
+			});
+
+			const msg = await awaitUdpMsg();
+			expect(msg).toMatch(
+				/ ID1 \[n8n@32473 workflowId="abc" executionId="123"\]\[meta@32473 retried="true"\] Structured data\n?$/,
+			);
+
+			client.close();
+		});
+
+		it('should escape param values', async () => {
+			const client = new SyslogClient('127.0.0.1', {
+				port: SYSLOG_UDP_PORT,
+				transport: Transport.Udp,
+				rfc3164: false,
+			});
+
+			await client.log('Escaped', {
+				structuredData: { 'n8n@32473': { name: 'say "hi" [\\o/]' } },
+			});
+
+			const msg = await awaitUdpMsg();
+			expect(msg).toContain('[n8n@32473 name="say \\"hi\\" [\\\\o/\\]"] Escaped');
+
+			client.close();
+		});
+
+		it('should send NILVALUE for empty structured data', async () => {
+			const hostname = 'testhostname';
+			const client = new SyslogClient('127.0.0.1', {
+				port: SYSLOG_UDP_PORT,
+				syslogHostname: hostname,
+				transport: Transport.Udp,
+				rfc3164: false,
+			});
+
+			await client.log('No structured data', { structuredData: {} });
+
+			const msg = await awaitUdpMsg();
+			expect(msg).toMatch(constructRfc5424Regex(134, hostname, 'No structured data', '-'));
+
+			client.close();
+		});
+
+		it('should reject invalid SD-IDs', async () => {
+			const client = new SyslogClient('127.0.0.1', {
+				port: SYSLOG_UDP_PORT,
+				transport: Transport.Udp,
+				rfc3164: false,
+			});
+
+			await expect(
+				client.log('Invalid', { structuredData: { 'not valid': { key: 'value' } } }),
+			).rejects.toThrow(ValidationError);
+
+			client.close();
+		});
+
+		it.each(['n8n@32473', 'workflowId', 'a'.repeat(32)])('should accept SD-NAME %s', (name) => {
+			expect(isValidSdName(name)).toBe(true);
+		});
+
+		it.each(['', 'not valid', 'a=b', 'a]b', 'a"b', 'ä', 'a'.repeat(33)])(
+			'should reject SD-NAME "%s"',
+			(name) => {
+				expect(isValidSdName(name)).toBe(false);
+			},
+		);
+	});
+
 	describe('Format switching', () => {
 		it('should allow switching format per message', async () => {
 			const hostname = 'testhostname';
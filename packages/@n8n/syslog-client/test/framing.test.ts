@@ -0,0 +1,136 @@
+import * as net from 'net';
+
+import { BufferFullError, Framing, SyslogClient, Transport } from '../src';
+import { frameMessage } from '../src/utils';
+
+/**
+ * Start a TCP server that collects the raw bytes it receives.
+ */
+const startRawServer = async (port = 0) =>
+	await new Promise<{ server: net.Server; port: number; received: () => string }>(
+		(resolve, reject) => {
+			const chunks: Buffer[] = [];
+			const server = net.createServer((socket) => {
+				socket.on('data', (chunk) => chunks.push(chunk));
+			});
+			server.on('error', reject);
+			server.listen(port, '127.0.0.1', () => {
+				const address = server.address() as net.AddressInfo;
+				resolve({
+					server,
+					port: address.port,
+					received: () => Buffer.concat(chunks).toString(),
+				});
+			});
+		},
+	);
+
+const stopServer = async (server: net.Server) =>
+	await new Promise<void>((resolve) => server.close(() => resolve()));
+
+const waitFor = async (condition: () => boolean, timeout = 5000) => {
+	const start = Date.now();
+	while (!condition()) {
+		if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+		await new Promise((resolve) => setTimeout(resolve, 20));
+	}
+};
+
+describe('SyslogClient - Framing', () => {
+	describe('frameMessage', () => {
+		it('should leave non-transparent framed messages unchanged', () => {
+			const message = Buffer.from('<134>1 - host app - - - hello\n');
+
+			expect(frameMessage(message, Framing.NonTransparent)).toBe(message);
+		});
+
+		it('should prefix octet-counted messages with their byte length', () => {
+			const message = Buffer.from('<134>1 - host app - - - héllo\n');
+
+			expect(frameMessage(message, Framing.OctetCounting).toString()).toBe(
+				'30 <134>1 - host app - - - héllo',
+			);
+		});
+	});
+
+	describe('Octet counting', () => {
+		it('should send multi-line messages as a single octet-counted frame', async () => {
+			const { server, port, received } = await startRawServer();
+			const client = new SyslogClient('127.0.0.1', {
+				port,
+				transport: Transport.Tcp,
+				rfc3164: false,
+				framing: Framing.OctetCounting,
+			});
+
+			await client.log('line 1\nline 2');
+			await client.log('second');
+			await waitFor(() => received().includes('second'));
+
+			const frames = received().match(/^(\d+) /);
+			expect(frames).not.toBeNull();
+			const length = Number(frames![1]);
+			const firstFrame = received().slice(frames![0].length, frames![0].length + length);
+			expect(firstFrame).toMatch(/line 1\nline 2$/);
+			expect(received().slice(frames![0].length + length)).toMatch(/^\d+ <134>1 .* second$/);
+
+			client.close();
+			await stopServer(server);
+		});
+	});
+
+	describe('Reconnect buffer', () => {
+		it('should buffer messages while disconnected and replay them in order', async () => {
+			const { server, port } = await startRawServer();
+			await stopServer(server);
+
+			const client = new SyslogClient('127.0.0.1', {
+				port,
+				transport: Transport.Tcp,
+				reconnectBuffer: { reconnectInterval: 50 },
+			});
+			client.on('error', () => {});
+
+			let sentCount = 0;
+			const buffered = [client.log('buffered 1'), client.log('buffered 2')].map(async (sent) => {
+				await sent;
+				sentCount++;
+			});
+			await waitFor(() => client.bufferedCount === 2);
+			await new Promise((resolve) => setTimeout(resolve, 100));
+			expect(sentCount).toBe(0);
+
+			const restarted = await startRawServer(port);
+			await Promise.all(buffered);
+			await waitFor(() => restarted.received().includes('buffered 2'));
+
+			expect(client.bufferedCount).toBe(0);
+			const received = restarted.received();
+			expect(received.indexOf('buffered 1')).toBeLessThan(received.indexOf('buffered 2'));
+
+			await client.log('live');
+			await waitFor(() => restarted.received().includes('live'));
+
+			client.close();
+			await stopServer(restarted.server);
+		});
+
+		it('should fail messages when the buffer is full', async () => {
+			const { server, port } = await startRawServer();
+			await stopServer(server);
+
+			const client = new SyslogClient('127.0.0.1', {
+				port,
+				transport: Transport.Tcp,
+				reconnectBuffer: { maxMessages: 1, reconnectInterval: 60_000 },
+			});
+			client.on('error', () => {});
+
+			const buffered = client.log('buffered');
+			await expect(client.log('dropped')).rejects.toThrow(BufferFullError);
+
+			client.close();
+			await expect(buffered).rejects.toThrow('Client was closed before the message was sent');
+		});
+	});
+});
@@ -0,0 +1,217 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { ReconnectBuffer } from '../src/reconnect-buffer';
+
+describe('ReconnectBuffer', () => {
+	let tmpDir: string;
+	let spillFilePath: string;
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'syslog-buffer-'));
+		spillFilePath = path.join(tmpDir, 'spill.log');
+	});
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	const drain = async (buffer: ReconnectBuffer) => {
+		const messages: string[] = [];
+		let buffered = await buffer.peek();
+		while (buffered) {
+			messages.push(buffered.message.toString());
+			buffer.shift();
+			buffered = await buffer.peek();
+		}
+		return messages;
+	};
+
+	const waitForSpillFile = async (lineCount: number) => {
+		while (
+			!fs.existsSync(spillFilePath) ||
+			fs.readFileSync(spillFilePath, 'utf8').trim().split('\n').length < lineCount
+		) {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+		}
+	};
+
+	it('should return messages in the order they were pushed', async () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 10,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+
+		buffer.push(Buffer.from('first'), jest.fn());
+		buffer.push(Buffer.from('second'), jest.fn());
+
+		expect(buffer.size).toBe(2);
+		expect(await drain(buffer)).toEqual(['first', 'second']);
+		expect(buffer.size).toBe(0);
+	});
+
+	it('should not complete messages kept in memory', async () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 10,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+		const completionCb = jest.fn();
+
+		buffer.push(Buffer.from('first'), completionCb);
+
+		expect(completionCb).not.toHaveBeenCalled();
+		expect((await buffer.peek())?.completionCb).toBe(completionCb);
+	});
+
+	it('should fail messages kept in memory when they are dropped', () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 10,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+		const completionCb = jest.fn();
+		const error = new Error('Closed');
+
+		buffer.push(Buffer.from('first'), completionCb);
+		buffer.dropMemory(error);
+
+		expect(completionCb).toHaveBeenCalledWith(error);
+		expect(buffer.size).toBe(0);
+	});
+
+	it('should reject messages over the limit when no spill file is configured', () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 1,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+
+		expect(buffer.push(Buffer.from('first'), jest.fn())).toBe(true);
+		expect(buffer.push(Buffer.from('second'), jest.fn())).toBe(false);
+		expect(buffer.size).toBe(1);
+	});
+
+	it('should spill messages over the limit to disk and keep their order', async () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 2,
+			spillFilePath,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+
+		for (const message of ['1', '2', '3', '4', '5']) {
+			expect(buffer.push(Buffer.from(message), jest.fn())).toBe(true);
+		}
+
+		expect(buffer.size).toBe(5);
+		await waitForSpillFile(3);
+
+		expect(await drain(buffer)).toEqual(['1', '2', '3', '4', '5']);
+		expect(fs.existsSync(spillFilePath)).toBe(false);
+	});
+
+	it('should keep spilled messages in the spill file until they were sent', async () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 1,
+			spillFilePath,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+
+		for (const message of ['1', '2', '3']) {
+			buffer.push(Buffer.from(message), jest.fn());
+		}
+		await waitForSpillFile(2);
+
+		buffer.shift();
+		expect((await buffer.peek())?.message.toString()).toBe('2');
+		expect(fs.readFileSync(spillFilePath, 'utf8').trim().split('\n')).toHaveLength(2);
+
+		buffer.shift();
+		expect((await buffer.peek())?.message.toString()).toBe('3');
+		expect(fs.readFileSync(spillFilePath, 'utf8').trim().split('\n')).toHaveLength(1);
+	});
+
+	it('should keep loaded spilled messages for the next buffer when they are dropped', async () => {
+		const options = {
+			maxMessages: 1,
+			spillFilePath,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		};
+		const previous = new ReconnectBuffer(options);
+		for (const message of ['1', '2', '3']) {
+			previous.push(Buffer.from(message), jest.fn());
+		}
+		await waitForSpillFile(2);
+
+		previous.shift();
+		expect((await previous.peek())?.message.toString()).toBe('2');
+		previous.dropMemory(new Error('Closed'));
+		expect(previous.size).toBe(2);
+
+		const buffer = new ReconnectBuffer(options);
+
+		expect(buffer.size).toBe(2);
+		expect(await drain(buffer)).toEqual(['2', '3']);
+	});
+
+	it('should complete spilled messages once they were written in a single batch', async () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 1,
+			spillFilePath,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		});
+		const appendFile = jest.spyOn(fs.promises, 'appendFile');
+		const written = ['1', '2', '3'].map(
+			async (message) =>
+				await new Promise<void>((resolve, reject) =>
+					buffer.push(Buffer.from(message), (error) => (error ? reject(error) : resolve())),
+				),
+		);
+
+		await Promise.all(written.slice(1));
+
+		expect(appendFile).toHaveBeenCalledTimes(1);
+		expect(fs.readFileSync(spillFilePath, 'utf8').trim().split('\n')).toHaveLength(2);
+
+		appendFile.mockRestore();
+	});
+
+	it('should reject messages once the spill file is full', () => {
+		const buffer = new ReconnectBuffer({
+			maxMessages: 1,
+			spillFilePath,
+			maxSpillBytes: 10,
+			reconnectInterval: 1000,
+		});
+
+		expect(buffer.push(Buffer.from('in memory'), jest.fn())).toBe(true);
+		expect(buffer.push(Buffer.from('abc'), jest.fn())).toBe(true);
+		expect(buffer.push(Buffer.from('too large for the spill file'), jest.fn())).toBe(false);
+		expect(buffer.size).toBe(2);
+	});
+
+	it('should pick up messages spilled by a previous buffer', async () => {
+		const options = {
+			maxMessages: 1,
+			spillFilePath,
+			maxSpillBytes: 1024,
+			reconnectInterval: 1000,
+		};
+		const previous = new ReconnectBuffer(options);
+		previous.push(Buffer.from('lost in memory'), jest.fn());
+		previous.push(Buffer.from('spilled 1'), jest.fn());
+		previous.push(Buffer.from('spilled 2'), jest.fn());
+		await waitForSpillFile(2);
+
+		const buffer = new ReconnectBuffer(options);
+
+		expect(buffer.size).toBe(2);
+		expect(await drain(buffer)).toEqual(['spilled 1', 'spilled 2']);
+	});
+});
@@ -78,14 +78,22 @@ export class ActiveExecutions {
 			assert(executionId);
 
 			if (this.executionsConfig.mode === 'regular') {
-				await this.concurrencyControl.throttle({ mode, executionId });
+				await this.concurrencyControl.throttle({
+					mode,
+					executionId,
+					workflowData: executionData.workflowData,
+				});
 				await this.executionRepository.setRunning(executionId);
 			}
 			executionStatus = 'running';
 		} else {
 			// Is an existing execution we want to finish so update in DB
 
-			await this.concurrencyControl.throttle({ mode, executionId });
+			await this.concurrencyControl.throttle({
+				mode,
+				executionId,
+				workflowData: executionData.workflowData,
+			});
 
 			const execution: Pick<IExecutionDb, 'id' | 'data' | 'waitTill' | 'status'> = {
 				id: executionId,
@@ -127,7 +135,7 @@ export class ActiveExecutions {
 				throw error;
 			})
 			.finally(() => {
-				this.concurrencyControl.release({ mode: executionData.executionMode });
+				this.concurrencyControl.release({ mode: executionData.executionMode, executionId });
 				if (execution.status === 'waiting') {
 					// Do not hold on a reference to the previous WorkflowExecute instance, since a resuming execution will use a new instance
 					delete execution.workflowExecution;
@@ -0,0 +1,131 @@
+import type { ModuleRegistry } from '@n8n/backend-common';
+import { mockInstance, mockLogger } from '@n8n/backend-test-utils';
+import type {
+	ExecutionArchive,
+	ExecutionArchiveRepository,
+	ExecutionEntity,
+	ExecutionRepository,
+} from '@n8n/db';
+import { stringify } from 'flatted';
+import { mock } from 'jest-mock-extended';
+import type { BinaryDataService } from 'n8n-core';
+import type { IBinaryData } from 'n8n-workflow';
+
+import type { ChatHubMessage } from '@/modules/chat-hub/chat-hub-message.entity';
+import { ChatHubMessageRepository } from '@/modules/chat-hub/chat-message.repository';
+
+import { BinaryDataKeyRotationService } from '../binary-data-key-rotation.service';
+
+describe('BinaryDataKeyRotationService', () => {
+	const executionRepository = mock<ExecutionRepository>();
+	const executionArchiveRepository = mock<ExecutionArchiveRepository>();
+	const binaryDataService = mock<BinaryDataService>();
+	const moduleRegistry = mock<ModuleRegistry>({ eligibleModules: [] });
+	const chatMessageRepository = mockInstance(ChatHubMessageRepository);
+
+	const service = new BinaryDataKeyRotationService(
+		mockLogger(),
+		executionRepository,
+		executionArchiveRepository,
+		binaryDataService,
+		moduleRegistry,
+	);
+
+	const toExecution = (id: string, binaryDataIds: string[]) =>
+		({
+			id,
+			workflowId: 'wf-1',
+			executionData: {
+				data: stringify({
+					resultData: {
+						runData: {
+							'Read File': [
+								{
+									data: {
+										main: [
+											binaryDataIds.map((binaryDataId) => ({
+												json: {},
+												binary: { data: { id: binaryDataId, data: 'filesystem-v2', mimeType: '' } },
+											})),
+										],
+									},
+								},
+							],
+						},
+					},
+				}),
+			},
+		}) as unknown as ExecutionEntity;
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+		moduleRegistry.eligibleModules = [];
+	});
+
+	it('should rotate the keys of binary files of executions and archives', async () => {
+		executionRepository.count.mockResolvedValue(2);
+		executionRepository.findBatchWithDataAfterId
+			.mockResolvedValueOnce([toExecution('1', ['filesystem-v2:a', 's3:b']), toExecution('2', [])])
+			.mockResolvedValueOnce([]);
+		executionArchiveRepository.find.mockResolvedValue([
+			mock<ExecutionArchive>({ binaryDataId: 'filesystem-v2:archive' }),
+		]);
+		binaryDataService.rotateKey.mockResolvedValueOnce(true).mockResolvedValue(false);
+
+		const result = await service.rotate({ batchSize: 100 });
+
+		expect(binaryDataService.rotateKey).toHaveBeenCalledWith('filesystem-v2:a');
+		expect(binaryDataService.rotateKey).toHaveBeenCalledWith('s3:b');
+		expect(binaryDataService.rotateKey).toHaveBeenCalledWith('filesystem-v2:archive');
+		expect(result).toEqual({
+			processedExecutions: 2,
+			totalExecutions: 2,
+			rotatedFiles: 1,
+			failedFiles: 0,
+			lastExecutionId: '2',
+		});
+	});
+
+	it('should count files that fail to rotate and continue', async () => {
+		executionRepository.count.mockResolvedValue(1);
+		executionRepository.findBatchWithDataAfterId
+			.mockResolvedValueOnce([toExecution('1', ['database:a', 'database:b'])])
+			.mockResolvedValueOnce([]);
+		executionArchiveRepository.find.mockResolvedValue([]);
+		binaryDataService.rotateKey
+			.mockRejectedValueOnce(new Error('Unknown key'))
+			.mockResolvedValueOnce(true);
+
+		const result = await service.rotate({ batchSize: 100, afterExecutionId: '0' });
+
+		expect(executionRepository.findBatchWithDataAfterId).toHaveBeenNthCalledWith(1, '0', 100);
+		expect(result).toMatchObject({ rotatedFiles: 1, failedFiles: 1 });
+	});
+
+	it('should rotate the keys of chat attachments if the chat hub module is enabled', async () => {
+		moduleRegistry.eligibleModules = ['chat-hub'];
+		executionRepository.count.mockResolvedValue(0);
+		executionRepository.findBatchWithDataAfterId.mockResolvedValue([]);
+		executionArchiveRepository.find.mockResolvedValue([]);
+		chatMessageRepository.findBatchWithAttachmentsAfterId
+			.mockResolvedValueOnce([
+				mock<ChatHubMessage>({
+					id: 'message-1',
+					attachments: [mock<IBinaryData>({ id: 'filesystem-v2:attachment' })],
+				}),
+				mock<ChatHubMessage>({ id: 'message-2', attachments: null }),
+			])
+			.mockResolvedValueOnce([]);
+		binaryDataService.rotateKey.mockResolvedValue(true);
+
+		const result = await service.rotate({ batchSize: 100 });
+
+		expect(chatMessageRepository.findBatchWithAttachmentsAfterId).toHaveBeenNthCalledWith(
+			2,
+			'message-2',
+			100,
+		);
+		expect(binaryDataService.rotateKey).toHaveBeenCalledWith('filesystem-v2:attachment');
+		expect(result.rotatedFiles).toBe(1);
+	});
+});
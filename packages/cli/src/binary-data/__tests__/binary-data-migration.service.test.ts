@@ -0,0 +1,128 @@
+import { mockLogger } from '@n8n/backend-test-utils';
+import type { ExecutionDataRepository, ExecutionEntity, ExecutionRepository } from '@n8n/db';
+import { parse, stringify } from 'flatted';
+import { mock } from 'jest-mock-extended';
+import type { BinaryDataService } from 'n8n-core';
+import type { IRunExecutionData } from 'n8n-workflow';
+
+import { BinaryDataMigrationService } from '../binary-data-migration.service';
+
+describe('BinaryDataMigrationService', () => {
+	const executionRepository = mock<ExecutionRepository>();
+	const executionDataRepository = mock<ExecutionDataRepository>();
+	const binaryDataService = mock<BinaryDataService>();
+
+	const service = new BinaryDataMigrationService(
+		mockLogger(),
+		executionRepository,
+		executionDataRepository,
+		binaryDataService,
+	);
+
+	const toExecution = (id: string, binaryDataIds: string[]) =>
+		({
+			id,
+			workflowId: 'wf-1',
+			executionData: {
+				data: stringify({
+					resultData: {
+						runData: {
+							'Read File': [
+								{
+									data: {
+										main: [
+											binaryDataIds.map((binaryDataId) => ({
+												json: {},
+												binary: { data: { id: binaryDataId, data: 'filesystem-v2', mimeType: '' } },
+											})),
+										],
+									},
+								},
+							],
+						},
+					},
+				}),
+			},
+		}) as unknown as ExecutionEntity;
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+	});
+
+	it('should copy binary files in the source mode and rewrite their IDs', async () => {
+		executionRepository.count.mockResolvedValue(1);
+		executionRepository.findBatchWithDataAfterId
+			.mockResolvedValueOnce([toExecution('1', ['filesystem-v2:a', 's3:b'])])
+			.mockResolvedValueOnce([]);
+		binaryDataService.migrate.mockResolvedValue('s3:c');
+
+		const result = await service.migrate({ from: 'filesystem', to: 's3', batchSize: 100 });
+
+		expect(binaryDataService.migrate).toHaveBeenCalledTimes(1);
+		expect(binaryDataService.migrate).toHaveBeenCalledWith('filesystem-v2:a', 's3', {
+			type: 'execution',
+			workflowId: 'wf-1',
+			executionId: '1',
+		});
+
+		const [where, { data }] = executionDataRepository.update.mock.calls[0];
+		expect(where).toEqual({ executionId: '1' });
+		const { resultData } = parse(data as string) as IRunExecutionData;
+		expect(
+			resultData.runData['Read File'][0].data?.main[0]?.map((item) => item.binary?.data),
+		).toEqual([
+			{ id: 's3:c', data: 's3', mimeType: '' },
+			{ id: 's3:b', data: 'filesystem-v2', mimeType: '' },
+		]);
+
+		expect(result).toEqual({
+			processedExecutions: 1,
+			totalExecutions: 1,
+			migratedFiles: 1,
+			failedFiles: 0,
+			lastExecutionId: '1',
+		});
+	});
+
+	it('should resume after the given execution and report progress per batch', async () => {
+		executionRepository.count.mockResolvedValue(3);
+		executionRepository.findBatchWithDataAfterId
+			.mockResolvedValueOnce([toExecution('2', []), toExecution('3', [])])
+			.mockResolvedValueOnce([]);
+		const onProgress = jest.fn();
+
+		await service.migrate({
+			from: 'database',
+			to: 's3',
+			batchSize: 2,
+			afterExecutionId: '1',
+			onProgress,
+		});
+
+		expect(executionRepository.findBatchWithDataAfterId).toHaveBeenNthCalledWith(1, '1', 2);
+		expect(executionRepository.findBatchWithDataAfterId).toHaveBeenNthCalledWith(2, '3', 2);
+		expect(onProgress).toHaveBeenCalledTimes(1);
+		expect(onProgress).toHaveBeenCalledWith(
+			expect.objectContaining({ processedExecutions: 2, lastExecutionId: '3' }),
+		);
+		expect(executionDataRepository.update).not.toHaveBeenCalled();
+	});
+
+	it('should count files that fail to migrate and keep their IDs', async () => {
+		executionRepository.count.mockResolvedValue(1);
+		executionRepository.findBatchWithDataAfterId
+			.mockResolvedValueOnce([toExecution('1', ['database:a'])])
+			.mockResolvedValueOnce([]);
+		binaryDataService.migrate.mockRejectedValue(new Error('Size mismatch'));
+
+		const result = await service.migrate({ from: 'database', to: 'filesystem', batchSize: 100 });
+
+		expect(binaryDataService.migrate).toHaveBeenCalledWith(
+			'database:a',
+			'filesystem-v2',
+			expect.anything(),
+		);
+		expect(result).toMatchObject({ migratedFiles: 0, failedFiles: 1 });
+		expect(executionDataRepository.update).not.toHaveBeenCalled();
+	});
+});
@@ -222,6 +222,29 @@ it('should throw `BinaryDataFileNotFoundError` when renaming non-existent file',
 	await expect(promise).rejects.toThrow('Binary data file not found');
 });
 
+it('should overwrite the content of a file, keeping its metadata', async () => {
+	const { fileId } = await dbManager.store({ type: 'execution', workflowId, executionId }, buffer, {
+		mimeType: 'text/plain',
+		fileName: 'test.txt',
+	});
+	const newBuffer = Buffer.from('new content');
+
+	await dbManager.overwrite(fileId, newBuffer);
+
+	expect(await dbManager.getAsBuffer(fileId)).toEqual(newBuffer);
+	expect(await dbManager.getMetadata(fileId)).toEqual({
+		fileName: 'test.txt',
+		mimeType: 'text/plain',
+		fileSize: newBuffer.length,
+	});
+});
+
+it('should throw `BinaryDataFileNotFoundError` when overwriting non-existent file', async () => {
+	const promise = dbManager.overwrite(uuid(), buffer);
+
+	await expect(promise).rejects.toThrow('Binary data file not found');
+});
+
 it('should throw `BinaryDataFileNotFoundError` when copying non-existent file', async () => {
 	const nonExistentFileId = uuid();
 
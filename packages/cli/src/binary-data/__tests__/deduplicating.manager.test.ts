@@ -0,0 +1,293 @@
+import type {
+	BinaryDataBlob,
+	BinaryDataBlobRepository,
+	BinaryDataReference,
+	BinaryDataReferenceRepository,
+} from '@n8n/db';
+import { In } from '@n8n/db';
+import { mock } from 'jest-mock-extended';
+import { type BinaryData, BinaryDataFileNotFoundError, binaryToBuffer } from 'n8n-core';
+import { createHash } from 'node:crypto';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+
+import { DeduplicatingManager } from '../deduplicating.manager';
+
+describe('DeduplicatingManager', () => {
+	const inner = mock<Required<BinaryData.Manager>>();
+	const blobRepository = mock<BinaryDataBlobRepository>();
+	const referenceRepository = mock<BinaryDataReferenceRepository>();
+
+	const manager = new DeduplicatingManager(
+		'filesystem-v2',
+		inner,
+		blobRepository,
+		referenceRepository,
+	);
+
+	const location = { type: 'execution' as const, workflowId: 'wf-1', executionId: '1' };
+	const content = Buffer.from('content');
+	const hash = createHash('sha256').update(content).digest('hex');
+	const blobFileId = `blobs/${hash.slice(0, 2)}/${hash}/binary_data/blob-uuid`;
+	const metadata = { fileName: 'a.txt', mimeType: 'text/plain' };
+
+	const reference = mock<BinaryDataReference>({
+		id: 'ref-1',
+		mode: 'filesystem',
+		hash,
+		location: 'workflows/wf-1/executions/1',
+		fileName: 'a.txt',
+		mimeType: 'text/plain',
+		fileSize: content.length,
+	});
+	const referenceFileId = `workflows/wf-1/executions/1/dedup/ref-1/${blobFileId}`;
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+	});
+
+	describe('store', () => {
+		it('should store new content once as a blob and return a reference to it', async () => {
+			blobRepository.increment.mockResolvedValue({ affected: 0, raw: [], generatedMaps: [] });
+			inner.store.mockResolvedValue({ fileId: blobFileId, fileSize: content.length });
+
+			const { fileId, fileSize } = await manager.store(location, content, metadata);
+
+			expect(inner.store).toHaveBeenCalledWith(
+				{
+					type: 'custom',
+					pathSegments: ['blobs', hash.slice(0, 2), hash],
+					sourceType: 'binary_data_blob',
+					sourceId: hash,
+				},
+				content,
+				metadata,
+			);
+			expect(blobRepository.insert).toHaveBeenCalledWith({
+				mode: 'filesystem',
+				hash,
+				fileId: blobFileId,
+				fileSize: content.length,
+				referenceCount: 1,
+			});
+			expect(referenceRepository.insert).toHaveBeenCalledWith(
+				expect.objectContaining({ mode: 'filesystem', hash, location: reference.location }),
+			);
+			expect(fileId).toMatch(
+				new RegExp(`^workflows/wf-1/executions/1/dedup/[\\w-]+/${blobFileId}$`),
+			);
+			expect(fileSize).toBe(content.length);
+		});
+
+		it('should hash a stream without buffering it and remove its temporary file', async () => {
+			const tempFilesBefore = readdirSync(tmpdir()).filter((name) =>
+				name.startsWith('n8n-binary-data-'),
+			);
+			let storedContent: Buffer | undefined;
+			blobRepository.increment.mockResolvedValue({ affected: 0, raw: [], generatedMaps: [] });
+			inner.store.mockImplementation(async (_, data) => {
+				storedContent = await binaryToBuffer(data);
+				return { fileId: blobFileId, fileSize: storedContent.length };
+			});
+
+			const { fileId } = await manager.store(
+				location,
+				Readable.from([Buffer.from('con'), Buffer.from('tent')]),
+				metadata,
+			);
+
+			expect(storedContent).toEqual(content);
+			expect(blobRepository.insert).toHaveBeenCalledWith(expect.objectContaining({ hash }));
+			expect(fileId.endsWith(blobFileId)).toBe(true);
+			expect(readdirSync(tmpdir()).filter((name) => name.startsWith('n8n-binary-data-'))).toEqual(
+				tempFilesBefore,
+			);
+		});
+
+		it('should only add a reference to existing content', async () => {
+			blobRepository.increment.mockResolvedValue({ affected: 1, raw: [], generatedMaps: [] });
+			blobRepository.findOneByOrFail.mockResolvedValue(
+				mock<BinaryDataBlob>({ fileId: blobFileId, fileSize: content.length }),
+			);
+
+			const { fileId } = await manager.store(location, content, metadata);
+
+			expect(inner.store).not.toHaveBeenCalled();
+			expect(blobRepository.insert).not.toHaveBeenCalled();
+			expect(referenceRepository.insert).toHaveBeenCalledTimes(1);
+			expect(fileId.endsWith(blobFileId)).toBe(true);
+		});
+
+		it('should keep the blob stored concurrently by another reference', async () => {
+			blobRepository.increment
+				.mockResolvedValueOnce({ affected: 0, raw: [], generatedMaps: [] })
+				.mockResolvedValueOnce({ affected: 1, raw: [], generatedMaps: [] });
+			inner.store.mockResolvedValue({ fileId: 'duplicate', fileSize: content.length });
+			blobRepository.insert.mockRejectedValue(new Error('Duplicate key'));
+			blobRepository.findOneByOrFail.mockResolvedValue(
+				mock<BinaryDataBlob>({ fileId: blobFileId, fileSize: content.length }),
+			);
+
+			const { fileId } = await manager.store(location, content, metadata);
+
+			expect(inner.deleteManyByFileId).toHaveBeenCalledWith(['duplicate']);
+			expect(fileId.endsWith(blobFileId)).toBe(true);
+		});
+	});
+
+	describe('reading', () => {
+		it('should read the content of a reference from its blob', async () => {
+			inner.getPath.mockReturnValue('/path/to/blob');
+
+			expect(manager.getPath(referenceFileId)).toBe('/path/to/blob');
+			expect(inner.getPath).toHaveBeenCalledWith(blobFileId);
+		});
+
+		it('should read legacy files directly', async () => {
+			inner.getAsBuffer.mockResolvedValue(content);
+
+			await manager.getAsBuffer('workflows/wf-1/executions/1/binary_data/legacy');
+
+			expect(inner.getAsBuffer).toHaveBeenCalledWith(
+				'workflows/wf-1/executions/1/binary_data/legacy',
+			);
+		});
+
+		it('should return the metadata of a reference', async () => {
+			referenceRepository.findOneBy.mockResolvedValue(reference);
+
+			const result = await manager.getMetadata(referenceFileId);
+
+			expect(referenceRepository.findOneBy).toHaveBeenCalledWith({ id: 'ref-1' });
+			expect(result).toEqual({ ...metadata, fileSize: content.length });
+		});
+
+		it('should throw if a reference no longer exists', async () => {
+			referenceRepository.findOneBy.mockResolvedValue(null);
+
+			await expect(manager.getMetadata(referenceFileId)).rejects.toThrow(
+				BinaryDataFileNotFoundError,
+			);
+		});
+	});
+
+	describe('deleting', () => {
+		it('should delete the blob along with its last reference', async () => {
+			referenceRepository.findBy.mockResolvedValue([reference]);
+			blobRepository.findOneBy.mockResolvedValue(mock<BinaryDataBlob>({ fileId: blobFileId }));
+			blobRepository.delete.mockResolvedValue({ affected: 1, raw: [] });
+
+			await manager.deleteManyByFileId([referenceFileId]);
+
+			expect(referenceRepository.delete).toHaveBeenCalledTimes(1);
+			expect(blobRepository.decrement).toHaveBeenCalledWith(
+				{ mode: 'filesystem', hash },
+				'referenceCount',
+				1,
+			);
+			expect(inner.deleteManyByFileId).toHaveBeenCalledWith([blobFileId]);
+		});
+
+		it('should keep the blob while it is still referenced', async () => {
+			referenceRepository.findBy.mockResolvedValue([reference]);
+			blobRepository.findOneBy.mockResolvedValue(null);
+
+			await manager.deleteManyByFileId([referenceFileId]);
+
+			expect(blobRepository.delete).not.toHaveBeenCalled();
+			expect(inner.deleteManyByFileId).not.toHaveBeenCalled();
+		});
+
+		it('should release the references stored at deleted locations', async () => {
+			referenceRepository.findBy.mockResolvedValue([]);
+
+			await manager.deleteMany([location]);
+
+			expect(inner.deleteMany).toHaveBeenCalledWith([location]);
+			expect(referenceRepository.findBy).toHaveBeenCalledWith({
+				mode: 'filesystem',
+				location: In(['workflows/wf-1/executions/1']),
+			});
+		});
+
+		it('should delete legacy files directly', async () => {
+			await manager.deleteManyByFileId(['workflows/wf-1/executions/1/binary_data/legacy']);
+
+			expect(inner.deleteManyByFileId).toHaveBeenCalledWith([
+				'workflows/wf-1/executions/1/binary_data/legacy',
+			]);
+			expect(referenceRepository.findBy).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('rename', () => {
+		it('should move a reference to the location of the new file ID', async () => {
+			referenceRepository.update.mockResolvedValue({ affected: 1, raw: [], generatedMaps: [] });
+
+			await manager.rename(
+				`workflows/wf-1/executions/temp/dedup/ref-1/${blobFileId}`,
+				referenceFileId,
+			);
+
+			expect(referenceRepository.update).toHaveBeenCalledWith(
+				{ id: 'ref-1' },
+				{ location: 'workflows/wf-1/executions/1' },
+			);
+			expect(inner.rename).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('copyByFilePath', () => {
+		let tempDir: string;
+
+		beforeEach(() => {
+			tempDir = mkdtempSync(join(tmpdir(), 'n8n-dedup-'));
+		});
+
+		afterEach(() => {
+			rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		it('should hash the file and only add a reference to existing content', async () => {
+			const sourcePath = join(tempDir, 'source');
+			writeFileSync(sourcePath, content);
+			blobRepository.increment.mockResolvedValue({ affected: 1, raw: [], generatedMaps: [] });
+			blobRepository.findOneByOrFail.mockResolvedValue(
+				mock<BinaryDataBlob>({ fileId: blobFileId, fileSize: content.length }),
+			);
+
+			const { fileId } = await manager.copyByFilePath(location, sourcePath, metadata);
+
+			expect(blobRepository.increment).toHaveBeenCalledWith(
+				{ mode: 'filesystem', hash },
+				'referenceCount',
+				1,
+			);
+			expect(inner.store).not.toHaveBeenCalled();
+			expect(fileId.endsWith(blobFileId)).toBe(true);
+		});
+	});
+
+	describe('copyByFileId', () => {
+		it('should add another reference to the same blob', async () => {
+			referenceRepository.findOneBy.mockResolvedValue(reference);
+			blobRepository.increment.mockResolvedValue({ affected: 1, raw: [], generatedMaps: [] });
+			blobRepository.findOneByOrFail.mockResolvedValue(
+				mock<BinaryDataBlob>({ fileId: blobFileId, fileSize: content.length }),
+			);
+
+			const fileId = await manager.copyByFileId(
+				{ type: 'execution', workflowId: 'wf-1', executionId: '2' },
+				referenceFileId,
+			);
+
+			expect(inner.copyByFileId).not.toHaveBeenCalled();
+			expect(referenceRepository.insert).toHaveBeenCalledWith(
+				expect.objectContaining({ hash, location: 'workflows/wf-1/executions/2' }),
+			);
+			expect(fileId.startsWith('workflows/wf-1/executions/2/dedup/')).toBe(true);
+		});
+	});
+});
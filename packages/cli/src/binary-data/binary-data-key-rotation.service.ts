@@ -0,0 +1,132 @@
+import { Logger, ModuleRegistry } from '@n8n/backend-common';
+import { ExecutionArchiveRepository, ExecutionRepository } from '@n8n/db';
+import { Container, Service } from '@n8n/di';
+import { parse } from 'flatted';
+import { BinaryDataService } from 'n8n-core';
+import type { IRunExecutionData } from 'n8n-workflow';
+import { ensureError } from 'n8n-workflow';
+
+import { getBinaryDataInRunData } from '@/executions/execution.utils';
+
+export type BinaryDataKeyRotationProgress = {
+	/** Number of executions processed so far, out of `totalExecutions` */
+	processedExecutions: number;
+	totalExecutions: number;
+	rotatedFiles: number;
+	failedFiles: number;
+	/** ID of the last processed execution, to resume the rotation from */
+	lastExecutionId: string | undefined;
+};
+
+/**
+ * Responsible for re-wrapping the data keys of encrypted binary files of retained
+ * and archived executions and of chat attachments with the current instance
+ * encryption key, so that previous keys can be removed from
+ * `N8N_BINARY_DATA_PREVIOUS_ENCRYPTION_KEYS`.
+ *
+ * Files stored before encryption was enabled are encrypted along the way.
+ * Data table uploads are temporary files not stored as binary data, so they are
+ * never encrypted.
+ */
+@Service()
+export class BinaryDataKeyRotationService {
+	constructor(
+		private readonly logger: Logger,
+		private readonly executionRepository: ExecutionRepository,
+		private readonly executionArchiveRepository: ExecutionArchiveRepository,
+		private readonly binaryDataService: BinaryDataService,
+		private readonly moduleRegistry: ModuleRegistry,
+	) {
+		this.logger = this.logger.scoped('binary-data');
+	}
+
+	async rotate({
+		batchSize,
+		afterExecutionId,
+		onProgress,
+	}: {
+		batchSize: number;
+		afterExecutionId?: string;
+		onProgress?: (progress: BinaryDataKeyRotationProgress) => void;
+	}) {
+		const progress: BinaryDataKeyRotationProgress = {
+			processedExecutions: 0,
+			totalExecutions: await this.executionRepository.count(),
+			rotatedFiles: 0,
+			failedFiles: 0,
+			lastExecutionId: afterExecutionId,
+		};
+
+		while (true) {
+			const executions = await this.executionRepository.findBatchWithDataAfterId(
+				progress.lastExecutionId,
+				batchSize,
+			);
+
+			if (executions.length === 0) break;
+
+			for (const { id: executionId, executionData } of executions) {
+				if (executionData) {
+					const runData = parse(executionData.data) as IRunExecutionData;
+
+					for (const { id: binaryDataId } of getBinaryDataInRunData(runData)) {
+						if (binaryDataId) await this.rotateFile(binaryDataId, progress);
+					}
+				}
+
+				progress.processedExecutions++;
+				progress.lastExecutionId = executionId;
+			}
+
+			onProgress?.({ ...progress });
+		}
+
+		const archives = await this.executionArchiveRepository.find({ select: ['binaryDataId'] });
+
+		for (const { binaryDataId } of archives) {
+			await this.rotateFile(binaryDataId, progress);
+		}
+
+		await this.rotateChatAttachments(batchSize, progress);
+
+		return progress;
+	}
+
+	private async rotateChatAttachments(batchSize: number, progress: BinaryDataKeyRotationProgress) {
+		// entities of eligible modules are registered even if the module is not initialized
+		if (!this.moduleRegistry.eligibleModules.includes('chat-hub')) return;
+
+		const { ChatHubMessageRepository } = await import('@/modules/chat-hub/chat-message.repository');
+		const messageRepository = Container.get(ChatHubMessageRepository);
+		let lastMessageId: string | undefined;
+
+		while (true) {
+			const messages = await messageRepository.findBatchWithAttachmentsAfterId(
+				lastMessageId,
+				batchSize,
+			);
+
+			if (messages.length === 0) break;
+
+			for (const { id, attachments } of messages) {
+				for (const { id: binaryDataId } of attachments ?? []) {
+					if (binaryDataId) await this.rotateFile(binaryDataId, progress);
+				}
+
+				lastMessageId = id;
+			}
+		}
+	}
+
+	private async rotateFile(binaryDataId: string, progress: BinaryDataKeyRotationProgress) {
+		try {
+			if (await this.binaryDataService.rotateKey(binaryDataId)) progress.rotatedFiles++;
+		} catch (error) {
+			progress.failedFiles++;
+			this.logger.warn('Failed to rotate encryption key of binary file', {
+				binaryDataId,
+				error: ensureError(error),
+			});
+		}
+	}
+}
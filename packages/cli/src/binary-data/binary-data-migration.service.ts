@@ -0,0 +1,132 @@
+import { Logger } from '@n8n/backend-common';
+import { ExecutionDataRepository, ExecutionRepository } from '@n8n/db';
+import { Service } from '@n8n/di';
+import { parse, stringify } from 'flatted';
+import { type BinaryData, BinaryDataService, FileLocation } from 'n8n-core';
+import type { IRunExecutionData } from 'n8n-workflow';
+import { ensureError } from 'n8n-workflow';
+
+import { getBinaryDataInRunData } from '@/executions/execution.utils';
+
+type StorageMode = 'filesystem' | 'database' | 's3';
+
+export type BinaryDataMigrationProgress = {
+	/** Number of executions processed so far, out of `totalExecutions` */
+	processedExecutions: number;
+	totalExecutions: number;
+	migratedFiles: number;
+	failedFiles: number;
+	/** ID of the last processed execution, to resume the migration from */
+	lastExecutionId: string | undefined;
+};
+
+/**
+ * Responsible for copying the binary files of retained executions from one
+ * binary data mode to another, and for rewriting their IDs in execution data.
+ *
+ * Files already in the target mode are skipped, so an interrupted migration can
+ * be resumed by running it again, optionally after the last processed execution.
+ */
+@Service()
+export class BinaryDataMigrationService {
+	constructor(
+		private readonly logger: Logger,
+		private readonly executionRepository: ExecutionRepository,
+		private readonly executionDataRepository: ExecutionDataRepository,
+		private readonly binaryDataService: BinaryDataService,
+	) {
+		this.logger = this.logger.scoped('binary-data');
+	}
+
+	async migrate({
+		from,
+		to,
+		batchSize,
+		afterExecutionId,
+		onProgress,
+	}: {
+		from: StorageMode;
+		to: StorageMode;
+		batchSize: number;
+		afterExecutionId?: string;
+		onProgress?: (progress: BinaryDataMigrationProgress) => void;
+	}) {
+		const sourceModes: string[] = from === 'filesystem' ? ['filesystem', 'filesystem-v2'] : [from];
+		const targetMode: BinaryData.ServiceMode = to === 'filesystem' ? 'filesystem-v2' : to;
+
+		const progress: BinaryDataMigrationProgress = {
+			processedExecutions: 0,
+			totalExecutions: await this.executionRepository.count(),
+			migratedFiles: 0,
+			failedFiles: 0,
+			lastExecutionId: afterExecutionId,
+		};
+
+		while (true) {
+			const executions = await this.executionRepository.findBatchWithDataAfterId(
+				progress.lastExecutionId,
+				batchSize,
+			);
+
+			if (executions.length === 0) break;
+
+			for (const { id: executionId, workflowId, executionData } of executions) {
+				if (executionData) {
+					await this.migrateExecution(executionId, workflowId, executionData.data, {
+						sourceModes,
+						targetMode,
+						progress,
+					});
+				}
+
+				progress.processedExecutions++;
+				progress.lastExecutionId = executionId;
+			}
+
+			onProgress?.({ ...progress });
+		}
+
+		return progress;
+	}
+
+	private async migrateExecution(
+		executionId: string,
+		workflowId: string,
+		data: string,
+		{
+			sourceModes,
+			targetMode,
+			progress,
+		}: {
+			sourceModes: string[];
+			targetMode: BinaryData.ServiceMode;
+			progress: BinaryDataMigrationProgress;
+		},
+	) {
+		const runData = parse(data) as IRunExecutionData;
+		const location = FileLocation.ofExecution(workflowId, executionId);
+		let isChanged = false;
+
+		for (const binaryData of getBinaryDataInRunData(runData)) {
+			if (!binaryData.id || !sourceModes.includes(binaryData.id.split(':')[0])) continue;
+
+			try {
+				binaryData.id = await this.binaryDataService.migrate(binaryData.id, targetMode, location);
+				binaryData.data = targetMode;
+				isChanged = true;
+				progress.migratedFiles++;
+			} catch (error) {
+				progress.failedFiles++;
+				this.logger.warn('Failed to migrate binary file', {
+					executionId,
+					binaryDataId: binaryData.id,
+					error: ensureError(error),
+				});
+			}
+		}
+
+		if (isChanged) {
+			await this.executionDataRepository.update({ executionId }, { data: stringify(runData) });
+		}
+	}
+}
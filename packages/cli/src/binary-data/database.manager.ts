@@ -160,6 +160,16 @@ export class DatabaseManager implements BinaryData.Manager {
 		return { fileId, fileSize: fileSizeBytes };
 	}
 
+	async overwrite(fileId: string, bufferOrStream: Buffer | Readable) {
+		const buffer = await binaryToBuffer(bufferOrStream);
+		const result = await this.repository.update(
+			{ fileId },
+			{ data: buffer, fileSize: buffer.length },
+		);
+
+		if (result.affected === 0) throw new BinaryDataFileNotFoundError(fileId);
+	}
+
 	async rename(oldFileId: string, newFileId: string) {
 		const result = await this.repository.update({ fileId: oldFileId }, { fileId: newFileId });
 
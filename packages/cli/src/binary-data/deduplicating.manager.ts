@@ -0,0 +1,365 @@
+import type { BinaryDataReference } from '@n8n/db';
+import type { BinaryDataBlobRepository, BinaryDataReferenceRepository } from '@n8n/db';
+import { In } from '@n8n/db';
+import { type BinaryData, BinaryDataFileNotFoundError, FileLocation } from 'n8n-core';
+import { createHash } from 'node:crypto';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import type { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { v4 as uuid } from 'uuid';
+
+/** Separates the location of a reference from its ID and the file ID of its content */
+const REFERENCE_MARKER = '/dedup/';
+
+/**
+ * Wraps the manager of a binary data mode to store each unique file content
+ * only once. Every stored file becomes a reference to a content blob, which is
+ * deleted along with its last reference.
+ *
+ * File IDs of references have the format `{location}/dedup/{referenceId}/{blobFileId}`,
+ * so that the location can be renamed and the path resolved without a lookup.
+ * File IDs written before deduplication was enabled are passed through.
+ *
+ * Streams are hashed while being written to a temporary file, so that their
+ * content is never held in memory as a whole.
+ */
+export class DeduplicatingManager implements BinaryData.Manager {
+	private readonly mode: string;
+
+	constructor(
+		mode: string,
+		private readonly manager: BinaryData.Manager,
+		private readonly blobRepository: BinaryDataBlobRepository,
+		private readonly referenceRepository: BinaryDataReferenceRepository,
+	) {
+		// legacy and upgraded filesystem modes share their manager
+		this.mode = mode === 'filesystem-v2' ? 'filesystem' : mode;
+	}
+
+	async init() {
+		await this.manager.init();
+	}
+
+	async store(
+		location: BinaryData.FileLocation,
+		bufferOrStream: Buffer | Readable,
+		metadata: BinaryData.PreWriteMetadata,
+	) {
+		if (Buffer.isBuffer(bufferOrStream)) {
+			const hash = createHash('sha256').update(bufferOrStream).digest('hex');
+
+			return await this.storeContent(location, hash, () => bufferOrStream, metadata);
+		}
+
+		const tempFilePath = join(tmpdir(), `n8n-binary-data-${uuid()}`);
+
+		try {
+			const hash = await this.writeHashed(bufferOrStream, tempFilePath);
+
+			return await this.storeContent(
+				location,
+				hash,
+				() => createReadStream(tempFilePath),
+				metadata,
+			);
+		} finally {
+			await rm(tempFilePath, { force: true });
+		}
+	}
+
+	getPath(fileId: string) {
+		const reference = this.parseFileId(fileId);
+
+		return this.manager.getPath(reference?.blobFileId ?? fileId);
+	}
+
+	async getAsBuffer(fileId: string) {
+		const reference = this.parseFileId(fileId);
+
+		return await this.manager.getAsBuffer(reference?.blobFileId ?? fileId);
+	}
+
+	async getAsStream(fileId: string, chunkSize?: number) {
+		const reference = this.parseFileId(fileId);
+
+		return await this.manager.getAsStream(reference?.blobFileId ?? fileId, chunkSize);
+	}
+
+	async getMetadata(fileId: string): Promise<BinaryData.Metadata> {
+		const parsed = this.parseFileId(fileId);
+
+		if (!parsed) return await this.manager.getMetadata(fileId);
+
+		const reference = await this.findReference(fileId, parsed.referenceId);
+
+		return {
+			fileName: reference.fileName ?? undefined,
+			mimeType: reference.mimeType ?? undefined,
+			fileSize: reference.fileSize,
+		};
+	}
+
+	async deleteMany(locations: BinaryData.FileLocation[]) {
+		if (locations.length === 0) return;
+
+		await this.manager.deleteMany?.(locations);
+
+		const references = await this.referenceRepository.findBy({
+			mode: this.mode,
+			location: In(locations.map((location) => this.toLocationPath(location))),
+		});
+
+		await this.releaseReferences(references);
+	}
+
+	async deleteManyByFileId(ids: string[]) {
+		const referenceIds: string[] = [];
+		const fileIds: string[] = [];
+
+		for (const id of ids) {
+			const reference = this.parseFileId(id);
+
+			if (reference) referenceIds.push(reference.referenceId);
+			else fileIds.push(id);
+		}
+
+		if (fileIds.length > 0) await this.manager.deleteManyByFileId?.(fileIds);
+
+		if (referenceIds.length === 0) return;
+
+		await this.releaseReferences(await this.referenceRepository.findBy({ id: In(referenceIds) }));
+	}
+
+	async copyByFileId(targetLocation: BinaryData.FileLocation, sourceFileId: string) {
+		const parsed = this.parseFileId(sourceFileId);
+
+		if (!parsed) {
+			const metadata = await this.manager.getMetadata(sourceFileId);
+			const stream = await this.manager.getAsStream(sourceFileId);
+
+			return (await this.store(targetLocation, stream, metadata)).fileId;
+		}
+
+		// copying a reference only adds another reference to the same content
+		const reference = await this.findReference(sourceFileId, parsed.referenceId);
+		const blob = await this.acquireBlob(
+			reference.hash,
+			async () => await this.manager.getAsStream(parsed.blobFileId),
+			{ fileName: reference.fileName ?? undefined, mimeType: reference.mimeType ?? undefined },
+		);
+
+		return await this.createReference(targetLocation, reference.hash, blob, reference);
+	}
+
+	async copyByFilePath(
+		targetLocation: BinaryData.FileLocation,
+		sourcePath: string,
+		metadata: BinaryData.PreWriteMetadata,
+	) {
+		const hash = await this.hashFile(sourcePath);
+
+		return await this.storeContent(
+			targetLocation,
+			hash,
+			() => createReadStream(sourcePath),
+			metadata,
+		);
+	}
+
+	async rename(oldFileId: string, newFileId: string) {
+		const oldReference = this.parseFileId(oldFileId);
+		const newReference = this.parseFileId(newFileId);
+
+		if (!oldReference || !newReference) {
+			await this.manager.rename(oldFileId, newFileId);
+			return;
+		}
+
+		const result = await this.referenceRepository.update(
+			{ id: oldReference.referenceId },
+			{ location: newReference.location },
+		);
+
+		if (result.affected === 0) throw new BinaryDataFileNotFoundError(oldFileId);
+	}
+
+	async rotateKey(fileId: string) {
+		const reference = this.parseFileId(fileId);
+
+		return (await this.manager.rotateKey?.(reference?.blobFileId ?? fileId)) ?? false;
+	}
+
+	// ----------------------------------
+	//         private methods
+	// ----------------------------------
+
+	private async storeContent(
+		location: BinaryData.FileLocation,
+		hash: string,
+		getContent: () => Buffer | Readable,
+		metadata: BinaryData.PreWriteMetadata,
+	) {
+		const blob = await this.acquireBlob(hash, getContent, metadata);
+
+		return {
+			fileId: await this.createReference(location, hash, blob, metadata),
+			fileSize: blob.fileSize,
+		};
+	}
+
+	/** Write a stream to a file, returning the hash of its content. */
+	private async writeHashed(stream: Readable, filePath: string) {
+		const hash = createHash('sha256');
+
+		await pipeline(
+			stream,
+			async function* (source: AsyncIterable<Buffer>) {
+				for await (const chunk of source) {
+					hash.update(chunk);
+					yield chunk;
+				}
+			},
+			createWriteStream(filePath),
+		);
+
+		return hash.digest('hex');
+	}
+
+	private async hashFile(filePath: string) {
+		const hash = createHash('sha256');
+
+		for await (const chunk of createReadStream(filePath)) {
+			hash.update(chunk as Buffer);
+		}
+
+		return hash.digest('hex');
+	}
+
+	/**
+	 * Add a reference to the blob with the given hash, storing the blob first
+	 * if it does not exist yet. The content is only fetched if the blob is stored.
+	 */
+	private async acquireBlob(
+		hash: string,
+		getContent: () => Buffer | Readable | Promise<Buffer | Readable>,
+		metadata: BinaryData.PreWriteMetadata,
+	): Promise<{ fileId: string; fileSize: number }> {
+		const { mode } = this;
+
+		const { affected } = await this.blobRepository.increment({ mode, hash }, 'referenceCount', 1);
+
+		if (affected) return await this.blobRepository.findOneByOrFail({ mode, hash });
+
+		const { fileId, fileSize } = await this.manager.store(
+			FileLocation.ofCustom({
+				pathSegments: ['blobs', hash.slice(0, 2), hash],
+				sourceType: 'binary_data_blob',
+				sourceId: hash,
+			}),
+			await getContent(),
+			metadata,
+		);
+
+		try {
+			await this.blobRepository.insert({ mode, hash, fileId, fileSize, referenceCount: 1 });
+		} catch (error) {
+			// stored concurrently by another reference, so keep that blob instead
+			await this.manager.deleteManyByFileId?.([fileId]);
+
+			const { affected } = await this.blobRepository.increment({ mode, hash }, 'referenceCount', 1);
+
+			if (!affected) throw error;
+
+			return await this.blobRepository.findOneByOrFail({ mode, hash });
+		}
+
+		return { fileId, fileSize };
+	}
+
+	private async createReference(
+		location: BinaryData.FileLocation,
+		hash: string,
+		blob: { fileId: string; fileSize: number },
+		metadata: { fileName?: string | null; mimeType?: string | null },
+	) {
+		const id = uuid();
+		const locationPath = this.toLocationPath(location);
+
+		await this.referenceRepository.insert({
+			id,
+			mode: this.mode,
+			hash,
+			location: locationPath,
+			fileName: metadata.fileName ?? null,
+			mimeType: metadata.mimeType ?? null,
+			fileSize: blob.fileSize,
+		});
+
+		return `${locationPath}${REFERENCE_MARKER}${id}/${blob.fileId}`;
+	}
+
+	/** Delete references and the blobs no longer referenced by any of them. */
+	private async releaseReferences(references: BinaryDataReference[]) {
+		if (references.length === 0) return;
+
+		await this.referenceRepository.delete({ id: In(references.map(({ id }) => id)) });
+
+		const countsByHash = new Map<string, number>();
+
+		for (const { hash } of references) {
+			countsByHash.set(hash, (countsByHash.get(hash) ?? 0) + 1);
+		}
+
+		const { mode } = this;
+
+		for (const [hash, count] of countsByHash) {
+			await this.blobRepository.decrement({ mode, hash }, 'referenceCount', count);
+
+			const blob = await this.blobRepository.findOneBy({ mode, hash, referenceCount: 0 });
+
+			if (!blob) continue;
+
+			// only delete if not referenced again in the meantime
+			const { affected } = await this.blobRepository.delete({ mode, hash, referenceCount: 0 });
+
+			if (affected) await this.manager.deleteManyByFileId?.([blob.fileId]);
+		}
+	}
+
+	private async findReference(fileId: string, referenceId: string) {
+		const reference = await this.referenceRepository.findOneBy({ id: referenceId });
+
+		if (!reference) throw new BinaryDataFileNotFoundError(fileId);
+
+		return reference;
+	}
+
+	private parseFileId(fileId: string) {
+		const markerIndex = fileId.indexOf(REFERENCE_MARKER);
+
+		if (markerIndex === -1) return null;
+
+		const rest = fileId.substring(markerIndex + REFERENCE_MARKER.length);
+		const separatorIndex = rest.indexOf('/');
+
+		return {
+			location: fileId.substring(0, markerIndex),
+			referenceId: rest.substring(0, separatorIndex),
+			blobFileId: rest.substring(separatorIndex + 1),
+		};
+	}
+
+	private toLocationPath(location: BinaryData.FileLocation) {
+		switch (location.type) {
+			case 'execution': {
+				const executionId = location.executionId || 'temp'; // missing only in edge case, see PR #7244
+				return `workflows/${location.workflowId}/executions/${executionId}`;
+			}
+			case 'custom':
+				return location.pathSegments.join('/');
+		}
+	}
+}
@@ -9,11 +9,17 @@ import {
 } from '@n8n/backend-common';
 import { GlobalConfig } from '@n8n/config';
 import { LICENSE_FEATURES } from '@n8n/constants';
-import { AuthRolesService, DbConnection } from '@n8n/db';
+import {
+	AuthRolesService,
+	BinaryDataBlobRepository,
+	BinaryDataReferenceRepository,
+	DbConnection,
+} from '@n8n/db';
 import { Container } from '@n8n/di';
 import {
 	BinaryDataConfig,
 	BinaryDataService,
+	Cipher,
 	InstanceSettings,
 	ObjectStoreService,
 	DataDeduplicationService,
@@ -231,6 +237,31 @@ export abstract class BaseCommand<F = never> {
 		}
 
 		await binaryDataService.init();
+
+		// wrapped first, so that deduplication compares plain content
+		if (binaryDataConfig.encryption) {
+			const { EncryptingManager } = await import('n8n-core/dist/binary-data/encrypting.manager');
+			const cipher = Container.get(Cipher);
+			binaryDataService.wrapManagers(
+				(_, manager) =>
+					new EncryptingManager(
+						manager,
+						cipher,
+						this.instanceSettings.encryptionKey,
+						binaryDataConfig.previousEncryptionKeys,
+					),
+			);
+		}
+
+		if (binaryDataConfig.deduplication) {
+			const { DeduplicatingManager } = await import('@/binary-data/deduplicating.manager');
+			const blobRepository = Container.get(BinaryDataBlobRepository);
+			const referenceRepository = Container.get(BinaryDataReferenceRepository);
+			binaryDataService.wrapManagers(
+				(mode, manager) =>
+					new DeduplicatingManager(mode, manager, blobRepository, referenceRepository),
+			);
+		}
 	}
 
 	protected async initDataDeduplicationService() {
@@ -0,0 +1,73 @@
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import { z } from 'zod';
+
+import { BinaryDataMigrationService } from '@/binary-data/binary-data-migration.service';
+
+import { BaseCommand } from '../base-command';
+
+const storageModeSchema = z.enum(['filesystem', 'database', 's3']);
+
+const flagsSchema = z.object({
+	from: storageModeSchema.describe('Binary data mode to copy files from'),
+	to: storageModeSchema.describe('Binary data mode to copy files to'),
+	batchSize: z.number().int().positive().describe('Number of executions per batch').default(100),
+	afterId: z.coerce
+		.string()
+		.describe('Resume after this execution ID, as reported by a previous run')
+		.optional(),
+});
+
+@Command({
+	name: 'binary-data:migrate',
+	description: 'Copies the binary data of retained executions from one binary data mode to another',
+	examples: ['--from=filesystem --to=s3', '--from=database --to=filesystem --afterId=1234'],
+	flagsSchema,
+})
+export class MigrateBinaryDataCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	async init() {
+		await super.init();
+		await this.initLicense();
+		await this.initBinaryDataService();
+	}
+
+	async run() {
+		const { from, to, batchSize, afterId } = this.flags;
+
+		if (from === to) {
+			this.logger.info('"--from" and "--to" have to be different binary data modes!');
+			return;
+		}
+
+		const result = await Container.get(BinaryDataMigrationService).migrate({
+			from,
+			to,
+			batchSize,
+			afterExecutionId: afterId,
+			onProgress: ({ processedExecutions, totalExecutions, migratedFiles, lastExecutionId }) => {
+				this.logger.info(
+					`Processed ${processedExecutions}/${totalExecutions} executions, migrated ${migratedFiles} files, last execution ID: ${lastExecutionId}`,
+				);
+			},
+		});
+
+		this.logger.info(
+			`Migrated ${result.migratedFiles} binary files of ${result.processedExecutions} executions from \`${from}\` to \`${to}\` mode`,
+		);
+
+		if (result.failedFiles > 0) {
+			this.logger.warn(
+				`Failed to migrate ${result.failedFiles} binary files. Run the command again to retry them.`,
+			);
+		}
+
+		this.logger.info(
+			`Set \`N8N_DEFAULT_BINARY_DATA_MODE=${to}\` to store new binary data in \`${to}\` mode. Files in \`${from}\` mode were left in place.`,
+		);
+	}
+
+	async catch(error: Error) {
+		this.logger.error('Failed to migrate binary data');
+		this.logger.error(error.message);
+	}
+}
@@ -0,0 +1,70 @@
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import { BinaryDataConfig } from 'n8n-core';
+import { z } from 'zod';
+
+import { BinaryDataKeyRotationService } from '@/binary-data/binary-data-key-rotation.service';
+
+import { BaseCommand } from '../base-command';
+
+const flagsSchema = z.object({
+	batchSize: z.number().int().positive().describe('Number of executions per batch').default(100),
+	afterId: z.coerce
+		.string()
+		.describe('Resume after this execution ID, as reported by a previous run')
+		.optional(),
+});
+
+@Command({
+	name: 'binary-data:rotate-key',
+	description:
+		'Re-encrypts the data keys of encrypted binary files with the current instance encryption key',
+	examples: ['', '--batchSize=500', '--afterId=1234'],
+	flagsSchema,
+})
+export class RotateBinaryDataKeyCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	async init() {
+		await super.init();
+		await this.initLicense();
+		await this.initBinaryDataService();
+	}
+
+	async run() {
+		if (!Container.get(BinaryDataConfig).encryption) {
+			this.logger.info('Set `N8N_BINARY_DATA_ENCRYPTION=true` to encrypt binary data first!');
+			return;
+		}
+
+		const { batchSize, afterId } = this.flags;
+
+		const result = await Container.get(BinaryDataKeyRotationService).rotate({
+			batchSize,
+			afterExecutionId: afterId,
+			onProgress: ({ processedExecutions, totalExecutions, rotatedFiles, lastExecutionId }) => {
+				this.logger.info(
+					`Processed ${processedExecutions}/${totalExecutions} executions, rotated ${rotatedFiles} files, last execution ID: ${lastExecutionId}`,
+				);
+			},
+		});
+
+		this.logger.info(
+			`Rotated the encryption key of ${result.rotatedFiles} binary files of ${result.processedExecutions} executions`,
+		);
+
+		if (result.failedFiles > 0) {
+			this.logger.warn(
+				`Failed to rotate the encryption key of ${result.failedFiles} binary files. Run the command again to retry them.`,
+			);
+			return;
+		}
+
+		this.logger.info(
+			'Previous keys can now be removed from `N8N_BINARY_DATA_PREVIOUS_ENCRYPTION_KEYS`',
+		);
+	}
+
+	async catch(error: Error) {
+		this.logger.error('Failed to rotate the encryption key of binary data');
+		this.logger.error(error.message);
+	}
+}
@@ -0,0 +1,53 @@
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import { z } from 'zod';
+
+import { ExecutionArchiveService } from '@/services/pruning/execution-archive.service';
+
+import { BaseCommand } from '../base-command';
+
+const flagsSchema = z.object({
+	id: z.string().describe('ID of the archived execution to restore').optional(),
+});
+
+@Command({
+	name: 'execution:restore',
+	description: 'Restores an execution archived before hard-deletion back into the database',
+	examples: ['--id=5'],
+	flagsSchema,
+})
+export class RestoreExecutionCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	async init() {
+		await super.init();
+		await this.initLicense();
+		await this.initBinaryDataService();
+	}
+
+	async run() {
+		const { id } = this.flags;
+
+		if (!id) {
+			this.logger.info('"--id" has to be set!');
+			return;
+		}
+
+		const { binaryData } = await Container.get(ExecutionArchiveService).restore(id);
+
+		this.logger.info(`Restored execution ${id}`);
+
+		if (binaryData.length > 0) {
+			this.logger.info(
+				`The execution references ${binaryData.length} binary file(s), which may no longer exist`,
+			);
+		}
+
+		this.logger.info(
+			'Unless annotated, the execution will be pruned again by the next soft-deletion',
+		);
+	}
+
+	async catch(error: Error) {
+		this.logger.error('Failed to restore execution');
+		this.logger.error(error.message);
+	}
+}
@@ -1,6 +1,6 @@
 import { mockInstance, mockLogger } from '@n8n/backend-test-utils';
 import { GlobalConfig } from '@n8n/config';
-import type { ExecutionRepository } from '@n8n/db';
+import type { ExecutionRepository, Project } from '@n8n/db';
 import { mock } from 'jest-mock-extended';
 import type { WorkflowExecuteMode as ExecutionMode } from 'n8n-workflow';
 
@@ -12,6 +12,7 @@ import {
 } from '@/concurrency/concurrency-control.service';
 import { InvalidConcurrencyLimitError } from '@/errors/invalid-concurrency-limit.error';
 import type { EventService } from '@/events/event.service';
+import type { OwnershipService } from '@/services/ownership.service';
 import type { Telemetry } from '@/telemetry';
 
 import { ConcurrencyQueue } from '../concurrency-queue';
@@ -21,12 +22,14 @@ describe('ConcurrencyControlService', () => {
 	const executionRepository = mock<ExecutionRepository>();
 	const telemetry = mock<Telemetry>();
 	const eventService = mock<EventService>();
+	const ownershipService = mock<OwnershipService>();
 	const globalConfig = mockInstance(GlobalConfig, {
 		executions: {
 			mode: 'regular',
 			concurrency: {
 				productionLimit: -1,
 				evaluationLimit: -1,
+				projectLimit: -1,
 			},
 		},
 	});
@@ -34,6 +37,7 @@ describe('ConcurrencyControlService', () => {
 	afterEach(() => {
 		globalConfig.executions.concurrency.productionLimit = -1;
 		globalConfig.executions.concurrency.evaluationLimit = -1;
+		globalConfig.executions.concurrency.projectLimit = -1;
 		globalConfig.executions.mode = 'regular';
 
 		jest.clearAllMocks();
@@ -58,6 +62,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 
 				/**
@@ -91,6 +96,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 				} catch (error) {
 					/**
@@ -117,6 +123,7 @@ describe('ConcurrencyControlService', () => {
 				telemetry,
 				eventService,
 				globalConfig,
+				ownershipService,
 			);
 
 			/**
@@ -144,6 +151,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 
 				/**
@@ -170,6 +178,7 @@ describe('ConcurrencyControlService', () => {
 				telemetry,
 				eventService,
 				globalConfig,
+				ownershipService,
 			);
 
 			/**
@@ -200,6 +209,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 					const enqueueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'enqueue');
 
@@ -229,6 +239,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 					const enqueueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'enqueue');
 
@@ -256,6 +267,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const enqueueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'enqueue');
 
@@ -286,6 +298,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 					const dequeueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'dequeue');
 
@@ -315,6 +328,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 					const dequeueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'dequeue');
 
@@ -342,6 +356,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const dequeueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'dequeue');
 
@@ -372,6 +387,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 					const removeSpy = jest.spyOn(ConcurrencyQueue.prototype, 'remove');
 
@@ -401,6 +417,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 					const removeSpy = jest.spyOn(ConcurrencyQueue.prototype, 'remove');
 
@@ -428,6 +445,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const removeSpy = jest.spyOn(ConcurrencyQueue.prototype, 'remove');
 
@@ -459,6 +477,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 
 					jest
@@ -499,6 +518,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				// @ts-expect-error Private property
 				const queue = service.getQueue('webhook');
@@ -526,6 +546,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				// @ts-expect-error Private property
 				const queue = service.getQueue('evaluation');
@@ -557,6 +578,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const enqueueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'enqueue');
 
@@ -585,6 +607,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const enqueueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'enqueue');
 
@@ -614,6 +637,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const dequeueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'dequeue');
 
@@ -640,6 +664,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const dequeueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'dequeue');
 
@@ -668,6 +693,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const removeSpy = jest.spyOn(ConcurrencyQueue.prototype, 'remove');
 
@@ -694,6 +720,7 @@ describe('ConcurrencyControlService', () => {
 					telemetry,
 					eventService,
 					globalConfig,
+					ownershipService,
 				);
 				const removeSpy = jest.spyOn(ConcurrencyQueue.prototype, 'remove');
 
@@ -710,6 +737,167 @@ describe('ConcurrencyControlService', () => {
 		});
 	});
 
+	// ----------------------------------
+	//          scoped limits
+	// ----------------------------------
+
+	describe('scoped limits', () => {
+		const createService = () =>
+			new ConcurrencyControlService(
+				logger,
+				executionRepository,
+				telemetry,
+				eventService,
+				globalConfig,
+				ownershipService,
+			);
+
+		const workflowData = { id: 'wf1', settings: { concurrencyLimit: 1 } };
+
+		it('should throw if project cap is 0', () => {
+			globalConfig.executions.concurrency.projectLimit = 0;
+
+			expect(createService).toThrow(InvalidConcurrencyLimitError);
+		});
+
+		it('should throttle executions beyond the workflow limit until capacity is released', async () => {
+			/**
+			 * Arrange
+			 */
+			const service = createService();
+			await service.throttle({ mode: 'webhook', executionId: '1', workflowData });
+
+			/**
+			 * Act
+			 */
+			const second = service.throttle({ mode: 'webhook', executionId: '2', workflowData });
+			let isSecondReleased = false;
+			void second.then(() => (isSecondReleased = true));
+			await Promise.resolve();
+
+			/**
+			 * Assert
+			 */
+			expect(service.has('2')).toBe(true);
+			expect(isSecondReleased).toBe(false);
+			expect(eventService.emit).toHaveBeenCalledWith('execution-throttled', {
+				executionId: '2',
+				type: 'workflow',
+				scopeId: 'wf1',
+			});
+
+			service.release({ mode: 'webhook', executionId: '1' });
+			await second;
+
+			expect(service.has('2')).toBe(false);
+		});
+
+		it('should not throttle executions of other workflows', async () => {
+			const service = createService();
+
+			await service.throttle({ mode: 'webhook', executionId: '1', workflowData });
+			await service.throttle({
+				mode: 'webhook',
+				executionId: '2',
+				workflowData: { ...workflowData, id: 'wf2' },
+			});
+
+			expect(service.has('2')).toBe(false);
+		});
+
+		it.each(['manual', 'evaluation', 'error'])(
+			'should not apply workflow limit on %s mode',
+			async (mode: ExecutionMode) => {
+				const service = createService();
+
+				await service.throttle({ mode, executionId: '1', workflowData });
+				await service.throttle({ mode, executionId: '2', workflowData });
+
+				expect(service.has('2')).toBe(false);
+			},
+		);
+
+		it('should throttle executions beyond the project limit across workflows', async () => {
+			/**
+			 * Arrange
+			 */
+			globalConfig.executions.concurrency.projectLimit = 1;
+			ownershipService.getWorkflowProjectCached.mockResolvedValue(mock<Project>({ id: 'p1' }));
+			const service = createService();
+
+			/**
+			 * Act
+			 */
+			await service.throttle({ mode: 'trigger', executionId: '1', workflowData: { id: 'wf1' } });
+			void service.throttle({ mode: 'trigger', executionId: '2', workflowData: { id: 'wf2' } });
+			await new Promise(setImmediate);
+
+			/**
+			 * Assert
+			 */
+			expect(service.has('2')).toBe(true);
+			expect(eventService.emit).toHaveBeenCalledWith('execution-throttled', {
+				executionId: '2',
+				type: 'project',
+				scopeId: 'p1',
+			});
+		});
+
+		it('should skip project limit if workflow has no owning project', async () => {
+			globalConfig.executions.concurrency.projectLimit = 1;
+			ownershipService.getWorkflowProjectCached.mockRejectedValue(new Error('Not found'));
+			const service = createService();
+
+			await service.throttle({ mode: 'trigger', executionId: '1', workflowData: { id: 'wf1' } });
+			await service.throttle({ mode: 'trigger', executionId: '2', workflowData: { id: 'wf1' } });
+
+			expect(service.has('2')).toBe(false);
+		});
+
+		it('should remove an execution waiting for workflow capacity and release its slots', async () => {
+			/**
+			 * Arrange
+			 */
+			const service = createService();
+			await service.throttle({ mode: 'webhook', executionId: '1', workflowData });
+			void service.throttle({ mode: 'webhook', executionId: '2', workflowData });
+			const third = service.throttle({ mode: 'webhook', executionId: '3', workflowData });
+
+			/**
+			 * Act
+			 */
+			service.remove({ mode: 'webhook', executionId: '2' });
+			service.release({ mode: 'webhook', executionId: '1' });
+
+			/**
+			 * Assert
+			 */
+			await third;
+			expect(service.has('2')).toBe(false);
+			expect(service.has('3')).toBe(false);
+		});
+
+		it('should drop idle scoped queues', async () => {
+			const service = createService();
+
+			await service.throttle({ mode: 'webhook', executionId: '1', workflowData });
+			service.release({ mode: 'webhook', executionId: '1' });
+
+			// @ts-expect-error Private property
+			expect(service.scopedQueues.size).toBe(0);
+		});
+
+		it('should be disabled on queue mode', async () => {
+			globalConfig.executions.mode = 'queue';
+			const enqueueSpy = jest.spyOn(ConcurrencyQueue.prototype, 'enqueue');
+			const service = createService();
+
+			await service.throttle({ mode: 'webhook', executionId: '1', workflowData });
+
+			expect(enqueueSpy).not.toHaveBeenCalled();
+		});
+	});
+
 	// ----------------------------------
 	//            telemetry
 	// ----------------------------------
@@ -730,6 +918,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 
 					/**
@@ -764,6 +953,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 
 					/**
@@ -797,6 +987,7 @@ describe('ConcurrencyControlService', () => {
 						telemetry,
 						eventService,
 						globalConfig,
+						ownershipService,
 					);
 
 					/**
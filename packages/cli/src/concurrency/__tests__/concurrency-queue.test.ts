@@ -1,6 +1,6 @@
 import { sleep } from 'n8n-workflow';
 
-import { ConcurrencyQueue } from '../concurrency-queue';
+import { ConcurrencyQueue, type ExecutionPriority } from '../concurrency-queue';
 
 describe('ConcurrencyQueue', () => {
 	beforeAll(() => {
@@ -73,4 +73,64 @@ describe('ConcurrencyQueue', () => {
 		await jest.advanceTimersByTimeAsync(1000);
 		expect(emitSpy).toHaveBeenCalledTimes(1);
 	});
+
+	it('should release higher priorities first', async () => {
+		const queue = new ConcurrencyQueue(1);
+		const released: string[] = [];
+		queue.on('execution-released', (executionId) => released.push(executionId));
+
+		void queue.enqueue('running');
+		void queue.enqueue('low', 'low');
+		void queue.enqueue('normal', 'normal');
+		void queue.enqueue('high', 'high');
+
+		expect(queue.depthByPriority).toEqual({ high: 1, normal: 1, low: 1 });
+
+		queue.dequeue();
+
+		expect(released).toEqual(['high']);
+	});
+
+	it.each([null, 'urgent'])('should queue executions with priority %s as normal', (priority) => {
+		const queue = new ConcurrencyQueue(1);
+
+		void queue.enqueue('running');
+		void queue.enqueue('unknown', priority as ExecutionPriority);
+
+		expect(queue.depthByPriority).toEqual({ high: 0, normal: 1, low: 0 });
+	});
+
+	it('should not starve lower priorities under sustained load', async () => {
+		const queue = new ConcurrencyQueue(1);
+		const released: string[] = [];
+		queue.on('execution-released', (executionId) => released.push(executionId));
+
+		void queue.enqueue('running');
+		for (let i = 0; i < 10; i++) {
+			void queue.enqueue(`high-${i}`, 'high');
+			void queue.enqueue(`normal-${i}`, 'normal');
+			void queue.enqueue(`low-${i}`, 'low');
+		}
+
+		for (let i = 0; i < 7; i++) queue.dequeue();
+
+		const count = (priority: string) => released.filter((id) => id.startsWith(priority)).length;
+		expect(count('high')).toBe(4);
+		expect(count('normal')).toBe(2);
+		expect(count('low')).toBe(1);
+	});
+
+	it('should remove an execution from any priority lane', async () => {
+		const queue = new ConcurrencyQueue(1);
+
+		void queue.enqueue('running');
+		void queue.enqueue('low', 'low');
+
+		expect(queue.has('low')).toBe(true);
+
+		queue.remove('low');
+
+		expect(queue.has('low')).toBe(false);
+		expect(queue.getAll()).toEqual(new Set());
+	});
 });
@@ -0,0 +1,327 @@
+import { mockInstance, mockLogger } from '@n8n/backend-test-utils';
+import { GlobalConfig } from '@n8n/config';
+import type { Redis } from 'ioredis';
+import { mock } from 'jest-mock-extended';
+import type { InstanceSettings } from 'n8n-core';
+
+import { DistributedConcurrencyControlService } from '@/concurrency/distributed-concurrency-control.service';
+import { ConcurrencySlotUnavailableError } from '@/errors/concurrency-slot-unavailable.error';
+import { InvalidConcurrencyLimitError } from '@/errors/invalid-concurrency-limit.error';
+import type { EventService } from '@/events/event.service';
+import type { RedisClientService } from '@/services/redis-client.service';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const RedisMock = require('ioredis-mock') as new () => Redis;
+
+describe('DistributedConcurrencyControlService', () => {
+	const logger = mockLogger();
+	const eventService = mock<EventService>();
+	const workerSettings = mock<InstanceSettings>({ instanceType: 'worker' });
+	const globalConfig = mockInstance(GlobalConfig, {
+		redis: { prefix: 'n8n' },
+		executions: {
+			mode: 'queue',
+			concurrency: { queueModeProductionLimit: 2 },
+		},
+	});
+
+	let redis: Redis;
+	let redisClientService: RedisClientService;
+	const services: DistributedConcurrencyControlService[] = [];
+
+	/** Each service stands in for a separate worker sharing the same Redis. */
+	const createService = (instanceSettings = workerSettings) => {
+		const service = new DistributedConcurrencyControlService(
+			logger,
+			globalConfig,
+			redisClientService,
+			instanceSettings,
+			eventService,
+		);
+		services.push(service);
+		return service;
+	};
+
+	const semaphoreKey = 'n8n:concurrency:production';
+
+	beforeEach(async () => {
+		redis = new RedisMock();
+		await redis.flushall();
+		redisClientService = mock<RedisClientService>({
+			toValidPrefix: (prefix: string) => prefix,
+			// @ts-expect-error Shared mock client instead of a real connection
+			createClient: () => redis.duplicate(),
+		});
+	});
+
+	afterEach(async () => {
+		await Promise.all(services.splice(0).map(async (service) => await service.shutdown()));
+		globalConfig.executions.mode = 'queue';
+		globalConfig.executions.concurrency.queueModeProductionLimit = 2;
+		jest.clearAllMocks();
+		jest.useRealTimers();
+	});
+
+	it('should throw if limit is 0', () => {
+		globalConfig.executions.concurrency.queueModeProductionLimit = 0;
+
+		expect(() => createService()).toThrow(InvalidConcurrencyLimitError);
+	});
+
+	it.each([
+		['not in queue mode', 'regular', 'worker', 2],
+		['not a worker', 'queue', 'main', 2],
+		['limit is -1', 'queue', 'worker', -1],
+	] as const)('should do nothing if %s', async (_, mode, instanceType, limit) => {
+		globalConfig.executions.mode = mode;
+		globalConfig.executions.concurrency.queueModeProductionLimit = limit;
+		const service = createService(mock<InstanceSettings>({ instanceType }));
+
+		await service.throttle({ mode: 'webhook', executionId: '1' });
+
+		expect(await redis.zcard(semaphoreKey)).toBe(0);
+	});
+
+	it.each(['manual', 'evaluation', 'error', 'integrated'] as const)(
+		'should not throttle %s executions',
+		async (mode) => {
+			const service = createService();
+
+			await service.throttle({ mode, executionId: '1' });
+
+			expect(await redis.zcard(semaphoreKey)).toBe(0);
+		},
+	);
+
+	it('should take slots up to the limit across workers', async () => {
+		const [workerA, workerB] = [createService(), createService()];
+
+		await workerA.throttle({ mode: 'webhook', executionId: '1' });
+		await workerB.throttle({ mode: 'trigger', executionId: '2' });
+
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(expect.arrayContaining(['1', '2']));
+	});
+
+	it('should wait for a slot released by another worker', async () => {
+		/**
+		 * Arrange
+		 */
+		const [workerA, workerB] = [createService(), createService()];
+		await workerA.throttle({ mode: 'webhook', executionId: '1' });
+		await workerA.throttle({ mode: 'webhook', executionId: '2' });
+
+		/**
+		 * Act
+		 */
+		let isThrottled = true;
+		const third = workerB
+			.throttle({ mode: 'webhook', executionId: '3' })
+			.then(() => (isThrottled = false));
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		/**
+		 * Assert
+		 */
+		expect(isThrottled).toBe(true);
+		expect(eventService.emit).toHaveBeenCalledWith('execution-throttled', {
+			executionId: '3',
+			type: 'production',
+		});
+
+		await workerA.release({ executionId: '1' });
+		await third;
+
+		expect(isThrottled).toBe(false);
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(expect.arrayContaining(['2', '3']));
+	});
+
+	it('should throw if shutdown begins before a slot is taken', async () => {
+		globalConfig.executions.concurrency.queueModeProductionLimit = 1;
+		const [workerA, workerB] = [createService(), createService()];
+		await workerA.throttle({ mode: 'webhook', executionId: '1' });
+
+		const throttled = workerB.throttle({ mode: 'webhook', executionId: '2' });
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await workerB.shutdown();
+
+		await expect(throttled).rejects.toThrow(ConcurrencySlotUnavailableError);
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['1']);
+	});
+
+	it('should stop waiting for a slot once the signal is aborted', async () => {
+		globalConfig.executions.concurrency.queueModeProductionLimit = 1;
+		const [workerA, workerB] = [createService(), createService()];
+		await workerA.throttle({ mode: 'webhook', executionId: '1' });
+		const controller = new AbortController();
+
+		const throttled = workerB.throttle({
+			mode: 'webhook',
+			executionId: '2',
+			signal: controller.signal,
+		});
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		controller.abort();
+
+		await expect(throttled).resolves.toBe(false);
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['1']);
+	});
+
+	it('should throw for waiting executions once the worker stops waiting', async () => {
+		globalConfig.executions.concurrency.queueModeProductionLimit = 1;
+		const [workerA, workerB] = [createService(), createService()];
+		await workerA.throttle({ mode: 'webhook', executionId: '1' });
+
+		const throttled = workerB.throttle({ mode: 'webhook', executionId: '2' });
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		workerB.stopWaiting();
+
+		await expect(throttled).rejects.toThrow(ConcurrencySlotUnavailableError);
+	});
+
+	it('should release a slot taken after the execution stopped waiting', async () => {
+		const service = createService();
+		const controller = new AbortController();
+		// @ts-expect-error Private method
+		const tryAcquire = service.tryAcquire.bind(service);
+		// @ts-expect-error Private method
+		jest.spyOn(service, 'tryAcquire').mockImplementation(async (executionId: string) => {
+			controller.abort(); // stopped while the attempt is in progress
+			return await tryAcquire(executionId);
+		});
+
+		const result = await service.throttle({
+			mode: 'webhook',
+			executionId: '1',
+			signal: controller.signal,
+		});
+
+		expect(result).toBe(false);
+		expect(await redis.zcard(semaphoreKey)).toBe(0);
+	});
+
+	it('should release a slot taken after shutdown began', async () => {
+		const service = createService();
+		// @ts-expect-error Private method
+		const tryAcquire = service.tryAcquire.bind(service);
+		// @ts-expect-error Private method
+		jest.spyOn(service, 'tryAcquire').mockImplementation(async (executionId: string) => {
+			service.stopWaiting(); // shutdown began while the attempt is in progress
+			return await tryAcquire(executionId);
+		});
+
+		await expect(service.throttle({ mode: 'webhook', executionId: '1' })).rejects.toThrow(
+			ConcurrencySlotUnavailableError,
+		);
+		expect(await redis.zcard(semaphoreKey)).toBe(0);
+	});
+
+	it('should reclaim slots whose lease expired', async () => {
+		/**
+		 * Arrange
+		 */
+		globalConfig.executions.concurrency.queueModeProductionLimit = 1;
+		const crashedWorker = createService();
+		await crashedWorker.throttle({ mode: 'webhook', executionId: '1' });
+		await redis.zadd(semaphoreKey, Date.now() - 1, '1'); // lease not renewed
+
+		/**
+		 * Act
+		 */
+		await createService().throttle({ mode: 'webhook', executionId: '2' });
+
+		/**
+		 * Assert
+		 */
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['2']);
+	});
+
+	it('should only release slots held by this worker', async () => {
+		const [workerA, workerB] = [createService(), createService()];
+		await workerA.throttle({ mode: 'webhook', executionId: '1' });
+
+		await workerB.release({ executionId: '1' });
+
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['1']);
+	});
+
+	it('should renew leases of held slots', async () => {
+		/**
+		 * Arrange
+		 */
+		jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+		const service = createService();
+		await service.throttle({ mode: 'webhook', executionId: '1' });
+		const initialExpiry = Number(await redis.zscore(semaphoreKey, '1'));
+
+		/**
+		 * Act
+		 */
+		await jest.advanceTimersByTimeAsync(service.renewalFrequency);
+
+		/**
+		 * Assert
+		 */
+		expect(Number(await redis.zscore(semaphoreKey, '1'))).toBeGreaterThan(initialExpiry);
+	});
+
+	it('should take a slot again if its lease expired and there is capacity', async () => {
+		/**
+		 * Arrange
+		 */
+		jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+		const service = createService();
+		const onSlotLost = jest.fn();
+		await service.throttle({ mode: 'webhook', executionId: '1', onSlotLost });
+		await redis.zrem(semaphoreKey, '1'); // lease expired and was dropped by another worker
+
+		/**
+		 * Act
+		 */
+		await jest.advanceTimersByTimeAsync(service.renewalFrequency);
+
+		/**
+		 * Assert
+		 */
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['1']);
+		expect(onSlotLost).not.toHaveBeenCalled();
+	});
+
+	it('should report a slot as lost if its lease expired and there is no capacity', async () => {
+		/**
+		 * Arrange
+		 */
+		jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+		globalConfig.executions.concurrency.queueModeProductionLimit = 1;
+		const service = createService();
+		const onSlotLost = jest.fn();
+		await service.throttle({ mode: 'webhook', executionId: '1', onSlotLost });
+		await redis.zrem(semaphoreKey, '1'); // lease expired and was dropped by another worker
+		await redis.zadd(semaphoreKey, Date.now() + service.leaseTtl, '2'); // slot taken by another worker
+
+		/**
+		 * Act
+		 */
+		await jest.advanceTimersByTimeAsync(service.renewalFrequency);
+
+		/**
+		 * Assert
+		 */
+		expect(onSlotLost).toHaveBeenCalledTimes(1);
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['2']);
+
+		await service.shutdown();
+
+		expect(await redis.zrange(semaphoreKey, 0, -1)).toEqual(['2']); // only held slots are released
+	});
+
+	it('should release all held slots on shutdown', async () => {
+		const service = createService();
+		await service.throttle({ mode: 'webhook', executionId: '1' });
+		await service.throttle({ mode: 'webhook', executionId: '2' });
+
+		await service.shutdown();
+
+		expect(await redis.zcard(semaphoreKey)).toBe(0);
+	});
+});
@@ -3,20 +3,30 @@ import { GlobalConfig } from '@n8n/config';
 import { ExecutionRepository } from '@n8n/db';
 import { Service } from '@n8n/di';
 import capitalize from 'lodash/capitalize';
-import type { WorkflowExecuteMode as ExecutionMode } from 'n8n-workflow';
+import type { WorkflowExecuteMode as ExecutionMode, IWorkflowBase } from 'n8n-workflow';
 
 import { InvalidConcurrencyLimitError } from '@/errors/invalid-concurrency-limit.error';
 import { UnknownExecutionModeError } from '@/errors/unknown-execution-mode.error';
 import { EventService } from '@/events/event.service';
+import { OwnershipService } from '@/services/ownership.service';
 import { Telemetry } from '@/telemetry';
 
-import { ConcurrencyQueue } from './concurrency-queue';
+import { ConcurrencyQueue, type ExecutionPriority } from './concurrency-queue';
 
 export const CLOUD_TEMP_PRODUCTION_LIMIT = 999;
 export const CLOUD_TEMP_REPORTABLE_THRESHOLDS = [5, 10, 20, 50, 100, 200];
 
 export type ConcurrencyQueueType = 'production' | 'evaluation';
 
+/**
+ * Scopes of the optional queues layered on top of the global production queue.
+ * A `workflow` queue is capped by the workflow's `concurrencyLimit` setting,
+ * a `project` queue by `executions.concurrency.projectLimit`.
+ */
+export type ConcurrencyScope = 'workflow' | 'project';
+
+type ScopedQueue = { queue: ConcurrencyQueue; limit: number };
+
 @Service()
 export class ConcurrencyControlService {
 	private isEnabled: boolean;
@@ -25,6 +35,15 @@ export class ConcurrencyControlService {
 
 	private readonly queues: Map<ConcurrencyQueueType, ConcurrencyQueue>;
 
+	/** Whether per-workflow and per-project limits are applied. */
+	private isScopedEnabled: boolean;
+
+	/** Scoped queues, keyed by `workflow:<id>` or `project:<id>`, created on demand. */
+	private readonly scopedQueues = new Map<string, ScopedQueue>();
+
+	/** Keys of the scoped queues each execution holds capacity in, in acquisition order. */
+	private readonly scopedSlots = new Map<string, string[]>();
+
 	private readonly limitsToReport = CLOUD_TEMP_REPORTABLE_THRESHOLDS.map(
 		(t) => CLOUD_TEMP_PRODUCTION_LIMIT - t,
 	);
@@ -35,10 +54,16 @@ export class ConcurrencyControlService {
 		private readonly telemetry: Telemetry,
 		private readonly eventService: EventService,
 		private readonly globalConfig: GlobalConfig,
+		private readonly ownershipService: OwnershipService,
 	) {
 		this.logger = this.logger.scoped('concurrency');
 
-		const { productionLimit, evaluationLimit } = this.globalConfig.executions.concurrency;
+		const { productionLimit, evaluationLimit, projectLimit } =
+			this.globalConfig.executions.concurrency;
+
+		if (projectLimit === 0) throw new InvalidConcurrencyLimitError(projectLimit);
+
+		this.isScopedEnabled = this.globalConfig.executions.mode !== 'queue';
 
 		this.limits = new Map([
 			['production', productionLimit],
@@ -99,6 +124,8 @@ export class ConcurrencyControlService {
 	 * Check whether an execution is in any of the queues.
 	 */
 	has(executionId: string) {
+		if (this.findScopedQueueHolding(executionId)) return true;
+
 		if (!this.isEnabled) return false;
 
 		for (const queue of this.queues.values()) {
@@ -112,17 +139,36 @@ export class ConcurrencyControlService {
 
 	/**
 	 * Block or let through an execution based on concurrency capacity.
+	 *
+	 * Production executions first wait for capacity in their workflow's queue
+	 * and their project's queue, if either is limited, and only then in the
+	 * global production queue, so that a throttled workflow does not take up
+	 * global capacity while it waits.
 	 */
-	async throttle({ mode, executionId }: { mode: ExecutionMode; executionId: string }) {
+	async throttle({
+		mode,
+		executionId,
+		workflowData,
+	}: {
+		mode: ExecutionMode;
+		executionId: string;
+		workflowData?: Pick<IWorkflowBase, 'id' | 'settings'>;
+	}) {
+		if (workflowData && this.isScopedEnabled && this.isProductionMode(mode)) {
+			await this.throttleScoped(executionId, workflowData);
+		}
+
 		if (!this.isEnabled || this.isUnlimited(mode)) return;
 
-		await this.getQueue(mode)?.enqueue(executionId);
+		await this.getQueue(mode)?.enqueue(executionId, workflowData?.settings?.executionPriority);
 	}
 
 	/**
 	 * Release capacity back so the next execution in the queue can proceed.
 	 */
-	release({ mode }: { mode: ExecutionMode }) {
+	release({ mode, executionId }: { mode: ExecutionMode; executionId?: string }) {
+		if (executionId && this.isScopedEnabled) this.releaseScoped(executionId);
+
 		if (!this.isEnabled || this.isUnlimited(mode)) return;
 
 		this.getQueue(mode)?.dequeue();
@@ -132,6 +178,15 @@ export class ConcurrencyControlService {
 	 * Remove an execution from the production queue, releasing capacity back.
 	 */
 	remove({ mode, executionId }: { mode: ExecutionMode; executionId: string }) {
+		if (this.isScopedEnabled) {
+			const isWaitingForScopedCapacity = this.findScopedQueueHolding(executionId) !== undefined;
+
+			this.releaseScoped(executionId);
+
+			// not yet in the global queue
+			if (isWaitingForScopedCapacity) return;
+		}
+
 		if (!this.isEnabled || this.isUnlimited(mode)) return;
 
 		this.getQueue(mode)?.remove(executionId);
@@ -143,15 +198,26 @@ export class ConcurrencyControlService {
 	 * be re-run via `Start.runEnqueuedExecutions` during startup.
 	 */
 	async removeAll(executionIdsToCancel: string[]) {
-		if (!this.isEnabled) return;
+		if (!this.isEnabled && !this.isScopedEnabled) return;
 
-		this.queues.forEach((queue) => {
-			const enqueuedExecutionIds = queue.getAll();
-
-			for (const id of enqueuedExecutionIds) {
+		for (const { queue } of this.scopedQueues.values()) {
+			for (const id of queue.getAll()) {
 				queue.remove(id);
 			}
-		});
+		}
+
+		this.scopedQueues.clear();
+		this.scopedSlots.clear();
+
+		if (this.isEnabled) {
+			this.queues.forEach((queue) => {
+				const enqueuedExecutionIds = queue.getAll();
+
+				for (const id of enqueuedExecutionIds) {
+					queue.remove(id);
+				}
+			});
+		}
 
 		if (executionIdsToCancel.length === 0) return;
 
@@ -162,8 +228,22 @@ export class ConcurrencyControlService {
 		});
 	}
 
+	/**
+	 * Number of executions waiting for capacity in each global queue, by priority.
+	 */
+	getQueueDepths() {
+		const depths = new Map<ConcurrencyQueueType, Record<ExecutionPriority, number>>();
+
+		if (!this.isEnabled) return depths;
+
+		this.queues.forEach((queue, type) => depths.set(type, queue.depthByPriority));
+
+		return depths;
+	}
+
 	disable() {
 		this.isEnabled = false;
+		this.isScopedEnabled = false;
 	}
 
 	// ----------------------------------
@@ -183,6 +263,114 @@ export class ConcurrencyControlService {
 		});
 	}
 
+	private async throttleScoped(
+		executionId: string,
+		workflowData: Pick<IWorkflowBase, 'id' | 'settings'>,
+	) {
+		const workflowLimit = workflowData.settings?.concurrencyLimit;
+		const priority = workflowData.settings?.executionPriority;
+
+		if (workflowData.id && typeof workflowLimit === 'number' && workflowLimit > 0) {
+			await this.enqueueScoped(executionId, 'workflow', workflowData.id, workflowLimit, priority);
+		}
+
+		const { projectLimit } = this.globalConfig.executions.concurrency;
+
+		if (!workflowData.id || projectLimit < 0) return;
+
+		let projectId: string;
+
+		try {
+			projectId = (await this.ownershipService.getWorkflowProjectCached(workflowData.id)).id;
+		} catch {
+			this.logger.debug('Skipping project concurrency limit, workflow has no owning project', {
+				executionId,
+				workflowId: workflowData.id,
+			});
+			return;
+		}
+
+		await this.enqueueScoped(executionId, 'project', projectId, projectLimit, priority);
+	}
+
+	private async enqueueScoped(
+		executionId: string,
+		scope: ConcurrencyScope,
+		scopeId: string,
+		limit: number,
+		priority?: ExecutionPriority,
+	) {
+		const key = `${scope}:${scopeId}`;
+
+		let scoped = this.scopedQueues.get(key);
+
+		if (!scoped) {
+			scoped = { queue: new ConcurrencyQueue(limit), limit };
+
+			scoped.queue.on('execution-throttled', (event) => {
+				const payload = { executionId: event.executionId, type: scope, scopeId };
+				this.logger.debug('Execution throttled', payload);
+				this.eventService.emit('execution-throttled', payload);
+			});
+
+			scoped.queue.on('execution-released', (releasedExecutionId) => {
+				this.logger.debug('Execution released', {
+					executionId: releasedExecutionId,
+					type: scope,
+					scopeId,
+				});
+			});
+
+			this.scopedQueues.set(key, scoped);
+		}
+
+		const slots = this.scopedSlots.get(executionId) ?? [];
+		slots.push(key);
+		this.scopedSlots.set(executionId, slots);
+
+		await scoped.queue.enqueue(executionId, priority);
+	}
+
+	/**
+	 * Release all scoped capacity held by an execution, removing it from the
+	 * scoped queue it may still be waiting in.
+	 */
+	private releaseScoped(executionId: string) {
+		const keys = this.scopedSlots.get(executionId);
+
+		if (!keys) return;
+
+		this.scopedSlots.delete(executionId);
+
+		for (const key of keys.reverse()) {
+			const scoped = this.scopedQueues.get(key);
+
+			if (!scoped) continue;
+
+			if (scoped.queue.has(executionId)) {
+				scoped.queue.remove(executionId);
+			} else {
+				scoped.queue.dequeue();
+			}
+
+			if (scoped.queue.currentCapacity >= scoped.limit) this.scopedQueues.delete(key);
+		}
+	}
+
+	private findScopedQueueHolding(executionId: string) {
+		for (const key of this.scopedSlots.get(executionId) ?? []) {
+			const scoped = this.scopedQueues.get(key);
+
+			if (scoped?.queue.has(executionId)) return scoped.queue;
+		}
+
+		return undefined;
+	}
+
+	private isProductionMode(mode: ExecutionMode) {
+		return mode === 'webhook' || mode === 'trigger' || mode === 'chat';
+	}
+
 	private isUnlimited(mode: ExecutionMode) {
 		return this.getQueue(mode) === undefined;
 	}
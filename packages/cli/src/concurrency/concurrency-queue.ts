@@ -1,4 +1,5 @@
 import { Service } from '@n8n/di';
+import type { WorkflowSettings } from 'n8n-workflow';
 
 import { TypedEmitter } from '@/typed-emitter';
 
@@ -8,18 +9,53 @@ type ConcurrencyEvents = {
 	'concurrency-check': { capacity: number };
 };
 
+export type ExecutionPriority = WorkflowSettings.ExecutionPriority;
+
+export const EXECUTION_PRIORITIES: readonly ExecutionPriority[] = ['high', 'normal', 'low'];
+
+/**
+ * Relative share of released capacity each priority lane receives while
+ * several lanes have executions waiting, e.g. out of every seven releases,
+ * four go to `high`, two to `normal` and one to `low`.
+ */
+export const EXECUTION_PRIORITY_WEIGHTS: Record<ExecutionPriority, number> = {
+	high: 4,
+	normal: 2,
+	low: 1,
+};
+
+/**
+ * Workflows saved before priorities were validated may store any value, so
+ * unknown priorities are queued as `normal`.
+ */
+const toLane = (priority?: ExecutionPriority | null): ExecutionPriority =>
+	priority && EXECUTION_PRIORITIES.includes(priority) ? priority : 'normal';
+
+type QueueItem = {
+	executionId: string;
+	resolve: () => void;
+};
+
 @Service()
 export class ConcurrencyQueue extends TypedEmitter<ConcurrencyEvents> {
-	private readonly queue: Array<{
-		executionId: string;
-		resolve: () => void;
-	}> = [];
+	private readonly lanes: Record<ExecutionPriority, QueueItem[]> = {
+		high: [],
+		normal: [],
+		low: [],
+	};
+
+	/** Running credit per lane for smooth weighted round-robin between lanes. */
+	private readonly credits: Record<ExecutionPriority, number> = {
+		high: 0,
+		normal: 0,
+		low: 0,
+	};
 
 	constructor(private capacity: number) {
 		super();
 	}
 
-	async enqueue(executionId: string) {
+	async enqueue(executionId: string, priority?: ExecutionPriority | null) {
 		this.capacity--;
 
 		this.debouncedEmit('concurrency-check', { capacity: this.capacity });
@@ -28,7 +64,9 @@ export class ConcurrencyQueue extends TypedEmitter<ConcurrencyEvents> {
 			this.emit('execution-throttled', { executionId });
 
 			// eslint-disable-next-line @typescript-eslint/return-await
-			return new Promise<void>((resolve) => this.queue.push({ executionId, resolve }));
+			return new Promise<void>((resolve) =>
+				this.lanes[toLane(priority)].push({ executionId, resolve }),
+			);
 		}
 	}
 
@@ -36,6 +74,17 @@ export class ConcurrencyQueue extends TypedEmitter<ConcurrencyEvents> {
 		return this.capacity;
 	}
 
+	/**
+	 * Number of executions waiting in each priority lane.
+	 */
+	get depthByPriority() {
+		return {
+			high: this.lanes.high.length,
+			normal: this.lanes.normal.length,
+			low: this.lanes.low.length,
+		} satisfies Record<ExecutionPriority, number>;
+	}
+
 	dequeue() {
 		this.capacity++;
 
@@ -43,27 +92,41 @@ export class ConcurrencyQueue extends TypedEmitter<ConcurrencyEvents> {
 	}
 
 	remove(executionId: string) {
-		const index = this.queue.findIndex((item) => item.executionId === executionId);
+		for (const lane of Object.values(this.lanes)) {
+			const index = lane.findIndex((item) => item.executionId === executionId);
 
-		if (index > -1) {
-			this.queue.splice(index, 1);
+			if (index > -1) {
+				lane.splice(index, 1);
 
-			this.capacity++;
+				this.capacity++;
 
-			this.resolveNext();
+				this.resolveNext();
+
+				return;
+			}
 		}
 	}
 
 	getAll() {
-		return new Set(this.queue.map((item) => item.executionId));
+		return new Set(
+			EXECUTION_PRIORITIES.flatMap((priority) =>
+				this.lanes[priority].map((item) => item.executionId),
+			),
+		);
 	}
 
 	has(executionId: string) {
-		return this.queue.some((item) => item.executionId === executionId);
+		return EXECUTION_PRIORITIES.some((priority) =>
+			this.lanes[priority].some((item) => item.executionId === executionId),
+		);
 	}
 
 	private resolveNext() {
-		const item = this.queue.shift();
+		const priority = this.pickLane();
+
+		if (!priority) return;
+
+		const item = this.lanes[priority].shift();
 
 		if (!item) return;
 
@@ -73,4 +136,35 @@ export class ConcurrencyQueue extends TypedEmitter<ConcurrencyEvents> {
 
 		resolve();
 	}
+
+	/**
+	 * Pick the lane to release from, by smooth weighted round-robin over the
+	 * non-empty lanes, so that higher priorities are preferred but lower
+	 * priorities still progress under sustained load.
+	 */
+	private pickLane() {
+		const waiting = EXECUTION_PRIORITIES.filter((priority) => this.lanes[priority].length > 0);
+
+		for (const priority of EXECUTION_PRIORITIES) {
+			if (!waiting.includes(priority)) this.credits[priority] = 0;
+		}
+
+		if (waiting.length === 0) return undefined;
+
+		if (waiting.length === 1) return waiting[0];
+
+		let totalWeight = 0;
+		let picked = waiting[0];
+
+		for (const priority of waiting) {
+			this.credits[priority] += EXECUTION_PRIORITY_WEIGHTS[priority];
+			totalWeight += EXECUTION_PRIORITY_WEIGHTS[priority];
+
+			if (this.credits[priority] > this.credits[picked]) picked = priority;
+		}
+
+		this.credits[picked] -= totalWeight;
+
+		return picked;
+	}
 }
@@ -0,0 +1,363 @@
+import { Logger } from '@n8n/backend-common';
+import { GlobalConfig } from '@n8n/config';
+import { Time } from '@n8n/constants';
+import { OnShutdown } from '@n8n/decorators';
+import { Service } from '@n8n/di';
+import type { Cluster, Redis } from 'ioredis';
+import { InstanceSettings } from 'n8n-core';
+import type { WorkflowExecuteMode as ExecutionMode } from 'n8n-workflow';
+
+import { HIGHEST_SHUTDOWN_PRIORITY } from '@/constants';
+import { ConcurrencySlotUnavailableError } from '@/errors/concurrency-slot-unavailable.error';
+import { InvalidConcurrencyLimitError } from '@/errors/invalid-concurrency-limit.error';
+import { EventService } from '@/events/event.service';
+import { RedisClientService } from '@/services/redis-client.service';
+
+/**
+ * Atomically drop expired leases and take a slot if the semaphore has capacity.
+ * Re-acquiring a slot already held by the same member only extends its lease.
+ *
+ * KEYS[1] semaphore key, ARGV[1] member, ARGV[2] limit, ARGV[3] now, ARGV[4] lease expiry
+ */
+const ACQUIRE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+	redis.call('ZADD', KEYS[1], ARGV[4], ARGV[1])
+	return 1
+end
+if redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[2]) then
+	redis.call('ZADD', KEYS[1], ARGV[4], ARGV[1])
+	return 1
+end
+return 0
+`;
+
+/**
+ * Atomically extend the leases of slots held by this process. Slots whose lease
+ * already expired and was dropped are taken again if the semaphore has capacity.
+ *
+ * KEYS[1] semaphore key, ARGV[1] limit, ARGV[2] now, ARGV[3] lease expiry, ARGV[4..] members
+ *
+ * Returns the members whose slot was lost.
+ */
+const RENEW_SCRIPT = `
+local missing = {}
+for i = 4, #ARGV do
+	if redis.call('ZSCORE', KEYS[1], ARGV[i]) then
+		redis.call('ZADD', KEYS[1], ARGV[3], ARGV[i])
+	else
+		table.insert(missing, ARGV[i])
+	end
+end
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[2])
+local lost = {}
+for _, member in ipairs(missing) do
+	if redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[1]) then
+		redis.call('ZADD', KEYS[1], ARGV[3], member)
+	else
+		table.insert(lost, member)
+	end
+end
+return lost
+`;
+
+/**
+ * Caps production executions across all workers in scaling mode, by means of a
+ * semaphore in Redis shared by every worker. Each slot is a lease that the
+ * holding worker keeps renewing, so that slots held by a crashed worker free
+ * up once their lease expires.
+ *
+ * Waiting executions poll for a free slot, so release order is not strictly FIFO.
+ */
+@Service()
+export class DistributedConcurrencyControlService {
+	private readonly limit: number;
+
+	private readonly isEnabled: boolean;
+
+	private client: Redis | Cluster | undefined;
+
+	private semaphoreKey: string;
+
+	/**
+	 * IDs of executions holding a slot through this process, with the callback
+	 * to call if their slot is lost.
+	 */
+	private readonly heldSlots = new Map<string, () => void>();
+
+	/** Attempts to take a slot that are in progress. */
+	private readonly pendingAttempts = new Set<Promise<boolean>>();
+
+	private renewalInterval: NodeJS.Timeout | undefined;
+
+	private isShuttingDown = false;
+
+	/** Aborted once shutdown begins, to stop waiting for a slot. */
+	private readonly shutdownController = new AbortController();
+
+	/** How long (ms) a slot is held before it expires unless renewed. */
+	readonly leaseTtl = 60 * Time.seconds.toMilliseconds;
+
+	/** How often (ms) to renew the leases of held slots. */
+	readonly renewalFrequency = 20 * Time.seconds.toMilliseconds;
+
+	/** How long (ms) to wait between attempts to acquire a slot. */
+	readonly pollInterval = 1 * Time.seconds.toMilliseconds;
+
+	constructor(
+		private readonly logger: Logger,
+		private readonly globalConfig: GlobalConfig,
+		private readonly redisClientService: RedisClientService,
+		private readonly instanceSettings: InstanceSettings,
+		private readonly eventService: EventService,
+	) {
+		this.logger = this.logger.scoped('concurrency');
+
+		const { queueModeProductionLimit } = this.globalConfig.executions.concurrency;
+
+		if (queueModeProductionLimit === 0) {
+			throw new InvalidConcurrencyLimitError(queueModeProductionLimit);
+		}
+
+		this.limit = queueModeProductionLimit;
+
+		this.isEnabled =
+			this.globalConfig.executions.mode === 'queue' &&
+			this.instanceSettings.instanceType === 'worker' &&
+			this.limit > 0;
+	}
+
+	/**
+	 * Wait until a production execution can take a slot in the instance-wide
+	 * semaphore. No-op for non-production executions or if not enabled.
+	 *
+	 * @param signal Stops waiting for a slot once aborted, e.g. when the execution is stopped.
+	 * @param onSlotLost Called if the slot is lost later on, because its lease could not be renewed.
+	 * @returns `false` if `signal` was aborted before a slot was taken, else `true`.
+	 * @throws {ConcurrencySlotUnavailableError} If shutdown begins before a slot is taken.
+	 */
+	async throttle({
+		mode,
+		executionId,
+		signal,
+		onSlotLost = () => {},
+	}: {
+		mode: ExecutionMode;
+		executionId: string;
+		signal?: AbortSignal;
+		onSlotLost?: () => void;
+	}) {
+		if (!this.isEnabled || !this.isProductionMode(mode)) return true;
+
+		let isThrottled = false;
+
+		while (!this.isShuttingDown && !signal?.aborted) {
+			const attempt = this.attemptToAcquire(executionId, onSlotLost, signal);
+			this.pendingAttempts.add(attempt);
+
+			let isAcquired: boolean;
+
+			try {
+				isAcquired = await attempt;
+			} catch (error) {
+				// e.g. the connection was closed by shutdown while the attempt was in progress
+				if (this.isShuttingDown) throw new ConcurrencySlotUnavailableError(executionId);
+				throw error;
+			} finally {
+				this.pendingAttempts.delete(attempt);
+			}
+
+			if (isAcquired) {
+				if (isThrottled) this.logger.debug('Execution released', { executionId });
+
+				return true;
+			}
+
+			if (!isThrottled) {
+				isThrottled = true;
+				this.logger.debug('Execution throttled', { executionId, type: 'production' });
+				this.eventService.emit('execution-throttled', { executionId, type: 'production' });
+			}
+
+			await this.waitForNextAttempt(signal);
+		}
+
+		if (signal?.aborted) return false;
+
+		throw new ConcurrencySlotUnavailableError(executionId);
+	}
+
+	/**
+	 * Release the slot held by an execution back to the semaphore.
+	 */
+	async release({ executionId }: { executionId: string }) {
+		if (!this.heldSlots.delete(executionId)) return;
+
+		if (this.heldSlots.size === 0) this.stopRenewal();
+
+		const client = this.getClient();
+
+		await client.zrem(this.semaphoreKey, executionId);
+	}
+
+	/**
+	 * Stop executions from waiting for a slot, so that they are returned to the
+	 * queue instead of holding up the shutdown of the worker.
+	 */
+	@OnShutdown(HIGHEST_SHUTDOWN_PRIORITY)
+	stopWaiting() {
+		this.isShuttingDown = true;
+		this.shutdownController.abort();
+	}
+
+	@OnShutdown()
+	async shutdown() {
+		this.stopWaiting();
+
+		this.stopRenewal();
+
+		// Slots taken by attempts in progress are only released once they are held
+		await Promise.allSettled(this.pendingAttempts);
+
+		if (!this.client) return;
+
+		if (this.heldSlots.size > 0) {
+			await this.client.zrem(this.semaphoreKey, ...this.heldSlots.keys());
+			this.heldSlots.clear();
+		}
+
+		this.client.disconnect();
+		this.client = undefined;
+	}
+
+	// ----------------------------------
+	//             private
+	// ----------------------------------
+
+	private getClient() {
+		if (this.client) return this.client;
+
+		const prefix = this.redisClientService.toValidPrefix(this.globalConfig.redis.prefix);
+		this.semaphoreKey = `${prefix}:concurrency:production`;
+		this.client = this.redisClientService.createClient({ type: 'concurrency(n8n)' });
+
+		this.logger.debug(
+			`Production execution concurrency across workers is limited to ${this.limit}`,
+		);
+
+		return this.client;
+	}
+
+	/**
+	 * Try to take a slot once. A slot taken while the execution stopped waiting,
+	 * or while shutdown began, is released again right away.
+	 */
+	private async attemptToAcquire(
+		executionId: string,
+		onSlotLost: () => void,
+		signal: AbortSignal | undefined,
+	) {
+		if (!(await this.tryAcquire(executionId))) return false;
+
+		if (this.isShuttingDown || signal?.aborted) {
+			await this.getClient().zrem(this.semaphoreKey, executionId);
+			return false;
+		}
+
+		this.heldSlots.set(executionId, onSlotLost);
+		this.startRenewal();
+
+		return true;
+	}
+
+	/**
+	 * Wait until the next attempt to take a slot, or until waiting is stopped.
+	 */
+	private async waitForNextAttempt(signal: AbortSignal | undefined) {
+		const signals = [this.shutdownController.signal, ...(signal ? [signal] : [])];
+
+		await new Promise<void>((resolve) => {
+			const done = () => {
+				clearTimeout(timeout);
+				for (const s of signals) s.removeEventListener('abort', done);
+				resolve();
+			};
+			const timeout = setTimeout(done, this.pollInterval);
+			for (const s of signals) s.addEventListener('abort', done, { once: true });
+		});
+	}
+
+	private async tryAcquire(executionId: string) {
+		const client = this.getClient();
+		const now = Date.now();
+
+		const result = await client.eval(
+			ACQUIRE_SCRIPT,
+			1,
+			this.semaphoreKey,
+			executionId,
+			this.limit,
+			now,
+			now + this.leaseTtl,
+		);
+
+		return result === 1;
+	}
+
+	private startRenewal() {
+		if (this.renewalInterval) return;
+
+		this.renewalInterval = setInterval(async () => await this.renewLeases(), this.renewalFrequency);
+	}
+
+	private stopRenewal() {
+		clearInterval(this.renewalInterval);
+		this.renewalInterval = undefined;
+	}
+
+	/**
+	 * Extend the leases of held slots. If a lease expired in the meantime, e.g.
+	 * because Redis was unreachable, the slot is taken again if possible, else the
+	 * execution holding it is told that its slot was lost.
+	 */
+	private async renewLeases() {
+		if (this.heldSlots.size === 0) return;
+
+		const now = Date.now();
+		let lost: string[];
+
+		try {
+			const client = this.getClient();
+
+			lost = (await client.eval(
+				RENEW_SCRIPT,
+				1,
+				this.semaphoreKey,
+				this.limit,
+				now,
+				now + this.leaseTtl,
+				...this.heldSlots.keys(),
+			)) as string[];
+		} catch (error) {
+			this.logger.error('Failed to renew concurrency leases', { error });
+			return;
+		}
+
+		for (const executionId of lost) {
+			const onSlotLost = this.heldSlots.get(executionId);
+			if (!onSlotLost) continue; // released while renewing
+
+			this.heldSlots.delete(executionId);
+			this.logger.warn('Execution lost its concurrency slot because its lease expired', {
+				executionId,
+			});
+			onSlotLost();
+		}
+
+		if (this.heldSlots.size === 0) this.stopRenewal();
+	}
+
+	private isProductionMode(mode: ExecutionMode) {
+		return mode === 'webhook' || mode === 'trigger' || mode === 'chat';
+	}
+}
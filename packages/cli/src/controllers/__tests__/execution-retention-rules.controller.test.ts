@@ -0,0 +1,112 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import type { ExecutionRetentionRule } from '@n8n/db';
+import {
+	ExecutionRetentionRuleRepository,
+	ProjectRepository,
+	TagRepository,
+	WorkflowRepository,
+} from '@n8n/db';
+import { Container } from '@n8n/di';
+import { mock } from 'jest-mock-extended';
+
+import { NotFoundError } from '@/errors/response-errors/not-found.error';
+import { ExecutionsPruningService } from '@/services/pruning/executions-pruning.service';
+
+import { ExecutionRetentionRulesController } from '../execution-retention-rules.controller';
+
+describe('ExecutionRetentionRulesController', () => {
+	const executionRetentionRuleRepository = mockInstance(ExecutionRetentionRuleRepository);
+	const executionsPruningService = mockInstance(ExecutionsPruningService);
+	const workflowRepository = mockInstance(WorkflowRepository);
+	const projectRepository = mockInstance(ProjectRepository);
+	const tagRepository = mockInstance(TagRepository);
+
+	const controller = Container.get(ExecutionRetentionRulesController);
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+		workflowRepository.existsBy.mockResolvedValue(true);
+		projectRepository.existsBy.mockResolvedValue(true);
+		tagRepository.existsBy.mockResolvedValue(true);
+	});
+
+	describe('create', () => {
+		it('should save a rule with unset filters matching any execution', async () => {
+			const rule = mock<ExecutionRetentionRule>({ id: 'rule-1' });
+			executionRetentionRuleRepository.create.mockReturnValue(rule);
+			executionRetentionRuleRepository.save.mockResolvedValue(rule);
+
+			const result = await controller.create(mock(), mock(), {
+				name: 'Finance failures',
+				projectId: 'project-1',
+				status: 'error',
+				maxAge: 24 * 90,
+			});
+
+			expect(executionRetentionRuleRepository.create).toHaveBeenCalledWith({
+				name: 'Finance failures',
+				workflowId: null,
+				projectId: 'project-1',
+				tagId: null,
+				status: 'error',
+				maxAge: 24 * 90,
+			});
+			expect(result).toBe(rule);
+		});
+
+		it.each([
+			['workflow', { workflowId: 'missing' }, () => workflowRepository],
+			['project', { projectId: 'missing' }, () => projectRepository],
+			['tag', { tagId: 'missing' }, () => tagRepository],
+		] as const)('should throw if the %s does not exist', async (_, filter, getRepository) => {
+			getRepository().existsBy.mockResolvedValue(false);
+
+			await expect(
+				controller.create(mock(), mock(), { name: 'Rule', maxAge: 24, ...filter }),
+			).rejects.toThrow(NotFoundError);
+			expect(executionRetentionRuleRepository.save).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('update', () => {
+		it('should throw if the rule does not exist', async () => {
+			executionRetentionRuleRepository.findOneBy.mockResolvedValue(null);
+
+			await expect(controller.update(mock(), mock(), 'missing', { maxAge: 48 })).rejects.toThrow(
+				NotFoundError,
+			);
+			expect(executionRetentionRuleRepository.save).not.toHaveBeenCalled();
+		});
+
+		it('should throw if the new workflow does not exist', async () => {
+			executionRetentionRuleRepository.findOneBy.mockResolvedValue(mock<ExecutionRetentionRule>());
+			workflowRepository.existsBy.mockResolvedValue(false);
+
+			await expect(
+				controller.update(mock(), mock(), 'rule-1', { workflowId: 'missing' }),
+			).rejects.toThrow(NotFoundError);
+			expect(executionRetentionRuleRepository.save).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('delete', () => {
+		it('should throw if the rule does not exist', async () => {
+			executionRetentionRuleRepository.delete.mockResolvedValue({ affected: 0, raw: [] });
+
+			await expect(controller.delete(mock(), mock(), 'missing')).rejects.toThrow(NotFoundError);
+		});
+	});
+
+	describe('dryRun', () => {
+		it('should report what the next soft-deletion would prune', async () => {
+			const report = {
+				total: 3,
+				global: 1,
+				byRule: [{ ruleId: 'rule-1', name: 'Rule', count: 2 }],
+			};
+			executionsPruningService.dryRun.mockResolvedValue(report);
+
+			expect(await controller.dryRun()).toEqual(report);
+		});
+	});
+});
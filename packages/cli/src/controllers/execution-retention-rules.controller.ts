@@ -0,0 +1,118 @@
+import { CreateExecutionRetentionRuleDto, UpdateExecutionRetentionRuleDto } from '@n8n/api-types';
+import {
+	AuthenticatedRequest,
+	ExecutionRetentionRuleRepository,
+	ProjectRepository,
+	TagRepository,
+	WorkflowRepository,
+} from '@n8n/db';
+import {
+	Body,
+	Delete,
+	Get,
+	GlobalScope,
+	Param,
+	Patch,
+	Post,
+	RestController,
+} from '@n8n/decorators';
+import { Response } from 'express';
+
+import { NotFoundError } from '@/errors/response-errors/not-found.error';
+import { ExecutionsPruningService } from '@/services/pruning/executions-pruning.service';
+
+@RestController('/execution-retention-rules')
+export class ExecutionRetentionRulesController {
+	constructor(
+		private readonly executionRetentionRuleRepository: ExecutionRetentionRuleRepository,
+		private readonly executionsPruningService: ExecutionsPruningService,
+		private readonly workflowRepository: WorkflowRepository,
+		private readonly projectRepository: ProjectRepository,
+		private readonly tagRepository: TagRepository,
+	) {}
+
+	@Get('/')
+	@GlobalScope('executionRetention:manage')
+	async getAll() {
+		return await this.executionRetentionRuleRepository.find({ order: { createdAt: 'ASC' } });
+	}
+
+	/** Report how many executions the next soft-deletion would prune, per rule. */
+	@Get('/dry-run')
+	@GlobalScope('executionRetention:manage')
+	async dryRun() {
+		return await this.executionsPruningService.dryRun();
+	}
+
+	@Post('/')
+	@GlobalScope('executionRetention:manage')
+	async create(
+		_req: AuthenticatedRequest,
+		_res: Response,
+		@Body dto: CreateExecutionRetentionRuleDto,
+	) {
+		await this.checkFiltersExist(dto);
+
+		const rule = this.executionRetentionRuleRepository.create({
+			name: dto.name,
+			workflowId: dto.workflowId ?? null,
+			projectId: dto.projectId ?? null,
+			tagId: dto.tagId ?? null,
+			status: dto.status ?? null,
+			maxAge: dto.maxAge,
+		});
+
+		return await this.executionRetentionRuleRepository.save(rule);
+	}
+
+	@Patch('/:id')
+	@GlobalScope('executionRetention:manage')
+	async update(
+		_req: AuthenticatedRequest,
+		_res: Response,
+		@Param('id') id: string,
+		@Body dto: UpdateExecutionRetentionRuleDto,
+	) {
+		const rule = await this.executionRetentionRuleRepository.findOneBy({ id });
+
+		NotFoundError.isDefinedAndNotNull(rule, `Could not find retention rule with ID "${id}"`);
+
+		await this.checkFiltersExist(dto);
+
+		this.executionRetentionRuleRepository.merge(rule, dto);
+
+		return await this.executionRetentionRuleRepository.save(rule);
+	}
+
+	@Delete('/:id')
+	@GlobalScope('executionRetention:manage')
+	async delete(_req: AuthenticatedRequest, _res: Response, @Param('id') id: string) {
+		const { affected } = await this.executionRetentionRuleRepository.delete({ id });
+
+		if (!affected) throw new NotFoundError(`Could not find retention rule with ID "${id}"`);
+
+		return { success: true };
+	}
+
+	/**
+	 * Check that the workflow, project and tag a rule filters by exist,
+	 * as rules referencing missing ones would fail on their foreign keys.
+	 */
+	private async checkFiltersExist({
+		workflowId,
+		projectId,
+		tagId,
+	}: UpdateExecutionRetentionRuleDto) {
+		if (workflowId && !(await this.workflowRepository.existsBy({ id: workflowId }))) {
+			throw new NotFoundError(`Could not find workflow with ID "${workflowId}"`);
+		}
+
+		if (projectId && !(await this.projectRepository.existsBy({ id: projectId }))) {
+			throw new NotFoundError(`Could not find project with ID "${projectId}"`);
+		}
+
+		if (tagId && !(await this.tagRepository.existsBy({ id: tagId }))) {
+			throw new NotFoundError(`Could not find tag with ID "${tagId}"`);
+		}
+	}
+}
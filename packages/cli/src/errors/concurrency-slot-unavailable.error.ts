@@ -0,0 +1,10 @@
+import { OperationalError } from 'n8n-workflow';
+
+export class ConcurrencySlotUnavailableError extends OperationalError {
+	constructor(executionId: string) {
+		super('Worker is shutting down so execution could not take a concurrency slot', {
+			level: 'warning',
+			extra: { executionId },
+		});
+	}
+}
@@ -11,11 +11,20 @@ import { BadRequestError } from '@/errors/response-errors/bad-request.error';
 
 import { eventNamesAll } from './event-message-classes';
 import { MessageEventBus } from './message-event-bus/message-event-bus';
+import {
+	isMessageEventBusDestinationHttpBatchOptions,
+	MessageEventBusDestinationHttpBatch,
+} from './message-event-bus-destination/message-event-bus-destination-http-batch.ee';
+import {
+	isMessageEventBusDestinationKafkaOptions,
+	MessageEventBusDestinationKafka,
+} from './message-event-bus-destination/message-event-bus-destination-kafka.ee';
 import {
 	isMessageEventBusDestinationSentryOptions,
 	MessageEventBusDestinationSentry,
 } from './message-event-bus-destination/message-event-bus-destination-sentry.ee';
 import {
+	findInvalidSyslogStructuredDataName,
 	isMessageEventBusDestinationSyslogOptions,
 	MessageEventBusDestinationSyslog,
 } from './message-event-bus-destination/message-event-bus-destination-syslog.ee';
@@ -28,6 +37,17 @@ const isWithIdString = (candidate: unknown): candidate is { id: string } => {
 	return o.id !== undefined;
 };
 
+const isDeadLetterSelection = (
+	candidate: unknown,
+): candidate is { ids?: string[]; destinationId?: string } => {
+	const o = candidate as { ids?: unknown; destinationId?: unknown };
+	if (!o) return false;
+	const hasIds =
+		Array.isArray(o.ids) && o.ids.length > 0 && o.ids.every((id) => typeof id === 'string');
+	const hasDestinationId = typeof o.destinationId === 'string' && o.destinationId.length > 0;
+	return hasIds || hasDestinationId;
+};
+
 const isMessageEventBusDestinationWebhookOptions = (
 	candidate: unknown,
 ): candidate is MessageEventBusDestinationWebhookOptions => {
@@ -87,11 +107,27 @@ export class EventBusController {
 					break;
 				case MessageEventBusDestinationTypeNames.syslog:
 					if (isMessageEventBusDestinationSyslogOptions(req.body)) {
+						const invalidName = findInvalidSyslogStructuredDataName(req.body);
+						if (invalidName) throw new BadRequestError(invalidName);
 						result = await this.eventBus.addDestination(
 							new MessageEventBusDestinationSyslog(this.eventBus, req.body),
 						);
 					}
 					break;
+				case MessageEventBusDestinationTypeNames.kafka:
+					if (isMessageEventBusDestinationKafkaOptions(req.body)) {
+						result = await this.eventBus.addDestination(
+							new MessageEventBusDestinationKafka(this.eventBus, req.body),
+						);
+					}
+					break;
+				case MessageEventBusDestinationTypeNames.httpBatch:
+					if (isMessageEventBusDestinationHttpBatchOptions(req.body)) {
+						result = await this.eventBus.addDestination(
+							new MessageEventBusDestinationHttpBatch(this.eventBus, req.body),
+						);
+					}
+					break;
 				default:
 					throw new BadRequestError(
 						`Body is missing ${req.body.__type} options or type ${req.body.__type} is unknown`,
@@ -130,4 +166,39 @@ export class EventBusController {
 			throw new BadRequestError('Query is missing id');
 		}
 	}
+
+	@Licensed('feat:logStreaming')
+	@Get('/dead-letter')
+	@GlobalScope('eventBusDestination:list')
+	async getDeadLetters(req: express.Request) {
+		const { destinationId, take, skip } = req.query;
+		return await this.eventBus.findDeadLetters({
+			destinationId: typeof destinationId === 'string' ? destinationId : undefined,
+			take: typeof take === 'string' ? Math.min(parseInt(take, 10) || 50, 250) : 50,
+			skip: typeof skip === 'string' ? parseInt(skip, 10) || 0 : 0,
+		});
+	}
+
+	@Licensed('feat:logStreaming')
+	@Post('/dead-letter/replay')
+	@GlobalScope('eventBusDestination:create')
+	async replayDeadLetters(req: AuthenticatedRequest) {
+		if (!isDeadLetterSelection(req.body)) {
+			throw new BadRequestError('Body is missing ids or destinationId');
+		}
+		return await this.eventBus.replayDeadLetters(req.body);
+	}
+
+	@Licensed('feat:logStreaming')
+	@Delete('/dead-letter')
+	@GlobalScope('eventBusDestination:delete')
+	async deleteDeadLetters(req: AuthenticatedRequest) {
+		if (isWithIdString(req.query)) {
+			return await this.eventBus.deleteDeadLetters({ ids: [req.query.id] });
+		}
+		if (typeof req.query.destinationId === 'string' && req.query.destinationId.length > 0) {
+			return await this.eventBus.deleteDeadLetters({ destinationId: req.query.destinationId });
+		}
+		throw new BadRequestError('Query is missing id or destinationId');
+	}
 }
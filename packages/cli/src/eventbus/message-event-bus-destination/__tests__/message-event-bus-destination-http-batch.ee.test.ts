@@ -0,0 +1,157 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS } from '@n8n/constants';
+import type { AxiosInstance } from 'axios';
+import { mock } from 'jest-mock-extended';
+import { MessageEventBusDestinationTypeNames, OperationalError } from 'n8n-workflow';
+
+import { License } from '@/license';
+
+import { EventMessageAudit } from '../../event-message-classes/event-message-audit';
+import type { MessageEventBus } from '../../message-event-bus/message-event-bus';
+import { MessageEventBusDestinationHttpBatch } from '../message-event-bus-destination-http-batch.ee';
+
+describe('MessageEventBusDestinationHttpBatch', () => {
+	const license = mockInstance(License);
+	const request = jest.fn();
+
+	const createDestination = (batchSize = 2, flushInterval = 1000) => {
+		const destination = new MessageEventBusDestinationHttpBatch(mock<MessageEventBus>(), {
+			__type: MessageEventBusDestinationTypeNames.httpBatch,
+			url: 'https://example.com/ingest',
+			enabled: true,
+			subscribedEvents: ['n8n.audit'],
+			batchSize,
+			flushInterval,
+		});
+		destination.axiosInstance = mock<AxiosInstance>({ request });
+		return destination;
+	};
+
+	const createEvent = (userId: string) =>
+		new EventMessageAudit({ eventName: 'n8n.audit.user.updated', payload: { userId } });
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		jest.clearAllMocks();
+		license.isLogStreamingEnabled.mockReturnValue(true);
+		request.mockResolvedValue({ status: 200 });
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	it('should post a batch as NDJSON once the batch size is reached', async () => {
+		const destination = createDestination();
+		const confirmCallback = jest.fn();
+
+		const first = destination.receiveFromEventBus({ msg: createEvent('1'), confirmCallback });
+		await jest.advanceTimersByTimeAsync(0);
+		expect(request).not.toHaveBeenCalled();
+
+		const second = destination.receiveFromEventBus({ msg: createEvent('2'), confirmCallback });
+
+		expect(await Promise.all([first, second])).toEqual([true, true]);
+		expect(request).toHaveBeenCalledTimes(1);
+		const body = request.mock.calls[0][0].data as string;
+		const lines = body.trimEnd().split('\n');
+		expect(lines).toHaveLength(2);
+		expect(JSON.parse(lines[0])).toMatchObject({
+			eventName: 'n8n.audit.user.updated',
+			payload: { userId: '1' },
+		});
+		expect(JSON.parse(lines[1])).toMatchObject({ payload: { userId: '2' } });
+		expect(confirmCallback).toHaveBeenCalledTimes(2);
+
+		await destination.close();
+	});
+
+	it('should post a partial batch once the flush interval has passed', async () => {
+		const destination = createDestination(10, 1000);
+		const confirmCallback = jest.fn();
+
+		const sending = destination.receiveFromEventBus({ msg: createEvent('1'), confirmCallback });
+		await jest.advanceTimersByTimeAsync(999);
+		expect(request).not.toHaveBeenCalled();
+		expect(confirmCallback).not.toHaveBeenCalled();
+
+		await jest.advanceTimersByTimeAsync(1);
+
+		await expect(sending).resolves.toBe(true);
+		expect(request).toHaveBeenCalledTimes(1);
+		expect(confirmCallback).toHaveBeenCalledTimes(1);
+
+		await destination.close();
+	});
+
+	it('should reject the events of a failed batch without confirming them', async () => {
+		const destination = createDestination(10, 1000);
+		const confirmCallback = jest.fn();
+		request.mockRejectedValueOnce(new Error('Service unavailable'));
+
+		const sending = destination.receiveFromEventBus({ msg: createEvent('1'), confirmCallback });
+		const rejected = expect(sending).rejects.toThrow('Service unavailable');
+		await jest.advanceTimersByTimeAsync(1000);
+
+		await rejected;
+		expect(request).toHaveBeenCalledTimes(1);
+		expect(confirmCallback).not.toHaveBeenCalled();
+
+		await destination.close();
+	});
+
+	it('should reject events once the queue is full', async () => {
+		const destination = createDestination(LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS + 1, 1000);
+		const confirmCallback = jest.fn();
+		const queued = Array.from(
+			{ length: LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS },
+			async () => await destination.receiveFromEventBus({ msg: createEvent('1'), confirmCallback }),
+		);
+
+		await expect(
+			destination.receiveFromEventBus({ msg: createEvent('2'), confirmCallback }),
+		).rejects.toThrow(OperationalError);
+
+		await jest.advanceTimersByTimeAsync(1000);
+		expect(await Promise.all(queued)).not.toContain(false);
+		expect(confirmCallback).toHaveBeenCalledTimes(LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS);
+
+		await destination.close();
+	});
+
+	it('should leave events that could not be sent on close unconfirmed', async () => {
+		const destination = createDestination(1, 1000);
+		const confirmCallback = jest.fn();
+		request.mockRejectedValue(new Error('Service unavailable'));
+
+		const first = destination.receiveFromEventBus({ msg: createEvent('1'), confirmCallback });
+		const firstRejected = expect(first).rejects.toThrow('Service unavailable');
+		const second = destination.receiveFromEventBus({ msg: createEvent('2'), confirmCallback });
+
+		await destination.close();
+
+		await firstRejected;
+		await expect(second).resolves.toBe(false);
+		expect(confirmCallback).not.toHaveBeenCalled();
+	});
+
+	it('should not queue events the destination is not subscribed to', async () => {
+		const destination = createDestination(1);
+		const confirmCallback = jest.fn();
+
+		const sent = await destination.receiveFromEventBus({
+			msg: new EventMessageAudit({ eventName: 'n8n.audit.user.updated' }),
+			confirmCallback,
+		});
+		expect(sent).toBe(true);
+
+		destination.subscribedEvents = ['n8n.workflow'];
+		const skipped = await destination.receiveFromEventBus({
+			msg: createEvent('1'),
+			confirmCallback,
+		});
+		expect(skipped).toBe(false);
+
+		await destination.close();
+	});
+});
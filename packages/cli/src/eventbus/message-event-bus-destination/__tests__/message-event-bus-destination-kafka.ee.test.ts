@@ -0,0 +1,183 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { mock } from 'jest-mock-extended';
+import type { Producer } from 'kafkajs';
+import { CompressionTypes, Kafka } from 'kafkajs';
+import { ExternalSecretsProxy } from 'n8n-core';
+import { MessageEventBusDestinationTypeNames, UserError } from 'n8n-workflow';
+import type { MessageEventBusDestinationKafkaOptions } from 'n8n-workflow';
+
+import { CredentialsHelper } from '@/credentials-helper';
+import { License } from '@/license';
+
+import { EventMessageAudit } from '../../event-message-classes/event-message-audit';
+import type { MessageEventBus } from '../../message-event-bus/message-event-bus';
+import { MessageEventBusDestinationKafka } from '../message-event-bus-destination-kafka.ee';
+
+jest.mock('kafkajs', () => ({
+	...jest.requireActual('kafkajs'),
+	Kafka: jest.fn(),
+}));
+
+describe('MessageEventBusDestinationKafka', () => {
+	const license = mockInstance(License);
+	const credentialsHelper = mockInstance(CredentialsHelper);
+	mockInstance(ExternalSecretsProxy);
+
+	const producer = mock<Producer>();
+	const producerFactory = jest.fn().mockReturnValue(producer);
+
+	const createDestination = (options: Partial<MessageEventBusDestinationKafkaOptions> = {}) =>
+		new MessageEventBusDestinationKafka(mock<MessageEventBus>(), {
+			__type: MessageEventBusDestinationTypeNames.kafka,
+			topic: 'n8n-events',
+			enabled: true,
+			subscribedEvents: ['n8n.audit'],
+			credentials: { kafka: { id: 'credential-1', name: 'Kafka' } },
+			...options,
+		});
+
+	const event = new EventMessageAudit({
+		eventName: 'n8n.audit.user.updated',
+		payload: { userId: 'user-1', _email: 'user@example.com' },
+	});
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		license.isLogStreamingEnabled.mockReturnValue(true);
+		credentialsHelper.getDecrypted.mockResolvedValue({
+			clientId: 'n8n',
+			brokers: 'broker-1:9092, broker-2:9092',
+			ssl: false,
+		});
+		(Kafka as unknown as jest.Mock).mockImplementation(() => ({ producer: producerFactory }));
+		producer.send.mockResolvedValue([]);
+	});
+
+	describe('toKafkaConfig', () => {
+		it('should split and trim the brokers', () => {
+			expect(
+				MessageEventBusDestinationKafka.toKafkaConfig({
+					clientId: 'n8n',
+					brokers: 'broker-1:9092, broker-2:9092',
+					ssl: true,
+				}),
+			).toEqual({ clientId: 'n8n', brokers: ['broker-1:9092', 'broker-2:9092'], ssl: true });
+		});
+
+		it('should add SASL options if authentication is enabled', () => {
+			expect(
+				MessageEventBusDestinationKafka.toKafkaConfig({
+					brokers: 'broker-1:9092',
+					authentication: true,
+					username: 'user',
+					password: 'secret',
+					saslMechanism: 'scram-sha-256',
+				}).sasl,
+			).toEqual({ username: 'user', password: 'secret', mechanism: 'scram-sha-256' });
+		});
+
+		it('should throw if authentication is enabled without username and password', () => {
+			expect(() =>
+				MessageEventBusDestinationKafka.toKafkaConfig({
+					brokers: 'broker-1:9092',
+					authentication: true,
+				}),
+			).toThrow(UserError);
+		});
+	});
+
+	it('should send the event to the topic and confirm it', async () => {
+		const destination = createDestination({ keyField: 'userId', compression: 'gzip' });
+		const confirmCallback = jest.fn();
+
+		const sent = await destination.receiveFromEventBus({ msg: event, confirmCallback });
+
+		expect(sent).toBe(true);
+		expect(Kafka).toHaveBeenCalledWith(
+			expect.objectContaining({ brokers: ['broker-1:9092', 'broker-2:9092'] }),
+		);
+		expect(producer.send).toHaveBeenCalledWith({
+			topic: 'n8n-events',
+			compression: CompressionTypes.GZIP,
+			messages: [
+				{
+					key: 'user-1',
+					value: expect.any(String),
+					headers: { eventName: 'n8n.audit.user.updated' },
+				},
+			],
+		});
+		const value = JSON.parse(producer.send.mock.calls[0][0].messages[0].value as string);
+		expect(value).toMatchObject({
+			eventName: 'n8n.audit.user.updated',
+			payload: { userId: 'user-1' },
+		});
+		expect(value.__type).toBeUndefined();
+		expect(confirmCallback).toHaveBeenCalledWith(event, {
+			id: destination.id,
+			name: destination.label,
+		});
+	});
+
+	it('should connect the producer once and reuse it', async () => {
+		const destination = createDestination();
+
+		await Promise.all([
+			destination.receiveFromEventBus({ msg: event, confirmCallback: jest.fn() }),
+			destination.receiveFromEventBus({ msg: event, confirmCallback: jest.fn() }),
+		]);
+		await destination.receiveFromEventBus({ msg: event, confirmCallback: jest.fn() });
+
+		expect(producer.connect).toHaveBeenCalledTimes(1);
+		expect(producer.send).toHaveBeenCalledTimes(3);
+
+		await destination.close();
+
+		expect(producer.disconnect).toHaveBeenCalledTimes(1);
+	});
+
+	it('should anonymize audit events and leave out the payload if configured', async () => {
+		const anonymizing = createDestination({ anonymizeAuditMessages: true });
+		await anonymizing.receiveFromEventBus({ msg: event, confirmCallback: jest.fn() });
+
+		const withoutPayload = createDestination({ sendPayload: false });
+		await withoutPayload.receiveFromEventBus({ msg: event, confirmCallback: jest.fn() });
+
+		const [anonymized, payloadless] = producer.send.mock.calls.map(
+			([record]) => JSON.parse(record.messages[0].value as string) as Record<string, unknown>,
+		);
+		expect(anonymized.payload).toEqual({ userId: 'user-1', _email: '*' });
+		expect(payloadless.payload).toBeUndefined();
+	});
+
+	it('should not send events the destination is not subscribed to', async () => {
+		const destination = createDestination({ subscribedEvents: ['n8n.workflow'] });
+		const confirmCallback = jest.fn();
+
+		const sent = await destination.receiveFromEventBus({ msg: event, confirmCallback });
+
+		expect(sent).toBe(false);
+		expect(producer.send).not.toHaveBeenCalled();
+		expect(confirmCallback).not.toHaveBeenCalled();
+	});
+
+	it('should throw without confirming if sending fails', async () => {
+		const destination = createDestination();
+		const confirmCallback = jest.fn();
+		producer.send.mockRejectedValueOnce(new Error('Broker unavailable'));
+
+		await expect(destination.receiveFromEventBus({ msg: event, confirmCallback })).rejects.toThrow(
+			'Broker unavailable',
+		);
+
+		expect(confirmCallback).not.toHaveBeenCalled();
+	});
+
+	it('should throw if no credentials are set', async () => {
+		const destination = createDestination({ credentials: {} });
+
+		await expect(
+			destination.receiveFromEventBus({ msg: event, confirmCallback: jest.fn() }),
+		).rejects.toThrow(UserError);
+	});
+});
@@ -0,0 +1,213 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import type { EventDestinationDeadLetter } from '@n8n/db';
+import { EventDestinationDeadLetterRepository } from '@n8n/db';
+import { mock } from 'jest-mock-extended';
+import type { MessageEventBusDestinationOptions } from 'n8n-workflow';
+
+import { License } from '@/license';
+
+import type { EventMessageTypes } from '../../event-message-classes';
+import { EventMessageAudit } from '../../event-message-classes/event-message-audit';
+import type {
+	MessageEventBus,
+	MessageWithCallback,
+} from '../../message-event-bus/message-event-bus';
+import { MessageEventBusDestination } from '../message-event-bus-destination.ee';
+
+class TestDestination extends MessageEventBusDestination {
+	send = jest.fn<Promise<boolean>, [MessageWithCallback]>();
+
+	async receiveFromEventBus(emitterPayload: MessageWithCallback) {
+		return await this.send(emitterPayload);
+	}
+}
+
+type Listener = (
+	msg: EventMessageTypes,
+	confirmCallback: MessageWithCallback['confirmCallback'],
+) => Promise<void>;
+
+describe('MessageEventBusDestination', () => {
+	mockInstance(License);
+	const deadLetterRepository = mockInstance(EventDestinationDeadLetterRepository);
+	const eventBus = mock<MessageEventBus>();
+
+	const createDestination = (options: Partial<MessageEventBusDestinationOptions> = {}) => {
+		const destination = new TestDestination(eventBus, {
+			enabled: true,
+			retry: { maxAttempts: 3, initialDelay: 100, maxDelay: 150 },
+			circuitBreaker: { maxFailures: 100 },
+			...options,
+		});
+		destination.startListening();
+		const listener = eventBus.on.mock.calls.at(-1)?.[1] as Listener;
+		return { destination, listener };
+	};
+
+	const msg = new EventMessageAudit({ eventName: 'n8n.audit.user.updated', payload: {} });
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		jest.clearAllMocks();
+		deadLetterRepository.create.mockImplementation(
+			(entity) => entity as EventDestinationDeadLetter,
+		);
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	it('should retry failed sends with exponential backoff', async () => {
+		const { destination, listener } = createDestination();
+		destination.send
+			.mockRejectedValueOnce(new Error('unreachable'))
+			.mockRejectedValueOnce(new Error('unreachable'))
+			.mockResolvedValueOnce(true);
+		const confirmCallback = jest.fn();
+
+		const sending = listener(msg, confirmCallback);
+
+		await jest.advanceTimersByTimeAsync(99);
+		expect(destination.send).toHaveBeenCalledTimes(1);
+
+		await jest.advanceTimersByTimeAsync(1);
+		expect(destination.send).toHaveBeenCalledTimes(2);
+
+		// second delay is doubled, but capped at maxDelay
+		await jest.advanceTimersByTimeAsync(150);
+		await sending;
+
+		expect(destination.send).toHaveBeenCalledTimes(3);
+		expect(deadLetterRepository.delete).toHaveBeenCalledWith({
+			destinationId: destination.getId(),
+			eventId: msg.id,
+		});
+	});
+
+	it('should store the attempts and the next retry of a failed send', async () => {
+		const { destination, listener } = createDestination();
+		destination.send.mockRejectedValueOnce(new Error('unreachable')).mockResolvedValueOnce(true);
+		let storedRetry: Partial<EventDestinationDeadLetter> = {};
+		deadLetterRepository.save.mockImplementationOnce(async (entity) => {
+			storedRetry = { ...entity };
+			return entity as EventDestinationDeadLetter;
+		});
+
+		const sending = listener(msg, jest.fn());
+		await jest.advanceTimersByTimeAsync(100);
+		await sending;
+
+		expect(storedRetry).toMatchObject({
+			destinationId: destination.getId(),
+			eventId: msg.id,
+			attempts: 1,
+			lastError: 'unreachable',
+			nextRetryAt: new Date(Date.now()),
+		});
+	});
+
+	it('should continue the retries of an event restored from the database', async () => {
+		const { destination, listener } = createDestination();
+		destination.send.mockRejectedValue(new Error('unreachable'));
+		destination.restoreRetry({
+			eventId: msg.id,
+			attempts: 2,
+			nextRetryAt: new Date(Date.now() + 100),
+		} as EventDestinationDeadLetter);
+		const confirmCallback = jest.fn();
+
+		const sending = listener(msg, confirmCallback);
+		await jest.advanceTimersByTimeAsync(99);
+		expect(destination.send).not.toHaveBeenCalled();
+
+		await jest.advanceTimersByTimeAsync(1);
+		await sending;
+
+		expect(destination.send).toHaveBeenCalledTimes(1);
+		expect(deadLetterRepository.save).toHaveBeenCalledWith(
+			expect.objectContaining({ attempts: 3, nextRetryAt: null }),
+		);
+		expect(confirmCallback).toHaveBeenCalled();
+	});
+
+	it('should dead-letter and confirm the message once all attempts failed', async () => {
+		const { destination, listener } = createDestination();
+		destination.send.mockRejectedValue(new Error('unreachable'));
+		const confirmCallback = jest.fn();
+
+		const sending = listener(msg, confirmCallback);
+		await jest.advanceTimersByTimeAsync(250);
+		await sending;
+
+		expect(destination.send).toHaveBeenCalledTimes(3);
+		expect(deadLetterRepository.save).toHaveBeenCalledWith(
+			expect.objectContaining({
+				destinationId: destination.getId(),
+				eventId: msg.id,
+				eventName: 'n8n.audit.user.updated',
+				attempts: 3,
+				lastError: 'unreachable',
+				nextRetryAt: null,
+			}),
+		);
+		expect(confirmCallback).toHaveBeenCalledWith(msg, {
+			id: destination.getId(),
+			name: destination.label,
+		});
+	});
+
+	it('should not confirm the message if storing the dead letter fails', async () => {
+		const { destination, listener } = createDestination({ retry: { maxAttempts: 1 } });
+		destination.send.mockRejectedValue(new Error('unreachable'));
+		deadLetterRepository.save.mockRejectedValueOnce(new Error('db down'));
+		const confirmCallback = jest.fn();
+
+		await listener(msg, confirmCallback);
+
+		expect(confirmCallback).not.toHaveBeenCalled();
+	});
+
+	it('should stop retrying without dead-lettering when it stops listening', async () => {
+		const { destination, listener } = createDestination();
+		destination.send.mockRejectedValue(new Error('unreachable'));
+		const confirmCallback = jest.fn();
+
+		const sending = listener(msg, confirmCallback);
+		await jest.advanceTimersByTimeAsync(0);
+		destination.stopListening();
+		await sending;
+
+		expect(destination.send).toHaveBeenCalledTimes(1);
+		expect(deadLetterRepository.save).toHaveBeenCalledWith(
+			expect.objectContaining({ attempts: 1, nextRetryAt: expect.any(Date) }),
+		);
+		expect(confirmCallback).not.toHaveBeenCalled();
+	});
+
+	it('should not schedule a retry if sending fails after it stopped listening', async () => {
+		const { destination, listener } = createDestination();
+		let failSend: (error: Error) => void = () => {};
+		destination.send.mockReturnValue(new Promise((_, reject) => (failSend = reject)));
+		const confirmCallback = jest.fn();
+
+		const sending = listener(msg, confirmCallback);
+		destination.stopListening();
+		failSend(new Error('unreachable'));
+		await sending;
+		await jest.advanceTimersByTimeAsync(1000);
+
+		expect(destination.send).toHaveBeenCalledTimes(1);
+		expect(confirmCallback).not.toHaveBeenCalled();
+	});
+
+	it('should serialize the retry options', () => {
+		const { destination } = createDestination({ retry: { maxAttempts: 7 } });
+
+		expect(destination.serialize().retry).toEqual({
+			maxAttempts: 7,
+			initialDelay: 1000,
+			maxDelay: 300000,
+		});
+	});
+});
@@ -3,6 +3,8 @@ import type { EventDestinations } from '@n8n/db';
 import { Container } from '@n8n/di';
 import { MessageEventBusDestinationTypeNames } from 'n8n-workflow';
 
+import { MessageEventBusDestinationHttpBatch } from './message-event-bus-destination-http-batch.ee';
+import { MessageEventBusDestinationKafka } from './message-event-bus-destination-kafka.ee';
 import { MessageEventBusDestinationSentry } from './message-event-bus-destination-sentry.ee';
 import { MessageEventBusDestinationSyslog } from './message-event-bus-destination-syslog.ee';
 import { MessageEventBusDestinationWebhook } from './message-event-bus-destination-webhook.ee';
@@ -22,6 +24,10 @@ export function messageEventBusDestinationFromDb(
 				return MessageEventBusDestinationSyslog.deserialize(eventBusInstance, destinationData);
 			case MessageEventBusDestinationTypeNames.webhook:
 				return MessageEventBusDestinationWebhook.deserialize(eventBusInstance, destinationData);
+			case MessageEventBusDestinationTypeNames.kafka:
+				return MessageEventBusDestinationKafka.deserialize(eventBusInstance, destinationData);
+			case MessageEventBusDestinationTypeNames.httpBatch:
+				return MessageEventBusDestinationHttpBatch.deserialize(eventBusInstance, destinationData);
 			default:
 				Container.get(Logger).debug('MessageEventBusDestination __type unknown');
 		}
@@ -0,0 +1,246 @@
+import {
+	LOGSTREAMING_BATCH_DEFAULT_FLUSH_INTERVAL_MS,
+	LOGSTREAMING_BATCH_DEFAULT_SIZE,
+	LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS,
+	LOGSTREAMING_DEFAULT_SOCKET_TIMEOUT_MS,
+} from '@n8n/constants';
+import axios from 'axios';
+import type { AxiosInstance } from 'axios';
+import { Agent as HTTPSAgent } from 'https';
+import { ensureError, MessageEventBusDestinationTypeNames, OperationalError } from 'n8n-workflow';
+import type {
+	MessageEventBusDestinationHttpBatchOptions,
+	MessageEventBusDestinationOptions,
+	MessageEventBusDestinationWebhookParameterItem,
+} from 'n8n-workflow';
+
+import { MessageEventBusDestination } from './message-event-bus-destination.ee';
+import type { EventMessageTypes } from '../event-message-classes';
+import { eventMessageGenericDestinationTestEvent } from '../event-message-classes/event-message-generic';
+import type { MessageEventBus, MessageWithCallback } from '../message-event-bus/message-event-bus';
+
+export const isMessageEventBusDestinationHttpBatchOptions = (
+	candidate: unknown,
+): candidate is MessageEventBusDestinationHttpBatchOptions => {
+	const o = candidate as MessageEventBusDestinationHttpBatchOptions;
+	if (!o) return false;
+	return o.url !== undefined;
+};
+
+interface QueuedEvent extends MessageWithCallback {
+	/** Settles the pending `receiveFromEventBus` call of the event. */
+	settle: (error?: Error, sent?: boolean) => void;
+}
+
+/**
+ * Collects events and posts them in batches as newline-delimited JSON (NDJSON),
+ * once either `batchSize` events are queued or `flushInterval` has passed.
+ *
+ * Each `receiveFromEventBus` call only settles once the batch holding its event
+ * was posted, so events are confirmed once their batch was accepted by the endpoint.
+ * If a batch fails, or the queue is full, the call rejects, so that the event is
+ * retried and eventually dead-lettered like for any other destination.
+ */
+export class MessageEventBusDestinationHttpBatch
+	extends MessageEventBusDestination
+	implements MessageEventBusDestinationHttpBatchOptions
+{
+	url: string;
+
+	batchSize = LOGSTREAMING_BATCH_DEFAULT_SIZE;
+
+	flushInterval = LOGSTREAMING_BATCH_DEFAULT_FLUSH_INTERVAL_MS;
+
+	sendHeaders = false;
+
+	headerParameters: MessageEventBusDestinationWebhookParameterItem = { parameters: [] };
+
+	sendPayload = true;
+
+	options: NonNullable<MessageEventBusDestinationHttpBatchOptions['options']> = {};
+
+	axiosInstance: AxiosInstance;
+
+	private queue: QueuedEvent[] = [];
+
+	private flushTimer?: NodeJS.Timeout;
+
+	private flushing?: Promise<void>;
+
+	constructor(
+		eventBusInstance: MessageEventBus,
+		options: MessageEventBusDestinationHttpBatchOptions,
+	) {
+		super(eventBusInstance, options);
+		this.label = options.label ?? 'HTTP Batch Endpoint';
+		this.__type = options.__type ?? MessageEventBusDestinationTypeNames.httpBatch;
+		this.url = options.url;
+		if (options.batchSize && options.batchSize > 0) this.batchSize = options.batchSize;
+		if (options.flushInterval && options.flushInterval > 0)
+			this.flushInterval = options.flushInterval;
+		if (options.sendHeaders) this.sendHeaders = options.sendHeaders;
+		if (options.headerParameters) this.headerParameters = options.headerParameters;
+		if (options.sendPayload !== undefined) this.sendPayload = options.sendPayload;
+		if (options.options) this.options = options.options;
+
+		this.axiosInstance = axios.create({
+			url: this.url,
+			method: 'POST',
+			maxRedirects: 0,
+			timeout: this.options.timeout ?? LOGSTREAMING_DEFAULT_SOCKET_TIMEOUT_MS,
+			headers: this.buildHeaders(),
+			httpsAgent: this.options.allowUnauthorizedCerts
+				? new HTTPSAgent({ rejectUnauthorized: false })
+				: undefined,
+		});
+
+		this.logger.debug(`MessageEventBusDestinationHttpBatch with id ${this.getId()} initialized`);
+	}
+
+	private buildHeaders(): Record<string, string> {
+		const headers: Record<string, string> = {};
+		if (this.sendHeaders) {
+			for (const { name, value } of this.headerParameters.parameters) {
+				if (name && value !== null && value !== undefined) headers[name] = String(value);
+			}
+		}
+		headers['Content-Type'] = 'application/x-ndjson';
+		return headers;
+	}
+
+	private serializeEvent(msg: EventMessageTypes) {
+		const payload = this.anonymizeAuditMessages ? msg.anonymize() : msg.payload;
+		return JSON.stringify({
+			...msg,
+			__type: undefined,
+			payload: this.sendPayload ? payload : undefined,
+			ts: msg.ts.toISO(),
+		});
+	}
+
+	private async postBatch(batch: MessageWithCallback[]) {
+		const body = batch.map(({ msg }) => this.serializeEvent(msg)).join('\n') + '\n';
+		await this.axiosInstance.request({ data: body });
+		for (const { msg, confirmCallback } of batch) {
+			confirmCallback(msg, { id: this.id, name: this.label });
+		}
+	}
+
+	private scheduleFlush() {
+		if (this.flushTimer || this.queue.length === 0) return;
+
+		this.flushTimer = setTimeout(() => {
+			this.flushTimer = undefined;
+			void this.flush();
+		}, this.flushInterval);
+	}
+
+	/**
+	 * Sends all queued events, in batches of at most `batchSize`.
+	 */
+	async flush(): Promise<void> {
+		if (this.flushing) return await this.flushing;
+
+		clearTimeout(this.flushTimer);
+		this.flushTimer = undefined;
+
+		this.flushing = (async () => {
+			while (this.queue.length > 0) {
+				const batch = this.queue.splice(0, this.batchSize);
+				try {
+					await this.postBatch(batch);
+				} catch (e) {
+					const error = ensureError(e);
+					this.logger.warn(
+						`HTTP batch destination ${this.label} (${this.id}) failed to send ${batch.length} events to: ${this.url} - ${error.message}`,
+					);
+					for (const { settle } of batch) settle(error);
+					break;
+				}
+				for (const { settle } of batch) settle();
+			}
+		})().finally(() => {
+			this.flushing = undefined;
+			this.scheduleFlush();
+		});
+
+		return await this.flushing;
+	}
+
+	async receiveFromEventBus(emitterPayload: MessageWithCallback): Promise<boolean> {
+		const { msg } = emitterPayload;
+
+		// test events are sent right away, so that the result can be shown
+		if (msg.eventName === eventMessageGenericDestinationTestEvent) {
+			await this.postBatch([emitterPayload]);
+			return true;
+		}
+
+		if (!this.license.isLogStreamingEnabled()) return false;
+		if (!this.hasSubscribedToEvent(msg)) return false;
+
+		if (this.queue.length >= LOGSTREAMING_BATCH_MAX_QUEUED_EVENTS) {
+			throw new OperationalError(
+				`HTTP batch destination ${this.label} (${this.id}) queue is full, event was not queued`,
+				{ extra: { eventId: msg.id } },
+			);
+		}
+
+		return await new Promise<boolean>((resolve, reject) => {
+			this.queue.push({
+				...emitterPayload,
+				settle: (error, sent = true) => (error ? reject(error) : resolve(sent)),
+			});
+
+			if (this.queue.length >= this.batchSize) {
+				void this.flush();
+			} else {
+				this.scheduleFlush();
+			}
+		});
+	}
+
+	serialize(): MessageEventBusDestinationHttpBatchOptions {
+		const abstractSerialized = super.serialize();
+		return {
+			...abstractSerialized,
+			url: this.url,
+			batchSize: this.batchSize,
+			flushInterval: this.flushInterval,
+			sendHeaders: this.sendHeaders,
+			headerParameters: this.headerParameters,
+			sendPayload: this.sendPayload,
+			options: this.options,
+		};
+	}
+
+	static deserialize(
+		eventBusInstance: MessageEventBus,
+		data: MessageEventBusDestinationOptions,
+	): MessageEventBusDestinationHttpBatch | null {
+		if (
+			'__type' in data &&
+			data.__type === MessageEventBusDestinationTypeNames.httpBatch &&
+			isMessageEventBusDestinationHttpBatchOptions(data)
+		) {
+			return new MessageEventBusDestinationHttpBatch(eventBusInstance, data);
+		}
+		return null;
+	}
+
+	toString() {
+		return JSON.stringify(this.serialize());
+	}
+
+	/**
+	 * Sends the queued events one last time. Events still queued afterwards are
+	 * left unconfirmed, so that the recovery sends them again on the next start.
+	 */
+	async close() {
+		await super.close();
+		await this.flush();
+		clearTimeout(this.flushTimer);
+		this.flushTimer = undefined;
+		for (const { settle } of this.queue.splice(0)) settle(undefined, false);
+	}
+}
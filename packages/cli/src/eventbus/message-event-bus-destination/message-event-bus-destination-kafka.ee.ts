@@ -0,0 +1,200 @@
+import { Container } from '@n8n/di';
+import type { KafkaConfig, Producer, SASLOptions } from 'kafkajs';
+import { CompressionTypes, Kafka } from 'kafkajs';
+import { ExternalSecretsProxy } from 'n8n-core';
+import { MessageEventBusDestinationTypeNames, UserError } from 'n8n-workflow';
+import type {
+	ICredentialDataDecryptedObject,
+	IWorkflowExecuteAdditionalData,
+	MessageEventBusDestinationKafkaOptions,
+	MessageEventBusDestinationOptions,
+} from 'n8n-workflow';
+
+import { CredentialsHelper } from '@/credentials-helper';
+
+import { MessageEventBusDestination } from './message-event-bus-destination.ee';
+import { eventMessageGenericDestinationTestEvent } from '../event-message-classes/event-message-generic';
+import type { MessageEventBus, MessageWithCallback } from '../message-event-bus/message-event-bus';
+
+export const isMessageEventBusDestinationKafkaOptions = (
+	candidate: unknown,
+): candidate is MessageEventBusDestinationKafkaOptions => {
+	const o = candidate as MessageEventBusDestinationKafkaOptions;
+	if (!o) return false;
+	return o.topic !== undefined;
+};
+
+/**
+ * Sends events to a Kafka topic, using the `kafka` credentials of the Kafka node.
+ */
+export class MessageEventBusDestinationKafka
+	extends MessageEventBusDestination
+	implements MessageEventBusDestinationKafkaOptions
+{
+	topic: string;
+
+	keyField = '';
+
+	compression: 'none' | 'gzip' = 'none';
+
+	sendPayload = true;
+
+	private producer?: Producer;
+
+	private connecting?: Promise<Producer>;
+
+	constructor(eventBusInstance: MessageEventBus, options: MessageEventBusDestinationKafkaOptions) {
+		super(eventBusInstance, options);
+		this.label = options.label ?? 'Kafka Topic';
+		this.__type = options.__type ?? MessageEventBusDestinationTypeNames.kafka;
+		this.topic = options.topic;
+		if (options.keyField) this.keyField = options.keyField;
+		if (options.compression) this.compression = options.compression;
+		if (options.sendPayload !== undefined) this.sendPayload = options.sendPayload;
+
+		this.logger.debug(`MessageEventBusDestinationKafka with id ${this.getId()} initialized`);
+	}
+
+	private async getKafkaCredentials(): Promise<ICredentialDataDecryptedObject> {
+		const nodeCredentials = this.credentials.kafka;
+		if (!nodeCredentials) {
+			throw new UserError(`Kafka destination ${this.label} (${this.id}) has no credentials set`);
+		}
+
+		return await Container.get(CredentialsHelper).getDecrypted(
+			{
+				externalSecretsProxy: Container.get(ExternalSecretsProxy),
+			} as unknown as IWorkflowExecuteAdditionalData,
+			nodeCredentials,
+			'kafka',
+			'internal',
+			undefined,
+			true,
+		);
+	}
+
+	/**
+	 * Builds the client config the same way the Kafka node does from its credentials.
+	 */
+	static toKafkaConfig(credentials: ICredentialDataDecryptedObject): KafkaConfig {
+		const config: KafkaConfig = {
+			clientId: credentials.clientId as string,
+			brokers: ((credentials.brokers as string) || '').split(',').map((item) => item.trim()),
+			ssl: credentials.ssl as boolean,
+		};
+
+		if (credentials.authentication === true) {
+			if (!(credentials.username && credentials.password)) {
+				throw new UserError('Username and password are required for authentication');
+			}
+			config.sasl = {
+				username: credentials.username as string,
+				password: credentials.password as string,
+				mechanism: credentials.saslMechanism as string,
+			} as SASLOptions;
+		}
+
+		return config;
+	}
+
+	/**
+	 * Connects the producer on first use and keeps it connected, so that
+	 * events don't each pay for a new connection.
+	 */
+	private async getProducer(): Promise<Producer> {
+		if (this.producer) return this.producer;
+
+		this.connecting ??= (async () => {
+			const kafka = new Kafka(
+				MessageEventBusDestinationKafka.toKafkaConfig(await this.getKafkaCredentials()),
+			);
+			const producer = kafka.producer();
+			await producer.connect();
+			this.producer = producer;
+			return producer;
+		})().finally(() => {
+			this.connecting = undefined;
+		});
+
+		return await this.connecting;
+	}
+
+	async receiveFromEventBus(emitterPayload: MessageWithCallback): Promise<boolean> {
+		const { msg, confirmCallback } = emitterPayload;
+		let sendResult = false;
+		if (msg.eventName !== eventMessageGenericDestinationTestEvent) {
+			if (!this.license.isLogStreamingEnabled()) return sendResult;
+			if (!this.hasSubscribedToEvent(msg)) return sendResult;
+		}
+
+		const payload = this.anonymizeAuditMessages ? msg.anonymize() : msg.payload;
+		const key = this.keyField ? msg.payload?.[this.keyField] : undefined;
+
+		try {
+			const producer = await this.getProducer();
+			await producer.send({
+				topic: this.topic,
+				compression: this.compression === 'gzip' ? CompressionTypes.GZIP : CompressionTypes.None,
+				messages: [
+					{
+						key: typeof key === 'string' || typeof key === 'number' ? String(key) : null,
+						value: JSON.stringify({
+							...msg,
+							__type: undefined,
+							payload: this.sendPayload ? payload : undefined,
+							ts: msg.ts.toISO(),
+						}),
+						headers: { eventName: msg.eventName },
+					},
+				],
+			});
+			confirmCallback(msg, { id: this.id, name: this.label });
+			sendResult = true;
+		} catch (error) {
+			this.logger.warn(
+				`Kafka destination ${this.label} (${this.id}) failed to send message to topic ${this.topic} - ${
+					(error as Error).message
+				}`,
+			);
+			throw error;
+		}
+
+		return sendResult;
+	}
+
+	serialize(): MessageEventBusDestinationKafkaOptions {
+		const abstractSerialized = super.serialize();
+		return {
+			...abstractSerialized,
+			topic: this.topic,
+			keyField: this.keyField,
+			compression: this.compression,
+			sendPayload: this.sendPayload,
+			credentials: this.credentials,
+		};
+	}
+
+	static deserialize(
+		eventBusInstance: MessageEventBus,
+		data: MessageEventBusDestinationOptions,
+	): MessageEventBusDestinationKafka | null {
+		if (
+			'__type' in data &&
+			data.__type === MessageEventBusDestinationTypeNames.kafka &&
+			isMessageEventBusDestinationKafkaOptions(data)
+		) {
+			return new MessageEventBusDestinationKafka(eventBusInstance, data);
+		}
+		return null;
+	}
+
+	toString() {
+		return JSON.stringify(this.serialize());
+	}
+
+	async close() {
+		await super.close();
+		await this.producer?.disconnect();
+		this.producer = undefined;
+	}
+}
@@ -1,15 +1,25 @@
 /* eslint-disable @typescript-eslint/no-unsafe-member-access */
 import { Logger } from '@n8n/backend-common';
 import { Container } from '@n8n/di';
-import type { SyslogClient } from '@n8n/syslog-client';
-import { createClient, Facility, Transport, Severity } from '@n8n/syslog-client';
+import type { StructuredData, SyslogClient } from '@n8n/syslog-client';
+import {
+	createClient,
+	Facility,
+	Framing,
+	isValidSdName,
+	Transport,
+	Severity,
+} from '@n8n/syslog-client';
+import { InstanceSettings } from 'n8n-core';
 import type {
 	MessageEventBusDestinationOptions,
 	MessageEventBusDestinationSyslogOptions,
 } from 'n8n-workflow';
 import { MessageEventBusDestinationTypeNames } from 'n8n-workflow';
+import path from 'path';
 
 import { MessageEventBusDestination } from './message-event-bus-destination.ee';
+import type { AbstractEventPayload } from '../event-message-classes/abstract-event-payload';
 import { eventMessageGenericDestinationTestEvent } from '../event-message-classes/event-message-generic';
 import type { MessageEventBus, MessageWithCallback } from '../message-event-bus/message-event-bus';
 export const isMessageEventBusDestinationSyslogOptions = (
@@ -20,6 +30,36 @@ export const isMessageEventBusDestinationSyslogOptions = (
 	return o.host !== undefined;
 };
 
+const SD_NAME_RULES = `must be 1 to 32 printable ASCII characters, without '=', space, ']' or '"'`;
+
+/**
+ * Check the structured data ID and field names against the RFC 5424 SD-NAME
+ * rules, as they are sent as SD-ID and SD-PARAM names.
+ *
+ * @returns a description of the first invalid name, or undefined if all are valid
+ */
+export const findInvalidSyslogStructuredDataName = (
+	options: MessageEventBusDestinationSyslogOptions,
+): string | undefined => {
+	const { structuredDataId, structuredDataFields } = options;
+
+	// An empty ID disables structured data
+	if (!structuredDataId) return undefined;
+
+	if (!isValidSdName(structuredDataId)) {
+		return `Invalid structured data ID "${structuredDataId}": ${SD_NAME_RULES}`;
+	}
+
+	const invalidField = (structuredDataFields ?? []).find(
+		(field) => typeof field !== 'string' || !isValidSdName(field),
+	);
+	if (invalidField !== undefined) {
+		return `Invalid structured data field "${String(invalidField)}": ${SD_NAME_RULES}`;
+	}
+
+	return undefined;
+};
+
 export class MessageEventBusDestinationSyslog
 	extends MessageEventBusDestination
 	implements MessageEventBusDestinationSyslogOptions
@@ -40,6 +80,14 @@ export class MessageEventBusDestinationSyslog
 
 	eol: string;
 
+	framing: 'non-transparent' | 'octet-counting';
+
+	spillBufferToDisk: boolean;
+
+	structuredDataId: string;
+
+	structuredDataFields: string[];
+
 	constructor(eventBusInstance: MessageEventBus, options: MessageEventBusDestinationSyslogOptions) {
 		super(eventBusInstance, options);
 		this.__type = options.__type ?? MessageEventBusDestinationTypeNames.syslog;
@@ -52,6 +100,14 @@ export class MessageEventBusDestinationSyslog
 		this.app_name = options.app_name ?? 'n8n';
 		this.eol = options.eol ?? '\n';
 		this.expectedStatusCode = options.expectedStatusCode ?? 200;
+		this.framing = options.framing ?? 'non-transparent';
+		this.spillBufferToDisk = options.spillBufferToDisk ?? false;
+		this.structuredDataId = options.structuredDataId ?? '';
+		this.structuredDataFields = options.structuredDataFields ?? [
+			'workflowId',
+			'executionId',
+			'userId',
+		];
 
 		if (this.protocol === 'tls' && !options.tlsCa) {
 			this.logger.error('Syslog - No TLS CA set - Unable to create the syslog client');
@@ -70,6 +126,20 @@ export class MessageEventBusDestinationSyslog
 					: this.protocol === 'tls'
 						? Transport.Tls
 						: Transport.Udp,
+			framing: this.framing === 'octet-counting' ? Framing.OctetCounting : Framing.NonTransparent,
+			// Events logged while the connection is down are replayed once it is back.
+			// UDP has no connection to restore, so there is nothing to buffer for.
+			reconnectBuffer:
+				this.protocol === 'udp'
+					? undefined
+					: {
+							spillFilePath: this.spillBufferToDisk
+								? path.join(
+										Container.get(InstanceSettings).n8nFolder,
+										`syslog-buffer-${this.getId()}.log`,
+									)
+								: undefined,
+						},
 		});
 		this.logger.debug(`MessageEventBusDestinationSyslog with id ${this.getId()} initialized`);
 		this.client.on('error', function (error) {
@@ -90,23 +160,15 @@ export class MessageEventBusDestinationSyslog
 				serializedMessage.payload = msg.anonymize();
 			}
 			delete serializedMessage.__type;
-			await this.client.log(
-				JSON.stringify(serializedMessage),
-				{
-					severity: msg.eventName.toLowerCase().endsWith('error') ? Severity.Error : Severity.Debug,
-					msgid: msg.id,
-					timestamp: msg.ts.toJSDate(),
-				},
-				async (error) => {
-					if (error?.message) {
-						this.logger.error(error.message);
-					} else {
-						// eventBus.confirmSent(msg, { id: this.id, name: this.label });
-						confirmCallback(msg, { id: this.id, name: this.label });
-						sendResult = true;
-					}
-				},
-			);
+			// Rejects on transport errors, so that the event is retried and eventually dead-lettered
+			await this.client.log(JSON.stringify(serializedMessage), {
+				severity: msg.eventName.toLowerCase().endsWith('error') ? Severity.Error : Severity.Debug,
+				msgid: msg.id,
+				timestamp: msg.ts.toJSDate(),
+				structuredData: this.toStructuredData(serializedMessage.payload),
+			});
+			confirmCallback(msg, { id: this.id, name: this.label });
+			sendResult = true;
 		} catch (error) {
 			if (error.message) this.logger.error(error.message as string);
 			throw error;
@@ -117,6 +179,24 @@ export class MessageEventBusDestinationSyslog
 		return sendResult;
 	}
 
+	/**
+	 * Maps the configured payload fields into the structured data element,
+	 * so that they can be parsed without parsing the JSON message.
+	 */
+	private toStructuredData(payload: AbstractEventPayload | undefined): StructuredData | undefined {
+		if (!this.structuredDataId || !payload) return undefined;
+
+		const params: StructuredData[string] = {};
+		for (const field of this.structuredDataFields) {
+			const value = payload[field];
+			if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+				params[field] = value;
+			}
+		}
+
+		return { [this.structuredDataId]: params };
+	}
+
 	serialize(): MessageEventBusDestinationSyslogOptions {
 		const abstractSerialized = super.serialize();
 		return {
@@ -128,6 +208,10 @@ export class MessageEventBusDestinationSyslog
 			facility: this.facility,
 			app_name: this.app_name,
 			eol: this.eol,
+			framing: this.framing,
+			spillBufferToDisk: this.spillBufferToDisk,
+			structuredDataId: this.structuredDataId,
+			structuredDataFields: this.structuredDataFields,
 		};
 	}
 
@@ -140,6 +224,11 @@ export class MessageEventBusDestinationSyslog
 			data.__type === MessageEventBusDestinationTypeNames.syslog &&
 			isMessageEventBusDestinationSyslogOptions(data)
 		) {
+			const invalidName = findInvalidSyslogStructuredDataName(data);
+			if (invalidName) {
+				Container.get(Logger).error(`Syslog destination ${data.id} not loaded - ${invalidName}`);
+				return null;
+			}
 			return new MessageEventBusDestinationSyslog(eventBusInstance, data);
 		}
 		return null;
@@ -5,11 +5,15 @@ import {
 	LOGSTREAMING_CB_DEFAULT_HALF_OPEN_REQUESTS,
 	LOGSTREAMING_CB_DEFAULT_MAX_DURATION_MS,
 	LOGSTREAMING_CB_DEFAULT_MAX_FAILURES,
+	LOGSTREAMING_RETRY_DEFAULT_INITIAL_DELAY_MS,
+	LOGSTREAMING_RETRY_DEFAULT_MAX_ATTEMPTS,
+	LOGSTREAMING_RETRY_DEFAULT_MAX_DELAY_MS,
 } from '@n8n/constants';
-import { EventDestinationsRepository } from '@n8n/db';
+import type { EventDestinationDeadLetter } from '@n8n/db';
+import { EventDestinationDeadLetterRepository, EventDestinationsRepository } from '@n8n/db';
 import { Container } from '@n8n/di';
 import type { INodeCredentials, MessageEventBusDestinationOptions } from 'n8n-workflow';
-import { MessageEventBusDestinationTypeNames } from 'n8n-workflow';
+import { ensureError, MessageEventBusDestinationTypeNames } from 'n8n-workflow';
 import { v4 as uuid } from 'uuid';
 
 import { License } from '@/license';
@@ -45,6 +49,16 @@ export abstract class MessageEventBusDestination implements MessageEventBusDesti
 
 	anonymizeAuditMessages: boolean;
 
+	retry: Required<NonNullable<MessageEventBusDestinationOptions['retry']>>;
+
+	/** Timers of pending retries, resolved with `false` when the destination stops listening */
+	private readonly pendingRetries = new Map<NodeJS.Timeout, (retry: boolean) => void>();
+
+	private isListening = false;
+
+	/** Retry states restored from the database, by ID of the event being retried */
+	private readonly restoredRetries = new Map<string, EventDestinationDeadLetter>();
+
 	constructor(eventBusInstance: MessageEventBus, options: MessageEventBusDestinationOptions) {
 		// @TODO: Use DI
 		this.logger = Container.get(Logger);
@@ -75,28 +89,25 @@ export abstract class MessageEventBusDestination implements MessageEventBusDesti
 		this.enabled = options.enabled ?? false;
 		this.subscribedEvents = options.subscribedEvents ?? [];
 		this.anonymizeAuditMessages = options.anonymizeAuditMessages ?? false;
+		this.retry = {
+			maxAttempts: options.retry?.maxAttempts ?? LOGSTREAMING_RETRY_DEFAULT_MAX_ATTEMPTS,
+			initialDelay: options.retry?.initialDelay ?? LOGSTREAMING_RETRY_DEFAULT_INITIAL_DELAY_MS,
+			maxDelay: options.retry?.maxDelay ?? LOGSTREAMING_RETRY_DEFAULT_MAX_DELAY_MS,
+		};
 		if (options.credentials) this.credentials = options.credentials;
 		this.logger.debug(`${this.__type}(${this.id}) event destination constructed`);
 	}
 
 	startListening() {
 		if (this.enabled) {
+			this.isListening = true;
 			this.eventBusInstance.on(
 				this.getId(),
 				async (
 					msg: EventMessageTypes,
 					confirmCallback: (message: EventMessageTypes, src: EventMessageConfirmSource) => void,
 				) => {
-					try {
-						await this.circuitBreakerInstance.execute(async () => {
-							await this.receiveFromEventBus({ msg, confirmCallback });
-						});
-					} catch (error) {
-						this.logger.error(
-							`${this.__type}(${this.id}) event destination ${this.label} failed to send message`,
-							{ error },
-						);
-					}
+					await this.sendWithRetry(msg, confirmCallback);
 				},
 			);
 			this.logger.debug(`${this.id} listener started`);
@@ -104,7 +115,133 @@ export abstract class MessageEventBusDestination implements MessageEventBusDesti
 	}
 
 	stopListening() {
+		this.isListening = false;
 		this.eventBusInstance.removeAllListeners(this.getId());
+		for (const [timer, resolve] of this.pendingRetries) {
+			clearTimeout(timer);
+			resolve(false);
+		}
+		this.pendingRetries.clear();
+	}
+
+	/**
+	 * Restores the retry state of an event that was still being retried when the
+	 * process stopped, so that re-sending it from the event log continues its
+	 * retries instead of starting over.
+	 */
+	restoreRetry(retryState: EventDestinationDeadLetter) {
+		this.restoredRetries.set(retryState.eventId, retryState);
+	}
+
+	/**
+	 * Sends a message, retrying with exponential backoff if sending fails.
+	 * The attempts and the time of the next retry are stored in the dead-letter
+	 * table, so that retries continue after a restart. Once all attempts failed,
+	 * the message is kept there as dead letter and confirmed, so that it is not
+	 * re-sent by the log writer's recovery.
+	 *
+	 * If the destination stops listening while a retry is pending, the message is
+	 * left unconfirmed and will be re-sent by the recovery instead.
+	 */
+	private async sendWithRetry(
+		msg: EventMessageTypes,
+		confirmCallback: (message: EventMessageTypes, src: EventMessageConfirmSource) => void,
+	) {
+		let retryState = this.restoredRetries.get(msg.id);
+		this.restoredRetries.delete(msg.id);
+
+		const restoredDelay = (retryState?.nextRetryAt?.getTime() ?? 0) - Date.now();
+		if (restoredDelay > 0 && !(await this.waitForRetry(restoredDelay))) return;
+
+		for (;;) {
+			try {
+				await this.circuitBreakerInstance.execute(async () => {
+					await this.receiveFromEventBus({ msg, confirmCallback });
+				});
+				if (retryState) await this.deleteRetryState(msg);
+				return;
+			} catch (e) {
+				const error = ensureError(e);
+				retryState ??= Container.get(EventDestinationDeadLetterRepository).create({
+					destinationId: this.getId(),
+					eventId: msg.id,
+					eventName: msg.eventName,
+					message: msg.serialize() as unknown as Record<string, unknown>,
+					attempts: 0,
+				});
+				retryState.attempts++;
+				retryState.lastError = error.message;
+
+				this.logger.error(
+					`${this.__type}(${this.id}) event destination ${this.label} failed to send message (attempt ${retryState.attempts} of ${this.retry.maxAttempts})`,
+					{ error },
+				);
+
+				if (retryState.attempts >= this.retry.maxAttempts) {
+					retryState.nextRetryAt = null;
+					if (await this.saveRetryState(retryState)) {
+						confirmCallback(msg, { id: this.id, name: this.label });
+					}
+					return;
+				}
+
+				const delay = Math.min(
+					this.retry.initialDelay * 2 ** (retryState.attempts - 1),
+					this.retry.maxDelay,
+				);
+				retryState.nextRetryAt = new Date(Date.now() + delay);
+				await this.saveRetryState(retryState);
+
+				if (!(await this.waitForRetry(delay))) return;
+			}
+		}
+	}
+
+	private async waitForRetry(delay: number) {
+		if (!this.isListening) return false;
+
+		return await new Promise<boolean>((resolve) => {
+			const timer = setTimeout(() => {
+				this.pendingRetries.delete(timer);
+				resolve(true);
+			}, delay);
+			this.pendingRetries.set(timer, resolve);
+		});
+	}
+
+	/**
+	 * Stores the retry state, as pending retry or as dead letter once `nextRetryAt`
+	 * is null. If storing fails, retries go on from memory.
+	 *
+	 * @returns whether the retry state was stored
+	 */
+	private async saveRetryState(retryState: EventDestinationDeadLetter) {
+		try {
+			await Container.get(EventDestinationDeadLetterRepository).save(retryState);
+			return true;
+		} catch (e) {
+			this.logger.error(
+				`${this.__type}(${this.id}) event destination ${this.label} failed to store ${
+					retryState.nextRetryAt ? 'retry state' : 'dead letter'
+				}`,
+				{ error: ensureError(e) },
+			);
+			return false;
+		}
+	}
+
+	private async deleteRetryState(msg: EventMessageTypes) {
+		try {
+			await Container.get(EventDestinationDeadLetterRepository).delete({
+				destinationId: this.getId(),
+				eventId: msg.id,
+			});
+		} catch (e) {
+			this.logger.error(
+				`${this.__type}(${this.id}) event destination ${this.label} failed to delete retry state`,
+				{ error: ensureError(e) },
+			);
+		}
 	}
 
 	enable() {
@@ -160,6 +297,7 @@ export abstract class MessageEventBusDestination implements MessageEventBusDesti
 			enabled: this.enabled,
 			subscribedEvents: this.subscribedEvents,
 			anonymizeAuditMessages: this.anonymizeAuditMessages,
+			retry: this.retry,
 		};
 	}
 
@@ -1,6 +1,17 @@
 import { Logger } from '@n8n/backend-common';
 import { GlobalConfig } from '@n8n/config';
-import { EventDestinationsRepository, ExecutionRepository, WorkflowRepository } from '@n8n/db';
+import {
+	LOGSTREAMING_DEAD_LETTER_MAX_PER_DESTINATION,
+	LOGSTREAMING_DEAD_LETTER_OVERDUE_RETRY_MS,
+	LOGSTREAMING_DEAD_LETTER_PRUNE_INTERVAL_MS,
+} from '@n8n/constants';
+import type { EventDestinationDeadLetter } from '@n8n/db';
+import {
+	EventDestinationDeadLetterRepository,
+	EventDestinationsRepository,
+	ExecutionRepository,
+	WorkflowRepository,
+} from '@n8n/db';
 import { OnPubSubEvent } from '@n8n/decorators';
 import { Service } from '@n8n/di';
 // eslint-disable-next-line n8n-local-rules/misplaced-n8n-typeorm-import
@@ -9,13 +20,14 @@ import type { DeleteResult } from '@n8n/typeorm';
 import { In, IsNull, Not } from '@n8n/typeorm';
 import EventEmitter from 'events';
 import uniqby from 'lodash/uniqBy';
-import type { MessageEventBusDestinationOptions } from 'n8n-workflow';
+import { ensureError, type MessageEventBusDestinationOptions } from 'n8n-workflow';
 
 import { License } from '@/license';
 import { Publisher } from '@/scaling/pubsub/publisher.service';
 
 import { ExecutionRecoveryService } from '../../executions/execution-recovery.service';
 import type { EventMessageTypes } from '../event-message-classes/';
+import type { AbstractEventMessageOptions } from '../event-message-classes/abstract-event-message-options';
 import {
 	EventMessageAiNode,
 	type EventMessageAiNodeOptions,
@@ -68,10 +80,13 @@ export class MessageEventBus extends EventEmitter {
 
 	private pushIntervalTimer: NodeJS.Timeout;
 
+	private deadLetterPruneTimer: NodeJS.Timeout | undefined;
+
 	constructor(
 		private readonly logger: Logger,
 		private readonly executionRepository: ExecutionRepository,
 		private readonly eventDestinationsRepository: EventDestinationsRepository,
+		private readonly deadLetterRepository: EventDestinationDeadLetterRepository,
 		private readonly workflowRepository: WorkflowRepository,
 		private readonly publisher: Publisher,
 		private readonly recoveryService: ExecutionRecoveryService,
@@ -143,6 +158,7 @@ export class MessageEventBus extends EventEmitter {
 				`Start logging into ${this.logWriter?.getLogFileName() ?? 'unknown filename'} `,
 			);
 			this.logWriter?.startLogging();
+			await this.restorePendingRetries();
 			await this.send(unsentAndUnfinished.unsentMessages);
 
 			let unfinishedExecutionIds = Object.keys(unsentAndUnfinished.unfinishedExecutions);
@@ -231,6 +247,13 @@ export class MessageEventBus extends EventEmitter {
 			}, this.globalConfig.eventBus.checkUnsentInterval);
 		}
 
+		await this.pruneDeadLetters();
+		clearInterval(this.deadLetterPruneTimer);
+		this.deadLetterPruneTimer = setInterval(
+			async () => await this.pruneDeadLetters(),
+			LOGSTREAMING_DEAD_LETTER_PRUNE_INTERVAL_MS,
+		);
+
 		this.logger.debug('MessageEventBus initialized');
 		this.isInitialized = true;
 	}
@@ -283,6 +306,8 @@ export class MessageEventBus extends EventEmitter {
 	}
 
 	async close() {
+		clearInterval(this.deadLetterPruneTimer);
+		this.deadLetterPruneTimer = undefined;
 		this.logger.debug('Shutting down event writer...');
 		await this.logWriter?.close();
 		for (const destinationName of Object.keys(this.destinations)) {
@@ -330,6 +355,121 @@ export class MessageEventBus extends EventEmitter {
 		return false;
 	}
 
+	async findDeadLetters(options: {
+		destinationId?: string;
+		take?: number;
+		skip?: number;
+	}): Promise<{ count: number; data: EventDestinationDeadLetter[] }> {
+		const [data, count] = await this.deadLetterRepository.findAndCount({
+			where: {
+				...(options.destinationId && { destinationId: options.destinationId }),
+				nextRetryAt: IsNull(),
+			},
+			order: { createdAt: 'DESC' },
+			take: options.take,
+			skip: options.skip,
+		});
+		return { count, data };
+	}
+
+	/**
+	 * Re-sends dead-lettered events to their destination, once, without retries.
+	 * Dead letters whose event the destination confirmed as delivered are deleted,
+	 * the others are kept with their attempts and last error updated.
+	 */
+	async replayDeadLetters(where: { ids?: string[]; destinationId?: string }) {
+		const deadLetters = await this.deadLetterRepository.find({
+			where: {
+				...(where.ids && { id: In(where.ids) }),
+				...(where.destinationId && { destinationId: where.destinationId }),
+				nextRetryAt: IsNull(),
+			},
+			order: { createdAt: 'ASC' },
+		});
+
+		const result = { replayed: [] as string[], failed: [] as string[] };
+
+		for (const deadLetter of deadLetters) {
+			const destination = this.destinations[deadLetter.destinationId];
+			const msg = this.logWriter?.getEventMessageObjectByType(
+				deadLetter.message as unknown as AbstractEventMessageOptions,
+			);
+
+			let sent = false;
+			if (destination && msg) {
+				try {
+					// Destinations only confirm an event once it was delivered, e.g. not just queued
+					await destination.receiveFromEventBus({
+						msg,
+						confirmCallback: () => (sent = true),
+					});
+				} catch (error) {
+					deadLetter.lastError = ensureError(error).message;
+				}
+			} else {
+				deadLetter.lastError = destination
+					? `Unknown event message type ${String(deadLetter.message.__type)}`
+					: `Destination ${deadLetter.destinationId} is not active`;
+			}
+
+			if (sent) {
+				await this.deadLetterRepository.delete({ id: deadLetter.id });
+				result.replayed.push(deadLetter.id);
+			} else {
+				deadLetter.attempts++;
+				await this.deadLetterRepository.save(deadLetter);
+				result.failed.push(deadLetter.id);
+			}
+		}
+
+		return result;
+	}
+
+	async deleteDeadLetters(where: { ids?: string[]; destinationId?: string }) {
+		return await this.deadLetterRepository.delete({
+			...(where.ids && { id: In(where.ids) }),
+			...(where.destinationId && { destinationId: where.destinationId }),
+			nextRetryAt: IsNull(),
+		});
+	}
+
+	/**
+	 * Deletes retry states whose events are no longer retried, e.g. as they were not re-sent
+	 * after a restart, and caps the rows kept per destination.
+	 */
+	async pruneDeadLetters() {
+		try {
+			const deleted = await this.deadLetterRepository.prune(
+				new Date(Date.now() - LOGSTREAMING_DEAD_LETTER_OVERDUE_RETRY_MS),
+				LOGSTREAMING_DEAD_LETTER_MAX_PER_DESTINATION,
+			);
+			if (deleted > 0) this.logger.debug(`Pruned ${deleted} event destination dead letters`);
+		} catch (error) {
+			this.logger.error('Failed to prune event destination dead letters', {
+				error: ensureError(error),
+			});
+		}
+	}
+
+	/**
+	 * Hands the retry state of events that were still being retried when the process
+	 * stopped to their destinations, before the unsent events are re-sent.
+	 */
+	private async restorePendingRetries() {
+		try {
+			const pendingRetries = await this.deadLetterRepository.findBy({
+				nextRetryAt: Not(IsNull()),
+			});
+			for (const retryState of pendingRetries) {
+				this.destinations[retryState.destinationId]?.restoreRetry(retryState);
+			}
+		} catch (error) {
+			this.logger.error('Failed to restore pending event destination retries', {
+				error: ensureError(error),
+			});
+		}
+	}
+
 	confirmSent(msg: EventMessageTypes, source?: EventMessageConfirmSource) {
 		this.logWriter?.confirmMessageSent(msg.id, source);
 	}
@@ -1532,6 +1532,25 @@ describe('LogStreamingEventRelay', () => {
 			});
 		});
 
+		it('should log on scoped `execution-throttled` event', () => {
+			const event: RelayEventMap['execution-throttled'] = {
+				executionId: 'exec123456',
+				type: 'workflow',
+				scopeId: 'wf123',
+			};
+
+			eventService.emit('execution-throttled', event);
+
+			expect(eventBus.sendExecutionEvent).toHaveBeenCalledWith({
+				eventName: 'n8n.execution.throttled',
+				payload: {
+					executionId: 'exec123456',
+					type: 'workflow',
+					scopeId: 'wf123',
+				},
+			});
+		});
+
 		it.each(['manual', 'timeout', 'shutdown'] as const)(
 			'should log on `execution-cancelled` event with %s reason',
 			(reason) => {
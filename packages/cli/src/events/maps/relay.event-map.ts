@@ -9,7 +9,10 @@ import type {
 	JsonValue,
 } from 'n8n-workflow';
 
-import type { ConcurrencyQueueType } from '@/concurrency/concurrency-control.service';
+import type {
+	ConcurrencyQueueType,
+	ConcurrencyScope,
+} from '@/concurrency/concurrency-control.service';
 
 import type { AiEventMap } from './ai.event-map';
 
@@ -415,7 +418,10 @@ export type RelayEventMap = {
 
 	'execution-throttled': {
 		executionId: string;
-		type: ConcurrencyQueueType;
+		type: ConcurrencyQueueType | ConcurrencyScope;
+
+		/** ID of the workflow or project whose limit throttled the execution, if scoped. */
+		scopeId?: string;
 	};
 
 	'execution-started-during-bootup': {
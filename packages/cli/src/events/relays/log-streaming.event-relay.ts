@@ -579,10 +579,10 @@ export class LogStreamingEventRelay extends EventRelay {
 
 	// #region Execution
 
-	private executionThrottled({ executionId, type }: RelayEventMap['execution-throttled']) {
+	private executionThrottled({ executionId, type, scopeId }: RelayEventMap['execution-throttled']) {
 		void this.eventBus.sendExecutionEvent({
 			eventName: 'n8n.execution.throttled',
-			payload: { executionId, type },
+			payload: { executionId, type, ...(scopeId && { scopeId }) },
 		});
 	}
 
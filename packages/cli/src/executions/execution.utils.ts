@@ -1,4 +1,4 @@
-import type { IWorkflowBase } from 'n8n-workflow';
+import type { IBinaryData, IRunExecutionData, IWorkflowBase } from 'n8n-workflow';
 
 /**
  * Determines the active status of a workflow from workflow data.
@@ -27,3 +27,21 @@ export function isManualOrChatExecution(executionMode?: string): boolean {
 	if (!executionMode) return false;
 	return ['manual', 'chat'].includes(executionMode);
 }
+
+/**
+ * Collects the binary data entries in the run data of an execution. The entries
+ * are returned by reference, so updating them updates the run data.
+ */
+export function getBinaryDataInRunData(runData: IRunExecutionData): IBinaryData[] {
+	const binaryData: IBinaryData[] = [];
+
+	for (const taskData of Object.values(runData.resultData?.runData ?? {}).flat()) {
+		for (const items of Object.values(taskData.data ?? {}).flat()) {
+			for (const item of items ?? []) {
+				binaryData.push(...Object.values(item.binary ?? {}));
+			}
+		}
+	}
+
+	return binaryData;
+}
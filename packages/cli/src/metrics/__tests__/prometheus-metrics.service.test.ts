@@ -8,6 +8,7 @@ import type { InstanceSettings } from 'n8n-core';
 import { EventMessageTypeNames } from 'n8n-workflow';
 import promClient from 'prom-client';
 
+import type { ConcurrencyControlService } from '@/concurrency/concurrency-control.service';
 import type { MessageEventBus } from '@/eventbus/message-event-bus/message-event-bus';
 import type { EventService } from '@/events/event.service';
 
@@ -30,6 +31,7 @@ describe('PrometheusMetricsService', () => {
 	let instanceSettings: InstanceSettings;
 	let workflowRepository: WorkflowRepository;
 	let licenseMetricsRepository: LicenseMetricsRepository;
+	let concurrencyControlService: ConcurrencyControlService;
 	let prometheusMetricsService: PrometheusMetricsService;
 
 	beforeEach(() => {
@@ -72,6 +74,7 @@ describe('PrometheusMetricsService', () => {
 		instanceSettings = mock<InstanceSettings>({ instanceType: 'main' });
 		workflowRepository = mock<WorkflowRepository>();
 		licenseMetricsRepository = mock<LicenseMetricsRepository>();
+		concurrencyControlService = mock<ConcurrencyControlService>();
 
 		prometheusMetricsService = new PrometheusMetricsService(
 			mock(),
@@ -81,6 +84,8 @@ describe('PrometheusMetricsService', () => {
 			instanceSettings,
 			workflowRepository,
 			licenseMetricsRepository,
+			concurrencyControlService,
+			mock(),
 		);
 
 		promClient.Counter.prototype.inc = jest.fn();
@@ -105,6 +110,8 @@ describe('PrometheusMetricsService', () => {
 				instanceSettings,
 				mock(),
 				mock(),
+				mock(),
+				mock(),
 			);
 
 			await customPrometheusMetricsService.init(app);
@@ -279,6 +286,55 @@ describe('PrometheusMetricsService', () => {
 		});
 	});
 
+	describe('concurrency metrics', () => {
+		it('should set up concurrency queue depth metric if enabled', async () => {
+			globalConfig.executions.mode = 'regular';
+			prometheusMetricsService.enableMetric('concurrency');
+
+			await prometheusMetricsService.init(app);
+
+			expect(promClient.Gauge).toHaveBeenCalledWith({
+				name: 'n8n_concurrency_queue_depth',
+				help: 'Current number of executions waiting for concurrency capacity, by queue and priority.',
+				labelNames: ['queue', 'priority'],
+				collect: expect.any(Function),
+			});
+		});
+
+		it('should report queue depth per queue and priority on collection', async () => {
+			globalConfig.executions.mode = 'regular';
+			prometheusMetricsService.enableMetric('concurrency');
+			jest
+				.mocked(concurrencyControlService.getQueueDepths)
+				.mockReturnValue(new Map([['production', { high: 1, normal: 3, low: 7 }]]));
+
+			await prometheusMetricsService.init(app);
+
+			const { collect } = jest
+				.mocked(promClient.Gauge)
+				.mock.calls.find(([config]) => config.name === 'n8n_concurrency_queue_depth')![0];
+			const gauge = { set: jest.fn(), reset: jest.fn() };
+			// @ts-expect-error Partial gauge
+			collect!.call(gauge);
+
+			expect(gauge.reset).toHaveBeenCalled();
+			expect(gauge.set).toHaveBeenCalledWith({ queue: 'production', priority: 'high' }, 1);
+			expect(gauge.set).toHaveBeenCalledWith({ queue: 'production', priority: 'normal' }, 3);
+			expect(gauge.set).toHaveBeenCalledWith({ queue: 'production', priority: 'low' }, 7);
+		});
+
+		it('should not set up concurrency queue depth metric on scaling mode', async () => {
+			globalConfig.executions.mode = 'queue';
+			prometheusMetricsService.enableMetric('concurrency');
+
+			await prometheusMetricsService.init(app);
+
+			expect(promClient.Gauge).not.toHaveBeenCalledWith(
+				expect.objectContaining({ name: 'n8n_concurrency_queue_depth' }),
+			);
+		});
+	});
+
 	describe('when event bus events are sent', () => {
 		// Helper to find the event handler function registered by initEventBusMetrics
 		const getEventHandler = () => {
@@ -1,14 +1,17 @@
 import { mockInstance } from '@n8n/backend-test-utils';
 import { GlobalConfig } from '@n8n/config';
-import type { WorkflowRepository, LicenseMetricsRepository } from '@n8n/db';
+import type { LicenseMetricsRepository, Project, WorkflowRepository } from '@n8n/db';
 import type express from 'express';
 import { mock } from 'jest-mock-extended';
 import type { InstanceSettings } from 'n8n-core';
+import type { IRun, IWorkflowBase } from 'n8n-workflow';
 import promClient from 'prom-client';
 
 import { EventMessageWorkflow } from '@/eventbus/event-message-classes/event-message-workflow';
 import type { EventService } from '@/events/event.service';
+import type { RelayEventMap } from '@/events/maps/relay.event-map';
 import type { CacheService } from '@/services/cache/cache.service';
+import type { OwnershipService } from '@/services/ownership.service';
 
 import { MessageEventBus } from '../../eventbus/message-event-bus/message-event-bus';
 import { PrometheusMetricsService } from '../prometheus-metrics.service';
@@ -31,6 +34,7 @@ const eventBus = new MessageEventBus(
 	mock(),
 	mock(),
 	mock(),
+	mock(),
 );
 
 describe('workflow_success_total', () => {
@@ -55,6 +59,8 @@ describe('workflow_success_total', () => {
 			instanceSettings,
 			workflowRepository,
 			mock<LicenseMetricsRepository>(),
+			mock(),
+			mock(),
 		);
 
 		await prometheusMetricsService.init(app);
@@ -99,6 +105,8 @@ workflow_success_total{workflow_id="1234"} 1"
 			instanceSettings,
 			workflowRepository,
 			mock<LicenseMetricsRepository>(),
+			mock(),
+			mock(),
 		);
 
 		await prometheusMetricsService.init(app);
@@ -140,6 +148,8 @@ workflow_success_total{workflow_name="wf_1234"} 1"
 			instanceSettings,
 			workflowRepository,
 			mock<LicenseMetricsRepository>(),
+			mock(),
+			mock(),
 		);
 
 		// ACT
@@ -185,6 +195,8 @@ describe('Active workflow count', () => {
 		instanceSettings,
 		workflowRepository,
 		mock<LicenseMetricsRepository>(),
+		mock(),
+		mock(),
 	);
 
 	afterEach(() => {
@@ -231,3 +243,93 @@ active_workflow_count 2"
 `);
 	});
 });
+
+describe('workflow_execution_duration_seconds', () => {
+	const globalConfig = mockInstance(GlobalConfig, {
+		endpoints: {
+			metrics: {
+				prefix: '',
+				includeWorkflowRuntimeHistogram: true,
+			},
+		},
+	});
+	const ownershipService = mock<OwnershipService>();
+
+	const prometheusMetricsService = new PrometheusMetricsService(
+		cacheService,
+		eventBus,
+		globalConfig,
+		eventService,
+		instanceSettings,
+		workflowRepository,
+		mock<LicenseMetricsRepository>(),
+		mock(),
+		ownershipService,
+	);
+
+	const getPostExecuteHandler = () => {
+		const call = eventService.on.mock.calls.find(
+			([eventName]) => eventName === 'workflow-post-execute',
+		);
+		return call?.[1] as (event: RelayEventMap['workflow-post-execute']) => Promise<void>;
+	};
+
+	const createEvent = (runData: Partial<IRun>): RelayEventMap['workflow-post-execute'] => ({
+		executionId: '1',
+		workflow: mock<IWorkflowBase>({ id: 'wf-1', name: 'Workflow 1' }),
+		runData: mock<IRun>({
+			mode: 'webhook',
+			status: 'success',
+			startedAt: new Date('2025-01-01T00:00:00.000Z'),
+			stoppedAt: new Date('2025-01-01T00:00:02.000Z'),
+			...runData,
+		}),
+	});
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		ownershipService.getWorkflowProjectCached.mockResolvedValue(mock<Project>({ id: 'project-1' }));
+	});
+
+	afterEach(() => {
+		prometheusMetricsService.disableAllMetrics();
+	});
+
+	it('should observe the duration of production executions with workflow and project labels', async () => {
+		await prometheusMetricsService.init(app);
+
+		await getPostExecuteHandler()(createEvent({}));
+		await getPostExecuteHandler()(createEvent({ status: 'error' }));
+
+		const histogram = await promClient.register.getSingleMetricAsString(
+			'workflow_execution_duration_seconds',
+		);
+
+		expect(histogram).toContain(
+			'workflow_execution_duration_seconds_bucket{le="2.5",workflow_id="wf-1",project_id="project-1",status="success"} 1',
+		);
+		expect(histogram).toContain(
+			'workflow_execution_duration_seconds_bucket{le="1",workflow_id="wf-1",project_id="project-1",status="success"} 0',
+		);
+		expect(histogram).toContain(
+			'workflow_execution_duration_seconds_sum{workflow_id="wf-1",project_id="project-1",status="success"} 2',
+		);
+		expect(histogram).toContain(
+			'workflow_execution_duration_seconds_count{workflow_id="wf-1",project_id="project-1",status="failure"} 1',
+		);
+	});
+
+	it('should not observe manual or unfinished executions', async () => {
+		await prometheusMetricsService.init(app);
+
+		await getPostExecuteHandler()(createEvent({ mode: 'manual' }));
+		await getPostExecuteHandler()(createEvent({ status: 'canceled' }));
+
+		const histogram = await promClient.register.getSingleMetricAsString(
+			'workflow_execution_duration_seconds',
+		);
+
+		expect(histogram).not.toContain('workflow_id="wf-1"');
+		expect(ownershipService.getWorkflowProjectCached).not.toHaveBeenCalled();
+	});
+});
@@ -7,18 +7,39 @@ import type express from 'express';
 import promBundle from 'express-prom-bundle';
 import { DateTime } from 'luxon';
 import { InstanceSettings } from 'n8n-core';
-import { EventMessageTypeNames, jsonParse } from 'n8n-workflow';
+import {
+	EventMessageTypeNames,
+	jsonParse,
+	type ExecutionStatus,
+	type WorkflowExecuteMode,
+} from 'n8n-workflow';
 import promClient, { type Counter, type Gauge } from 'prom-client';
 import semverParse from 'semver/functions/parse';
 
+import { ConcurrencyControlService } from '@/concurrency/concurrency-control.service';
+import { EXECUTION_PRIORITIES } from '@/concurrency/concurrency-queue';
 import { N8N_VERSION } from '@/constants';
 import type { EventMessageTypes } from '@/eventbus';
 import { MessageEventBus } from '@/eventbus/message-event-bus/message-event-bus';
 import { EventService } from '@/events/event.service';
 import { CacheService } from '@/services/cache/cache.service';
+import { OwnershipService } from '@/services/ownership.service';
 
 import type { Includes, MetricCategory, MetricLabel } from './types';
 
+/** Upper bounds in seconds of the buckets of the workflow execution duration histogram */
+const WORKFLOW_RUNTIME_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600];
+
+/** Same as in insights, only finished production executions are observed */
+const WORKFLOW_RUNTIME_STATUSES: ExecutionStatus[] = ['success', 'error', 'crashed'];
+
+const WORKFLOW_RUNTIME_SKIPPED_MODES: WorkflowExecuteMode[] = [
+	'manual',
+	'integrated',
+	'internal',
+	'chat',
+];
+
 @Service()
 export class PrometheusMetricsService {
 	constructor(
@@ -29,6 +50,8 @@ export class PrometheusMetricsService {
 		private readonly instanceSettings: InstanceSettings,
 		private readonly workflowRepository: WorkflowRepository,
 		private readonly licenseMetricsRepository: LicenseMetricsRepository,
+		private readonly concurrencyControlService: ConcurrencyControlService,
+		private readonly ownershipService: OwnershipService,
 	) {}
 
 	private readonly counters: { [key: string]: Counter<string> | null } = {};
@@ -45,6 +68,8 @@ export class PrometheusMetricsService {
 			logs: this.globalConfig.endpoints.metrics.includeMessageEventBusMetrics,
 			queue: this.globalConfig.endpoints.metrics.includeQueueMetrics,
 			workflowStatistics: this.globalConfig.endpoints.metrics.includeWorkflowStatistics,
+			concurrency: this.globalConfig.endpoints.metrics.includeConcurrencyMetrics,
+			workflowRuntime: this.globalConfig.endpoints.metrics.includeWorkflowRuntimeHistogram,
 		},
 		labels: {
 			credentialsType: this.globalConfig.endpoints.metrics.includeCredentialTypeLabel,
@@ -68,6 +93,8 @@ export class PrometheusMetricsService {
 		this.initQueueMetrics();
 		this.initActiveWorkflowCountMetric();
 		this.initWorkflowStatisticsMetrics();
+		this.initConcurrencyMetrics();
+		this.initWorkflowRuntimeMetrics();
 		this.mountMetricsEndpoint(app);
 	}
 
@@ -533,4 +560,78 @@ export class PrometheusMetricsService {
 			);
 		});
 	}
+
+	/**
+	 * Set up metric for executions waiting in concurrency control queues:
+	 * `n8n_concurrency_queue_depth{queue="production",priority="high"}`
+	 *
+	 * This metric is updated every time metrics are collected.
+	 */
+	private initConcurrencyMetrics() {
+		if (!this.includes.metrics.concurrency || this.globalConfig.executions.mode !== 'regular') {
+			return;
+		}
+
+		const concurrencyControlService = this.concurrencyControlService;
+
+		new promClient.Gauge({
+			name: this.prefix + 'concurrency_queue_depth',
+			help: 'Current number of executions waiting for concurrency capacity, by queue and priority.',
+			labelNames: ['queue', 'priority'],
+			collect() {
+				this.reset();
+
+				for (const [queue, depths] of concurrencyControlService.getQueueDepths()) {
+					for (const priority of EXECUTION_PRIORITIES) {
+						this.set({ queue, priority }, depths[priority]);
+					}
+				}
+			},
+		});
+	}
+
+	/**
+	 * Set up histogram of production workflow execution durations:
+	 * `n8n_workflow_execution_duration_seconds{workflow_id="...",project_id="...",status="success"}`
+	 */
+	private initWorkflowRuntimeMetrics() {
+		if (!this.includes.metrics.workflowRuntime) return;
+
+		const labelNames = ['workflow_id', 'project_id', 'status'];
+		if (this.includes.labels.workflowName) labelNames.push('workflow_name');
+
+		const histogram = new promClient.Histogram({
+			name: this.prefix + 'workflow_execution_duration_seconds',
+			help: 'Duration of production workflow executions in seconds.',
+			labelNames,
+			buckets: WORKFLOW_RUNTIME_BUCKETS,
+		});
+
+		this.eventService.on('workflow-post-execute', async ({ workflow, runData }) => {
+			if (
+				!workflow.id ||
+				!runData?.stoppedAt ||
+				!WORKFLOW_RUNTIME_STATUSES.includes(runData.status) ||
+				WORKFLOW_RUNTIME_SKIPPED_MODES.includes(runData.mode)
+			) {
+				return;
+			}
+
+			let projectId = 'unknown';
+			try {
+				const project = await this.ownershipService.getWorkflowProjectCached(workflow.id);
+				projectId = project.id;
+			} catch {}
+
+			const labels: Record<string, string> = {
+				workflow_id: workflow.id,
+				project_id: projectId,
+				status: runData.status === 'success' ? 'success' : 'failure',
+			};
+			if (this.includes.labels.workflowName) labels.workflow_name = workflow.name;
+
+			const durationMs = runData.stoppedAt.getTime() - runData.startedAt.getTime();
+			histogram.observe(labels, durationMs / Time.seconds.toMilliseconds);
+		});
+	}
 }
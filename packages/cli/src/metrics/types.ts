@@ -4,7 +4,9 @@ export type MetricCategory =
 	| 'cache'
 	| 'logs'
 	| 'queue'
-	| 'workflowStatistics';
+	| 'workflowStatistics'
+	| 'concurrency'
+	| 'workflowRuntime';
 
 export type MetricLabel =
 	| 'credentialsType'
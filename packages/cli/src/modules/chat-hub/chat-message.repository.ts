@@ -1,7 +1,7 @@
 import type { ChatHubMessageStatus, ChatMessageId, ChatSessionId } from '@n8n/api-types';
 import { withTransaction } from '@n8n/db';
 import { Service } from '@n8n/di';
-import { DataSource, EntityManager, Repository } from '@n8n/typeorm';
+import { DataSource, EntityManager, MoreThan, Repository } from '@n8n/typeorm';
 import { QueryDeepPartialEntity } from '@n8n/typeorm/query-builder/QueryPartialEntity';
 import { UnexpectedError, type IBinaryData } from 'n8n-workflow';
 
@@ -61,6 +61,19 @@ export class ChatHubMessageRepository extends Repository<ChatHubMessage> {
 		});
 	}
 
+	/**
+	 * Find messages in batches ordered by ID, with only their attachments, e.g. to
+	 * process all stored attachments.
+	 */
+	async findBatchWithAttachmentsAfterId(afterId: string | undefined, batchSize: number) {
+		return await this.find({
+			select: { id: true, attachments: true },
+			where: afterId ? { id: MoreThan(afterId) } : {},
+			order: { id: 'ASC' },
+			take: batchSize,
+		});
+	}
+
 	async getOneById(
 		id: ChatMessageId,
 		sessionId: ChatSessionId,
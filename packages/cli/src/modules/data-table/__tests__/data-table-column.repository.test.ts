@@ -5,6 +5,7 @@ import { mock } from 'jest-mock-extended';
 import { DataTableColumn } from '../data-table-column.entity';
 import { DataTableColumnRepository } from '../data-table-column.repository';
 import type { DataTableDDLService } from '../data-table-ddl.service';
+import type { DataTableIndexRepository } from '../data-table-index.repository';
 import { DataTable } from '../data-table.entity';
 import { DataTableColumnNameConflictError } from '../errors/data-table-column-name-conflict.error';
 import { DataTableSystemColumnNameConflictError } from '../errors/data-table-system-column-name-conflict.error';
@@ -13,6 +14,7 @@ describe('DataTableColumnRepository', () => {
 	let repository: DataTableColumnRepository;
 	let mockDataSource: DataSource;
 	let mockDDLService: jest.Mocked<DataTableDDLService>;
+	let mockIndexRepository: jest.Mocked<DataTableIndexRepository>;
 	let mockEntityManager: jest.Mocked<EntityManager>;
 
 	beforeAll(async () => {
@@ -21,6 +23,7 @@ describe('DataTableColumnRepository', () => {
 
 	beforeEach(() => {
 		mockDDLService = mock<DataTableDDLService>();
+		mockIndexRepository = mock<DataTableIndexRepository>();
 		mockEntityManager = mock<EntityManager>({
 			connection: {
 				options: { type: 'postgres' },
@@ -38,7 +41,7 @@ describe('DataTableColumnRepository', () => {
 			manager: mockEntityManager,
 		});
 
-		repository = new DataTableColumnRepository(mockDataSource, mockDDLService);
+		repository = new DataTableColumnRepository(mockDataSource, mockDDLService, mockIndexRepository);
 	});
 
 	describe('renameColumn', () => {
@@ -177,6 +180,12 @@ describe('DataTableColumnRepository', () => {
 					'postgres',
 					mockEntityManager,
 				);
+				expect(mockIndexRepository.renameColumnInIndexes).toHaveBeenCalledWith(
+					dataTableId,
+					mockColumn.name,
+					newName,
+					mockEntityManager,
+				);
 			});
 
 			it('should call DDL service with correct database type', async () => {
@@ -3,6 +3,7 @@ import type { DataTableFilterConditionType } from '@n8n/api-types';
 import { createTeamProject, testDb, testModules } from '@n8n/backend-test-utils';
 import { Project } from '@n8n/db';
 import { Container } from '@n8n/di';
+import type { DataTableFilter } from 'n8n-workflow';
 
 import { mockDataTableSizeValidator } from './test-helpers';
 import { DataTableService } from '../data-table.service';
@@ -1569,6 +1570,80 @@ describe('dataTable filters', () => {
 				expect(result.data).toEqual([]);
 			});
 		});
+
+		describe('JSON path filters', () => {
+			let dataTableId: string;
+
+			beforeEach(async () => {
+				const { id } = await dataTableService.createDataTable(project.id, {
+					name: 'dataTable',
+					columns: [
+						{ name: 'name', type: 'string' },
+						{ name: 'order', type: 'json' },
+					],
+				});
+				dataTableId = id;
+
+				await dataTableService.insertRows(id, project.id, [
+					{ name: 'John', order: { address: { city: 'Berlin' }, items: [{ quantity: 1 }] } },
+					{ name: 'Mary', order: { address: { city: 'Paris' }, items: [{ quantity: 5 }] } },
+					{ name: 'Jack', order: { address: { city: 'Bern' } } },
+					{ name: 'Arnold', order: null },
+				]);
+			});
+
+			const getNames = async (filters: DataTableFilter['filters']) => {
+				const result = await dataTableService.getManyRowsAndCount(dataTableId, project.id, {
+					filter: { type: 'and', filters },
+				});
+				return result.data.map((row) => row.name).sort();
+			};
+
+			it('retrieves rows by equality of nested values', async () => {
+				expect(
+					await getNames([
+						{ columnName: 'order', path: 'address.city', value: 'Paris', condition: 'eq' },
+					]),
+				).toEqual(['Mary']);
+			});
+
+			it('retrieves rows by comparing values in arrays', async () => {
+				expect(
+					await getNames([
+						{ columnName: 'order', path: 'items.0.quantity', value: 2, condition: 'gt' },
+					]),
+				).toEqual(['Mary']);
+			});
+
+			it('retrieves rows by LIKE of nested values', async () => {
+				expect(
+					await getNames([
+						{ columnName: 'order', path: 'address.city', value: 'ber', condition: 'ilike' },
+					]),
+				).toEqual(['Jack', 'John']);
+			});
+
+			it('retrieves rows missing nested values', async () => {
+				expect(
+					await getNames([
+						{ columnName: 'order', path: 'items.0.quantity', value: null, condition: 'eq' },
+					]),
+				).toEqual(['Arnold', 'Jack']);
+			});
+
+			it('returns the values of json columns as objects', async () => {
+				const result = await dataTableService.getManyRowsAndCount(dataTableId, project.id, {
+					filter: {
+						type: 'and',
+						filters: [{ columnName: 'name', value: 'Jack', condition: 'eq' }],
+					},
+				});
+
+				expect(result.data).toEqual([
+					expect.objectContaining({ order: { address: { city: 'Bern' } } }),
+				]);
+			});
+		});
 	});
 
 	describe('updateRows', () => {
@@ -11,8 +11,11 @@ import { DataTableService } from '../data-table.service';
 import { mockDataTableSizeValidator } from './test-helpers';
 import { DataTableColumnNameConflictError } from '../errors/data-table-column-name-conflict.error';
 import { DataTableColumnNotFoundError } from '../errors/data-table-column-not-found.error';
+import { DataTableIndexConflictError } from '../errors/data-table-index-conflict.error';
+import { DataTableIndexNotFoundError } from '../errors/data-table-index-not-found.error';
 import { DataTableNameConflictError } from '../errors/data-table-name-conflict.error';
 import { DataTableNotFoundError } from '../errors/data-table-not-found.error';
+import { DataTableUniqueConstraintError } from '../errors/data-table-unique-constraint.error';
 import { DataTableValidationError } from '../errors/data-table-validation.error';
 import { toTableName } from '../utils/sql-utils';
 
@@ -23,7 +26,7 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
-	await testDb.truncate(['DataTable', 'DataTableColumn']);
+	await testDb.truncate(['DataTable', 'DataTableColumn', 'DataTableIndex']);
 });
 
 afterAll(async () => {
@@ -64,6 +67,7 @@ describe('dataTable', () => {
 				{
 					name: 'foo',
 					type: 'string',
+					enumValues: null,
 					index: 0,
 					dataTableId,
 					id: expect.any(String),
@@ -555,6 +559,7 @@ describe('dataTable', () => {
 					id: c2.id,
 					name: 'myColumn2',
 					type: 'number',
+					enumValues: null,
 					createdAt: c2.createdAt,
 					updatedAt: expect.any(Date),
 				},
@@ -3544,4 +3549,177 @@ describe('dataTable', () => {
 			expect(dataTable2.id).toBe(dataTableId2);
 		});
 	});
+
+	describe('indexes', () => {
+		let dataTableId: string;
+
+		beforeEach(async () => {
+			({ id: dataTableId } = await dataTableService.createDataTable(project1.id, {
+				name: 'dataTable',
+				columns: [
+					{ name: 'email', type: 'string' },
+					{ name: 'name', type: 'string' },
+					{ name: 'age', type: 'number' },
+				],
+			}));
+		});
+
+		const createUniqueEmailIndex = async () =>
+			await dataTableService.createIndex(dataTableId, project1.id, {
+				columnNames: ['email'],
+				isUnique: true,
+			});
+
+		const getRows = async () =>
+			(await dataTableService.getManyRowsAndCount(dataTableId, project1.id, {})).data;
+
+		it('should create and list indexes', async () => {
+			// ACT
+			const index = await dataTableService.createIndex(dataTableId, project1.id, {
+				columnNames: ['name', 'age'],
+				isUnique: false,
+			});
+
+			// ASSERT
+			await expect(dataTableService.getIndexes(dataTableId, project1.id)).resolves.toEqual([
+				expect.objectContaining({
+					id: index.id,
+					dataTableId,
+					columnNames: ['name', 'age'],
+					isUnique: false,
+				}),
+			]);
+		});
+
+		it('should fail to create indexes on unknown columns', async () => {
+			await expect(
+				dataTableService.createIndex(dataTableId, project1.id, {
+					columnNames: ['unknown'],
+					isUnique: false,
+				}),
+			).rejects.toThrow(DataTableValidationError);
+		});
+
+		it('should fail to create the same index twice', async () => {
+			await createUniqueEmailIndex();
+
+			await expect(createUniqueEmailIndex()).rejects.toThrow(DataTableIndexConflictError);
+		});
+
+		it('should fail to create unique indexes on columns with duplicate values', async () => {
+			// ARRANGE
+			await dataTableService.insertRows(dataTableId, project1.id, [
+				{ email: 'jane@example.com' },
+				{ email: 'jane@example.com' },
+			]);
+
+			// ACT & ASSERT
+			await expect(createUniqueEmailIndex()).rejects.toThrow(
+				"rows with the same values in the columns 'email' already exist",
+			);
+			await expect(dataTableService.getIndexes(dataTableId, project1.id)).resolves.toEqual([]);
+		});
+
+		it('should reject rows violating unique indexes', async () => {
+			// ARRANGE
+			await createUniqueEmailIndex();
+			await dataTableService.insertRows(dataTableId, project1.id, [{ email: 'jane@example.com' }]);
+
+			// ACT & ASSERT
+			await expect(
+				dataTableService.insertRows(dataTableId, project1.id, [{ email: 'jane@example.com' }]),
+			).rejects.toThrow(DataTableUniqueConstraintError);
+			await expect(
+				dataTableService.insertRows(dataTableId, project1.id, [{ email: 'john@example.com' }]),
+			).resolves.toBeDefined();
+		});
+
+		it('should upsert rows by unique index', async () => {
+			// ARRANGE
+			await createUniqueEmailIndex();
+			const filter = {
+				type: 'and' as const,
+				filters: [{ columnName: 'email', value: 'jane@example.com', condition: 'eq' as const }],
+			};
+
+			// ACT
+			const inserted = await dataTableService.upsertRow(
+				dataTableId,
+				project1.id,
+				{ filter, data: { name: 'Jane', age: 30 } },
+				true,
+			);
+			const updated = await dataTableService.upsertRow(
+				dataTableId,
+				project1.id,
+				{ filter, data: { age: 31 } },
+				true,
+			);
+
+			// ASSERT
+			expect(inserted).toEqual([
+				expect.objectContaining({ email: 'jane@example.com', name: 'Jane', age: 30 }),
+			]);
+			expect(updated).toEqual([
+				expect.objectContaining({ id: inserted[0].id, name: 'Jane', age: 31 }),
+			]);
+			expect(await getRows()).toHaveLength(1);
+		});
+
+		it('should delete indexes', async () => {
+			// ARRANGE
+			const index = await createUniqueEmailIndex();
+
+			// ACT
+			await dataTableService.deleteIndex(dataTableId, project1.id, index.id);
+
+			// ASSERT
+			await expect(dataTableService.getIndexes(dataTableId, project1.id)).resolves.toEqual([]);
+			await dataTableService.insertRows(dataTableId, project1.id, [
+				{ email: 'jane@example.com' },
+				{ email: 'jane@example.com' },
+			]);
+			expect(await getRows()).toHaveLength(2);
+		});
+
+		it('should fail to delete unknown indexes', async () => {
+			await expect(
+				dataTableService.deleteIndex(dataTableId, project1.id, 'unknown'),
+			).rejects.toThrow(DataTableIndexNotFoundError);
+		});
+
+		it('should delete the indexes of deleted columns', async () => {
+			// ARRANGE
+			await createUniqueEmailIndex();
+			const columns = await dataTableService.getColumns(dataTableId, project1.id);
+			const emailColumn = columns.find((column) => column.name === 'email')!;
+
+			// ACT
+			await dataTableService.deleteColumn(dataTableId, project1.id, emailColumn.id);
+
+			// ASSERT
+			await expect(dataTableService.getIndexes(dataTableId, project1.id)).resolves.toEqual([]);
+		});
+
+		it('should keep indexes of renamed columns', async () => {
+			// ARRANGE
+			await createUniqueEmailIndex();
+			const columns = await dataTableService.getColumns(dataTableId, project1.id);
+			const emailColumn = columns.find((column) => column.name === 'email')!;
+
+			// ACT
+			await dataTableService.renameColumn(dataTableId, project1.id, emailColumn.id, {
+				name: 'mail',
+			});
+
+			// ASSERT
+			await expect(dataTableService.getIndexes(dataTableId, project1.id)).resolves.toEqual([
+				expect.objectContaining({ columnNames: ['mail'], isUnique: true }),
+			]);
+			await dataTableService.insertRows(dataTableId, project1.id, [{ mail: 'jane@example.com' }]);
+			await expect(
+				dataTableService.insertRows(dataTableId, project1.id, [{ mail: 'jane@example.com' }]),
+			).rejects.toThrow(DataTableUniqueConstraintError);
+		});
+	});
 });
@@ -1,12 +1,16 @@
 import { mockInstance, testModules } from '@n8n/backend-test-utils';
-import type { RenameDataTableColumnDto } from '@n8n/api-types';
+import { DATA_TABLE_STRING_VALUE_MAX_LENGTH, type RenameDataTableColumnDto } from '@n8n/api-types';
 import { Logger } from '@n8n/backend-common';
 import { ProjectRelationRepository } from '@n8n/db';
+import type { EntityManager } from '@n8n/typeorm';
+import { mock } from 'jest-mock-extended';
 
 import { CsvParserService } from '../csv-parser.service';
 import type { DataTableColumn } from '../data-table-column.entity';
 import { DataTableColumnRepository } from '../data-table-column.repository';
 import { DataTableFileCleanupService } from '../data-table-file-cleanup.service';
+import type { DataTableIndex } from '../data-table-index.entity';
+import { DataTableIndexRepository } from '../data-table-index.repository';
 import { DataTableRowsRepository } from '../data-table-rows.repository';
 import { DataTableSizeValidator } from '../data-table-size-validator.service';
 import type { DataTable } from '../data-table.entity';
@@ -27,6 +31,7 @@ describe('DataTableService', () => {
 	let mockRoleService: jest.Mocked<RoleService>;
 	let mockCsvParserService: jest.Mocked<CsvParserService>;
 	let mockFileCleanupService: jest.Mocked<DataTableFileCleanupService>;
+	let mockDataTableIndexRepository: jest.Mocked<DataTableIndexRepository>;
 
 	beforeAll(async () => {
 		await testModules.loadModules(['data-table']);
@@ -42,6 +47,7 @@ describe('DataTableService', () => {
 		mockRoleService = mockInstance(RoleService);
 		mockCsvParserService = mockInstance(CsvParserService);
 		mockFileCleanupService = mockInstance(DataTableFileCleanupService);
+		mockDataTableIndexRepository = mockInstance(DataTableIndexRepository);
 
 		// Mock the logger.scoped method to return the logger itself
 		mockLogger.scoped = jest.fn().mockReturnValue(mockLogger);
@@ -56,6 +62,7 @@ describe('DataTableService', () => {
 			mockRoleService,
 			mockCsvParserService,
 			mockFileCleanupService,
+			mockDataTableIndexRepository,
 		);
 
 		jest.clearAllMocks();
@@ -362,4 +369,193 @@ describe('DataTableService', () => {
 			});
 		});
 	});
+
+	describe('validateAndTransformUpdateParams', () => {
+		const columns = [
+			{ name: 'status', type: 'enum', enumValues: ['open', 'closed'] },
+			{ name: 'payload', type: 'json', enumValues: null },
+			{ name: 'notes', type: 'text', enumValues: null },
+			{ name: 'title', type: 'string', enumValues: null },
+		] as DataTableColumn[];
+
+		const validate = (
+			data: Record<string, unknown>,
+			filters: Array<Record<string, unknown>> = [
+				{ columnName: 'status', condition: 'eq', value: 'open' },
+			],
+		) =>
+			dataTableService.validateAndTransformUpdateParams(
+				{ data, filter: { type: 'and', filters } } as never,
+				columns,
+			);
+
+		describe('enum columns', () => {
+			it('should accept allowed values', () => {
+				expect(validate({ status: 'closed' }).data).toEqual({ status: 'closed' });
+			});
+
+			it('should throw for values that are not allowed', () => {
+				expect(() => validate({ status: 'pending' })).toThrow(
+					"value 'pending' is not one of the allowed values of column 'status': open, closed",
+				);
+			});
+
+			it('should not limit filters to allowed values', () => {
+				const { filter } = validate({ notes: 'Done' }, [
+					{ columnName: 'status', condition: 'like', value: 'clo' },
+				]);
+
+				expect(filter.filters[0].value).toBe('%clo%');
+			});
+		});
+
+		describe('string and text columns', () => {
+			it('should throw for string values over the maximum length', () => {
+				expect(() =>
+					validate({ title: 'x'.repeat(DATA_TABLE_STRING_VALUE_MAX_LENGTH + 1) }),
+				).toThrow(
+					`value of column 'title' is longer than ${DATA_TABLE_STRING_VALUE_MAX_LENGTH} characters, use a 'text' column for longer values`,
+				);
+			});
+
+			it('should accept text values over the maximum length of strings', () => {
+				const notes = 'x'.repeat(DATA_TABLE_STRING_VALUE_MAX_LENGTH + 1);
+
+				expect(validate({ notes }).data).toEqual({ notes });
+			});
+		});
+
+		describe('json columns', () => {
+			it('should accept objects, arrays and JSON strings of them', () => {
+				expect(validate({ payload: { city: 'Berlin' } }).data).toEqual({
+					payload: { city: 'Berlin' },
+				});
+				expect(validate({ payload: [1, 2] }).data).toEqual({ payload: [1, 2] });
+				expect(validate({ payload: '{"city":"Berlin"}' }).data).toEqual({
+					payload: { city: 'Berlin' },
+				});
+			});
+
+			it.each([42, true, '"Berlin"'])('should throw for %p', (payload) => {
+				expect(() => validate({ payload })).toThrow(
+					"does not match column type 'json': expected an object or an array",
+				);
+			});
+
+			it('should throw for invalid JSON strings', () => {
+				expect(() => validate({ payload: '{city' })).toThrow(
+					"value '{city' of column 'payload' is not valid JSON",
+				);
+			});
+
+			it('should accept filters on paths', () => {
+				const { filter } = validate({ notes: 'Done' }, [
+					{ columnName: 'payload', path: 'address.city', condition: 'ilike', value: 'ber' },
+					{ columnName: 'payload', path: 'items.0.quantity', condition: 'gt', value: 2 },
+				]);
+
+				expect(filter.filters.map((f) => f.value)).toEqual(['%ber%', 2]);
+			});
+
+			it('should throw for filters on paths with objects as values', () => {
+				expect(() =>
+					validate({ notes: 'Done' }, [
+						{ columnName: 'payload', path: 'address', condition: 'eq', value: { city: 'Berlin' } },
+					]),
+				).toThrow("of filter on path 'address' must be a string, number, boolean or null");
+			});
+
+			it('should throw for filters without paths, unless on being null', () => {
+				expect(() =>
+					validate({ notes: 'Done' }, [{ columnName: 'payload', condition: 'eq', value: 'x' }]),
+				).toThrow(
+					"column 'payload' of type 'json' can only be filtered on a path, or on being null",
+				);
+				expect(
+					validate({ notes: 'Done' }, [{ columnName: 'payload', condition: 'neq', value: null }])
+						.filter.filters[0].value,
+				).toBeNull();
+			});
+
+			it('should throw for filters with paths on other columns', () => {
+				expect(() =>
+					validate({ notes: 'Done' }, [
+						{ columnName: 'notes', path: 'city', condition: 'eq', value: 'x' },
+					]),
+				).toThrow("filter path can only be used on columns of type 'json', not on column 'notes'");
+			});
+		});
+	});
+
+	describe('upsertRow', () => {
+		const projectId = 'test-project-id';
+		const dataTableId = 'test-data-table-id';
+		const trx = mock<EntityManager>();
+		const columns = [
+			{ name: 'email', type: 'string' },
+			{ name: 'name', type: 'string' },
+		] as DataTableColumn[];
+		const dto = {
+			filter: {
+				type: 'and' as const,
+				filters: [{ columnName: 'email', condition: 'eq' as const, value: 'jane@example.com' }],
+			},
+			data: { name: 'Jane' },
+		};
+
+		beforeEach(() => {
+			mockDataTableRepository.findOneBy.mockResolvedValue({ id: dataTableId } as DataTable);
+			// @ts-expect-error - Mocking manager for testing
+			mockDataTableColumnRepository.manager = {
+				transaction: jest.fn().mockImplementation(async (callback) => await callback(trx)),
+			};
+			mockDataTableColumnRepository.getColumns.mockResolvedValue(columns);
+			mockDataTableIndexRepository.getIndexes.mockResolvedValue([
+				{ columnNames: ['email'], isUnique: true },
+			] as DataTableIndex[]);
+		});
+
+		it('should upsert by the unique index matching the filter', async () => {
+			mockDataTableRowsRepository.supportsUpsertByUniqueKey.mockReturnValue(true);
+			mockDataTableRowsRepository.upsertRowByUniqueKey.mockResolvedValue(true);
+
+			await dataTableService.upsertRow(dataTableId, projectId, dto);
+
+			expect(mockDataTableRowsRepository.upsertRowByUniqueKey).toHaveBeenCalledWith(
+				dataTableId,
+				{ email: 'jane@example.com', name: 'Jane' },
+				['email'],
+				dto.filter,
+				columns,
+				false,
+				trx,
+			);
+			expect(mockDataTableRowsRepository.updateRows).not.toHaveBeenCalled();
+		});
+
+		it('should update or insert rows matching the filter where unique indexes cannot be used', async () => {
+			mockDataTableRowsRepository.supportsUpsertByUniqueKey.mockReturnValue(false);
+			mockDataTableRowsRepository.updateRows.mockResolvedValue([]);
+			mockDataTableRowsRepository.insertRows.mockResolvedValue([{ id: 1 }]);
+
+			await dataTableService.upsertRow(dataTableId, projectId, dto);
+
+			expect(mockDataTableRowsRepository.upsertRowByUniqueKey).not.toHaveBeenCalled();
+			expect(mockDataTableRowsRepository.updateRows).toHaveBeenCalledWith(
+				dataTableId,
+				dto.data,
+				dto.filter,
+				columns,
+				true,
+				trx,
+			);
+			expect(mockDataTableRowsRepository.insertRows).toHaveBeenCalledWith(
+				dataTableId,
+				[dto.data],
+				columns,
+				'id',
+				trx,
+			);
+		});
+	});
 });
@@ -1,11 +1,16 @@
+import { QueryFailedError } from '@n8n/typeorm';
 import type { DataTableColumnType } from 'n8n-workflow';
 
 import type { DataTableColumn } from '../data-table-column.entity';
 import {
 	addColumnQuery,
+	createIndexQuery,
 	deleteColumnQuery,
+	dropIndexQuery,
+	isUniqueConstraintViolation,
 	normalizeRows,
 	normalizeValueForDatabase,
+	toColumnEnumValues,
 	toSqliteGlobFromPercent,
 } from '../utils/sql-utils';
 
@@ -190,6 +195,23 @@ describe('sql-utils', () => {
 			]);
 		});
 
+		it('should parse values of json columns stored as text', () => {
+			const columns = [createColumn('data', 'json')];
+			const rows = [
+				{ id: 1, data: '{"city":"Berlin","tags":["a"]}' },
+				{ id: 2, data: { city: 'Paris' } },
+				{ id: 3, data: null },
+			];
+
+			const result = normalizeRows(rows, columns);
+
+			expect(result.map((row) => row.data)).toEqual([
+				{ city: 'Berlin', tags: ['a'] },
+				{ city: 'Paris' },
+				null,
+			]);
+		});
+
 		it('should handle empty rows array', () => {
 			const columns = [createColumn('active', 'boolean')];
 
@@ -237,6 +259,110 @@ describe('sql-utils', () => {
 		});
 	});
 
+	describe('addColumnQuery with json, text and enum columns', () => {
+		it.each([
+			['json', 'sqlite', 'TEXT'],
+			['json', 'postgres', 'JSONB'],
+			['json', 'mysql', 'JSON'],
+			['text', 'postgres', 'TEXT'],
+			['enum', 'postgres', 'TEXT'],
+		] as const)('should use the SQL type of %s columns for %s', (type, dbType, sqlType) => {
+			const query = addColumnQuery('data_table_user_abc', { name: 'data', type }, dbType);
+
+			expect(query).toMatch(new RegExp(`ADD .data. ${sqlType}$`));
+		});
+	});
+
+	describe('toColumnEnumValues', () => {
+		it('should return the allowed values of enum columns', () => {
+			expect(
+				toColumnEnumValues({ name: 'status', type: 'enum', enumValues: ['open', 'closed'] }),
+			).toEqual(['open', 'closed']);
+		});
+
+		it('should return null for other columns', () => {
+			expect(toColumnEnumValues({ name: 'status', type: 'string' })).toBeNull();
+		});
+
+		it('should throw for enum columns without allowed values', () => {
+			expect(() => toColumnEnumValues({ name: 'status', type: 'enum' })).toThrow(
+				"column 'status' of type 'enum' requires allowed values",
+			);
+		});
+
+		it('should throw for allowed values of other columns', () => {
+			expect(() =>
+				toColumnEnumValues({ name: 'status', type: 'string', enumValues: ['open'] }),
+			).toThrow("allowed values can only be set for columns of type 'enum', not 'string'");
+		});
+	});
+
+	describe('createIndexQuery', () => {
+		const columns = [
+			{ name: 'email', type: 'string' as const },
+			{ name: 'age', type: 'number' as const },
+		];
+
+		it('should generate a query for creating unique indexes', () => {
+			const query = createIndexQuery('data_table_user_abc', 'idx_abc', columns, true, 'postgres');
+
+			expect(query).toBe('CREATE UNIQUE INDEX "idx_abc" ON "data_table_user_abc" ("email", "age")');
+		});
+
+		it('should generate a query for creating indexes', () => {
+			const query = createIndexQuery('data_table_user_abc', 'idx_abc', columns, false, 'sqlite');
+
+			expect(query).toBe('CREATE INDEX "idx_abc" ON "data_table_user_abc" ("email", "age")');
+		});
+
+		it('should index a prefix of text columns on mysql', () => {
+			const query = createIndexQuery('data_table_user_abc', 'idx_abc', columns, true, 'mysql');
+
+			expect(query).toBe(
+				'CREATE UNIQUE INDEX `idx_abc` ON `data_table_user_abc` (`email`(255), `age`)',
+			);
+		});
+	});
+
+	describe('dropIndexQuery', () => {
+		it('should generate a query for dropping indexes', () => {
+			expect(dropIndexQuery('data_table_user_abc', 'idx_abc', 'postgres')).toBe(
+				'DROP INDEX "idx_abc"',
+			);
+		});
+
+		it('should generate a query for dropping indexes on mysql', () => {
+			expect(dropIndexQuery('data_table_user_abc', 'idx_abc', 'mysql')).toBe(
+				'DROP INDEX `idx_abc` ON `data_table_user_abc`',
+			);
+		});
+	});
+
+	describe('isUniqueConstraintViolation', () => {
+		const createError = (message: string, code: string) =>
+			new QueryFailedError('INSERT', [], Object.assign(new Error(message), { code }));
+
+		it.each([
+			['duplicate key value violates unique constraint', '23505'],
+			["Duplicate entry 'jane' for key 'idx'", 'ER_DUP_ENTRY'],
+			[
+				'SQLITE_CONSTRAINT: UNIQUE constraint failed: data_table_user_abc.email',
+				'SQLITE_CONSTRAINT',
+			],
+		])('should detect "%s"', (message, code) => {
+			expect(isUniqueConstraintViolation(createError(message, code))).toBe(true);
+		});
+
+		it('should not detect other errors', () => {
+			expect(
+				isUniqueConstraintViolation(
+					createError('SQLITE_CONSTRAINT: NOT NULL constraint failed', 'SQLITE_CONSTRAINT'),
+				),
+			).toBe(false);
+			expect(isUniqueConstraintViolation(new Error('duplicate'))).toBe(false);
+		});
+	});
+
 	describe('deleteColumnQuery', () => {
 		it('should generate a valid SQL query for deleting columns from a table', () => {
 			const tableName = 'data_table_user_abc';
@@ -255,6 +381,11 @@ describe('sql-utils', () => {
 			expect(normalizeValueForDatabase(true, 'boolean')).toBe(true);
 		});
 
+		it('should serialize values of json columns', () => {
+			expect(normalizeValueForDatabase({ city: 'Berlin' }, 'json')).toBe('{"city":"Berlin"}');
+			expect(normalizeValueForDatabase([1, 2], 'json')).toBe('[1,2]');
+		});
+
 		it('should return null for null', () => {
 			expect(normalizeValueForDatabase(null, 'string')).toBeNull();
 			expect(normalizeValueForDatabase(null, 'number')).toBeNull();
@@ -1,5 +1,6 @@
-import { WithTimestampsAndStringId } from '@n8n/db';
+import { JsonColumn, WithTimestampsAndStringId } from '@n8n/db';
 import { Column, Entity, Index, JoinColumn, ManyToOne } from '@n8n/typeorm';
+import type { DataTableColumnType } from 'n8n-workflow';
 
 import { type DataTable } from './data-table.entity';
 
@@ -13,7 +14,13 @@ export class DataTableColumn extends WithTimestampsAndStringId {
 	name: string;
 
 	@Column({ type: 'varchar' })
-	type: 'string' | 'number' | 'boolean' | 'date';
+	type: DataTableColumnType;
+
+	/**
+	 * Allowed values of `enum` columns, null for columns of other types
+	 */
+	@JsonColumn({ nullable: true })
+	enumValues: string[] | null;
 
 	@Column({ type: 'int' })
 	index: number;
@@ -10,16 +10,19 @@ import {
 
 import { DataTableColumn } from './data-table-column.entity';
 import { DataTableDDLService } from './data-table-ddl.service';
+import { DataTableIndexRepository } from './data-table-index.repository';
 import { DataTable } from './data-table.entity';
 import { DataTableColumnNameConflictError } from './errors/data-table-column-name-conflict.error';
 import { DataTableSystemColumnNameConflictError } from './errors/data-table-system-column-name-conflict.error';
 import { DataTableValidationError } from './errors/data-table-validation.error';
+import { toColumnEnumValues } from './utils/sql-utils';
 
 @Service()
 export class DataTableColumnRepository extends Repository<DataTableColumn> {
 	constructor(
 		dataSource: DataSource,
 		private ddlService: DataTableDDLService,
+		private dataTableIndexRepository: DataTableIndexRepository,
 	) {
 		super(DataTableColumn, dataSource.manager);
 	}
@@ -76,6 +79,7 @@ export class DataTableColumnRepository extends Repository<DataTableColumn> {
 		return await withTransaction(this.manager, trx, async (em) => {
 			this.validateNotSystemColumn(schema.name);
 			await this.validateUniqueColumnName(schema.name, dataTableId, em);
+			const enumValues = toColumnEnumValues(schema);
 
 			if (schema.index === undefined) {
 				const columns = await this.getColumns(dataTableId, em);
@@ -86,6 +90,7 @@ export class DataTableColumnRepository extends Repository<DataTableColumn> {
 
 			const column = em.create(DataTableColumn, {
 				...schema,
+				enumValues,
 				dataTableId,
 			});
 
@@ -101,6 +106,7 @@ export class DataTableColumnRepository extends Repository<DataTableColumn> {
 		await withTransaction(this.manager, trx, async (em) => {
 			await em.remove(DataTableColumn, column);
 
+			await this.dataTableIndexRepository.deleteIndexesOfColumn(dataTableId, column.name, em);
 			await this.ddlService.dropColumnFromTable(
 				dataTableId,
 				column.name,
@@ -157,6 +163,7 @@ export class DataTableColumnRepository extends Repository<DataTableColumn> {
 				em.connection.options.type,
 				em,
 			);
+			await this.dataTableIndexRepository.renameColumnInIndexes(dataTableId, oldName, newName, em);
 
 			return { ...column, name: newName };
 		});
@@ -6,15 +6,18 @@ import { UnexpectedError } from 'n8n-workflow';
 import { DataTableColumn } from './data-table-column.entity';
 import {
 	addColumnQuery,
+	createIndexQuery,
 	deleteColumnQuery,
+	dropIndexQuery,
 	renameColumnQuery,
 	toDslColumns,
+	toIndexName,
 	toTableName,
 } from './utils/sql-utils';
 
 /**
  * Manages database schema operations for data tables (DDL).
- * Handles table creation, deletion, and structural modifications (columns).
+ * Handles table creation, deletion, and structural modifications (columns and indexes).
  */
 @Service()
 export class DataTableDDLService {
@@ -83,4 +86,30 @@ export class DataTableDDLService {
 			);
 		});
 	}
+
+	async createIndex(
+		dataTableId: string,
+		indexId: string,
+		columns: Array<Pick<DataTableColumn, 'name' | 'type'>>,
+		isUnique: boolean,
+		dbType: DataSourceOptions['type'],
+		trx?: EntityManager,
+	) {
+		await withTransaction(this.dataSource.manager, trx, async (em) => {
+			await em.query(
+				createIndexQuery(toTableName(dataTableId), toIndexName(indexId), columns, isUnique, dbType),
+			);
+		});
+	}
+
+	async dropIndex(
+		dataTableId: string,
+		indexId: string,
+		dbType: DataSourceOptions['type'],
+		trx?: EntityManager,
+	) {
+		await withTransaction(this.dataSource.manager, trx, async (em) => {
+			await em.query(dropIndexQuery(toTableName(dataTableId), toIndexName(indexId), dbType));
+		});
+	}
 }
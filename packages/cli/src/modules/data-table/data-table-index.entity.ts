@@ -0,0 +1,26 @@
+import { JsonColumn, WithTimestampsAndStringId } from '@n8n/db';
+import { Column, Entity, JoinColumn, ManyToOne } from '@n8n/typeorm';
+
+import { type DataTable } from './data-table.entity';
+
+/**
+ * Index on columns of a data table, in addition to the primary key on the system `id` column.
+ */
+@Entity()
+export class DataTableIndex extends WithTimestampsAndStringId {
+	@Column()
+	dataTableId: string;
+
+	/**
+	 * Indexed columns, in the order in which they are indexed
+	 */
+	@JsonColumn()
+	columnNames: string[];
+
+	@Column({ type: 'boolean', default: false })
+	isUnique: boolean;
+
+	@ManyToOne('DataTable')
+	@JoinColumn({ name: 'dataTableId' })
+	dataTable: DataTable;
+}
@@ -0,0 +1,130 @@
+import type { CreateDataTableIndexDto } from '@n8n/api-types';
+import { withTransaction } from '@n8n/db';
+import { Service } from '@n8n/di';
+import { DataSource, EntityManager, Repository } from '@n8n/typeorm';
+
+import type { DataTableColumn } from './data-table-column.entity';
+import { DataTableDDLService } from './data-table-ddl.service';
+import { DataTableIndex } from './data-table-index.entity';
+import { DataTableIndexConflictError } from './errors/data-table-index-conflict.error';
+import { DataTableValidationError } from './errors/data-table-validation.error';
+import { isUniqueConstraintViolation } from './utils/sql-utils';
+
+@Service()
+export class DataTableIndexRepository extends Repository<DataTableIndex> {
+	constructor(
+		dataSource: DataSource,
+		private ddlService: DataTableDDLService,
+	) {
+		super(DataTableIndex, dataSource.manager);
+	}
+
+	async getIndexes(dataTableId: string, trx?: EntityManager) {
+		const em = trx ?? this.manager;
+		return await em.find(DataTableIndex, {
+			where: { dataTableId },
+			order: { createdAt: 'ASC' },
+		});
+	}
+
+	async createIndex(
+		dataTableId: string,
+		dto: CreateDataTableIndexDto,
+		columns: DataTableColumn[],
+		trx?: EntityManager,
+	) {
+		return await withTransaction(this.manager, trx, async (em) => {
+			const indexedColumns = dto.columnNames.map((name) => {
+				const column = columns.find((c) => c.name === name);
+				if (!column) {
+					throw new DataTableValidationError(`unknown column name '${name}'`);
+				}
+				if (column.type === 'json') {
+					throw new DataTableValidationError(`column '${name}' of type 'json' cannot be indexed`);
+				}
+				return column;
+			});
+
+			const existingIndexes = await this.getIndexes(dataTableId, em);
+			const key = dto.columnNames.join(',');
+			if (existingIndexes.some((index) => index.columnNames.join(',') === key)) {
+				throw new DataTableIndexConflictError(dto.columnNames);
+			}
+
+			const index = em.create(DataTableIndex, {
+				dataTableId,
+				columnNames: dto.columnNames,
+				isUnique: dto.isUnique,
+			});
+
+			await em.insert(DataTableIndex, index);
+
+			try {
+				await this.ddlService.createIndex(
+					dataTableId,
+					index.id,
+					indexedColumns,
+					index.isUnique,
+					em.connection.options.type,
+					em,
+				);
+			} catch (error) {
+				if (isUniqueConstraintViolation(error)) {
+					throw new DataTableValidationError(
+						`rows with the same values in the columns '${dto.columnNames.join(', ')}' already exist`,
+					);
+				}
+				throw error;
+			}
+
+			return index;
+		});
+	}
+
+	async deleteIndex(dataTableId: string, index: DataTableIndex, trx?: EntityManager) {
+		await withTransaction(this.manager, trx, async (em) => {
+			await em.remove(DataTableIndex, index);
+
+			await this.ddlService.dropIndex(dataTableId, index.id, em.connection.options.type, em);
+		});
+	}
+
+	/**
+	 * Deletes the indexes on a column before the column is deleted, as not all databases
+	 * can drop columns that are part of indexes.
+	 */
+	async deleteIndexesOfColumn(dataTableId: string, columnName: string, trx?: EntityManager) {
+		await withTransaction(this.manager, trx, async (em) => {
+			const indexes = await this.getIndexes(dataTableId, em);
+
+			for (const index of indexes) {
+				if (index.columnNames.includes(columnName)) {
+					await this.deleteIndex(dataTableId, index, em);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Database indexes follow renamed columns, so only the index metadata needs updating.
+	 */
+	async renameColumnInIndexes(
+		dataTableId: string,
+		oldColumnName: string,
+		newColumnName: string,
+		trx?: EntityManager,
+	) {
+		await withTransaction(this.manager, trx, async (em) => {
+			const indexes = await this.getIndexes(dataTableId, em);
+
+			for (const index of indexes) {
+				if (index.columnNames.includes(oldColumnName)) {
+					const columnNames = index.columnNames.map((name) =>
+						name === oldColumnName ? newColumnName : name,
+					);
+					await em.update(DataTableIndex, { id: index.id }, { columnNames });
+				}
+			}
+		});
+	}
+}
@@ -63,6 +63,97 @@ function getConditionAndParams(
 		? `${quoteIdentifier(tableReference, dbType)}.${quoteIdentifier(filter.columnName, dbType)}`
 		: quoteIdentifier(filter.columnName, dbType);
 
+	if (filter.path) {
+		return getJsonPathConditionAndParams(filter, filter.path, paramName, dbType, columnRef);
+	}
+
+	return getValueConditionAndParams(filter, paramName, dbType, columnRef);
+}
+
+/**
+ * Converts filter conditions on a value in a JSON column to SQL WHERE clauses with parameters.
+ *
+ * Postgres compares JSON values, so that e.g. numbers are compared as numbers rather than as text.
+ * Other databases extract the value at the path and compare it like the value of a regular column.
+ */
+function getJsonPathConditionAndParams(
+	filter: DataTableFilter['filters'][number],
+	path: string,
+	paramName: string,
+	dbType: DataSourceOptions['type'],
+	columnRef: string,
+): [string, Record<string, unknown>] {
+	const pathParamName = `${paramName}_path`;
+	const segments = path.split('.');
+
+	if (dbType === 'postgres') {
+		const pathParams = { [pathParamName]: segments };
+		const jsonRef = `${columnRef} #> CAST(:${pathParamName} AS text[])`;
+		// JSON nulls and missing values are both NULL as text
+		const textRef = `${columnRef} #>> CAST(:${pathParamName} AS text[])`;
+
+		if (filter.value === null) {
+			switch (filter.condition) {
+				case 'eq':
+					return [`${textRef} IS NULL`, pathParams];
+				case 'neq':
+					return [`${textRef} IS NOT NULL`, pathParams];
+			}
+		}
+
+		if (filter.condition === 'like' || filter.condition === 'ilike') {
+			const operator = filter.condition === 'like' ? 'LIKE' : 'ILIKE';
+			return [
+				`${textRef} ${operator} :${paramName} ESCAPE '\\'`,
+				{ ...pathParams, [paramName]: escapeLikeSpecials(filter.value as string) },
+			];
+		}
+
+		const jsonValue = JSON.stringify(filter.value);
+
+		if (filter.condition === 'neq') {
+			return [
+				`(${jsonRef} != CAST(:${paramName} AS jsonb) OR ${jsonRef} IS NULL)`,
+				{ ...pathParams, [paramName]: jsonValue },
+			];
+		}
+
+		return [
+			`${jsonRef} ${COMPARISON_OPERATORS[filter.condition]} CAST(:${paramName} AS jsonb)`,
+			{ ...pathParams, [paramName]: jsonValue },
+		];
+	}
+
+	const valueRef = ['mysql', 'mariadb'].includes(dbType)
+		? `JSON_UNQUOTE(JSON_EXTRACT(${columnRef}, :${pathParamName}))`
+		: `json_extract(${columnRef}, :${pathParamName})`;
+	const [condition, params] = getValueConditionAndParams(filter, paramName, dbType, valueRef);
+
+	return [condition, { ...params, [pathParamName]: toJsonPath(segments) }];
+}
+
+/**
+ * Path in the syntax of SQLite and MySQL, e.g. `$."items"[0]."sku"` for `items.0.sku`
+ */
+function toJsonPath(segments: string[]) {
+	return `$${segments.map((segment) => (/^\d+$/.test(segment) ? `[${segment}]` : `."${segment}"`)).join('')}`;
+}
+
+// Operators that map directly to SQL operators
+const COMPARISON_OPERATORS: Record<string, string> = {
+	eq: '=',
+	gt: '>',
+	gte: '>=',
+	lt: '<',
+	lte: '<=',
+};
+
+function getValueConditionAndParams(
+	filter: DataTableFilter['filters'][number],
+	paramName: string,
+	dbType: DataSourceOptions['type'],
+	columnRef: string,
+): [string, Record<string, unknown>] {
 	if (filter.value === null) {
 		switch (filter.condition) {
 			case 'eq':
@@ -75,17 +166,11 @@ function getConditionAndParams(
 	// For filters, we let TypeORM handle date conversion through parameterized queries.
 	const value = filter.value;
 
-	// Handle operators that map directly to SQL operators
-	const operators: Record<string, string> = {
-		eq: '=',
-		gt: '>',
-		gte: '>=',
-		lt: '<',
-		lte: '<=',
-	};
-
-	if (operators[filter.condition]) {
-		return [`${columnRef} ${operators[filter.condition]} :${paramName}`, { [paramName]: value }];
+	if (COMPARISON_OPERATORS[filter.condition]) {
+		return [
+			`${columnRef} ${COMPARISON_OPERATORS[filter.condition]} :${paramName}`,
+			{ [paramName]: value },
+		];
 	}
 
 	// Special handling for neq to include NULL values (only if value is not null!)
@@ -359,6 +444,68 @@ export class DataTableRowsRepository {
 		});
 	}
 
+	/**
+	 * Whether rows can be upserted by a unique index with `upsertRowByUniqueKey`.
+	 *
+	 * Not on MySQL, as `ON DUPLICATE KEY UPDATE` updates the row conflicting with any of the
+	 * unique indexes of the table, and unique indexes on text columns only compare a prefix of
+	 * the values, so the updated row may not match the filter of the upsert.
+	 */
+	supportsUpsertByUniqueKey() {
+		const dbType = this.dataSource.options.type;
+		return dbType !== 'mysql' && dbType !== 'mariadb';
+	}
+
+	/**
+	 * Inserts a row, or updates the row with the same values in the columns of a unique index,
+	 * in a single statement.
+	 *
+	 * @param keyColumnNames - The columns of the unique index, whose values are part of the row
+	 * @param filter - The filter on the values of the unique index, to return the row
+	 */
+	async upsertRowByUniqueKey<T extends boolean | undefined>(
+		dataTableId: string,
+		row: Record<string, DataTableColumnJsType | null>,
+		keyColumnNames: string[],
+		filter: DataTableFilter,
+		columns: DataTableColumn[],
+		returnData?: T,
+		trx?: EntityManager,
+	): Promise<T extends true ? DataTableRowReturn[] : true>;
+	async upsertRowByUniqueKey(
+		dataTableId: string,
+		row: Record<string, DataTableColumnJsType | null>,
+		keyColumnNames: string[],
+		filter: DataTableFilter,
+		columns: DataTableColumn[],
+		returnData: boolean = false,
+		trx?: EntityManager,
+	) {
+		return await withTransaction(this.dataSource.manager, trx, async (em) => {
+			const dbType = this.dataSource.options.type;
+			const values = this.prepareUpdateData(row, columns, dbType);
+			values.updatedAt = normalizeValueForDatabase(new Date(), 'date', dbType);
+
+			const updatedColumnNames = Object.keys(values).filter(
+				(name) => !keyColumnNames.includes(name),
+			);
+
+			await em
+				.createQueryBuilder()
+				.insert()
+				.into(toTableName(dataTableId))
+				.values(values)
+				.orUpdate(updatedColumnNames, keyColumnNames)
+				.execute();
+
+			if (!returnData) {
+				return true;
+			}
+
+			return await this.getAffectedRowsForUpdate(dataTableId, filter, columns, false, em);
+		});
+	}
+
 	async dryRunUpdateRows(
 		dataTableId: string,
 		data: Record<string, DataTableColumnJsType | null>,
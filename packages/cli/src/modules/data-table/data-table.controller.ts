@@ -2,6 +2,7 @@ import {
 	AddDataTableRowsDto,
 	AddDataTableColumnDto,
 	CreateDataTableDto,
+	CreateDataTableIndexDto,
 	DeleteDataTableRowsDto,
 	ListDataTableContentQueryDto,
 	ListDataTableQueryDto,
@@ -35,9 +36,11 @@ import { NotFoundError } from '@/errors/response-errors/not-found.error';
 
 import { DataTableService } from './data-table.service';
 import { DataTableColumnNameConflictError } from './errors/data-table-column-name-conflict.error';
+import { DataTableIndexConflictError } from './errors/data-table-index-conflict.error';
 import { DataTableNameConflictError } from './errors/data-table-name-conflict.error';
 import { DataTableNotFoundError } from './errors/data-table-not-found.error';
 import { DataTableSystemColumnNameConflictError } from './errors/data-table-system-column-name-conflict.error';
+import { DataTableUniqueConstraintError } from './errors/data-table-unique-constraint.error';
 import { DataTableValidationError } from './errors/data-table-validation.error';
 import { ProjectService } from '@/services/project.service.ee';
 
@@ -68,6 +71,25 @@ export class DataTableController {
 		throw e;
 	}
 
+	private handleDataTableIndexOperationError(e: unknown): never {
+		if (e instanceof DataTableNotFoundError) {
+			throw new NotFoundError(e.message);
+		}
+		if (e instanceof DataTableIndexConflictError) {
+			throw new ConflictError(e.message);
+		}
+		if (e instanceof DataTableValidationError) {
+			throw new BadRequestError(e.message);
+		}
+		if (e instanceof ResponseError) {
+			throw e;
+		}
+		if (e instanceof Error) {
+			throw new InternalServerError(e.message, e);
+		}
+		throw e;
+	}
+
 	@Middleware()
 	async validateProjectExists(
 		req: AuthenticatedRequest<{ projectId: string }>,
@@ -253,6 +275,50 @@ export class DataTableController {
 		}
 	}
 
+	@Get('/:dataTableId/indexes')
+	@ProjectScope('dataTable:read')
+	async getIndexes(
+		req: AuthenticatedRequest<{ projectId: string }>,
+		_res: Response,
+		@Param('dataTableId') dataTableId: string,
+	) {
+		try {
+			return await this.dataTableService.getIndexes(dataTableId, req.params.projectId);
+		} catch (e: unknown) {
+			this.handleDataTableIndexOperationError(e);
+		}
+	}
+
+	@Post('/:dataTableId/indexes')
+	@ProjectScope('dataTable:update')
+	async createIndex(
+		req: AuthenticatedRequest<{ projectId: string }>,
+		_res: Response,
+		@Param('dataTableId') dataTableId: string,
+		@Body dto: CreateDataTableIndexDto,
+	) {
+		try {
+			return await this.dataTableService.createIndex(dataTableId, req.params.projectId, dto);
+		} catch (e: unknown) {
+			this.handleDataTableIndexOperationError(e);
+		}
+	}
+
+	@Delete('/:dataTableId/indexes/:indexId')
+	@ProjectScope('dataTable:update')
+	async deleteIndex(
+		req: AuthenticatedRequest<{ projectId: string }>,
+		_res: Response,
+		@Param('dataTableId') dataTableId: string,
+		@Param('indexId') indexId: string,
+	) {
+		try {
+			return await this.dataTableService.deleteIndex(dataTableId, req.params.projectId, indexId);
+		} catch (e: unknown) {
+			this.handleDataTableIndexOperationError(e);
+		}
+	}
+
 	@Get('/:dataTableId/rows')
 	@ProjectScope('dataTable:readRow')
 	async getDataTableRows(
@@ -337,6 +403,8 @@ export class DataTableController {
 				throw new NotFoundError(e.message);
 			} else if (e instanceof DataTableValidationError) {
 				throw new BadRequestError(e.message);
+			} else if (e instanceof DataTableUniqueConstraintError) {
+				throw new ConflictError(e.message);
 			} else if (e instanceof Error) {
 				throw new InternalServerError(e.message, e);
 			} else {
@@ -389,6 +457,8 @@ export class DataTableController {
 				throw new NotFoundError(e.message);
 			} else if (e instanceof DataTableValidationError) {
 				throw new BadRequestError(e.message);
+			} else if (e instanceof DataTableUniqueConstraintError) {
+				throw new ConflictError(e.message);
 			} else if (e instanceof Error) {
 				throw new InternalServerError(e.message, e);
 			} else {
@@ -441,6 +511,8 @@ export class DataTableController {
 				throw new NotFoundError(e.message);
 			} else if (e instanceof DataTableValidationError) {
 				throw new BadRequestError(e.message);
+			} else if (e instanceof DataTableUniqueConstraintError) {
+				throw new ConflictError(e.message);
 			} else if (e instanceof Error) {
 				throw new InternalServerError(e.message, e);
 			} else {
@@ -34,8 +34,9 @@ export class DataTableModule implements ModuleInterface {
 	async entities() {
 		const { DataTable } = await import('./data-table.entity');
 		const { DataTableColumn } = await import('./data-table-column.entity');
+		const { DataTableIndex } = await import('./data-table-index.entity');
 
-		return [DataTable, DataTableColumn];
+		return [DataTable, DataTableColumn, DataTableIndex];
 	}
 
 	async context() {
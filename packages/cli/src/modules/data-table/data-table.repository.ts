@@ -17,7 +17,7 @@ import { DataTable } from './data-table.entity';
 import { DataTableUserTableName } from './data-table.types';
 import { DataTableNameConflictError } from './errors/data-table-name-conflict.error';
 import { DataTableValidationError } from './errors/data-table-validation.error';
-import { isValidColumnName, toTableId, toTableName } from './utils/sql-utils';
+import { isValidColumnName, toColumnEnumValues, toTableId, toTableName } from './utils/sql-utils';
 
 @Service()
 export class DataTableRepository extends Repository<DataTable> {
@@ -67,6 +67,7 @@ export class DataTableRepository extends Repository<DataTable> {
 					dataTableId,
 					name: col.name,
 					type: col.type,
+					enumValues: toColumnEnumValues(col),
 					index: col.index ?? index,
 				}),
 			);
@@ -1,14 +1,16 @@
-import type {
-	AddDataTableColumnDto,
-	CreateDataTableDto,
-	DeleteDataTableRowsDto,
-	ListDataTableContentQueryDto,
-	MoveDataTableColumnDto,
-	RenameDataTableColumnDto,
-	DataTableListOptions,
-	UpsertDataTableRowDto,
-	UpdateDataTableDto,
-	UpdateDataTableRowDto,
+import {
+	DATA_TABLE_STRING_VALUE_MAX_LENGTH,
+	type AddDataTableColumnDto,
+	type CreateDataTableDto,
+	type CreateDataTableIndexDto,
+	type DeleteDataTableRowsDto,
+	type ListDataTableContentQueryDto,
+	type MoveDataTableColumnDto,
+	type RenameDataTableColumnDto,
+	type DataTableListOptions,
+	type UpsertDataTableRowDto,
+	type UpdateDataTableDto,
+	type UpdateDataTableRowDto,
 } from '@n8n/api-types';
 import { Logger } from '@n8n/backend-common';
 import { ProjectRelationRepository, type User } from '@n8n/db';
@@ -25,6 +27,7 @@ import type {
 	DataTablesSizeResult,
 	DataTableInfoById,
 	DataTableColumnType,
+	DataTableJsonValue,
 	DataTableRowReturnWithState,
 } from 'n8n-workflow';
 import { DATA_TABLE_SYSTEM_COLUMN_TYPE_MAP, validateFieldType } from 'n8n-workflow';
@@ -33,16 +36,20 @@ import { CsvParserService } from './csv-parser.service';
 import { DataTableColumn } from './data-table-column.entity';
 import { DataTableColumnRepository } from './data-table-column.repository';
 import { DataTableFileCleanupService } from './data-table-file-cleanup.service';
+import type { DataTableIndex } from './data-table-index.entity';
+import { DataTableIndexRepository } from './data-table-index.repository';
 import { DataTableRowsRepository } from './data-table-rows.repository';
 import { DataTableSizeValidator } from './data-table-size-validator.service';
 import { DataTableRepository } from './data-table.repository';
 import { columnTypeToFieldType } from './data-table.types';
 import { DataTableColumnNotFoundError } from './errors/data-table-column-not-found.error';
 import { FileUploadError } from './errors/data-table-file-upload.error';
+import { DataTableIndexNotFoundError } from './errors/data-table-index-not-found.error';
 import { DataTableNameConflictError } from './errors/data-table-name-conflict.error';
 import { DataTableNotFoundError } from './errors/data-table-not-found.error';
+import { DataTableUniqueConstraintError } from './errors/data-table-unique-constraint.error';
 import { DataTableValidationError } from './errors/data-table-validation.error';
-import { normalizeRows } from './utils/sql-utils';
+import { isUniqueConstraintViolation, normalizeRows } from './utils/sql-utils';
 
 import { RoleService } from '@/services/role.service';
 
@@ -58,6 +65,7 @@ export class DataTableService {
 		private readonly roleService: RoleService,
 		private readonly csvParserService: CsvParserService,
 		private readonly fileCleanupService: DataTableFileCleanupService,
+		private readonly dataTableIndexRepository: DataTableIndexRepository,
 	) {
 		this.logger = this.logger.scoped('data-table');
 	}
@@ -251,6 +259,43 @@ export class DataTableService {
 		return await this.dataTableColumnRepository.getColumns(dataTableId);
 	}
 
+	async getIndexes(dataTableId: string, projectId: string) {
+		await this.validateDataTableExists(dataTableId, projectId);
+
+		return await this.dataTableIndexRepository.getIndexes(dataTableId);
+	}
+
+	async createIndex(dataTableId: string, projectId: string, dto: CreateDataTableIndexDto) {
+		await this.validateDataTableExists(dataTableId, projectId);
+
+		const result = await this.dataTableIndexRepository.manager.transaction(async (trx) => {
+			const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
+			return await this.dataTableIndexRepository.createIndex(dataTableId, dto, columns, trx);
+		});
+
+		await this.dataTableRepository.touchUpdatedAt(dataTableId);
+
+		return result;
+	}
+
+	async deleteIndex(dataTableId: string, projectId: string, indexId: string) {
+		await this.validateDataTableExists(dataTableId, projectId);
+
+		const existingIndex = await this.dataTableIndexRepository.findOneBy({
+			id: indexId,
+			dataTableId,
+		});
+		if (existingIndex === null) {
+			throw new DataTableIndexNotFoundError(dataTableId, indexId);
+		}
+
+		await this.dataTableIndexRepository.deleteIndex(dataTableId, existingIndex);
+
+		await this.dataTableRepository.touchUpdatedAt(dataTableId);
+
+		return true;
+	}
+
 	async insertRows<T extends DataTableInsertRowsReturnType = 'count'>(
 		dataTableId: string,
 		projectId: string,
@@ -266,18 +311,20 @@ export class DataTableService {
 		await this.validateDataTableSize();
 		await this.validateDataTableExists(dataTableId, projectId);
 
-		const result = await this.dataTableColumnRepository.manager.transaction(async (trx) => {
-			const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
-			const transformedRows = this.validateAndTransformRows(rows, columns);
+		const result = await this.dataTableColumnRepository.manager
+			.transaction(async (trx) => {
+				const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
+				const transformedRows = this.validateAndTransformRows(rows, columns);
 
-			return await this.dataTableRowsRepository.insertRows(
-				dataTableId,
-				transformedRows,
-				columns,
-				returnType,
-				trx,
-			);
-		});
+				return await this.dataTableRowsRepository.insertRows(
+					dataTableId,
+					transformedRows,
+					columns,
+					returnType,
+					trx,
+				);
+			})
+			.catch((error: unknown) => this.handleUniqueConstraintViolation(error));
 
 		this.dataTableSizeValidator.reset();
 
@@ -317,43 +364,64 @@ export class DataTableService {
 		await this.validateDataTableSize();
 		await this.validateDataTableExists(dataTableId, projectId);
 
-		const result = await this.dataTableColumnRepository.manager.transaction(async (trx) => {
-			const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
-			const { data, filter } = this.validateAndTransformUpdateParams(dto, columns);
+		const result = await this.dataTableColumnRepository.manager
+			.transaction(async (trx) => {
+				const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
+				const { data, filter } = this.validateAndTransformUpdateParams(dto, columns);
+
+				if (dryRun) {
+					return await this.dataTableRowsRepository.dryRunUpsertRow(
+						dataTableId,
+						data,
+						filter,
+						columns,
+						trx,
+					);
+				}
 
-			if (dryRun) {
-				return await this.dataTableRowsRepository.dryRunUpsertRow(
+				const uniqueKey = this.dataTableRowsRepository.supportsUpsertByUniqueKey()
+					? this.findUniqueKey(
+							filter,
+							data,
+							await this.dataTableIndexRepository.getIndexes(dataTableId, trx),
+						)
+					: undefined;
+				if (uniqueKey) {
+					return await this.dataTableRowsRepository.upsertRowByUniqueKey(
+						dataTableId,
+						{ ...uniqueKey.values, ...data },
+						uniqueKey.columnNames,
+						filter,
+						columns,
+						returnData,
+						trx,
+					);
+				}
+
+				const updated = await this.dataTableRowsRepository.updateRows(
 					dataTableId,
 					data,
 					filter,
 					columns,
+					true,
 					trx,
 				);
-			}
-
-			const updated = await this.dataTableRowsRepository.updateRows(
-				dataTableId,
-				data,
-				filter,
-				columns,
-				true,
-				trx,
-			);
 
-			if (updated.length > 0) {
-				return returnData ? updated : true;
-			}
+				if (updated.length > 0) {
+					return returnData ? updated : true;
+				}
 
-			// No rows were updated, so insert a new one
-			const inserted = await this.dataTableRowsRepository.insertRows(
-				dataTableId,
-				[data],
-				columns,
-				returnData ? 'all' : 'id',
-				trx,
-			);
-			return returnData ? inserted : true;
-		});
+				// No rows were updated, so insert a new one
+				const inserted = await this.dataTableRowsRepository.insertRows(
+					dataTableId,
+					[data],
+					columns,
+					returnData ? 'all' : 'id',
+					trx,
+				);
+				return returnData ? inserted : true;
+			})
+			.catch((error: unknown) => this.handleUniqueConstraintViolation(error));
 
 		if (!dryRun) {
 			this.dataTableSizeValidator.reset();
@@ -364,6 +432,47 @@ export class DataTableService {
 		return result;
 	}
 
+	/**
+	 * Upserts use a unique index natively if their filter matches exactly the columns of
+	 * the index, and the row keeps its values in these columns.
+	 *
+	 * @returns The columns of the unique index and the values of the row in them
+	 */
+	private findUniqueKey(filter: DataTableFilter, data: DataTableRow, indexes: DataTableIndex[]) {
+		if (filter.type === 'or' && filter.filters.length > 1) return undefined;
+
+		const values: DataTableRow = {};
+		for (const { columnName, condition, value, path } of filter.filters) {
+			if (condition !== 'eq' || value === null || path !== undefined || columnName in values) {
+				return undefined;
+			}
+			values[columnName] = value;
+		}
+
+		const index = indexes.find(
+			({ isUnique, columnNames }) =>
+				isUnique &&
+				columnNames.length === filter.filters.length &&
+				columnNames.every((name) => name in values),
+		);
+
+		if (!index || index.columnNames.some((name) => name in data && data[name] !== values[name])) {
+			return undefined;
+		}
+
+		return { columnNames: index.columnNames, values };
+	}
+
+	/**
+	 * Rows with the same values in the columns of a unique index are rejected by the database.
+	 */
+	private handleUniqueConstraintViolation(error: unknown): never {
+		if (isUniqueConstraintViolation(error)) {
+			throw new DataTableUniqueConstraintError();
+		}
+		throw error;
+	}
+
 	validateAndTransformUpdateParams(
 		{ filter, data }: Pick<UpdateDataTableRowDto, 'filter' | 'data'>,
 		columns: DataTableColumn[],
@@ -418,29 +527,31 @@ export class DataTableService {
 		await this.validateDataTableSize();
 		await this.validateDataTableExists(dataTableId, projectId);
 
-		const result = await this.dataTableColumnRepository.manager.transaction(async (trx) => {
-			const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
-			const { data, filter } = this.validateAndTransformUpdateParams(dto, columns);
+		const result = await this.dataTableColumnRepository.manager
+			.transaction(async (trx) => {
+				const columns = await this.dataTableColumnRepository.getColumns(dataTableId, trx);
+				const { data, filter } = this.validateAndTransformUpdateParams(dto, columns);
+
+				if (dryRun) {
+					return await this.dataTableRowsRepository.dryRunUpdateRows(
+						dataTableId,
+						data,
+						filter,
+						columns,
+						trx,
+					);
+				}
 
-			if (dryRun) {
-				return await this.dataTableRowsRepository.dryRunUpdateRows(
+				return await this.dataTableRowsRepository.updateRows(
 					dataTableId,
 					data,
 					filter,
 					columns,
+					returnData,
 					trx,
 				);
-			}
-
-			return await this.dataTableRowsRepository.updateRows(
-				dataTableId,
-				data,
-				filter,
-				columns,
-				returnData,
-				trx,
-			);
-		});
+			})
+			.catch((error: unknown) => this.handleUniqueConstraintViolation(error));
 
 		if (!dryRun) {
 			this.dataTableSizeValidator.reset();
@@ -513,7 +624,7 @@ export class DataTableService {
 
 	private validateAndTransformRows(
 		rows: DataTableRows,
-		columns: Array<{ name: string; type: DataTableColumnType }>,
+		columns: Array<{ name: string; type: DataTableColumnType; enumValues?: string[] | null }>,
 		includeSystemColumns = false,
 		skipDateTransform = false,
 	): DataTableRows {
@@ -528,7 +639,7 @@ export class DataTableService {
 				]
 			: columns;
 		const columnNames = new Set(allColumns.map((x) => x.name));
-		const columnTypeMap = new Map(allColumns.map((x) => [x.name, x.type]));
+		const columnMap = new Map(allColumns.map((x) => [x.name, x]));
 
 		return rows.map((row) => {
 			const transformedRow: DataTableRow = {};
@@ -540,7 +651,7 @@ export class DataTableService {
 				transformedRow[key] = this.validateAndTransformCell(
 					row[key],
 					key,
-					columnTypeMap,
+					columnMap,
 					skipDateTransform,
 				);
 			}
@@ -551,13 +662,25 @@ export class DataTableService {
 	private validateAndTransformCell(
 		cell: DataTableColumnJsType,
 		key: string,
-		columnTypeMap: Map<string, string>,
+		columnMap: Map<string, { type: DataTableColumnType; enumValues?: string[] | null }>,
 		skipDateTransform = false,
 	): DataTableColumnJsType {
 		if (cell === null) return null;
 
-		const columnType = columnTypeMap.get(key);
-		if (!columnType) return cell;
+		const column = columnMap.get(key);
+		if (!column) return cell;
+
+		const columnType = column.type;
+
+		if (columnType === 'json') {
+			return this.validateAndTransformJsonCell(cell, key);
+		}
+
+		if (columnType === 'enum' && !column.enumValues?.includes(cell as string)) {
+			throw new DataTableValidationError(
+				`value '${String(cell)}' is not one of the allowed values of column '${key}': ${column.enumValues?.join(', ')}`,
+			);
+		}
 
 		const fieldType = columnTypeToFieldType[columnType];
 		if (!fieldType) return cell;
@@ -573,6 +696,16 @@ export class DataTableService {
 			);
 		}
 
+		if (
+			columnType === 'string' &&
+			typeof validationResult.newValue === 'string' &&
+			validationResult.newValue.length > DATA_TABLE_STRING_VALUE_MAX_LENGTH
+		) {
+			throw new DataTableValidationError(
+				`value of column '${key}' is longer than ${DATA_TABLE_STRING_VALUE_MAX_LENGTH} characters, use a 'text' column for longer values`,
+			);
+		}
+
 		if (columnType === 'date') {
 			if (skipDateTransform && cell instanceof Date) {
 				return cell;
@@ -591,6 +724,30 @@ export class DataTableService {
 		return validationResult.newValue as DataTableColumnJsType;
 	}
 
+	/**
+	 * JSON columns hold objects and arrays, which may also be passed as JSON strings,
+	 * e.g. from the UI or CSV imports.
+	 */
+	private validateAndTransformJsonCell(cell: DataTableColumnJsType, key: string) {
+		let value: unknown = cell;
+
+		if (typeof cell === 'string') {
+			try {
+				value = JSON.parse(cell);
+			} catch {
+				throw new DataTableValidationError(`value '${cell}' of column '${key}' is not valid JSON`);
+			}
+		}
+
+		if (typeof value !== 'object' || value === null || value instanceof Date) {
+			throw new DataTableValidationError(
+				`value '${String(cell)}' does not match column type 'json': expected an object or an array`,
+			);
+		}
+
+		return value as DataTableJsonValue;
+	}
+
 	private async validateDataTableExists(dataTableId: string, projectId: string) {
 		const existingTable = await this.dataTableRepository.findOneBy({
 			id: dataTableId,
@@ -634,20 +791,33 @@ export class DataTableService {
 		filterObject: DataTableFilter,
 		columns: DataTableColumn[],
 	): DataTableFilter {
-		// Skip date transformation for filters - TypeORM needs Date objects for parameterized queries
-		const transformedRows = this.validateAndTransformRows(
-			filterObject.filters.map((f) => {
-				return {
-					[f.columnName]: f.value,
-				};
-			}),
-			columns,
-			true,
-			true,
+		const columnTypes = new Map(columns.map((column) => [column.name, column.type]));
+		// Filters can match parts of allowed values, so they are not limited to them
+		const filterColumns = columns.map((column) =>
+			column.type === 'enum' ? { ...column, type: 'string' as const } : column,
 		);
 
-		const transformedFilters = filterObject.filters.map((filter, index) => {
-			const transformedValue = transformedRows[index][filter.columnName];
+		const transformedFilters = filterObject.filters.map((filter) => {
+			const columnType = columnTypes.get(filter.columnName);
+			if (filter.path !== undefined && columnType !== 'json') {
+				throw new DataTableValidationError(
+					`filter path can only be used on columns of type 'json', not on column '${filter.columnName}'`,
+				);
+			}
+
+			let transformedValue: DataTableColumnJsType | undefined;
+			if (columnType === 'json') {
+				transformedValue = this.validateJsonFilterValue(filter);
+			} else {
+				// Skip date transformation for filters - TypeORM needs Date objects for parameterized queries
+				const [transformedRow] = this.validateAndTransformRows(
+					[{ [filter.columnName]: filter.value }],
+					filterColumns,
+					true,
+					true,
+				);
+				transformedValue = transformedRow[filter.columnName];
+			}
 
 			if (['like', 'ilike'].includes(filter.condition)) {
 				if (transformedValue === null || transformedValue === undefined) {
@@ -682,6 +852,31 @@ export class DataTableService {
 		return { ...filterObject, filters: transformedFilters };
 	}
 
+	/**
+	 * Values in JSON columns are filtered by their path, e.g. `address.city`,
+	 * otherwise JSON columns can only be filtered on being null.
+	 */
+	private validateJsonFilterValue(filter: DataTableFilter['filters'][number]) {
+		const { value } = filter;
+
+		if (filter.path === undefined) {
+			if (value !== null || !['eq', 'neq'].includes(filter.condition)) {
+				throw new DataTableValidationError(
+					`column '${filter.columnName}' of type 'json' can only be filtered on a path, or on being null`,
+				);
+			}
+			return value;
+		}
+
+		if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+			throw new DataTableValidationError(
+				`value '${String(value)}' of filter on path '${filter.path}' must be a string, number, boolean or null`,
+			);
+		}
+
+		return value;
+	}
+
 	private async validateDataTableSize() {
 		await this.dataTableSizeValidator.validateSize(
 			async () => await this.dataTableRepository.findDataTablesSize(),
@@ -778,6 +973,10 @@ export class DataTableService {
 			}
 		}
 
+		if (columnType === 'json') {
+			return typeof value === 'string' ? value : JSON.stringify(value);
+		}
+
 		if (columnType === 'boolean') {
 			return String(value);
 		}
@@ -0,0 +1,9 @@
+import { UserError } from 'n8n-workflow';
+
+export class DataTableIndexConflictError extends UserError {
+	constructor(columnNames: string[]) {
+		super(`Data table index on the columns '${columnNames.join(', ')}' already exists`, {
+			level: 'warning',
+		});
+	}
+}
@@ -0,0 +1,7 @@
+import { NotFoundError } from '@/errors/response-errors/not-found.error';
+
+export class DataTableIndexNotFoundError extends NotFoundError {
+	constructor(dataTableId: string, indexId: string) {
+		super(`Could not find the index '${indexId}' in the data table: ${dataTableId}`);
+	}
+}
@@ -0,0 +1,9 @@
+import { UserError } from 'n8n-workflow';
+
+export class DataTableUniqueConstraintError extends UserError {
+	constructor() {
+		super('Data table row with the same values in unique columns already exists', {
+			level: 'warning',
+		});
+	}
+}
@@ -6,18 +6,20 @@ import {
 import { GlobalConfig } from '@n8n/config';
 import { DslColumn } from '@n8n/db';
 import { Container } from '@n8n/di';
-import type { DataSourceOptions } from '@n8n/typeorm';
+import { QueryFailedError, type DataSourceOptions } from '@n8n/typeorm';
 import type {
 	DataTableColumnJsType,
 	DataTableColumnType,
+	DataTableJsonValue,
 	DataTableRawRowsReturn,
 	DataTableRowReturn,
 	DataTableRowsReturn,
 } from 'n8n-workflow';
-import { DATA_TABLE_SYSTEM_COLUMN_TYPE_MAP, UnexpectedError } from 'n8n-workflow';
+import { DATA_TABLE_SYSTEM_COLUMN_TYPE_MAP, UnexpectedError, jsonParse } from 'n8n-workflow';
 
 import type { DataTableColumn } from '../data-table-column.entity';
 import type { DataTableUserTableName } from '../data-table.types';
+import { DataTableValidationError } from '../errors/data-table-validation.error';
 
 import { NotFoundError } from '@/errors/response-errors/not-found.error';
 
@@ -31,9 +33,13 @@ export function toDslColumns(columns: DataTableCreateColumnSchema[]): DslColumn[
 			case 'boolean':
 				return name.bool;
 			case 'string':
+			case 'text':
+			case 'enum':
 				return name.text;
 			case 'date':
 				return name.timestampTimezone();
+			case 'json':
+				return name.jsonb;
 			default:
 				return name.text;
 		}
@@ -46,7 +52,20 @@ function dataTableColumnTypeToSql(
 ) {
 	switch (type) {
 		case 'string':
+		case 'text':
+		case 'enum':
 			return 'TEXT';
+		case 'json':
+			switch (dbType) {
+				case 'postgres':
+					// unlike `JSON`, `JSONB` supports comparing and ordering values
+					return 'JSONB';
+				case 'mysql':
+				case 'mariadb':
+					return 'JSON';
+				default:
+					return 'TEXT';
+			}
 		case 'number':
 			switch (dbType) {
 				case 'postgres':
@@ -82,6 +101,30 @@ export function isValidColumnName(name: string) {
 	return dataTableColumnNameSchema.safeParse(name).success;
 }
 
+/**
+ * Enum columns require their allowed values, other columns must not have any.
+ *
+ * @returns The allowed values to store for the column
+ */
+export function toColumnEnumValues(column: DataTableCreateColumnSchema): string[] | null {
+	if (column.type !== 'enum') {
+		if (column.enumValues !== undefined) {
+			throw new DataTableValidationError(
+				`allowed values can only be set for columns of type 'enum', not '${column.type}'`,
+			);
+		}
+		return null;
+	}
+
+	if (!column.enumValues?.length) {
+		throw new DataTableValidationError(
+			`column '${column.name}' of type 'enum' requires allowed values`,
+		);
+	}
+
+	return column.enumValues;
+}
+
 export function addColumnQuery(
 	tableName: DataTableUserTableName,
 	column: DataTableCreateColumnSchema,
@@ -106,6 +149,76 @@ export function deleteColumnQuery(
 	return `ALTER TABLE ${quotedTableName} DROP COLUMN ${quoteIdentifier(column, dbType)}`;
 }
 
+/**
+ * Name of the database index of a data table index, unique across all data tables
+ */
+export function toIndexName(indexId: string) {
+	const { tablePrefix } = Container.get(GlobalConfig).database;
+	return `${tablePrefix}idx_data_table_${indexId}`;
+}
+
+/**
+ * MySQL can only index a prefix of `TEXT` columns, so on MySQL unique indexes on text columns
+ * compare only the first characters of values.
+ */
+const MYSQL_TEXT_INDEX_PREFIX_LENGTH = 255;
+
+export function createIndexQuery(
+	tableName: DataTableUserTableName,
+	indexName: string,
+	columns: Array<Pick<DataTableColumn, 'name' | 'type'>>,
+	isUnique: boolean,
+	dbType: DataSourceOptions['type'],
+): string {
+	if (columns.some((column) => !isValidColumnName(column.name))) {
+		throw new UnexpectedError(DATA_TABLE_COLUMN_ERROR_MESSAGE);
+	}
+
+	const isMySql = dbType === 'mysql' || dbType === 'mariadb';
+	const indexedColumns = columns.map((column) => {
+		const quotedName = quoteIdentifier(column.name, dbType);
+		return isMySql && dataTableColumnTypeToSql(column.type, dbType) === 'TEXT'
+			? `${quotedName}(${MYSQL_TEXT_INDEX_PREFIX_LENGTH})`
+			: quotedName;
+	});
+
+	return `CREATE ${isUnique ? 'UNIQUE ' : ''}INDEX ${quoteIdentifier(indexName, dbType)} ON ${quoteIdentifier(tableName, dbType)} (${indexedColumns.join(', ')})`;
+}
+
+export function dropIndexQuery(
+	tableName: DataTableUserTableName,
+	indexName: string,
+	dbType: DataSourceOptions['type'],
+): string {
+	const quotedIndexName = quoteIdentifier(indexName, dbType);
+
+	// Index names are scoped to their table on MySQL
+	if (dbType === 'mysql' || dbType === 'mariadb') {
+		return `DROP INDEX ${quotedIndexName} ON ${quoteIdentifier(tableName, dbType)}`;
+	}
+
+	return `DROP INDEX ${quotedIndexName}`;
+}
+
+/**
+ * Whether the query failed because rows would have the same values in the columns of a unique index
+ */
+export function isUniqueConstraintViolation(error: unknown) {
+	if (!(error instanceof QueryFailedError)) return false;
+
+	const { code } = error.driverError as { code?: string };
+
+	switch (code) {
+		case '23505': // Postgres
+		case 'ER_DUP_ENTRY': // MySQL and MariaDB
+			return true;
+		case 'SQLITE_CONSTRAINT': // SQLite uses the same code for all constraints
+			return error.message.includes('UNIQUE constraint failed');
+		default:
+			return false;
+	}
+}
+
 export function renameColumnQuery(
 	tableName: DataTableUserTableName,
 	oldColumnName: string,
@@ -261,6 +374,11 @@ export function normalizeRows(
 			if (type === 'date' && value !== null && value !== undefined) {
 				normalized[key] = normalizeDate(value) ?? value; // fallback to original value
 			}
+
+			if (type === 'json' && typeof value === 'string') {
+				// only postgres parses JSON values itself
+				normalized[key] = jsonParse<DataTableJsonValue>(value, { fallbackValue: value });
+			}
 		}
 		return normalized;
 	});
@@ -312,6 +430,11 @@ export function normalizeValueForDatabase(
 		return formatDateForDatabase(value, dbType);
 	}
 
+	if (columnType === 'json' && value !== null) {
+		// stringified on all databases, as the postgres driver would turn arrays into postgres arrays
+		return JSON.stringify(value);
+	}
+
 	return value;
 }
 
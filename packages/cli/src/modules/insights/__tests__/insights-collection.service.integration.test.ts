@@ -13,13 +13,19 @@ import { mock } from 'jest-mock-extended';
 import { DateTime } from 'luxon';
 import {
 	createDeferredPromise,
+	type ExecutionError,
 	type ExecutionStatus,
 	type IRun,
+	type ITaskData,
 	type WorkflowExecuteMode,
 } from 'n8n-workflow';
 
+import { INSIGHTS_NODE_NAME_MAX_LENGTH } from '@/modules/insights/database/entities/insights-node-metadata';
 import type { TypeUnit } from '@/modules/insights/database/entities/insights-shared';
 import { InsightsMetadataRepository } from '@/modules/insights/database/repositories/insights-metadata.repository';
+import { InsightsMetricTypeRepository } from '@/modules/insights/database/repositories/insights-metric-type.repository';
+import { InsightsNodeMetadataRepository } from '@/modules/insights/database/repositories/insights-node-metadata.repository';
+import { InsightsNodeRawRepository } from '@/modules/insights/database/repositories/insights-node-raw.repository';
 import { InsightsRawRepository } from '@/modules/insights/database/repositories/insights-raw.repository';
 
 import { InsightsCollectionService } from '../insights-collection.service';
@@ -34,7 +40,10 @@ beforeEach(async () => {
 	await testDb.truncate([
 		'InsightsRaw',
 		'InsightsByPeriod',
+		'InsightsNodeRaw',
+		'InsightsNodeMetadata',
 		'InsightsMetadata',
+		'InsightsMetricType',
 		'WorkflowEntity',
 		'Project',
 	]);
@@ -251,6 +260,234 @@ describe('workflowExecuteAfterHandler', () => {
 	});
 });
 
+describe('workflowExecuteAfterHandler - custom metrics', () => {
+	let insightsCollectionService: InsightsCollectionService;
+	let insightsRawRepository: InsightsRawRepository;
+	let insightsMetricTypeRepository: InsightsMetricTypeRepository;
+
+	beforeAll(async () => {
+		insightsCollectionService = Container.get(InsightsCollectionService);
+		insightsRawRepository = Container.get(InsightsRawRepository);
+		insightsMetricTypeRepository = Container.get(InsightsMetricTypeRepository);
+		insightsCollectionService.init();
+	});
+
+	test('stores custom metrics emitted by nodes, summed by metric name', async () => {
+		// ARRANGE
+		const project = await createTeamProject();
+		const workflow = await createWorkflow({}, project);
+		const ctx = mock<WorkflowExecuteAfterContext>({ workflow });
+		const startedAt = DateTime.utc();
+		ctx.runData = mock<IRun>({
+			mode: 'webhook',
+			status: 'success',
+			startedAt: startedAt.toJSDate(),
+			stoppedAt: startedAt.plus({ seconds: 1 }).toJSDate(),
+			data: {
+				resultData: {
+					runData: {
+						'Track Orders': [
+							{ metadata: { insightsMetrics: { orders_processed: 3 } } },
+							{ metadata: { insightsMetrics: { orders_processed: 2 } } },
+						],
+						'Track Tokens': [
+							{ metadata: { insightsMetrics: { tokens_spent: 120.4, 'not valid': 1 } } },
+						],
+					},
+				},
+			},
+		});
+
+		// ACT
+		await insightsCollectionService.handleWorkflowExecuteAfter(ctx);
+		await insightsCollectionService.flushEvents();
+
+		// ASSERT
+		const metricTypes = await insightsMetricTypeRepository.find({ order: { name: 'ASC' } });
+		expect(metricTypes.map((metricType) => metricType.name)).toEqual([
+			'orders_processed',
+			'tokens_spent',
+		]);
+
+		const customInsights = (await insightsRawRepository.find()).filter(
+			(insight) => insight.type === 'custom',
+		);
+		expect(customInsights).toHaveLength(2);
+		expect(customInsights).toContainEqual(
+			expect.objectContaining({ typeNumber: metricTypes[0].typeNumber, value: 5 }),
+		);
+		expect(customInsights).toContainEqual(
+			expect.objectContaining({ typeNumber: metricTypes[1].typeNumber, value: 120 }),
+		);
+	});
+});
+
+describe('workflowExecuteAfterHandler - node insights', () => {
+	let insightsCollectionService: InsightsCollectionService;
+	let insightsNodeRawRepository: InsightsNodeRawRepository;
+	let insightsNodeMetadataRepository: InsightsNodeMetadataRepository;
+	let insightsConfig: InsightsConfig;
+
+	const nodes = [
+		{
+			id: 'node-1',
+			name: 'Webhook',
+			type: 'n8n-nodes-base.webhook',
+			typeVersion: 1,
+			position: [0, 0] as [number, number],
+			parameters: {},
+		},
+		{
+			id: 'node-2',
+			name: 'HTTP Request',
+			type: 'n8n-nodes-base.httpRequest',
+			typeVersion: 1,
+			position: [100, 0] as [number, number],
+			parameters: {},
+		},
+	];
+
+	const createRunData = (runData: Record<string, Array<Partial<ITaskData>>>) => {
+		const startedAt = DateTime.utc();
+		return mock<IRun>({
+			mode: 'webhook',
+			status: 'error',
+			startedAt: startedAt.toJSDate(),
+			stoppedAt: startedAt.plus({ seconds: 1 }).toJSDate(),
+			data: { resultData: { runData } },
+		});
+	};
+
+	const createContext = async () => {
+		const project = await createTeamProject();
+		const workflow = await createWorkflow({ nodes }, project);
+		const ctx = mock<WorkflowExecuteAfterContext>({ workflow });
+		ctx.runData = createRunData({
+			Webhook: [{ executionTime: 5, data: { main: [[{ json: {} }, { json: {} }]] } }],
+			'HTTP Request': [
+				{ executionTime: 300, data: { main: [[{ json: {} }]] } },
+				{ executionTime: 700, error: mock<ExecutionError>({ message: 'Service unavailable' }) },
+			],
+		});
+		return ctx;
+	};
+
+	beforeAll(async () => {
+		insightsCollectionService = Container.get(InsightsCollectionService);
+		insightsNodeRawRepository = Container.get(InsightsNodeRawRepository);
+		insightsNodeMetadataRepository = Container.get(InsightsNodeMetadataRepository);
+		insightsConfig = Container.get(InsightsConfig);
+		insightsCollectionService.init();
+	});
+
+	afterEach(() => {
+		insightsConfig.nodeInsightsEnabled = false;
+	});
+
+	test('does not store node insights if they are disabled', async () => {
+		// ARRANGE
+		const ctx = await createContext();
+
+		// ACT
+		await insightsCollectionService.handleWorkflowExecuteAfter(ctx);
+		await insightsCollectionService.flushEvents();
+
+		// ASSERT
+		await expect(insightsNodeRawRepository.count()).resolves.toBe(0);
+		await expect(insightsNodeMetadataRepository.count()).resolves.toBe(0);
+	});
+
+	test('stores runtime, runs and output items per node', async () => {
+		// ARRANGE
+		insightsConfig.nodeInsightsEnabled = true;
+		const ctx = await createContext();
+
+		// ACT
+		await insightsCollectionService.handleWorkflowExecuteAfter(ctx);
+		await insightsCollectionService.flushEvents();
+
+		// ASSERT
+		const nodeMetadata = await insightsNodeMetadataRepository.find({ order: { nodeId: 'ASC' } });
+		expect(nodeMetadata).toEqual([
+			expect.objectContaining({
+				nodeId: 'node-1',
+				nodeName: 'Webhook',
+				nodeType: 'n8n-nodes-base.webhook',
+			}),
+			expect.objectContaining({
+				nodeId: 'node-2',
+				nodeName: 'HTTP Request',
+				nodeType: 'n8n-nodes-base.httpRequest',
+			}),
+		]);
+
+		const nodeInsights = await insightsNodeRawRepository.find();
+		const valuesOf = (metaId: number) =>
+			Object.fromEntries(
+				nodeInsights
+					.filter((insight) => insight.metaId === metaId)
+					.map((insight) => [insight.type, insight.value]),
+			);
+		expect(valuesOf(nodeMetadata[0].metaId)).toEqual({
+			runtime_ms: 5,
+			success: 1,
+			items_output: 2,
+		});
+		expect(valuesOf(nodeMetadata[1].metaId)).toEqual({
+			runtime_ms: 1000,
+			success: 1,
+			failure: 1,
+			items_output: 1,
+		});
+	});
+
+	test('updates node metadata if a node was renamed', async () => {
+		// ARRANGE
+		insightsConfig.nodeInsightsEnabled = true;
+		const ctx = await createContext();
+		await insightsCollectionService.handleWorkflowExecuteAfter(ctx);
+		await insightsCollectionService.flushEvents();
+
+		ctx.workflow.nodes = ctx.workflow.nodes.map((node) =>
+			node.id === 'node-2' ? { ...node, name: 'Fetch Orders' } : node,
+		);
+		ctx.runData = createRunData({
+			'Fetch Orders': [{ executionTime: 100, data: { main: [[]] } }],
+		});
+
+		// ACT
+		await insightsCollectionService.handleWorkflowExecuteAfter(ctx);
+		await insightsCollectionService.flushEvents();
+
+		// ASSERT
+		const nodeMetadata = await insightsNodeMetadataRepository.findBy({ nodeId: 'node-2' });
+		expect(nodeMetadata).toHaveLength(1);
+		expect(nodeMetadata[0].nodeName).toBe('Fetch Orders');
+	});
+
+	test('truncates node names longer than the node name column', async () => {
+		// ARRANGE
+		insightsConfig.nodeInsightsEnabled = true;
+		const ctx = await createContext();
+		const longName = 'Fetch Orders '.repeat(20);
+		ctx.workflow.nodes = ctx.workflow.nodes.map((node) =>
+			node.id === 'node-2' ? { ...node, name: longName } : node,
+		);
+		ctx.runData = createRunData({
+			[longName]: [{ executionTime: 100, data: { main: [[]] } }],
+		});
+
+		// ACT
+		await insightsCollectionService.handleWorkflowExecuteAfter(ctx);
+		await insightsCollectionService.flushEvents();
+
+		// ASSERT
+		const nodeMetadata = await insightsNodeMetadataRepository.findBy({ nodeId: 'node-2' });
+		expect(nodeMetadata).toHaveLength(1);
+		expect(nodeMetadata[0].nodeName).toBe(longName.slice(0, INSIGHTS_NODE_NAME_MAX_LENGTH));
+	});
+});
+
 describe('workflowExecuteAfterHandler - cacheMetadata', () => {
 	let insightsCollectionService: InsightsCollectionService;
 
@@ -279,6 +516,9 @@ describe('workflowExecuteAfterHandler - cacheMetadata', () => {
 			sharedWorkflowRepositoryMock,
 			insightsRawRepositoryMock,
 			metadataRepositoryMock,
+			mock(),
+			mock(),
+			mock(),
 			Container.get(InsightsConfig),
 			mockLogger(),
 		);
@@ -423,6 +663,9 @@ describe('workflowExecuteAfterHandler - flushEvents', () => {
 			sharedWorkflowRepositoryMock,
 			insightsRawRepositoryMock,
 			metadataRepositoryMock,
+			mock(),
+			mock(),
+			mock(),
 			Container.get(InsightsConfig),
 			mockLogger(),
 		);
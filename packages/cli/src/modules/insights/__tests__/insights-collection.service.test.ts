@@ -36,6 +36,9 @@ describe('initialization safeguards', () => {
 			sharedWorkflowRepository,
 			insightsRawRepository,
 			insightsMetadataRepository,
+			mock(),
+			mock(),
+			mock(),
 			mock<InsightsConfig>(),
 			mockLogger(),
 		);
@@ -132,6 +135,9 @@ describe('calculateTimeSaved', () => {
 			mock<SharedWorkflowRepository>(),
 			mock<InsightsRawRepository>(),
 			mock<InsightsMetadataRepository>(),
+			mock(),
+			mock(),
+			mock(),
 			mock<InsightsConfig>(),
 			mockLogger(),
 		);
@@ -16,8 +16,12 @@ import {
 	createRawInsightsEvent,
 	createCompactedInsightsEvent,
 	createRawInsightsEvents,
+	createCompactedNodeInsightsEvent,
+	createRawNodeInsightsEvent,
 } from '../database/entities/__tests__/db-utils';
 import { InsightsByPeriodRepository } from '../database/repositories/insights-by-period.repository';
+import { InsightsNodeByPeriodRepository } from '../database/repositories/insights-node-by-period.repository';
+import { InsightsNodeRawRepository } from '../database/repositories/insights-node-raw.repository';
 import { InsightsCompactionService } from '../insights-compaction.service';
 import { InsightsConfig } from '../insights.config';
 
@@ -30,6 +34,9 @@ beforeEach(async () => {
 	await testDb.truncate([
 		'InsightsRaw',
 		'InsightsByPeriod',
+		'InsightsNodeRaw',
+		'InsightsNodeByPeriod',
+		'InsightsNodeMetadata',
 		'InsightsMetadata',
 		'WorkflowEntity',
 		'Project',
@@ -309,6 +316,66 @@ describe('compaction', () => {
 		});
 	});
 
+	describe('compactNodeInsights', () => {
+		const node = { id: 'node-1', name: 'HTTP Request', type: 'n8n-nodes-base.httpRequest' };
+
+		test('compacts raw node data into hourly aggregates', async () => {
+			// ARRANGE
+			const insightsCompactionService = Container.get(InsightsCompactionService);
+			const insightsNodeRawRepository = Container.get(InsightsNodeRawRepository);
+			const insightsNodeByPeriodRepository = Container.get(InsightsNodeByPeriodRepository);
+
+			const project = await createTeamProject();
+			const workflow = await createWorkflow({}, project);
+			for (const [timestamp, value] of [
+				[DateTime.utc(2000, 1, 1, 0, 0), 100],
+				[DateTime.utc(2000, 1, 1, 0, 59), 200],
+				[DateTime.utc(2000, 1, 1, 1, 0), 400],
+			] as const) {
+				await createRawNodeInsightsEvent(workflow, node, { type: 'runtime_ms', value, timestamp });
+			}
+
+			// ACT
+			const compactedRows = await insightsCompactionService.compactNodeRawToHour();
+
+			// ASSERT
+			expect(compactedRows).toBe(3);
+			await expect(insightsNodeRawRepository.count()).resolves.toBe(0);
+			const allCompacted = await insightsNodeByPeriodRepository.find({
+				order: { periodStart: 1 },
+			});
+			expect(allCompacted.map((compacted) => compacted.value)).toEqual([300, 400]);
+			expect(allCompacted.every((compacted) => compacted.periodUnit === 'hour')).toBe(true);
+			expect(allCompacted.every((compacted) => compacted.type === 'runtime_ms')).toBe(true);
+		});
+
+		test('compacts hourly node data into daily aggregates', async () => {
+			// ARRANGE
+			const insightsCompactionService = Container.get(InsightsCompactionService);
+			const insightsNodeByPeriodRepository = Container.get(InsightsNodeByPeriodRepository);
+
+			const project = await createTeamProject();
+			const workflow = await createWorkflow({}, project);
+			const periodStart = DateTime.utc().minus({ days: 100 }).startOf('day');
+			for (const hours of [0, 5, 23]) {
+				await createCompactedNodeInsightsEvent(workflow, node, {
+					type: 'failure',
+					value: 1,
+					periodUnit: 'hour',
+					periodStart: periodStart.plus({ hours }),
+				});
+			}
+
+			// ACT
+			await insightsCompactionService.compactNodeInsights();
+
+			// ASSERT
+			const allCompacted = await insightsNodeByPeriodRepository.find();
+			expect(allCompacted).toHaveLength(1);
+			expect(allCompacted[0]).toMatchObject({ type: 'failure', value: 3, periodUnit: 'day' });
+		});
+	});
+
 	describe('compactionSchedule', () => {
 		test('compaction is running on schedule', async () => {
 			// ARRANGE
@@ -316,6 +383,8 @@ describe('compaction', () => {
 			const insightsCompactionService = new InsightsCompactionService(
 				mock<InsightsByPeriodRepository>(),
 				mock<InsightsRawRepository>(),
+				mock<InsightsNodeByPeriodRepository>(),
+				mock<InsightsNodeRawRepository>(),
 				mock<InsightsConfig>({
 					compactionIntervalMinutes: 60,
 				}),
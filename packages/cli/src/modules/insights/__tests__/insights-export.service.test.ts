@@ -0,0 +1,108 @@
+import { mock } from 'jest-mock-extended';
+import { PassThrough } from 'node:stream';
+
+import { InsightsMetricType } from '../database/entities/insights-metric-type';
+import { CUSTOM_TYPE_NUMBER_OFFSET, TypeToNumber } from '../database/entities/insights-shared';
+import type { InsightsByPeriodRepository } from '../database/repositories/insights-by-period.repository';
+import type { InsightsMetricTypeRepository } from '../database/repositories/insights-metric-type.repository';
+import { InsightsExportService } from '../insights-export.service';
+
+describe('InsightsExportService', () => {
+	const insightsByPeriodRepository = mock<InsightsByPeriodRepository>();
+	const insightsMetricTypeRepository = mock<InsightsMetricTypeRepository>();
+	const insightsExportService = new InsightsExportService(
+		insightsByPeriodRepository,
+		insightsMetricTypeRepository,
+	);
+
+	const filters = {
+		startDate: new Date('2025-01-01T00:00:00.000Z'),
+		endDate: new Date('2025-01-08T00:00:00.000Z'),
+	};
+
+	const row = {
+		id: 1,
+		periodStart: '2025-01-01T00:00:00.000Z',
+		periodUnit: 1,
+		type: TypeToNumber.success,
+		value: 3,
+		workflowId: 'wf-1',
+		workflowName: 'Orders, daily',
+		projectId: 'project-1',
+		projectName: 'My "team" project',
+	};
+
+	const exportToBuffer = async (format: 'csv' | 'parquet') => {
+		const output = new PassThrough();
+		const chunks: Buffer[] = [];
+		output.on('data', (chunk: Buffer) => chunks.push(chunk));
+
+		await insightsExportService.export(format, filters, output);
+		output.end();
+
+		return Buffer.concat(chunks);
+	};
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+
+		const metricType = new InsightsMetricType();
+		metricType.id = 1;
+		metricType.name = 'orders_processed';
+		insightsMetricTypeRepository.find.mockResolvedValue([metricType]);
+	});
+
+	describe('csv', () => {
+		it('should export the rows with escaped values and resolved metric names', async () => {
+			insightsByPeriodRepository.getInsightsForExport.mockResolvedValueOnce([
+				row,
+				{
+					...row,
+					id: 2,
+					periodUnit: 0,
+					type: CUSTOM_TYPE_NUMBER_OFFSET + 1,
+					value: 42,
+					workflowId: null,
+					projectId: null,
+				},
+			]);
+
+			const csv = (await exportToBuffer('csv')).toString('utf8');
+
+			expect(csv).toBe(
+				[
+					'periodStart,periodUnit,metric,value,workflowId,workflowName,projectId,projectName',
+					'2025-01-01T00:00:00.000Z,day,success,3,wf-1,"Orders, daily",project-1,"My ""team"" project"',
+					'2025-01-01T00:00:00.000Z,hour,orders_processed,42,,"Orders, daily",,"My ""team"" project"',
+					'',
+				].join('\n'),
+			);
+			expect(insightsByPeriodRepository.getInsightsForExport).toHaveBeenCalledWith(
+				expect.objectContaining({ ...filters, afterId: 0 }),
+			);
+		});
+
+		it('should only export the header if there are no rows', async () => {
+			insightsByPeriodRepository.getInsightsForExport.mockResolvedValueOnce([]);
+
+			const csv = (await exportToBuffer('csv')).toString('utf8');
+
+			expect(csv).toBe(
+				'periodStart,periodUnit,metric,value,workflowId,workflowName,projectId,projectName\n',
+			);
+		});
+	});
+
+	describe('parquet', () => {
+		it('should export the rows as a parquet file', async () => {
+			insightsByPeriodRepository.getInsightsForExport.mockResolvedValueOnce([row]);
+
+			const parquet = await exportToBuffer('parquet');
+
+			// parquet files start and end with the `PAR1` magic number
+			expect(parquet.subarray(0, 4).toString()).toBe('PAR1');
+			expect(parquet.subarray(-4).toString()).toBe('PAR1');
+			expect(parquet.includes('Orders, daily')).toBe(true);
+		});
+	});
+});
@@ -15,6 +15,7 @@ import {
 	createMetadata,
 } from '../database/entities/__tests__/db-utils';
 import { InsightsByPeriodRepository } from '../database/repositories/insights-by-period.repository';
+import { InsightsNodeByPeriodRepository } from '../database/repositories/insights-node-by-period.repository';
 import { InsightsPruningService } from '../insights-pruning.service';
 import { InsightsConfig } from '../insights.config';
 
@@ -53,6 +54,7 @@ describe('InsightsPruningService', () => {
 		});
 		insightsPruningService = new InsightsPruningService(
 			insightsByPeriodRepository,
+			Container.get(InsightsNodeByPeriodRepository),
 			insightsConfig,
 			licenseState,
 			mockLogger(),
@@ -140,6 +142,7 @@ describe('InsightsPruningService', () => {
 			});
 			const insightsPruningService = new InsightsPruningService(
 				insightsByPeriodRepository,
+				Container.get(InsightsNodeByPeriodRepository),
 				mock<InsightsConfig>({
 					maxAgeDays: config,
 				}),
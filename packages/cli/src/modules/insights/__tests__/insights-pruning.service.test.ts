@@ -4,12 +4,14 @@ import { Time } from '@n8n/constants';
 import { mock } from 'jest-mock-extended';
 
 import type { InsightsByPeriodRepository } from '../database/repositories/insights-by-period.repository';
+import type { InsightsNodeByPeriodRepository } from '../database/repositories/insights-node-by-period.repository';
 import { InsightsPruningService } from '../insights-pruning.service';
 import { InsightsConfig } from '../insights.config';
 
 describe('InsightsPruningService', () => {
 	let insightsConfig: InsightsConfig;
 	let insightsByPeriodRepository: InsightsByPeriodRepository;
+	let insightsNodeByPeriodRepository: InsightsNodeByPeriodRepository;
 	let insightsPruningService: InsightsPruningService;
 	let licenseState: LicenseState;
 
@@ -18,11 +20,17 @@ describe('InsightsPruningService', () => {
 		insightsConfig.maxAgeDays = 10;
 		insightsConfig.pruneCheckIntervalHours = 1;
 		insightsByPeriodRepository = mock<InsightsByPeriodRepository>();
+		insightsNodeByPeriodRepository = mock<InsightsNodeByPeriodRepository>({
+			pruneOldData: async () => {
+				return { affected: 0 };
+			},
+		});
 		licenseState = mock<LicenseState>({
 			getInsightsRetentionMaxAge: () => insightsConfig.maxAgeDays,
 		});
 		insightsPruningService = new InsightsPruningService(
 			insightsByPeriodRepository,
+			insightsNodeByPeriodRepository,
 			insightsConfig,
 			licenseState,
 			mockLogger(),
@@ -49,6 +57,7 @@ describe('InsightsPruningService', () => {
 			});
 			const insightsPruningService = new InsightsPruningService(
 				insightsByPeriodRepository,
+				insightsNodeByPeriodRepository,
 				insightsConfig,
 				licenseState,
 				mockLogger(),
@@ -73,6 +82,7 @@ describe('InsightsPruningService', () => {
 			});
 			const insightsPruningService = new InsightsPruningService(
 				insightsByPeriodRepository,
+				insightsNodeByPeriodRepository,
 				insightsConfig,
 				licenseState,
 				mockLogger(),
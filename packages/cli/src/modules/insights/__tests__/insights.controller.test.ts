@@ -2,6 +2,7 @@ import { LicenseState } from '@n8n/backend-common';
 import { mockInstance, testDb } from '@n8n/backend-test-utils';
 import type { AuthenticatedRequest } from '@n8n/db';
 import { Container } from '@n8n/di';
+import type express from 'express';
 import { mock } from 'jest-mock-extended';
 import { DateTime } from 'luxon';
 
@@ -10,6 +11,8 @@ import { ForbiddenError } from '@/errors/response-errors/forbidden.error';
 
 import { TypeToNumber } from '../database/entities/insights-shared';
 import { InsightsByPeriodRepository } from '../database/repositories/insights-by-period.repository';
+import { InsightsNodeByPeriodRepository } from '../database/repositories/insights-node-by-period.repository';
+import { InsightsExportService } from '../insights-export.service';
 import { InsightsController } from '../insights.controller';
 
 function expectDatesClose(actual: Date, expected: Date, maxDriftMs?: number) {
@@ -27,6 +30,8 @@ afterAll(async () => {
 
 describe('InsightsController', () => {
 	const insightsByPeriodRepository = mockInstance(InsightsByPeriodRepository);
+	const insightsNodeByPeriodRepository = mockInstance(InsightsNodeByPeriodRepository);
+	const insightsExportService = mockInstance(InsightsExportService);
 	let controller: InsightsController;
 	const sevenDaysAgo = DateTime.now().minus({ days: 7 }).toJSDate();
 	const today = DateTime.now().toJSDate();
@@ -611,6 +616,63 @@ describe('InsightsController', () => {
 		});
 	});
 
+	describe('getInsightsByNode', () => {
+		it('should return the insights of the nodes of the workflow', async () => {
+			// ARRANGE
+			const rows = [
+				{
+					nodeId: 'node-1',
+					nodeName: 'HTTP Request',
+					nodeType: 'n8n-nodes-base.httpRequest',
+					total: 10,
+					succeeded: 6,
+					failed: 4,
+					failureRate: 0.4,
+					runTime: 20000,
+					averageRunTime: 2000,
+					itemsOutput: 60,
+				},
+			];
+			insightsNodeByPeriodRepository.getInsightsByNode.mockResolvedValue({ count: 1, rows });
+
+			// ACT
+			const response = await controller.getInsightsByNode(
+				mock<AuthenticatedRequest>(),
+				mock<Response>(),
+				'workflow-1',
+				{
+					skip: 0,
+					take: 5,
+					sortBy: 'failureRate:desc',
+				},
+			);
+
+			// ASSERT
+			expect(insightsNodeByPeriodRepository.getInsightsByNode).toHaveBeenCalledWith({
+				workflowId: 'workflow-1',
+				startDate: expect.any(Date),
+				endDate: expect.any(Date),
+				skip: 0,
+				take: 5,
+				sortBy: 'failureRate:desc',
+			});
+			expect(response).toEqual({ count: 1, data: rows });
+		});
+
+		it('should throw a BadRequestError when endDate is before startDate', async () => {
+			// ACT & ASSERT
+			await expect(
+				controller.getInsightsByNode(mock<AuthenticatedRequest>(), mock<Response>(), 'workflow-1', {
+					skip: 0,
+					take: 5,
+					startDate: DateTime.now().minus({ days: 3 }).toJSDate(),
+					endDate: DateTime.now().minus({ days: 5 }).toJSDate(),
+				}),
+			).rejects.toThrowError(new BadRequestError('endDate must be the same as or after startDate'));
+			expect(insightsNodeByPeriodRepository.getInsightsByNode).not.toHaveBeenCalled();
+		});
+	});
+
 	describe('getInsightsByTime', () => {
 		const mockData = [
 			{
@@ -1012,4 +1074,56 @@ describe('InsightsController', () => {
 			});
 		});
 	});
+
+	describe('exportInsights', () => {
+		it('should stream the insights as a csv file', async () => {
+			// ARRANGE
+			const res = mock<express.Response>({ headersSent: false });
+
+			// ACT
+			await controller.exportInsights(mock<AuthenticatedRequest>(), res, {
+				format: 'csv',
+				projectId: 'project-1',
+			});
+
+			// ASSERT
+			expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+			expect(res.setHeader).toHaveBeenCalledWith(
+				'Content-Disposition',
+				'attachment; filename="insights.csv"',
+			);
+			expect(insightsExportService.export).toHaveBeenCalledWith(
+				'csv',
+				{ startDate: expect.any(Date), endDate: expect.any(Date), projectId: 'project-1' },
+				res,
+			);
+			expect(res.end).toHaveBeenCalled();
+		});
+
+		it('should abort the response if the export fails after it started streaming', async () => {
+			// ARRANGE
+			const res = mock<express.Response>({ headersSent: true });
+			const error = new Error('Connection lost');
+			insightsExportService.export.mockRejectedValue(error);
+
+			// ACT
+			await controller.exportInsights(mock<AuthenticatedRequest>(), res, { format: 'parquet' });
+
+			// ASSERT
+			expect(res.destroy).toHaveBeenCalledWith(error);
+			expect(res.end).not.toHaveBeenCalled();
+		});
+
+		it('should throw a BadRequestError when endDate is before startDate', async () => {
+			// ACT & ASSERT
+			await expect(
+				controller.exportInsights(mock<AuthenticatedRequest>(), mock<express.Response>(), {
+					format: 'csv',
+					startDate: DateTime.now().minus({ days: 3 }).toJSDate(),
+					endDate: DateTime.now().minus({ days: 5 }).toJSDate(),
+				}),
+			).rejects.toThrowError(new BadRequestError('endDate must be the same as or after startDate'));
+			expect(insightsExportService.export).not.toHaveBeenCalled();
+		});
+	});
 });
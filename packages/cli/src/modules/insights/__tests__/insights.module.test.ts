@@ -32,6 +32,8 @@ describe('InsightsModule', () => {
 		Container.set(
 			InsightsService,
 			new InsightsService(
+				mock(),
+				mock(),
 				mock(),
 				mock(),
 				mock(),
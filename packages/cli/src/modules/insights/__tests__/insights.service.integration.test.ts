@@ -18,6 +18,7 @@ import { UserError, type IRun } from 'n8n-workflow';
 
 import {
 	createCompactedInsightsEvent,
+	createCompactedNodeInsightsEvent,
 	createMetadata,
 	createRawInsightsEvents,
 } from '../database/entities/__tests__/db-utils';
@@ -41,6 +42,8 @@ describe('InsightsService (Integration)', () => {
 		await testDb.truncate([
 			'InsightsRaw',
 			'InsightsByPeriod',
+			'InsightsNodeByPeriod',
+			'InsightsNodeMetadata',
 			'InsightsMetadata',
 			'WorkflowEntity',
 			'Project',
@@ -69,6 +72,8 @@ describe('InsightsService (Integration)', () => {
 			});
 			insightsService = new InsightsService(
 				mock<InsightsByPeriodRepository>(),
+				mock(),
+				mock(),
 				compactionService,
 				pruningService,
 				mock<LicenseState>(),
@@ -651,6 +656,101 @@ describe('InsightsService (Integration)', () => {
 		});
 	});
 
+	describe('getInsightsByNode', () => {
+		let insightsService: InsightsService;
+
+		const webhookNode = { id: 'node-1', name: 'Webhook', type: 'n8n-nodes-base.webhook' };
+		const httpNode = { id: 'node-2', name: 'HTTP Request', type: 'n8n-nodes-base.httpRequest' };
+		const codeNode = { id: 'node-3', name: 'Code', type: 'n8n-nodes-base.code' };
+
+		let workflow: IWorkflowDb & WorkflowEntity;
+		let otherWorkflow: IWorkflowDb & WorkflowEntity;
+
+		beforeAll(() => {
+			insightsService = Container.get(InsightsService);
+		});
+
+		beforeEach(async () => {
+			const project = await createTeamProject();
+			workflow = await createWorkflow({}, project);
+			otherWorkflow = await createWorkflow({}, project);
+
+			const periodStart = DateTime.utc().minus({ days: 1 });
+			const nodeInsights = [
+				{ node: webhookNode, success: 10, failure: 0, runtime_ms: 50, items_output: 10 },
+				{ node: httpNode, success: 6, failure: 4, runtime_ms: 20000, items_output: 60 },
+				{ node: codeNode, success: 8, failure: 2, runtime_ms: 1000, items_output: 8 },
+			];
+			for (const { node, ...values } of nodeInsights) {
+				for (const [type, value] of Object.entries(values)) {
+					await createCompactedNodeInsightsEvent(workflow, node, {
+						type: type as keyof typeof values,
+						value,
+						periodUnit: 'day',
+						periodStart,
+					});
+				}
+			}
+
+			// Other workflows and insights out of the date range are not included
+			await createCompactedNodeInsightsEvent(otherWorkflow, webhookNode, {
+				type: 'runtime_ms',
+				value: 999999,
+				periodUnit: 'day',
+				periodStart,
+			});
+			await createCompactedNodeInsightsEvent(workflow, codeNode, {
+				type: 'failure',
+				value: 100,
+				periodUnit: 'day',
+				periodStart: DateTime.utc().minus({ days: 30 }),
+			});
+		});
+
+		test('lists the slowest nodes of a workflow by default', async () => {
+			// ACT
+			const byNode = await insightsService.getInsightsByNode({
+				workflowId: workflow.id,
+				startDate: DateTime.utc().minus({ days: 14 }).toJSDate(),
+				endDate: today,
+			});
+
+			// ASSERT
+			expect(byNode.count).toBe(3);
+			expect(byNode.data.map((node) => node.nodeName)).toEqual(['HTTP Request', 'Code', 'Webhook']);
+			expect(byNode.data[0]).toEqual({
+				nodeId: 'node-2',
+				nodeName: 'HTTP Request',
+				nodeType: 'n8n-nodes-base.httpRequest',
+				total: 10,
+				succeeded: 6,
+				failed: 4,
+				failureRate: 0.4,
+				runTime: 20000,
+				averageRunTime: 2000,
+				itemsOutput: 60,
+			});
+		});
+
+		test('lists the most failure-prone nodes of a workflow', async () => {
+			// ACT
+			const byNode = await insightsService.getInsightsByNode({
+				workflowId: workflow.id,
+				sortBy: 'failureRate:desc',
+				take: 2,
+				startDate: DateTime.utc().minus({ days: 14 }).toJSDate(),
+				endDate: today,
+			});
+
+			// ASSERT
+			expect(byNode.count).toBe(3);
+			expect(byNode.data.map((node) => [node.nodeName, node.failureRate])).toEqual([
+				['HTTP Request', 0.4],
+				['Code', 0.2],
+			]);
+		});
+	});
+
 	describe('getInsightsByTime', () => {
 		let insightsService: InsightsService;
 		beforeAll(() => {
@@ -979,6 +1079,8 @@ describe('InsightsService (Integration)', () => {
 			licenseStateMock = mock<LicenseState>();
 			insightsService = new InsightsService(
 				mock<InsightsByPeriodRepository>(),
+				mock(),
+				mock(),
 				mock<InsightsCompactionService>(),
 				mock<InsightsPruningService>(),
 				licenseStateMock,
@@ -1086,6 +1188,8 @@ describe('InsightsService (Integration)', () => {
 		beforeAll(() => {
 			insightsService = new InsightsService(
 				mock<InsightsByPeriodRepository>(),
+				mock(),
+				mock(),
 				mockCompactionService,
 				mockPruningService,
 				mock<LicenseState>(),
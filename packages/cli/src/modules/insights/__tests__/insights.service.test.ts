@@ -5,7 +5,10 @@ import { mock } from 'jest-mock-extended';
 import type { InstanceSettings } from 'n8n-core';
 
 import { TypeToNumber } from '../database/entities/insights-shared';
+import { InsightsMetricType } from '../database/entities/insights-metric-type';
 import type { InsightsByPeriodRepository } from '../database/repositories/insights-by-period.repository';
+import type { InsightsMetricTypeRepository } from '../database/repositories/insights-metric-type.repository';
+import type { InsightsNodeByPeriodRepository } from '../database/repositories/insights-node-by-period.repository';
 import type { InsightsCompactionService } from '../insights-compaction.service';
 import type { InsightsPruningService } from '../insights-pruning.service';
 import { InsightsService } from '../insights.service';
@@ -14,6 +17,8 @@ describe('InsightsService', () => {
 	let insightsService: InsightsService;
 
 	let mockInsightsByPeriodRepository: MockProxy<InsightsByPeriodRepository>;
+	let mockInsightsMetricTypeRepository: MockProxy<InsightsMetricTypeRepository>;
+	let mockInsightsNodeByPeriodRepository: MockProxy<InsightsNodeByPeriodRepository>;
 	let mockCompactionService: MockProxy<InsightsCompactionService>;
 	let mockPruningService: MockProxy<InsightsPruningService>;
 	let mockLicenseState: MockProxy<LicenseState>;
@@ -23,6 +28,8 @@ describe('InsightsService', () => {
 		jest.clearAllMocks();
 
 		mockInsightsByPeriodRepository = mock<InsightsByPeriodRepository>();
+		mockInsightsMetricTypeRepository = mock<InsightsMetricTypeRepository>();
+		mockInsightsNodeByPeriodRepository = mock<InsightsNodeByPeriodRepository>();
 		mockCompactionService = mock<InsightsCompactionService>();
 		mockPruningService = mock<InsightsPruningService>();
 		mockLicenseState = mock<LicenseState>();
@@ -30,6 +37,8 @@ describe('InsightsService', () => {
 
 		insightsService = new InsightsService(
 			mockInsightsByPeriodRepository,
+			mockInsightsMetricTypeRepository,
+			mockInsightsNodeByPeriodRepository,
 			mockCompactionService,
 			mockPruningService,
 			mockLicenseState,
@@ -797,4 +806,60 @@ describe('InsightsService', () => {
 			});
 		});
 	});
+
+	describe('getCustomMetricsByTime', () => {
+		const startDate = new Date('2024-01-01');
+		const endDate = new Date('2024-01-07');
+
+		const createMetricType = (id: number, name: string) =>
+			Object.assign(new InsightsMetricType(), { id, name });
+
+		it('should query known metrics and report unknown metrics as 0', async () => {
+			// ARRANGE
+			const ordersProcessed = createMetricType(1, 'orders_processed');
+			mockInsightsMetricTypeRepository.findBy.mockResolvedValue([ordersProcessed]);
+			mockInsightsByPeriodRepository.getCustomMetricsByTime.mockResolvedValue([
+				{ date: '2024-01-02T00:00:00.000Z', values: { orders_processed: 12 } },
+			]);
+
+			// ACT
+			const result = await insightsService.getCustomMetricsByTime({
+				metricNames: ['orders_processed', 'tickets_closed'],
+				startDate,
+				endDate,
+			});
+
+			// ASSERT
+			expect(mockInsightsByPeriodRepository.getCustomMetricsByTime).toHaveBeenCalledWith({
+				periodUnit: 'day',
+				metricTypes: [ordersProcessed],
+				projectId: undefined,
+				startDate,
+				endDate,
+			});
+			expect(ordersProcessed.typeNumber).toBe(1001);
+			expect(result).toEqual([
+				{
+					date: '2024-01-02T00:00:00.000Z',
+					values: { orders_processed: 12, tickets_closed: 0 },
+				},
+			]);
+		});
+
+		it('should not query insights if none of the metrics exist', async () => {
+			// ARRANGE
+			mockInsightsMetricTypeRepository.findBy.mockResolvedValue([]);
+
+			// ACT
+			const result = await insightsService.getCustomMetricsByTime({
+				metricNames: ['tickets_closed'],
+				startDate,
+				endDate,
+			});
+
+			// ASSERT
+			expect(result).toEqual([]);
+			expect(mockInsightsByPeriodRepository.getCustomMetricsByTime).not.toHaveBeenCalled();
+		});
+	});
 });
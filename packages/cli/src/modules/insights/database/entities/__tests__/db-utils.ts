@@ -6,9 +6,15 @@ import type { IWorkflowBase } from 'n8n-workflow';
 
 import { InsightsByPeriodRepository } from '../../repositories/insights-by-period.repository';
 import { InsightsMetadataRepository } from '../../repositories/insights-metadata.repository';
+import { InsightsNodeByPeriodRepository } from '../../repositories/insights-node-by-period.repository';
+import { InsightsNodeMetadataRepository } from '../../repositories/insights-node-metadata.repository';
+import { InsightsNodeRawRepository } from '../../repositories/insights-node-raw.repository';
 import { InsightsRawRepository } from '../../repositories/insights-raw.repository';
 import { InsightsByPeriod } from '../insights-by-period';
 import { InsightsMetadata } from '../insights-metadata';
+import { InsightsNodeByPeriod } from '../insights-node-by-period';
+import { InsightsNodeMetadata } from '../insights-node-metadata';
+import { InsightsNodeRaw } from '../insights-node-raw';
 import { InsightsRaw } from '../insights-raw';
 
 async function getWorkflowSharing(workflow: IWorkflowBase) {
@@ -109,3 +115,72 @@ export async function createCompactedInsightsEvent(
 
 	return await insightsByPeriodRepository.save(event);
 }
+
+export async function createNodeMetadata(
+	workflow: WorkflowEntity,
+	node: { id: string; name: string; type: string },
+) {
+	const insightsNodeMetadataRepository = Container.get(InsightsNodeMetadataRepository);
+	const workflowMetadata = await createMetadata(workflow);
+	const alreadyExisting = await insightsNodeMetadataRepository.findOneBy({
+		workflowMetaId: workflowMetadata.metaId,
+		nodeId: node.id,
+	});
+
+	if (alreadyExisting) {
+		return alreadyExisting;
+	}
+
+	const metadata = new InsightsNodeMetadata();
+	metadata.workflowMetaId = workflowMetadata.metaId;
+	metadata.nodeId = node.id;
+	metadata.nodeName = node.name;
+	metadata.nodeType = node.type;
+
+	return await insightsNodeMetadataRepository.save(metadata);
+}
+
+export async function createRawNodeInsightsEvent(
+	workflow: WorkflowEntity,
+	node: { id: string; name: string; type: string },
+	parameters: {
+		type: InsightsNodeRaw['type'];
+		value: number;
+		timestamp?: DateTime;
+	},
+) {
+	const insightsNodeRawRepository = Container.get(InsightsNodeRawRepository);
+	const metadata = await createNodeMetadata(workflow, node);
+
+	const event = new InsightsNodeRaw();
+	event.metaId = metadata.metaId;
+	event.type = parameters.type;
+	event.value = parameters.value;
+	if (parameters.timestamp) {
+		event.timestamp = parameters.timestamp.toUTC().toJSDate();
+	}
+	return await insightsNodeRawRepository.save(event);
+}
+
+export async function createCompactedNodeInsightsEvent(
+	workflow: WorkflowEntity,
+	node: { id: string; name: string; type: string },
+	parameters: {
+		type: InsightsNodeByPeriod['type'];
+		value: number;
+		periodUnit: InsightsNodeByPeriod['periodUnit'];
+		periodStart: DateTime;
+	},
+) {
+	const insightsNodeByPeriodRepository = Container.get(InsightsNodeByPeriodRepository);
+	const metadata = await createNodeMetadata(workflow, node);
+
+	const event = new InsightsNodeByPeriod();
+	event.metaId = metadata.metaId;
+	event.type = parameters.type;
+	event.value = parameters.value;
+	event.periodUnit = parameters.periodUnit;
+	event.periodStart = parameters.periodStart.toUTC().startOf(parameters.periodUnit).toJSDate();
+
+	return await insightsNodeByPeriodRepository.save(event);
+}
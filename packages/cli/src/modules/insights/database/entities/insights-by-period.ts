@@ -10,8 +10,9 @@ import {
 import { UnexpectedError } from 'n8n-workflow';
 
 import { InsightsMetadata } from './insights-metadata';
-import type { PeriodUnit } from './insights-shared';
+import type { PeriodUnit, TypeUnit } from './insights-shared';
 import {
+	isCustomTypeNumber,
 	isValidPeriodNumber,
 	isValidTypeNumber,
 	NumberToPeriodUnit,
@@ -35,7 +36,10 @@ export class InsightsByPeriod extends BaseEntity {
 	@Column({ name: 'type', type: 'int' })
 	private type_: number;
 
-	get type() {
+	/** Name of a built-in type, or `custom` for custom metric types */
+	get type(): TypeUnit | 'custom' {
+		if (isCustomTypeNumber(this.type_)) return 'custom';
+
 		if (!isValidTypeNumber(this.type_)) {
 			throw new UnexpectedError(
 				`Type '${this.type_}' is not a valid type for 'InsightsByPeriod.type'`,
@@ -49,6 +53,19 @@ export class InsightsByPeriod extends BaseEntity {
 		this.type_ = TypeToNumber[value];
 	}
 
+	/** Type as stored in the database, see `CUSTOM_TYPE_NUMBER_OFFSET` for custom metric types */
+	get typeNumber() {
+		return this.type_;
+	}
+
+	set typeNumber(value: number) {
+		if (!isValidTypeNumber(value) && !isCustomTypeNumber(value)) {
+			throw new UnexpectedError(`Type number '${value}' is neither a built-in nor a custom type`);
+		}
+
+		this.type_ = value;
+	}
+
 	/**
 	 * Stored as BIGINT in database (see migration 1759399811000).
 	 * JavaScript number type has precision limits at ±2^53-1 (9,007,199,254,740,991).
@@ -0,0 +1,22 @@
+import { WithTimestamps } from '@n8n/db';
+import { Column, Entity, PrimaryGeneratedColumn } from '@n8n/typeorm';
+
+import { CUSTOM_TYPE_NUMBER_OFFSET } from './insights-shared';
+
+/**
+ * User-defined insight metric type, created the first time a workflow emits
+ * a custom metric with this name.
+ */
+@Entity()
+export class InsightsMetricType extends WithTimestamps {
+	@PrimaryGeneratedColumn()
+	id: number;
+
+	@Column({ unique: true, type: 'varchar', length: 128 })
+	name: string;
+
+	/** Value of the `type` column of insights rows of this metric */
+	get typeNumber() {
+		return CUSTOM_TYPE_NUMBER_OFFSET + this.id;
+	}
+}
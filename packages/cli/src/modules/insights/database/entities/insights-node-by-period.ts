@@ -0,0 +1,74 @@
+import { DateTimeColumn } from '@n8n/db';
+import {
+	BaseEntity,
+	Column,
+	Entity,
+	JoinColumn,
+	ManyToOne,
+	PrimaryGeneratedColumn,
+} from '@n8n/typeorm';
+import { UnexpectedError } from 'n8n-workflow';
+
+import { InsightsNodeMetadata } from './insights-node-metadata';
+import type { NodeTypeUnit, PeriodUnit } from './insights-shared';
+import {
+	isValidNodeTypeNumber,
+	isValidPeriodNumber,
+	NodeTypeToNumber,
+	NumberToNodeType,
+	NumberToPeriodUnit,
+	PeriodUnitToNumber,
+} from './insights-shared';
+
+@Entity()
+export class InsightsNodeByPeriod extends BaseEntity {
+	@PrimaryGeneratedColumn()
+	id: number;
+
+	@Column()
+	metaId: number;
+
+	@ManyToOne(() => InsightsNodeMetadata)
+	@JoinColumn({ name: 'metaId' })
+	metadata: InsightsNodeMetadata;
+
+	@Column({ name: 'type', type: 'int' })
+	private type_: number;
+
+	get type() {
+		if (!isValidNodeTypeNumber(this.type_)) {
+			throw new UnexpectedError(
+				`Type '${this.type_}' is not a valid type for 'InsightsNodeByPeriod.type'`,
+			);
+		}
+
+		return NumberToNodeType[this.type_];
+	}
+
+	set type(value: NodeTypeUnit) {
+		this.type_ = NodeTypeToNumber[value];
+	}
+
+	@Column()
+	value: number;
+
+	@Column({ name: 'periodUnit' })
+	private periodUnit_: number;
+
+	get periodUnit() {
+		if (!isValidPeriodNumber(this.periodUnit_)) {
+			throw new UnexpectedError(
+				`Period unit '${this.periodUnit_}' is not a valid unit for 'InsightsNodeByPeriod.periodUnit'`,
+			);
+		}
+
+		return NumberToPeriodUnit[this.periodUnit_];
+	}
+
+	set periodUnit(value: PeriodUnit) {
+		this.periodUnit_ = PeriodUnitToNumber[value];
+	}
+
+	@DateTimeColumn()
+	periodStart: Date;
+}
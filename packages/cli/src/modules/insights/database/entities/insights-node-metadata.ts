@@ -0,0 +1,37 @@
+import {
+	BaseEntity,
+	Column,
+	Entity,
+	Index,
+	JoinColumn,
+	ManyToOne,
+	PrimaryGeneratedColumn,
+} from '@n8n/typeorm';
+
+import { InsightsMetadata } from './insights-metadata';
+
+/** Node names are not limited in length, longer names are truncated to this length. */
+export const INSIGHTS_NODE_NAME_MAX_LENGTH = 128;
+
+@Entity()
+@Index(['workflowMetaId', 'nodeId'], { unique: true })
+export class InsightsNodeMetadata extends BaseEntity {
+	@PrimaryGeneratedColumn()
+	metaId: number;
+
+	@Column()
+	workflowMetaId: number;
+
+	@ManyToOne(() => InsightsMetadata, { onDelete: 'CASCADE' })
+	@JoinColumn({ name: 'workflowMetaId' })
+	workflowMetadata: InsightsMetadata;
+
+	@Column({ type: 'varchar', length: 36 })
+	nodeId: string;
+
+	@Column({ type: 'varchar', length: INSIGHTS_NODE_NAME_MAX_LENGTH })
+	nodeName: string;
+
+	@Column({ type: 'varchar', length: 255 })
+	nodeType: string;
+}
@@ -0,0 +1,43 @@
+import { DateTimeColumn } from '@n8n/db';
+import { BaseEntity, Column, Entity, PrimaryGeneratedColumn } from '@n8n/typeorm';
+import { UnexpectedError } from 'n8n-workflow';
+
+import type { NodeTypeUnit } from './insights-shared';
+import { isValidNodeTypeNumber, NodeTypeToNumber, NumberToNodeType } from './insights-shared';
+
+@Entity()
+export class InsightsNodeRaw extends BaseEntity {
+	constructor() {
+		super();
+		this.timestamp = new Date();
+	}
+
+	@PrimaryGeneratedColumn()
+	id: number;
+
+	@Column()
+	metaId: number;
+
+	@Column({ name: 'type', type: 'int' })
+	private type_: number;
+
+	get type() {
+		if (!isValidNodeTypeNumber(this.type_)) {
+			throw new UnexpectedError(
+				`Type '${this.type_}' is not a valid type for 'InsightsNodeRaw.type'`,
+			);
+		}
+
+		return NumberToNodeType[this.type_];
+	}
+
+	set type(value: NodeTypeUnit) {
+		this.type_ = NodeTypeToNumber[value];
+	}
+
+	@Column()
+	value: number;
+
+	@DateTimeColumn({ name: 'timestamp' })
+	timestamp: Date;
+}
@@ -48,3 +48,48 @@ export const NumberToType = Object.entries(TypeToNumber).reduce(
 export function isValidTypeNumber(value: number) {
 	return isValid(value, NumberToType);
 }
+
+// Node types
+/**
+ * Types of per-node insights. The numbers of the types shared with workflow
+ * insights are the same as in `TypeToNumber`.
+ */
+export const NodeTypeToNumber = {
+	runtime_ms: TypeToNumber.runtime_ms,
+	success: TypeToNumber.success,
+	failure: TypeToNumber.failure,
+	items_output: 4,
+} as const;
+
+export type NodeTypeUnit = keyof typeof NodeTypeToNumber;
+
+export type NodeTypeUnitNumber = (typeof NodeTypeToNumber)[NodeTypeUnit];
+export const NumberToNodeType = Object.entries(NodeTypeToNumber).reduce(
+	(acc, [key, value]: [NodeTypeUnit, NodeTypeUnitNumber]) => {
+		acc[value] = key;
+		return acc;
+	},
+	{} as Record<NodeTypeUnitNumber, NodeTypeUnit>,
+);
+
+export function isValidNodeTypeNumber(value: number) {
+	return isValid(value, NumberToNodeType);
+}
+
+// Custom metric types
+/**
+ * Type numbers of custom metrics start at this offset, so that they never
+ * collide with the built-in types. The type number of a custom metric is
+ * the offset plus the id of its `InsightsMetricType`.
+ */
+export const CUSTOM_TYPE_NUMBER_OFFSET = 1000;
+
+export function isCustomTypeNumber(value: number) {
+	return Number.isInteger(value) && value >= CUSTOM_TYPE_NUMBER_OFFSET;
+}
+
+const CUSTOM_METRIC_NAME_REGEX = /^[a-zA-Z0-9_.-]{1,128}$/;
+
+export function isValidCustomMetricName(name: string) {
+	return CUSTOM_METRIC_NAME_REGEX.test(name);
+}
@@ -62,6 +62,94 @@ describe('InsightsByPeriodRepository', () => {
 		);
 	});
 
+	describe('getInsightsForExport', () => {
+		beforeEach(async () => {
+			await testDb.truncate(['InsightsByPeriod', 'InsightsMetadata']);
+		});
+
+		test('should return the insights in the date range with their workflow and project', async () => {
+			// ARRANGE
+			const insightsByPeriodRepository = Container.get(InsightsByPeriodRepository);
+			const project = await createTeamProject('Export project');
+			const workflow = await createWorkflow({ name: 'Export workflow' }, project);
+			const now = DateTime.utc();
+
+			await createCompactedInsightsEvent(workflow, {
+				type: 'success',
+				value: 2,
+				periodUnit: 'day',
+				periodStart: now.minus({ days: 2 }),
+			});
+			await createCompactedInsightsEvent(workflow, {
+				type: 'runtime_ms',
+				value: 1200,
+				periodUnit: 'hour',
+				periodStart: now.minus({ days: 1 }),
+			});
+			// outside of the date range
+			await createCompactedInsightsEvent(workflow, {
+				type: 'success',
+				value: 5,
+				periodUnit: 'day',
+				periodStart: now.minus({ days: 30 }),
+			});
+
+			// ACT
+			const rows = await insightsByPeriodRepository.getInsightsForExport({
+				startDate: now.minus({ days: 7 }).toJSDate(),
+				endDate: now.toJSDate(),
+				take: 10,
+			});
+
+			// ASSERT
+			expect(rows).toEqual([
+				expect.objectContaining({
+					type: 2,
+					value: 2,
+					periodUnit: 1,
+					workflowId: workflow.id,
+					workflowName: 'Export workflow',
+					projectId: project.id,
+					projectName: 'Export project',
+				}),
+				expect.objectContaining({ type: 1, value: 1200, periodUnit: 0 }),
+			]);
+		});
+
+		test('should return the next batch after the given id', async () => {
+			// ARRANGE
+			const insightsByPeriodRepository = Container.get(InsightsByPeriodRepository);
+			const project = await createTeamProject();
+			const workflow = await createWorkflow({}, project);
+			const now = DateTime.utc();
+
+			for (let i = 0; i < 3; i++) {
+				await createCompactedInsightsEvent(workflow, {
+					type: 'success',
+					value: i,
+					periodUnit: 'hour',
+					periodStart: now.minus({ hours: i + 1 }),
+				});
+			}
+			const filters = { startDate: now.minus({ days: 1 }).toJSDate(), endDate: now.toJSDate() };
+
+			// ACT
+			const firstBatch = await insightsByPeriodRepository.getInsightsForExport({
+				...filters,
+				take: 2,
+			});
+			const secondBatch = await insightsByPeriodRepository.getInsightsForExport({
+				...filters,
+				afterId: firstBatch[1].id,
+				take: 2,
+			});
+
+			// ASSERT
+			expect(firstBatch.map(({ value }) => value)).toEqual([0, 1]);
+			expect(secondBatch.map(({ value }) => value)).toEqual([2]);
+		});
+	});
+
 	describe('Avoid deadlock error', () => {
 		let defaultBatchSize: number;
 		beforeAll(() => {
@@ -1,17 +1,14 @@
-import { GlobalConfig } from '@n8n/config';
 import { sql } from '@n8n/db';
-import { Container, Service } from '@n8n/di';
-import type { SelectQueryBuilder } from '@n8n/typeorm';
-import { DataSource, LessThanOrEqual, Repository } from '@n8n/typeorm';
+import { Service } from '@n8n/di';
+import { DataSource, LessThanOrEqual } from '@n8n/typeorm';
 import { DateTime } from 'luxon';
 import { z } from 'zod';
 
+import { BaseInsightsByPeriodRepository, dbType } from './base-insights-by-period.repository';
 import { getDateRangesCommonTableExpressionQuery } from './insights-by-period-query.helper';
 import { InsightsByPeriod } from '../entities/insights-by-period';
 import type { PeriodUnit, TypeUnit } from '../entities/insights-shared';
-import { PeriodUnitToNumber, TypeToNumber } from '../entities/insights-shared';
-
-const dbType = Container.get(GlobalConfig).database.type;
+import { TypeToNumber } from '../entities/insights-shared';
 const displayTypeName = {
 	[TypeToNumber.success]: 'succeeded',
 	[TypeToNumber.failure]: 'failed',
@@ -50,21 +47,23 @@ const optionalNumberLike = z
 	.optional()
 	.transform((value) => (value !== undefined ? Number(value) : undefined));
 
+const periodStartParser = z.union([z.date(), z.string()]).transform((value) => {
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+
+	const parsedDatetime = DateTime.fromSQL(value.toString(), { zone: 'utc' });
+	if (parsedDatetime.isValid) {
+		return parsedDatetime.toISO();
+	}
+
+	// fallback on native date parsing
+	return new Date(value).toISOString();
+});
+
 const aggregatedInsightsByTimeParser = z
 	.object({
-		periodStart: z.union([z.date(), z.string()]).transform((value) => {
-			if (value instanceof Date) {
-				return value.toISOString();
-			}
-
-			const parsedDatetime = DateTime.fromSQL(value.toString(), { zone: 'utc' });
-			if (parsedDatetime.isValid) {
-				return parsedDatetime.toISO();
-			}
-
-			// fallback on native date parsing
-			return new Date(value).toISOString();
-		}),
+		periodStart: periodStartParser,
 		runTime: optionalNumberLike,
 		succeeded: optionalNumberLike,
 		failed: optionalNumberLike,
@@ -72,203 +71,32 @@ const aggregatedInsightsByTimeParser = z
 	})
 	.array();
 
-@Service()
-export class InsightsByPeriodRepository extends Repository<InsightsByPeriod> {
-	private isRunningCompaction = false;
+const insightsForExportParser = z
+	.object({
+		id: z.union([z.number(), z.string()]).transform((value) => Number(value)),
+		periodStart: periodStartParser,
+		periodUnit: z.union([z.number(), z.string()]).transform((value) => Number(value)),
+		type: z.union([z.number(), z.string()]).transform((value) => Number(value)),
+		value: z.union([z.number(), z.string()]).transform((value) => Number(value)),
+		workflowId: z.string().nullable(),
+		workflowName: z.string(),
+		projectId: z.string().nullable(),
+		projectName: z.string(),
+	})
+	.array();
+
+// custom metric values are selected as `metric_<index>` columns
+const customMetricsByTimeParser = z
+	.object({ periodStart: periodStartParser })
+	.catchall(z.union([z.number(), z.string(), z.null()]).transform((value) => Number(value ?? 0)))
+	.array();
 
+@Service()
+export class InsightsByPeriodRepository extends BaseInsightsByPeriodRepository<InsightsByPeriod> {
 	constructor(dataSource: DataSource) {
 		super(InsightsByPeriod, dataSource.manager);
 	}
 
-	private escapeField(fieldName: string) {
-		return this.manager.connection.driver.escape(fieldName);
-	}
-
-	private getPeriodFilterExpr(maxAgeInDays = 0) {
-		// Database-specific period start expression to filter out data to compact by days matching the periodUnit
-		let periodStartExpr = `date('now', '-${maxAgeInDays} days')`;
-		if (dbType === 'postgresdb') {
-			periodStartExpr = `CURRENT_DATE - INTERVAL '${maxAgeInDays} day'`;
-		} else if (dbType === 'mysqldb' || dbType === 'mariadb') {
-			periodStartExpr = `DATE_SUB(CURRENT_DATE, INTERVAL ${maxAgeInDays} DAY)`;
-		}
-
-		return periodStartExpr;
-	}
-
-	private getPeriodStartExpr(periodUnitToCompactInto: PeriodUnit) {
-		// Database-specific period start expression to truncate timestamp to the periodUnit
-		// SQLite by default
-		let periodStartExpr =
-			periodUnitToCompactInto === 'week'
-				? "strftime('%Y-%m-%d 00:00:00.000', date(periodStart, '-6 days', 'weekday 1'))"
-				: `strftime('%Y-%m-%d ${periodUnitToCompactInto === 'hour' ? '%H' : '00'}:00:00.000', periodStart)`;
-		if (dbType === 'mysqldb' || dbType === 'mariadb') {
-			periodStartExpr =
-				periodUnitToCompactInto === 'week'
-					? "DATE_FORMAT(DATE_SUB(periodStart, INTERVAL WEEKDAY(periodStart) DAY), '%Y-%m-%d 00:00:00')"
-					: `DATE_FORMAT(periodStart, '%Y-%m-%d ${periodUnitToCompactInto === 'hour' ? '%H' : '00'}:00:00')`;
-		} else if (dbType === 'postgresdb') {
-			periodStartExpr = `DATE_TRUNC('${periodUnitToCompactInto}', ${this.escapeField('periodStart')})`;
-		}
-
-		return periodStartExpr;
-	}
-
-	getPeriodInsightsBatchQuery({
-		periodUnitToCompactFrom,
-		compactionBatchSize,
-		maxAgeInDays,
-	}: { periodUnitToCompactFrom: PeriodUnit; compactionBatchSize: number; maxAgeInDays: number }) {
-		// Build the query to gather period insights data for the batch
-		const batchQuery = this.createQueryBuilder()
-			.select(
-				['id', 'metaId', 'type', 'periodStart', 'value'].map((fieldName) =>
-					this.escapeField(fieldName),
-				),
-			)
-			.where(`${this.escapeField('periodUnit')} = ${PeriodUnitToNumber[periodUnitToCompactFrom]}`)
-			.andWhere(`${this.escapeField('periodStart')} < ${this.getPeriodFilterExpr(maxAgeInDays)}`)
-			.orderBy(this.escapeField('periodStart'), 'ASC')
-			.limit(compactionBatchSize);
-
-		return batchQuery as SelectQueryBuilder<{
-			id: number;
-			metaId: number;
-			type: string;
-			value: number;
-			periodStart: Date;
-		}>;
-	}
-
-	private getAggregationQuery(periodUnit: PeriodUnit) {
-		// Get the start period expression depending on the period unit and database type
-		const periodStartExpr = this.getPeriodStartExpr(periodUnit);
-
-		// Function to get the aggregation query
-		const aggregationQuery = this.manager
-			.createQueryBuilder()
-			.select(this.escapeField('metaId'))
-			.addSelect(this.escapeField('type'))
-			.addSelect(PeriodUnitToNumber[periodUnit].toString(), 'periodUnit')
-			.addSelect(periodStartExpr, 'periodStart')
-			.addSelect(`SUM(${this.escapeField('value')})`, 'value')
-			.from('rows_to_compact', 'rtc')
-			.groupBy(this.escapeField('metaId'))
-			.addGroupBy(this.escapeField('type'))
-			.addGroupBy(periodStartExpr);
-
-		return aggregationQuery;
-	}
-
-	/**
-	 * Compacts source data into the target period unit
-	 */
-	async compactSourceDataIntoInsightPeriod({
-		sourceBatchQuery,
-		sourceTableName = this.metadata.tableName,
-		periodUnitToCompactInto,
-	}: {
-		/**
-		 * Query builder to get batch source data. Must return these fields: 'id', 'metaId', 'type', 'periodStart', 'value'.
-		 */
-		sourceBatchQuery: SelectQueryBuilder<{
-			id: number;
-			metaId: number;
-			type: string;
-			value: number;
-			periodStart: Date;
-		}>;
-
-		/**
-		 * The source table name to get source data from.
-		 */
-		sourceTableName?: string;
-
-		/**
-		 * The new period unit to compact the data into.
-		 */
-		periodUnitToCompactInto: PeriodUnit;
-	}): Promise<number> {
-		// Skip compaction if the process is already running
-		if (this.isRunningCompaction) {
-			return 0;
-		}
-		this.isRunningCompaction = true;
-
-		try {
-			// Create temp table that only exists in this transaction for rows to compact
-			const getBatchAndStoreInTemporaryTable = sql`
-				CREATE TEMPORARY TABLE rows_to_compact AS
-				${sourceBatchQuery.getSql()};
-			`;
-
-			const countBatch = sql`
-				SELECT COUNT(*) ${this.escapeField('rowsInBatch')} FROM rows_to_compact;
-			`;
-
-			const targetColumnNamesStr = ['metaId', 'type', 'periodUnit', 'periodStart']
-				.map((param) => this.escapeField(param))
-				.join(', ');
-			const targetColumnNamesWithValue = `${targetColumnNamesStr}, value`;
-
-			// Function to get the aggregation query
-			const aggregationQuery = this.getAggregationQuery(periodUnitToCompactInto);
-
-			// Insert or update aggregated data
-			const insertQueryBase = sql`
-				INSERT INTO ${this.metadata.tableName}
-					(${targetColumnNamesWithValue})
-				${aggregationQuery.getSql()}
-			`;
-
-			// Database-specific duplicate key logic
-			let deduplicateQuery: string;
-			if (dbType === 'mysqldb' || dbType === 'mariadb') {
-				deduplicateQuery = sql`
-				ON DUPLICATE KEY UPDATE value = value + VALUES(value)`;
-			} else {
-				deduplicateQuery = sql`
-				ON CONFLICT(${targetColumnNamesStr})
-				DO UPDATE SET value = ${this.metadata.tableName}.value + excluded.value
-				RETURNING *`;
-			}
-
-			const upsertEvents = sql`
-				${insertQueryBase}
-				${deduplicateQuery}
-			`;
-
-			// Delete the processed rows
-			const deleteBatch = sql`
-				DELETE FROM ${sourceTableName}
-				WHERE id IN (SELECT id FROM rows_to_compact);
-			`;
-
-			// Clean up
-			const dropTemporaryTable = sql`
-				DROP TABLE rows_to_compact;
-			`;
-
-			const result = await this.manager.transaction(async (trx) => {
-				await trx.query(getBatchAndStoreInTemporaryTable);
-
-				await trx.query<Array<{ type: any; value: number }>>(upsertEvents);
-
-				const rowsInBatch = await trx.query<[{ rowsInBatch: number | string }]>(countBatch);
-
-				await trx.query(deleteBatch);
-				await trx.query(dropTemporaryTable);
-
-				return Number(rowsInBatch[0].rowsInBatch);
-			});
-
-			return result;
-		} finally {
-			this.isRunningCompaction = false;
-		}
-	}
-
 	async getPreviousAndCurrentPeriodTypeAggregates({
 		startDate,
 		endDate,
@@ -300,6 +128,10 @@ export class InsightsByPeriodRepository extends Repository<InsightsByPeriod> {
 			.innerJoin('date_ranges', 'date_ranges', '1=1')
 			.where('insights.periodStart >= date_ranges.prev_start_date')
 			.andWhere('insights.periodStart < date_ranges.end_date')
+			// Custom metric types are not part of the summary
+			.andWhere('insights.type IN (:...builtInTypes)', {
+				builtInTypes: Object.values(TypeToNumber),
+			})
 			// Group by both period and type
 			.groupBy('period')
 			.addGroupBy('insights.type');
@@ -421,6 +253,105 @@ export class InsightsByPeriodRepository extends Repository<InsightsByPeriod> {
 		return aggregatedInsightsByTimeParser.parse(rawRows);
 	}
 
+	async getCustomMetricsByTime({
+		periodUnit,
+		metricTypes,
+		projectId,
+		startDate,
+		endDate,
+	}: {
+		periodUnit: PeriodUnit;
+		metricTypes: Array<{ name: string; typeNumber: number }>;
+		projectId?: string;
+		startDate: Date;
+		endDate: Date;
+	}) {
+		const cte = getDateRangesCommonTableExpressionQuery({ dbType, startDate, endDate });
+
+		// Metric names are user-defined, so they are not used as column aliases
+		const metricsAggregation = metricTypes.map(
+			({ typeNumber }, index) =>
+				`SUM(CASE WHEN insights.type = ${typeNumber} THEN value ELSE 0 END) AS "metric_${index}"`,
+		);
+
+		const rawRowsQuery = this.createQueryBuilder('insights')
+			.addCommonTableExpression(cte, 'date_ranges')
+			.select([`${this.getPeriodStartExpr(periodUnit)} as "periodStart"`, ...metricsAggregation])
+			.innerJoin('date_ranges', 'date_ranges', '1=1')
+			.where(`${this.escapeField('periodStart')} >= date_ranges.start_date`)
+			.andWhere(`${this.escapeField('periodStart')} < date_ranges.end_date`)
+			.andWhere('insights.type IN (:...typeNumbers)', {
+				typeNumbers: metricTypes.map(({ typeNumber }) => typeNumber),
+			})
+			.groupBy(this.getPeriodStartExpr(periodUnit))
+			.orderBy(this.getPeriodStartExpr(periodUnit), 'ASC');
+
+		if (projectId) {
+			rawRowsQuery
+				.innerJoin('insights.metadata', 'metadata')
+				.andWhere('metadata.projectId = :projectId', { projectId });
+		}
+
+		const rawRows = await rawRowsQuery.getRawMany();
+
+		return customMetricsByTimeParser.parse(rawRows).map(({ periodStart, ...values }) => ({
+			date: periodStart,
+			values: Object.fromEntries(
+				metricTypes.map(({ name }, index) => [name, values[`metric_${index}`] ?? 0]),
+			),
+		}));
+	}
+
+	/**
+	 * Returns the next batch of insights rows in the date range, with the
+	 * workflow and project they belong to, ordered by id.
+	 * Pass the id of the last returned row as `afterId` to get the next batch.
+	 */
+	async getInsightsForExport({
+		startDate,
+		endDate,
+		projectId,
+		afterId = 0,
+		take,
+	}: {
+		startDate: Date;
+		endDate: Date;
+		projectId?: string;
+		afterId?: number;
+		take: number;
+	}) {
+		const cte = getDateRangesCommonTableExpressionQuery({ dbType, startDate, endDate });
+
+		const rawRowsQuery = this.createQueryBuilder('insights')
+			.addCommonTableExpression(cte, 'date_ranges')
+			.select([
+				'insights.id AS "id"',
+				'insights.periodStart AS "periodStart"',
+				'insights.periodUnit AS "periodUnit"',
+				'insights.type AS "type"',
+				'insights.value AS "value"',
+				'metadata.workflowId AS "workflowId"',
+				'metadata.workflowName AS "workflowName"',
+				'metadata.projectId AS "projectId"',
+				'metadata.projectName AS "projectName"',
+			])
+			.innerJoin('insights.metadata', 'metadata')
+			.innerJoin('date_ranges', 'date_ranges', '1=1')
+			.where('insights.id > :afterId', { afterId })
+			.andWhere('insights.periodStart >= date_ranges.start_date')
+			.andWhere('insights.periodStart < date_ranges.end_date')
+			.orderBy('insights.id', 'ASC')
+			.limit(take);
+
+		if (projectId) {
+			rawRowsQuery.andWhere('metadata.projectId = :projectId', { projectId });
+		}
+
+		const rawRows = await rawRowsQuery.getRawMany();
+
+		return insightsForExportParser.parse(rawRows);
+	}
+
 	async pruneOldData(maxAgeInDays: number): Promise<{ affected: number | null | undefined }> {
 		const thresholdDate = DateTime.now().minus({ days: maxAgeInDays }).startOf('day').toJSDate();
 		const result = await this.delete({
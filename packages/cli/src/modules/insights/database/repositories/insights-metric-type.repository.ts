@@ -0,0 +1,26 @@
+import { Service } from '@n8n/di';
+import { DataSource, In, Repository } from '@n8n/typeorm';
+
+import { InsightsMetricType } from '../entities/insights-metric-type';
+
+@Service()
+export class InsightsMetricTypeRepository extends Repository<InsightsMetricType> {
+	constructor(dataSource: DataSource) {
+		super(InsightsMetricType, dataSource.manager);
+	}
+
+	/**
+	 * Returns the metric types with the given names, creating the missing ones.
+	 */
+	async findOrCreateByNames(names: string[]): Promise<InsightsMetricType[]> {
+		if (names.length === 0) return [];
+
+		await this.createQueryBuilder()
+			.insert()
+			.values(names.map((name) => ({ name })))
+			.orIgnore()
+			.execute();
+
+		return await this.findBy({ name: In(names) });
+	}
+}
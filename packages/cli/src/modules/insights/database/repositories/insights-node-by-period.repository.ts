@@ -0,0 +1,111 @@
+import { sql } from '@n8n/db';
+import { Service } from '@n8n/di';
+import { DataSource, LessThanOrEqual } from '@n8n/typeorm';
+import { DateTime } from 'luxon';
+import { z } from 'zod';
+
+import { BaseInsightsByPeriodRepository, dbType } from './base-insights-by-period.repository';
+import { getDateRangesCommonTableExpressionQuery } from './insights-by-period-query.helper';
+import { InsightsNodeByPeriod } from '../entities/insights-node-by-period';
+import { NodeTypeToNumber } from '../entities/insights-shared';
+
+const numberLike = z.union([z.number(), z.string()]).transform((value) => Number(value));
+
+const aggregatedInsightsByNodeParser = z
+	.object({
+		nodeId: z.string(),
+		nodeName: z.string(),
+		nodeType: z.string(),
+		total: numberLike,
+		succeeded: numberLike,
+		failed: numberLike,
+		failureRate: numberLike,
+		runTime: numberLike,
+		averageRunTime: numberLike,
+		itemsOutput: numberLike,
+	})
+	.array();
+
+@Service()
+export class InsightsNodeByPeriodRepository extends BaseInsightsByPeriodRepository<InsightsNodeByPeriod> {
+	constructor(dataSource: DataSource) {
+		super(InsightsNodeByPeriod, dataSource.manager);
+	}
+
+	private parseSortingParams(sortBy: string): [string, 'ASC' | 'DESC'] {
+		const [column, order] = sortBy.split(':');
+		return [column, order.toUpperCase() as 'ASC' | 'DESC'];
+	}
+
+	/**
+	 * Aggregates the node insights of a workflow by node, e.g. to find the
+	 * slowest or most failure-prone nodes.
+	 */
+	async getInsightsByNode({
+		workflowId,
+		startDate,
+		endDate,
+		skip = 0,
+		take = 10,
+		sortBy = 'averageRunTime:desc',
+	}: {
+		workflowId: string;
+		skip?: number;
+		take?: number;
+		sortBy?: string;
+		startDate: Date;
+		endDate: Date;
+	}) {
+		const [sortField, sortOrder] = this.parseSortingParams(sortBy);
+		const sumOf = (type: number) => `SUM(CASE WHEN insights.type = ${type} THEN value ELSE 0 END)`;
+		const sumOfRuns = sql`SUM(CASE WHEN insights.type IN (${NodeTypeToNumber.success.toString()}, ${NodeTypeToNumber.failure.toString()}) THEN value ELSE 0 END)`;
+
+		const cte = getDateRangesCommonTableExpressionQuery({ dbType, startDate, endDate });
+
+		const rawRowsQuery = this.createQueryBuilder('insights')
+			.addCommonTableExpression(cte, 'date_ranges')
+			.select([
+				'metadata.nodeId AS "nodeId"',
+				'metadata.nodeName AS "nodeName"',
+				'metadata.nodeType AS "nodeType"',
+				`${sumOf(NodeTypeToNumber.success)} AS "succeeded"`,
+				`${sumOf(NodeTypeToNumber.failure)} AS "failed"`,
+				`${sumOfRuns} AS "total"`,
+				sql`CASE
+								WHEN ${sumOfRuns} = 0 THEN 0
+								ELSE 1.0 * ${sumOf(NodeTypeToNumber.failure)} / ${sumOfRuns}
+							END AS "failureRate"`,
+				`${sumOf(NodeTypeToNumber.runtime_ms)} AS "runTime"`,
+				sql`CASE
+								WHEN ${sumOfRuns} = 0 THEN 0
+								ELSE 1.0 * ${sumOf(NodeTypeToNumber.runtime_ms)} / ${sumOfRuns}
+							END AS "averageRunTime"`,
+				`${sumOf(NodeTypeToNumber.items_output)} AS "itemsOutput"`,
+			])
+			.innerJoin('insights.metadata', 'metadata')
+			.innerJoin('metadata.workflowMetadata', 'workflowMetadata')
+			// Use a cross join with the CTE
+			.innerJoin('date_ranges', 'date_ranges', '1=1')
+			.where('insights.periodStart >= date_ranges.start_date')
+			.andWhere('insights.periodStart < date_ranges.end_date')
+			.andWhere('workflowMetadata.workflowId = :workflowId', { workflowId })
+			.groupBy('metadata.nodeId')
+			.addGroupBy('metadata.nodeName')
+			.addGroupBy('metadata.nodeType')
+			.orderBy(this.escapeField(sortField), sortOrder);
+
+		const count = (await rawRowsQuery.getRawMany()).length;
+		const rawRows = await rawRowsQuery.offset(skip).limit(take).getRawMany();
+
+		return { count, rows: aggregatedInsightsByNodeParser.parse(rawRows) };
+	}
+
+	async pruneOldData(maxAgeInDays: number): Promise<{ affected: number | null | undefined }> {
+		const thresholdDate = DateTime.now().minus({ days: maxAgeInDays }).startOf('day').toJSDate();
+		const result = await this.delete({
+			periodStart: LessThanOrEqual(thresholdDate),
+		});
+
+		return { affected: result.affected };
+	}
+}
@@ -0,0 +1,11 @@
+import { Service } from '@n8n/di';
+import { DataSource, Repository } from '@n8n/typeorm';
+
+import { InsightsNodeMetadata } from '../entities/insights-node-metadata';
+
+@Service()
+export class InsightsNodeMetadataRepository extends Repository<InsightsNodeMetadata> {
+	constructor(dataSource: DataSource) {
+		super(InsightsNodeMetadata, dataSource.manager);
+	}
+}
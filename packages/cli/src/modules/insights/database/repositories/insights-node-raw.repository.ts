@@ -0,0 +1,33 @@
+import { Service } from '@n8n/di';
+import { DataSource, Repository } from '@n8n/typeorm';
+
+import { InsightsNodeRaw } from '../entities/insights-node-raw';
+
+@Service()
+export class InsightsNodeRawRepository extends Repository<InsightsNodeRaw> {
+	constructor(dataSource: DataSource) {
+		super(InsightsNodeRaw, dataSource.manager);
+	}
+
+	getRawInsightsBatchQuery(compactionBatchSize: number) {
+		// Build the query to gather raw node insights data for the batch
+		const batchQuery = this.manager
+			.createQueryBuilder<{
+				id: number;
+				metaId: number;
+				type: string;
+				value: number;
+				periodStart: Date;
+			}>(InsightsNodeRaw, 'insightsNodeRaw')
+			.select(
+				['id', 'metaId', 'type', 'value'].map((fieldName) =>
+					this.manager.connection.driver.escape(fieldName),
+				),
+			)
+			.addSelect('timestamp', 'periodStart')
+			.orderBy('timestamp', 'ASC')
+			.limit(compactionBatchSize);
+
+		return batchQuery;
+	}
+}
@@ -12,9 +12,22 @@ import {
 } from 'n8n-workflow';
 
 import { InsightsMetadata } from '@/modules/insights/database/entities/insights-metadata';
+import {
+	INSIGHTS_NODE_NAME_MAX_LENGTH,
+	InsightsNodeMetadata,
+} from '@/modules/insights/database/entities/insights-node-metadata';
+import { InsightsNodeRaw } from '@/modules/insights/database/entities/insights-node-raw';
 import { InsightsRaw } from '@/modules/insights/database/entities/insights-raw';
+import {
+	isValidCustomMetricName,
+	type NodeTypeUnit,
+	type TypeUnit,
+} from '@/modules/insights/database/entities/insights-shared';
 
 import { InsightsMetadataRepository } from './database/repositories/insights-metadata.repository';
+import { InsightsMetricTypeRepository } from './database/repositories/insights-metric-type.repository';
+import { InsightsNodeMetadataRepository } from './database/repositories/insights-node-metadata.repository';
+import { InsightsNodeRawRepository } from './database/repositories/insights-node-raw.repository';
 import { InsightsRawRepository } from './database/repositories/insights-raw.repository';
 import { InsightsConfig } from './insights.config';
 
@@ -55,10 +68,16 @@ const MIN_RUNTIME = 0;
 // PostgreSQL INTEGER max (signed 32-bit)
 const MAX_RUNTIME = 2 ** 31 - 1;
 
-type BufferedInsight = Pick<InsightsRaw, 'type' | 'value' | 'timestamp'> & {
+type NodeDescriptor = { id: string; name: string; type: string };
+
+type BufferedInsight = Pick<InsightsRaw, 'value' | 'timestamp'> & {
 	workflowId: string;
 	workflowName: string;
-};
+} & (
+		| { type: TypeUnit }
+		| { type: 'custom'; metricName: string }
+		| { type: 'node'; nodeInsightType: NodeTypeUnit; node: NodeDescriptor }
+	);
 
 /**
  * This service is responsible for collecting insights event, store them in a buffer,
@@ -68,6 +87,12 @@ type BufferedInsight = Pick<InsightsRaw, 'type' | 'value' | 'timestamp'> & {
 export class InsightsCollectionService {
 	private readonly cachedMetadata: Map<string, InsightsMetadata> = new Map();
 
+	/** Node metadata by workflow metadata id and node id */
+	private readonly cachedNodeMetadata: Map<string, InsightsNodeMetadata> = new Map();
+
+	/** Type numbers of custom metrics by metric name */
+	private readonly cachedMetricTypeNumbers: Map<string, number> = new Map();
+
 	private bufferedInsights: Set<BufferedInsight> = new Set();
 
 	private flushInsightsRawBufferTimer: NodeJS.Timeout | undefined;
@@ -82,6 +107,9 @@ export class InsightsCollectionService {
 		private readonly sharedWorkflowRepository: SharedWorkflowRepository,
 		private readonly insightsRawRepository: InsightsRawRepository,
 		private readonly insightsMetadataRepository: InsightsMetadataRepository,
+		private readonly insightsMetricTypeRepository: InsightsMetricTypeRepository,
+		private readonly insightsNodeMetadataRepository: InsightsNodeMetadataRepository,
+		private readonly insightsNodeRawRepository: InsightsNodeRawRepository,
 		private readonly insightsConfig: InsightsConfig,
 		private readonly logger: Logger,
 	) {
@@ -186,6 +214,29 @@ export class InsightsCollectionService {
 			}
 		}
 
+		// custom metrics emitted by nodes
+		for (const [metricName, value] of this.extractCustomMetricsFromNodes(ctx.runData)) {
+			this.bufferedInsights.add({
+				...commonWorkflowData,
+				type: 'custom',
+				metricName,
+				value,
+			});
+		}
+
+		// per-node runtime, failure and item count events
+		if (this.insightsConfig.nodeInsightsEnabled) {
+			for (const { node, nodeInsightType, value } of this.extractNodeInsights(ctx)) {
+				this.bufferedInsights.add({
+					...commonWorkflowData,
+					type: 'node',
+					nodeInsightType,
+					node,
+					value,
+				});
+			}
+		}
+
 		if (!this.isAsynchronouslySavingInsights) {
 			this.logger.debug('Flushing insights synchronously (shutdown in progress)');
 			// If we are not asynchronously saving insights, we need to flush the events
@@ -244,9 +295,12 @@ export class InsightsCollectionService {
 			this.cachedMetadata.set(metadata.workflowId, metadata);
 		}
 
+		await this.cacheMetricTypeNumbers(insightsRawToInsertBuffer);
+		await this.cacheNodeMetadata(insightsRawToInsertBuffer);
+
 		const events: InsightsRaw[] = [];
+		const nodeEvents: InsightsNodeRaw[] = [];
 		for (const event of insightsRawToInsertBuffer) {
-			const insight = new InsightsRaw();
 			const metadata = this.cachedMetadata.get(event.workflowId);
 			if (!metadata) {
 				// could not find shared workflow for this insight (not supposed to happen)
@@ -254,8 +308,27 @@ export class InsightsCollectionService {
 					`Could not find shared workflow for insight with workflowId ${event.workflowId}`,
 				);
 			}
+
+			if (event.type === 'node') {
+				const nodeInsight = new InsightsNodeRaw();
+				nodeInsight.metaId = this.cachedNodeMetadata.get(
+					this.getNodeMetadataKey(metadata.metaId, event.node.id),
+				)!.metaId;
+				nodeInsight.type = event.nodeInsightType;
+				nodeInsight.value = event.value;
+				nodeInsight.timestamp = event.timestamp;
+
+				nodeEvents.push(nodeInsight);
+				continue;
+			}
+
+			const insight = new InsightsRaw();
 			insight.metaId = metadata.metaId;
-			insight.type = event.type;
+			if (event.type === 'custom') {
+				insight.typeNumber = this.cachedMetricTypeNumbers.get(event.metricName)!;
+			} else {
+				insight.type = event.type;
+			}
 			insight.value = event.value;
 			insight.timestamp = event.timestamp;
 
@@ -264,6 +337,90 @@ export class InsightsCollectionService {
 
 		this.logger.debug(`Inserting ${events.length} insights raw`);
 		await this.insightsRawRepository.insert(events);
+
+		if (nodeEvents.length > 0) {
+			this.logger.debug(`Inserting ${nodeEvents.length} node insights raw`);
+			await this.insightsNodeRawRepository.insert(nodeEvents);
+		}
+	}
+
+	private getNodeMetadataKey(workflowMetaId: number, nodeId: string) {
+		return `${workflowMetaId}:${nodeId}`;
+	}
+
+	/**
+	 * Makes sure the metadata of all nodes in the buffer is cached, upserting
+	 * the metadata of new nodes and of nodes that were renamed.
+	 * The workflow metadata must already be cached.
+	 */
+	private async cacheNodeMetadata(insights: Set<BufferedInsight>) {
+		const nodeMetadataToUpsert = new Map<string, InsightsNodeMetadata>();
+		for (const event of insights) {
+			if (event.type !== 'node') continue;
+
+			const workflowMetadata = this.cachedMetadata.get(event.workflowId);
+			if (!workflowMetadata) continue;
+
+			const key = this.getNodeMetadataKey(workflowMetadata.metaId, event.node.id);
+			const cachedNodeMetadata = this.cachedNodeMetadata.get(key);
+			const nodeName = event.node.name.slice(0, INSIGHTS_NODE_NAME_MAX_LENGTH);
+			if (
+				!cachedNodeMetadata ||
+				cachedNodeMetadata.nodeName !== nodeName ||
+				cachedNodeMetadata.nodeType !== event.node.type
+			) {
+				const nodeMetadata = new InsightsNodeMetadata();
+				nodeMetadata.workflowMetaId = workflowMetadata.metaId;
+				nodeMetadata.nodeId = event.node.id;
+				nodeMetadata.nodeName = nodeName;
+				nodeMetadata.nodeType = event.node.type;
+
+				nodeMetadataToUpsert.set(key, nodeMetadata);
+			}
+		}
+
+		if (nodeMetadataToUpsert.size === 0) return;
+
+		this.logger.debug(`Saving ${nodeMetadataToUpsert.size} insights metadata for nodes`);
+		await this.insightsNodeMetadataRepository.upsert(
+			[...nodeMetadataToUpsert.values()],
+			['workflowMetaId', 'nodeId'],
+		);
+
+		const upsertNodeMetadata = await this.insightsNodeMetadataRepository.findBy(
+			[...nodeMetadataToUpsert.values()].map(({ workflowMetaId, nodeId }) => ({
+				workflowMetaId,
+				nodeId,
+			})),
+		);
+		for (const nodeMetadata of upsertNodeMetadata) {
+			this.cachedNodeMetadata.set(
+				this.getNodeMetadataKey(nodeMetadata.workflowMetaId, nodeMetadata.nodeId),
+				nodeMetadata,
+			);
+		}
+	}
+
+	/**
+	 * Makes sure the type numbers of all custom metrics in the buffer are cached,
+	 * creating metric types for metrics that are emitted for the first time.
+	 */
+	private async cacheMetricTypeNumbers(insights: Set<BufferedInsight>) {
+		const uncachedMetricNames = new Set<string>();
+		for (const event of insights) {
+			if (event.type === 'custom' && !this.cachedMetricTypeNumbers.has(event.metricName)) {
+				uncachedMetricNames.add(event.metricName);
+			}
+		}
+
+		if (uncachedMetricNames.size === 0) return;
+
+		const metricTypes = await this.insightsMetricTypeRepository.findOrCreateByNames([
+			...uncachedMetricNames,
+		]);
+		for (const metricType of metricTypes) {
+			this.cachedMetricTypeNumbers.set(metricType.name, metricType.typeNumber);
+		}
 	}
 
 	async flushEvents() {
@@ -347,4 +504,85 @@ export class InsightsCollectionService {
 
 		return totalMinutes;
 	}
+
+	/**
+	 * Extract and sum custom metrics by name from all nodes in the workflow execution.
+	 * Metrics with an invalid name or a non-finite value are skipped.
+	 */
+	private extractCustomMetricsFromNodes(runData: IRun): Map<string, number> {
+		const metrics = new Map<string, number>();
+
+		const resultData = runData.data?.resultData?.runData ?? {};
+
+		for (const nodeName in resultData) {
+			for (const taskDataEntry of resultData[nodeName]) {
+				const insightsMetrics = taskDataEntry?.metadata?.insightsMetrics ?? {};
+
+				for (const [metricName, value] of Object.entries(insightsMetrics)) {
+					if (!isValidCustomMetricName(metricName) || !Number.isFinite(value)) {
+						this.logger.warn(`Skipping invalid custom insight metric '${metricName}'`, {
+							nodeName,
+						});
+						continue;
+					}
+
+					metrics.set(metricName, (metrics.get(metricName) ?? 0) + value);
+				}
+			}
+		}
+
+		// insights values are stored as integers
+		for (const [metricName, value] of metrics) {
+			metrics.set(metricName, Math.round(value));
+		}
+
+		return metrics;
+	}
+
+	/**
+	 * Extract the runtime, successful and failed runs and output item count
+	 * of every executed node, summed over all runs of the node.
+	 */
+	private extractNodeInsights(
+		ctx: WorkflowExecuteAfterContext,
+	): Array<{ node: NodeDescriptor; nodeInsightType: NodeTypeUnit; value: number }> {
+		const insights: Array<{ node: NodeDescriptor; nodeInsightType: NodeTypeUnit; value: number }> =
+			[];
+
+		const nodesByName = new Map(ctx.workflow.nodes.map((node) => [node.name, node]));
+		const resultData = ctx.runData.data?.resultData?.runData ?? {};
+
+		for (const nodeName in resultData) {
+			const workflowNode = nodesByName.get(nodeName);
+			if (!workflowNode) continue;
+
+			const totals: Record<NodeTypeUnit, number> = {
+				runtime_ms: 0,
+				success: 0,
+				failure: 0,
+				items_output: 0,
+			};
+
+			for (const taskDataEntry of resultData[nodeName]) {
+				if (!taskDataEntry) continue;
+
+				totals.runtime_ms += taskDataEntry.executionTime ?? 0;
+				totals[taskDataEntry.error ? 'failure' : 'success'] += 1;
+				for (const items of taskDataEntry.data?.main ?? []) {
+					totals.items_output += items?.length ?? 0;
+				}
+			}
+
+			totals.runtime_ms = Math.min(Math.max(totals.runtime_ms, MIN_RUNTIME), MAX_RUNTIME);
+
+			const node = { id: workflowNode.id, name: workflowNode.name, type: workflowNode.type };
+			for (const [nodeInsightType, value] of Object.entries(totals) as Array<
+				[NodeTypeUnit, number]
+			>) {
+				if (value > 0) insights.push({ node, nodeInsightType, value });
+			}
+		}
+
+		return insights;
+	}
 }
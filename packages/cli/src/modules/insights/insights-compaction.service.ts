@@ -1,7 +1,10 @@
 import { Logger } from '@n8n/backend-common';
 import { Service } from '@n8n/di';
 
+import type { PeriodUnit } from './database/entities/insights-shared';
 import { InsightsByPeriodRepository } from './database/repositories/insights-by-period.repository';
+import { InsightsNodeByPeriodRepository } from './database/repositories/insights-node-by-period.repository';
+import { InsightsNodeRawRepository } from './database/repositories/insights-node-raw.repository';
 import { InsightsRawRepository } from './database/repositories/insights-raw.repository';
 import { InsightsConfig } from './insights.config';
 import { Time } from '@n8n/constants';
@@ -17,6 +20,8 @@ export class InsightsCompactionService {
 	constructor(
 		private readonly insightsByPeriodRepository: InsightsByPeriodRepository,
 		private readonly insightsRawRepository: InsightsRawRepository,
+		private readonly insightsNodeByPeriodRepository: InsightsNodeByPeriodRepository,
+		private readonly insightsNodeRawRepository: InsightsNodeRawRepository,
 		private readonly insightsConfig: InsightsConfig,
 		private readonly logger: Logger,
 	) {
@@ -66,6 +71,37 @@ export class InsightsCompactionService {
 			numberOfCompactedDayData = await this.compactDayToWeek();
 			this.logger.debug(`Compacted ${numberOfCompactedDayData} daily data to weekly aggregates`);
 		} while (numberOfCompactedDayData === this.insightsConfig.compactionBatchSize);
+
+		await this.compactNodeInsights();
+	}
+
+	/**
+	 * Compacts node insights with the same rollups as workflow insights.
+	 * Runs even if node insights are disabled, to compact data collected
+	 * while they were enabled.
+	 */
+	async compactNodeInsights() {
+		let numberOfCompactedRawData: number;
+		do {
+			numberOfCompactedRawData = await this.compactNodeRawToHour();
+			this.logger.debug(`Compacted ${numberOfCompactedRawData} raw node data to hourly aggregates`);
+		} while (numberOfCompactedRawData === this.insightsConfig.compactionBatchSize);
+
+		let numberOfCompactedHourData: number;
+		do {
+			numberOfCompactedHourData = await this.compactNodePeriod('hour', 'day');
+			this.logger.debug(
+				`Compacted ${numberOfCompactedHourData} hourly node data to daily aggregates`,
+			);
+		} while (numberOfCompactedHourData === this.insightsConfig.compactionBatchSize);
+
+		let numberOfCompactedDayData: number;
+		do {
+			numberOfCompactedDayData = await this.compactNodePeriod('day', 'week');
+			this.logger.debug(
+				`Compacted ${numberOfCompactedDayData} daily node data to weekly aggregates`,
+			);
+		} while (numberOfCompactedDayData === this.insightsConfig.compactionBatchSize);
 	}
 
 	/**
@@ -117,4 +153,41 @@ export class InsightsCompactionService {
 			periodUnitToCompactInto: 'week',
 		});
 	}
+
+	/**
+	 * Compacts raw node data to hourly aggregates
+	 */
+	async compactNodeRawToHour() {
+		const batchQuery = this.insightsNodeRawRepository.getRawInsightsBatchQuery(
+			this.insightsConfig.compactionBatchSize,
+		);
+
+		return await this.insightsNodeByPeriodRepository.compactSourceDataIntoInsightPeriod({
+			sourceBatchQuery: batchQuery,
+			sourceTableName: this.insightsNodeRawRepository.metadata.tableName,
+			periodUnitToCompactInto: 'hour',
+		});
+	}
+
+	/**
+	 * Compacts hourly node data to daily aggregates, or daily node data to weekly aggregates
+	 */
+	async compactNodePeriod(
+		periodUnitToCompactFrom: 'hour' | 'day',
+		periodUnitToCompactInto: PeriodUnit,
+	) {
+		const batchQuery = this.insightsNodeByPeriodRepository.getPeriodInsightsBatchQuery({
+			periodUnitToCompactFrom,
+			compactionBatchSize: this.insightsConfig.compactionBatchSize,
+			maxAgeInDays:
+				periodUnitToCompactFrom === 'hour'
+					? this.insightsConfig.compactionHourlyToDailyThresholdDays
+					: this.insightsConfig.compactionDailyToWeeklyThresholdDays,
+		});
+
+		return await this.insightsNodeByPeriodRepository.compactSourceDataIntoInsightPeriod({
+			sourceBatchQuery: batchQuery,
+			periodUnitToCompactInto,
+		});
+	}
 }
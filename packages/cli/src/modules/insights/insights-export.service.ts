@@ -0,0 +1,237 @@
+import type { InsightsExportFormat } from '@n8n/api-types';
+import { Service } from '@n8n/di';
+import { ByteWriter, ParquetWriter, schemaFromColumnData } from 'hyparquet-writer';
+import type { ColumnSource } from 'hyparquet-writer';
+import { UnexpectedError } from 'n8n-workflow';
+import { once } from 'node:events';
+import type { Writable } from 'node:stream';
+
+import {
+	isValidPeriodNumber,
+	isValidTypeNumber,
+	NumberToPeriodUnit,
+	NumberToType,
+} from './database/entities/insights-shared';
+import { InsightsByPeriodRepository } from './database/repositories/insights-by-period.repository';
+import { InsightsMetricTypeRepository } from './database/repositories/insights-metric-type.repository';
+
+const EXPORT_BATCH_SIZE = 10_000;
+
+type InsightsExportFilters = {
+	startDate: Date;
+	endDate: Date;
+	projectId?: string;
+};
+
+type InsightsExportRow = {
+	periodStart: string;
+	periodUnit: string;
+	metric: string;
+	value: number;
+	workflowId: string | null;
+	workflowName: string;
+	projectId: string | null;
+	projectName: string;
+};
+
+const EXPORT_COLUMNS: Array<keyof InsightsExportRow> = [
+	'periodStart',
+	'periodUnit',
+	'metric',
+	'value',
+	'workflowId',
+	'workflowName',
+	'projectId',
+	'projectName',
+];
+
+/**
+ * Writes to the output, waiting for it to drain if its buffer is full.
+ *
+ * @returns false if the output was closed, e.g. because the client disconnected
+ */
+async function writeToOutput(output: Writable, chunk: string | Uint8Array) {
+	if (output.destroyed) return false;
+
+	if (!output.write(chunk)) {
+		await Promise.race([once(output, 'drain'), once(output, 'close')]);
+	}
+
+	return !output.destroyed;
+}
+
+/**
+ * Parquet writer that streams each finished row group to the output,
+ * instead of keeping the whole file in memory.
+ */
+class StreamingParquetByteWriter extends ByteWriter {
+	constructor(private readonly output: Writable) {
+		super();
+	}
+
+	async flush() {
+		// copy the bytes, as the buffer is reused for the next row group
+		const chunk = this.getBytes().slice();
+		this.index = 0;
+		await writeToOutput(this.output, chunk);
+	}
+
+	async finish() {
+		await this.flush();
+	}
+}
+
+/**
+ * Exports the compacted insights, with the workflow and project they belong to,
+ * so they can be analyzed in external BI tools.
+ */
+@Service()
+export class InsightsExportService {
+	constructor(
+		private readonly insightsByPeriodRepository: InsightsByPeriodRepository,
+		private readonly insightsMetricTypeRepository: InsightsMetricTypeRepository,
+	) {}
+
+	/**
+	 * Streams the insights in the date range to the output, one row per
+	 * workflow, metric and period.
+	 */
+	async export(format: InsightsExportFormat, filters: InsightsExportFilters, output: Writable) {
+		if (format === 'parquet') {
+			await this.exportParquet(filters, output);
+		} else {
+			await this.exportCsv(filters, output);
+		}
+	}
+
+	private async exportCsv(filters: InsightsExportFilters, output: Writable) {
+		if (!(await writeToOutput(output, `${EXPORT_COLUMNS.join(',')}\n`))) return;
+
+		for await (const rows of this.getRowBatches(filters)) {
+			const csv = rows
+				.map((row) => EXPORT_COLUMNS.map((column) => this.escapeCsvValue(row[column])).join(','))
+				.join('\n');
+
+			if (!(await writeToOutput(output, `${csv}\n`))) return;
+		}
+	}
+
+	private async exportParquet(filters: InsightsExportFilters, output: Writable) {
+		const writer = new StreamingParquetByteWriter(output);
+		const parquetWriter = new ParquetWriter({
+			writer,
+			schema: schemaFromColumnData({ columnData: this.toParquetColumns([]) }),
+		});
+
+		for await (const rows of this.getRowBatches(filters)) {
+			await parquetWriter.write({
+				columnData: this.toParquetColumns(rows),
+				rowGroupSize: EXPORT_BATCH_SIZE,
+			});
+
+			if (output.destroyed) return;
+		}
+
+		await parquetWriter.finish();
+	}
+
+	private toParquetColumns(rows: InsightsExportRow[]): ColumnSource[] {
+		return [
+			{
+				name: 'periodStart',
+				type: 'TIMESTAMP',
+				nullable: false,
+				data: rows.map((row) => new Date(row.periodStart)),
+			},
+			{
+				name: 'periodUnit',
+				type: 'STRING',
+				nullable: false,
+				data: rows.map((row) => row.periodUnit),
+			},
+			{ name: 'metric', type: 'STRING', nullable: false, data: rows.map((row) => row.metric) },
+			{
+				name: 'value',
+				type: 'INT64',
+				nullable: false,
+				data: rows.map((row) => BigInt(row.value)),
+			},
+			{ name: 'workflowId', type: 'STRING', data: rows.map((row) => row.workflowId) },
+			{
+				name: 'workflowName',
+				type: 'STRING',
+				nullable: false,
+				data: rows.map((row) => row.workflowName),
+			},
+			{ name: 'projectId', type: 'STRING', data: rows.map((row) => row.projectId) },
+			{
+				name: 'projectName',
+				type: 'STRING',
+				nullable: false,
+				data: rows.map((row) => row.projectName),
+			},
+		];
+	}
+
+	/**
+	 * Reads the insights in batches, resolving type numbers to the name of the
+	 * built-in type or custom metric.
+	 */
+	private async *getRowBatches(filters: InsightsExportFilters) {
+		const metricTypes = await this.insightsMetricTypeRepository.find();
+		const metricNames = new Map(metricTypes.map(({ typeNumber, name }) => [typeNumber, name]));
+
+		let afterId = 0;
+
+		while (true) {
+			const rows = await this.insightsByPeriodRepository.getInsightsForExport({
+				...filters,
+				afterId,
+				take: EXPORT_BATCH_SIZE,
+			});
+
+			if (rows.length === 0) return;
+
+			yield rows.map(({ id: _, type, periodUnit, ...row }): InsightsExportRow => {
+				if (!isValidPeriodNumber(periodUnit)) {
+					throw new UnexpectedError(`Period unit '${periodUnit}' is not a valid unit`);
+				}
+
+				return {
+					...row,
+					periodUnit: NumberToPeriodUnit[periodUnit],
+					metric: isValidTypeNumber(type)
+						? NumberToType[type]
+						: (metricNames.get(type) ?? `custom_${type}`),
+				};
+			});
+
+			if (rows.length < EXPORT_BATCH_SIZE) return;
+
+			afterId = rows[rows.length - 1].id;
+		}
+	}
+
+	private escapeCsvValue(value: unknown): string {
+		const str = value === null || value === undefined ? '' : String(value);
+
+		// RFC 4180 compliant escaping:
+		// - If value contains comma, quote, or newline, wrap in quotes
+		// - Also wrap if value has leading/trailing spaces to prevent trimming
+		// - Escape quotes by doubling them
+		const hasLeadingOrTrailingSpace =
+			str.length > 0 && (str[0] === ' ' || str[str.length - 1] === ' ');
+
+		if (
+			str.includes(',') ||
+			str.includes('"') ||
+			str.includes('\n') ||
+			str.includes('\r') ||
+			hasLeadingOrTrailingSpace
+		) {
+			return `"${str.replace(/"/g, '""')}"`;
+		}
+
+		return str;
+	}
+}
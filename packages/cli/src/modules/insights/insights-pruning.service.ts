@@ -4,6 +4,7 @@ import { Service } from '@n8n/di';
 import { strict } from 'assert';
 
 import { InsightsByPeriodRepository } from './database/repositories/insights-by-period.repository';
+import { InsightsNodeByPeriodRepository } from './database/repositories/insights-node-by-period.repository';
 import { InsightsConfig } from './insights.config';
 
 @Service()
@@ -16,6 +17,7 @@ export class InsightsPruningService {
 
 	constructor(
 		private readonly insightsByPeriodRepository: InsightsByPeriodRepository,
+		private readonly insightsNodeByPeriodRepository: InsightsNodeByPeriodRepository,
 		private readonly config: InsightsConfig,
 		private readonly licenseState: LicenseState,
 		private readonly logger: Logger,
@@ -75,6 +77,13 @@ export class InsightsPruningService {
 				'Deleted insights by period',
 				result.affected ? { count: result.affected } : {},
 			);
+			const nodeResult = await this.insightsNodeByPeriodRepository.pruneOldData(
+				this.pruningMaxAgeInDays,
+			);
+			this.logger.debug(
+				'Deleted node insights by period',
+				nodeResult.affected ? { count: nodeResult.affected } : {},
+			);
 			this.scheduleNextPrune();
 		} catch (error: unknown) {
 			this.logger.warn('Pruning failed', { error });
@@ -57,4 +57,11 @@ export class InsightsConfig {
 	 */
 	@Env('N8N_INSIGHTS_PRUNE_CHECK_INTERVAL_HOURS')
 	pruneCheckIntervalHours: number = 24;
+
+	/**
+	 * Whether to also collect runtime, failure and item count insights per node.
+	 * Default: false
+	 */
+	@Env('N8N_INSIGHTS_NODE_INSIGHTS_ENABLED')
+	nodeInsightsEnabled: boolean = false;
 }
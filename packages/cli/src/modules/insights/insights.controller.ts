@@ -1,25 +1,39 @@
 import type {
+	CustomInsightsByTime,
+	InsightsByNode,
 	InsightsByTime,
+	InsightsCustomMetric,
 	InsightsByWorkflow,
 	InsightsSummary,
 	RestrictedInsightsByTime,
 } from '@n8n/api-types';
-import { InsightsDateFilterDto, ListInsightsWorkflowQueryDto } from '@n8n/api-types';
+import {
+	InsightsCustomMetricsQueryDto,
+	InsightsDateFilterDto,
+	InsightsExportQueryDto,
+	ListInsightsNodeQueryDto,
+	ListInsightsWorkflowQueryDto,
+} from '@n8n/api-types';
 import { AuthenticatedRequest } from '@n8n/db';
-import { Get, GlobalScope, Licensed, Query, RestController } from '@n8n/decorators';
+import { Get, GlobalScope, Licensed, Param, Query, RestController } from '@n8n/decorators';
+import type express from 'express';
 import { DateTime } from 'luxon';
-import { UserError } from 'n8n-workflow';
+import { ensureError, UserError } from 'n8n-workflow';
 import { z } from 'zod';
 
 import { BadRequestError } from '@/errors/response-errors/bad-request.error';
 import { ForbiddenError } from '@/errors/response-errors/forbidden.error';
 import { InternalServerError } from '@/errors/response-errors/internal-server.error';
 
+import { InsightsExportService } from './insights-export.service';
 import { InsightsService } from './insights.service';
 
 @RestController('/insights')
 export class InsightsController {
-	constructor(private readonly insightsService: InsightsService) {}
+	constructor(
+		private readonly insightsService: InsightsService,
+		private readonly insightsExportService: InsightsExportService,
+	) {}
 
 	@Get('/summary')
 	@GlobalScope('insights:list')
@@ -57,6 +71,31 @@ export class InsightsController {
 		});
 	}
 
+	/**
+	 * Per-node insights of a workflow, e.g. to find its slowest or most failure-prone nodes.
+	 * Only collected when node insights are enabled.
+	 */
+	@Get('/by-workflow/:workflowId/nodes')
+	@GlobalScope('insights:list')
+	@Licensed('feat:insights:viewDashboard')
+	async getInsightsByNode(
+		_req: AuthenticatedRequest,
+		_res: Response,
+		@Param('workflowId') workflowId: string,
+		@Query query: ListInsightsNodeQueryDto,
+	): Promise<InsightsByNode> {
+		const { startDate, endDate } = this.prepareDateFilters(query);
+
+		return await this.insightsService.getInsightsByNode({
+			workflowId,
+			skip: query.skip,
+			take: query.take,
+			sortBy: query.sortBy,
+			startDate,
+			endDate,
+		});
+	}
+
 	@Get('/by-time')
 	@GlobalScope('insights:list')
 	@Licensed('feat:insights:viewDashboard')
@@ -99,6 +138,70 @@ export class InsightsController {
 		})) as RestrictedInsightsByTime[];
 	}
 
+	@Get('/custom-metrics')
+	@GlobalScope('insights:list')
+	@Licensed('feat:insights:viewDashboard')
+	async getCustomMetrics(): Promise<InsightsCustomMetric[]> {
+		return await this.insightsService.getCustomMetrics();
+	}
+
+	/**
+	 * Custom metrics emitted from workflows, aggregated by time.
+	 */
+	@Get('/by-time/custom-metrics')
+	@GlobalScope('insights:list')
+	@Licensed('feat:insights:viewDashboard')
+	async getCustomMetricsByTime(
+		_req: AuthenticatedRequest,
+		_res: Response,
+		@Query query: InsightsCustomMetricsQueryDto,
+	): Promise<CustomInsightsByTime[]> {
+		const { startDate, endDate } = this.prepareDateFilters(query);
+
+		return await this.insightsService.getCustomMetricsByTime({
+			metricNames: query.metrics,
+			projectId: query.projectId,
+			startDate,
+			endDate,
+		});
+	}
+
+	/**
+	 * Streams the insights of the date range as CSV or Parquet file,
+	 * e.g. to analyze them in external BI tools.
+	 */
+	@Get('/export')
+	@GlobalScope('insights:list')
+	@Licensed('feat:insights:viewDashboard')
+	async exportInsights(
+		_req: AuthenticatedRequest,
+		res: express.Response,
+		@Query query: InsightsExportQueryDto,
+	) {
+		const { startDate, endDate } = this.prepareDateFilters(query);
+
+		res.setHeader(
+			'Content-Type',
+			query.format === 'parquet' ? 'application/vnd.apache.parquet' : 'text/csv; charset=utf-8',
+		);
+		res.setHeader('Content-Disposition', `attachment; filename="insights.${query.format}"`);
+
+		try {
+			await this.insightsExportService.export(
+				query.format,
+				{ startDate, endDate, projectId: query.projectId },
+				res,
+			);
+			res.end();
+		} catch (error) {
+			if (!res.headersSent) throw error;
+
+			// The response is already partially sent, so abort it to not leave
+			// the client with a truncated file that looks complete
+			res.destroy(ensureError(error));
+		}
+	}
+
 	private validateQueryDates(query: InsightsDateFilterDto | ListInsightsWorkflowQueryDto) {
 		const inThePast = (date?: Date) => !date || date <= new Date();
 		const dateInThePastSchema = z.coerce
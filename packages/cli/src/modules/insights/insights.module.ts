@@ -18,9 +18,21 @@ export class InsightsModule implements ModuleInterface {
 	async entities() {
 		const { InsightsByPeriod } = await import('./database/entities/insights-by-period');
 		const { InsightsMetadata } = await import('./database/entities/insights-metadata');
+		const { InsightsMetricType } = await import('./database/entities/insights-metric-type');
+		const { InsightsNodeByPeriod } = await import('./database/entities/insights-node-by-period');
+		const { InsightsNodeMetadata } = await import('./database/entities/insights-node-metadata');
+		const { InsightsNodeRaw } = await import('./database/entities/insights-node-raw');
 		const { InsightsRaw } = await import('./database/entities/insights-raw');
 
-		return [InsightsByPeriod, InsightsMetadata, InsightsRaw];
+		return [
+			InsightsByPeriod,
+			InsightsMetadata,
+			InsightsMetricType,
+			InsightsNodeByPeriod,
+			InsightsNodeMetadata,
+			InsightsNodeRaw,
+			InsightsRaw,
+		];
 	}
 
 	async settings() {
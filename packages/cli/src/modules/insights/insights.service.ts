@@ -1,7 +1,13 @@
-import { type InsightsSummary } from '@n8n/api-types';
+import type {
+	CustomInsightsByTime,
+	InsightsByNode,
+	InsightsCustomMetric,
+	InsightsSummary,
+} from '@n8n/api-types';
 import { LicenseState, Logger } from '@n8n/backend-common';
 import { OnLeaderStepdown, OnLeaderTakeover } from '@n8n/decorators';
 import { Container, Service } from '@n8n/di';
+import { In } from '@n8n/typeorm';
 import { DateTime } from 'luxon';
 import { InstanceSettings } from 'n8n-core';
 import { UserError } from 'n8n-workflow';
@@ -9,6 +15,8 @@ import { UserError } from 'n8n-workflow';
 import type { PeriodUnit, TypeUnit } from './database/entities/insights-shared';
 import { NumberToType, TypeToNumber } from './database/entities/insights-shared';
 import { InsightsByPeriodRepository } from './database/repositories/insights-by-period.repository';
+import { InsightsMetricTypeRepository } from './database/repositories/insights-metric-type.repository';
+import { InsightsNodeByPeriodRepository } from './database/repositories/insights-node-by-period.repository';
 import { InsightsCompactionService } from './insights-compaction.service';
 import { InsightsPruningService } from './insights-pruning.service';
 
@@ -16,6 +24,8 @@ import { InsightsPruningService } from './insights-pruning.service';
 export class InsightsService {
 	constructor(
 		private readonly insightsByPeriodRepository: InsightsByPeriodRepository,
+		private readonly insightsMetricTypeRepository: InsightsMetricTypeRepository,
+		private readonly insightsNodeByPeriodRepository: InsightsNodeByPeriodRepository,
 		private readonly compactionService: InsightsCompactionService,
 		private readonly pruningService: InsightsPruningService,
 		private readonly licenseState: LicenseState,
@@ -192,6 +202,40 @@ export class InsightsService {
 		};
 	}
 
+	/**
+	 * Per-node insights of a workflow, to find its slowest and most failure-prone nodes.
+	 * Only available for the time node insights were enabled.
+	 */
+	async getInsightsByNode({
+		workflowId,
+		skip = 0,
+		take = 10,
+		sortBy = 'averageRunTime:desc',
+		startDate,
+		endDate,
+	}: {
+		workflowId: string;
+		skip?: number;
+		take?: number;
+		sortBy?: string;
+		startDate: Date;
+		endDate: Date;
+	}): Promise<InsightsByNode> {
+		const { count, rows } = await this.insightsNodeByPeriodRepository.getInsightsByNode({
+			workflowId,
+			startDate,
+			endDate,
+			skip,
+			take,
+			sortBy,
+		});
+
+		return {
+			count,
+			data: rows,
+		};
+	}
+
 	async getInsightsByTime({
 		// Default to all insight types
 		insightTypes = Object.keys(TypeToNumber) as TypeUnit[],
@@ -238,6 +282,48 @@ export class InsightsService {
 		});
 	}
 
+	async getCustomMetrics(): Promise<InsightsCustomMetric[]> {
+		const metricTypes = await this.insightsMetricTypeRepository.find({ order: { name: 'ASC' } });
+
+		return metricTypes.map(({ name, createdAt }) => ({
+			name,
+			createdAt: createdAt.toISOString(),
+		}));
+	}
+
+	/**
+	 * Returns the values of custom metrics aggregated by period.
+	 * Metrics that were never emitted are reported as 0.
+	 */
+	async getCustomMetricsByTime({
+		metricNames,
+		projectId,
+		startDate,
+		endDate,
+	}: {
+		metricNames: string[];
+		projectId?: string;
+		startDate: Date;
+		endDate: Date;
+	}): Promise<CustomInsightsByTime[]> {
+		const metricTypes = await this.insightsMetricTypeRepository.findBy({ name: In(metricNames) });
+		if (metricTypes.length === 0) return [];
+
+		const periodUnit = this.getDateFiltersGranularity({ startDate, endDate });
+		const rows = await this.insightsByPeriodRepository.getCustomMetricsByTime({
+			periodUnit,
+			metricTypes,
+			projectId,
+			startDate,
+			endDate,
+		});
+
+		return rows.map(({ date, values }) => ({
+			date,
+			values: Object.fromEntries(metricNames.map((name) => [name, values[name] ?? 0])),
+		}));
+	}
+
 	/**
 	 * Checks if the selected date range is compliant with the license
 	 *
@@ -0,0 +1,95 @@
+import type { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { mockInstance } from '@n8n/backend-test-utils';
+import { User } from '@n8n/db';
+
+import { createDataTableRowsResource } from '../resources/data-table-rows.resource';
+
+import { DataTableAggregateService } from '@/modules/data-table/data-table-aggregate.service';
+import type { DataTable } from '@/modules/data-table/data-table.entity';
+import { DataTableRepository } from '@/modules/data-table/data-table.repository';
+import { DataTableService } from '@/modules/data-table/data-table.service';
+import { userHasScopes } from '@/permissions.ee/check-access';
+
+jest.mock('@/permissions.ee/check-access', () => ({
+	userHasScopes: jest.fn(),
+}));
+
+const listResources = async (template: ResourceTemplate) =>
+	await template.listCallback?.({} as never);
+
+describe('data table rows MCP resource', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	const dataTable = { id: 'dt-1', name: 'Leads', projectId: 'project-1' } as DataTable;
+	const dataTableAggregateService = mockInstance(DataTableAggregateService);
+	const dataTableService = mockInstance(DataTableService);
+	const dataTableRepository = mockInstance(DataTableRepository);
+
+	const resource = createDataTableRowsResource(user, {
+		dataTableAggregateService,
+		dataTableService,
+		dataTableRepository,
+	});
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		dataTableRepository.findOneBy.mockResolvedValue(dataTable);
+		jest.mocked(userHasScopes).mockResolvedValue(true);
+	});
+
+	test('lists the data tables of the user', async () => {
+		dataTableAggregateService.getManyAndCount.mockResolvedValue({ count: 1, data: [dataTable] });
+
+		expect(await listResources(resource.template)).toEqual({
+			resources: [
+				{ uri: 'n8n://data-tables/dt-1/rows', name: 'Leads', mimeType: 'application/json' },
+			],
+		});
+		expect(dataTableAggregateService.getManyAndCount).toHaveBeenCalledWith(user, {
+			skip: 0,
+			take: 100,
+		});
+	});
+
+	test('reads the first rows of the data table', async () => {
+		dataTableService.getManyRowsAndCount.mockResolvedValue({
+			count: 1,
+			data: [{ id: 1, email: 'jane@example.com' }],
+		} as Awaited<ReturnType<DataTableService['getManyRowsAndCount']>>);
+		const uri = new URL('n8n://data-tables/dt-1/rows');
+
+		const { contents } = await resource.handler(uri, { dataTableId: 'dt-1' }, {} as never);
+
+		expect(userHasScopes).toHaveBeenCalledWith(user, ['dataTable:readRow'], false, {
+			projectId: 'project-1',
+		});
+		expect(dataTableService.getManyRowsAndCount).toHaveBeenCalledWith('dt-1', 'project-1', {
+			skip: 0,
+			take: 100,
+		});
+		expect(JSON.parse(contents[0].text as string)).toEqual({
+			dataTableId: 'dt-1',
+			name: 'Leads',
+			count: 1,
+			rows: [{ id: 1, email: 'jane@example.com' }],
+		});
+	});
+
+	test('throws for data tables the user cannot read rows of', async () => {
+		jest.mocked(userHasScopes).mockResolvedValue(false);
+		const uri = new URL('n8n://data-tables/dt-1/rows');
+
+		await expect(resource.handler(uri, { dataTableId: 'dt-1' }, {} as never)).rejects.toThrow(
+			'Data table not found',
+		);
+		expect(dataTableService.getManyRowsAndCount).not.toHaveBeenCalled();
+	});
+
+	test('throws for data tables that do not exist', async () => {
+		dataTableRepository.findOneBy.mockResolvedValue(null);
+		const uri = new URL('n8n://data-tables/dt-2/rows');
+
+		await expect(resource.handler(uri, { dataTableId: 'dt-2' }, {} as never)).rejects.toThrow(
+			'Data table not found',
+		);
+	});
+});
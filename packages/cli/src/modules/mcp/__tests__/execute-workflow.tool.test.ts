@@ -2,6 +2,7 @@ import { mockInstance } from '@n8n/backend-test-utils';
 import { User } from '@n8n/db';
 import {
 	CHAT_TRIGGER_NODE_TYPE,
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
 	FORM_TRIGGER_NODE_TYPE,
 	MANUAL_TRIGGER_NODE_TYPE,
 	WEBHOOK_NODE_TYPE,
@@ -15,6 +16,7 @@ import { createWorkflow } from './mock.utils';
 import { createExecuteWorkflowTool, executeWorkflow } from '../tools/execute-workflow.tool';
 
 import { ActiveExecutions } from '@/active-executions';
+import { EventService } from '@/events/event.service';
 import { Telemetry } from '@/telemetry';
 import { WorkflowRunner } from '@/workflow-runner';
 import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
@@ -26,6 +28,7 @@ describe('execute-workflow MCP tool', () => {
 	let activeExecutions: ActiveExecutions;
 	let workflowRunner: WorkflowRunner;
 	let telemetry: Telemetry;
+	let eventService: EventService;
 
 	beforeEach(() => {
 		workflowFinderService = mockInstance(WorkflowFinderService);
@@ -34,6 +37,7 @@ describe('execute-workflow MCP tool', () => {
 		telemetry = mockInstance(Telemetry, {
 			track: jest.fn(),
 		});
+		eventService = new EventService();
 	});
 
 	describe('smoke tests', () => {
@@ -44,6 +48,7 @@ describe('execute-workflow MCP tool', () => {
 				activeExecutions,
 				workflowRunner,
 				telemetry,
+				eventService,
 			);
 
 			expect(tool.name).toBe('execute_workflow');
@@ -435,6 +440,81 @@ describe('execute-workflow MCP tool', () => {
 			});
 		});
 
+		describe('execute workflow trigger execution', () => {
+			test('executes workflow with execute workflow trigger and workflow inputs', async () => {
+				const workflow = createWorkflow({
+					activeVersionId: uuid(),
+					nodes: [
+						{
+							id: 'node-1',
+							name: 'When Executed by Another Workflow',
+							type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+							typeVersion: 1.1,
+							position: [0, 0],
+							disabled: false,
+							parameters: {},
+						} as INode,
+					],
+				});
+				(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+				(workflowRunner.run as jest.Mock).mockResolvedValue('exec-102');
+				(activeExecutions.getPostExecutePromise as jest.Mock).mockResolvedValue({
+					status: 'success',
+					data: { resultData: {} },
+				});
+
+				const result = await executeWorkflow(
+					user,
+					workflowFinderService,
+					activeExecutions,
+					workflowRunner,
+					'sub-workflow',
+					{ type: 'workflow', workflowInputs: { customerId: 42 } },
+				);
+
+				expect(result).toMatchObject({ success: true, executionId: 'exec-102' });
+
+				const runCall = (workflowRunner.run as jest.Mock).mock
+					.calls[0][0] as IWorkflowExecutionDataProcess;
+				expect(runCall.executionMode).toBe('trigger');
+				expect(runCall.pinData).toEqual({
+					'When Executed by Another Workflow': [{ json: { customerId: 42 } }],
+				});
+			});
+
+			test('executes the current version of unpublished workflows', async () => {
+				const triggerNode = {
+					id: 'node-1',
+					name: 'When Executed by Another Workflow',
+					type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+					typeVersion: 1.1,
+					position: [0, 0],
+					parameters: {},
+				} as INode;
+				const workflow = createWorkflow({ activeVersionId: null, nodes: [triggerNode] });
+				(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+				(workflowRunner.run as jest.Mock).mockResolvedValue('exec-103');
+				(activeExecutions.getPostExecutePromise as jest.Mock).mockResolvedValue({
+					status: 'success',
+					data: { resultData: {} },
+				});
+
+				await executeWorkflow(
+					user,
+					workflowFinderService,
+					activeExecutions,
+					workflowRunner,
+					'sub-workflow',
+					{ type: 'workflow', workflowInputs: {} },
+				);
+
+				const runCall = (workflowRunner.run as jest.Mock).mock
+					.calls[0][0] as IWorkflowExecutionDataProcess;
+				expect(runCall.workflowData.nodes).toEqual([triggerNode]);
+				expect(runCall.startNodes).toEqual([{ name: triggerNode.name, sourceData: null }]);
+			});
+		});
+
 		describe('execution results handling', () => {
 			test('handles successful execution', async () => {
 				const workflow = createWorkflow({
@@ -669,6 +749,134 @@ describe('execute-workflow MCP tool', () => {
 			});
 		});
 
+		describe('asynchronous execution', () => {
+			const workflow = createWorkflow({
+				activeVersionId: uuid(),
+				settings: { availableInMCP: true, saveDataSuccessExecution: 'none' },
+				nodes: [
+					{
+						id: 'node-1',
+						name: 'WebhookNode',
+						type: WEBHOOK_NODE_TYPE,
+						typeVersion: 1,
+						position: [0, 0],
+						disabled: false,
+						parameters: {},
+					} as INode,
+				],
+			});
+
+			test('returns the execution ID without waiting for the execution to finish', async () => {
+				(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+				(workflowRunner.run as jest.Mock).mockResolvedValue('exec-async');
+
+				const result = await executeWorkflow(
+					user,
+					workflowFinderService,
+					activeExecutions,
+					workflowRunner,
+					'long-running-workflow',
+					undefined,
+					{ async: true },
+				);
+
+				expect(result).toEqual({ success: true, executionId: 'exec-async', status: 'running' });
+				expect(activeExecutions.getPostExecutePromise).not.toHaveBeenCalled();
+			});
+
+			test('saves the execution to get its result later on', async () => {
+				(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+				(workflowRunner.run as jest.Mock).mockResolvedValue('exec-async');
+
+				await executeWorkflow(
+					user,
+					workflowFinderService,
+					activeExecutions,
+					workflowRunner,
+					'long-running-workflow',
+					undefined,
+					{ async: true },
+				);
+
+				const runCall = (workflowRunner.run as jest.Mock).mock
+					.calls[0][0] as IWorkflowExecutionDataProcess;
+				expect(runCall.workflowData.settings).toMatchObject({
+					availableInMCP: true,
+					saveDataSuccessExecution: 'all',
+					saveDataErrorExecution: 'all',
+				});
+			});
+		});
+
+		describe('progress notifications', () => {
+			test('notifies the client of each node that finished', async () => {
+				const workflow = createWorkflow({
+					activeVersionId: uuid(),
+					nodes: [
+						{
+							id: 'node-1',
+							name: 'WebhookNode',
+							type: WEBHOOK_NODE_TYPE,
+							typeVersion: 1,
+							position: [0, 0],
+							disabled: false,
+							parameters: {},
+						} as INode,
+					],
+				});
+				(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+				(workflowRunner.run as jest.Mock).mockResolvedValue('exec-progress');
+				(activeExecutions.getPostExecutePromise as jest.Mock).mockImplementation(async () => {
+					for (const [executionId, nodeName] of [
+						['exec-progress', 'WebhookNode'],
+						['exec-other', 'WebhookNode'],
+						['exec-progress', 'Send email'],
+					]) {
+						eventService.emit('node-post-execute', { executionId, workflow, nodeName });
+					}
+					return { status: 'success', data: { resultData: {} } };
+				});
+				const extra = {
+					_meta: { progressToken: 'progress-1' },
+					sendNotification: jest.fn().mockResolvedValue(undefined),
+				};
+
+				const tool = createExecuteWorkflowTool(
+					user,
+					workflowFinderService,
+					activeExecutions,
+					workflowRunner,
+					telemetry,
+					eventService,
+				);
+				await tool.handler({ workflowId: 'progress-workflow' }, extra as never);
+
+				expect(extra.sendNotification.mock.calls).toEqual([
+					[
+						{
+							method: 'notifications/progress',
+							params: {
+								progressToken: 'progress-1',
+								progress: 1,
+								message: 'Node "WebhookNode" finished',
+							},
+						},
+					],
+					[
+						{
+							method: 'notifications/progress',
+							params: {
+								progressToken: 'progress-1',
+								progress: 2,
+								message: 'Node "Send email" finished',
+							},
+						},
+					],
+				]);
+				expect(eventService.listenerCount('node-post-execute')).toBe(0);
+			});
+		});
+
 		describe('telemetry tracking', () => {
 			test('tracks successful execution with tool handler', async () => {
 				const workflow = createWorkflow({
@@ -698,6 +906,7 @@ describe('execute-workflow MCP tool', () => {
 					activeExecutions,
 					workflowRunner,
 					telemetry,
+					eventService,
 				);
 
 				// Call through the tool handler to test telemetry
@@ -735,6 +944,7 @@ describe('execute-workflow MCP tool', () => {
 					activeExecutions,
 					workflowRunner,
 					telemetry,
+					eventService,
 				);
 
 				// Call through the tool handler to test telemetry
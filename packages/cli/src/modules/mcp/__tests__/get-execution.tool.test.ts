@@ -0,0 +1,169 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { ExecutionRepository, User } from '@n8n/db';
+import { createDeferredPromise, type IRun } from 'n8n-workflow';
+
+import { createWorkflow } from './mock.utils';
+import { createGetExecutionTool } from '../tools/get-execution.tool';
+
+import { ActiveExecutions } from '@/active-executions';
+import { EventService } from '@/events/event.service';
+import { ExecutionService } from '@/executions/execution.service';
+import { Telemetry } from '@/telemetry';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+describe('get-execution MCP tool', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	const workflow = createWorkflow({ id: 'wf-1' });
+	const resultData = { runData: { Webhook: [] } };
+	let workflowFinderService: WorkflowFinderService;
+	let executionRepository: ExecutionRepository;
+	let executionService: ExecutionService;
+	let activeExecutions: ActiveExecutions;
+	let eventService: EventService;
+	let telemetry: Telemetry;
+
+	const mockExecution = (status: string) =>
+		(executionRepository.findSingleExecution as jest.Mock).mockResolvedValue({
+			id: 'exec-1',
+			workflowId: 'wf-1',
+			status,
+			data: { resultData },
+		});
+
+	const callTool = async (args: Record<string, unknown>, extra: object = {}) => {
+		const tool = createGetExecutionTool(
+			user,
+			workflowFinderService,
+			executionRepository,
+			executionService,
+			activeExecutions,
+			eventService,
+			telemetry,
+		);
+
+		return await tool.handler(
+			{ executionId: 'exec-1', action: 'get', ...args } as never,
+			extra as never,
+		);
+	};
+
+	beforeEach(() => {
+		workflowFinderService = mockInstance(WorkflowFinderService, {
+			findWorkflowForUser: jest.fn().mockResolvedValue(workflow),
+		});
+		executionRepository = mockInstance(ExecutionRepository);
+		executionService = mockInstance(ExecutionService);
+		activeExecutions = mockInstance(ActiveExecutions, {
+			has: jest.fn().mockReturnValue(false),
+		});
+		eventService = new EventService();
+		telemetry = mockInstance(Telemetry, { track: jest.fn() });
+	});
+
+	describe('get', () => {
+		test('returns the result of finished executions', async () => {
+			mockExecution('success');
+
+			const { structuredContent } = await callTool({});
+
+			expect(structuredContent).toEqual({
+				executionId: 'exec-1',
+				status: 'success',
+				finished: true,
+				result: resultData,
+				error: undefined,
+			});
+			expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledWith('wf-1', user, [
+				'workflow:read',
+			]);
+		});
+
+		test('returns the status of running executions', async () => {
+			mockExecution('running');
+
+			const { structuredContent } = await callTool({});
+
+			expect(structuredContent).toEqual({
+				executionId: 'exec-1',
+				status: 'running',
+				finished: false,
+			});
+			expect(activeExecutions.getPostExecutePromise).not.toHaveBeenCalled();
+		});
+
+		test('waits for running executions to finish, reporting progress', async () => {
+			const postExecute = createDeferredPromise<IRun | undefined>();
+			mockExecution('running');
+			jest.mocked(activeExecutions.has).mockReturnValue(true);
+			jest.mocked(activeExecutions.getPostExecutePromise).mockImplementation(async () => {
+				eventService.emit('node-post-execute', {
+					executionId: 'exec-1',
+					workflow,
+					nodeName: 'Webhook',
+				});
+				mockExecution('success');
+				postExecute.resolve(undefined);
+				return await postExecute.promise;
+			});
+			const extra = {
+				_meta: { progressToken: 'progress-1' },
+				sendNotification: jest.fn().mockResolvedValue(undefined),
+			};
+
+			const { structuredContent } = await callTool({ wait: true }, extra);
+
+			expect(structuredContent).toMatchObject({ status: 'success', finished: true });
+			expect(extra.sendNotification).toHaveBeenCalledWith({
+				method: 'notifications/progress',
+				params: { progressToken: 'progress-1', progress: 1, message: 'Node "Webhook" finished' },
+			});
+			expect(eventService.listenerCount('node-post-execute')).toBe(0);
+		});
+
+		test('throws for executions of workflows that are not available in MCP', async () => {
+			mockExecution('success');
+			jest
+				.mocked(workflowFinderService.findWorkflowForUser)
+				.mockResolvedValue(createWorkflow({ settings: { availableInMCP: false } }));
+
+			await expect(callTool({})).rejects.toThrow('Execution not found');
+		});
+
+		test('throws for missing executions', async () => {
+			(executionRepository.findSingleExecution as jest.Mock).mockResolvedValue(undefined);
+
+			await expect(callTool({})).rejects.toThrow('Execution not found');
+			expect(telemetry.track).toHaveBeenCalledWith(
+				'User called mcp tool',
+				expect.objectContaining({
+					tool_name: 'get_execution',
+					results: { success: false, error: 'Execution not found' },
+				}),
+			);
+		});
+	});
+
+	describe('cancel', () => {
+		test('stops the execution', async () => {
+			mockExecution('running');
+			jest.mocked(executionService.stop).mockResolvedValue({
+				mode: 'trigger',
+				startedAt: new Date(),
+				finished: false,
+				status: 'canceled',
+			});
+
+			const { structuredContent } = await callTool({ action: 'cancel' });
+
+			expect(structuredContent).toEqual({
+				executionId: 'exec-1',
+				status: 'canceled',
+				finished: true,
+			});
+			expect(executionService.stop).toHaveBeenCalledWith('exec-1', ['wf-1']);
+			expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledWith('wf-1', user, [
+				'workflow:execute',
+			]);
+		});
+	});
+});
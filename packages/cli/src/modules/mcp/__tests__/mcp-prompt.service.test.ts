@@ -0,0 +1,154 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import type { Project, User } from '@n8n/db';
+
+import type { McpPrompt } from '../database/entities/mcp-prompt.entity';
+import { McpPromptRepository } from '../database/repositories/mcp-prompt.repository';
+import { McpPromptService } from '../mcp-prompt.service';
+
+import { BadRequestError } from '@/errors/response-errors/bad-request.error';
+import { ConflictError } from '@/errors/response-errors/conflict.error';
+import { NotFoundError } from '@/errors/response-errors/not-found.error';
+import { ProjectService } from '@/services/project.service.ee';
+
+describe('McpPromptService', () => {
+	const user = { id: 'user-1' } as User;
+	const mcpPromptRepository = mockInstance(McpPromptRepository);
+	const projectService = mockInstance(ProjectService);
+	const service = new McpPromptService(mcpPromptRepository, projectService);
+
+	const prompt = {
+		id: 'prompt-1',
+		projectId: 'project-1',
+		name: 'summarize',
+		description: 'Summarize a topic',
+		template: 'Summarize {{ topic }}',
+		arguments: [{ name: 'topic', required: true }],
+	} as McpPrompt;
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		mcpPromptRepository.create.mockImplementation((entity) => entity as McpPrompt);
+		mcpPromptRepository.merge.mockImplementation((entity, ...updates) =>
+			Object.assign(entity, ...updates),
+		);
+		mcpPromptRepository.save.mockImplementation(async (entity) => entity as McpPrompt);
+		mcpPromptRepository.findOneBy.mockResolvedValue(null);
+	});
+
+	describe('getPromptsForUser', () => {
+		it('should return the prompts of the projects the user has access to', async () => {
+			projectService.getAccessibleProjects.mockResolvedValue([
+				{ id: 'project-1' },
+				{ id: 'project-2' },
+			] as Project[]);
+			mcpPromptRepository.findByProjectIds.mockResolvedValue([prompt]);
+
+			expect(await service.getPromptsForUser(user)).toEqual([prompt]);
+			expect(projectService.getAccessibleProjects).toHaveBeenCalledWith(user);
+			expect(mcpPromptRepository.findByProjectIds).toHaveBeenCalledWith(['project-1', 'project-2']);
+		});
+
+		it('should not look up prompts for users without projects', async () => {
+			projectService.getAccessibleProjects.mockResolvedValue([]);
+
+			expect(await service.getPromptsForUser(user)).toEqual([]);
+			expect(mcpPromptRepository.findByProjectIds).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('createPrompt', () => {
+		it('should save the prompt in the project', async () => {
+			const created = await service.createPrompt('project-1', {
+				name: 'summarize',
+				template: 'Summarize {{ topic }}',
+				arguments: [{ name: 'topic', required: true }],
+			});
+
+			expect(created).toEqual({
+				projectId: 'project-1',
+				name: 'summarize',
+				description: null,
+				template: 'Summarize {{ topic }}',
+				arguments: [{ name: 'topic', required: true }],
+			});
+			expect(mcpPromptRepository.save).toHaveBeenCalled();
+		});
+
+		it('should throw if the template uses undeclared arguments', async () => {
+			await expect(
+				service.createPrompt('project-1', {
+					name: 'summarize',
+					template: 'Summarize {{ topic }} for {{ audience }}',
+					arguments: [{ name: 'topic' }],
+				}),
+			).rejects.toThrow(new BadRequestError('Prompt template uses undeclared arguments: audience'));
+		});
+
+		it('should throw if arguments have the same name', async () => {
+			await expect(
+				service.createPrompt('project-1', {
+					name: 'summarize',
+					template: 'Summarize {{ topic }}',
+					arguments: [{ name: 'topic' }, { name: 'topic' }],
+				}),
+			).rejects.toThrow(BadRequestError);
+		});
+
+		it('should throw if the project already has a prompt with the name', async () => {
+			mcpPromptRepository.findOneBy.mockResolvedValue(prompt);
+
+			await expect(
+				service.createPrompt('project-1', {
+					name: 'summarize',
+					template: 'Summarize',
+					arguments: [],
+				}),
+			).rejects.toThrow(ConflictError);
+		});
+	});
+
+	describe('updatePrompt', () => {
+		it('should update the prompt', async () => {
+			mcpPromptRepository.findOneBy.mockImplementation(async (where) =>
+				'id' in where ? { ...prompt } : null,
+			);
+
+			const updated = await service.updatePrompt('project-1', 'prompt-1', {
+				template: 'Summarize {{ topic }} briefly',
+			});
+
+			expect(updated).toMatchObject({
+				name: 'summarize',
+				description: 'Summarize a topic',
+				template: 'Summarize {{ topic }} briefly',
+			});
+		});
+
+		it('should allow keeping the name of the prompt', async () => {
+			mcpPromptRepository.findOneBy.mockResolvedValue({ ...prompt });
+
+			await expect(
+				service.updatePrompt('project-1', 'prompt-1', { name: 'summarize', description: null }),
+			).resolves.toMatchObject({ name: 'summarize', description: null });
+		});
+
+		it('should throw if the prompt is not in the project', async () => {
+			await expect(
+				service.updatePrompt('project-2', 'prompt-1', { template: 'Summarize' }),
+			).rejects.toThrow(NotFoundError);
+			expect(mcpPromptRepository.findOneBy).toHaveBeenCalledWith({
+				id: 'prompt-1',
+				projectId: 'project-2',
+			});
+		});
+	});
+
+	describe('deletePrompt', () => {
+		it('should remove the prompt', async () => {
+			mcpPromptRepository.findOneBy.mockResolvedValue(prompt);
+
+			expect(await service.deletePrompt('project-1', 'prompt-1')).toBe(true);
+			expect(mcpPromptRepository.remove).toHaveBeenCalledWith(prompt);
+		});
+	});
+});
@@ -0,0 +1,269 @@
+import { ModuleRegistry } from '@n8n/backend-common';
+import { mockInstance, mockLogger } from '@n8n/backend-test-utils';
+import { GlobalConfig } from '@n8n/config';
+import { ExecutionRepository, User } from '@n8n/db';
+import {
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+	MANUAL_TRIGGER_NODE_TYPE,
+	type INode,
+} from 'n8n-workflow';
+
+import { createWorkflow } from './mock.utils';
+import type { McpPrompt } from '../database/entities/mcp-prompt.entity';
+import { McpPromptService } from '../mcp-prompt.service';
+import { MAX_WORKFLOW_TOOLS, SUPPORTED_MCP_TRIGGERS } from '../mcp.constants';
+import { McpService } from '../mcp.service';
+
+import { ActiveExecutions } from '@/active-executions';
+import { CredentialsService } from '@/credentials/credentials.service';
+import { EventService } from '@/events/event.service';
+import { ExecutionService } from '@/executions/execution.service';
+import { DataTableAggregateService } from '@/modules/data-table/data-table-aggregate.service';
+import { DataTableRepository } from '@/modules/data-table/data-table.repository';
+import { DataTableService } from '@/modules/data-table/data-table.service';
+import { UrlService } from '@/services/url.service';
+import { Telemetry } from '@/telemetry';
+import { WorkflowRunner } from '@/workflow-runner';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import { WorkflowService } from '@/workflows/workflow.service';
+
+const triggerNode = {
+	id: 'node-1',
+	name: 'Start',
+	type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+	typeVersion: 1.1,
+	position: [0, 0],
+	parameters: {
+		inputSource: 'workflowInputs',
+		workflowInputs: { values: [{ name: 'customerId', type: 'number' }] },
+	},
+} as INode;
+
+describe('McpService', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	let workflowFinderService: WorkflowFinderService;
+	let workflowService: WorkflowService;
+	let mcpPromptService: McpPromptService;
+	let moduleRegistry: ModuleRegistry;
+	let mcpService: McpService;
+	const logger = mockLogger();
+
+	const getRegistered = async (kind: 'Tools' | 'ResourceTemplates' | 'Prompts') => {
+		const server = await mcpService.getServer(user);
+		// eslint-disable-next-line @typescript-eslint/no-explicit-any
+		return Object.keys((server as any)[`_registered${kind}`] as Record<string, unknown>);
+	};
+
+	const getToolNames = async () => await getRegistered('Tools');
+
+	const mockWorkflows = (...workflows: ReturnType<typeof createWorkflow>[]) => {
+		(workflowService.getMany as jest.Mock).mockResolvedValue({
+			workflows,
+			count: workflows.length,
+		});
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockImplementation(
+			async (id: string) => workflows.find((workflow) => workflow.id === id) ?? null,
+		);
+	};
+
+	beforeEach(() => {
+		workflowFinderService = mockInstance(WorkflowFinderService);
+		workflowService = mockInstance(WorkflowService);
+		mcpPromptService = mockInstance(McpPromptService, {
+			getPromptsForUser: jest.fn().mockResolvedValue([]),
+		});
+		moduleRegistry = mockInstance(ModuleRegistry, { isActive: jest.fn().mockReturnValue(false) });
+		mcpService = new McpService(
+			workflowFinderService,
+			workflowService,
+			mockInstance(UrlService),
+			mockInstance(CredentialsService),
+			mockInstance(ActiveExecutions),
+			mockInstance(GlobalConfig, {
+				endpoints: { webhook: 'webhook', webhookTest: 'webhook-test' },
+			} as Partial<GlobalConfig>),
+			mockInstance(Telemetry),
+			mockInstance(WorkflowRunner),
+			mockInstance(ExecutionRepository),
+			mcpPromptService,
+			moduleRegistry,
+			mockInstance(EventService),
+			mockInstance(ExecutionService),
+			logger,
+		);
+		mockWorkflows();
+	});
+
+	describe('getServer', () => {
+		test('registers a tool for each MCP-enabled workflow', async () => {
+			mockWorkflows(
+				createWorkflow({
+					id: 'wf-1',
+					name: 'Create lead',
+					activeVersionId: 'v1',
+					activeVersion: { nodes: [triggerNode] } as never,
+				}),
+			);
+
+			expect(await getToolNames()).toEqual([
+				'search_workflows',
+				'execute_workflow',
+				'get_execution',
+				'get_workflow_details',
+				'create_lead',
+			]);
+			expect(workflowService.getMany).toHaveBeenCalledWith(
+				user,
+				expect.objectContaining({
+					filter: {
+						isArchived: false,
+						availableInMCP: true,
+						triggerNodeTypes: Object.keys(SUPPORTED_MCP_TRIGGERS),
+					},
+				}),
+				false,
+				false,
+				false,
+				['workflow:execute'],
+			);
+		});
+
+		test('registers a tool for unpublished workflows with an Execute Workflow Trigger', async () => {
+			mockWorkflows(
+				createWorkflow({
+					id: 'wf-1',
+					name: 'Create lead',
+					activeVersionId: null,
+					nodes: [triggerNode],
+				}),
+			);
+
+			expect(await getToolNames()).toContain('create_lead');
+		});
+
+		test('warns about MCP-enabled workflows over the tool limit', async () => {
+			const workflow = createWorkflow({
+				id: 'wf-1',
+				name: 'Create lead',
+				activeVersionId: 'v1',
+				activeVersion: { nodes: [triggerNode] } as never,
+			});
+			(workflowService.getMany as jest.Mock).mockResolvedValue({
+				workflows: [workflow],
+				count: MAX_WORKFLOW_TOOLS + 5,
+			});
+			(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+
+			expect(await getToolNames()).toContain('create_lead');
+			expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('execute_workflow'), {
+				userId: user.id,
+				omitted: 5,
+			});
+		});
+
+		test('skips workflows without a supported trigger', async () => {
+			mockWorkflows(
+				createWorkflow({
+					id: 'wf-1',
+					name: 'Create lead',
+					activeVersionId: 'v1',
+					activeVersion: {
+						nodes: [{ ...triggerNode, type: MANUAL_TRIGGER_NODE_TYPE }],
+					} as never,
+				}),
+			);
+
+			expect(await getToolNames()).not.toContain('create_lead');
+		});
+
+		test('suffixes tool names taken by other tools with the workflow ID', async () => {
+			const activeVersion = { nodes: [triggerNode] } as never;
+			mockWorkflows(
+				createWorkflow({ id: 'wf-1', name: 'Create lead', activeVersionId: 'v1', activeVersion }),
+				createWorkflow({ id: 'wf-2', name: 'Create Lead', activeVersionId: 'v1', activeVersion }),
+				createWorkflow({
+					id: 'wf-3',
+					name: 'Execute workflow',
+					activeVersionId: 'v1',
+					activeVersion,
+				}),
+			);
+
+			expect(await getToolNames()).toEqual(
+				expect.arrayContaining(['create_lead', 'create_lead_wf-2', 'execute_workflow_wf-3']),
+			);
+		});
+
+		test('reuses tools of workflows that did not change', async () => {
+			const workflow = createWorkflow({
+				id: 'wf-1',
+				name: 'Create lead',
+				activeVersionId: 'v1',
+				activeVersion: { nodes: [triggerNode] } as never,
+			});
+			mockWorkflows(workflow);
+
+			await getToolNames();
+			await getToolNames();
+
+			expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledTimes(1);
+
+			mockWorkflows({ ...workflow, name: 'Create contact', updatedAt: new Date() });
+
+			expect(await getToolNames()).toContain('create_contact');
+			expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledTimes(2);
+		});
+	});
+
+	describe('resources', () => {
+		test('registers workflow and execution resources', async () => {
+			expect(await getRegistered('ResourceTemplates')).toEqual(['workflow', 'workflow-executions']);
+		});
+
+		test('registers data table rows while the data table module is active', async () => {
+			jest.mocked(moduleRegistry.isActive).mockReturnValue(true);
+			mockInstance(DataTableAggregateService);
+			mockInstance(DataTableService);
+			mockInstance(DataTableRepository);
+
+			expect(await getRegistered('ResourceTemplates')).toContain('data-table-rows');
+			expect(moduleRegistry.isActive).toHaveBeenCalledWith('data-table');
+		});
+	});
+
+	describe('prompts', () => {
+		test('registers the prompts of the projects of the user', async () => {
+			jest.mocked(mcpPromptService.getPromptsForUser).mockResolvedValue([
+				{ projectId: 'project-1', name: 'summarize', template: 'Summarize', arguments: [] },
+				{ projectId: 'project-2', name: 'summarize', template: 'Summarize', arguments: [] },
+				{ projectId: 'project-2', name: 'triage', template: 'Triage', arguments: [] },
+			] as unknown as McpPrompt[]);
+
+			expect(await getRegistered('Prompts')).toEqual([
+				'summarize',
+				'summarize_project-2',
+				'triage',
+			]);
+			expect(mcpPromptService.getPromptsForUser).toHaveBeenCalledWith(user);
+		});
+	});
+
+	describe('invalidateWorkflowTool', () => {
+		test('derives the tool of the workflow again', async () => {
+			mockWorkflows(
+				createWorkflow({
+					id: 'wf-1',
+					name: 'Create lead',
+					activeVersionId: 'v1',
+					activeVersion: { nodes: [triggerNode] } as never,
+				}),
+			);
+
+			await getToolNames();
+			mcpService.invalidateWorkflowTool('wf-1');
+			await getToolNames();
+
+			expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledTimes(2);
+		});
+	});
+});
@@ -3,7 +3,12 @@ import { type ApiKey, type AuthenticatedRequest, WorkflowEntity, User, Role } fr
 import { Container } from '@n8n/di';
 import type { Response } from 'express';
 import { mock, mockDeep } from 'jest-mock-extended';
-import { HTTP_REQUEST_NODE_TYPE, WEBHOOK_NODE_TYPE, type INode } from 'n8n-workflow';
+import {
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+	HTTP_REQUEST_NODE_TYPE,
+	WEBHOOK_NODE_TYPE,
+	type INode,
+} from 'n8n-workflow';
 import { v4 as uuid } from 'uuid';
 
 import type { ListQuery } from '@/requests';
@@ -358,6 +363,35 @@ describe('McpSettingsController', () => {
 			expect(workflowService.update).not.toHaveBeenCalled();
 		});
 
+		test('allows enabling MCP for inactive workflows with an Execute Workflow Trigger', async () => {
+			workflowFinderService.findWorkflowForUser.mockResolvedValue(
+				createWorkflow({
+					activeVersionId: null,
+					nodes: [
+						{
+							id: 'node-1',
+							name: 'When Executed by Another Workflow',
+							type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+							typeVersion: 1.1,
+							position: [0, 0],
+							parameters: {},
+						},
+					],
+				}),
+			);
+
+			await controller.toggleWorkflowMCPAccess(
+				createReq({}, { user }),
+				mock<Response>(),
+				workflowId,
+				{
+					availableInMCP: true,
+				},
+			);
+
+			expect(workflowService.update).toHaveBeenCalledTimes(1);
+		});
+
 		test('allows disabling MCP for inactive workflows', async () => {
 			workflowFinderService.findWorkflowForUser.mockResolvedValue(
 				createWorkflow({ activeVersionId: null }),
@@ -401,7 +435,7 @@ describe('McpSettingsController', () => {
 				}),
 			).rejects.toThrow(
 				new BadRequestError(
-					'MCP access can only be set for published workflows with one of the following trigger nodes: Schedule Trigger, Webhook Trigger, Form Trigger, Chat Trigger.',
+					'MCP access can only be set for published workflows with one of the following trigger nodes: Schedule Trigger, Webhook Trigger, Form Trigger, Chat Trigger, Execute Workflow Trigger.',
 				),
 			);
 
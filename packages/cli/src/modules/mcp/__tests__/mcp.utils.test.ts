@@ -1,8 +1,10 @@
 import type { AuthenticatedRequest } from '@n8n/db';
 import type { Request } from 'express';
 import { mock } from 'jest-mock-extended';
+import { EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE, WEBHOOK_NODE_TYPE, type INode } from 'n8n-workflow';
 
-import { getClientInfo, getToolName, getToolArguments } from '../mcp.utils';
+import { createWorkflow } from './mock.utils';
+import { getClientInfo, getToolName, getToolArguments, getMcpWorkflowVersion } from '../mcp.utils';
 
 describe('mcp.utils', () => {
 	describe('getClientInfo', () => {
@@ -351,4 +353,44 @@ describe('mcp.utils', () => {
 			});
 		});
 	});
+
+	describe('getMcpWorkflowVersion', () => {
+		const executeWorkflowTrigger = {
+			id: 'node-1',
+			name: 'When Executed by Another Workflow',
+			type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+			typeVersion: 1.1,
+			position: [0, 0],
+			parameters: {},
+		} as INode;
+
+		it('should return the published version of the workflow', () => {
+			const activeVersion = { nodes: [executeWorkflowTrigger], connections: {} };
+			const workflow = createWorkflow({
+				activeVersionId: 'v1',
+				nodes: [],
+				activeVersion: activeVersion as never,
+			});
+
+			expect(getMcpWorkflowVersion(workflow)).toEqual(activeVersion);
+		});
+
+		it('should return the current version of unpublished workflows with an Execute Workflow Trigger', () => {
+			const workflow = createWorkflow({ activeVersionId: null, nodes: [executeWorkflowTrigger] });
+
+			expect(getMcpWorkflowVersion(workflow)).toEqual({
+				nodes: [executeWorkflowTrigger],
+				connections: {},
+			});
+		});
+
+		it('should return no nodes for unpublished workflows with other triggers', () => {
+			const workflow = createWorkflow({
+				activeVersionId: null,
+				nodes: [{ ...executeWorkflowTrigger, type: WEBHOOK_NODE_TYPE }],
+			});
+
+			expect(getMcpWorkflowVersion(workflow)).toEqual({ nodes: [], connections: {} });
+		});
+	});
 });
@@ -0,0 +1,72 @@
+import type { McpPrompt } from '../database/entities/mcp-prompt.entity';
+import {
+	createProjectPrompt,
+	getTemplatePlaceholders,
+	renderPromptTemplate,
+} from '../prompts/project.prompt';
+
+describe('project MCP prompts', () => {
+	describe('getTemplatePlaceholders', () => {
+		test('returns each placeholder once', () => {
+			expect(getTemplatePlaceholders('{{topic}} for {{ audience }}, about {{ topic }}')).toEqual([
+				'topic',
+				'audience',
+			]);
+		});
+
+		test('ignores text that is not a placeholder', () => {
+			expect(getTemplatePlaceholders('{ topic } {{ 1topic }} {{ $json.topic }}')).toEqual([]);
+		});
+	});
+
+	describe('renderPromptTemplate', () => {
+		test('replaces placeholders with arguments', () => {
+			expect(
+				renderPromptTemplate('Summarize {{ topic }} for {{audience}}', {
+					topic: 'Q3 sales',
+					audience: 'the board',
+				}),
+			).toBe('Summarize Q3 sales for the board');
+		});
+
+		test('removes placeholders of arguments that were not given', () => {
+			expect(renderPromptTemplate('Summarize {{ topic }}.', {})).toBe('Summarize .');
+		});
+	});
+
+	describe('createProjectPrompt', () => {
+		const prompt = {
+			name: 'summarize',
+			description: 'Summarize a topic',
+			template: 'Summarize {{ topic }} for {{ audience }}',
+			arguments: [
+				{ name: 'topic', description: 'Topic to summarize', required: true },
+				{ name: 'audience' },
+			],
+		} as McpPrompt;
+
+		test('uses the arguments of the prompt as its schema', () => {
+			const { name, config } = createProjectPrompt('summarize_project-1', prompt);
+
+			expect(name).toBe('summarize_project-1');
+			expect(config).toMatchObject({ title: 'summarize', description: 'Summarize a topic' });
+			expect(config.argsSchema?.topic.isOptional()).toBe(false);
+			expect(config.argsSchema?.topic.description).toBe('Topic to summarize');
+			expect(config.argsSchema?.audience.isOptional()).toBe(true);
+		});
+
+		test('renders the template as a user message', async () => {
+			const { handler } = createProjectPrompt('summarize', prompt);
+
+			expect(await handler({ topic: 'Q3 sales', audience: 'the board' }, {} as never)).toEqual({
+				description: 'Summarize a topic',
+				messages: [
+					{
+						role: 'user',
+						content: { type: 'text', text: 'Summarize Q3 sales for the board' },
+					},
+				],
+			});
+		});
+	});
+});
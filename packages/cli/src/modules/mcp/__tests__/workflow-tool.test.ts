@@ -0,0 +1,300 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { User } from '@n8n/db';
+import {
+	CHAT_TRIGGER_NODE_TYPE,
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+	FORM_TRIGGER_NODE_TYPE,
+	WEBHOOK_NODE_TYPE,
+	type INode,
+	type IWorkflowExecutionDataProcess,
+} from 'n8n-workflow';
+import { v4 as uuid } from 'uuid';
+import z from 'zod';
+
+import { createWorkflow } from './mock.utils';
+import {
+	createWorkflowTool,
+	getWorkflowInputSchema,
+	getWorkflowToolSpec,
+	toWorkflowToolName,
+} from '../tools/workflow-tool';
+
+import { ActiveExecutions } from '@/active-executions';
+import { EventService } from '@/events/event.service';
+import { Telemetry } from '@/telemetry';
+import { WorkflowRunner } from '@/workflow-runner';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+const createNode = (overrides: Partial<INode>): INode => ({
+	id: 'node-1',
+	name: 'Trigger',
+	type: WEBHOOK_NODE_TYPE,
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+	...overrides,
+});
+
+const toObjectSchema = (shape: z.ZodRawShape) => z.object(shape).strict();
+
+describe('workflow MCP tools', () => {
+	describe('toWorkflowToolName', () => {
+		test.each([
+			['Send invoice (v2)', 'send_invoice_v2'],
+			['  Créer un client  ', 'creer_un_client'],
+			['CRM -> Slack', 'crm_slack'],
+			['🚀', 'workflow'],
+		])('turns "%s" into "%s"', (workflowName, toolName) => {
+			expect(toWorkflowToolName(workflowName)).toBe(toolName);
+		});
+
+		test('limits tool names to 64 characters', () => {
+			expect(toWorkflowToolName('a'.repeat(100))).toHaveLength(64);
+		});
+	});
+
+	describe('getWorkflowToolSpec', () => {
+		test('describes the tool with the workflow description', () => {
+			const spec = getWorkflowToolSpec(
+				{ id: 'wf-1', name: 'Create lead', description: 'Creates a lead in the CRM' },
+				createNode({}),
+			);
+
+			expect(spec).toMatchObject({
+				workflowId: 'wf-1',
+				name: 'create_lead',
+				description: 'Creates a lead in the CRM',
+			});
+		});
+
+		test('falls back to the workflow name without a description', () => {
+			const spec = getWorkflowToolSpec(
+				{ id: 'wf-1', name: 'Create lead', description: null },
+				createNode({}),
+			);
+
+			expect(spec.description).toBe('Execute the "Create lead" workflow');
+		});
+	});
+
+	describe('getWorkflowInputSchema', () => {
+		test('uses query, body and headers for webhook triggers', () => {
+			const schema = getWorkflowInputSchema(createNode({ type: WEBHOOK_NODE_TYPE }));
+
+			expect(Object.keys(schema)).toEqual(['query', 'body', 'headers']);
+		});
+
+		test('uses the chat input for chat triggers', () => {
+			const schema = toObjectSchema(
+				getWorkflowInputSchema(createNode({ type: CHAT_TRIGGER_NODE_TYPE })),
+			);
+
+			expect(schema.safeParse({ chatInput: 'Hi' }).success).toBe(true);
+			expect(schema.safeParse({}).success).toBe(false);
+		});
+
+		test('uses the fields of form triggers', () => {
+			const schema = toObjectSchema(
+				getWorkflowInputSchema(
+					createNode({
+						type: FORM_TRIGGER_NODE_TYPE,
+						typeVersion: 2.4,
+						parameters: {
+							formFields: {
+								values: [
+									{ fieldLabel: 'Name', fieldName: 'name', requiredField: true },
+									{ fieldLabel: 'Age', fieldName: 'age', fieldType: 'number' },
+									{ fieldLabel: 'Email', fieldName: 'email', fieldType: 'email' },
+									{
+										fieldLabel: 'Plan',
+										fieldName: 'plan',
+										fieldType: 'dropdown',
+										fieldOptions: { values: [{ option: 'free' }, { option: 'pro' }] },
+									},
+									{ fieldLabel: 'Attachment', fieldName: 'attachment', fieldType: 'file' },
+								],
+							},
+						},
+					}),
+				),
+			);
+
+			expect(Object.keys(schema.shape)).toEqual(['name', 'age', 'email', 'plan']);
+			expect(
+				schema.safeParse({ name: 'Jane', age: 30, email: 'jane@example.com', plan: 'pro' }).success,
+			).toBe(true);
+			expect(schema.safeParse({ age: 30 }).success).toBe(false);
+			expect(schema.safeParse({ name: 'Jane', plan: 'enterprise' }).success).toBe(false);
+			expect(schema.safeParse({ name: 'Jane', email: 'jane' }).success).toBe(false);
+		});
+
+		test('keys fields of form triggers before v2.4 by label', () => {
+			const schema = getWorkflowInputSchema(
+				createNode({
+					type: FORM_TRIGGER_NODE_TYPE,
+					typeVersion: 2.3,
+					parameters: {
+						formFields: { values: [{ fieldLabel: 'Full name', fieldName: 'name' }] },
+					},
+				}),
+			);
+
+			expect(Object.keys(schema)).toEqual(['Full name']);
+		});
+
+		test('uses the inputs defined on execute workflow triggers', () => {
+			const schema = toObjectSchema(
+				getWorkflowInputSchema(
+					createNode({
+						type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+						typeVersion: 1.1,
+						parameters: {
+							inputSource: 'workflowInputs',
+							workflowInputs: {
+								values: [
+									{ name: 'customerId', type: 'number' },
+									{ name: 'tags', type: 'array' },
+								],
+							},
+						},
+					}),
+				),
+			);
+
+			expect(Object.keys(schema.shape)).toEqual(['customerId', 'tags']);
+			expect(schema.safeParse({ customerId: 42, tags: ['vip'] }).success).toBe(true);
+			expect(schema.safeParse({ customerId: '42' }).success).toBe(false);
+		});
+
+		test('uses the JSON example of execute workflow triggers', () => {
+			const schema = toObjectSchema(
+				getWorkflowInputSchema(
+					createNode({
+						type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+						typeVersion: 1.1,
+						parameters: {
+							inputSource: 'jsonExample',
+							jsonExample: '{ "email": "jane@example.com", "active": true }',
+						},
+					}),
+				),
+			);
+
+			expect(Object.keys(schema.shape)).toEqual(['email', 'active']);
+			expect(schema.safeParse({ email: 'john@example.com', active: false }).success).toBe(true);
+			expect(schema.safeParse({ active: 'yes' }).success).toBe(false);
+		});
+
+		test.each([
+			{ typeVersion: 1, parameters: {} },
+			{ typeVersion: 1.1, parameters: { inputSource: 'passthrough' } },
+		])('passes data through for execute workflow triggers %#', (node) => {
+			const schema = getWorkflowInputSchema(
+				createNode({ type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE, ...node }),
+			);
+
+			expect(Object.keys(schema)).toEqual(['data']);
+		});
+	});
+
+	describe('createWorkflowTool', () => {
+		const user = Object.assign(new User(), { id: 'user-1' });
+		let workflowFinderService: WorkflowFinderService;
+		let activeExecutions: ActiveExecutions;
+		let workflowRunner: WorkflowRunner;
+		let telemetry: Telemetry;
+
+		beforeEach(() => {
+			workflowFinderService = mockInstance(WorkflowFinderService);
+			activeExecutions = mockInstance(ActiveExecutions);
+			workflowRunner = mockInstance(WorkflowRunner);
+			telemetry = mockInstance(Telemetry, {
+				track: jest.fn(),
+			});
+
+			(workflowRunner.run as jest.Mock).mockResolvedValue('exec-1');
+			(activeExecutions.getPostExecutePromise as jest.Mock).mockResolvedValue({
+				status: 'success',
+				data: { resultData: {} },
+			});
+		});
+
+		const callTool = async (triggerNode: INode, args: Record<string, unknown>) => {
+			const workflow = createWorkflow({
+				id: 'wf-1',
+				name: 'Create lead',
+				activeVersionId: uuid(),
+				nodes: [triggerNode],
+			});
+			(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+
+			const tool = createWorkflowTool(
+				user,
+				'create_lead',
+				getWorkflowToolSpec(workflow, triggerNode),
+				workflowFinderService,
+				activeExecutions,
+				workflowRunner,
+				telemetry,
+				mockInstance(EventService),
+			);
+			const result = await tool.handler(args, {} as never);
+
+			return { tool, result };
+		};
+
+		const getPinData = () =>
+			((workflowRunner.run as jest.Mock).mock.calls[0][0] as IWorkflowExecutionDataProcess).pinData;
+
+		test('executes the workflow with the webhook request data', async () => {
+			const { tool, result } = await callTool(
+				createNode({ name: 'Webhook', parameters: { httpMethod: 'POST' } }),
+				{ body: { name: 'Jane' } },
+			);
+
+			expect(tool.name).toBe('create_lead');
+			expect(result.structuredContent).toMatchObject({ success: true, executionId: 'exec-1' });
+			expect(getPinData()).toMatchObject({
+				Webhook: [{ json: { body: { name: 'Jane' }, query: {}, headers: {} } }],
+			});
+		});
+
+		test('executes the workflow with the arguments as workflow inputs', async () => {
+			await callTool(
+				createNode({
+					name: 'Start',
+					type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+					typeVersion: 1.1,
+					parameters: {
+						inputSource: 'workflowInputs',
+						workflowInputs: { values: [{ name: 'customerId', type: 'number' }] },
+					},
+				}),
+				{ customerId: 42 },
+			);
+
+			expect(getPinData()).toEqual({ Start: [{ json: { customerId: 42 } }] });
+		});
+
+		test('executes the workflow with the passed through data', async () => {
+			await callTool(
+				createNode({ name: 'Start', type: EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE, typeVersion: 1 }),
+				{ data: { customerId: 42 } },
+			);
+
+			expect(getPinData()).toEqual({ Start: [{ json: { customerId: 42 } }] });
+		});
+
+		test('tracks calls of workflow tools', async () => {
+			await callTool(createNode({ type: CHAT_TRIGGER_NODE_TYPE }), { chatInput: 'Hi' });
+
+			expect(telemetry.track).toHaveBeenCalledWith(
+				'User called mcp tool',
+				expect.objectContaining({
+					tool_name: 'workflow_tool',
+					parameters: { workflowId: 'wf-1', inputs: { type: 'chat', parameter_count: 1 } },
+				}),
+			);
+		});
+	});
+});
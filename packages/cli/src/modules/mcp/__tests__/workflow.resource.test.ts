@@ -0,0 +1,175 @@
+import type { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { mockInstance } from '@n8n/backend-test-utils';
+import { ExecutionRepository, User, type IExecutionBase } from '@n8n/db';
+import { v4 as uuid } from 'uuid';
+
+import { createWorkflow } from './mock.utils';
+import {
+	createWorkflowExecutionsResource,
+	createWorkflowResource,
+} from '../resources/workflow.resource';
+
+import { CredentialsService } from '@/credentials/credentials.service';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import { WorkflowService } from '@/workflows/workflow.service';
+
+const listResources = async (template: ResourceTemplate) =>
+	await template.listCallback?.({} as never);
+
+describe('workflow MCP resources', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	const endpoints = { webhook: 'webhook', webhookTest: 'webhook-test' };
+	let workflowService: WorkflowService;
+	let workflowFinderService: WorkflowFinderService;
+	let credentialsService: CredentialsService;
+	let executionRepository: ExecutionRepository;
+
+	const workflow = createWorkflow({
+		id: 'wf-1',
+		name: 'Create lead',
+		description: 'Creates a lead in the CRM',
+		activeVersionId: uuid(),
+	});
+
+	beforeEach(() => {
+		workflowService = mockInstance(WorkflowService, {
+			getMany: jest.fn().mockResolvedValue({ workflows: [workflow], count: 1 }),
+		});
+		workflowFinderService = mockInstance(WorkflowFinderService, {
+			findWorkflowForUser: jest
+				.fn()
+				.mockImplementation(async (id: string) => (id === workflow.id ? workflow : null)),
+		});
+		credentialsService = mockInstance(CredentialsService, {
+			getOne: jest.fn().mockResolvedValue({ data: {} }),
+		});
+		executionRepository = mockInstance(ExecutionRepository);
+	});
+
+	describe('workflow', () => {
+		const createResource = () =>
+			createWorkflowResource(
+				user,
+				'https://n8n.example.com/',
+				workflowService,
+				workflowFinderService,
+				credentialsService,
+				endpoints,
+			);
+
+		test('lists MCP-enabled workflows', async () => {
+			const resource = createResource();
+
+			expect(await listResources(resource.template)).toEqual({
+				resources: [
+					{
+						uri: 'n8n://workflows/wf-1',
+						name: 'Create lead',
+						description: 'Creates a lead in the CRM',
+						mimeType: 'application/json',
+					},
+				],
+			});
+			expect(workflowService.getMany).toHaveBeenCalledWith(
+				user,
+				expect.objectContaining({
+					filter: { isArchived: false, availableInMCP: true, active: true },
+				}),
+				false,
+				false,
+				false,
+			);
+		});
+
+		test('reads the workflow without credentials', async () => {
+			const uri = new URL('n8n://workflows/wf-1');
+
+			const { contents } = await createResource().handler(uri, { workflowId: 'wf-1' }, {} as never);
+
+			expect(contents).toEqual([
+				{ uri: 'n8n://workflows/wf-1', mimeType: 'application/json', text: expect.any(String) },
+			]);
+			const { workflow: details } = JSON.parse(contents[0].text as string);
+			expect(details).toMatchObject({ id: 'wf-1', name: 'Create lead' });
+			expect(details.nodes[0].credentials).toBeUndefined();
+		});
+
+		test('throws for workflows that are not available in MCP', async () => {
+			const uri = new URL('n8n://workflows/wf-2');
+
+			await expect(
+				createResource().handler(uri, { workflowId: 'wf-2' }, {} as never),
+			).rejects.toThrow('Workflow not found');
+		});
+	});
+
+	describe('workflow executions', () => {
+		const createResource = () =>
+			createWorkflowExecutionsResource(
+				user,
+				workflowService,
+				workflowFinderService,
+				executionRepository,
+			);
+
+		test('lists the executions of MCP-enabled workflows', async () => {
+			expect(await listResources(createResource().template)).toEqual({
+				resources: [
+					{
+						uri: 'n8n://workflows/wf-1/executions',
+						name: 'Executions of Create lead',
+						mimeType: 'application/json',
+					},
+				],
+			});
+		});
+
+		test('reads the most recent executions of the workflow', async () => {
+			jest.mocked(executionRepository.getExecutionsForPublicApi).mockResolvedValue([
+				{
+					id: 'exec-1',
+					mode: 'webhook',
+					status: 'success',
+					startedAt: new Date('2024-01-01T00:00:00.000Z'),
+					stoppedAt: new Date('2024-01-01T00:00:01.000Z'),
+					workflowId: 'wf-1',
+					finished: true,
+				} as IExecutionBase,
+			]);
+			const uri = new URL('n8n://workflows/wf-1/executions');
+
+			const { contents } = await createResource().handler(uri, { workflowId: 'wf-1' }, {} as never);
+
+			expect(executionRepository.getExecutionsForPublicApi).toHaveBeenCalledWith({
+				limit: 20,
+				workflowIds: ['wf-1'],
+			});
+			expect(JSON.parse(contents[0].text as string)).toEqual({
+				workflowId: 'wf-1',
+				executions: [
+					{
+						id: 'exec-1',
+						mode: 'webhook',
+						status: 'success',
+						startedAt: '2024-01-01T00:00:00.000Z',
+						stoppedAt: '2024-01-01T00:00:01.000Z',
+						waitTill: null,
+						retryOf: null,
+					},
+				],
+			});
+		});
+
+		test('throws for workflows that are not available in MCP', async () => {
+			jest
+				.mocked(workflowFinderService.findWorkflowForUser)
+				.mockResolvedValue(createWorkflow({ id: 'wf-2', settings: { availableInMCP: false } }));
+			const uri = new URL('n8n://workflows/wf-2/executions');
+
+			await expect(
+				createResource().handler(uri, { workflowId: 'wf-2' }, {} as never),
+			).rejects.toThrow('Workflow not found');
+			expect(executionRepository.getExecutionsForPublicApi).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,34 @@
+import { JsonColumn, Project, WithTimestampsAndStringId } from '@n8n/db';
+import { Column, Entity, Index, ManyToOne } from '@n8n/typeorm';
+
+export type McpPromptArgument = {
+	name: string;
+	description?: string;
+	required?: boolean;
+};
+
+/**
+ * Prompt template of a project, offered to MCP clients of users with access to the project.
+ * `{{ argument }}` placeholders in the template are replaced with the arguments of the prompt.
+ */
+@Entity('mcp_prompt')
+@Index(['projectId', 'name'], { unique: true })
+export class McpPrompt extends WithTimestampsAndStringId {
+	@ManyToOne(() => Project, { onDelete: 'CASCADE' })
+	project: Project;
+
+	@Column({ type: 'varchar', length: 36 })
+	projectId: string;
+
+	@Column({ type: 'varchar', length: 128 })
+	name: string;
+
+	@Column({ type: 'varchar', length: 512, nullable: true })
+	description: string | null;
+
+	@Column({ type: 'text' })
+	template: string;
+
+	@JsonColumn()
+	arguments: McpPromptArgument[];
+}
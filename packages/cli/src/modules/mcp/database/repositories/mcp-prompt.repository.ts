@@ -0,0 +1,18 @@
+import { Service } from '@n8n/di';
+import { DataSource, In, Repository } from '@n8n/typeorm';
+
+import { McpPrompt } from '../entities/mcp-prompt.entity';
+
+@Service()
+export class McpPromptRepository extends Repository<McpPrompt> {
+	constructor(dataSource: DataSource) {
+		super(McpPrompt, dataSource.manager);
+	}
+
+	async findByProjectIds(projectIds: string[]): Promise<McpPrompt[]> {
+		return await this.find({
+			where: { projectId: In(projectIds) },
+			order: { name: 'ASC' },
+		});
+	}
+}
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+export const mcpPromptArgumentSchema = z.object({
+	name: z
+		.string()
+		.regex(
+			/^[A-Za-z_][A-Za-z0-9_]*$/,
+			'Argument names can only contain letters, digits and underscores',
+		),
+	description: z.string().max(512).optional(),
+	required: z.boolean().optional(),
+});
+
+export const mcpPromptSchema = {
+	name: z
+		.string()
+		.min(1)
+		.max(128)
+		.regex(/^[A-Za-z0-9_-]+$/, 'Prompt names can only contain letters, digits, "_" and "-"'),
+	description: z.string().max(512).nullable().optional(),
+	template: z.string().min(1),
+	arguments: z.array(mcpPromptArgumentSchema).max(20).default([]),
+};
+
+export class CreateMcpPromptDto extends Z.class(mcpPromptSchema) {}
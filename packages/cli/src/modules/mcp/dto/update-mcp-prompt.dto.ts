@@ -0,0 +1,10 @@
+import { Z } from 'zod-class';
+
+import { mcpPromptSchema } from './create-mcp-prompt.dto';
+
+export class UpdateMcpPromptDto extends Z.class({
+	name: mcpPromptSchema.name.optional(),
+	description: mcpPromptSchema.description,
+	template: mcpPromptSchema.template.optional(),
+	arguments: mcpPromptSchema.arguments.removeDefault().optional(),
+}) {}
@@ -0,0 +1,109 @@
+import type { User } from '@n8n/db';
+import { Service } from '@n8n/di';
+
+import type { McpPrompt } from './database/entities/mcp-prompt.entity';
+import { McpPromptRepository } from './database/repositories/mcp-prompt.repository';
+import type { CreateMcpPromptDto } from './dto/create-mcp-prompt.dto';
+import type { UpdateMcpPromptDto } from './dto/update-mcp-prompt.dto';
+import { getTemplatePlaceholders } from './prompts/project.prompt';
+
+import { BadRequestError } from '@/errors/response-errors/bad-request.error';
+import { ConflictError } from '@/errors/response-errors/conflict.error';
+import { NotFoundError } from '@/errors/response-errors/not-found.error';
+import { ProjectService } from '@/services/project.service.ee';
+
+/**
+ * Manages the prompt templates of projects, which are offered to MCP clients.
+ */
+@Service()
+export class McpPromptService {
+	constructor(
+		private readonly mcpPromptRepository: McpPromptRepository,
+		private readonly projectService: ProjectService,
+	) {}
+
+	async getProjectPrompts(projectId: string) {
+		return await this.mcpPromptRepository.findByProjectIds([projectId]);
+	}
+
+	/**
+	 * Prompts of all projects the user has access to.
+	 */
+	async getPromptsForUser(user: User) {
+		const projects = await this.projectService.getAccessibleProjects(user);
+
+		if (projects.length === 0) return [];
+
+		return await this.mcpPromptRepository.findByProjectIds(projects.map(({ id }) => id));
+	}
+
+	async createPrompt(projectId: string, dto: CreateMcpPromptDto) {
+		await this.validatePrompt(projectId, dto);
+
+		return await this.mcpPromptRepository.save(
+			this.mcpPromptRepository.create({
+				projectId,
+				name: dto.name,
+				description: dto.description ?? null,
+				template: dto.template,
+				arguments: dto.arguments,
+			}),
+		);
+	}
+
+	async updatePrompt(projectId: string, promptId: string, dto: UpdateMcpPromptDto) {
+		const prompt = await this.getPrompt(projectId, promptId);
+		const updatedPrompt = this.mcpPromptRepository.merge(prompt, {
+			...dto,
+			description: dto.description === undefined ? prompt.description : dto.description,
+		});
+
+		await this.validatePrompt(projectId, updatedPrompt, promptId);
+
+		return await this.mcpPromptRepository.save(updatedPrompt);
+	}
+
+	async deletePrompt(projectId: string, promptId: string) {
+		const prompt = await this.getPrompt(projectId, promptId);
+
+		await this.mcpPromptRepository.remove(prompt);
+
+		return true;
+	}
+
+	private async getPrompt(projectId: string, promptId: string) {
+		const prompt = await this.mcpPromptRepository.findOneBy({ id: promptId, projectId });
+
+		if (!prompt) throw new NotFoundError(`Could not find prompt "${promptId}"`);
+
+		return prompt;
+	}
+
+	private async validatePrompt(
+		projectId: string,
+		prompt: Pick<McpPrompt, 'name' | 'template' | 'arguments'>,
+		promptId?: string,
+	) {
+		const argumentNames = prompt.arguments.map(({ name }) => name);
+
+		if (new Set(argumentNames).size !== argumentNames.length) {
+			throw new BadRequestError('Prompt arguments must have unique names');
+		}
+
+		const undeclared = getTemplatePlaceholders(prompt.template).filter(
+			(name) => !argumentNames.includes(name),
+		);
+
+		if (undeclared.length > 0) {
+			throw new BadRequestError(
+				`Prompt template uses undeclared arguments: ${undeclared.join(', ')}`,
+			);
+		}
+
+		const existing = await this.mcpPromptRepository.findOneBy({ projectId, name: prompt.name });
+
+		if (existing && existing.id !== promptId) {
+			throw new ConflictError(`A prompt named "${prompt.name}" already exists in this project`);
+		}
+	}
+}
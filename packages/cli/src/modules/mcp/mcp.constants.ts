@@ -1,5 +1,7 @@
+import { Time } from '@n8n/constants';
 import {
 	CHAT_TRIGGER_NODE_TYPE,
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
 	FORM_TRIGGER_NODE_TYPE,
 	SCHEDULE_TRIGGER_NODE_TYPE,
 	WEBHOOK_NODE_TYPE,
@@ -17,4 +19,20 @@ export const SUPPORTED_MCP_TRIGGERS = {
 	[WEBHOOK_NODE_TYPE]: 'Webhook Trigger',
 	[FORM_TRIGGER_NODE_TYPE]: 'Form Trigger',
 	[CHAT_TRIGGER_NODE_TYPE]: 'Chat Trigger',
+	[EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE]: 'Execute Workflow Trigger',
 };
+
+/** Maximum number of MCP-enabled workflows exposed as their own tools to a user */
+export const MAX_WORKFLOW_TOOLS = 100;
+
+/** Maximum number of resources listed per resource template */
+export const MAX_LISTED_RESOURCES = 100;
+
+/** Number of most recent executions in the executions resource of a workflow */
+export const MAX_RESOURCE_EXECUTIONS = 20;
+
+/** Number of rows in the rows resource of a data table */
+export const MAX_RESOURCE_DATA_TABLE_ROWS = 100;
+
+/** Maximum time a tool call waits for an execution to finish */
+export const WORKFLOW_EXECUTION_TIMEOUT_MS = 5 * Time.minutes.toMilliseconds;
@@ -109,7 +109,7 @@ export class McpController {
 		// to ensure complete isolation. A single instance would cause request ID collisions
 		// when multiple clients connect concurrently.
 		try {
-			const server = this.mcpService.getServer(req.user);
+			const server = await this.mcpService.getServer(req.user);
 			const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
 				sessionIdGenerator: undefined,
 			});
@@ -2,12 +2,16 @@ import { Logger } from '@n8n/backend-common';
 import { WorkflowRepository } from '@n8n/db';
 import { Service } from '@n8n/di';
 
+import { McpService } from './mcp.service';
+import { getMcpWorkflowVersion } from './mcp.utils';
+
 import { EventService } from '@/events/event.service';
 import { EventRelay } from '@/events/relays/event-relay';
 import type { RelayEventMap } from '@/events/maps/relay.event-map';
 
 /**
  * Event relay for MCP module to handle workflow events
+ * and keep the tools of MCP-enabled workflows up to date
  */
 @Service()
 export class McpEventRelay extends EventRelay {
@@ -15,6 +19,7 @@ export class McpEventRelay extends EventRelay {
 		eventService: EventService,
 		private readonly workflowRepository: WorkflowRepository,
 		private readonly logger: Logger,
+		private readonly mcpService: McpService,
 	) {
 		super(eventService);
 	}
@@ -22,18 +27,28 @@ export class McpEventRelay extends EventRelay {
 	init() {
 		this.setupListeners({
 			'workflow-deactivated': async (event) => await this.onWorkflowDeactivated(event),
+			'workflow-activated': ({ workflowId }) => this.mcpService.invalidateWorkflowTool(workflowId),
+			'workflow-saved': ({ workflow }) => this.mcpService.invalidateWorkflowTool(workflow.id),
+			'workflow-archived': ({ workflowId }) => this.mcpService.invalidateWorkflowTool(workflowId),
+			'workflow-deleted': ({ workflowId }) => this.mcpService.invalidateWorkflowTool(workflowId),
 		});
 	}
 
 	/**
 	 * Handles workflow deactivated events.
-	 * When a workflow is deactivated, automatically disables MCP access.
+	 * When a workflow is deactivated, automatically disables MCP access,
+	 * unless it can still be executed as a sub-workflow.
 	 */
 	private async onWorkflowDeactivated(event: RelayEventMap['workflow-deactivated']) {
 		const { workflow, workflowId } = event;
 
+		this.mcpService.invalidateWorkflowTool(workflowId);
+
 		// Only process if workflow has MCP access enabled
-		if (workflow.settings?.availableInMCP === true) {
+		if (
+			workflow.settings?.availableInMCP === true &&
+			getMcpWorkflowVersion(workflow).nodes.length === 0
+		) {
 			try {
 				// Update the workflow settings to disable MCP access
 				const updatedSettings = {
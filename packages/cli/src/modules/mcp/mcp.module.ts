@@ -15,6 +15,7 @@ export class McpModule implements ModuleInterface {
 		await import('./mcp.oauth.controller');
 		await import('./mcp.auth.consent.controller');
 		await import('./mcp.oauth-clients.controller');
+		await import('./mcp.prompts.controller');
 
 		// Initialize event relay to handle workflow deactivation
 		const { McpEventRelay } = await import('./mcp.event-relay');
@@ -40,8 +41,16 @@ export class McpModule implements ModuleInterface {
 		const { AccessToken } = await import('./database/entities/oauth-access-token.entity');
 		const { RefreshToken } = await import('./database/entities/oauth-refresh-token.entity');
 		const { UserConsent } = await import('./database/entities/oauth-user-consent.entity');
+		const { McpPrompt } = await import('./database/entities/mcp-prompt.entity');
 
-		return [OAuthClient, AuthorizationCode, AccessToken, RefreshToken, UserConsent] as never;
+		return [
+			OAuthClient,
+			AuthorizationCode,
+			AccessToken,
+			RefreshToken,
+			UserConsent,
+			McpPrompt,
+		] as never;
 	}
 
 	@OnShutdown()
@@ -0,0 +1,61 @@
+import type { AuthenticatedRequest } from '@n8n/db';
+import {
+	Body,
+	Delete,
+	Get,
+	Param,
+	Patch,
+	Post,
+	ProjectScope,
+	RestController,
+} from '@n8n/decorators';
+import type { Response } from 'express';
+
+import { CreateMcpPromptDto } from './dto/create-mcp-prompt.dto';
+import { UpdateMcpPromptDto } from './dto/update-mcp-prompt.dto';
+import { McpPromptService } from './mcp-prompt.service';
+
+/**
+ * Prompt templates of a project, offered to the MCP clients of its members.
+ */
+@RestController('/mcp/projects/:projectId/prompts')
+export class McpPromptsController {
+	constructor(private readonly mcpPromptService: McpPromptService) {}
+
+	@ProjectScope('project:read')
+	@Get('/')
+	async getPrompts(req: AuthenticatedRequest<{ projectId: string }>) {
+		return await this.mcpPromptService.getProjectPrompts(req.params.projectId);
+	}
+
+	@ProjectScope('workflow:update')
+	@Post('/')
+	async createPrompt(
+		req: AuthenticatedRequest<{ projectId: string }>,
+		_res: Response,
+		@Body dto: CreateMcpPromptDto,
+	) {
+		return await this.mcpPromptService.createPrompt(req.params.projectId, dto);
+	}
+
+	@ProjectScope('workflow:update')
+	@Patch('/:promptId')
+	async updatePrompt(
+		req: AuthenticatedRequest<{ projectId: string }>,
+		_res: Response,
+		@Param('promptId') promptId: string,
+		@Body dto: UpdateMcpPromptDto,
+	) {
+		return await this.mcpPromptService.updatePrompt(req.params.projectId, promptId, dto);
+	}
+
+	@ProjectScope('workflow:update')
+	@Delete('/:promptId')
+	async deletePrompt(
+		req: AuthenticatedRequest<{ projectId: string }>,
+		_res: Response,
+		@Param('promptId') promptId: string,
+	) {
+		return await this.mcpPromptService.deletePrompt(req.params.projectId, promptId);
+	}
+}
@@ -1,14 +1,41 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Logger, ModuleRegistry } from '@n8n/backend-common';
 import { GlobalConfig } from '@n8n/config';
-import { User } from '@n8n/db';
-import { Service } from '@n8n/di';
+import { ExecutionRepository, User, type WorkflowEntity } from '@n8n/db';
+import { Container, Service } from '@n8n/di';
 
+import { McpPromptService } from './mcp-prompt.service';
+import { MAX_WORKFLOW_TOOLS, SUPPORTED_MCP_TRIGGERS } from './mcp.constants';
+import type {
+	PromptDefinition,
+	ResourceDefinition,
+	ToolDefinition,
+	WorkflowToolSpec,
+} from './mcp.types';
+import { findMcpSupportedTrigger, getMcpWorkflowVersion } from './mcp.utils';
+import { createProjectPrompt } from './prompts/project.prompt';
+import {
+	createDataTableRowsResource,
+	type DataTableServices,
+} from './resources/data-table-rows.resource';
+import {
+	createWorkflowExecutionsResource,
+	createWorkflowResource,
+} from './resources/workflow.resource';
 import { createExecuteWorkflowTool } from './tools/execute-workflow.tool';
+import { createGetExecutionTool } from './tools/get-execution.tool';
 import { createWorkflowDetailsTool } from './tools/get-workflow-details.tool';
 import { createSearchWorkflowsTool } from './tools/search-workflows.tool';
+import {
+	MAX_TOOL_NAME_LENGTH,
+	createWorkflowTool,
+	getWorkflowToolSpec,
+} from './tools/workflow-tool';
 
 import { ActiveExecutions } from '@/active-executions';
 import { CredentialsService } from '@/credentials/credentials.service';
+import { EventService } from '@/events/event.service';
+import { ExecutionService } from '@/executions/execution.service';
 import { UrlService } from '@/services/url.service';
 import { Telemetry } from '@/telemetry';
 import { WorkflowRunner } from '@/workflow-runner';
@@ -17,6 +44,15 @@ import { WorkflowService } from '@/workflows/workflow.service';
 
 @Service()
 export class McpService {
+	/**
+	 * Tools of MCP-enabled workflows by workflow ID, along with the version of the workflow
+	 * they were derived from. Workflows without a supported trigger have no tool.
+	 */
+	private readonly workflowToolSpecs = new Map<
+		string,
+		{ version: string; spec: WorkflowToolSpec | undefined }
+	>();
+
 	constructor(
 		private readonly workflowFinderService: WorkflowFinderService,
 		private readonly workflowService: WorkflowService,
@@ -26,9 +62,28 @@ export class McpService {
 		private readonly globalConfig: GlobalConfig,
 		private readonly telemetry: Telemetry,
 		private readonly workflowRunner: WorkflowRunner,
+		private readonly executionRepository: ExecutionRepository,
+		private readonly mcpPromptService: McpPromptService,
+		private readonly moduleRegistry: ModuleRegistry,
+		private readonly eventService: EventService,
+		private readonly executionService: ExecutionService,
+		private readonly logger: Logger,
 	) {}
 
-	getServer(user: User) {
+	/** Data tables are only available while the data table module is active */
+	private get dataTableServices(): Promise<DataTableServices> {
+		return Promise.all([
+			import('@/modules/data-table/data-table-aggregate.service'),
+			import('@/modules/data-table/data-table.service'),
+			import('@/modules/data-table/data-table.repository'),
+		]).then(([{ DataTableAggregateService }, { DataTableService }, { DataTableRepository }]) => ({
+			dataTableAggregateService: Container.get(DataTableAggregateService),
+			dataTableService: Container.get(DataTableService),
+			dataTableRepository: Container.get(DataTableRepository),
+		}));
+	}
+
+	async getServer(user: User) {
 		const server = new McpServer({
 			name: 'n8n MCP Server',
 			version: '1.0.0',
@@ -51,6 +106,7 @@ export class McpService {
 			this.activeExecutions,
 			this.workflowRunner,
 			this.telemetry,
+			this.eventService,
 		);
 		server.registerTool(
 			executeWorkflowTool.name,
@@ -58,6 +114,17 @@ export class McpService {
 			executeWorkflowTool.handler,
 		);
 
+		const getExecutionTool = createGetExecutionTool(
+			user,
+			this.workflowFinderService,
+			this.executionRepository,
+			this.executionService,
+			this.activeExecutions,
+			this.eventService,
+			this.telemetry,
+		);
+		server.registerTool(getExecutionTool.name, getExecutionTool.config, getExecutionTool.handler);
+
 		const workflowDetailsTool = createWorkflowDetailsTool(
 			user,
 			this.urlService.getWebhookBaseUrl(),
@@ -75,6 +142,166 @@ export class McpService {
 			workflowDetailsTool.handler,
 		);
 
+		const toolNames = new Set([
+			workflowSearchTool.name,
+			executeWorkflowTool.name,
+			getExecutionTool.name,
+			workflowDetailsTool.name,
+		]);
+		for (const workflowTool of await this.getWorkflowTools(user, toolNames)) {
+			server.registerTool(workflowTool.name, workflowTool.config, workflowTool.handler);
+		}
+
+		for (const resource of await this.getResources(user)) {
+			server.registerResource(resource.name, resource.template, resource.config, resource.handler);
+		}
+
+		for (const prompt of await this.getPrompts(user)) {
+			server.registerPrompt(prompt.name, prompt.config, prompt.handler);
+		}
+
 		return server;
 	}
+
+	/**
+	 * Drop the tool of a workflow, to derive it from the current version of the workflow on the next request.
+	 */
+	invalidateWorkflowTool(workflowId: string) {
+		this.workflowToolSpecs.delete(workflowId);
+	}
+
+	private async getResources(user: User): Promise<ResourceDefinition[]> {
+		const endpoints = {
+			webhook: this.globalConfig.endpoints.webhook,
+			webhookTest: this.globalConfig.endpoints.webhookTest,
+		};
+
+		const resources = [
+			createWorkflowResource(
+				user,
+				this.urlService.getWebhookBaseUrl(),
+				this.workflowService,
+				this.workflowFinderService,
+				this.credentialsService,
+				endpoints,
+			),
+			createWorkflowExecutionsResource(
+				user,
+				this.workflowService,
+				this.workflowFinderService,
+				this.executionRepository,
+			),
+		];
+
+		if (this.moduleRegistry.isActive('data-table')) {
+			resources.push(createDataTableRowsResource(user, await this.dataTableServices));
+		}
+
+		return resources;
+	}
+
+	/**
+	 * Creates a prompt for each prompt template of the projects the user has access to.
+	 * Names taken by prompts of other projects are suffixed with the project ID.
+	 */
+	private async getPrompts(user: User): Promise<PromptDefinition[]> {
+		const promptNames = new Set<string>();
+
+		return (await this.mcpPromptService.getPromptsForUser(user)).map((prompt) => {
+			const name = promptNames.has(prompt.name)
+				? `${prompt.name}_${prompt.projectId}`
+				: prompt.name;
+			promptNames.add(name);
+
+			return createProjectPrompt(name, prompt);
+		});
+	}
+
+	/**
+	 * Creates a tool for each MCP-enabled workflow the user can execute, named after the workflow.
+	 * Names taken by other tools are suffixed with the workflow ID.
+	 *
+	 * Workflows are not required to be published, as unpublished workflows started by an
+	 * Execute Workflow Trigger are executed in their current version.
+	 */
+	private async getWorkflowTools(user: User, toolNames: Set<string>): Promise<ToolDefinition[]> {
+		const { workflows, count } = await this.workflowService.getMany(
+			user,
+			{
+				take: MAX_WORKFLOW_TOOLS,
+				filter: {
+					isArchived: false,
+					availableInMCP: true,
+					triggerNodeTypes: Object.keys(SUPPORTED_MCP_TRIGGERS),
+				},
+				select: { id: true, name: true, activeVersionId: true, updatedAt: true },
+			},
+			false, // includeScopes
+			false, // includeFolders
+			false, // onlySharedWithMe
+			['workflow:execute'],
+		);
+
+		if (count > MAX_WORKFLOW_TOOLS) {
+			this.logger.warn(
+				`Only ${MAX_WORKFLOW_TOOLS} of ${count} MCP-enabled workflows are exposed as tools, the others can be run with the execute_workflow tool`,
+				{ userId: user.id, omitted: count - MAX_WORKFLOW_TOOLS },
+			);
+		}
+
+		const tools: ToolDefinition[] = [];
+
+		for (const workflow of workflows as WorkflowEntity[]) {
+			const spec = await this.getWorkflowToolSpec(user, workflow);
+			if (!spec) continue;
+
+			const name = toolNames.has(spec.name)
+				? `${spec.name.slice(0, MAX_TOOL_NAME_LENGTH - workflow.id.length - 1)}_${workflow.id}`
+				: spec.name;
+			toolNames.add(name);
+
+			tools.push(
+				createWorkflowTool(
+					user,
+					name,
+					spec,
+					this.workflowFinderService,
+					this.activeExecutions,
+					this.workflowRunner,
+					this.telemetry,
+					this.eventService,
+				),
+			);
+		}
+
+		return tools;
+	}
+
+	/**
+	 * Cached tools are also checked against the version of the workflow,
+	 * as workflows can be edited on other main instances.
+	 */
+	private async getWorkflowToolSpec(
+		user: User,
+		{ id, activeVersionId, updatedAt }: WorkflowEntity,
+	) {
+		const version = `${activeVersionId}:${updatedAt.toISOString()}`;
+		const cached = this.workflowToolSpecs.get(id);
+
+		if (cached?.version === version) return cached.spec;
+
+		const workflow = await this.workflowFinderService.findWorkflowForUser(
+			id,
+			user,
+			['workflow:execute'],
+			{ includeActiveVersion: true },
+		);
+		if (!workflow) return undefined;
+
+		const triggerNode = findMcpSupportedTrigger(getMcpWorkflowVersion(workflow).nodes);
+		const spec = triggerNode ? getWorkflowToolSpec(workflow, triggerNode) : undefined;
+		this.workflowToolSpecs.set(id, { version, spec });
+
+		return spec;
+	}
 }
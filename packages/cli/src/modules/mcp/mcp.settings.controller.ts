@@ -17,7 +17,7 @@ import { UpdateWorkflowAvailabilityDto } from './dto/update-workflow-availabilit
 import { McpServerApiKeyService } from './mcp-api-key.service';
 import { SUPPORTED_MCP_TRIGGERS } from './mcp.constants';
 import { McpSettingsService } from './mcp.settings.service';
-import { findMcpSupportedTrigger } from './mcp.utils';
+import { findMcpSupportedTrigger, getMcpWorkflowVersion } from './mcp.utils';
 
 import { BadRequestError } from '@/errors/response-errors/bad-request.error';
 import { NotFoundError } from '@/errors/response-errors/not-found.error';
@@ -121,10 +121,10 @@ export class McpSettingsController {
 		}
 
 		if (dto.availableInMCP) {
-			if (!workflow.activeVersionId) {
+			const { nodes } = getMcpWorkflowVersion(workflow);
+			if (!workflow.activeVersionId && nodes.length === 0) {
 				throw new BadRequestError('MCP access can only be set for published workflows');
 			}
-			const nodes = workflow.activeVersion?.nodes ?? [];
 			const supportedTrigger = findMcpSupportedTrigger(nodes);
 
 			if (!supportedTrigger) {
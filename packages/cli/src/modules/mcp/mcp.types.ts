@@ -1,4 +1,12 @@
-import { type ToolCallback } from '@modelcontextprotocol/sdk/server/mcp.js';
+import {
+	type PromptCallback,
+	type ReadResourceTemplateCallback,
+	type ResourceMetadata,
+	type ResourceTemplate,
+	type ToolCallback,
+} from '@modelcontextprotocol/sdk/server/mcp.js';
+import type { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import type { ServerNotification, ServerRequest } from '@modelcontextprotocol/sdk/types.js';
 import type { User } from '@n8n/db';
 import type { INode } from 'n8n-workflow';
 import type z from 'zod';
@@ -23,6 +31,26 @@ export type ToolDefinition<InputArgs extends z.ZodRawShape = z.ZodRawShape> = {
 	handler: ToolCallback<InputArgs>;
 };
 
+/** Context of a tool call, e.g. to send notifications related to the call */
+export type ToolCallExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+export type ResourceDefinition = {
+	name: string;
+	template: ResourceTemplate;
+	config: ResourceMetadata;
+	handler: ReadResourceTemplateCallback;
+};
+
+export type PromptDefinition<Args extends z.ZodRawShape = z.ZodRawShape> = {
+	name: string;
+	config: {
+		title?: string;
+		description?: string;
+		argsSchema?: Args;
+	};
+	handler: PromptCallback<Args>;
+};
+
 // Shared MCP tool types
 export type SearchWorkflowsParams = {
 	limit?: number;
@@ -84,10 +112,22 @@ export type UserCalledMCPToolEventPayload = {
 };
 
 export type ExecuteWorkflowsInputMeta = {
-	type: 'webhook' | 'chat' | 'schedule' | 'form';
+	type: 'webhook' | 'chat' | 'schedule' | 'form' | 'workflow';
 	parameter_count: number;
 };
 
+/**
+ * User-independent definition of the tool of an MCP-enabled workflow,
+ * derived from the trigger the workflow is executed from.
+ */
+export type WorkflowToolSpec = {
+	workflowId: string;
+	name: string;
+	description: string;
+	triggerNode: INode;
+	inputSchema: z.ZodRawShape;
+};
+
 type SupportedTriggerNodeTypes = keyof typeof SUPPORTED_MCP_TRIGGERS;
 
 export type MCPTriggersMap = {
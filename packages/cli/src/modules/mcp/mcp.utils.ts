@@ -1,6 +1,6 @@
-import type { AuthenticatedRequest } from '@n8n/db';
+import type { AuthenticatedRequest, IWorkflowDb } from '@n8n/db';
 import type { Request } from 'express';
-import type { INode } from 'n8n-workflow';
+import { EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE, type IConnections, type INode } from 'n8n-workflow';
 
 import { SUPPORTED_MCP_TRIGGERS } from './mcp.constants';
 import { isRecord, isJSONRPCRequest } from './mcp.typeguards';
@@ -59,3 +59,22 @@ export const findMcpSupportedTrigger = (nodes: INode[]): INode | undefined => {
 	const triggerNodeTypes = Object.keys(SUPPORTED_MCP_TRIGGERS);
 	return nodes.find((node) => triggerNodeTypes.includes(node.type) && !node.disabled);
 };
+
+/**
+ * Gets the nodes and connections a workflow is executed with through MCP: those of its
+ * published version or, as sub-workflows can be called without being published,
+ * those of an unpublished workflow started by an Execute Workflow Trigger.
+ */
+export const getMcpWorkflowVersion = (
+	workflow: Pick<IWorkflowDb, 'nodes' | 'connections' | 'activeVersion'>,
+): { nodes: INode[]; connections: IConnections } => {
+	if (workflow.activeVersion) {
+		return { nodes: workflow.activeVersion.nodes, connections: workflow.activeVersion.connections };
+	}
+
+	if (findMcpSupportedTrigger(workflow.nodes ?? [])?.type === EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE) {
+		return { nodes: workflow.nodes, connections: workflow.connections };
+	}
+
+	return { nodes: [], connections: {} };
+};
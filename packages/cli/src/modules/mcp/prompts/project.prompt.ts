@@ -0,0 +1,46 @@
+import z from 'zod';
+
+import type { McpPrompt } from '../database/entities/mcp-prompt.entity';
+import type { PromptDefinition } from '../mcp.types';
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Names of the arguments used by a prompt template, e.g. `topic` for `Summarize {{ topic }}`.
+ */
+export const getTemplatePlaceholders = (template: string) => [
+	...new Set(Array.from(template.matchAll(PLACEHOLDER_REGEX), ([, name]) => name)),
+];
+
+/**
+ * Replaces the placeholders of a prompt template with the given arguments.
+ * Placeholders of optional arguments that were not given are removed.
+ */
+export const renderPromptTemplate = (template: string, args: Record<string, string | undefined>) =>
+	template.replace(PLACEHOLDER_REGEX, (_, name: string) => args[name] ?? '');
+
+/**
+ * Creates the mcp prompt definition of a prompt template stored in a project.
+ */
+export const createProjectPrompt = (name: string, prompt: McpPrompt): PromptDefinition => ({
+	name,
+	config: {
+		title: prompt.name,
+		description: prompt.description ?? undefined,
+		argsSchema: Object.fromEntries(
+			prompt.arguments.map((argument) => {
+				const schema = z.string().describe(argument.description ?? argument.name);
+				return [argument.name, argument.required ? schema : schema.optional()];
+			}),
+		),
+	},
+	handler: (args: Record<string, string | undefined>) => ({
+		description: prompt.description ?? undefined,
+		messages: [
+			{
+				role: 'user',
+				content: { type: 'text', text: renderPromptTemplate(prompt.template, args) },
+			},
+		],
+	}),
+});
@@ -0,0 +1,81 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import type { User } from '@n8n/db';
+import { jsonStringify, UserError } from 'n8n-workflow';
+
+import { MAX_LISTED_RESOURCES, MAX_RESOURCE_DATA_TABLE_ROWS } from '../mcp.constants';
+import type { ResourceDefinition } from '../mcp.types';
+
+import type { DataTableAggregateService } from '@/modules/data-table/data-table-aggregate.service';
+import type { DataTableService } from '@/modules/data-table/data-table.service';
+import type { DataTableRepository } from '@/modules/data-table/data-table.repository';
+import { userHasScopes } from '@/permissions.ee/check-access';
+
+export type DataTableServices = {
+	dataTableAggregateService: DataTableAggregateService;
+	dataTableService: DataTableService;
+	dataTableRepository: DataTableRepository;
+};
+
+/**
+ * Creates the mcp resource definition exposing the first rows of the data tables the user can read.
+ */
+export const createDataTableRowsResource = (
+	user: User,
+	{ dataTableAggregateService, dataTableService, dataTableRepository }: DataTableServices,
+): ResourceDefinition => ({
+	name: 'data-table-rows',
+	template: new ResourceTemplate('n8n://data-tables/{dataTableId}/rows', {
+		list: async () => {
+			const { data } = await dataTableAggregateService.getManyAndCount(user, {
+				skip: 0,
+				take: MAX_LISTED_RESOURCES,
+			});
+
+			return {
+				resources: data.map((dataTable) => ({
+					uri: `n8n://data-tables/${dataTable.id}/rows`,
+					name: dataTable.name,
+					mimeType: 'application/json',
+				})),
+			};
+		},
+	}),
+	config: {
+		title: 'Data table rows',
+		description: `The first ${MAX_RESOURCE_DATA_TABLE_ROWS} rows of a data table`,
+		mimeType: 'application/json',
+	},
+	handler: async (uri, { dataTableId }) => {
+		const dataTable = await dataTableRepository.findOneBy({ id: String(dataTableId) });
+
+		if (
+			!dataTable ||
+			!(await userHasScopes(user, ['dataTable:readRow'], false, {
+				projectId: dataTable.projectId,
+			}))
+		) {
+			throw new UserError('Data table not found');
+		}
+
+		const { count, data } = await dataTableService.getManyRowsAndCount(
+			dataTable.id,
+			dataTable.projectId,
+			{ skip: 0, take: MAX_RESOURCE_DATA_TABLE_ROWS },
+		);
+
+		return {
+			contents: [
+				{
+					uri: uri.href,
+					mimeType: 'application/json',
+					text: jsonStringify({
+						dataTableId: dataTable.id,
+						name: dataTable.name,
+						count,
+						rows: data,
+					}),
+				},
+			],
+		};
+	},
+});
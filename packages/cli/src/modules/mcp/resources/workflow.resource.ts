@@ -0,0 +1,136 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import type { ExecutionRepository, User, WorkflowEntity } from '@n8n/db';
+import { jsonStringify, UserError } from 'n8n-workflow';
+
+import { MAX_LISTED_RESOURCES, MAX_RESOURCE_EXECUTIONS } from '../mcp.constants';
+import type { ResourceDefinition } from '../mcp.types';
+import { getWorkflowDetails } from '../tools/get-workflow-details.tool';
+import type { WebhookEndpoints } from '../tools/webhook-utils';
+
+import type { CredentialsService } from '@/credentials/credentials.service';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import type { WorkflowService } from '@/workflows/workflow.service';
+
+/**
+ * Lists the MCP-enabled workflows the user can read, which are the only workflows exposed as resources.
+ */
+const listMcpWorkflows = async (user: User, workflowService: WorkflowService) => {
+	const { workflows } = await workflowService.getMany(
+		user,
+		{
+			take: MAX_LISTED_RESOURCES,
+			filter: { isArchived: false, availableInMCP: true, active: true },
+			select: { id: true, name: true, description: true },
+		},
+		false, // includeScopes
+		false, // includeFolders
+		false, // onlySharedWithMe
+	);
+
+	return workflows as WorkflowEntity[];
+};
+
+/**
+ * Creates the mcp resource definition exposing the JSON of MCP-enabled workflows, including their trigger details.
+ */
+export const createWorkflowResource = (
+	user: User,
+	baseWebhookUrl: string,
+	workflowService: WorkflowService,
+	workflowFinderService: WorkflowFinderService,
+	credentialsService: CredentialsService,
+	endpoints: WebhookEndpoints,
+): ResourceDefinition => ({
+	name: 'workflow',
+	template: new ResourceTemplate('n8n://workflows/{workflowId}', {
+		list: async () => ({
+			resources: (await listMcpWorkflows(user, workflowService)).map((workflow) => ({
+				uri: `n8n://workflows/${workflow.id}`,
+				name: workflow.name,
+				description: workflow.description ?? undefined,
+				mimeType: 'application/json',
+			})),
+		}),
+	}),
+	config: {
+		title: 'Workflow',
+		description: 'JSON of a workflow available in MCP, including details on how it is triggered',
+		mimeType: 'application/json',
+	},
+	handler: async (uri, { workflowId }) => {
+		const details = await getWorkflowDetails(
+			user,
+			baseWebhookUrl,
+			workflowFinderService,
+			credentialsService,
+			endpoints,
+			{ workflowId: String(workflowId) },
+		);
+
+		return {
+			contents: [{ uri: uri.href, mimeType: 'application/json', text: jsonStringify(details) }],
+		};
+	},
+});
+
+/**
+ * Creates the mcp resource definition exposing the most recent executions of MCP-enabled workflows, without their data.
+ */
+export const createWorkflowExecutionsResource = (
+	user: User,
+	workflowService: WorkflowService,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+): ResourceDefinition => ({
+	name: 'workflow-executions',
+	template: new ResourceTemplate('n8n://workflows/{workflowId}/executions', {
+		list: async () => ({
+			resources: (await listMcpWorkflows(user, workflowService)).map((workflow) => ({
+				uri: `n8n://workflows/${workflow.id}/executions`,
+				name: `Executions of ${workflow.name}`,
+				mimeType: 'application/json',
+			})),
+		}),
+	}),
+	config: {
+		title: 'Workflow executions',
+		description: `The ${MAX_RESOURCE_EXECUTIONS} most recent executions of a workflow available in MCP`,
+		mimeType: 'application/json',
+	},
+	handler: async (uri, { workflowId }) => {
+		const workflow = await workflowFinderService.findWorkflowForUser(String(workflowId), user, [
+			'workflow:read',
+		]);
+		if (!workflow || workflow.isArchived || !workflow.settings?.availableInMCP) {
+			throw new UserError('Workflow not found');
+		}
+
+		const executions = await executionRepository.getExecutionsForPublicApi({
+			limit: MAX_RESOURCE_EXECUTIONS,
+			workflowIds: [workflow.id],
+		});
+
+		return {
+			contents: [
+				{
+					uri: uri.href,
+					mimeType: 'application/json',
+					text: jsonStringify({
+						workflowId: workflow.id,
+						executions: executions.map(
+							({ id, mode, status, startedAt, stoppedAt, waitTill, retryOf }) => ({
+								id,
+								mode,
+								status,
+								startedAt,
+								stoppedAt: stoppedAt ?? null,
+								waitTill: waitTill ?? null,
+								retryOf: retryOf ?? null,
+							}),
+						),
+					}),
+				},
+			],
+		};
+	},
+});
@@ -3,6 +3,7 @@ import type { User } from '@n8n/db';
 import moment from 'moment-timezone';
 import {
 	CHAT_TRIGGER_NODE_TYPE,
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
 	FORM_TRIGGER_NODE_TYPE,
 	WEBHOOK_NODE_TYPE,
 	type INode,
@@ -20,22 +21,26 @@ import {
 } from 'n8n-workflow';
 import z from 'zod';
 
-import { SUPPORTED_MCP_TRIGGERS, USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import {
+	SUPPORTED_MCP_TRIGGERS,
+	USER_CALLED_MCP_TOOL_EVENT,
+	WORKFLOW_EXECUTION_TIMEOUT_MS,
+} from '../mcp.constants';
 import { McpExecutionTimeoutError } from '../mcp.errors';
 import type {
 	ExecuteWorkflowsInputMeta,
 	ToolDefinition,
 	UserCalledMCPToolEventPayload,
 } from '../mcp.types';
-import { findMcpSupportedTrigger } from '../mcp.utils';
+import { findMcpSupportedTrigger, getMcpWorkflowVersion } from '../mcp.utils';
+import { reportExecutionProgress, type ExecutionProgressTarget } from './execution-progress';
 
 import type { ActiveExecutions } from '@/active-executions';
+import type { EventService } from '@/events/event.service';
 import type { Telemetry } from '@/telemetry';
 import type { WorkflowRunner } from '@/workflow-runner';
 import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
 
-const WORKFLOW_EXECUTION_TIMEOUT_MS = 5 * Time.minutes.toMilliseconds; // 5 minutes
-
 const inputSchema = z.object({
 	workflowId: z.string().describe('The ID of the workflow to execute'),
 	inputs: z
@@ -69,14 +74,36 @@ const inputSchema = z.object({
 					})
 					.describe('Input data for webhook-based workflows'),
 			}),
+			z.object({
+				type: z.literal('workflow'),
+				workflowInputs: z
+					.record(z.unknown())
+					.describe('Input data for workflows started by an Execute Workflow Trigger'),
+			}),
 		])
 		.optional()
 		.describe('Inputs to provide to the workflow.'),
+	async: z
+		.boolean()
+		.optional()
+		.describe(
+			'Return the execution ID as soon as the execution started instead of waiting for it to finish. Use the get_execution tool to get the result of the execution or to cancel it. Recommended for workflows running longer than 5 minutes.',
+		),
 });
 
+export type ExecuteWorkflowInputs = z.infer<typeof inputSchema>['inputs'];
+
+export type ExecuteWorkflowOptions = {
+	/** Return as soon as the execution started, rather than waiting for it to finish */
+	async?: boolean;
+	/** Tool call to report the progress of the execution to while waiting for it */
+	progress?: ExecutionProgressTarget;
+};
+
 type ExecuteWorkflowOutput = {
 	success: boolean;
 	executionId: string | null;
+	status?: 'running';
 	result?: IRunExecutionData['resultData'];
 	error?: unknown;
 };
@@ -84,6 +111,10 @@ type ExecuteWorkflowOutput = {
 const outputSchema = {
 	success: z.boolean(),
 	executionId: z.string().nullable().optional(),
+	status: z
+		.literal('running')
+		.optional()
+		.describe('Set for executions started asynchronously, which are still running'),
 	result: z.unknown().optional().describe('Workflow execution result data'),
 	error: z.unknown().optional(),
 } satisfies z.ZodRawShape;
@@ -94,6 +125,7 @@ export const createExecuteWorkflowTool = (
 	activeExecutions: ActiveExecutions,
 	workflowRunner: WorkflowRunner,
 	telemetry: Telemetry,
+	eventService: EventService,
 ): ToolDefinition<typeof inputSchema.shape> => ({
 	name: 'execute_workflow',
 	config: {
@@ -109,63 +141,96 @@ export const createExecuteWorkflowTool = (
 			openWorldHint: true, // Can access external systems via workflows
 		},
 	},
-	handler: async ({ workflowId, inputs }) => {
-		const telemetryPayload: UserCalledMCPToolEventPayload = {
-			user_id: user.id,
-			tool_name: 'execute_workflow',
-			parameters: { workflowId, inputs: getInputMetaData(inputs) },
+	handler: async ({ workflowId, inputs, async }, extra) =>
+		await callWorkflow(
+			'execute_workflow',
+			user,
+			workflowFinderService,
+			activeExecutions,
+			workflowRunner,
+			telemetry,
+			workflowId,
+			inputs,
+			{ async, progress: { eventService, extra } },
+		),
+});
+
+/**
+ * Executes a workflow as the result of an MCP tool call, tracking the call
+ * and returning failures and timeouts as tool output.
+ */
+export const callWorkflow = async (
+	toolName: string,
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	activeExecutions: ActiveExecutions,
+	workflowRunner: WorkflowRunner,
+	telemetry: Telemetry,
+	workflowId: string,
+	inputs: ExecuteWorkflowInputs,
+	options: ExecuteWorkflowOptions = {},
+) => {
+	const telemetryPayload: UserCalledMCPToolEventPayload = {
+		user_id: user.id,
+		tool_name: toolName,
+		parameters: {
+			workflowId,
+			inputs: getInputMetaData(inputs),
+			...(options.async && { async: true }),
+		},
+	};
+	try {
+		const output = await executeWorkflow(
+			user,
+			workflowFinderService,
+			activeExecutions,
+			workflowRunner,
+			workflowId,
+			inputs,
+			options,
+		);
+
+		telemetryPayload.results = {
+			success: output.success,
+			data: {
+				executionId: output.executionId,
+			},
 		};
-		try {
-			const output = await executeWorkflow(
-				user,
-				workflowFinderService,
-				activeExecutions,
-				workflowRunner,
-				workflowId,
-				inputs,
-			);
-
-			telemetryPayload.results = {
-				success: output.success,
-				data: {
-					executionId: output.executionId,
-				},
-			};
-			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+		telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
 
-			return {
-				content: [{ type: 'text', text: jsonStringify(output) }],
-				structuredContent: output,
-			};
-		} catch (er) {
-			const error = ensureError(er);
-			const isTimeout = error instanceof McpExecutionTimeoutError;
-			const output: ExecuteWorkflowOutput = {
-				success: false,
-				executionId: isTimeout ? error.executionId : null,
-				error: isTimeout
-					? `Workflow execution timed out after ${WORKFLOW_EXECUTION_TIMEOUT_MS / Time.milliseconds.toSeconds} seconds`
-					: error.message,
-			};
+		return {
+			content: [{ type: 'text' as const, text: jsonStringify(output) }],
+			structuredContent: output,
+		};
+	} catch (er) {
+		const error = ensureError(er);
+		const isTimeout = error instanceof McpExecutionTimeoutError;
+		const output: ExecuteWorkflowOutput = {
+			success: false,
+			executionId: isTimeout ? error.executionId : null,
+			error: isTimeout
+				? `Workflow execution timed out after ${WORKFLOW_EXECUTION_TIMEOUT_MS / Time.milliseconds.toSeconds} seconds. Execute the workflow asynchronously to run it for longer.`
+				: error.message,
+		};
 
-			telemetryPayload.results = {
-				success: false,
-				error: isTimeout ? 'Workflow execution timed out' : error.message,
-			};
-			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+		telemetryPayload.results = {
+			success: false,
+			error: isTimeout ? 'Workflow execution timed out' : error.message,
+		};
+		telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
 
-			return {
-				content: [{ type: 'text', text: jsonStringify(output) }],
-				structuredContent: output,
-			};
-		}
-	},
-});
+		return {
+			content: [{ type: 'text' as const, text: jsonStringify(output) }],
+			structuredContent: output,
+		};
+	}
+};
 
 /**
  * Executes a workflow for the given user with provided inputs.
  * In order to "synchronously" execute the workflow,
  * it is mapping mcp tool inputs to trigger node pin data and starting execution from there.
+ * Asynchronous executions are returned as soon as they started, without a timeout.
  * LIMITATION: Does not properly support workflows with multiple triggers.
  */
 export const executeWorkflow = async (
@@ -174,7 +239,8 @@ export const executeWorkflow = async (
 	activeExecutions: ActiveExecutions,
 	workflowRunner: WorkflowRunner,
 	workflowId: string,
-	inputs?: z.infer<typeof inputSchema>['inputs'],
+	inputs?: ExecuteWorkflowInputs,
+	{ async = false, progress }: ExecuteWorkflowOptions = {},
 ): Promise<ExecuteWorkflowOutput> => {
 	const workflow = await workflowFinderService.findWorkflowForUser(
 		workflowId,
@@ -193,8 +259,7 @@ export const executeWorkflow = async (
 		);
 	}
 
-	const nodes = workflow.activeVersion?.nodes ?? [];
-	const connections = workflow.activeVersion?.connections ?? {};
+	const { nodes, connections } = getMcpWorkflowVersion(workflow);
 
 	const triggerNode = findMcpSupportedTrigger(nodes);
 
@@ -210,6 +275,15 @@ export const executeWorkflow = async (
 		userId: user.id,
 	};
 
+	if (async) {
+		// The result of asynchronous executions is fetched later on, so it has to be saved
+		runData.workflowData.settings = {
+			...workflow.settings,
+			saveDataSuccessExecution: 'all',
+			saveDataErrorExecution: 'all',
+		};
+	}
+
 	// Set the trigger node as the start node and pin data for it
 	// This will enable us to run the workflow from the trigger node with the provided inputs without waiting for an actual trigger event
 	runData.startNodes = [{ name: triggerNode.name, sourceData: null }];
@@ -240,6 +314,12 @@ export const executeWorkflow = async (
 
 	const executionId = await workflowRunner.run(runData);
 
+	if (async) {
+		return { success: true, executionId, status: 'running' };
+	}
+
+	const stopReportingProgress = reportExecutionProgress(executionId, progress);
+
 	// Create a timeout promise
 	let timeoutId: NodeJS.Timeout | undefined;
 	const timeoutPromise = new Promise<never>((_, reject) => {
@@ -283,6 +363,8 @@ export const executeWorkflow = async (
 		}
 		// Re-throw the error to be handled by the caller
 		throw error;
+	} finally {
+		stopReportingProgress();
 	}
 };
 
@@ -305,10 +387,7 @@ const getExecutionModeForTrigger = (node: INode): WorkflowExecuteMode => {
 /**
  * Constructs pin data for the trigger node based on provided inputs.
  */
-const getPinDataForTrigger = (
-	node: INode,
-	inputs: z.infer<typeof inputSchema>['inputs'],
-): IPinData => {
+const getPinDataForTrigger = (node: INode, inputs: ExecuteWorkflowInputs): IPinData => {
 	switch (node.type) {
 		case WEBHOOK_NODE_TYPE: {
 			// For webhook triggers, provide default empty values if no inputs or wrong type
@@ -351,6 +430,14 @@ const getPinDataForTrigger = (
 					},
 				],
 			};
+		case EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE:
+			return {
+				[node.name]: [
+					{
+						json: inputs?.type === 'workflow' ? inputs.workflowInputs : {},
+					},
+				],
+			};
 		case SCHEDULE_TRIGGER_NODE_TYPE: {
 			// For schedule triggers, we don't map any inputs but we can add expected datetime info
 			const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -383,9 +470,7 @@ const getPinDataForTrigger = (
 /**
  * Reduce inputs to metadata that will be sent to telemetry.
  */
-const getInputMetaData = (
-	inputs: z.infer<typeof inputSchema>['inputs'],
-): ExecuteWorkflowsInputMeta | undefined => {
+const getInputMetaData = (inputs: ExecuteWorkflowInputs): ExecuteWorkflowsInputMeta | undefined => {
 	if (!inputs) {
 		return undefined;
 	}
@@ -409,6 +494,11 @@ const getInputMetaData = (
 					inputs.webhookData?.headers ? Object.keys(inputs.webhookData.headers).length : 0,
 				].reduce((a, b) => a + b, 0),
 			};
+		case 'workflow':
+			return {
+				type: 'workflow',
+				parameter_count: Object.keys(inputs.workflowInputs).length,
+			};
 		default:
 			return undefined;
 	}
@@ -0,0 +1,50 @@
+import type { ToolCallExtra } from '../mcp.types';
+
+import type { EventService } from '@/events/event.service';
+import type { RelayEventMap } from '@/events/maps/relay.event-map';
+
+/** Tool call waiting on an execution, to report the progress of the execution to */
+export type ExecutionProgressTarget = {
+	eventService: EventService;
+	extra: ToolCallExtra;
+};
+
+/**
+ * Sends an MCP progress notification to the client for each node of the execution that
+ * finishes, if the client asked for progress of the tool call.
+ *
+ * Node events are emitted by the lifecycle hooks of the instance running the execution,
+ * so progress is not reported for executions running on workers in queue mode.
+ *
+ * @returns Function to stop reporting progress
+ */
+export const reportExecutionProgress = (
+	executionId: string,
+	target: ExecutionProgressTarget | undefined,
+) => {
+	const progressToken = target?.extra?._meta?.progressToken;
+	if (!target || progressToken === undefined) return () => {};
+
+	const { eventService, extra } = target;
+	// progress has to increase with every notification, and nodes can run more than once
+	let progress = 0;
+
+	const onNodePostExecute = (event: RelayEventMap['node-post-execute']) => {
+		if (event.executionId !== executionId) return;
+
+		progress++;
+		void extra
+			.sendNotification({
+				method: 'notifications/progress',
+				params: { progressToken, progress, message: `Node "${event.nodeName}" finished` },
+			})
+			// the client may have gone away, which does not affect the execution
+			.catch(() => {});
+	};
+
+	eventService.on('node-post-execute', onNodePostExecute);
+
+	return () => {
+		eventService.off('node-post-execute', onNodePostExecute);
+	};
+};
@@ -0,0 +1,238 @@
+import type { ExecutionRepository, User } from '@n8n/db';
+import type { Scope } from '@n8n/permissions';
+import {
+	type ExecutionStatus,
+	type IRunExecutionData,
+	UserError,
+	jsonStringify,
+} from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT, WORKFLOW_EXECUTION_TIMEOUT_MS } from '../mcp.constants';
+import type { ToolDefinition, UserCalledMCPToolEventPayload } from '../mcp.types';
+import { reportExecutionProgress, type ExecutionProgressTarget } from './execution-progress';
+
+import type { ActiveExecutions } from '@/active-executions';
+import type { EventService } from '@/events/event.service';
+import type { ExecutionService } from '@/executions/execution.service';
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+/** Statuses of executions which did not finish yet */
+const UNFINISHED_STATUSES: ExecutionStatus[] = ['new', 'running', 'waiting'];
+
+const inputSchema = {
+	executionId: z.string().describe('The ID of the execution, as returned by execute_workflow'),
+	action: z
+		.enum(['get', 'cancel'])
+		.optional()
+		.default('get')
+		.describe('Get the status and result of the execution, or cancel the execution'),
+	wait: z
+		.boolean()
+		.optional()
+		.describe(
+			'Wait up to 5 minutes for a running execution to finish before getting its status and result',
+		),
+} satisfies z.ZodRawShape;
+
+type GetExecutionOutput = {
+	executionId: string;
+	status: ExecutionStatus;
+	finished: boolean;
+	result?: IRunExecutionData['resultData'];
+	error?: unknown;
+};
+
+const outputSchema = {
+	executionId: z.string(),
+	status: z
+		.string()
+		.describe('Status of the execution, e.g. "running", "success", "error" or "canceled"'),
+	finished: z.boolean().describe('Whether the execution finished, either successfully or not'),
+	result: z.unknown().optional().describe('Workflow execution result data'),
+	error: z.unknown().optional(),
+} satisfies z.ZodRawShape;
+
+/**
+ * Companion of the execute_workflow tool, to get the result of executions started
+ * asynchronously or to cancel them.
+ */
+export const createGetExecutionTool = (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+	executionService: ExecutionService,
+	activeExecutions: ActiveExecutions,
+	eventService: EventService,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'get_execution',
+	config: {
+		description:
+			'Get the status and result of a workflow execution by ID, e.g. of an execution started asynchronously with the execute_workflow tool, or cancel the execution',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Get Execution',
+			readOnlyHint: false, // Can cancel executions
+			destructiveHint: true, // Cancelling stops the execution
+			idempotentHint: true, // Safe to retry multiple times
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ executionId, action, wait }, extra) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'get_execution',
+			parameters: { executionId, action, wait },
+		};
+
+		try {
+			const output =
+				action === 'cancel'
+					? await cancelExecution(
+							user,
+							workflowFinderService,
+							executionRepository,
+							executionService,
+							executionId,
+						)
+					: await getExecution(
+							user,
+							workflowFinderService,
+							executionRepository,
+							activeExecutions,
+							executionId,
+							wait ? { eventService, extra } : undefined,
+						);
+
+			telemetryPayload.results = {
+				success: true,
+				data: { executionId, status: output.status },
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text' as const, text: jsonStringify(output) }],
+				structuredContent: output,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+/**
+ * Gets the status of an execution of an MCP-enabled workflow, along with its result once finished.
+ * Waiting for a running execution never cancels it, unlike executing a workflow synchronously.
+ */
+export const getExecution = async (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+	activeExecutions: ActiveExecutions,
+	executionId: string,
+	wait?: ExecutionProgressTarget,
+): Promise<GetExecutionOutput> => {
+	await findExecutionForUser(user, workflowFinderService, executionRepository, executionId, [
+		'workflow:read',
+	]);
+
+	if (wait && activeExecutions.has(executionId)) {
+		await waitForExecution(activeExecutions, executionId, wait);
+	}
+
+	const execution = await executionRepository.findSingleExecution(executionId, {
+		includeData: true,
+		unflattenData: true,
+	});
+
+	if (!execution) {
+		throw new UserError('Execution not found');
+	}
+
+	const finished = !UNFINISHED_STATUSES.includes(execution.status);
+
+	return {
+		executionId,
+		status: execution.status,
+		finished,
+		...(finished && {
+			result: execution.data.resultData,
+			error: execution.data.resultData?.error,
+		}),
+	};
+};
+
+/**
+ * Cancels a running execution of an MCP-enabled workflow the user can execute.
+ */
+export const cancelExecution = async (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+	executionService: ExecutionService,
+	executionId: string,
+): Promise<GetExecutionOutput> => {
+	const { workflowId } = await findExecutionForUser(
+		user,
+		workflowFinderService,
+		executionRepository,
+		executionId,
+		['workflow:execute'],
+	);
+
+	const { status } = await executionService.stop(executionId, [workflowId]);
+
+	return { executionId, status, finished: !UNFINISHED_STATUSES.includes(status) };
+};
+
+/**
+ * Executions are only accessible through MCP if their workflow is MCP-enabled.
+ */
+const findExecutionForUser = async (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+	executionId: string,
+	scopes: Scope[],
+) => {
+	const execution = await executionRepository.findSingleExecution(executionId);
+	const workflow = execution
+		? await workflowFinderService.findWorkflowForUser(execution.workflowId, user, scopes)
+		: null;
+
+	if (!execution || !workflow?.settings?.availableInMCP) {
+		throw new UserError('Execution not found');
+	}
+
+	return execution;
+};
+
+const waitForExecution = async (
+	activeExecutions: ActiveExecutions,
+	executionId: string,
+	progress: ExecutionProgressTarget,
+) => {
+	const stopReportingProgress = reportExecutionProgress(executionId, progress);
+
+	let timeoutId: NodeJS.Timeout | undefined;
+	const timeoutPromise = new Promise<void>((resolve) => {
+		timeoutId = setTimeout(resolve, WORKFLOW_EXECUTION_TIMEOUT_MS);
+	});
+
+	try {
+		await Promise.race([activeExecutions.getPostExecutePromise(executionId), timeoutPromise]);
+	} catch {
+		// Cancelled executions reject, their status is read from the database
+	} finally {
+		clearTimeout(timeoutId);
+		stopReportingProgress();
+	}
+};
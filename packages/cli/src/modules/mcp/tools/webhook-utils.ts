@@ -4,6 +4,7 @@ import {
 	SCHEDULE_TRIGGER_NODE_TYPE,
 	FORM_TRIGGER_NODE_TYPE,
 	CHAT_TRIGGER_NODE_TYPE,
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
 	type INode,
 } from 'n8n-workflow';
 
@@ -63,6 +64,7 @@ export const getTriggerDetails = async (
 		[WEBHOOK_NODE_TYPE]: [],
 		[FORM_TRIGGER_NODE_TYPE]: [],
 		[CHAT_TRIGGER_NODE_TYPE]: [],
+		[EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE]: [],
 	};
 
 	// Group triggers by type
@@ -102,6 +104,13 @@ export const getTriggerDetails = async (
 		responses.push(getFormTriggerDetails(triggersByType[FORM_TRIGGER_NODE_TYPE]));
 	}
 
+	// Handle execute workflow triggers
+	if (triggersByType[EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE].length > 0) {
+		responses.push(
+			getExecuteWorkflowTriggerDetails(triggersByType[EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE]),
+		);
+	}
+
 	return responses.join('\n\n');
 };
 
@@ -136,6 +145,22 @@ const getFormTriggerDetails = (formTriggers: INode[]): string => {
 	return header + triggers + footer;
 };
 
+const getExecuteWorkflowTriggerDetails = (executeWorkflowTriggers: INode[]): string => {
+	const header = 'Execute workflow trigger(s):\n\n';
+	const footer =
+		'\n\nUse the following input format when directly executing this workflow using any of the execute workflow triggers: { inputs { workflowInputs: { INPUT_NAME: VALUE } } }';
+	const triggers = executeWorkflowTriggers
+		.map(
+			(node, index) => `
+				<trigger ${index + 1}>
+				\t - Node name: ${node.name}
+				\t - Workflow inputs: ${JSON.stringify(node.parameters.workflowInputs ?? node.parameters.jsonExample ?? 'N/A')}
+				</trigger ${index + 1}>`,
+		)
+		.join('\n\n');
+	return header + triggers + footer;
+};
+
 const getChatTriggerDetails = (chatTriggers: INode[]): string => {
 	const header = 'Chat trigger(s):\n\n';
 	const footer =
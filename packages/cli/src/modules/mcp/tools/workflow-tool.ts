@@ -0,0 +1,286 @@
+import type { User, WorkflowEntity } from '@n8n/db';
+import {
+	CHAT_TRIGGER_NODE_TYPE,
+	EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE,
+	FORM_TRIGGER_NODE_TYPE,
+	WEBHOOK_NODE_TYPE,
+	jsonParse,
+	type FieldValueOption,
+	type FormFieldsParameter,
+	type INode,
+} from 'n8n-workflow';
+import z from 'zod';
+
+import type { ToolDefinition, WorkflowToolSpec } from '../mcp.types';
+import { callWorkflow, type ExecuteWorkflowInputs } from './execute-workflow.tool';
+
+import type { ActiveExecutions } from '@/active-executions';
+import type { EventService } from '@/events/event.service';
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowRunner } from '@/workflow-runner';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+/** Tool names are limited to 64 characters by most MCP clients */
+export const MAX_TOOL_NAME_LENGTH = 64;
+
+/** Form fields that cannot be filled in through MCP */
+const UNSUPPORTED_FORM_FIELD_TYPES = ['file', 'html'];
+
+const webhookInputSchema = {
+	query: z.record(z.string()).optional().describe('Query string parameters'),
+	body: z.record(z.unknown()).optional().describe('Request body data (main webhook payload)'),
+	headers: z
+		.record(z.string())
+		.optional()
+		.describe('HTTP headers (e.g., authorization, content-type)'),
+} satisfies z.ZodRawShape;
+
+const chatInputSchema = {
+	chatInput: z.string().describe('Message to send to the chat'),
+} satisfies z.ZodRawShape;
+
+/** Workflows passing through any input data receive it as a whole */
+const passthroughInputSchema = {
+	data: z.record(z.unknown()).optional().describe('Input data to pass to the workflow'),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	success: z.boolean(),
+	executionId: z.string().nullable().optional(),
+	result: z.unknown().optional().describe('Workflow execution result data'),
+	error: z.unknown().optional(),
+} satisfies z.ZodRawShape;
+
+/**
+ * Turns a workflow name into a tool name, e.g. `Send invoice (v2)` into `send_invoice_v2`.
+ */
+export const toWorkflowToolName = (workflowName: string) => {
+	const name = workflowName
+		.normalize('NFKD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '_')
+		.replace(/^_+|_+$/g, '')
+		.slice(0, MAX_TOOL_NAME_LENGTH);
+
+	return name || 'workflow';
+};
+
+/**
+ * Derives the tool of an MCP-enabled workflow from the trigger it is executed from.
+ */
+export const getWorkflowToolSpec = (
+	workflow: Pick<WorkflowEntity, 'id' | 'name' | 'description'>,
+	triggerNode: INode,
+): WorkflowToolSpec => ({
+	workflowId: workflow.id,
+	name: toWorkflowToolName(workflow.name),
+	description: workflow.description ?? `Execute the "${workflow.name}" workflow`,
+	triggerNode,
+	inputSchema: getWorkflowInputSchema(triggerNode),
+});
+
+/**
+ * Derives the input schema of a workflow from the inputs defined on its trigger node.
+ */
+export const getWorkflowInputSchema = (triggerNode: INode): z.ZodRawShape => {
+	switch (triggerNode.type) {
+		case WEBHOOK_NODE_TYPE:
+			return webhookInputSchema;
+		case CHAT_TRIGGER_NODE_TYPE:
+			return chatInputSchema;
+		case FORM_TRIGGER_NODE_TYPE:
+			return getFormInputSchema(triggerNode);
+		case EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE:
+			return getExecuteWorkflowInputSchema(triggerNode);
+		default:
+			return {};
+	}
+};
+
+/**
+ * Creates the mcp tool definition executing a single workflow, with the inputs of its trigger as arguments.
+ */
+export const createWorkflowTool = (
+	user: User,
+	name: string,
+	spec: WorkflowToolSpec,
+	workflowFinderService: WorkflowFinderService,
+	activeExecutions: ActiveExecutions,
+	workflowRunner: WorkflowRunner,
+	telemetry: Telemetry,
+	eventService: EventService,
+): ToolDefinition => ({
+	name,
+	config: {
+		description: spec.description,
+		inputSchema: spec.inputSchema,
+		outputSchema,
+		annotations: {
+			title: name,
+			readOnlyHint: false, // Can read and write data via workflows
+			destructiveHint: true, // Can cause changes in external systems via workflows
+			idempotentHint: true, // Safe to retry multiple times
+			openWorldHint: true, // Can access external systems via workflows
+		},
+	},
+	handler: async (args: Record<string, unknown>, extra) =>
+		await callWorkflow(
+			'workflow_tool',
+			user,
+			workflowFinderService,
+			activeExecutions,
+			workflowRunner,
+			telemetry,
+			spec.workflowId,
+			toWorkflowInputs(spec.triggerNode, args),
+			{ progress: { eventService, extra } },
+		),
+});
+
+const toWorkflowInputs = (
+	triggerNode: INode,
+	args: Record<string, unknown>,
+): ExecuteWorkflowInputs => {
+	switch (triggerNode.type) {
+		case WEBHOOK_NODE_TYPE:
+			return {
+				type: 'webhook',
+				webhookData: {
+					method: getWebhookMethod(triggerNode),
+					...(args as z.infer<z.ZodObject<typeof webhookInputSchema>>),
+				},
+			};
+		case CHAT_TRIGGER_NODE_TYPE:
+			return { type: 'chat', chatInput: String(args.chatInput) };
+		case FORM_TRIGGER_NODE_TYPE:
+			return { type: 'form', formData: args };
+		case EXECUTE_WORKFLOW_TRIGGER_NODE_TYPE:
+			return {
+				type: 'workflow',
+				workflowInputs: isPassthrough(triggerNode)
+					? ((args.data as Record<string, unknown> | undefined) ?? {})
+					: args,
+			};
+		default:
+			return undefined;
+	}
+};
+
+const getWebhookMethod = (node: INode) => {
+	const method = node.parameters.httpMethod;
+	const methods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'] as const;
+	return methods.find((m) => m === method) ?? 'GET';
+};
+
+/**
+ * Form submissions are keyed by field name from v2.4 of the form trigger, by label before.
+ */
+const getFormInputSchema = (node: INode): z.ZodRawShape => {
+	const formFields = node.parameters.formFields as { values?: FormFieldsParameter } | undefined;
+	const shape: z.ZodRawShape = {};
+
+	for (const field of formFields?.values ?? []) {
+		if (UNSUPPORTED_FORM_FIELD_TYPES.includes(field.fieldType ?? 'text')) continue;
+
+		const key =
+			node.typeVersion >= 2.4 && field.fieldName
+				? field.fieldName
+				: (field.fieldLabel ?? field.fieldName);
+		if (!key) continue;
+
+		const schema = getFormFieldSchema(field).describe(field.fieldLabel ?? key);
+		shape[key] = field.requiredField ? schema : schema.optional();
+	}
+
+	return shape;
+};
+
+const getFormFieldSchema = (field: FormFieldsParameter[number]): z.ZodTypeAny => {
+	const options = (field.fieldOptions?.values ?? []).map(({ option }) => option);
+	const option =
+		options.length > 0 ? z.enum(options as [string, ...string[]]) : (z.string() as z.ZodTypeAny);
+
+	switch (field.fieldType) {
+		case 'number':
+			return z.number();
+		case 'email':
+			return z.string().email();
+		case 'date':
+			return z.string().date();
+		case 'checkbox':
+			return z.array(option);
+		case 'dropdown':
+			return field.multiselect ? z.array(option) : option;
+		case 'radio':
+			return option;
+		default:
+			return z.string();
+	}
+};
+
+const isPassthrough = (node: INode) =>
+	// inputs can only be defined from v1.1 of the execute workflow trigger
+	node.typeVersion < 1.1 || node.parameters.inputSource === 'passthrough';
+
+const getExecuteWorkflowInputSchema = (node: INode): z.ZodRawShape => {
+	if (isPassthrough(node)) return passthroughInputSchema;
+
+	const fields =
+		node.parameters.inputSource === 'jsonExample'
+			? getJsonExampleFields(node)
+			: ((node.parameters.workflowInputs as { values?: FieldValueOption[] } | undefined)?.values ??
+				[]);
+
+	// inputs missing from calls of a workflow are set to `null`
+	return Object.fromEntries(
+		fields
+			.filter(({ name }) => name)
+			.map(({ name, type }) => [name, getWorkflowInputFieldSchema(type).optional()]),
+	);
+};
+
+const getJsonExampleFields = (node: INode): FieldValueOption[] => {
+	const example = jsonParse<unknown>(String(node.parameters.jsonExample ?? '{}'), {
+		fallbackValue: {},
+	});
+
+	if (typeof example !== 'object' || example === null || Array.isArray(example)) return [];
+
+	return Object.entries(example).map(([name, value]) => ({ name, type: toFieldType(value) }));
+};
+
+const toFieldType = (value: unknown): FieldValueOption['type'] => {
+	if (Array.isArray(value)) return 'array';
+	if (value === null) return 'any';
+
+	switch (typeof value) {
+		case 'string':
+			return 'string';
+		case 'number':
+			return 'number';
+		case 'boolean':
+			return 'boolean';
+		case 'object':
+			return 'object';
+		default:
+			return 'any';
+	}
+};
+
+const getWorkflowInputFieldSchema = (type: FieldValueOption['type']): z.ZodTypeAny => {
+	switch (type) {
+		case 'string':
+			return z.string();
+		case 'number':
+			return z.number();
+		case 'boolean':
+			return z.boolean();
+		case 'array':
+			return z.array(z.unknown());
+		case 'object':
+			return z.record(z.unknown());
+		default:
+			return z.unknown();
+	}
+};
@@ -44,6 +44,16 @@ describe('SourceControlGitService', () => {
 			const branches = await sourceControlGitService.getBranches();
 			expect(branches.branches).toEqual(['master', 'feature/branch']);
 		});
+
+		it('should leave out branches of the remotes of other environments', async () => {
+			mockGitInstance.branch.mockResolvedValueOnce({
+				...MOCK_BRANCHES,
+				branches: { ...MOCK_BRANCHES.branches, 'production/main': {} },
+			});
+
+			const branches = await sourceControlGitService.getBranches();
+			expect(branches.branches).toEqual(['master', 'feature/branch']);
+		});
 	});
 
 	describe('initRepository', () => {
@@ -917,6 +917,89 @@ describe('SourceControlImportService', () => {
 				expect(folderRepository.delete).not.toHaveBeenCalled();
 			});
 		});
+
+		const mockFolders: ExportableFolder[] = [
+			{
+				id: 'root',
+				name: 'root',
+				parentFolderId: null,
+				homeProjectId: 'project-1',
+				createdAt: '',
+				updatedAt: '',
+			},
+			{
+				id: 'child',
+				name: 'child',
+				parentFolderId: 'root',
+				homeProjectId: 'project-1',
+				createdAt: '',
+				updatedAt: '',
+			},
+			{
+				id: 'other',
+				name: 'other',
+				parentFolderId: null,
+				homeProjectId: 'project-2',
+				createdAt: '',
+				updatedAt: '',
+			},
+		];
+		const foldersCandidate = mock<SourceControlledFile>({ file: '/mock/folders.json' });
+
+		describe('findPullDependencies', () => {
+			it('should find the projects and folders workflows are in, with the ancestors of the folders', async () => {
+				fsReadFile
+					.mockResolvedValueOnce(
+						JSON.stringify({
+							id: 'wf-1',
+							owner: { type: 'team', teamId: 'project-1', teamName: 'Project 1' },
+							parentFolderId: 'child',
+						}),
+					)
+					.mockResolvedValueOnce(JSON.stringify({ folders: mockFolders }));
+
+				const result = await service.findPullDependencies(
+					[mock<SourceControlledFile>({ file: '/mock/wf-1.json' })],
+					[],
+					foldersCandidate,
+				);
+
+				expect(result.projectIds).toEqual(new Set(['project-1']));
+				expect(result.folderIds).toEqual(new Set(['child', 'root']));
+			});
+
+			it('should find the projects of selected folders', async () => {
+				fsReadFile.mockResolvedValueOnce(JSON.stringify({ folders: mockFolders }));
+
+				const result = await service.findPullDependencies([], ['other'], foldersCandidate);
+
+				expect(result.projectIds).toEqual(new Set(['project-2']));
+				expect(result.folderIds).toEqual(new Set(['other']));
+			});
+		});
+
+		describe('importFoldersFromWorkFolder', () => {
+			it('should only import the given folders', async () => {
+				fsReadFile.mockResolvedValueOnce(JSON.stringify({ folders: mockFolders }));
+				projectRepository.find.mockResolvedValueOnce([]);
+				projectRepository.getPersonalProjectForUserOrFail.mockResolvedValueOnce(
+					mock<Project>({ id: 'personal' }),
+				);
+				folderRepository.create.mockImplementation((folder) => folder as never);
+
+				await service.importFoldersFromWorkFolder(
+					mock<User>({ id: 'user-id' }),
+					foldersCandidate,
+					new Set(['root', 'child']),
+				);
+
+				expect(folderRepository.upsert).toHaveBeenCalledTimes(2);
+				expect(folderRepository.update).not.toHaveBeenCalledWith(
+					{ id: 'other' },
+					expect.anything(),
+				);
+			});
+		});
 	});
 
 	describe('projects', () => {
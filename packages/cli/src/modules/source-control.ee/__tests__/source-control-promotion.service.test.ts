@@ -0,0 +1,199 @@
+import { mockLogger } from '@n8n/backend-test-utils';
+import type { User } from '@n8n/db';
+import { execFileSync } from 'child_process';
+import { mock } from 'jest-mock-extended';
+import { UserError } from 'n8n-workflow';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'path';
+import { simpleGit } from 'simple-git';
+
+import { SourceControlGitService } from '../source-control-git.service.ee';
+import type { SourceControlPreferencesService } from '../source-control-preferences.service.ee';
+import { SourceControlPromotionService } from '../source-control-promotion.service.ee';
+import type { SourceControlService } from '../source-control.service.ee';
+import type { SourceControlEnvironment } from '../types/source-control-environment';
+import type { SourceControlPreferences } from '../types/source-control-preferences';
+
+/**
+ * Promotes between branches of local bare repositories, which stand in for the
+ * repositories on the git provider.
+ */
+describe('SourceControlPromotionService', () => {
+	let tmpDir: string;
+	let repositoryUrl: string;
+	let productionRepositoryUrl: string;
+	let gitFolder: string;
+
+	const git = (cwd: string, ...args: string[]) =>
+		execFileSync('git', ['-c', 'user.name=n8n', '-c', 'user.email=n8n@example.com', ...args], {
+			cwd,
+			stdio: 'pipe',
+		}).toString();
+
+	const environments: SourceControlEnvironment[] = [{ name: 'staging', branchName: 'staging' }];
+
+	const preferencesService = mock<SourceControlPreferencesService>();
+	const sourceControlService = mock<SourceControlService>();
+	const gitService = new SourceControlGitService(mockLogger(), mock(), preferencesService);
+	const promotionService = new SourceControlPromotionService(
+		mockLogger(),
+		gitService,
+		preferencesService,
+		sourceControlService,
+	);
+	const user = mock<User>({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' });
+
+	/** Merges a promotion on the "git provider" the way a reviewer would */
+	const merge = (remoteUrl: string, branch: string, targetBranch: string) => {
+		const reviewerFolder = path.join(tmpDir, 'reviewer');
+		rmSync(reviewerFolder, { recursive: true, force: true });
+		git(tmpDir, 'clone', '--branch', targetBranch, remoteUrl, reviewerFolder);
+		git(reviewerFolder, 'merge', '--no-ff', `origin/${branch}`);
+		git(reviewerFolder, 'push', 'origin', targetBranch);
+	};
+
+	beforeEach(() => {
+		tmpDir = mkdtempSync(path.join(tmpdir(), 'n8n-promotion-'));
+		repositoryUrl = path.join(tmpDir, 'repository.git');
+		productionRepositoryUrl = path.join(tmpDir, 'production.git');
+		gitFolder = path.join(tmpDir, 'git');
+
+		const seedFolder = path.join(tmpDir, 'seed');
+		git(tmpDir, 'init', '--bare', repositoryUrl);
+		git(tmpDir, 'init', '--bare', productionRepositoryUrl);
+		git(tmpDir, 'init', '--initial-branch=dev', seedFolder);
+		writeFileSync(path.join(seedFolder, 'README.md'), '# n8n Source Control');
+		git(seedFolder, 'add', '.');
+		git(seedFolder, 'commit', '-m', 'Initial commit');
+		git(seedFolder, 'push', repositoryUrl, 'dev', 'dev:staging');
+		git(seedFolder, 'push', productionRepositoryUrl, 'dev:production');
+
+		mkdirSync(path.join(seedFolder, 'workflows'));
+		writeFileSync(path.join(seedFolder, 'workflows', '1.json'), '{"id":"1"}');
+		git(seedFolder, 'add', '.');
+		git(seedFolder, 'commit', '-m', 'Add workflow');
+		git(seedFolder, 'push', repositoryUrl, 'dev');
+
+		git(tmpDir, 'clone', '--branch', 'dev', repositoryUrl, gitFolder);
+		git(gitFolder, 'config', 'user.name', 'n8n');
+		git(gitFolder, 'config', 'user.email', 'n8n@example.com');
+
+		gitService.git = simpleGit(gitFolder);
+		jest.spyOn(gitService, 'setGitCommand').mockResolvedValue();
+
+		Object.assign(preferencesService, { gitFolder });
+		preferencesService.getBranchName.mockReturnValue('dev');
+		preferencesService.getPreferences.mockReturnValue(
+			mock<SourceControlPreferences>({ repositoryUrl, branchName: 'dev', environments }),
+		);
+	});
+
+	afterEach(() => {
+		rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	describe('promote', () => {
+		it('should push a feature branch with a merge request description', async () => {
+			const promotion = await promotionService.promote(user, {
+				environment: 'staging',
+				title: 'Release invoicing',
+				description: 'Approved by finance',
+			});
+
+			expect(promotion).toMatchObject({
+				environment: 'staging',
+				targetBranch: 'staging',
+				files: ['workflows/1.json'],
+			});
+			expect(promotion.branch).toMatch(/^promote\/staging-/);
+			expect(promotion.descriptionFile).toMatch(/^promotions\/staging-.*\.md$/);
+
+			const description = git(
+				repositoryUrl,
+				'show',
+				`${promotion.branch}:${promotion.descriptionFile}`,
+			);
+			expect(description).toContain('# Release invoicing');
+			expect(description).toContain('Approved by finance');
+			expect(description).toContain('- Requested by: Jane Doe');
+			expect(description).toContain('- `workflows/1.json`');
+		});
+
+		it('should leave the work folder on the branch of this instance', async () => {
+			await promotionService.promote(user, { environment: 'staging', title: 'Release' });
+
+			expect(git(gitFolder, 'branch', '--show-current').trim()).toBe('dev');
+			expect(git(gitFolder, 'branch', '--list', 'promote/*')).toBe('');
+			expect(readFileSync(path.join(gitFolder, 'workflows', '1.json'), 'utf8')).toBe('{"id":"1"}');
+		});
+
+		it('should push to the repository of environments with their own repository', async () => {
+			environments.push({
+				name: 'production',
+				branchName: 'production',
+				repositoryUrl: productionRepositoryUrl,
+			});
+
+			try {
+				const promotion = await promotionService.promote(user, {
+					environment: 'production',
+					title: 'Release',
+				});
+
+				expect(git(productionRepositoryUrl, 'branch', '--list', promotion.branch)).toContain(
+					promotion.branch,
+				);
+				expect(git(repositoryUrl, 'branch', '--list', promotion.branch)).toBe('');
+				expect(await gitService.getBranches()).toMatchObject({
+					branches: expect.not.arrayContaining(['production']),
+				});
+			} finally {
+				environments.pop();
+			}
+		});
+
+		it('should throw if nothing changed since the last promotion was merged', async () => {
+			const promotion = await promotionService.promote(user, {
+				environment: 'staging',
+				title: 'Release',
+			});
+			merge(repositoryUrl, promotion.branch, 'staging');
+
+			await expect(
+				promotionService.promote(user, { environment: 'staging', title: 'Release' }),
+			).rejects.toThrow('Nothing to promote');
+		});
+
+		it('should throw for environments that are not configured', async () => {
+			await expect(
+				promotionService.promote(user, { environment: 'qa', title: 'Release' }),
+			).rejects.toThrow(UserError);
+		});
+	});
+
+	describe('getPromotionStatus', () => {
+		it('should report promotions as merged once merged into the branch of the environment', async () => {
+			const { branch } = await promotionService.promote(user, {
+				environment: 'staging',
+				title: 'Release',
+			});
+
+			expect(await promotionService.getPromotionStatus({ environment: 'staging', branch })).toEqual(
+				{ merged: false },
+			);
+
+			merge(repositoryUrl, branch, 'staging');
+
+			expect(await promotionService.getPromotionStatus({ environment: 'staging', branch })).toEqual(
+				{ merged: true },
+			);
+		});
+
+		it('should throw for branches that are not promotion branches', async () => {
+			await expect(
+				promotionService.getPromotionStatus({ environment: 'staging', branch: 'main' }),
+			).rejects.toThrow('"main" is not a promotion branch');
+		});
+	});
+});
@@ -1,4 +1,10 @@
-import type { PullWorkFolderRequestDto, PushWorkFolderRequestDto } from '@n8n/api-types';
+import type {
+	PromoteWorkFolderRequestDto,
+	PullPreviewRequestDto,
+	PullWorkFolderRequestDto,
+	PushWorkFolderRequestDto,
+	SourceControlledFile,
+} from '@n8n/api-types';
 import type { AuthenticatedRequest } from '@n8n/db';
 import type { Response } from 'express';
 import { mock } from 'jest-mock-extended';
@@ -6,6 +12,7 @@ import { mock } from 'jest-mock-extended';
 import type { EventService } from '@/events/event.service';
 
 import type { SourceControlPreferencesService } from '../source-control-preferences.service.ee';
+import type { SourceControlPromotionService } from '../source-control-promotion.service.ee';
 import { SourceControlController } from '../source-control.controller.ee';
 import type { SourceControlService } from '../source-control.service.ee';
 import type { SourceControlRequest } from '../types/requests';
@@ -16,23 +23,27 @@ describe('SourceControlController', () => {
 	let sourceControlService: SourceControlService;
 	let sourceControlPreferencesService: SourceControlPreferencesService;
 	let eventService: EventService;
+	let sourceControlPromotionService: SourceControlPromotionService;
 
 	beforeEach(() => {
 		sourceControlService = {
 			pushWorkfolder: jest.fn().mockResolvedValue({ statusCode: 200 }),
 			pullWorkfolder: jest.fn().mockResolvedValue({ statusCode: 200 }),
+			getPullPreview: jest.fn().mockResolvedValue([]),
 			getStatus: jest.fn().mockResolvedValue([]),
 			setGitUserDetails: jest.fn(),
 		} as unknown as SourceControlService;
 
 		sourceControlPreferencesService = mock<SourceControlPreferencesService>();
 		eventService = mock<EventService>();
+		sourceControlPromotionService = mock<SourceControlPromotionService>();
 
 		controller = new SourceControlController(
 			sourceControlService,
 			sourceControlPreferencesService,
 			mock(),
 			eventService,
+			sourceControlPromotionService,
 		);
 	});
 
@@ -131,6 +142,55 @@ describe('SourceControlController', () => {
 		});
 	});
 
+	describe('getPullPreview', () => {
+		it('should preview the selected files', async () => {
+			const req = mock<AuthenticatedRequest>();
+			const res = mock<Response>();
+			const fileNames = [mock<SourceControlledFile>({ id: 'wf-1', type: 'workflow' })];
+
+			await controller.getPullPreview(req, res, { fileNames } as PullPreviewRequestDto);
+
+			expect(sourceControlService.getPullPreview).toHaveBeenCalledWith(req.user, fileNames);
+		});
+
+		it('should throw BadRequestError when preview fails', async () => {
+			(sourceControlService.getPullPreview as jest.Mock).mockRejectedValueOnce(
+				new Error('Git fetch failed'),
+			);
+
+			await expect(
+				controller.getPullPreview(mock(), mock(), {} as PullPreviewRequestDto),
+			).rejects.toThrow('Git fetch failed');
+		});
+	});
+
+	describe('promote', () => {
+		it('should promote with the git user details of the requesting user', async () => {
+			const req = mock<AuthenticatedRequest>({
+				user: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' },
+			});
+			const payload = { environment: 'staging', title: 'Release' } as PromoteWorkFolderRequestDto;
+
+			await controller.promote(req, mock(), payload);
+
+			expect(sourceControlService.setGitUserDetails).toHaveBeenCalledWith(
+				'John Doe',
+				'john.doe@example.com',
+			);
+			expect(sourceControlPromotionService.promote).toHaveBeenCalledWith(req.user, payload);
+		});
+
+		it('should throw BadRequestError when promotion fails', async () => {
+			(sourceControlPromotionService.promote as jest.Mock).mockRejectedValueOnce(
+				new Error('Environment "qa" is not configured'),
+			);
+
+			await expect(
+				controller.promote(mock(), mock(), {} as PromoteWorkFolderRequestDto),
+			).rejects.toThrow('Environment "qa" is not configured');
+		});
+	});
+
 	describe('getStatus', () => {
 		it('should call getStatus with expected parameters', async () => {
 			const user = { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' };
@@ -1,9 +1,16 @@
 import type { SourceControlledFile } from '@n8n/api-types';
 import { isContainedWithin } from '@n8n/backend-common';
-import { GLOBAL_ADMIN_ROLE, GLOBAL_MEMBER_ROLE, User, type WorkflowEntity } from '@n8n/db';
+import {
+	GLOBAL_ADMIN_ROLE,
+	GLOBAL_MEMBER_ROLE,
+	User,
+	type WorkflowEntity,
+	type WorkflowRepository,
+} from '@n8n/db';
 import { Container } from '@n8n/di';
 import { mock } from 'jest-mock-extended';
 import { InstanceSettings } from 'n8n-core';
+import type { INode } from 'n8n-workflow';
 import type { PushResult } from 'simple-git';
 
 import { SourceControlPreferencesService } from '@/modules/source-control.ee/source-control-preferences.service.ee';
@@ -39,6 +46,7 @@ describe('SourceControlService', () => {
 	const sourceControlScopedService = mock<SourceControlScopedService>();
 	const gitService = mock<SourceControlGitService>();
 	const eventService = mock<EventService>();
+	const workflowRepository = mock<WorkflowRepository>();
 	const sourceControlService = new SourceControlService(
 		mock(), // logger
 		gitService,
@@ -48,6 +56,7 @@ describe('SourceControlService', () => {
 		sourceControlScopedService,
 		eventService, // event service
 		mockStatusService as any, // status service
+		workflowRepository,
 	);
 
 	beforeEach(() => {
@@ -524,6 +533,216 @@ describe('SourceControlService', () => {
 		});
 	});
 
+	describe('pullWorkfolder with selected files', () => {
+		const toFile = (type: SourceControlledFile['type'], id: string, status = 'modified') =>
+			({
+				file: `${type}/${id}.json`,
+				id,
+				name: id,
+				type,
+				status,
+				location: 'remote',
+				conflict: false,
+				updatedAt: new Date().toISOString(),
+			}) as SourceControlledFile;
+
+		beforeEach(() => {
+			sourceControlImportService.findPullDependencies.mockResolvedValue({
+				projectIds: new Set(),
+				folderIds: new Set(),
+			});
+		});
+
+		it('should only import the selected files', async () => {
+			const user = mock<User>({ id: 'user-id' });
+			const selected = toFile('workflow', 'wf-1', 'created');
+			mockStatusService.getStatus.mockResolvedValueOnce([
+				selected,
+				toFile('workflow', 'wf-2', 'created'),
+				toFile('credential', 'cred-1', 'deleted'),
+			]);
+
+			const result = await sourceControlService.pullWorkfolder(user, { fileNames: [selected] });
+
+			expect(result).toEqual({ statusCode: 200, statusResult: [selected] });
+			expect(sourceControlImportService.importWorkflowFromWorkFolder).toHaveBeenCalledWith(
+				[selected],
+				'user-id',
+			);
+			expect(sourceControlImportService.deleteCredentialsNotInWorkfolder).toHaveBeenCalledWith(
+				user,
+				[],
+			);
+		});
+
+		it('should only check the selected files for conflicts', async () => {
+			const user = mock<User>({ id: 'user-id' });
+			const selected = toFile('workflow', 'wf-1', 'created');
+			mockStatusService.getStatus.mockResolvedValueOnce([selected, toFile('workflow', 'wf-2')]);
+
+			const result = await sourceControlService.pullWorkfolder(user, { fileNames: [selected] });
+
+			expect(result.statusCode).toBe(200);
+		});
+
+		it('should import only the projects and folders the selected workflows are in', async () => {
+			const user = mock<User>({ id: 'user-id' });
+			const selected = toFile('workflow', 'wf-1', 'created');
+			const project = toFile('project', 'project-1', 'created');
+			const otherProject = toFile('project', 'project-2', 'created');
+			const folder = toFile('folders', 'folder-1', 'created');
+			const otherFolder = toFile('folders', 'folder-2', 'created');
+			mockStatusService.getStatus.mockResolvedValueOnce([
+				selected,
+				project,
+				otherProject,
+				folder,
+				otherFolder,
+			]);
+			sourceControlImportService.findPullDependencies.mockResolvedValueOnce({
+				projectIds: new Set(['project-1']),
+				folderIds: new Set(['folder-1']),
+			});
+
+			await sourceControlService.pullWorkfolder(user, { fileNames: [selected] });
+
+			expect(sourceControlImportService.findPullDependencies).toHaveBeenCalledWith(
+				[selected],
+				[],
+				folder,
+			);
+			expect(sourceControlImportService.importTeamProjectsFromWorkFolder).toHaveBeenCalledWith(
+				[project],
+				'user-id',
+			);
+			expect(sourceControlImportService.importFoldersFromWorkFolder).toHaveBeenCalledWith(
+				user,
+				folder,
+				new Set(['folder-1']),
+			);
+		});
+
+		it('should import selected projects and folders', async () => {
+			const user = mock<User>({ id: 'user-id' });
+			const project = toFile('project', 'project-1', 'created');
+			const folder = toFile('folders', 'folder-1', 'created');
+			mockStatusService.getStatus.mockResolvedValueOnce([
+				project,
+				toFile('project', 'project-2', 'created'),
+				folder,
+			]);
+			sourceControlImportService.findPullDependencies.mockResolvedValueOnce({
+				projectIds: new Set(),
+				folderIds: new Set(['folder-1']),
+			});
+
+			await sourceControlService.pullWorkfolder(user, { fileNames: [project, folder] });
+
+			expect(sourceControlImportService.findPullDependencies).toHaveBeenCalledWith(
+				[],
+				['folder-1'],
+				folder,
+			);
+			expect(sourceControlImportService.importTeamProjectsFromWorkFolder).toHaveBeenCalledWith(
+				[project],
+				'user-id',
+			);
+		});
+
+		it('should import all projects and folders if no files are selected', async () => {
+			const user = mock<User>({ id: 'user-id' });
+			const projects = [
+				toFile('project', 'project-1', 'created'),
+				toFile('project', 'project-2', 'created'),
+			];
+			const folder = toFile('folders', 'folder-1', 'created');
+			mockStatusService.getStatus.mockResolvedValueOnce([...projects, folder]);
+
+			await sourceControlService.pullWorkfolder(user, {});
+
+			expect(sourceControlImportService.findPullDependencies).not.toHaveBeenCalled();
+			expect(sourceControlImportService.importTeamProjectsFromWorkFolder).toHaveBeenCalledWith(
+				projects,
+				'user-id',
+			);
+			expect(sourceControlImportService.importFoldersFromWorkFolder).toHaveBeenCalledWith(
+				user,
+				folder,
+				undefined,
+			);
+		});
+	});
+
+	describe('getPullPreview', () => {
+		const user = mock<User>();
+		const toNode = (id: string, parameters = {}) =>
+			({
+				id,
+				name: `Node ${id}`,
+				type: 'n8n-nodes-base.set',
+				typeVersion: 1,
+				position: [0, 0],
+				parameters,
+			}) as INode;
+
+		const workflowFile = {
+			file: 'workflows/wf-1.json',
+			id: 'wf-1',
+			name: 'Workflow 1',
+			type: 'workflow',
+			status: 'modified',
+			location: 'remote',
+			conflict: false,
+			updatedAt: new Date().toISOString(),
+		} as SourceControlledFile;
+
+		it('should list the nodes that pulling a workflow changes', async () => {
+			mockStatusService.getStatus.mockResolvedValueOnce([workflowFile]);
+			workflowRepository.findOne.mockResolvedValueOnce(
+				mock<WorkflowEntity>({ nodes: [toNode('1'), toNode('2'), toNode('3')] }),
+			);
+			gitService.getFileContent.mockResolvedValueOnce(
+				JSON.stringify({ nodes: [toNode('1'), toNode('2', { value: 'changed' }), toNode('4')] }),
+			);
+
+			const result = await sourceControlService.getPullPreview(user);
+
+			expect(gitService.getFileContent).toHaveBeenCalledWith('workflows/wf-1.json');
+			expect(result).toEqual([
+				{
+					file: workflowFile,
+					nodes: [
+						{ id: '2', name: 'Node 2', type: 'n8n-nodes-base.set', status: 'modified' },
+						{ id: '3', name: 'Node 3', type: 'n8n-nodes-base.set', status: 'deleted' },
+						{ id: '4', name: 'Node 4', type: 'n8n-nodes-base.set', status: 'added' },
+					],
+				},
+			]);
+		});
+
+		it('should list all local nodes as deleted for workflows deleted in the remote', async () => {
+			mockStatusService.getStatus.mockResolvedValueOnce([{ ...workflowFile, status: 'deleted' }]);
+			workflowRepository.findOne.mockResolvedValueOnce(
+				mock<WorkflowEntity>({ nodes: [toNode('1')] }),
+			);
+
+			const [{ nodes }] = await sourceControlService.getPullPreview(user);
+
+			expect(gitService.getFileContent).not.toHaveBeenCalled();
+			expect(nodes).toEqual([expect.objectContaining({ id: '1', status: 'deleted' })]);
+		});
+
+		it('should only preview the selected files, without node diffs for other types', async () => {
+			const credentialFile = { ...workflowFile, id: 'cred-1', type: 'credential' as const };
+			mockStatusService.getStatus.mockResolvedValueOnce([workflowFile, credentialFile]);
+
+			const result = await sourceControlService.getPullPreview(user, [credentialFile]);
+
+			expect(result).toEqual([{ file: credentialFile, nodes: [] }]);
+			expect(workflowRepository.findOne).not.toHaveBeenCalled();
+		});
+	});
+
 	describe('getStatus', () => {
 		it('ensure updatedAt field for last deleted tag', async () => {
 			// ARRANGE
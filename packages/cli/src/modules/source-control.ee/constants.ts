@@ -12,6 +12,8 @@ export const SOURCE_CONTROL_SSH_FOLDER = 'ssh';
 export const SOURCE_CONTROL_SSH_KEY_NAME = 'key';
 export const SOURCE_CONTROL_DEFAULT_BRANCH = 'main';
 export const SOURCE_CONTROL_ORIGIN = 'origin';
+export const SOURCE_CONTROL_PROMOTIONS_FOLDER = 'promotions';
+export const SOURCE_CONTROL_PROMOTION_BRANCH_PREFIX = 'promote/';
 export const SOURCE_CONTROL_README = `
 # n8n Source Control
 `;
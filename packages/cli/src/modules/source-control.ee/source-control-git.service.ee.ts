@@ -288,6 +288,8 @@ export class SourceControlGitService {
 			// Get remote branches
 			const { branches } = await this.git.branch(['-r']);
 			const remoteBranches = Object.keys(branches)
+				// leave out branches of the remotes of other environments
+				.filter((name) => name.startsWith(`${SOURCE_CONTROL_ORIGIN}/`))
 				.map((name) => name.split('/').slice(1).join('/'))
 				.filter((name) => name !== 'HEAD');
 
@@ -347,11 +349,15 @@ export class SourceControlGitService {
 		return;
 	}
 
-	async fetch(): Promise<FetchResult> {
+	async fetch(remote?: string): Promise<FetchResult> {
 		if (!this.git) {
 			throw new UnexpectedError('Git is not initialized (fetch)');
 		}
 		await this.setGitCommand();
+		if (remote) {
+			// a remote without a branch is ignored when passed as argument
+			return await this.git.fetch([remote]);
+		}
 		return await this.git.fetch();
 	}
 
@@ -368,20 +374,92 @@ export class SourceControlGitService {
 	}
 
 	async push(
-		options: { force: boolean; branch: string } = {
+		options: { force: boolean; branch: string; remote?: string } = {
 			force: false,
 			branch: SOURCE_CONTROL_DEFAULT_BRANCH,
 		},
 	): Promise<PushResult> {
-		const { force, branch } = options;
+		const { force, branch, remote = SOURCE_CONTROL_ORIGIN } = options;
 		if (!this.git) {
 			throw new UnexpectedError('Git is not initialized ({)');
 		}
 		await this.setGitCommand();
 		if (force) {
-			return await this.git.push(SOURCE_CONTROL_ORIGIN, branch, ['-f']);
+			return await this.git.push(remote, branch, ['-f']);
+		}
+		return await this.git.push(remote, branch);
+	}
+
+	/**
+	 * Add a remote for the repository of another environment, or update its URL
+	 * if the repository of the environment changed.
+	 */
+	async setRemote(name: string, url: string): Promise<void> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (setRemote)');
+		}
+		const remotes = await this.git.getRemotes(true);
+		const existingRemote = remotes.find((remote) => remote.name === name);
+		if (!existingRemote) {
+			await this.git.addRemote(name, url);
+		} else if (existingRemote.refs.push !== url) {
+			await this.git.remote(['set-url', name, url]);
+		}
+	}
+
+	async createBranch(branch: string, startPoint: string): Promise<void> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (createBranch)');
+		}
+		await this.git.checkoutBranch(branch, startPoint);
+	}
+
+	async checkout(branch: string): Promise<void> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (checkout)');
+		}
+		await this.git.checkout(branch);
+	}
+
+	async deleteBranch(branch: string): Promise<void> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (deleteBranch)');
+		}
+		await this.git.deleteLocalBranch(branch, true);
+	}
+
+	async refExists(ref: string): Promise<boolean> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (refExists)');
+		}
+		try {
+			// without `--quiet`, as failures are only reported if they write to stderr
+			await this.git.raw(['rev-parse', '--verify', `${ref}^{commit}`]);
+			return true;
+		} catch {
+			return false;
+		}
+	}
+
+	async fileExists(filePath: string, commit: string = 'HEAD'): Promise<boolean> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (fileExists)');
+		}
+		try {
+			await this.git.raw(['cat-file', '-e', `${commit}:${filePath}`]);
+			return true;
+		} catch {
+			return false;
+		}
+	}
+
+	/** Paths of files changed on `to` since it diverged from `from`. */
+	async getChangedFiles(from: string, to: string): Promise<string[]> {
+		if (!this.git) {
+			throw new UnexpectedError('Git is not initialized (getChangedFiles)');
 		}
-		return await this.git.push(SOURCE_CONTROL_ORIGIN, branch);
+		const diff = await this.git.diff(['--name-only', `${from}...${to}`]);
+		return diff.split('\n').filter((file) => file.length > 0);
 	}
 
 	async stage(files: Set<string>, deletedFiles?: Set<string>): Promise<string> {
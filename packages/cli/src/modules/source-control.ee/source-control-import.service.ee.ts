@@ -931,7 +931,57 @@ export class SourceControlImportService {
 		return mappedTags;
 	}
 
-	async importFoldersFromWorkFolder(user: User, candidate: SourceControlledFile) {
+	/**
+	 * Find the team projects and folders to pull along with workflows and folders:
+	 * the projects and folders the workflows are in, the ancestors of all these
+	 * folders and the projects the folders are in.
+	 */
+	async findPullDependencies(
+		workflowCandidates: SourceControlledFile[],
+		folderIds: string[],
+		foldersCandidate: SourceControlledFile | undefined,
+	) {
+		const requiredProjectIds = new Set<string>();
+		const requiredFolderIds = new Set(folderIds);
+
+		for (const candidate of workflowCandidates) {
+			const workflow = await this.parseWorkflowFromFile(candidate.file);
+
+			if (workflow.owner?.type === 'team') requiredProjectIds.add(workflow.owner.teamId);
+			if (workflow.parentFolderId) requiredFolderIds.add(workflow.parentFolderId);
+		}
+
+		if (!foldersCandidate || requiredFolderIds.size === 0) {
+			return { projectIds: requiredProjectIds, folderIds: requiredFolderIds };
+		}
+
+		const { folders } = jsonParse<{ folders: ExportableFolder[] }>(
+			await fsReadFile(foldersCandidate.file, { encoding: 'utf8' }),
+			{ fallbackValue: { folders: [] } },
+		);
+		const foldersById = new Map(folders.map((folder) => [folder.id, folder]));
+
+		// sets iterate over values added during iteration, so this walks up to the root folders
+		for (const folderId of requiredFolderIds) {
+			const folder = foldersById.get(folderId);
+
+			if (!folder) continue;
+
+			requiredProjectIds.add(folder.homeProjectId);
+			if (folder.parentFolderId) requiredFolderIds.add(folder.parentFolderId);
+		}
+
+		return { projectIds: requiredProjectIds, folderIds: requiredFolderIds };
+	}
+
+	/**
+	 * @param folderIds - IDs of the folders to import, all folders in the file if not set
+	 */
+	async importFoldersFromWorkFolder(
+		user: User,
+		candidate: SourceControlledFile,
+		folderIds?: Set<string>,
+	) {
 		let mappedFolders;
 		const projects = await this.projectRepository.find();
 		const personalProject = await this.projectRepository.getPersonalProjectForUserOrFail(user.id);
@@ -949,6 +999,10 @@ export class SourceControlImportService {
 			return;
 		}
 
+		if (folderIds) {
+			mappedFolders.folders = mappedFolders.folders.filter((folder) => folderIds.has(folder.id));
+		}
+
 		if (mappedFolders.folders.length === 0) {
 			return;
 		}
@@ -252,6 +252,10 @@ export class SourceControlPreferencesService {
 				extra: { preferences: validationResult },
 			});
 		}
+		const environmentNames = preferences.environments?.map((environment) => environment.name);
+		if (environmentNames && new Set(environmentNames).size !== environmentNames.length) {
+			throw new UnexpectedError('Environment names must be unique');
+		}
 		return validationResult;
 	}
 
@@ -0,0 +1,199 @@
+import type {
+	PromoteWorkFolderRequestDto,
+	PromotionStatusQueryDto,
+	SourceControlPromotion,
+	SourceControlPromotionStatus,
+} from '@n8n/api-types';
+import { Logger } from '@n8n/backend-common';
+import type { User } from '@n8n/db';
+import { Service } from '@n8n/di';
+import { UserError } from 'n8n-workflow';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'path';
+
+import {
+	SOURCE_CONTROL_ORIGIN,
+	SOURCE_CONTROL_PROMOTION_BRANCH_PREFIX,
+	SOURCE_CONTROL_PROMOTIONS_FOLDER,
+} from './constants';
+import { SourceControlGitService } from './source-control-git.service.ee';
+import { SourceControlPreferencesService } from './source-control-preferences.service.ee';
+import { SourceControlService } from './source-control.service.ee';
+import type { SourceControlEnvironment } from './types/source-control-environment';
+
+/**
+ * Promotes the branch of this instance to the branch of another environment,
+ * e.g. from `dev` to `staging`, by pushing it to a feature branch along with a
+ * merge request description file under `promotions/`.
+ *
+ * Once the feature branch is merged on the git provider, the instance connected
+ * to the branch of the environment can pull the promoted changes.
+ */
+@Service()
+export class SourceControlPromotionService {
+	constructor(
+		private readonly logger: Logger,
+		private readonly gitService: SourceControlGitService,
+		private readonly sourceControlPreferencesService: SourceControlPreferencesService,
+		private readonly sourceControlService: SourceControlService,
+	) {}
+
+	getEnvironments(): SourceControlEnvironment[] {
+		return this.sourceControlPreferencesService.getPreferences().environments ?? [];
+	}
+
+	async promote(
+		user: User,
+		{ environment: environmentName, title, description }: PromoteWorkFolderRequestDto,
+	): Promise<SourceControlPromotion> {
+		await this.sourceControlService.sanityCheck();
+
+		const environment = this.getEnvironment(environmentName);
+		const remote = await this.setUpRemote(environment);
+		const sourceBranch = this.sourceControlPreferencesService.getBranchName();
+		// only changes pushed from this instance are promoted
+		const source = `${SOURCE_CONTROL_ORIGIN}/${sourceBranch}`;
+		const target = `${remote}/${environment.branchName}`;
+
+		await this.gitService.fetch();
+		if (remote !== SOURCE_CONTROL_ORIGIN) await this.gitService.fetch(remote);
+
+		if (!(await this.gitService.refExists(target))) {
+			throw new UserError(
+				`Branch "${environment.branchName}" of environment "${environment.name}" does not exist`,
+			);
+		}
+
+		const files = (await this.gitService.getChangedFiles(target, source)).filter(
+			(file) => !file.startsWith(`${SOURCE_CONTROL_PROMOTIONS_FOLDER}/`),
+		);
+
+		if (files.length === 0) {
+			throw new UserError(
+				`Nothing to promote, environment "${environment.name}" is up to date with branch "${sourceBranch}"`,
+			);
+		}
+
+		const promotionId = `${environment.name}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+		const branch = `${SOURCE_CONTROL_PROMOTION_BRANCH_PREFIX}${promotionId}`;
+		const descriptionFile = this.getDescriptionFile(branch);
+
+		const { current: currentBranch } = await this.gitService.getCurrentBranch();
+		await this.gitService.createBranch(branch, source);
+
+		const { gitFolder } = this.sourceControlPreferencesService;
+
+		try {
+			await mkdir(path.join(gitFolder, SOURCE_CONTROL_PROMOTIONS_FOLDER), { recursive: true });
+			await writeFile(
+				path.join(gitFolder, descriptionFile),
+				this.toDescription({ title, description, user, sourceBranch, environment, files }),
+			);
+			await this.gitService.stage(new Set([descriptionFile]));
+			await this.gitService.commit(`Promote to ${environment.name}: ${title}`);
+			await this.gitService.push({ branch, remote, force: false });
+		} finally {
+			// the feature branch only lives on the remote, the work folder stays on the branch of this instance
+			await this.gitService.checkout(currentBranch);
+			await this.gitService.deleteBranch(branch);
+		}
+
+		this.logger.info('Pushed promotion branch', { environment: environment.name, branch, remote });
+
+		return {
+			environment: environment.name,
+			branch,
+			targetBranch: environment.branchName,
+			descriptionFile,
+			files,
+		};
+	}
+
+	/**
+	 * A promotion counts as merged once its description file is on the branch of the
+	 * environment, which also holds for squash and rebase merges.
+	 */
+	async getPromotionStatus({
+		environment: environmentName,
+		branch,
+	}: PromotionStatusQueryDto): Promise<SourceControlPromotionStatus> {
+		if (!branch.startsWith(SOURCE_CONTROL_PROMOTION_BRANCH_PREFIX)) {
+			throw new UserError(`"${branch}" is not a promotion branch`);
+		}
+
+		await this.sourceControlService.sanityCheck();
+
+		const environment = this.getEnvironment(environmentName);
+		const remote = await this.setUpRemote(environment);
+		await this.gitService.fetch(remote);
+
+		return {
+			merged: await this.gitService.fileExists(
+				this.getDescriptionFile(branch),
+				`${remote}/${environment.branchName}`,
+			),
+		};
+	}
+
+	private getEnvironment(name: string) {
+		const environment = this.getEnvironments().find((e) => e.name === name);
+
+		if (!environment) throw new UserError(`Environment "${name}" is not configured`);
+
+		return environment;
+	}
+
+	/**
+	 * Environments on the repository of this instance use its remote,
+	 * others get a remote named after the environment.
+	 */
+	private async setUpRemote(environment: SourceControlEnvironment) {
+		const { repositoryUrl } = this.sourceControlPreferencesService.getPreferences();
+
+		if (!environment.repositoryUrl || environment.repositoryUrl === repositoryUrl) {
+			return SOURCE_CONTROL_ORIGIN;
+		}
+
+		await this.gitService.setRemote(environment.name, environment.repositoryUrl);
+
+		return environment.name;
+	}
+
+	private getDescriptionFile(branch: string) {
+		const promotionId = branch.slice(SOURCE_CONTROL_PROMOTION_BRANCH_PREFIX.length);
+		return `${SOURCE_CONTROL_PROMOTIONS_FOLDER}/${promotionId}.md`;
+	}
+
+	private toDescription({
+		title,
+		description,
+		user,
+		sourceBranch,
+		environment,
+		files,
+	}: {
+		title: string;
+		description?: string;
+		user: User;
+		sourceBranch: string;
+		environment: SourceControlEnvironment;
+		files: string[];
+	}) {
+		const requestedBy =
+			user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.email;
+
+		return [
+			`# ${title}`,
+			'',
+			...(description ? [description, ''] : []),
+			`- Source branch: \`${sourceBranch}\``,
+			`- Target branch: \`${environment.branchName}\` (${environment.name})`,
+			`- Requested by: ${requestedBy}`,
+			'',
+			'## Changes',
+			'',
+			...files.map((file) => `- \`${file}\``),
+			'',
+		].join('\n');
+	}
+}
@@ -1,12 +1,18 @@
 import { IWorkflowToImport } from '@/interfaces';
 import {
+	PromoteWorkFolderRequestDto,
+	PromotionStatusQueryDto,
+	PullPreviewRequestDto,
 	PullWorkFolderRequestDto,
 	PushWorkFolderRequestDto,
 	type GitCommitInfo,
 	type SourceControlledFile,
+	type SourceControlledFileDiff,
+	type SourceControlPromotion,
+	type SourceControlPromotionStatus,
 } from '@n8n/api-types';
 import { AuthenticatedRequest } from '@n8n/db';
-import { Get, Post, Patch, RestController, GlobalScope, Body } from '@n8n/decorators';
+import { Get, Post, Patch, RestController, GlobalScope, Body, Query } from '@n8n/decorators';
 import express from 'express';
 import type { PullResult } from 'simple-git';
 
@@ -14,6 +20,7 @@ import { SOURCE_CONTROL_DEFAULT_BRANCH } from './constants';
 import { sourceControlEnabledMiddleware } from './middleware/source-control-enabled-middleware.ee';
 import { getRepoType } from './source-control-helper.ee';
 import { SourceControlPreferencesService } from './source-control-preferences.service.ee';
+import { SourceControlPromotionService } from './source-control-promotion.service.ee';
 import { SourceControlScopedService } from './source-control-scoped.service';
 import { SourceControlService } from './source-control.service.ee';
 import type { ImportResult } from './types/import-result';
@@ -32,6 +39,7 @@ export class SourceControlController {
 		private readonly sourceControlPreferencesService: SourceControlPreferencesService,
 		private readonly sourceControlScopedService: SourceControlScopedService,
 		private readonly eventService: EventService,
+		private readonly sourceControlPromotionService: SourceControlPromotionService,
 	) {}
 
 	@Get('/preferences', { skipAuth: true })
@@ -136,6 +144,12 @@ export class SourceControlController {
 					true,
 				);
 			}
+			if (sanitizedPreferences.environments) {
+				await this.sourceControlPreferencesService.setPreferences(
+					{ environments: sanitizedPreferences.environments },
+					true,
+				);
+			}
 			await this.sourceControlService.start();
 			const resultingPreferences = this.sourceControlPreferencesService.getPreferences();
 			this.eventService.emit('source-control-settings-updated', {
@@ -221,6 +235,53 @@ export class SourceControlController {
 		}
 	}
 
+	@Post('/pull-preview', { middlewares: [sourceControlEnabledMiddleware] })
+	@GlobalScope('sourceControl:pull')
+	async getPullPreview(
+		req: AuthenticatedRequest,
+		_res: express.Response,
+		@Body payload: PullPreviewRequestDto,
+	): Promise<SourceControlledFileDiff[]> {
+		try {
+			return await this.sourceControlService.getPullPreview(req.user, payload.fileNames);
+		} catch (error) {
+			throw new BadRequestError((error as { message: string }).message);
+		}
+	}
+
+	@Post('/promote', { middlewares: [sourceControlEnabledMiddleware] })
+	@GlobalScope('sourceControl:push')
+	async promote(
+		req: AuthenticatedRequest,
+		_res: express.Response,
+		@Body payload: PromoteWorkFolderRequestDto,
+	): Promise<SourceControlPromotion> {
+		try {
+			await this.sourceControlService.setGitUserDetails(
+				`${req.user.firstName} ${req.user.lastName}`,
+				req.user.email,
+			);
+
+			return await this.sourceControlPromotionService.promote(req.user, payload);
+		} catch (error) {
+			throw new BadRequestError((error as { message: string }).message);
+		}
+	}
+
+	@Get('/promotion-status', { middlewares: [sourceControlEnabledMiddleware] })
+	@GlobalScope('sourceControl:pull')
+	async getPromotionStatus(
+		_req: AuthenticatedRequest,
+		_res: express.Response,
+		@Query query: PromotionStatusQueryDto,
+	): Promise<SourceControlPromotionStatus> {
+		try {
+			return await this.sourceControlPromotionService.getPromotionStatus(query);
+		} catch (error) {
+			throw new BadRequestError((error as { message: string }).message);
+		}
+	}
+
 	@Get('/reset-workfolder', { middlewares: [sourceControlEnabledMiddleware] })
 	@GlobalScope('sourceControl:manage')
 	async resetWorkfolder(): Promise<ImportResult | undefined> {
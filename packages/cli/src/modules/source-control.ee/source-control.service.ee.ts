@@ -2,12 +2,21 @@ import type {
 	PullWorkFolderRequestDto,
 	PushWorkFolderRequestDto,
 	SourceControlledFile,
+	SourceControlledFileDiff,
+	SourceControlledNodeDiff,
 } from '@n8n/api-types';
 import { Logger } from '@n8n/backend-common';
-import { type User } from '@n8n/db';
+import { type User, WorkflowRepository } from '@n8n/db';
 import { Service } from '@n8n/di';
 import { writeFileSync } from 'fs';
-import { UnexpectedError, UserError, jsonParse } from 'n8n-workflow';
+import type { INode } from 'n8n-workflow';
+import {
+	NodeDiffStatus,
+	UnexpectedError,
+	UserError,
+	compareWorkflowsNodes,
+	jsonParse,
+} from 'n8n-workflow';
 import path from 'path';
 import type { PushResult } from 'simple-git';
 
@@ -45,6 +54,13 @@ import { ForbiddenError } from '@/errors/response-errors/forbidden.error';
 import { EventService } from '@/events/event.service';
 import { IWorkflowToImport } from '@/interfaces';
 
+/** Status of nodes changed by a pull, unchanged nodes are left out of previews */
+const PULLED_NODE_STATUSES: Partial<Record<NodeDiffStatus, SourceControlledNodeDiff['status']>> = {
+	[NodeDiffStatus.Added]: 'added',
+	[NodeDiffStatus.Modified]: 'modified',
+	[NodeDiffStatus.Deleted]: 'deleted',
+};
+
 @Service()
 export class SourceControlService {
 	/** Path to SSH private key in filesystem. */
@@ -63,6 +79,7 @@ export class SourceControlService {
 		private sourceControlScopedService: SourceControlScopedService,
 		private readonly eventService: EventService,
 		private readonly sourceControlStatusService: SourceControlStatusService,
+		private readonly workflowRepository: WorkflowRepository,
 	) {
 		const { gitFolder, sshFolder, sshKeyName } = sourceControlPreferencesService;
 		this.gitFolder = gitFolder;
@@ -398,12 +415,14 @@ export class SourceControlService {
 	): Promise<{ statusCode: number; statusResult: SourceControlledFile[] }> {
 		await this.sanityCheck();
 
-		const statusResult = (await this.sourceControlStatusService.getStatus(user, {
+		const pullableFiles = (await this.sourceControlStatusService.getStatus(user, {
 			direction: 'pull',
 			verbose: false,
 			preferLocalVersion: false,
 		})) as SourceControlledFile[];
 
+		const statusResult = this.selectFiles(pullableFiles, options.fileNames);
+
 		if (options.force !== true) {
 			const possibleConflicts = statusResult.filter(
 				(file) => file.conflict || file.status === 'modified',
@@ -418,19 +437,36 @@ export class SourceControlService {
 			}
 		}
 
-		// IMPORTANT: Make sure the projects and folders get processed first as the workflows depend on them
-		const projectsToBeImported = getNonDeletedResources(statusResult, 'project');
+		const workflowsToBeImported = getNonDeletedResources(statusResult, 'workflow');
+		const foldersFile = getNonDeletedResources(pullableFiles, 'folders')[0];
+
+		// IMPORTANT: Make sure the projects and folders get processed first as the workflows depend on them,
+		// which is why those the selected workflows are in are imported even if not selected
+		const dependencies = options.fileNames?.length
+			? await this.sourceControlImportService.findPullDependencies(
+					workflowsToBeImported,
+					getNonDeletedResources(statusResult, 'folders').map(({ id }) => id),
+					foldersFile,
+				)
+			: undefined;
+
+		const projectsToBeImported = getNonDeletedResources(pullableFiles, 'project').filter(
+			(file) =>
+				!dependencies || statusResult.includes(file) || dependencies.projectIds.has(file.id),
+		);
 		await this.sourceControlImportService.importTeamProjectsFromWorkFolder(
 			projectsToBeImported,
 			user.id,
 		);
 
-		const foldersToBeImported = getNonDeletedResources(statusResult, 'folders')[0];
-		if (foldersToBeImported) {
-			await this.sourceControlImportService.importFoldersFromWorkFolder(user, foldersToBeImported);
+		if (foldersFile) {
+			await this.sourceControlImportService.importFoldersFromWorkFolder(
+				user,
+				foldersFile,
+				dependencies?.folderIds,
+			);
 		}
 
-		const workflowsToBeImported = getNonDeletedResources(statusResult, 'workflow');
 		await this.sourceControlImportService.importWorkflowFromWorkFolder(
 			workflowsToBeImported,
 			user.id,
@@ -485,6 +521,30 @@ export class SourceControlService {
 		};
 	}
 
+	/**
+	 * Compare the local and the remote version of files changed in the remote,
+	 * to preview what pulling them would change. Workflows are compared node by node.
+	 */
+	async getPullPreview(
+		user: User,
+		fileNames?: SourceControlledFile[],
+	): Promise<SourceControlledFileDiff[]> {
+		await this.sanityCheck();
+
+		const pullableFiles = (await this.sourceControlStatusService.getStatus(user, {
+			direction: 'pull',
+			verbose: false,
+			preferLocalVersion: false,
+		})) as SourceControlledFile[];
+
+		return await Promise.all(
+			this.selectFiles(pullableFiles, fileNames).map(async (file) => ({
+				file,
+				nodes: file.type === 'workflow' ? await this.getWorkflowNodesDiff(file) : [],
+			})),
+		);
+	}
+
 	async getStatus(user: User, options: SourceControlGetStatus) {
 		await this.sanityCheck();
 		return await this.sourceControlStatusService.getStatus(user, options);
@@ -532,4 +592,40 @@ export class SourceControlService {
 				throw new BadRequestError(`Unsupported file type: ${type}`);
 		}
 	}
+
+	/** Restrict files to the selected ones, identified by type and ID, or keep all if none are selected. */
+	private selectFiles(files: SourceControlledFile[], selectedFiles?: SourceControlledFile[]) {
+		if (!selectedFiles?.length) return files;
+
+		return files.filter((file) =>
+			selectedFiles.some((selected) => selected.type === file.type && selected.id === file.id),
+		);
+	}
+
+	private async getWorkflowNodesDiff(file: SourceControlledFile) {
+		const localWorkflow = await this.workflowRepository.findOne({
+			where: { id: file.id },
+			select: ['id', 'nodes'],
+		});
+
+		// workflows deleted in the remote have no remote nodes
+		const remoteNodes =
+			file.status === 'deleted'
+				? []
+				: jsonParse<IWorkflowToImport>(
+						await this.gitService.getFileContent(
+							`${SOURCE_CONTROL_WORKFLOW_EXPORT_FOLDER}/${file.id}.json`,
+						),
+					).nodes;
+
+		const diff = compareWorkflowsNodes<INode>(localWorkflow?.nodes ?? [], remoteNodes);
+
+		return [...diff.values()].flatMap<SourceControlledNodeDiff>(({ status, node }) => {
+			const pulledStatus = PULLED_NODE_STATUSES[status];
+
+			return pulledStatus
+				? [{ id: node.id, name: node.name, type: node.type, status: pulledStatus }]
+				: [];
+		});
+	}
 }
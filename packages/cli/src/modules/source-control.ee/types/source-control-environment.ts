@@ -0,0 +1,28 @@
+import { IsNotIn, IsOptional, IsString, Matches } from 'class-validator';
+
+import { SOURCE_CONTROL_ORIGIN } from '../constants';
+
+/**
+ * Another instance the work folder can be promoted to, e.g. `staging` or `production`,
+ * identified by the branch it is connected to.
+ */
+export class SourceControlEnvironment {
+	constructor(environment: Partial<SourceControlEnvironment> | undefined = undefined) {
+		if (environment) Object.assign(this, environment);
+	}
+
+	@IsString()
+	@Matches(/^[a-z0-9][a-z0-9-]*$/, {
+		message: 'Environment name must contain only lowercase letters, numbers and hyphens',
+	})
+	@IsNotIn([SOURCE_CONTROL_ORIGIN])
+	name: string;
+
+	@IsString()
+	branchName: string;
+
+	/** Repository of the environment, if it differs from the repository of this instance */
+	@IsOptional()
+	@IsString()
+	repositoryUrl?: string;
+}
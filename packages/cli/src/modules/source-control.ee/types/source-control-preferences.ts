@@ -1,10 +1,24 @@
-import { IsBoolean, IsHexColor, IsOptional, IsString, IsIn } from 'class-validator';
+import {
+	IsBoolean,
+	IsHexColor,
+	IsOptional,
+	IsString,
+	IsIn,
+	IsArray,
+	ValidateNested,
+} from 'class-validator';
 
 import { KeyPairType } from './key-pair-type';
+import { SourceControlEnvironment } from './source-control-environment';
 
 export class SourceControlPreferences {
 	constructor(preferences: Partial<SourceControlPreferences> | undefined = undefined) {
 		if (preferences) Object.assign(this, preferences);
+		if (preferences?.environments) {
+			this.environments = preferences.environments.map(
+				(environment) => new SourceControlEnvironment(environment),
+			);
+		}
 	}
 
 	@IsBoolean()
@@ -46,6 +60,12 @@ export class SourceControlPreferences {
 	@IsString()
 	httpsPassword?: string;
 
+	/** Environments the branch of this instance can be promoted to */
+	@IsOptional()
+	@IsArray()
+	@ValidateNested({ each: true })
+	environments?: SourceControlEnvironment[];
+
 	static fromJSON(json: Partial<SourceControlPreferences>): SourceControlPreferences {
 		return new SourceControlPreferences(json);
 	}
@@ -64,6 +84,7 @@ export class SourceControlPreferences {
 			connectionType: preferences.connectionType ?? defaultPreferences.connectionType,
 			httpsUsername: preferences.httpsUsername ?? defaultPreferences.httpsUsername,
 			httpsPassword: preferences.httpsPassword ?? defaultPreferences.httpsPassword,
+			environments: preferences.environments ?? defaultPreferences.environments,
 		});
 	}
 }
@@ -18,8 +18,11 @@ import {
 import { JobProcessor } from '../job-processor';
 import type { Job } from '../scaling.types';
 
+import type { DistributedConcurrencyControlService } from '@/concurrency/distributed-concurrency-control.service';
 import { CredentialsHelper } from '@/credentials-helper';
+import { ConcurrencySlotUnavailableError } from '@/errors/concurrency-slot-unavailable.error';
 import { VariablesService } from '@/environments.ee/variables/variables.service.ee';
+import type { EventService } from '@/events/event.service';
 import { ExternalHooks } from '@/external-hooks';
 import type { ManualExecutionService } from '@/manual-execution.service';
 import { DataTableProxyService } from '@/modules/data-table/data-table-proxy.service';
@@ -58,6 +61,9 @@ const logger = mock<Logger>({
 	scoped: jest.fn().mockImplementation(() => logger),
 });
 
+const mockConcurrencyControl = () =>
+	mock<DistributedConcurrencyControlService>({ throttle: jest.fn().mockResolvedValue(true) });
+
 const executionsConfig = mock<ExecutionsConfig>({
 	timeout: -1,
 	maxTimeout: 3600,
@@ -78,6 +84,7 @@ describe('JobProcessor', () => {
 			mock(),
 			executionsConfig,
 			mock(),
+			mockConcurrencyControl(),
 		);
 
 		const result = await jobProcessor.processJob(mock<Job>());
@@ -109,6 +116,7 @@ describe('JobProcessor', () => {
 				manualExecutionService,
 				executionsConfig,
 				mock(),
+				mockConcurrencyControl(),
 			);
 
 			const job = mock<Job>();
@@ -126,6 +134,119 @@ describe('JobProcessor', () => {
 		},
 	);
 
+	it('should take a concurrency slot before running and release it afterwards', async () => {
+		const executionRepository = mock<ExecutionRepository>();
+		executionRepository.findSingleExecution.mockResolvedValue(
+			mock<IExecutionResponse>({
+				mode: 'manual',
+				workflowData: { nodes: [] },
+				data: mock<IRunExecutionData>({
+					executionData: undefined,
+				}),
+			}),
+		);
+		const manualExecutionService = mock<ManualExecutionService>();
+		manualExecutionService.runManually.mockImplementation(() => {
+			throw new Error('Execution failed');
+		});
+		const concurrencyControl = mockConcurrencyControl();
+		const jobProcessor = new JobProcessor(
+			logger,
+			executionRepository,
+			mock(),
+			mock(),
+			mock(),
+			manualExecutionService,
+			executionsConfig,
+			mock(),
+			concurrencyControl,
+		);
+		const job = mock<Job>({ data: { executionId: '123' } });
+
+		await expect(jobProcessor.processJob(job)).rejects.toThrow('Execution failed');
+
+		expect(concurrencyControl.throttle).toHaveBeenCalledWith({
+			mode: 'manual',
+			executionId: '123',
+			signal: expect.any(AbortSignal),
+			onSlotLost: expect.any(Function),
+		});
+		expect(concurrencyControl.throttle.mock.invocationCallOrder[0]).toBeLessThan(
+			executionRepository.setRunning.mock.invocationCallOrder[0],
+		);
+		expect(concurrencyControl.release).toHaveBeenCalledWith({ executionId: '123' });
+	});
+
+	it('should return the job to the queue if it cannot take a concurrency slot', async () => {
+		const executionRepository = mock<ExecutionRepository>();
+		executionRepository.findSingleExecution.mockResolvedValue(
+			mock<IExecutionResponse>({ mode: 'webhook', status: 'new' }),
+		);
+		const concurrencyControl = mock<DistributedConcurrencyControlService>();
+		concurrencyControl.throttle.mockRejectedValue(new ConcurrencySlotUnavailableError('123'));
+		const jobProcessor = new JobProcessor(
+			logger,
+			executionRepository,
+			mock(),
+			mock(),
+			mock(),
+			mock(),
+			executionsConfig,
+			mock(),
+			concurrencyControl,
+		);
+		const job = mock<Job>({ id: '1', data: { executionId: '123' } });
+
+		await expect(jobProcessor.processJob(job)).rejects.toThrow(ConcurrencySlotUnavailableError);
+
+		expect(executionRepository.setRunning).not.toHaveBeenCalled();
+		expect(concurrencyControl.release).not.toHaveBeenCalled();
+		expect(jobProcessor.getWaitingJobIds()).toEqual([]);
+	});
+
+	it('should stop a job that is waiting for a concurrency slot', async () => {
+		const executionRepository = mock<ExecutionRepository>();
+		executionRepository.findSingleExecution.mockResolvedValue(
+			mock<IExecutionResponse>({ mode: 'webhook', status: 'new', workflowId: 'workflow-id' }),
+		);
+		const eventService = mock<EventService>();
+		const concurrencyControl = mock<DistributedConcurrencyControlService>();
+		concurrencyControl.throttle.mockImplementation(
+			async ({ signal }) =>
+				await new Promise<boolean>((resolve) =>
+					signal?.addEventListener('abort', () => resolve(false)),
+				),
+		);
+		const jobProcessor = new JobProcessor(
+			logger,
+			executionRepository,
+			mock(),
+			mock(),
+			mock(),
+			mock(),
+			executionsConfig,
+			eventService,
+			concurrencyControl,
+		);
+		const job = mock<Job>({ id: '1', data: { executionId: '123' } });
+
+		const result = jobProcessor.processJob(job);
+		await new Promise(setImmediate);
+
+		expect(jobProcessor.getWaitingJobIds()).toEqual(['1']);
+
+		jobProcessor.stopJob('1');
+
+		await expect(result).resolves.toEqual({ success: false });
+		expect(eventService.emit).toHaveBeenCalledWith(
+			'execution-cancelled',
+			expect.objectContaining({ executionId: '123', workflowId: 'workflow-id', reason: 'manual' }),
+		);
+		expect(executionRepository.setRunning).not.toHaveBeenCalled();
+		expect(concurrencyControl.release).not.toHaveBeenCalled();
+		expect(jobProcessor.getWaitingJobIds()).toEqual([]);
+	});
+
 	it('should send job-finished with success=false when execution has errors', async () => {
 		const executionRepository = mock<ExecutionRepository>();
 		// First call: initial execution fetch (no error yet)
@@ -160,6 +281,7 @@ describe('JobProcessor', () => {
 			manualExecutionService,
 			executionsConfig,
 			mock(),
+			mockConcurrencyControl(),
 		);
 
 		const job = mock<Job>();
@@ -206,6 +328,7 @@ describe('JobProcessor', () => {
 			manualExecutionService,
 			executionsConfig,
 			mock(),
+			mockConcurrencyControl(),
 		);
 
 		const executionId = 'execution-id';
@@ -270,6 +393,7 @@ describe('JobProcessor', () => {
 				manualExecutionService,
 				executionsConfig,
 				mock(),
+				mockConcurrencyControl(),
 			);
 
 			await jobProcessor.processJob(mock<Job>());
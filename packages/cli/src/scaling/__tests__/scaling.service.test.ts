@@ -8,8 +8,14 @@ import { InstanceSettings } from 'n8n-core';
 import { ApplicationError, ManualExecutionCancelledError } from 'n8n-workflow';
 
 import type { ActiveExecutions } from '@/active-executions';
-
-import { JOB_TYPE_NAME, QUEUE_NAME } from '../constants';
+import { ConcurrencySlotUnavailableError } from '@/errors/concurrency-slot-unavailable.error';
+
+import {
+	CONCURRENCY_SLOT_BACKOFF,
+	CONCURRENCY_SLOT_RETRY_DELAY,
+	JOB_TYPE_NAME,
+	QUEUE_NAME,
+} from '../constants';
 import type { JobProcessor } from '../job-processor';
 import { ScalingService } from '../scaling.service';
 import type { Job, JobData, JobId, JobQueue } from '../scaling.types';
@@ -70,7 +76,11 @@ describe('ScalingService', () => {
 		QUEUE_NAME,
 		{
 			prefix: globalConfig.queue.bull.prefix,
-			settings: { ...globalConfig.queue.bull.settings, maxStalledCount: 0 },
+			settings: {
+				...globalConfig.queue.bull.settings,
+				maxStalledCount: 0,
+				backoffStrategies: { [CONCURRENCY_SLOT_BACKOFF]: expect.any(Function) },
+			},
 			createClient: expect.any(Function),
 		},
 	];
@@ -124,6 +134,18 @@ describe('ScalingService', () => {
 			});
 		});
 
+		it('should retry with a delay only jobs that could not take a concurrency slot', async () => {
+			await scalingService.setupQueue();
+
+			const [, { settings }] = Bull.mock.calls[0] as [string, BullModule.QueueOptions];
+			const backoff = settings?.backoffStrategies?.[CONCURRENCY_SLOT_BACKOFF];
+
+			expect(backoff?.(1, new ConcurrencySlotUnavailableError('123'))).toBe(
+				CONCURRENCY_SLOT_RETRY_DELAY,
+			);
+			expect(backoff?.(1, new Error('Execution failed'))).toBe(-1);
+		});
+
 		describe('if follower main', () => {
 			it('should set up queue + listeners', async () => {
 				instanceSettings.markAsFollower();
@@ -215,6 +237,7 @@ describe('ScalingService', () => {
 				instanceSettings.instanceType = 'worker';
 				await scalingService.setupQueue();
 				jobProcessor.getRunningJobIds.mockReturnValue([]);
+				jobProcessor.getWaitingJobIds.mockReturnValue([]);
 
 				await scalingService.stop();
 
@@ -247,6 +270,8 @@ describe('ScalingService', () => {
 				priority: 100,
 				removeOnComplete: true,
 				removeOnFail: true,
+				attempts: Number.MAX_SAFE_INTEGER,
+				backoff: { type: CONCURRENCY_SLOT_BACKOFF },
 			});
 		});
 	});
@@ -1,9 +1,17 @@
+import { Time } from '@n8n/constants';
+
 import type { PubSub } from './pubsub/pubsub.types';
 
 export const QUEUE_NAME = 'jobs';
 
 export const JOB_TYPE_NAME = 'job';
 
+/** Backoff strategy of jobs, to return jobs that could not take a concurrency slot to the queue. */
+export const CONCURRENCY_SLOT_BACKOFF = 'concurrency-slot';
+
+/** How long (ms) a job that could not take a concurrency slot waits in the queue before it is retried. */
+export const CONCURRENCY_SLOT_RETRY_DELAY = 5 * Time.seconds.toMilliseconds;
+
 /** Pubsub channel for commands sent by a main process to workers or to other main processes. */
 export const COMMAND_PUBSUB_CHANNEL = 'n8n.commands';
 
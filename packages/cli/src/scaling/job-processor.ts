@@ -2,6 +2,7 @@ import type { RunningJobSummary } from '@n8n/api-types';
 import { Logger } from '@n8n/backend-common';
 import { ExecutionsConfig } from '@n8n/config';
 import { ExecutionRepository, WorkflowRepository } from '@n8n/db';
+import type { IExecutionResponse } from '@n8n/db';
 import { Service } from '@n8n/di';
 import { WorkflowHasIssuesError, InstanceSettings, WorkflowExecute } from 'n8n-core';
 import type {
@@ -22,8 +23,11 @@ import type {
 	RespondToWebhookMessage,
 	RunningJob,
 	SendChunkMessage,
+	WaitingJob,
 } from './scaling.types';
 
+import { DistributedConcurrencyControlService } from '@/concurrency/distributed-concurrency-control.service';
+import { ConcurrencySlotUnavailableError } from '@/errors/concurrency-slot-unavailable.error';
 import { EventService } from '@/events/event.service';
 import { getLifecycleHooksForScalingWorker } from '@/execution-lifecycle/execution-lifecycle-hooks';
 import { getWorkflowActiveStatusFromWorkflowData } from '@/executions/execution.utils';
@@ -38,6 +42,9 @@ import * as WorkflowExecuteAdditionalData from '@/workflow-execute-additional-da
 export class JobProcessor {
 	private readonly runningJobs: Record<JobId, RunningJob> = {};
 
+	/** Jobs waiting for a concurrency slot before they start running. */
+	private readonly waitingJobs: Record<JobId, WaitingJob> = {};
+
 	constructor(
 		private readonly logger: Logger,
 		private readonly executionRepository: ExecutionRepository,
@@ -47,12 +54,13 @@ export class JobProcessor {
 		private readonly manualExecutionService: ManualExecutionService,
 		private readonly executionsConfig: ExecutionsConfig,
 		private readonly eventService: EventService,
+		private readonly concurrencyControl: DistributedConcurrencyControlService,
 	) {
 		this.logger = this.logger.scoped('scaling');
 	}
 
 	async processJob(job: Job): Promise<JobResult> {
-		const { executionId, loadStaticData } = job.data;
+		const { executionId } = job.data;
 
 		const execution = await this.executionRepository.findSingleExecution(executionId, {
 			includeData: true,
@@ -72,6 +80,57 @@ export class JobProcessor {
 		 */
 		if (execution.status === 'crashed') return { success: false };
 
+		const abortController = new AbortController();
+
+		this.waitingJobs[job.id] = {
+			executionId,
+			workflowId: execution.workflowId,
+			workflowName: execution.workflowData.name,
+			abortController,
+		};
+
+		let canRun: boolean;
+
+		try {
+			canRun = await this.concurrencyControl.throttle({
+				mode: execution.mode,
+				executionId,
+				signal: abortController.signal,
+				onSlotLost: () => this.runningJobs[job.id]?.run.cancel(),
+			});
+		} catch (error) {
+			/**
+			 * Bull moves the job back to the queue with a delay, for another worker to pick up,
+			 * as set up by the backoff strategy of the queue.
+			 */
+			if (error instanceof ConcurrencySlotUnavailableError) {
+				this.logger.info(`Worker returned execution ${executionId} (job ${job.id}) to the queue`, {
+					executionId,
+					jobId: job.id,
+				});
+			}
+			throw error;
+		} finally {
+			delete this.waitingJobs[job.id];
+		}
+
+		if (!canRun) {
+			this.logger.info(
+				`Worker stopped execution ${executionId} (job ${job.id}) while it was waiting for a concurrency slot`,
+				{ executionId, jobId: job.id },
+			);
+			return { success: false };
+		}
+
+		try {
+			return await this.runExecution(job, execution);
+		} finally {
+			await this.concurrencyControl.release({ executionId });
+		}
+	}
+
+	private async runExecution(job: Job, execution: IExecutionResponse): Promise<JobResult> {
+		const { executionId, loadStaticData } = job.data;
 		const workflowId = execution.workflowData.id;
 
 		this.logger.info(`Worker started execution ${executionId} (job ${job.id})`, {
@@ -284,6 +343,16 @@ export class JobProcessor {
 	}
 
 	stopJob(jobId: JobId) {
+		const waitingJob = this.waitingJobs[jobId];
+		if (waitingJob) {
+			const { abortController, ...summary } = waitingJob;
+			this.eventService.emit('execution-cancelled', { ...summary, reason: 'manual' });
+
+			abortController.abort();
+			delete this.waitingJobs[jobId];
+			return;
+		}
+
 		const runningJob = this.runningJobs[jobId];
 		if (!runningJob) return;
 
@@ -303,6 +372,10 @@ export class JobProcessor {
 		return Object.keys(this.runningJobs);
 	}
 
+	getWaitingJobIds(): JobId[] {
+		return Object.keys(this.waitingJobs);
+	}
+
 	getRunningJobsSummary(): RunningJobSummary[] {
 		return Object.values(this.runningJobs).map(({ run, ...summary }) => summary);
 	}
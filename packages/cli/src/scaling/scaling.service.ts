@@ -18,10 +18,16 @@ import assert, { strict } from 'node:assert';
 
 import { ActiveExecutions } from '@/active-executions';
 import { HIGHEST_SHUTDOWN_PRIORITY } from '@/constants';
+import { ConcurrencySlotUnavailableError } from '@/errors/concurrency-slot-unavailable.error';
 import { EventService } from '@/events/event.service';
 import { assertNever } from '@/utils';
 
-import { JOB_TYPE_NAME, QUEUE_NAME } from './constants';
+import {
+	CONCURRENCY_SLOT_BACKOFF,
+	CONCURRENCY_SLOT_RETRY_DELAY,
+	JOB_TYPE_NAME,
+	QUEUE_NAME,
+} from './constants';
 import { JobProcessor } from './job-processor';
 import type {
 	JobQueue,
@@ -67,7 +73,15 @@ export class ScalingService {
 
 		this.queue = new BullQueue(QUEUE_NAME, {
 			prefix,
-			settings: { ...this.globalConfig.queue.bull.settings, maxStalledCount: 0 },
+			settings: {
+				...this.globalConfig.queue.bull.settings,
+				maxStalledCount: 0,
+				backoffStrategies: {
+					// Only jobs that could not take a concurrency slot are retried, all others fail
+					[CONCURRENCY_SLOT_BACKOFF]: (_attemptsMade: number, error: Error) =>
+						error instanceof ConcurrencySlotUnavailableError ? CONCURRENCY_SLOT_RETRY_DELAY : -1,
+				},
+			},
 			createClient: (type) => service.createClient({ type: `${type}(bull)` }),
 		});
 
@@ -101,6 +115,8 @@ export class ScalingService {
 
 				await this.jobProcessor.processJob(job);
 			} catch (error) {
+				if (error instanceof ConcurrencySlotUnavailableError) throw error; // job is retried with a delay, not failed
+
 				await this.reportJobProcessingError(ensureError(error), job);
 			}
 		});
@@ -195,6 +211,8 @@ export class ScalingService {
 			priority,
 			removeOnComplete: true,
 			removeOnFail: true,
+			attempts: Number.MAX_SAFE_INTEGER,
+			backoff: { type: CONCURRENCY_SLOT_BACKOFF },
 		};
 
 		const job = await this.queue.add(JOB_TYPE_NAME, jobData, jobOptions);
@@ -251,8 +269,11 @@ export class ScalingService {
 		}
 	}
 
+	/** Number of jobs running on this worker, including jobs waiting for a concurrency slot. */
 	getRunningJobsCount() {
-		return this.jobProcessor.getRunningJobIds().length;
+		return (
+			this.jobProcessor.getRunningJobIds().length + this.jobProcessor.getWaitingJobIds().length
+		);
 	}
 
 	// #endregion
@@ -85,6 +85,10 @@ export type RunningJob = RunningJobSummary & {
 	run: PCancelable<IRun>;
 };
 
+export type WaitingJob = Pick<RunningJobSummary, 'executionId' | 'workflowId' | 'workflowName'> & {
+	abortController: AbortController;
+};
+
 export type QueueRecoveryContext = {
 	/** ID of timeout for next scheduled recovery cycle. */
 	timeout?: NodeJS.Timeout;
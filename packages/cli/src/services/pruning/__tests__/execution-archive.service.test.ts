@@ -0,0 +1,232 @@
+import { mockLogger } from '@n8n/backend-test-utils';
+import type {
+	ExecutionArchive,
+	ExecutionArchiveRepository,
+	ExecutionEntity,
+	ExecutionRepository,
+	WorkflowEntity,
+	WorkflowRepository,
+} from '@n8n/db';
+import { stringify } from 'flatted';
+import { mock } from 'jest-mock-extended';
+import type { BinaryDataConfig, BinaryDataService } from 'n8n-core';
+import type { IRunExecutionData } from 'n8n-workflow';
+import { UnexpectedError, UserError } from 'n8n-workflow';
+import { Readable } from 'node:stream';
+import { gunzipSync, gzipSync } from 'node:zlib';
+
+import { ExecutionArchiveService, type ExecutionArchiveBundle } from '../execution-archive.service';
+
+describe('ExecutionArchiveService', () => {
+	const executionRepository = mock<ExecutionRepository>();
+	const executionArchiveRepository = mock<ExecutionArchiveRepository>();
+	const workflowRepository = mock<WorkflowRepository>();
+	const binaryDataService = mock<BinaryDataService>();
+	const binaryDataConfig = mock<BinaryDataConfig>({ mode: 'filesystem' });
+
+	const service = new ExecutionArchiveService(
+		mockLogger(),
+		executionRepository,
+		executionArchiveRepository,
+		workflowRepository,
+		binaryDataService,
+		binaryDataConfig,
+	);
+
+	const stoppedAt = new Date('2026-01-01T00:00:00.000Z');
+
+	const runData = {
+		resultData: {
+			runData: {
+				'Read File': [
+					{
+						data: {
+							main: [
+								[
+									{
+										json: {},
+										binary: {
+											data: {
+												id: 'filesystem-v2:workflows/wf-1/executions/1/binary_data/abc',
+												data: 'filesystem-v2',
+												fileName: 'report.pdf',
+												mimeType: 'application/pdf',
+												fileSize: '1 kB',
+											},
+										},
+									},
+								],
+							],
+						},
+					},
+				],
+			},
+		},
+	} as unknown as IRunExecutionData;
+
+	const execution = {
+		id: '1',
+		workflowId: 'wf-1',
+		status: 'success',
+		mode: 'trigger',
+		finished: true,
+		createdAt: stoppedAt,
+		startedAt: stoppedAt,
+		stoppedAt,
+		waitTill: null,
+		deletedAt: stoppedAt,
+		executionData: {
+			data: stringify(runData),
+			workflowData: { id: 'wf-1', name: 'Finance', nodes: [], connections: {} },
+			workflowVersionId: 'version-1',
+		},
+		metadata: [{ id: 1, key: 'invoice', value: '42' }],
+	} as unknown as ExecutionEntity;
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+	});
+
+	describe('checkBinaryDataMode', () => {
+		afterEach(() => {
+			binaryDataConfig.mode = 'filesystem';
+		});
+
+		it('should throw if the binary data mode is `default`', () => {
+			binaryDataConfig.mode = 'default';
+
+			expect(() => service.checkBinaryDataMode()).toThrow(UserError);
+		});
+
+		it('should not throw for other binary data modes', () => {
+			expect(() => service.checkBinaryDataMode()).not.toThrow();
+		});
+	});
+
+	describe('archive', () => {
+		it('should store a compressed bundle and record where it was stored', async () => {
+			executionRepository.findWithDataForArchival.mockResolvedValue([execution]);
+			binaryDataService.store.mockResolvedValue({
+				id: 'filesystem-v2:execution-archives/wf-1/binary_data/def',
+				data: 'filesystem-v2',
+				mimeType: 'application/gzip',
+			});
+
+			await service.archive(['1']);
+
+			const [location, buffer, binaryData] = binaryDataService.store.mock.calls[0];
+			expect(location).toEqual({
+				type: 'custom',
+				pathSegments: ['execution-archives', 'wf-1'],
+				sourceType: 'execution-archive',
+				sourceId: '1',
+			});
+			expect(binaryData).toMatchObject({ fileName: '1.json.gz', mimeType: 'application/gzip' });
+
+			const bundle = JSON.parse(gunzipSync(buffer as Buffer).toString()) as ExecutionArchiveBundle;
+			expect(bundle).toMatchObject({
+				version: 1,
+				execution: { id: '1', workflowId: 'wf-1', status: 'success' },
+				executionData: { workflowVersionId: 'version-1' },
+				metadata: [{ key: 'invoice', value: '42' }],
+				binaryData: [
+					{
+						id: 'filesystem-v2:workflows/wf-1/executions/1/binary_data/abc',
+						fileName: 'report.pdf',
+						mimeType: 'application/pdf',
+						fileSize: '1 kB',
+					},
+				],
+			});
+
+			expect(executionArchiveRepository.upsert).toHaveBeenCalledWith(
+				{
+					executionId: '1',
+					workflowId: 'wf-1',
+					binaryDataId: 'filesystem-v2:execution-archives/wf-1/binary_data/def',
+				},
+				['executionId'],
+			);
+		});
+
+		it('should throw without storing a record if binary data is kept in memory', async () => {
+			executionRepository.findWithDataForArchival.mockResolvedValue([execution]);
+			binaryDataService.store.mockResolvedValue({ data: '...', mimeType: 'application/gzip' });
+
+			await expect(service.archive(['1'])).rejects.toThrow(UnexpectedError);
+			expect(executionArchiveRepository.upsert).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('restore', () => {
+		const archive = mock<ExecutionArchive>({
+			executionId: '1',
+			workflowId: 'wf-1',
+			binaryDataId: 'filesystem-v2:execution-archives/wf-1/binary_data/def',
+		});
+
+		it('should insert the archived execution with its original ID', async () => {
+			const { executionData, metadata: _, ...rest } = execution;
+			const bundle = {
+				version: 1,
+				execution: rest,
+				executionData,
+				metadata: [{ key: 'invoice', value: '42' }],
+				binaryData: [],
+			};
+
+			executionArchiveRepository.findOneBy.mockResolvedValue(archive);
+			executionRepository.count.mockResolvedValue(0);
+			workflowRepository.findOneBy.mockResolvedValue(mock<WorkflowEntity>());
+			binaryDataService.getAsStream.mockResolvedValue(
+				Readable.from(gzipSync(JSON.stringify(bundle))),
+			);
+
+			await service.restore('1');
+
+			const [restored, restoredData, restoredMetadata] =
+				executionRepository.insertArchived.mock.calls[0];
+			expect(restored).toMatchObject({ id: '1', workflowId: 'wf-1', stoppedAt });
+			expect(restored).not.toHaveProperty('deletedAt');
+			expect(restoredData).toEqual(executionData);
+			expect(restoredMetadata).toEqual([{ key: 'invoice', value: '42' }]);
+		});
+
+		it('should keep a missing stop time as null', async () => {
+			const { executionData, metadata: _, ...rest } = execution;
+			const bundle = {
+				version: 1,
+				execution: { ...rest, stoppedAt: null },
+				executionData,
+				metadata: [],
+				binaryData: [],
+			};
+
+			executionArchiveRepository.findOneBy.mockResolvedValue(archive);
+			executionRepository.count.mockResolvedValue(0);
+			workflowRepository.findOneBy.mockResolvedValue(mock<WorkflowEntity>());
+			binaryDataService.getAsStream.mockResolvedValue(
+				Readable.from(gzipSync(JSON.stringify(bundle))),
+			);
+
+			await service.restore('1');
+
+			const [restored] = executionRepository.insertArchived.mock.calls.at(-1)!;
+			expect(restored.stoppedAt).toBeNull();
+		});
+
+		it('should throw if there is no archive for the execution', async () => {
+			executionArchiveRepository.findOneBy.mockResolvedValue(null);
+
+			await expect(service.restore('1')).rejects.toThrow(UserError);
+		});
+
+		it('should throw if the execution still exists', async () => {
+			executionArchiveRepository.findOneBy.mockResolvedValue(archive);
+			executionRepository.count.mockResolvedValue(1);
+
+			await expect(service.restore('1')).rejects.toThrow(UserError);
+			expect(executionRepository.insertArchived).not.toHaveBeenCalled();
+		});
+	});
+});
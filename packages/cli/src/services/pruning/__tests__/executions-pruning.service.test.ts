@@ -3,7 +3,9 @@ import type { ExecutionsConfig } from '@n8n/config';
 import type { DbConnection } from '@n8n/db';
 import { mock } from 'jest-mock-extended';
 import type { InstanceSettings } from 'n8n-core';
+import { UserError } from 'n8n-workflow';
 
+import type { ExecutionArchiveService } from '../execution-archive.service';
 import { ExecutionsPruningService } from '../executions-pruning.service';
 
 describe('PruningService', () => {
@@ -20,6 +22,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock(),
+				mock(),
+				mock(),
 			);
 			const startPruningSpy = jest.spyOn(pruningService, 'startPruning');
 
@@ -36,6 +40,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock(),
+				mock(),
+				mock(),
 			);
 			const startPruningSpy = jest.spyOn(pruningService, 'startPruning');
 
@@ -43,6 +49,27 @@ describe('PruningService', () => {
 
 			expect(startPruningSpy).not.toHaveBeenCalled();
 		});
+
+		it('should throw if archiving is enabled but the binary data mode does not support it', () => {
+			const executionArchiveService = mock<ExecutionArchiveService>();
+			executionArchiveService.checkBinaryDataMode.mockImplementation(() => {
+				throw new UserError('Unsupported binary data mode');
+			});
+			const pruningService = new ExecutionsPruningService(
+				mockLogger(),
+				mock<InstanceSettings>({ isLeader: true, isMultiMain: true }),
+				dbConnection,
+				mock(),
+				mock(),
+				mock<ExecutionsConfig>({ pruneData: true, pruneDataArchive: true }),
+				mock(),
+				executionArchiveService,
+			);
+			const startPruningSpy = jest.spyOn(pruningService, 'startPruning');
+
+			expect(() => pruningService.init()).toThrow(UserError);
+			expect(startPruningSpy).not.toHaveBeenCalled();
+		});
 	});
 
 	describe('isEnabled', () => {
@@ -54,6 +81,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock<ExecutionsConfig>({ pruneData: true }),
+				mock(),
+				mock(),
 			);
 
 			expect(pruningService.isEnabled).toBe(true);
@@ -67,6 +96,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock<ExecutionsConfig>({ pruneData: false }),
+				mock(),
+				mock(),
 			);
 
 			expect(pruningService.isEnabled).toBe(false);
@@ -80,6 +111,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock<ExecutionsConfig>({ pruneData: true }),
+				mock(),
+				mock(),
 			);
 
 			expect(pruningService.isEnabled).toBe(false);
@@ -98,6 +131,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock<ExecutionsConfig>({ pruneData: true }),
+				mock(),
+				mock(),
 			);
 
 			expect(pruningService.isEnabled).toBe(false);
@@ -113,6 +148,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock<ExecutionsConfig>({ pruneData: false }),
+				mock(),
+				mock(),
 			);
 
 			const scheduleRollingSoftDeletionsSpy = jest.spyOn(
@@ -138,6 +175,8 @@ describe('PruningService', () => {
 				mock(),
 				mock(),
 				mock<ExecutionsConfig>({ pruneData: true }),
+				mock(),
+				mock(),
 			);
 
 			const scheduleRollingSoftDeletionsSpy = jest
@@ -186,6 +225,8 @@ describe('PruningService', () => {
 					pruneData: true,
 					pruneDataIntervals: { softDelete: 60, hardDelete: 15 },
 				}),
+				mock(),
+				mock(),
 			);
 
 			pruningService.startPruning();
@@ -0,0 +1,166 @@
+import { Logger } from '@n8n/backend-common';
+import type { ExecutionData, ExecutionEntity } from '@n8n/db';
+import { ExecutionArchiveRepository, ExecutionRepository, WorkflowRepository } from '@n8n/db';
+import { Service } from '@n8n/di';
+import { parse } from 'flatted';
+import { BinaryDataConfig, BinaryDataService, binaryToBuffer, FileLocation } from 'n8n-core';
+import type { IBinaryData, IRunExecutionData } from 'n8n-workflow';
+import { UnexpectedError, UserError } from 'n8n-workflow';
+import { promisify } from 'node:util';
+import { gunzip, gzip } from 'node:zlib';
+
+import { getBinaryDataInRunData } from '@/executions/execution.utils';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+type ArchivedBinaryData = {
+	id: string;
+	fileName?: string;
+	mimeType?: string;
+	fileSize?: string;
+};
+
+export type ExecutionArchiveBundle = {
+	version: 1;
+	execution: Omit<ExecutionEntity, 'executionData' | 'metadata' | 'annotation' | 'workflow'>;
+	executionData: Pick<ExecutionData, 'data' | 'workflowData' | 'workflowVersionId'>;
+	metadata: Array<{ key: string; value: string }>;
+	/** References to the binary files of the execution, which are not archived themselves */
+	binaryData: ArchivedBinaryData[];
+};
+
+/**
+ * Responsible for archiving executions as compressed bundles to the binary
+ * data store before they are hard-deleted, and for restoring them.
+ */
+@Service()
+export class ExecutionArchiveService {
+	constructor(
+		private readonly logger: Logger,
+		private readonly executionRepository: ExecutionRepository,
+		private readonly executionArchiveRepository: ExecutionArchiveRepository,
+		private readonly workflowRepository: WorkflowRepository,
+		private readonly binaryDataService: BinaryDataService,
+		private readonly binaryDataConfig: BinaryDataConfig,
+	) {
+		this.logger = this.logger.scoped('pruning');
+	}
+
+	/**
+	 * Archives are stored as binary files, which the `default` binary data mode
+	 * only keeps in memory, so archiving cannot work in that mode.
+	 *
+	 * @throws {UserError} If the binary data mode is `default`.
+	 */
+	checkBinaryDataMode() {
+		if (this.binaryDataConfig.mode === 'default') {
+			throw new UserError(
+				'Archiving executions (`EXECUTIONS_DATA_PRUNE_ARCHIVE`) requires a binary data mode other than `default`',
+			);
+		}
+	}
+
+	/** Write a bundle per execution to the binary data store and record where it was written to. */
+	async archive(executionIds: string[]) {
+		const executions = await this.executionRepository.findWithDataForArchival(executionIds);
+
+		for (const { executionData, metadata, ...execution } of executions) {
+			if (!executionData) {
+				this.logger.warn('Skipped archiving execution without execution data', {
+					executionId: execution.id,
+				});
+				continue;
+			}
+
+			const bundle: ExecutionArchiveBundle = {
+				version: 1,
+				execution,
+				executionData: {
+					data: executionData.data,
+					workflowData: executionData.workflowData,
+					workflowVersionId: executionData.workflowVersionId,
+				},
+				metadata: metadata.map(({ key, value }) => ({ key, value })),
+				binaryData: this.collectBinaryData(executionData.data),
+			};
+
+			const { id: binaryDataId } = await this.binaryDataService.store(
+				FileLocation.ofCustom({
+					pathSegments: ['execution-archives', execution.workflowId],
+					sourceType: 'execution-archive',
+					sourceId: execution.id,
+				}),
+				await gzipAsync(JSON.stringify(bundle)),
+				{ data: '', fileName: `${execution.id}.json.gz`, mimeType: 'application/gzip' },
+			);
+
+			if (!binaryDataId) {
+				throw new UnexpectedError(
+					'Archiving executions requires a binary data mode other than `default`',
+				);
+			}
+
+			await this.executionArchiveRepository.upsert(
+				{ executionId: execution.id, workflowId: execution.workflowId, binaryDataId },
+				['executionId'],
+			);
+		}
+
+		this.logger.debug('Archived executions', { executionIds });
+	}
+
+	/** Insert an archived execution back into the database, with its original ID. */
+	async restore(executionId: string) {
+		const archive = await this.executionArchiveRepository.findOneBy({ executionId });
+
+		if (!archive) {
+			throw new UserError(`No archive found for execution "${executionId}"`);
+		}
+
+		const existing = await this.executionRepository.count({
+			where: { id: executionId },
+			withDeleted: true,
+		});
+
+		if (existing > 0) {
+			throw new UserError(`Execution "${executionId}" already exists in the database`);
+		}
+
+		const workflow = await this.workflowRepository.findOneBy({ id: archive.workflowId });
+
+		if (!workflow) {
+			throw new UserError(
+				`Workflow "${archive.workflowId}" of execution "${executionId}" no longer exists`,
+			);
+		}
+
+		const stream = await this.binaryDataService.getAsStream(archive.binaryDataId);
+		const buffer = await gunzipAsync(await binaryToBuffer(stream));
+		const bundle = JSON.parse(buffer.toString()) as ExecutionArchiveBundle;
+
+		// restored executions are no longer soft-deleted
+		const { deletedAt: _, ...execution } = bundle.execution;
+		const toDate = (date: Date | string | null) => (date === null ? null : new Date(date));
+
+		await this.executionRepository.insertArchived(
+			{
+				...execution,
+				createdAt: new Date(execution.createdAt),
+				startedAt: toDate(execution.startedAt),
+				stoppedAt: toDate(execution.stoppedAt) as Date,
+				waitTill: toDate(execution.waitTill),
+			},
+			bundle.executionData,
+			bundle.metadata,
+		);
+
+		return bundle;
+	}
+
+	private collectBinaryData(data: string): ArchivedBinaryData[] {
+		return getBinaryDataInRunData(parse(data) as IRunExecutionData)
+			.filter((binaryData): binaryData is IBinaryData & { id: string } => !!binaryData.id)
+			.map(({ id, fileName, mimeType, fileSize }) => ({ id, fileName, mimeType, fileSize }));
+	}
+}
@@ -1,13 +1,15 @@
 import { Logger } from '@n8n/backend-common';
 import { ExecutionsConfig } from '@n8n/config';
 import { Time } from '@n8n/constants';
-import { ExecutionRepository, DbConnection } from '@n8n/db';
+import { ExecutionRepository, DbConnection, ExecutionRetentionRuleRepository } from '@n8n/db';
 import { OnLeaderStepdown, OnLeaderTakeover, OnShutdown } from '@n8n/decorators';
 import { Service } from '@n8n/di';
 import { BinaryDataService, InstanceSettings } from 'n8n-core';
 import { ensureError } from 'n8n-workflow';
 import { strict } from 'node:assert';
 
+import { ExecutionArchiveService } from './execution-archive.service';
+
 /**
  * Responsible for deleting old executions from the database and deleting their
  * associated binary data from the filesystem, on a rolling basis.
@@ -15,11 +17,14 @@ import { strict } from 'node:assert';
  * By default:
  *
  * - Soft deletion (every 60m) identifies all prunable executions based on max
- *   age and/or max count, exempting annotated executions.
+ *   age and/or max count, exempting annotated executions. Executions matching a
+ *   retention rule are instead pruned by the max age of that rule.
  * - Hard deletion (every 15m) processes prunable executions in batches of 100,
  *   switching to 1s intervals until the total to prune is back down low enough,
  *   or in case the hard deletion fails.
  * - Once mostly caught up, hard deletion goes back to the 15m schedule.
+ * - If archival is enabled, hard deletion first writes each execution as a
+ *   compressed bundle to the binary data store, see `ExecutionArchiveService`.
  */
 @Service()
 export class ExecutionsPruningService {
@@ -46,6 +51,8 @@ export class ExecutionsPruningService {
 		private readonly executionRepository: ExecutionRepository,
 		private readonly binaryDataService: BinaryDataService,
 		private readonly executionsConfig: ExecutionsConfig,
+		private readonly executionRetentionRuleRepository: ExecutionRetentionRuleRepository,
+		private readonly executionArchiveService: ExecutionArchiveService,
 	) {
 		this.logger = this.logger.scoped('pruning');
 	}
@@ -53,6 +60,10 @@ export class ExecutionsPruningService {
 	init() {
 		strict(this.instanceSettings.instanceRole !== 'unset', 'Instance role is not set');
 
+		if (this.executionsConfig.pruneData && this.executionsConfig.pruneDataArchive) {
+			this.executionArchiveService.checkBinaryDataMode();
+		}
+
 		if (this.instanceSettings.isLeader) this.startPruning();
 	}
 
@@ -107,9 +118,10 @@ export class ExecutionsPruningService {
 		this.logger.debug(`Hard-deletion in next ${rateMs * Time.milliseconds.toMinutes} minutes`);
 	}
 
-	/** Soft-delete executions based on max age and/or max count. */
+	/** Soft-delete executions based on retention rules, max age and/or max count. */
 	async softDelete() {
-		const result = await this.executionRepository.softDeletePrunableExecutions();
+		const rules = await this.executionRetentionRuleRepository.find();
+		const result = await this.executionRepository.softDeletePrunableExecutions(rules);
 
 		if (result.affected === 0) {
 			this.logger.debug('Found no executions to soft-delete');
@@ -119,6 +131,13 @@ export class ExecutionsPruningService {
 		this.logger.debug('Soft-deleted executions', { count: result.affected });
 	}
 
+	/** Count the executions the next soft-deletion would prune, without deleting them. */
+	async dryRun() {
+		const rules = await this.executionRetentionRuleRepository.find();
+
+		return await this.executionRepository.countPrunableExecutions(rules);
+	}
+
 	@OnShutdown()
 	shutdown(): void {
 		this.isShuttingDown = true;
@@ -126,7 +145,8 @@ export class ExecutionsPruningService {
 	}
 
 	/**
-	 * Delete all soft-deleted executions and their binary data.
+	 * Delete all soft-deleted executions and their binary data, archiving them
+	 * first if `EXECUTIONS_DATA_PRUNE_ARCHIVE` is enabled.
 	 *
 	 * @returns Delay in milliseconds until next hard-deletion
 	 */
@@ -142,6 +162,10 @@ export class ExecutionsPruningService {
 		}
 
 		try {
+			if (this.executionsConfig.pruneDataArchive) {
+				await this.executionArchiveService.archive(executionIds);
+			}
+
 			await this.binaryDataService.deleteMany(ids);
 
 			await this.executionRepository.deleteByIds(executionIds);
@@ -11,6 +11,7 @@ import {
 	type TagEntity,
 	type User,
 	WorkflowEntity,
+	WorkflowRepository,
 } from '@n8n/db';
 import { Container } from '@n8n/di';
 import { createCredentials } from '@test-integration/db/credentials';
@@ -441,6 +442,7 @@ describe('SourceControlService', () => {
 			Container.get(SourceControlScopedService),
 			Container.get(EventService),
 			statusService,
+			Container.get(WorkflowRepository),
 		);
 
 		// Skip actual git operations
@@ -1,6 +1,8 @@
 import { mockInstance } from '@n8n/backend-test-utils';
-import { GLOBAL_OWNER_ROLE, type User } from '@n8n/db';
+import { Time } from '@n8n/constants';
+import { EventDestinationDeadLetterRepository, GLOBAL_OWNER_ROLE, type User } from '@n8n/db';
 import { Container } from '@n8n/di';
+import { In } from '@n8n/typeorm';
 import axios from 'axios';
 import type {
 	MessageEventBusDestinationSentryOptions,
@@ -165,6 +167,20 @@ describe('POST /eventbus/destination', () => {
 			.send(testWebhookDestination);
 		expect(response.statusCode).toBe(200);
 	});
+
+	test.each([
+		['an invalid structured data ID', { structuredDataId: 'not valid' }],
+		['a structured data ID over 32 characters', { structuredDataId: 'n'.repeat(33) }],
+		[
+			'an invalid structured data field',
+			{ structuredDataId: 'n8n@32473', structuredDataFields: ['workflow"Id'] },
+		],
+	])('reject syslog destination with %s', async (_, structuredDataOptions) => {
+		const response = await authOwnerAgent
+			.post('/eventbus/destination')
+			.send({ ...testSyslogDestination, id: uuid(), ...structuredDataOptions });
+		expect(response.statusCode).toBe(400);
+	});
 });
 
 test('should anonymize audit message to syslog ', async () => {
@@ -184,7 +200,7 @@ test('should anonymize audit message to syslog ', async () => {
 	syslogDestination.enable();
 
 	const mockedSyslogClientLog = jest.spyOn(syslogDestination.client, 'log');
-	mockedSyslogClientLog.mockImplementation(async (m, _options, _cb) => {
+	mockedSyslogClientLog.mockImplementation(async (m, _options) => {
 		const o = JSON.parse(m);
 		expect(o).toHaveProperty('payload');
 		expect(o.payload).toHaveProperty('_secret');
@@ -231,6 +247,63 @@ test('should anonymize audit message to syslog ', async () => {
 	});
 });
 
+test('should map payload fields to syslog structured data', async () => {
+	const testAuditMessage = new EventMessageAudit({
+		eventName: 'n8n.audit.user.updated',
+		payload: {
+			userId: 'user-1',
+			workflowId: 'workflow-1',
+			other: 'not mapped',
+		},
+		id: uuid(),
+	});
+
+	const syslogDestination = eventBus.destinations[
+		testSyslogDestination.id!
+	] as MessageEventBusDestinationSyslog;
+
+	syslogDestination.enable();
+	syslogDestination.structuredDataId = 'n8n@32473';
+
+	const mockedSyslogClientLog = jest.spyOn(syslogDestination.client, 'log');
+	mockedSyslogClientLog.mockImplementation(async () => {});
+
+	await syslogDestination.receiveFromEventBus({
+		msg: testAuditMessage,
+		confirmCallback: jest.fn(),
+	});
+
+	expect(mockedSyslogClientLog).toHaveBeenCalledWith(
+		expect.any(String),
+		expect.objectContaining({
+			structuredData: { 'n8n@32473': { userId: 'user-1', workflowId: 'workflow-1' } },
+		}),
+	);
+
+	syslogDestination.structuredDataId = '';
+	syslogDestination.disable();
+});
+
+test('should fail to send to syslog if the syslog client fails', async () => {
+	const syslogDestination = eventBus.destinations[
+		testSyslogDestination.id!
+	] as MessageEventBusDestinationSyslog;
+	syslogDestination.enable();
+	const mockedSyslogClientLog = jest.spyOn(syslogDestination.client, 'log');
+	mockedSyslogClientLog.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+	const confirmCallback = jest.fn();
+
+	await expect(
+		syslogDestination.receiveFromEventBus({
+			msg: new EventMessageAudit({ eventName: 'n8n.audit.user.updated', id: uuid() }),
+			confirmCallback,
+		}),
+	).rejects.toThrow('connect ECONNREFUSED');
+
+	expect(confirmCallback).not.toHaveBeenCalled();
+	syslogDestination.disable();
+});
+
 test('should send message to webhook ', async () => {
 	const testMessage = new EventMessageGeneric({
 		eventName: 'n8n.test.message' as EventNamesTypes,
@@ -305,6 +378,136 @@ test('should send message to sentry ', async () => {
 	});
 });
 
+describe('dead letters', () => {
+	const createDeadLetter = async (nextRetryAt: Date | null = null, createdAt = new Date()) => {
+		const deadLetterRepository = Container.get(EventDestinationDeadLetterRepository);
+		const testMessage = new EventMessageGeneric({
+			eventName: 'n8n.test.message' as EventNamesTypes,
+			id: uuid(),
+		});
+		return await deadLetterRepository.save(
+			deadLetterRepository.create({
+				destinationId: testWebhookDestination.id!,
+				eventId: testMessage.id,
+				eventName: testMessage.eventName,
+				message: testMessage.serialize() as unknown as Record<string, unknown>,
+				attempts: 5,
+				lastError: 'connect ECONNREFUSED',
+				nextRetryAt,
+				createdAt,
+			}),
+		);
+	};
+
+	test('GET /eventbus/dead-letter should list dead letters of a destination', async () => {
+		const deadLetter = await createDeadLetter();
+
+		const response = await authOwnerAgent
+			.get('/eventbus/dead-letter')
+			.query({ destinationId: testWebhookDestination.id });
+
+		expect(response.statusCode).toBe(200);
+		expect(response.body.data.count).toBe(1);
+		expect(response.body.data.data[0]).toMatchObject({
+			id: deadLetter.id,
+			eventId: deadLetter.eventId,
+			attempts: 5,
+			lastError: 'connect ECONNREFUSED',
+		});
+
+		await authOwnerAgent.del('/eventbus/dead-letter').query({ id: deadLetter.id });
+	});
+
+	test('POST /eventbus/dead-letter/replay should resend and remove dead letters', async () => {
+		const deadLetter = await createDeadLetter();
+		const webhookDestination = eventBus.destinations[testWebhookDestination.id!];
+		webhookDestination.enable();
+		mockAxiosInstance.request.mockResolvedValue({ status: 200, data: { msg: 'OK' } });
+
+		const response = await authOwnerAgent
+			.post('/eventbus/dead-letter/replay')
+			.send({ ids: [deadLetter.id] });
+		webhookDestination.disable();
+
+		expect(response.statusCode).toBe(200);
+		expect(response.body.data).toEqual({ replayed: [deadLetter.id], failed: [] });
+		expect(
+			await Container.get(EventDestinationDeadLetterRepository).findOneBy({ id: deadLetter.id }),
+		).toBeNull();
+	});
+
+	test('GET /eventbus/dead-letter should not list events that are still being retried', async () => {
+		const pendingRetry = await createDeadLetter(new Date(Date.now() + 60_000));
+
+		const response = await authOwnerAgent
+			.get('/eventbus/dead-letter')
+			.query({ destinationId: testWebhookDestination.id });
+
+		expect(response.statusCode).toBe(200);
+		expect(response.body.data.count).toBe(0);
+
+		await Container.get(EventDestinationDeadLetterRepository).delete({ id: pendingRetry.id });
+	});
+
+	test('POST /eventbus/dead-letter/replay should keep dead letters that were not delivered', async () => {
+		const deadLetter = await createDeadLetter();
+		const webhookDestination = eventBus.destinations[testWebhookDestination.id!];
+		// accepted but never confirmed, e.g. only queued for sending
+		const receive = jest.spyOn(webhookDestination, 'receiveFromEventBus').mockResolvedValue(true);
+
+		const response = await authOwnerAgent
+			.post('/eventbus/dead-letter/replay')
+			.send({ ids: [deadLetter.id] });
+		receive.mockRestore();
+
+		expect(response.statusCode).toBe(200);
+		expect(response.body.data).toEqual({ replayed: [], failed: [deadLetter.id] });
+		expect(
+			await Container.get(EventDestinationDeadLetterRepository).findOneBy({ id: deadLetter.id }),
+		).toMatchObject({ attempts: 6 });
+
+		await authOwnerAgent.del('/eventbus/dead-letter').query({ id: deadLetter.id });
+	});
+
+	test('POST /eventbus/dead-letter/replay should require a selection', async () => {
+		const response = await authOwnerAgent.post('/eventbus/dead-letter/replay').send({});
+		expect(response.statusCode).toBe(400);
+	});
+
+	test('should prune retry states that are long overdue', async () => {
+		const deadLetterRepository = Container.get(EventDestinationDeadLetterRepository);
+		const overdueRetry = await createDeadLetter(
+			new Date(Date.now() - 2 * Time.days.toMilliseconds),
+		);
+		const pendingRetry = await createDeadLetter(new Date(Date.now() + 60_000));
+		const deadLetter = await createDeadLetter();
+
+		await eventBus.pruneDeadLetters();
+
+		expect(await deadLetterRepository.findOneBy({ id: overdueRetry.id })).toBeNull();
+		expect(await deadLetterRepository.findOneBy({ id: pendingRetry.id })).not.toBeNull();
+		expect(await deadLetterRepository.findOneBy({ id: deadLetter.id })).not.toBeNull();
+
+		await deadLetterRepository.delete({ id: In([pendingRetry.id, deadLetter.id]) });
+	});
+
+	test('should prune the oldest rows of destinations over the maximum', async () => {
+		const deadLetterRepository = Container.get(EventDestinationDeadLetterRepository);
+		const oldest = await createDeadLetter(null, new Date('2024-01-01T00:00:00.000Z'));
+		const older = await createDeadLetter(null, new Date('2024-01-02T00:00:00.000Z'));
+		const newest = await createDeadLetter();
+
+		const deleted = await deadLetterRepository.prune(new Date(), 1);
+
+		expect(deleted).toBe(2);
+		expect(await deadLetterRepository.findBy({ id: In([oldest.id, older.id, newest.id]) })).toEqual(
+			[expect.objectContaining({ id: newest.id })],
+		);
+
+		await deadLetterRepository.delete({ id: newest.id });
+	});
+});
+
 test('DELETE /eventbus/destination delete all destinations by id', async () => {
 	const existingDestinationIds = [...Object.keys(eventBus.destinations)];
 
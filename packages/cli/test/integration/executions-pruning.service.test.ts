@@ -2,8 +2,9 @@ import { mockLogger, createWorkflow, testDb, mockInstance } from '@n8n/backend-t
 import { ExecutionsConfig } from '@n8n/config';
 import { Time } from '@n8n/constants';
 import type { ExecutionEntity } from '@n8n/db';
-import { ExecutionRepository, DbConnection } from '@n8n/db';
+import { ExecutionRepository, DbConnection, ExecutionRetentionRuleRepository } from '@n8n/db';
 import { Container } from '@n8n/di';
+import { mock } from 'jest-mock-extended';
 import { BinaryDataService, InstanceSettings } from 'n8n-core';
 import type { ExecutionStatus, IWorkflowBase } from 'n8n-workflow';
 
@@ -36,13 +37,15 @@ describe('softDeleteOnPruningCycle()', () => {
 			Container.get(ExecutionRepository),
 			mockInstance(BinaryDataService),
 			executionsConfig,
+			Container.get(ExecutionRetentionRuleRepository),
+			mock(),
 		);
 
 		workflow = await createWorkflow();
 	});
 
 	beforeEach(async () => {
-		await testDb.truncate(['ExecutionEntity', 'ExecutionAnnotation']);
+		await testDb.truncate(['ExecutionEntity', 'ExecutionAnnotation', 'ExecutionRetentionRule']);
 	});
 
 	afterAll(async () => {
@@ -272,4 +275,148 @@ describe('softDeleteOnPruningCycle()', () => {
 			]);
 		});
 	});
+
+	describe('when retention rules are set', () => {
+		const twoDaysAgo = new Date(Date.now() - 2 * Time.days.toMilliseconds);
+
+		beforeAll(() => {
+			executionsConfig.pruneDataMaxAge = 1;
+			executionsConfig.pruneDataMaxCount = 0;
+		});
+
+		async function createRule(rule: { name: string; maxAge: number } & Record<string, unknown>) {
+			const repository = Container.get(ExecutionRetentionRuleRepository);
+			return await repository.save(repository.create(rule));
+		}
+
+		test('should keep executions matching a rule for the max age of the rule', async () => {
+			await createRule({ name: 'Keep failures', status: 'error', maxAge: 72 });
+
+			const executions = [
+				await createExecution(
+					{ status: 'error', startedAt: twoDaysAgo, stoppedAt: twoDaysAgo },
+					workflow,
+				),
+				await createExecution(
+					{ status: 'success', finished: true, startedAt: twoDaysAgo, stoppedAt: twoDaysAgo },
+					workflow,
+				),
+			];
+
+			await pruningService.softDelete();
+
+			const result = await findAllExecutions();
+			expect(result).toEqual([
+				expect.objectContaining({ id: executions[0].id, deletedAt: null }),
+				expect.objectContaining({ id: executions[1].id, deletedAt: expect.any(Date) }),
+			]);
+		});
+
+		test('should prune executions matching a rule with a shorter max age', async () => {
+			executionsConfig.pruneDataMaxAge = 336;
+			await createRule({
+				name: 'Chatty sync',
+				workflowId: workflow.id,
+				status: 'success',
+				maxAge: 1,
+			});
+
+			const executions = [
+				await createExecution(
+					{ status: 'success', finished: true, startedAt: yesterday, stoppedAt: yesterday },
+					workflow,
+				),
+				await createExecution(
+					{ status: 'error', startedAt: yesterday, stoppedAt: yesterday },
+					workflow,
+				),
+			];
+
+			await pruningService.softDelete();
+
+			const result = await findAllExecutions();
+			expect(result).toEqual([
+				expect.objectContaining({ id: executions[0].id, deletedAt: expect.any(Date) }),
+				expect.objectContaining({ id: executions[1].id, deletedAt: null }),
+			]);
+
+			executionsConfig.pruneDataMaxAge = 1;
+		});
+
+		test('should apply the longest max age if several rules match', async () => {
+			await createRule({ name: 'Short', workflowId: workflow.id, maxAge: 1 });
+			await createRule({ name: 'Long', status: 'error', maxAge: 72 });
+
+			const executions = [
+				await createExecution(
+					{ status: 'error', startedAt: twoDaysAgo, stoppedAt: twoDaysAgo },
+					workflow,
+				),
+				await createExecution(
+					{ status: 'success', finished: true, startedAt: twoDaysAgo, stoppedAt: twoDaysAgo },
+					workflow,
+				),
+			];
+
+			await pruningService.softDelete();
+
+			const result = await findAllExecutions();
+			expect(result).toEqual([
+				expect.objectContaining({ id: executions[0].id, deletedAt: null }),
+				expect.objectContaining({ id: executions[1].id, deletedAt: expect.any(Date) }),
+			]);
+		});
+
+		test('should report prunable executions on a dry run without deleting them', async () => {
+			const rule = await createRule({ name: 'Keep failures', status: 'error', maxAge: 24 });
+
+			await createExecution(
+				{ status: 'error', startedAt: twoDaysAgo, stoppedAt: twoDaysAgo },
+				workflow,
+			);
+			await createExecution(
+				{ status: 'success', finished: true, startedAt: yesterday, stoppedAt: yesterday },
+				workflow,
+			);
+			await createExecution(
+				{ status: 'success', finished: true, startedAt: now, stoppedAt: now },
+				workflow,
+			);
+
+			const report = await pruningService.dryRun();
+
+			expect(report).toEqual({
+				total: 2,
+				global: 1,
+				byRule: [{ ruleId: rule.id, name: 'Keep failures', count: 1 }],
+			});
+
+			const result = await findAllExecutions();
+			expect(result.every(({ deletedAt }) => deletedAt === null)).toBe(true);
+		});
+
+		test('should count executions matching several rules once in the dry run total', async () => {
+			const byWorkflow = await createRule({
+				name: 'By workflow',
+				workflowId: workflow.id,
+				maxAge: 24,
+			});
+			const byStatus = await createRule({ name: 'By status', status: 'error', maxAge: 24 });
+
+			await createExecution(
+				{ status: 'error', startedAt: twoDaysAgo, stoppedAt: twoDaysAgo },
+				workflow,
+			);
+
+			const report = await pruningService.dryRun();
+
+			expect(report.total).toBe(1);
+			expect(report.byRule).toEqual(
+				expect.arrayContaining([
+					{ ruleId: byWorkflow.id, name: 'By workflow', count: 1 },
+					{ ruleId: byStatus.id, name: 'By status', count: 1 },
+				]),
+			);
+		});
+	});
 });
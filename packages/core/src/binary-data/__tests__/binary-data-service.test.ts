@@ -2,11 +2,14 @@ import type { Logger } from '@n8n/backend-common';
 import { mock } from 'jest-mock-extended';
 import { sign, JsonWebTokenError, TokenExpiredError } from 'jsonwebtoken';
 import type { IBinaryData } from 'n8n-workflow';
+import { Readable } from 'node:stream';
 
 import type { ErrorReporter } from '@/errors';
+import { FileSizeMismatchError, InvalidManagerError } from '@/errors';
 
 import type { BinaryDataConfig } from '../binary-data.config';
 import { BinaryDataService } from '../binary-data.service';
+import type { BinaryData } from '../types';
 
 const now = new Date('2025-01-01T01:23:45.678Z');
 jest.useFakeTimers({ now });
@@ -58,4 +61,86 @@ describe('BinaryDataService', () => {
 			expect(result).toBe(binaryData.id);
 		});
 	});
+
+	describe('wrapManagers', () => {
+		it('should route calls through the wrappers, sharing one per manager', async () => {
+			const filesystemManager = mock<BinaryData.Manager>();
+			const wrapper = mock<BinaryData.Manager>();
+			wrapper.getPath.mockReturnValue('/wrapped/path');
+			const wrap = jest.fn().mockReturnValue(wrapper);
+
+			service.setManager('filesystem', filesystemManager);
+			service.setManager('filesystem-v2', filesystemManager);
+			service.wrapManagers(wrap);
+
+			expect(wrap).toHaveBeenCalledTimes(1);
+			expect(wrap).toHaveBeenCalledWith('filesystem', filesystemManager);
+			expect(service.getPath('filesystem-v2:file')).toBe('/wrapped/path');
+			expect(filesystemManager.getPath).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('rotateKey', () => {
+		it('should rotate the key through the manager of the mode', async () => {
+			const manager = mock<Required<BinaryData.Manager>>();
+			manager.rotateKey.mockResolvedValue(true);
+			service.setManager('s3', manager);
+
+			expect(await service.rotateKey('s3:file')).toBe(true);
+			expect(manager.rotateKey).toHaveBeenCalledWith('file');
+		});
+
+		it('should skip files of managers that do not encrypt', async () => {
+			service.setManager('s3', { ...mock<BinaryData.Manager>(), rotateKey: undefined });
+
+			expect(await service.rotateKey('s3:file')).toBe(false);
+		});
+	});
+
+	describe('migrate', () => {
+		const location = { type: 'execution' as const, workflowId: 'wf-1', executionId: '1' };
+		const sourceManager = mock<BinaryData.Manager>();
+		const targetManager = mock<BinaryData.Manager>();
+		const stream = Readable.from(Buffer.from('data'));
+
+		beforeEach(() => {
+			service.setManager('filesystem-v2', sourceManager);
+			service.setManager('s3', targetManager);
+
+			sourceManager.getMetadata.mockResolvedValue({
+				fileName: 'a.txt',
+				mimeType: 'text/plain',
+				fileSize: 4,
+			});
+			sourceManager.getAsStream.mockResolvedValue(stream);
+		});
+
+		it('should copy the file to the target manager and return its new ID', async () => {
+			targetManager.store.mockResolvedValue({ fileId: 'new-file', fileSize: 4 });
+
+			const result = await service.migrate('filesystem-v2:old-file', 's3', location);
+
+			expect(sourceManager.getAsStream).toHaveBeenCalledWith('old-file');
+			expect(targetManager.store).toHaveBeenCalledWith(location, stream, {
+				fileName: 'a.txt',
+				mimeType: 'text/plain',
+			});
+			expect(result).toBe('s3:new-file');
+		});
+
+		it('should remove the copy and throw if its size does not match', async () => {
+			targetManager.store.mockResolvedValue({ fileId: 'new-file', fileSize: 2 });
+
+			await expect(service.migrate('filesystem-v2:old-file', 's3', location)).rejects.toThrow(
+				FileSizeMismatchError,
+			);
+			expect(targetManager.deleteManyByFileId).toHaveBeenCalledWith(['new-file']);
+		});
+
+		it('should throw if there is no manager for the source mode', async () => {
+			await expect(service.migrate('database:old-file', 's3', location)).rejects.toThrow(
+				InvalidManagerError,
+			);
+		});
+	});
 });
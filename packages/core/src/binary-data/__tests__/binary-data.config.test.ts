@@ -26,12 +26,18 @@ describe('BinaryDataConfig', () => {
 		expect(config.availableModes).toEqual(['filesystem', 's3', 'database']);
 		expect(config.mode).toBe('filesystem');
 		expect(config.localStoragePath).toBe('/test/n8n/binaryData');
+		expect(config.deduplication).toBe(false);
+		expect(config.encryption).toBe(false);
+		expect(config.previousEncryptionKeys).toEqual([]);
 	});
 
 	it('should use values from env variables when defined', () => {
 		process.env.N8N_DEFAULT_BINARY_DATA_MODE = 's3';
 		process.env.N8N_BINARY_DATA_STORAGE_PATH = '/custom/storage/path';
 		process.env.N8N_BINARY_DATA_SIGNING_SECRET = 'super-secret';
+		process.env.N8N_BINARY_DATA_DEDUPLICATION = 'true';
+		process.env.N8N_BINARY_DATA_ENCRYPTION = 'true';
+		process.env.N8N_BINARY_DATA_PREVIOUS_ENCRYPTION_KEYS = 'old-key,older-key';
 
 		const config = Container.get(BinaryDataConfig);
 
@@ -39,6 +45,9 @@ describe('BinaryDataConfig', () => {
 		expect(config.availableModes).toEqual(['filesystem', 's3', 'database']);
 		expect(config.localStoragePath).toEqual('/custom/storage/path');
 		expect(config.signingSecret).toBe('super-secret');
+		expect(config.deduplication).toBe(true);
+		expect(config.encryption).toBe(true);
+		expect(config.previousEncryptionKeys).toEqual(['old-key', 'older-key']);
 	});
 
 	it('should derive the signing secret from the encryption-key, when none is passed in', () => {
@@ -0,0 +1,151 @@
+import { mock } from 'jest-mock-extended';
+import { Readable } from 'node:stream';
+
+import { Cipher } from '@/encryption';
+import { EncryptedBinaryDataPathError, UnknownEncryptionKeyError } from '@/errors';
+import type { InstanceSettings } from '@/instance-settings';
+
+import { EncryptingManager } from '../encrypting.manager';
+import type { BinaryData } from '../types';
+import { binaryToBuffer, streamToBuffer } from '../utils';
+
+describe('EncryptingManager', () => {
+	const cipher = new Cipher(mock<InstanceSettings>());
+	const location = { type: 'execution' as const, workflowId: 'wf-1', executionId: '1' };
+	const metadata = { fileName: 'report.pdf', mimeType: 'application/pdf' };
+	const content = Buffer.from('confidential medical document');
+
+	/** Keeps stored files in memory, as written by the encrypting manager */
+	const files = new Map<string, Buffer>();
+
+	/** Splits a buffer into small chunks, to read files as streams of several chunks */
+	const toChunks = (buffer: Buffer, chunkSize = 5) =>
+		Array.from({ length: Math.ceil(buffer.length / chunkSize) }, (_, i) =>
+			buffer.subarray(i * chunkSize, (i + 1) * chunkSize),
+		);
+	const inner = mock<Required<BinaryData.Manager>>();
+
+	const manager = new EncryptingManager(inner, cipher, 'current-key');
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+		files.clear();
+
+		inner.store.mockImplementation(async (_, bufferOrStream) => {
+			const buffer = await binaryToBuffer(bufferOrStream);
+			files.set('file', buffer);
+			return { fileId: 'file', fileSize: buffer.length };
+		});
+		inner.getAsBuffer.mockImplementation(async (fileId) => files.get(fileId)!);
+		inner.getAsStream.mockImplementation(async (fileId) =>
+			Readable.from(toChunks(files.get(fileId)!)),
+		);
+		inner.getMetadata.mockImplementation(async (fileId) => ({
+			...metadata,
+			fileSize: files.get(fileId)!.length,
+		}));
+		inner.overwrite.mockImplementation(async (fileId, bufferOrStream) => {
+			files.set(fileId, await binaryToBuffer(bufferOrStream));
+		});
+	});
+
+	it('should store files encrypted and read them decrypted', async () => {
+		const { fileId, fileSize } = await manager.store(location, content, metadata);
+
+		expect(fileSize).toBe(content.length);
+		expect(files.get('file')!.includes(content)).toBe(false);
+		expect(await manager.getAsBuffer(fileId)).toEqual(content);
+		expect(await streamToBuffer(await manager.getAsStream(fileId))).toEqual(content);
+	});
+
+	it('should encrypt streams without reading them whole', async () => {
+		const { fileSize } = await manager.store(
+			location,
+			Readable.from(toChunks(content, 3)),
+			metadata,
+		);
+
+		expect(fileSize).toBe(content.length);
+		expect(await manager.getAsBuffer('file')).toEqual(content);
+	});
+
+	it('should encrypt each file with its own data key', async () => {
+		await manager.store(location, content, metadata);
+		const first = files.get('file')!;
+		await manager.store(location, content, metadata);
+
+		expect(files.get('file')).not.toEqual(first);
+	});
+
+	it('should report the size of the plain content', async () => {
+		await manager.store(location, content, metadata);
+
+		expect(await manager.getMetadata('file')).toEqual({ ...metadata, fileSize: content.length });
+	});
+
+	it('should pass through files stored before encryption was enabled', async () => {
+		files.set('file', content);
+
+		expect(await manager.getAsBuffer('file')).toEqual(content);
+		expect(await manager.getMetadata('file')).toEqual({ ...metadata, fileSize: content.length });
+	});
+
+	it('should fail to read truncated files', async () => {
+		await manager.store(location, content, metadata);
+		files.set('file', files.get('file')!.subarray(0, 20));
+
+		await expect(manager.getAsBuffer('file')).rejects.toThrow('truncated');
+	});
+
+	it('should not expose the path of encrypted content', () => {
+		expect(() => manager.getPath('file')).toThrow(EncryptedBinaryDataPathError);
+		expect(inner.getPath).not.toHaveBeenCalled();
+	});
+
+	it('should fail to read files whose content was tampered with', async () => {
+		await manager.store(location, content, metadata);
+		const stored = files.get('file')!;
+		stored[stored.length - 1] ^= 1;
+
+		await expect(manager.getAsBuffer('file')).rejects.toThrow();
+	});
+
+	describe('rotateKey', () => {
+		const previousManager = new EncryptingManager(inner, cipher, 'previous-key');
+		const rotatingManager = new EncryptingManager(inner, cipher, 'current-key', ['previous-key']);
+
+		it('should read files encrypted with a previous key', async () => {
+			await previousManager.store(location, content, metadata);
+
+			expect(await rotatingManager.getAsBuffer('file')).toEqual(content);
+		});
+
+		it('should throw for files encrypted with an unknown key', async () => {
+			await previousManager.store(location, content, metadata);
+
+			await expect(manager.getAsBuffer('file')).rejects.toThrow(UnknownEncryptionKeyError);
+		});
+
+		it('should re-wrap the data key with the current key', async () => {
+			await previousManager.store(location, content, metadata);
+
+			expect(await rotatingManager.rotateKey('file')).toBe(true);
+			expect(await manager.getAsBuffer('file')).toEqual(content);
+		});
+
+		it('should skip files already wrapped with the current key', async () => {
+			await rotatingManager.store(location, content, metadata);
+
+			expect(await rotatingManager.rotateKey('file')).toBe(false);
+			expect(inner.overwrite).not.toHaveBeenCalled();
+		});
+
+		it('should encrypt files stored before encryption was enabled', async () => {
+			files.set('file', content);
+
+			expect(await rotatingManager.rotateKey('file')).toBe(true);
+			expect(files.get('file')).not.toEqual(content);
+			expect(await manager.getAsBuffer('file')).toEqual(content);
+		});
+	});
+});
@@ -223,3 +223,44 @@ describe('rename()', () => {
 		expect(fsp.rename).toHaveBeenCalledWith(`${oldPath}.metadata`, `${newPath}.metadata`);
 	});
 });
+
+describe('overwrite()', () => {
+	it('should replace the content of a file through a temporary file and update its size', async () => {
+		fsp.readFile = jest
+			.fn()
+			.mockResolvedValue(JSON.stringify({ fileSize: 1, mimeType: 'text/plain' }));
+		fsp.writeFile = jest.fn().mockResolvedValue(undefined);
+		fsp.rename = jest.fn().mockResolvedValue(undefined);
+		fsp.stat = jest.fn().mockResolvedValue({ size: mockBuffer.length });
+
+		await fsManager.overwrite(fileId, mockBuffer);
+
+		const filePath = toFullFilePath(fileId);
+		const [tempFilePath] = (fsp.writeFile as jest.Mock).mock.calls[0];
+
+		expect(tempFilePath).toMatch(new RegExp(`^${filePath}\\.[\\w-]+\\.tmp$`));
+		expect(fsp.writeFile).toHaveBeenCalledWith(tempFilePath, mockBuffer);
+		expect(fsp.rename).toHaveBeenCalledWith(tempFilePath, filePath);
+		expect(fsp.writeFile).toHaveBeenCalledWith(
+			`${filePath}.metadata`,
+			JSON.stringify({ fileSize: mockBuffer.length, mimeType: 'text/plain' }),
+			{ encoding: 'utf-8' },
+		);
+	});
+
+	it('should keep the original file if writing fails', async () => {
+		fsp.readFile = jest
+			.fn()
+			.mockResolvedValue(JSON.stringify({ fileSize: 1, mimeType: 'text/plain' }));
+		fsp.writeFile = jest.fn().mockRejectedValue(new Error('Disk full'));
+		fsp.rename = jest.fn();
+		fsp.rm = jest.fn().mockResolvedValue(undefined);
+
+		await expect(fsManager.overwrite(fileId, mockBuffer)).rejects.toThrow('Disk full');
+
+		const [tempFilePath] = (fsp.writeFile as jest.Mock).mock.calls[0];
+
+		expect(fsp.rename).not.toHaveBeenCalled();
+		expect(fsp.rm).toHaveBeenCalledWith(tempFilePath, { force: true });
+	});
+});
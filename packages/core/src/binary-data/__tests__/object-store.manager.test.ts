@@ -127,6 +127,26 @@ describe('copyByFilePath()', () => {
 	});
 });
 
+describe('deleteManyByFileId()', () => {
+	it('should delete each file', async () => {
+		await objectStoreManager.deleteManyByFileId([fileId, otherFileId]);
+
+		expect(objectStoreService.deleteOne).toHaveBeenCalledWith(fileId);
+		expect(objectStoreService.deleteOne).toHaveBeenCalledWith(otherFileId);
+	});
+});
+
+describe('overwrite()', () => {
+	it('should replace the content of a file, keeping its metadata', async () => {
+		const metadata = mock<MetadataResponseHeaders>({ 'content-type': 'text/plain' });
+		objectStoreService.getMetadata.mockResolvedValue(metadata);
+
+		await objectStoreManager.overwrite(fileId, mockBuffer);
+
+		expect(objectStoreService.put).toHaveBeenCalledWith(fileId, mockBuffer, metadata);
+	});
+});
+
 describe('rename()', () => {
 	it('should rename a file', async () => {
 		const promise = objectStoreManager.rename(fileId, otherFileId);
@@ -14,6 +14,10 @@ const availableModesSchema = z
 	.transform((value) => value.split(','))
 	.pipe(binaryDataModesSchema.array());
 
+const previousEncryptionKeysSchema = z
+	.string()
+	.transform((value) => value.split(',').filter((key) => key.length > 0));
+
 const dbMaxFileSizeSchema = z.coerce
 	.number()
 	.max(1024, 'Binary data max file size in `database` mode cannot exceed 1024 MiB'); // because of Postgres BYTEA hard limit
@@ -42,6 +46,27 @@ export class BinaryDataConfig {
 	@Env('N8N_BINARY_DATA_DATABASE_MAX_FILE_SIZE', dbMaxFileSizeSchema)
 	dbMaxFileSize: number = 512;
 
+	/**
+	 * Whether to store each unique binary file only once, identified by a hash
+	 * of its content, and delete it only once no execution references it anymore.
+	 */
+	@Env('N8N_BINARY_DATA_DEDUPLICATION')
+	deduplication: boolean = false;
+
+	/**
+	 * Whether to encrypt binary files at rest, each with its own data key,
+	 * which is in turn encrypted with the instance encryption key.
+	 */
+	@Env('N8N_BINARY_DATA_ENCRYPTION')
+	encryption: boolean = false;
+
+	/**
+	 * Encryption keys the instance used before, as comma separated strings. Binary files
+	 * whose data keys were encrypted with them stay readable until `binary-data:rotate-key`.
+	 */
+	@Env('N8N_BINARY_DATA_PREVIOUS_ENCRYPTION_KEYS', previousEncryptionKeysSchema)
+	previousEncryptionKeys: string[] = [];
+
 	constructor({ encryptionKey, n8nFolder }: InstanceSettings, executionsConfig: ExecutionsConfig) {
 		this.localStoragePath = path.join(n8nFolder, 'binaryData');
 		this.signingSecret = createHash('sha256')
@@ -13,6 +13,7 @@ import { ErrorReporter } from '@/errors';
 import { BinaryDataConfig } from './binary-data.config';
 import type { BinaryData } from './types';
 import { binaryToBuffer } from './utils';
+import { FileSizeMismatchError } from '../errors/file-size-mismatch.error';
 import { InvalidManagerError } from '../errors/invalid-manager.error';
 
 @Service()
@@ -31,6 +32,20 @@ export class BinaryDataService {
 		this.managers[mode] = manager;
 	}
 
+	/**
+	 * Replace every manager with a wrapper around it, e.g. to deduplicate files.
+	 * Modes sharing a manager also share its wrapper.
+	 */
+	wrapManagers(wrap: (mode: string, manager: BinaryData.Manager) => BinaryData.Manager) {
+		const wrappers = new Map<BinaryData.Manager, BinaryData.Manager>();
+
+		for (const [mode, manager] of Object.entries(this.managers)) {
+			const wrapper = wrappers.get(manager) ?? wrap(mode, manager);
+			wrappers.set(manager, wrapper);
+			this.managers[mode] = wrapper;
+		}
+	}
+
 	async init() {
 		const { config } = this;
 
@@ -223,6 +238,53 @@ export class BinaryDataService {
 		await manager.rename(oldFileId, newFileId);
 	}
 
+	/**
+	 * Copy a binary file to the manager of another mode, verifying that the copy
+	 * has the same size as the original. The original is left in place.
+	 *
+	 * @returns Binary data ID of the copy
+	 */
+	async migrate(
+		binaryDataId: string,
+		targetMode: BinaryData.ServiceMode,
+		location: BinaryData.FileLocation,
+	) {
+		const [sourceMode, sourceFileId] = binaryDataId.split(':');
+		const sourceManager = this.getManager(sourceMode);
+		const targetManager = this.getManager(targetMode);
+
+		const { fileName, mimeType, fileSize } = await sourceManager.getMetadata(sourceFileId);
+		const stream = await sourceManager.getAsStream(sourceFileId);
+
+		const { fileId, fileSize: copiedFileSize } = await targetManager.store(location, stream, {
+			fileName,
+			mimeType,
+		});
+
+		if (copiedFileSize !== fileSize) {
+			await targetManager.deleteManyByFileId?.([fileId]);
+
+			throw new FileSizeMismatchError({
+				binaryDataId,
+				expectedSize: fileSize,
+				actualSize: copiedFileSize,
+			});
+		}
+
+		return `${targetMode}:${fileId}`;
+	}
+
+	/**
+	 * Re-wrap the data key of an encrypted binary file with the current encryption key.
+	 *
+	 * @returns Whether the file had to be re-wrapped
+	 */
+	async rotateKey(binaryDataId: string) {
+		const [mode, fileId] = binaryDataId.split(':');
+
+		return (await this.getManager(mode).rotateKey?.(fileId)) ?? false;
+	}
+
 	// ----------------------------------
 	//         private methods
 	// ----------------------------------
@@ -0,0 +1,349 @@
+import { UnexpectedError } from 'n8n-workflow';
+import type { DecipherGCM } from 'node:crypto';
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { Readable } from 'node:stream';
+
+import type { Cipher } from '@/encryption';
+import { EncryptedBinaryDataPathError } from '@/errors/encrypted-binary-data-path.error';
+import { UnknownEncryptionKeyError } from '@/errors/unknown-encryption-key.error';
+
+import type { BinaryData } from './types';
+import { streamToBuffer } from './utils';
+
+/** Marks the start of an encrypted binary file, followed by the version of its format */
+const MAGIC = Buffer.from('n8nbde');
+
+const VERSION = 1;
+
+const KEY_ID_LENGTH = 8;
+
+const IV_LENGTH = 12;
+
+const AUTH_TAG_LENGTH = 16;
+
+/** Magic bytes, version, key ID and length of the wrapped data key */
+const PREFIX_LENGTH = MAGIC.length + 1 + KEY_ID_LENGTH + 2;
+
+type Header = {
+	keyId: Buffer;
+	wrappedKey: string;
+	iv: Buffer;
+};
+
+/**
+ * Wraps a binary data manager to encrypt files at rest with envelope encryption.
+ * Each file is encrypted with AES-256-GCM under its own random data key, which is
+ * stored alongside the file, encrypted with the instance encryption key.
+ *
+ * Encrypted files start with a header naming the key their data key was encrypted
+ * with, so that files remain readable after a key rotation until they are re-wrapped.
+ * The authentication tag follows the ciphertext, so that files are encrypted and
+ * decrypted while streamed. Tampering is detected once a file was read to the end,
+ * by its stream failing. Files stored before encryption was enabled are passed through.
+ *
+ * Encrypted files have no readable path, so `getPath` throws.
+ */
+export class EncryptingManager implements BinaryData.Manager {
+	private readonly keys: Map<string, string>;
+
+	private readonly currentKeyId: Buffer;
+
+	constructor(
+		private readonly manager: BinaryData.Manager,
+		private readonly cipher: Cipher,
+		private readonly encryptionKey: string,
+		previousEncryptionKeys: string[] = [],
+	) {
+		this.currentKeyId = this.toKeyId(encryptionKey);
+		this.keys = new Map(
+			[encryptionKey, ...previousEncryptionKeys].map((key) => [
+				this.toKeyId(key).toString('hex'),
+				key,
+			]),
+		);
+	}
+
+	async init() {
+		await this.manager.init();
+	}
+
+	async store(
+		location: BinaryData.FileLocation,
+		bufferOrStream: Buffer | Readable,
+		metadata: BinaryData.PreWriteMetadata,
+	) {
+		const { stream, overhead } = this.encrypt(bufferOrStream);
+
+		const { fileId, fileSize } = await this.manager.store(location, stream, metadata);
+
+		return { fileId, fileSize: fileSize - overhead };
+	}
+
+	getPath(fileId: string): string {
+		throw new EncryptedBinaryDataPathError(fileId);
+	}
+
+	async getAsBuffer(fileId: string) {
+		return await streamToBuffer(await this.getAsStream(fileId));
+	}
+
+	async getAsStream(fileId: string, chunkSize?: number) {
+		return Readable.from(this.decrypt(fileId, await this.manager.getAsStream(fileId, chunkSize)));
+	}
+
+	async getMetadata(fileId: string): Promise<BinaryData.Metadata> {
+		const metadata = await this.manager.getMetadata(fileId);
+		const header = await this.readHeader(fileId);
+
+		if (!header) return metadata;
+
+		return { ...metadata, fileSize: metadata.fileSize - header.length - AUTH_TAG_LENGTH };
+	}
+
+	async deleteMany(locations: BinaryData.FileLocation[]) {
+		await this.manager.deleteMany?.(locations);
+	}
+
+	async deleteManyByFileId(ids: string[]) {
+		await this.manager.deleteManyByFileId?.(ids);
+	}
+
+	async copyByFileId(targetLocation: BinaryData.FileLocation, sourceFileId: string) {
+		// copies share the data key of their source
+		return await this.manager.copyByFileId(targetLocation, sourceFileId);
+	}
+
+	async copyByFilePath(
+		targetLocation: BinaryData.FileLocation,
+		sourcePath: string,
+		metadata: BinaryData.PreWriteMetadata,
+	) {
+		return await this.store(targetLocation, createReadStream(sourcePath), metadata);
+	}
+
+	async rename(oldFileId: string, newFileId: string) {
+		await this.manager.rename(oldFileId, newFileId);
+	}
+
+	async overwrite(fileId: string, bufferOrStream: Buffer | Readable) {
+		await this.manager.overwrite?.(fileId, this.encrypt(bufferOrStream).stream);
+	}
+
+	async rotateKey(fileId: string) {
+		if (!this.manager.overwrite) return false;
+
+		const header = await this.readHeader(fileId);
+
+		if (!header) {
+			const stream = await this.manager.getAsStream(fileId);
+			await this.manager.overwrite(fileId, this.encrypt(stream).stream);
+			return true;
+		}
+
+		if (header.keyId.equals(this.currentKeyId)) return false;
+
+		const dataKey = this.unwrapKey(fileId, header);
+		const rewrapped = this.serializeHeader({
+			...header,
+			keyId: this.currentKeyId,
+			wrappedKey: this.wrapKey(dataKey),
+		});
+		const stream = await this.manager.getAsStream(fileId);
+
+		await this.manager.overwrite(
+			fileId,
+			Readable.from(this.replaceHeader(stream, header.length, rewrapped)),
+		);
+
+		return true;
+	}
+
+	// ----------------------------------
+	//         private methods
+	// ----------------------------------
+
+	private encrypt(content: Buffer | Readable) {
+		const dataKey = randomBytes(32);
+		const iv = randomBytes(IV_LENGTH);
+		const cipher = createCipheriv('aes-256-gcm', dataKey, iv);
+		const header = this.serializeHeader({
+			keyId: this.currentKeyId,
+			wrappedKey: this.wrapKey(dataKey),
+			iv,
+		});
+
+		async function* encrypted() {
+			yield header;
+
+			for await (const chunk of Buffer.isBuffer(content) ? [content] : content) {
+				yield cipher.update(chunk as Buffer);
+			}
+
+			yield cipher.final();
+			yield cipher.getAuthTag();
+		}
+
+		return { stream: Readable.from(encrypted()), overhead: header.length + AUTH_TAG_LENGTH };
+	}
+
+	/**
+	 * Decrypt a file while it is read, holding back the last bytes read,
+	 * as they may be the authentication tag.
+	 */
+	private async *decrypt(fileId: string, source: AsyncIterable<Buffer>) {
+		let pending = Buffer.alloc(0);
+		let decipher: DecipherGCM | undefined;
+		let isPlain = false;
+
+		for await (const chunk of source) {
+			if (isPlain) {
+				yield chunk;
+				continue;
+			}
+
+			pending = Buffer.concat([pending, chunk]);
+
+			if (!decipher) {
+				if (pending.length < PREFIX_LENGTH) continue;
+
+				if (!this.isEncrypted(pending)) {
+					isPlain = true;
+					yield pending;
+					continue;
+				}
+
+				const header = this.parseHeader(pending);
+
+				if (!header) continue;
+
+				decipher = createDecipheriv('aes-256-gcm', this.unwrapKey(fileId, header), header.iv);
+				pending = pending.subarray(header.length);
+			}
+
+			if (pending.length > AUTH_TAG_LENGTH) {
+				yield decipher.update(pending.subarray(0, pending.length - AUTH_TAG_LENGTH));
+				pending = pending.subarray(pending.length - AUTH_TAG_LENGTH);
+			}
+		}
+
+		if (isPlain) return;
+
+		if (!decipher) {
+			if (this.isEncrypted(pending))
+				throw new UnexpectedError(`Binary file ${fileId} is truncated`);
+
+			yield pending; // shorter than a header, so never encrypted
+			return;
+		}
+
+		decipher.setAuthTag(pending);
+
+		yield decipher.final();
+	}
+
+	/** Replace the header of an encrypted file while it is streamed. */
+	private async *replaceHeader(source: AsyncIterable<Buffer>, oldLength: number, header: Buffer) {
+		let toSkip = oldLength;
+
+		yield header;
+
+		for await (const chunk of source) {
+			if (toSkip >= chunk.length) {
+				toSkip -= chunk.length;
+				continue;
+			}
+
+			yield chunk.subarray(toSkip);
+			toSkip = 0;
+		}
+	}
+
+	private wrapKey(dataKey: Buffer) {
+		return this.cipher.encrypt(dataKey.toString('base64'), this.encryptionKey);
+	}
+
+	private unwrapKey(fileId: string, { keyId, wrappedKey }: Header) {
+		const encryptionKey = this.keys.get(keyId.toString('hex'));
+
+		if (!encryptionKey) throw new UnknownEncryptionKeyError(fileId);
+
+		return Buffer.from(this.cipher.decrypt(wrappedKey, encryptionKey), 'base64');
+	}
+
+	private isEncrypted(buffer: Buffer) {
+		return (
+			buffer.length >= PREFIX_LENGTH &&
+			buffer.subarray(0, MAGIC.length).equals(MAGIC) &&
+			buffer[MAGIC.length] === VERSION
+		);
+	}
+
+	private serializeHeader({ keyId, wrappedKey, iv }: Header) {
+		const wrappedKeyLength = Buffer.alloc(2);
+		wrappedKeyLength.writeUInt16BE(Buffer.byteLength(wrappedKey));
+
+		return Buffer.concat([
+			MAGIC,
+			Buffer.from([VERSION]),
+			keyId,
+			wrappedKeyLength,
+			Buffer.from(wrappedKey),
+			iv,
+		]);
+	}
+
+	/**
+	 * Parse the header at the start of an encrypted file.
+	 *
+	 * @returns undefined if the buffer does not hold the whole header yet
+	 */
+	private parseHeader(buffer: Buffer): (Header & { length: number }) | undefined {
+		const wrappedKeyLength = buffer.readUInt16BE(PREFIX_LENGTH - 2);
+		const length = PREFIX_LENGTH + wrappedKeyLength + IV_LENGTH;
+
+		if (buffer.length < length) return undefined;
+
+		return {
+			keyId: buffer.subarray(MAGIC.length + 1, MAGIC.length + 1 + KEY_ID_LENGTH),
+			wrappedKey: buffer.subarray(PREFIX_LENGTH, PREFIX_LENGTH + wrappedKeyLength).toString(),
+			iv: buffer.subarray(PREFIX_LENGTH + wrappedKeyLength, length),
+			length,
+		};
+	}
+
+	/**
+	 * Read only as much of a file as needed to parse its header.
+	 *
+	 * @returns undefined if the file is not encrypted
+	 */
+	private async readHeader(fileId: string) {
+		const stream = await this.manager.getAsStream(fileId);
+		let buffer = Buffer.alloc(0);
+
+		try {
+			for await (const chunk of stream) {
+				buffer = Buffer.concat([buffer, chunk as Buffer]);
+
+				if (buffer.length < PREFIX_LENGTH) continue;
+
+				if (!this.isEncrypted(buffer)) return undefined;
+
+				const header = this.parseHeader(buffer);
+
+				if (header) return header;
+			}
+		} finally {
+			stream.destroy();
+		}
+
+		return undefined;
+	}
+
+	private toKeyId(encryptionKey: string) {
+		return createHash('sha256')
+			.update(`binary-data:${encryptionKey}`)
+			.digest()
+			.subarray(0, KEY_ID_LENGTH);
+	}
+}
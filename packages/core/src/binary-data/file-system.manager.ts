@@ -138,6 +138,23 @@ export class FileSystemManager implements BinaryData.Manager {
 		await fs.rm(tempDir, { recursive: true });
 	}
 
+	/** Write to a temporary file first, so that the file is never left half-written. */
+	async overwrite(fileId: string, bufferOrStream: Buffer | Readable) {
+		const metadata = await this.getMetadata(fileId);
+		const filePath = this.resolvePath(fileId);
+		const tempFilePath = `${filePath}.${uuid()}.tmp`;
+
+		try {
+			await fs.writeFile(tempFilePath, bufferOrStream);
+			await fs.rename(tempFilePath, filePath);
+		} catch (error) {
+			await fs.rm(tempFilePath, { force: true });
+			throw error;
+		}
+
+		await this.storeMetadata(fileId, { ...metadata, fileSize: await this.getSize(fileId) });
+	}
+
 	async deleteManyByFileId(ids: string[]): Promise<void> {
 		const parsedIds = ids.flatMap((id) => {
 			try {
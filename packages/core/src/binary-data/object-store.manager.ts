@@ -81,6 +81,19 @@ export class ObjectStoreManager implements BinaryData.Manager {
 		return { fileId: targetFileId, fileSize: sourceFile.length };
 	}
 
+	async deleteManyByFileId(ids: string[]) {
+		for (const id of ids) {
+			await this.objectStoreService.deleteOne(id);
+		}
+	}
+
+	async overwrite(fileId: string, bufferOrStream: Buffer | Readable) {
+		const metadata = await this.objectStoreService.getMetadata(fileId);
+		const buffer = await binaryToBuffer(bufferOrStream);
+
+		await this.objectStoreService.put(fileId, buffer, metadata);
+	}
+
 	async rename(oldFileId: string, newFileId: string) {
 		const oldFile = await this.objectStoreService.get(oldFileId, { mode: 'buffer' });
 		const oldFileMetadata = await this.objectStoreService.getMetadata(oldFileId);
@@ -66,6 +66,15 @@ export namespace BinaryData {
 		): Promise<WriteResult>;
 
 		rename(oldFileId: string, newFileId: string): Promise<void>;
+
+		/** Replace the content of a stored file, keeping its ID and metadata */
+		overwrite?(fileId: string, bufferOrStream: Buffer | Readable): Promise<void>;
+
+		/**
+		 * Re-wrap the data key of an encrypted file with the current encryption key.
+		 * Returns whether the file had to be re-wrapped.
+		 */
+		rotateKey?(fileId: string): Promise<boolean>;
 	}
 
 	export type SigningPayload = {
@@ -0,0 +1,9 @@
+import { BinaryDataError } from './abstract/binary-data.error';
+
+export class EncryptedBinaryDataPathError extends BinaryDataError {
+	constructor(fileId: string) {
+		super(
+			`Binary file ${fileId} is encrypted at rest and has no readable path. Read it as a stream instead.`,
+		);
+	}
+}
@@ -0,0 +1,17 @@
+import { BinaryDataError } from './abstract/binary-data.error';
+
+export class FileSizeMismatchError extends BinaryDataError {
+	constructor({
+		binaryDataId,
+		expectedSize,
+		actualSize,
+	}: {
+		binaryDataId: string;
+		expectedSize: number;
+		actualSize: number;
+	}) {
+		super(
+			`Copy of binary file ${binaryDataId} has a size of ${actualSize} bytes instead of ${expectedSize} bytes`,
+		);
+	}
+}
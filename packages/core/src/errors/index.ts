@@ -1,11 +1,14 @@
 export { BinaryDataFileNotFoundError } from './binary-data-file-not-found.error';
 export { FileNotFoundError } from './file-not-found.error';
+export { FileSizeMismatchError } from './file-size-mismatch.error';
 export { FileTooLargeError } from './file-too-large.error';
 export { DisallowedFilepathError } from './disallowed-filepath.error';
+export { EncryptedBinaryDataPathError } from './encrypted-binary-data-path.error';
 export { InvalidManagerError } from './invalid-manager.error';
 export { InvalidExecutionMetadataError } from './invalid-execution-metadata.error';
 export { InvalidSourceTypeError } from './invalid-source-type.error';
 export { MissingSourceIdError } from './missing-source-id.error';
+export { UnknownEncryptionKeyError } from './unknown-encryption-key.error';
 export { UnrecognizedCredentialTypeError } from './unrecognized-credential-type.error';
 export { UnrecognizedNodeTypeError } from './unrecognized-node-type.error';
 
@@ -0,0 +1,9 @@
+import { BinaryDataError } from './abstract/binary-data.error';
+
+export class UnknownEncryptionKeyError extends BinaryDataError {
+	constructor(fileId: string) {
+		super(
+			`Binary file ${fileId} was encrypted with a key that is neither the instance encryption key nor one of \`N8N_BINARY_DATA_PREVIOUS_ENCRYPTION_KEYS\``,
+		);
+	}
+}
@@ -6,6 +6,9 @@ export const DATA_TYPE_ICON_MAP = {
 	['number']: 'hash',
 	['boolean']: 'square-check',
 	date: 'calendar',
+	text: 'text',
+	json: 'json',
+	enum: 'list-checks',
 	array: 'list',
 	object: 'box',
 	file: 'file',
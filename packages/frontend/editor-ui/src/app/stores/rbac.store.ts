@@ -50,6 +50,7 @@ export const useRBACStore = defineStore(STORES.RBAC, () => {
 		breakingChanges: {},
 		apiKey: {},
 		credentialResolver: {},
+		executionRetention: {},
 	});
 
 	function addGlobalRole(role: Role) {
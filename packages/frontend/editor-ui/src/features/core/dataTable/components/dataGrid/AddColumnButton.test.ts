@@ -400,6 +400,40 @@ describe('AddColumnButton', () => {
 			expect(getByText('number')).toBeInTheDocument();
 			expect(getByText('boolean')).toBeInTheDocument();
 			expect(getByText('datetime')).toBeInTheDocument();
+			expect(getByText('text')).toBeInTheDocument();
+			expect(getByText('json')).toBeInTheDocument();
+			expect(getByText('enum')).toBeInTheDocument();
+		});
+	});
+
+	it('should require allowed values for enum columns', async () => {
+		const { getByTestId, getByRole, getByText, queryByTestId } = renderComponent();
+		const addButton = getByTestId('data-table-add-column-trigger-button');
+
+		await fireEvent.click(addButton);
+
+		await waitFor(() => {
+			expect(getByTestId('add-column-popover-content')).toBeInTheDocument();
+		});
+
+		expect(queryByTestId('add-column-enum-values-input')).not.toBeInTheDocument();
+
+		const nameInput = getByTestId('add-column-name-input');
+		(nameInput as HTMLInputElement).value = 'status';
+		await fireEvent.input(nameInput);
+
+		const selectElement = getByRole('combobox');
+		await fireEvent.click(selectElement);
+
+		await waitFor(() => {
+			expect(getByText('enum')).toBeInTheDocument();
+		});
+
+		await fireEvent.click(getByText('enum'));
+
+		await waitFor(() => {
+			expect(getByTestId('add-column-enum-values-input')).toBeInTheDocument();
+			expect(getByTestId('data-table-add-column-submit-button')).toBeDisabled();
 		});
 	});
 
@@ -3,6 +3,7 @@ import {
 	ClientSideRowModelModule,
 	TextEditorModule,
 	LargeTextEditorModule,
+	SelectEditorModule,
 	ColumnAutoSizeModule,
 	CheckboxEditorModule,
 	NumberEditorModule,
@@ -31,6 +32,7 @@ export const registerAgGridModulesOnce = () => {
 		ClientSideRowModelModule,
 		TextEditorModule,
 		LargeTextEditorModule,
+		SelectEditorModule,
 		ColumnAutoSizeModule,
 		CheckboxEditorModule,
 		NumberEditorModule,
@@ -41,12 +41,14 @@ vi.mock('@/features/core/dataTable/utils/columnUtils', () => ({
 	createCellRendererSelector: vi.fn(),
 	createStringValueSetter: vi.fn(),
 	stringCellEditorParams: {},
+	textCellEditorParams: {},
 	dateValueFormatter: vi.fn(),
 	numberValueFormatter: vi.fn(),
 	getStringColumnFilterOptions: vi.fn(() => []),
 	getDateColumnFilterOptions: vi.fn(() => []),
 	getNumberColumnFilterOptions: vi.fn(() => []),
 	getBooleanColumnFilterOptions: vi.fn(() => []),
+	getJsonColumnFilterOptions: vi.fn(() => []),
 }));
 
 describe('useDataTableColumns', () => {
@@ -105,6 +107,33 @@ describe('useDataTableColumns', () => {
 			expect(colDef.cellEditorPopupPosition).toBe('over');
 		});
 
+		it('should create text and json columns with text editor', () => {
+			const { createColumnDef } = createComposable();
+
+			for (const type of ['text', 'json'] as const) {
+				const colDef = createColumnDef({ id: 'col1', name: 'Column', type, index: 0 });
+
+				expect(colDef.cellEditor).toBe('agLargeTextCellEditor');
+				expect(colDef.cellEditorPopup).toBe(true);
+			}
+		});
+
+		it('should create enum column with select editor of allowed values', () => {
+			const { createColumnDef } = createComposable();
+			const column: DataTableColumn = {
+				id: 'col1',
+				name: 'Status',
+				type: 'enum',
+				enumValues: ['open', 'closed'],
+				index: 0,
+			};
+
+			const colDef = createColumnDef(column);
+
+			expect(colDef.cellEditor).toBe('agSelectCellEditor');
+			expect(colDef.cellEditorParams).toEqual({ values: ['open', 'closed'] });
+		});
+
 		it('should create date column with custom editor', () => {
 			const { createColumnDef } = createComposable();
 			const column: DataTableColumn = {
@@ -25,12 +25,14 @@ import {
 	createCellRendererSelector,
 	createStringValueSetter,
 	stringCellEditorParams,
+	textCellEditorParams,
 	dateValueFormatter,
 	numberValueFormatter,
 	getStringColumnFilterOptions,
 	getDateColumnFilterOptions,
 	getNumberColumnFilterOptions,
 	getBooleanColumnFilterOptions,
+	getJsonColumnFilterOptions,
 } from '@/features/core/dataTable/utils/columnUtils';
 import { useI18n } from '@n8n/i18n';
 import { GRID_FILTER_CONFIG } from '@/features/core/dataTable/utils/filterMappings';
@@ -76,11 +78,22 @@ export const useDataTableColumns = ({
 			width: DEFAULT_COLUMN_WIDTH,
 		};
 
-		if (col.type === 'string') {
+		if (col.type === 'string' || col.type === 'text' || col.type === 'json') {
 			columnDef.cellEditor = 'agLargeTextCellEditor';
 			columnDef.cellEditorPopup = true;
 			columnDef.cellEditorPopupPosition = 'over';
-			columnDef.cellEditorParams = stringCellEditorParams;
+			columnDef.cellEditorParams =
+				col.type === 'string' ? stringCellEditorParams : textCellEditorParams;
+			columnDef.valueSetter = createStringValueSetter(col, isTextEditorOpen);
+			columnDef.filterParams = {
+				filterOptions:
+					col.type === 'json'
+						? getJsonColumnFilterOptions(i18n)
+						: getStringColumnFilterOptions(i18n),
+			};
+		} else if (col.type === 'enum') {
+			columnDef.cellEditor = 'agSelectCellEditor';
+			columnDef.cellEditorParams = { values: col.enumValues ?? [] };
 			columnDef.valueSetter = createStringValueSetter(col, isTextEditorOpen);
 			columnDef.filterParams = {
 				filterOptions: getStringColumnFilterOptions(i18n),
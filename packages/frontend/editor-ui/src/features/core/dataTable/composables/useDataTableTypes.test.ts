@@ -21,6 +21,12 @@ describe('useDataTableTypes', () => {
 		it('should return correct icon for date type', () => {
 			expect(getIconForType('date')).toBe('calendar');
 		});
+
+		it('should return correct icons for text, json and enum types', () => {
+			expect(getIconForType('text')).toBe('text');
+			expect(getIconForType('json')).toBe('json');
+			expect(getIconForType('enum')).toBe('list-checks');
+		});
 	});
 
 	describe('mapToAGCellType', () => {
@@ -39,6 +45,12 @@ describe('useDataTableTypes', () => {
 		it('should map date to date', () => {
 			expect(mapToAGCellType('date')).toBe('date');
 		});
+
+		it('should map text, json and enum to text', () => {
+			expect(mapToAGCellType('text')).toBe('text');
+			expect(mapToAGCellType('json')).toBe('text');
+			expect(mapToAGCellType('enum')).toBe('text');
+		});
 	});
 
 	describe('mapToDataTableColumnType', () => {
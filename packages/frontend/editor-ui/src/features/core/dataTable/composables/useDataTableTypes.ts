@@ -10,16 +10,21 @@ export const useDataTableTypes = () => {
 
 	/**
 	 * Maps a DataTableColumnType to an AGGridCellType.
-	 * For now the only mismatch is our 'string' type,
-	 * which needs to be mapped manually.
+	 * Our 'string', 'text' and 'enum' types are all edited as text,
+	 * and so are 'json' values, which are edited as JSON strings.
 	 * @param colType The DataTableColumnType to map.
 	 * @returns The corresponding AGGridCellType.
 	 */
 	const mapToAGCellType = (colType: DataTableColumnType): AGGridCellType => {
-		if (colType === 'string') {
-			return 'text';
+		switch (colType) {
+			case 'string':
+			case 'text':
+			case 'enum':
+			case 'json':
+				return 'text';
+			default:
+				return colType;
 		}
-		return colType;
 	};
 
 	const mapToDataTableColumnType = (colType: AGGridCellType): DataTableColumnType => {
@@ -12,7 +12,15 @@ export type DataTable = {
 };
 
 // Single sources of truth for supported types
-export const DATA_TABLE_COLUMN_TYPES = ['string', 'number', 'boolean', 'date'] as const;
+export const DATA_TABLE_COLUMN_TYPES = [
+	'string',
+	'number',
+	'boolean',
+	'date',
+	'text',
+	'json',
+	'enum',
+] as const;
 export type DataTableColumnType = (typeof DATA_TABLE_COLUMN_TYPES)[number];
 
 export const AG_GRID_CELL_TYPES = [
@@ -29,10 +37,12 @@ export type DataTableColumn = {
 	id: string;
 	name: string;
 	type: DataTableColumnType;
+	/** Allowed values of `enum` columns */
+	enumValues?: string[] | null;
 	index: number;
 };
 
-export type DataTableColumnCreatePayload = Pick<DataTableColumn, 'name' | 'type'>;
+export type DataTableColumnCreatePayload = Pick<DataTableColumn, 'name' | 'type' | 'enumValues'>;
 
 export type DataTableValue = string | number | boolean | Date | null;
 
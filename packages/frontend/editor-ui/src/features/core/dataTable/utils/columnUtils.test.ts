@@ -9,6 +9,7 @@ import type {
 } from 'ag-grid-community';
 import { ref } from 'vue';
 import type { I18nClass } from '@n8n/i18n';
+import { DATA_TABLE_STRING_VALUE_MAX_LENGTH } from '@n8n/api-types';
 import type { DataTableColumn, DataTableRow } from '@/features/core/dataTable/dataTable.types';
 import {
 	getCellClass,
@@ -16,12 +17,14 @@ import {
 	createCellRendererSelector,
 	createStringValueSetter,
 	stringCellEditorParams,
+	textCellEditorParams,
 	dateValueFormatter,
 	numberValueFormatter,
 	getStringColumnFilterOptions,
 	getBooleanColumnFilterOptions,
 	getNumberColumnFilterOptions,
 	getDateColumnFilterOptions,
+	getJsonColumnFilterOptions,
 } from './columnUtils';
 import { ADD_ROW_ROW_ID, NULL_VALUE, EMPTY_VALUE } from '@/features/core/dataTable/constants';
 import NullEmptyCellRenderer from '@/features/core/dataTable/components/dataGrid/NullEmptyCellRenderer.vue';
@@ -115,6 +118,16 @@ describe('columnUtils', () => {
 			const getter = createValueGetter(col);
 			expect(getter(params)).toBe(date);
 		});
+
+		it('should convert values of json columns to JSON strings', () => {
+			const col: DataTableColumn = { id: 'col1', name: 'payload', type: 'json', index: 0 };
+			const params = {
+				data: { payload: { city: 'Berlin' } },
+			} as unknown as ValueGetterParams<DataTableRow>;
+
+			const getter = createValueGetter(col);
+			expect(getter(params)).toBe('{"city":"Berlin"}');
+		});
 	});
 
 	describe('createCellRendererSelector', () => {
@@ -244,7 +257,7 @@ describe('columnUtils', () => {
 			const result = stringCellEditorParams(params);
 			expect(result).toEqual({
 				value: 'test',
-				maxLength: 999999999,
+				maxLength: DATA_TABLE_STRING_VALUE_MAX_LENGTH,
 			});
 		});
 
@@ -256,7 +269,7 @@ describe('columnUtils', () => {
 			const result = stringCellEditorParams(params);
 			expect(result).toEqual({
 				value: '',
-				maxLength: 999999999,
+				maxLength: DATA_TABLE_STRING_VALUE_MAX_LENGTH,
 			});
 		});
 
@@ -268,7 +281,7 @@ describe('columnUtils', () => {
 			const result = stringCellEditorParams(params);
 			expect(result).toEqual({
 				value: '',
-				maxLength: 999999999,
+				maxLength: DATA_TABLE_STRING_VALUE_MAX_LENGTH,
 			});
 		});
 	});
@@ -341,6 +354,20 @@ describe('columnUtils', () => {
 		});
 	});
 
+	describe('textCellEditorParams', () => {
+		it('should not limit the length of text values', () => {
+			const params = {
+				value: 'test',
+			} as CellEditRequestEvent<DataTableRow>;
+
+			const result = textCellEditorParams(params);
+			expect(result).toEqual({
+				value: 'test',
+				maxLength: 999999999,
+			});
+		});
+	});
+
 	describe('getStringColumnFilterOptions', () => {
 		it('should return array of filter options', () => {
 			const options = getStringColumnFilterOptions(mockI18n);
@@ -349,6 +376,14 @@ describe('columnUtils', () => {
 		});
 	});
 
+	describe('getJsonColumnFilterOptions', () => {
+		it('should only return null filter options', () => {
+			const options = getJsonColumnFilterOptions(mockI18n);
+
+			expect(options.map((option) => option.displayKey)).toEqual(['null', 'notNull']);
+		});
+	});
+
 	describe('getBooleanColumnFilterOptions', () => {
 		it('should return array of filter options', () => {
 			const options = getBooleanColumnFilterOptions(mockI18n);
@@ -8,6 +8,7 @@ import type {
 } from 'ag-grid-community';
 import type { Ref } from 'vue';
 import { DateTime } from 'luxon';
+import { DATA_TABLE_STRING_VALUE_MAX_LENGTH } from '@n8n/api-types';
 import type { I18nClass } from '@n8n/i18n';
 import type { DataTableColumn, DataTableRow } from '@/features/core/dataTable/dataTable.types';
 import {
@@ -42,6 +43,13 @@ export const createValueGetter =
 				return new Date(value);
 			}
 		}
+		if (col.type === 'json') {
+			// JSON values are edited as JSON strings, the back-end parses them
+			const value: unknown = params.data?.[col.name];
+			if (typeof value === 'object') {
+				return JSON.stringify(value);
+			}
+		}
 		return params.data?.[col.name];
 	};
 
@@ -96,6 +104,13 @@ export const createStringValueSetter =
 
 export const stringCellEditorParams = (
 	params: CellEditRequestEvent<DataTableRow>,
+): { value: string; maxLength: number } => ({
+	value: (params.value as string | null | undefined) ?? '',
+	maxLength: DATA_TABLE_STRING_VALUE_MAX_LENGTH,
+});
+
+export const textCellEditorParams = (
+	params: CellEditRequestEvent<DataTableRow>,
 ): { value: string; maxLength: number } => ({
 	value: (params.value as string | null | undefined) ?? '',
 	maxLength: 999999999,
@@ -228,6 +243,12 @@ export const getNumberColumnFilterOptions = (i18n: I18nClass) => [
 	createNotNullFilterOption(i18n),
 ];
 
+// JSON columns can only be filtered on being null, as the grid has no way to filter on paths
+export const getJsonColumnFilterOptions = (i18n: I18nClass) => [
+	createNullFilterOption(i18n),
+	createNotNullFilterOption(i18n),
+];
+
 export const getBooleanColumnFilterOptions = (i18n: I18nClass) => [
 	'empty',
 	{
@@ -1,9 +1,14 @@
 import type { INodeProperties } from 'n8n-workflow';
 import {
+	LOGSTREAMING_BATCH_DEFAULT_FLUSH_INTERVAL_MS,
+	LOGSTREAMING_BATCH_DEFAULT_SIZE,
 	LOGSTREAMING_CB_DEFAULT_FAILURE_WINDOW_MS,
 	LOGSTREAMING_CB_DEFAULT_MAX_FAILURES,
 	LOGSTREAMING_DEFAULT_MAX_FREE_SOCKETS,
 	LOGSTREAMING_DEFAULT_MAX_SOCKETS,
+	LOGSTREAMING_RETRY_DEFAULT_INITIAL_DELAY_MS,
+	LOGSTREAMING_RETRY_DEFAULT_MAX_ATTEMPTS,
+	LOGSTREAMING_RETRY_DEFAULT_MAX_DELAY_MS,
 } from '@n8n/constants';
 
 export const circuitBreakerOptions = {
@@ -40,6 +45,48 @@ export const circuitBreakerOptions = {
 	],
 };
 
+export const retryOptions = {
+	displayName: 'Retry Options',
+	name: 'retry',
+	type: 'collection',
+	placeholder: 'Add Retry Option',
+	description:
+		'Failed events are retried with exponential backoff. Events that still fail after the last attempt are kept as dead letters, which can be inspected and replayed.',
+	default: {},
+	options: [
+		{
+			displayName: 'Max Attempts',
+			name: 'maxAttempts',
+			type: 'number',
+			typeOptions: {
+				minValue: 1,
+			},
+			default: LOGSTREAMING_RETRY_DEFAULT_MAX_ATTEMPTS,
+			description: 'How often to try sending an event before it is dead-lettered',
+		},
+		{
+			displayName: 'Initial Delay',
+			name: 'initialDelay',
+			type: 'number',
+			typeOptions: {
+				minValue: 0,
+			},
+			default: LOGSTREAMING_RETRY_DEFAULT_INITIAL_DELAY_MS,
+			description: 'Delay in milliseconds before the first retry. Doubles with every retry.',
+		},
+		{
+			displayName: 'Max Delay',
+			name: 'maxDelay',
+			type: 'number',
+			typeOptions: {
+				minValue: 0,
+			},
+			default: LOGSTREAMING_RETRY_DEFAULT_MAX_DELAY_MS,
+			description: 'Upper limit in milliseconds for the delay between retries',
+		},
+	],
+};
+
 export const webhookModalDescription = [
 	{
 		displayName: 'Method',
@@ -481,6 +528,7 @@ export const webhookModalDescription = [
 		],
 	},
 	circuitBreakerOptions,
+	retryOptions,
 ] as INodeProperties[];
 
 export const syslogModalDescription = [
@@ -539,6 +587,41 @@ export const syslogModalDescription = [
 		default: '',
 		description: 'The CA certificate to use for TLS connections',
 	},
+	{
+		displayName: 'Framing',
+		name: 'framing',
+		type: 'options',
+		options: [
+			{
+				name: 'Non-Transparent (Newline)',
+				value: 'non-transparent',
+			},
+			{
+				name: 'Octet Counting (RFC 6587)',
+				value: 'octet-counting',
+			},
+		],
+		displayOptions: {
+			show: {
+				protocol: ['tcp', 'tls'],
+			},
+		},
+		default: 'non-transparent',
+		description: 'How messages are delimited on the connection',
+	},
+	{
+		displayName: 'Spill Buffer to Disk',
+		name: 'spillBufferToDisk',
+		type: 'boolean',
+		displayOptions: {
+			show: {
+				protocol: ['tcp', 'tls'],
+			},
+		},
+		default: false,
+		description:
+			'Whether to write events to disk when the in-memory buffer is full while the connection is down, so they are replayed after a restart',
+	},
 	{
 		displayName: 'Facility',
 		name: 'facility',
@@ -570,7 +653,39 @@ export const syslogModalDescription = [
 		noDataExpression: true,
 		description: 'Syslog app name parameter',
 	},
+	{
+		displayName: 'Structured Data ID',
+		name: 'structuredDataId',
+		type: 'string',
+		default: '',
+		placeholder: 'n8n@32473',
+		noDataExpression: true,
+		description:
+			'SD-ID of the RFC 5424 structured data element to send event fields in. Leave empty to send no structured data.',
+	},
+	{
+		displayName: 'Structured Data Fields',
+		name: 'structuredDataFields',
+		type: 'multiOptions',
+		options: [
+			{ name: 'Execution ID', value: 'executionId' },
+			{ name: 'Node Name', value: 'nodeName' },
+			{ name: 'Node Type', value: 'nodeType' },
+			{ name: 'User Email', value: 'userEmail' },
+			{ name: 'User ID', value: 'userId' },
+			{ name: 'Workflow ID', value: 'workflowId' },
+			{ name: 'Workflow Name', value: 'workflowName' },
+		],
+		displayOptions: {
+			hide: {
+				structuredDataId: [''],
+			},
+		},
+		default: ['workflowId', 'executionId', 'userId'],
+		description: 'Event payload fields to send as params of the structured data element',
+	},
 	circuitBreakerOptions,
+	retryOptions,
 ] as INodeProperties[];
 
 export const sentryModalDescription = [
@@ -583,4 +698,171 @@ export const sentryModalDescription = [
 		description: 'Your Sentry DSN Client Key',
 	},
 	circuitBreakerOptions,
+	retryOptions,
+] as INodeProperties[];
+
+export const kafkaModalDescription = [
+	{
+		displayName: 'Topic',
+		name: 'topic',
+		type: 'string',
+		default: 'n8n-events',
+		placeholder: 'n8n-events',
+		required: true,
+		noDataExpression: true,
+		description: 'Name of the topic to send the events to',
+	},
+	{
+		displayName: 'Message Key Field',
+		name: 'keyField',
+		type: 'options',
+		options: [
+			{ name: 'None', value: '' },
+			{ name: 'Execution ID', value: 'executionId' },
+			{ name: 'User ID', value: 'userId' },
+			{ name: 'Workflow ID', value: 'workflowId' },
+		],
+		default: '',
+		description:
+			'Event payload field to use as message key. Events with the same key go to the same partition, so their order is kept.',
+	},
+	{
+		displayName: 'Compression',
+		name: 'compression',
+		type: 'options',
+		options: [
+			{ name: 'None', value: 'none' },
+			{ name: 'Gzip', value: 'gzip' },
+		],
+		default: 'none',
+	},
+	{
+		displayName: 'Send Payload',
+		name: 'sendPayload',
+		type: 'boolean',
+		default: true,
+		description: 'Whether to include the event payload in the message',
+	},
+	circuitBreakerOptions,
+	retryOptions,
+] as INodeProperties[];
+
+export const httpBatchModalDescription = [
+	{
+		displayName: 'URL',
+		name: 'url',
+		type: 'string',
+		noDataExpression: true,
+		default: '',
+		placeholder: 'https://example.com/ingest',
+		description: 'The URL to post batches of events to, as newline-delimited JSON',
+	},
+	{
+		displayName: 'Batch Size',
+		name: 'batchSize',
+		type: 'number',
+		typeOptions: {
+			minValue: 1,
+		},
+		default: LOGSTREAMING_BATCH_DEFAULT_SIZE,
+		description: 'Number of events after which a batch is sent',
+	},
+	{
+		displayName: 'Flush Interval',
+		name: 'flushInterval',
+		type: 'number',
+		typeOptions: {
+			minValue: 100,
+		},
+		default: LOGSTREAMING_BATCH_DEFAULT_FLUSH_INTERVAL_MS,
+		description:
+			'Time in milliseconds after which queued events are sent, even if the batch is not full',
+	},
+	{
+		displayName: 'Add Headers',
+		name: 'sendHeaders',
+		type: 'boolean',
+		default: false,
+		noDataExpression: true,
+		description: 'Whether the request has headers or not',
+	},
+	{
+		displayName: 'Header Parameters',
+		name: 'headerParameters',
+		type: 'fixedCollection',
+		displayOptions: {
+			show: {
+				sendHeaders: [true],
+			},
+		},
+		typeOptions: {
+			multipleValues: true,
+		},
+		placeholder: 'Add Parameter',
+		default: {
+			parameters: [
+				{
+					name: '',
+					value: '',
+				},
+			],
+		},
+		options: [
+			{
+				name: 'parameters',
+				displayName: 'Parameter',
+				values: [
+					{
+						displayName: 'Name',
+						name: 'name',
+						type: 'string',
+						default: '',
+					},
+					{
+						displayName: 'Value',
+						name: 'value',
+						type: 'string',
+						default: '',
+					},
+				],
+			},
+		],
+	},
+	{
+		displayName: 'Send Payload',
+		name: 'sendPayload',
+		type: 'boolean',
+		default: true,
+		description: 'Whether to include the event payload in the batch',
+	},
+	{
+		displayName: 'Options',
+		name: 'options',
+		type: 'collection',
+		placeholder: 'Add Option',
+		default: {},
+		options: [
+			{
+				displayName: 'Ignore SSL Issues',
+				name: 'allowUnauthorizedCerts',
+				type: 'boolean',
+				noDataExpression: true,
+				default: false,
+				description: 'Whether to ignore SSL certificate validation',
+			},
+			{
+				displayName: 'Timeout',
+				name: 'timeout',
+				type: 'number',
+				typeOptions: {
+					minValue: 1,
+				},
+				default: 5000,
+				description:
+					'Time in ms to wait for the server to send response headers (and start the response body) before aborting the request',
+			},
+		],
+	},
+	circuitBreakerOptions,
+	retryOptions,
 ] as INodeProperties[];
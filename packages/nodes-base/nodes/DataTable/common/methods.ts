@@ -1,5 +1,7 @@
 import {
 	DATA_TABLE_SYSTEM_COLUMN_TYPE_MAP,
+	type DataTableColumnType,
+	type FieldType,
 	type ILoadOptionsFunctions,
 	type INodeListSearchResult,
 	type INodePropertyOptions,
@@ -146,6 +148,16 @@ export async function getConditionsForColumn(this: ILoadOptionsFunctions) {
 	return conditions;
 }
 
+const columnTypeToFieldType: Record<DataTableColumnType, FieldType> = {
+	string: 'string',
+	text: 'string',
+	number: 'number',
+	boolean: 'boolean',
+	date: 'dateTime',
+	json: 'object',
+	enum: 'options',
+};
+
 export async function getDataTables(this: ILoadOptionsFunctions): Promise<ResourceMapperFields> {
 	const proxy = await getDataTableProxyLoadOptions(this);
 	if (!proxy) {
@@ -156,15 +168,16 @@ export async function getDataTables(this: ILoadOptionsFunctions): Promise<Resour
 	const fields: ResourceMapperField[] = [];
 
 	for (const field of result) {
-		const type = field.type === 'date' ? 'dateTime' : field.type;
-
 		fields.push({
 			id: field.name,
 			displayName: field.name,
 			required: false,
 			defaultMatch: false,
 			display: true,
-			type,
+			type: columnTypeToFieldType[field.type],
+			...(field.type === 'enum' && {
+				options: (field.enumValues ?? []).map((value) => ({ name: value, value })),
+			}),
 			readOnly: false,
 			removed: false,
 		});
@@ -0,0 +1,71 @@
+import { mock } from 'jest-mock-extended';
+import type {
+	DataTableColumn,
+	IDataTableProjectService,
+	ILoadOptionsFunctions,
+	INode,
+} from 'n8n-workflow';
+
+import { getDataTables } from '../../common/methods';
+
+const mockNode: INode = {
+	id: 'test-node',
+	name: 'Test Node',
+	type: 'n8n-nodes-base.dataTable',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+};
+
+describe('getDataTables', () => {
+	const getContext = (columns: Array<Partial<DataTableColumn>>) => {
+		const proxy = mock<IDataTableProjectService>();
+		proxy.getColumns.mockResolvedValue(columns as DataTableColumn[]);
+
+		const ctx = mock<ILoadOptionsFunctions>();
+		ctx.getNode.mockReturnValue(mockNode);
+		ctx.getNodeParameter.mockReturnValue({ mode: 'id', value: 'table-id-123' });
+		ctx.helpers = {
+			getDataTableProxy: jest.fn().mockResolvedValue(proxy),
+		} as any;
+
+		return ctx;
+	};
+
+	it('should map column types to field types', async () => {
+		const ctx = getContext([
+			{ name: 'title', type: 'string' },
+			{ name: 'notes', type: 'text' },
+			{ name: 'count', type: 'number' },
+			{ name: 'done', type: 'boolean' },
+			{ name: 'dueAt', type: 'date' },
+			{ name: 'payload', type: 'json' },
+		]);
+
+		const { fields } = await getDataTables.call(ctx);
+
+		expect(fields.map(({ id, type }) => [id, type])).toEqual([
+			['title', 'string'],
+			['notes', 'string'],
+			['count', 'number'],
+			['done', 'boolean'],
+			['dueAt', 'dateTime'],
+			['payload', 'object'],
+		]);
+	});
+
+	it('should map enum columns to options of their allowed values', async () => {
+		const ctx = getContext([{ name: 'status', type: 'enum', enumValues: ['open', 'closed'] }]);
+
+		const { fields } = await getDataTables.call(ctx);
+
+		expect(fields[0]).toMatchObject({
+			id: 'status',
+			type: 'options',
+			options: [
+				{ name: 'open', value: 'open' },
+				{ name: 'closed', value: 'closed' },
+			],
+		});
+	});
+});
@@ -0,0 +1,140 @@
+import type {
+	IExecuteFunctions,
+	INodeExecutionData,
+	INodeType,
+	INodeTypeDescription,
+} from 'n8n-workflow';
+import { assertParamIsNumber, NodeConnectionTypes, NodeOperationError } from 'n8n-workflow';
+
+const METRIC_NAME_REGEX = /^[a-zA-Z0-9_.-]{1,128}$/;
+
+type MetricParameter = { name: string; value: number };
+
+export class InsightMetric implements INodeType {
+	description: INodeTypeDescription = {
+		displayName: 'Track Insight Metric',
+		name: 'insightMetric',
+		icon: 'fa:chart-line',
+		group: ['organization'],
+		version: 1,
+		description:
+			'Record custom business metrics, like orders processed or tickets closed, and see them in Insights',
+		defaults: {
+			name: 'Track Insight Metric',
+			color: '#1E90FF',
+		},
+		inputs: [NodeConnectionTypes.Main],
+		outputs: [NodeConnectionTypes.Main],
+		properties: [
+			{
+				displayName:
+					'Metrics are summed up per workflow and shown in Insights next to the built-in metrics. Values are stored as whole numbers.',
+				name: 'notice',
+				type: 'notice',
+				default: '',
+			},
+			{
+				displayName: 'Calculation Mode',
+				name: 'mode',
+				type: 'options',
+				default: 'once',
+				noDataExpression: true,
+				options: [
+					{
+						name: 'Once For All Items',
+						value: 'once',
+						description: 'Record the metric values once for all input items',
+					},
+					{
+						name: 'Per Item',
+						value: 'perItem',
+						description: 'Evaluate the metric values for each input item and sum them up',
+					},
+				],
+			},
+			{
+				displayName: 'Metrics',
+				name: 'metrics',
+				placeholder: 'Add Metric',
+				type: 'fixedCollection',
+				typeOptions: {
+					multipleValues: true,
+				},
+				default: {},
+				options: [
+					{
+						displayName: 'Metric',
+						name: 'values',
+						values: [
+							{
+								displayName: 'Name',
+								name: 'name',
+								type: 'string',
+								default: '',
+								placeholder: 'e.g. orders_processed',
+								description:
+									'Name of the metric. Letters, numbers, underscores, dots and dashes only.',
+								noDataExpression: true,
+								required: true,
+							},
+							{
+								displayName: 'Value',
+								name: 'value',
+								type: 'number',
+								default: 1,
+								description: 'Value to add to the metric',
+							},
+						],
+					},
+				],
+			},
+		],
+		hints: [
+			{
+				type: 'info',
+				message:
+					'Metrics with the same name from multiple Track Insight Metric nodes in a workflow are summed up.',
+				displayCondition: '=true',
+				whenToDisplay: 'beforeExecution',
+				location: 'outputPane',
+			},
+		],
+	};
+
+	async execute(this: IExecuteFunctions): Promise<INodeExecutionData[][]> {
+		const items = this.getInputData();
+		const mode = this.getNodeParameter('mode', 0) as 'once' | 'perItem';
+		const itemIndexes = mode === 'perItem' ? items.map((_, index) => index) : [0];
+
+		try {
+			const insightsMetrics: Record<string, number> = {};
+
+			for (const itemIndex of itemIndexes) {
+				const metrics = this.getNodeParameter('metrics.values', itemIndex, []) as MetricParameter[];
+
+				for (const { name, value } of metrics) {
+					if (!METRIC_NAME_REGEX.test(name)) {
+						throw new NodeOperationError(
+							this.getNode(),
+							`Invalid metric name '${name}'. Use up to 128 letters, numbers, underscores, dots and dashes.`,
+							{ itemIndex },
+						);
+					}
+					assertParamIsNumber(`metrics.values.${name}`, value, this.getNode());
+
+					insightsMetrics[name] = (insightsMetrics[name] ?? 0) + value;
+				}
+			}
+
+			this.setMetadata({ insightsMetrics });
+
+			// Pass through all items unchanged
+			return [items];
+		} catch (error) {
+			if (this.continueOnFail()) {
+				return [[{ json: { error: error.message } }]];
+			}
+			throw error;
+		}
+	}
+}
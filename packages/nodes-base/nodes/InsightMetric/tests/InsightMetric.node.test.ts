@@ -0,0 +1,71 @@
+import type { IExecuteFunctions } from 'n8n-workflow';
+
+import { InsightMetric } from '../InsightMetric.node';
+
+describe('InsightMetric node', () => {
+	const createExecuteFunctions = (
+		mode: 'once' | 'perItem',
+		itemCount: number,
+		getMetrics: (itemIndex: number) => Array<{ name: string; value: unknown }>,
+	) =>
+		({
+			getInputData: jest
+				.fn()
+				.mockReturnValue(Array.from({ length: itemCount }, () => ({ json: {} }))),
+			getNodeParameter: jest.fn((name: string, itemIndex: number) =>
+				name === 'mode' ? mode : getMetrics(itemIndex),
+			),
+			continueOnFail: jest.fn().mockReturnValue(false),
+			setMetadata: jest.fn(),
+			getNode: jest.fn().mockReturnValue({
+				name: 'Track Insight Metric',
+				type: 'insightMetric',
+			}),
+		}) as unknown as IExecuteFunctions;
+
+	it('should set metadata with the metrics once for all items', async () => {
+		const executeFunctions = createExecuteFunctions('once', 3, () => [
+			{ name: 'orders_processed', value: 3 },
+			{ name: 'tickets.closed', value: 1 },
+		]);
+
+		const result = await new InsightMetric().execute.call(executeFunctions);
+
+		expect(executeFunctions.setMetadata).toHaveBeenCalledWith({
+			insightsMetrics: { orders_processed: 3, 'tickets.closed': 1 },
+		});
+		expect(result[0]).toHaveLength(3);
+	});
+
+	it('should sum up the metrics per item', async () => {
+		const executeFunctions = createExecuteFunctions('perItem', 3, (itemIndex) => [
+			{ name: 'tokens_spent', value: (itemIndex + 1) * 10 },
+		]);
+
+		await new InsightMetric().execute.call(executeFunctions);
+
+		expect(executeFunctions.setMetadata).toHaveBeenCalledWith({
+			insightsMetrics: { tokens_spent: 60 },
+		});
+	});
+
+	it('should throw on an invalid metric name', async () => {
+		const executeFunctions = createExecuteFunctions('once', 1, () => [
+			{ name: 'orders processed', value: 1 },
+		]);
+
+		await expect(new InsightMetric().execute.call(executeFunctions)).rejects.toThrow(
+			"Invalid metric name 'orders processed'",
+		);
+		expect(executeFunctions.setMetadata).not.toHaveBeenCalled();
+	});
+
+	it('should throw if a value is not a number', async () => {
+		const executeFunctions = createExecuteFunctions('once', 1, () => [
+			{ name: 'orders_processed', value: 'many' },
+		]);
+
+		await expect(new InsightMetric().execute.call(executeFunctions)).rejects.toThrow();
+		expect(executeFunctions.setMetadata).not.toHaveBeenCalled();
+	});
+});
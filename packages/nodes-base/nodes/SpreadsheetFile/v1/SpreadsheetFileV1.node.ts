@@ -14,12 +14,7 @@ import type {
 	WorkBook,
 	WritingOptions,
 } from 'xlsx';
-import {
-	read as xlsxRead,
-	readFile as xlsxReadFile,
-	utils as xlsxUtils,
-	write as xlsxWrite,
-} from 'xlsx';
+import { read as xlsxRead, utils as xlsxUtils, write as xlsxWrite } from 'xlsx';
 
 import { oldVersionNotice } from '@utils/descriptions';
 import { flattenObject, generatePairedItemData } from '@utils/utilities';
@@ -78,9 +73,10 @@ export class SpreadsheetFileV1 implements INodeType {
 					if (options.readAsString) xlsxOptions.type = 'string';
 
 					if (binaryData.id) {
-						const binaryPath = this.helpers.getBinaryPath(binaryData.id);
+						const stream = await this.helpers.getBinaryStream(binaryData.id);
+						const binaryDataBuffer = await this.helpers.binaryToBuffer(stream);
 						xlsxOptions.codepage = 65001; // utf8 codepage
-						workbook = xlsxReadFile(binaryPath, xlsxOptions);
+						workbook = xlsxRead(binaryDataBuffer, { ...xlsxOptions, type: 'buffer' });
 					} else {
 						const binaryDataBuffer = Buffer.from(binaryData.data, BINARY_ENCODING);
 						workbook = xlsxRead(
@@ -1,9 +1,18 @@
-export type DataTableColumnType = 'string' | 'number' | 'boolean' | 'date';
+export type DataTableColumnType =
+	| 'string'
+	| 'number'
+	| 'boolean'
+	| 'date'
+	| 'json'
+	| 'text'
+	| 'enum';
 
 export type DataTableColumn = {
 	id: string;
 	name: string;
 	type: DataTableColumnType;
+	/** Allowed values of `enum` columns */
+	enumValues?: string[] | null;
 	index: number;
 	dataTableId: string;
 };
@@ -18,7 +27,7 @@ export type DataTable = {
 };
 
 export type CreateDataTableColumnOptions = Pick<DataTableColumn, 'name' | 'type'> &
-	Partial<Pick<DataTableColumn, 'index'>>;
+	Partial<Pick<DataTableColumn, 'index' | 'enumValues'>>;
 
 export type CreateDataTableOptions = Pick<DataTable, 'name'> & {
 	columns: CreateDataTableColumnOptions[];
@@ -39,6 +48,8 @@ export type DataTableFilter = {
 	type: 'and' | 'or';
 	filters: Array<{
 		columnName: string;
+		/** Dot-separated path to a value in a `json` column, e.g. `customer.address.city` or `items.0.sku` */
+		path?: string;
 		condition: 'eq' | 'neq' | 'like' | 'ilike' | 'gt' | 'gte' | 'lt' | 'lte';
 		value: DataTableColumnJsType;
 	}>;
@@ -73,9 +84,12 @@ export type MoveDataTableColumnOptions = {
 };
 
 export type AddDataTableColumnOptions = Pick<DataTableColumn, 'name' | 'type'> &
-	Partial<Pick<DataTableColumn, 'index'>>;
+	Partial<Pick<DataTableColumn, 'index' | 'enumValues'>>;
 
-export type DataTableColumnJsType = string | number | boolean | Date | null;
+/** Value of a `json` column */
+export type DataTableJsonValue = { [key: string]: unknown } | unknown[];
+
+export type DataTableColumnJsType = string | number | boolean | Date | DataTableJsonValue | null;
 
 export const DATA_TABLE_SYSTEM_COLUMN_TYPE_MAP: Record<string, DataTableColumnType> = {
 	id: 'number',
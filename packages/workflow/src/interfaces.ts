@@ -2535,6 +2535,12 @@ export interface ITaskMetadata {
 		/** Time saved in minutes */
 		minutes: number;
 	};
+
+	/**
+	 * Custom metrics emitted by this node execution, keyed by metric name. Insights stores
+	 * them as user-defined metric types and aggregates them alongside the built-in ones.
+	 */
+	insightsMetrics?: Record<string, number>;
 }
 
 /** The data that gets returned when a node execution starts */
@@ -2785,6 +2791,7 @@ export type WorkflowActivateMode =
 export namespace WorkflowSettings {
 	export type CallerPolicy = 'any' | 'none' | 'workflowsFromAList' | 'workflowsFromSameOwner';
 	export type SaveDataExecution = 'DEFAULT' | 'all' | 'none';
+	export type ExecutionPriority = 'high' | 'normal' | 'low';
 }
 
 export interface IWorkflowSettings {
@@ -2797,6 +2804,10 @@ export interface IWorkflowSettings {
 	saveManualExecutions?: 'DEFAULT' | boolean;
 	saveExecutionProgress?: 'DEFAULT' | boolean;
 	executionTimeout?: number;
+	/** Max production executions of this workflow allowed to run concurrently. */
+	concurrencyLimit?: number;
+	/** Priority of production executions of this workflow when throttled by concurrency control. */
+	executionPriority?: WorkflowSettings.ExecutionPriority;
 	executionOrder?: 'v0' | 'v1';
 	timeSavedPerExecution?: number;
 	timeSavedMode?: 'fixed' | 'dynamic';
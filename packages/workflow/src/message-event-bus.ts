@@ -23,6 +23,8 @@ export const enum MessageEventBusDestinationTypeNames {
 	webhook = '$$MessageEventBusDestinationWebhook',
 	sentry = '$$MessageEventBusDestinationSentry',
 	syslog = '$$MessageEventBusDestinationSyslog',
+	kafka = '$$MessageEventBusDestinationKafka',
+	httpBatch = '$$MessageEventBusDestinationHttpBatch',
 }
 
 export const messageEventBusDestinationTypeNames = [
@@ -30,6 +32,8 @@ export const messageEventBusDestinationTypeNames = [
 	MessageEventBusDestinationTypeNames.webhook,
 	MessageEventBusDestinationTypeNames.sentry,
 	MessageEventBusDestinationTypeNames.syslog,
+	MessageEventBusDestinationTypeNames.kafka,
+	MessageEventBusDestinationTypeNames.httpBatch,
 ];
 
 // ===============================
@@ -70,6 +74,12 @@ export interface MessageEventBusDestinationOptions {
 		failureWindow?: number;
 		maxConcurrentHalfOpenRequests?: number;
 	};
+	/** Retries of failed sends with exponential backoff, before the event is dead-lettered */
+	retry?: {
+		maxAttempts?: number;
+		initialDelay?: number;
+		maxDelay?: number;
+	};
 }
 
 export interface MessageEventBusDestinationWebhookParameterItem {
@@ -141,6 +151,38 @@ export interface MessageEventBusDestinationSyslogOptions extends MessageEventBus
 	app_name?: string;
 	eol?: string;
 	tlsCa?: string;
+	/** RFC 6587 framing of messages sent over TCP or TLS */
+	framing?: 'non-transparent' | 'octet-counting';
+	/** Whether to spill messages to disk when the reconnect buffer is full */
+	spillBufferToDisk?: boolean;
+	/** SD-ID of the RFC 5424 structured data element to map payload fields into. Disabled if empty */
+	structuredDataId?: string;
+	/** Payload fields to send as params of the structured data element */
+	structuredDataFields?: string[];
+}
+
+export interface MessageEventBusDestinationKafkaOptions extends MessageEventBusDestinationOptions {
+	topic: string;
+	/** Payload field to use as message key, so that events with the same value keep their order */
+	keyField?: string;
+	compression?: 'none' | 'gzip';
+	sendPayload?: boolean;
+}
+
+export interface MessageEventBusDestinationHttpBatchOptions
+	extends MessageEventBusDestinationOptions {
+	url: string;
+	/** Number of events after which a batch is sent */
+	batchSize?: number;
+	/** Time in milliseconds after which a non-empty batch is sent */
+	flushInterval?: number;
+	sendHeaders?: boolean;
+	headerParameters?: MessageEventBusDestinationWebhookParameterItem;
+	sendPayload?: boolean;
+	options?: Pick<
+		MessageEventBusDestinationWebhookParameterOptions,
+		'timeout' | 'allowUnauthorizedCerts'
+	>;
 }
 
 export interface MessageEventBusDestinationSentryOptions extends MessageEventBusDestinationOptions {
@@ -175,6 +217,10 @@ export const defaultMessageEventBusDestinationSyslogOptions: MessageEventBusDest
 		facility: 16,
 		app_name: 'n8n',
 		eol: '\n',
+		framing: 'non-transparent',
+		spillBufferToDisk: false,
+		structuredDataId: '',
+		structuredDataFields: ['workflowId', 'executionId', 'userId'],
 	};
 
 export const defaultMessageEventBusDestinationWebhookOptions: MessageEventBusDestinationWebhookOptions =
@@ -210,3 +256,28 @@ export const defaultMessageEventBusDestinationSentryOptions: MessageEventBusDest
 		dsn: 'https://',
 		sendPayload: true,
 	};
+
+export const defaultMessageEventBusDestinationKafkaOptions: MessageEventBusDestinationKafkaOptions =
+	{
+		...defaultMessageEventBusDestinationOptions,
+		__type: MessageEventBusDestinationTypeNames.kafka,
+		label: 'Kafka Topic',
+		topic: 'n8n-events',
+		keyField: '',
+		compression: 'none',
+		sendPayload: true,
+	};
+
+export const defaultMessageEventBusDestinationHttpBatchOptions: MessageEventBusDestinationHttpBatchOptions =
+	{
+		...defaultMessageEventBusDestinationOptions,
+		__type: MessageEventBusDestinationTypeNames.httpBatch,
+		label: 'HTTP Batch Endpoint',
+		url: 'https://',
+		batchSize: 100,
+		flushInterval: 5000,
+		sendHeaders: false,
+		headerParameters: { parameters: [] },
+		sendPayload: true,
+		options: {},
+	};